@@ -0,0 +1,338 @@
+// Entry Logic
+// How triggered indicators combine into an entry - shared by the browser (window.EntryLogic) and the
+// server (src/services/momentum/EntryLogic.js requires this file) so both workers decide identically
+//
+// entry_logic modes:
+// - 'any_1', '2_out_of_3', '3_out_of_4', 'all'   count of triggered indicators
+// - 'expression'   boolean expression over indicator keys / aliases, e.g.
+//                  (rsi AND macd) OR (volume AND bb_lower)
+//                  Operators: AND, OR, NOT (also &&, ||, !) and parentheses; NOT binds tightest, then AND
+// - 'weighted'     sum of the weights of triggered indicators (default weight 1) >= threshold
+//
+// The expression / weights live in entry_indicators.logic:
+//   { expression: '(rsi AND macd) OR volume' }
+//   { weights: { rsi: 2, macd: 1, volume: 1 }, threshold: 3 }
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./IndicatorRegistry'));
+    } else {
+        root.EntryLogic = factory(root.IndicatorRegistry);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IndicatorRegistry) {
+    const MAX_EXPRESSION_LENGTH = 500;
+
+    const OPERATORS = {
+        and: 'AND',
+        '&&': 'AND',
+        or: 'OR',
+        '||': 'OR',
+        not: 'NOT',
+        '!': 'NOT'
+    };
+
+    /**
+     * Split an expression into tokens
+     * @returns {Array} [{ type: 'AND' | 'OR' | 'NOT' | '(' | ')' | 'IDENT', value, position }]
+     */
+    const tokenize = expression => {
+        const tokens = [];
+        const pattern = /&&|\|\||!|\(|\)|[A-Za-z][A-Za-z0-9_]*/y;
+        let position = 0;
+
+        while (position < expression.length) {
+            if (/\s/.test(expression[position])) {
+                position++;
+                continue;
+            }
+
+            pattern.lastIndex = position;
+            const match = pattern.exec(expression);
+            if (!match) {
+                throw new Error(`Unexpected character '${expression[position]}' at position ${position + 1}`);
+            }
+
+            const text = match[0];
+            tokens.push({
+                type: OPERATORS[text.toLowerCase()] || (text === '(' || text === ')' ? text : 'IDENT'),
+                value: text,
+                position: position + 1
+            });
+            position = pattern.lastIndex;
+        }
+
+        return tokens;
+    };
+
+    const EntryLogic = {
+        COUNT_MODES: ['any_1', '2_out_of_3', '3_out_of_4', 'all'],
+        MODES: ['any_1', '2_out_of_3', '3_out_of_4', 'all', 'expression', 'weighted'],
+
+        // Parsed expressions by source (workers re-evaluate the same strategies every bar)
+        _cache: new Map(),
+
+        /**
+         * Parse an expression into a tree
+         * @param {string} expression - e.g. '(rsi AND macd) OR NOT volume'
+         * @returns {Object} { type: 'ident', name } | { type: 'not', operand } | { type: 'and' | 'or', left, right }
+         * @throws {Error} Syntax error with the position
+         */
+        parse(expression) {
+            if (typeof expression !== 'string' || expression.trim() === '') {
+                throw new Error('Expression is empty');
+            }
+            if (expression.length > MAX_EXPRESSION_LENGTH) {
+                throw new Error(`Expression must be at most ${MAX_EXPRESSION_LENGTH} characters`);
+            }
+
+            if (this._cache.has(expression)) {
+                return this._cache.get(expression);
+            }
+
+            const tokens = tokenize(expression);
+            let index = 0;
+
+            const peek = () => tokens[index];
+            const describe = token => (token ? `'${token.value}' at position ${token.position}` : 'end of expression');
+
+            const parseOr = () => {
+                let left = parseAnd();
+                while (peek() && peek().type === 'OR') {
+                    index++;
+                    left = { type: 'or', left, right: parseAnd() };
+                }
+                return left;
+            };
+
+            const parseAnd = () => {
+                let left = parseNot();
+                while (peek() && peek().type === 'AND') {
+                    index++;
+                    left = { type: 'and', left, right: parseNot() };
+                }
+                return left;
+            };
+
+            const parseNot = () => {
+                if (peek() && peek().type === 'NOT') {
+                    index++;
+                    return { type: 'not', operand: parseNot() };
+                }
+                return parsePrimary();
+            };
+
+            const parsePrimary = () => {
+                const token = peek();
+
+                if (token && token.type === 'IDENT') {
+                    index++;
+                    return { type: 'ident', name: token.value.toLowerCase() };
+                }
+
+                if (token && token.type === '(') {
+                    index++;
+                    const inner = parseOr();
+                    if (!peek() || peek().type !== ')') {
+                        throw new Error(`Expected ')' but found ${describe(peek())}`);
+                    }
+                    index++;
+                    return inner;
+                }
+
+                throw new Error(`Expected an indicator or '(' but found ${describe(token)}`);
+            };
+
+            const tree = parseOr();
+            if (index < tokens.length) {
+                throw new Error(`Unexpected ${describe(peek())}`);
+            }
+
+            this._cache.set(expression, tree);
+            return tree;
+        },
+
+        /**
+         * Indicator names referenced by an expression tree (as written, lowercased)
+         * @returns {Array<string>}
+         */
+        identifiers(tree) {
+            switch (tree.type) {
+                case 'ident': return [tree.name];
+                case 'not': return this.identifiers(tree.operand);
+                default: return [...new Set([...this.identifiers(tree.left), ...this.identifiers(tree.right)])];
+            }
+        },
+
+        /**
+         * Evaluate an expression against indicator results (unknown or disabled indicators are false)
+         * @param {string|Object} expression - Source or parsed tree
+         * @param {Object} indicatorResults - { rsi: true, volume: false, ... }
+         * @returns {boolean}
+         */
+        evaluateExpression(expression, indicatorResults) {
+            const tree = typeof expression === 'string' ? this.parse(expression) : expression;
+
+            switch (tree.type) {
+                case 'ident': return indicatorResults[IndicatorRegistry.resolve(tree.name)] === true;
+                case 'not': return !this.evaluateExpression(tree.operand, indicatorResults);
+                case 'and': return this.evaluateExpression(tree.left, indicatorResults) && this.evaluateExpression(tree.right, indicatorResults);
+                case 'or': return this.evaluateExpression(tree.left, indicatorResults) || this.evaluateExpression(tree.right, indicatorResults);
+                default: throw new Error(`Unknown expression node: ${tree.type}`);
+            }
+        },
+
+        /**
+         * Weighted score of the triggered indicators
+         * @param {Object} indicatorResults - { key: triggered } for every enabled indicator
+         * @param {Object} rule - entry_indicators.logic ({ weights })
+         * @returns {number}
+         */
+        score(indicatorResults, rule = {}) {
+            const weights = this._weights(rule);
+
+            return Object.entries(indicatorResults)
+                .filter(([, triggered]) => triggered === true)
+                .reduce((total, [key]) => total + (weights[key] !== undefined ? weights[key] : 1), 0);
+        },
+
+        /**
+         * Should the strategy enter?
+         * @param {string} entryLogic - Entry logic mode (see header)
+         * @param {Object} indicatorResults - { key: triggered } for every enabled indicator
+         * @param {Object} rule - entry_indicators.logic (expression / weighted modes)
+         * @returns {boolean}
+         */
+        evaluate(entryLogic, indicatorResults, rule = {}) {
+            const results = Object.values(indicatorResults);
+            const triggeredCount = results.filter(r => r === true).length;
+            const totalCount = results.length;
+
+            switch (entryLogic) {
+                case 'expression':
+                    try {
+                        return this.evaluateExpression((rule || {}).expression, indicatorResults);
+                    } catch (error) {
+                        // Saved strategies are validated - an invalid expression never enters
+                        return false;
+                    }
+
+                case 'weighted': {
+                    const threshold = Number((rule || {}).threshold);
+                    return threshold > 0 && this.score(indicatorResults, rule) >= threshold;
+                }
+
+                case 'all':
+                    // All indicators must be true
+                    return triggeredCount === totalCount && totalCount > 0;
+
+                case 'any_1':
+                    // Any one indicator triggers
+                    return triggeredCount >= 1;
+
+                case '3_out_of_4':
+                    // At least 3 indicators must trigger (all of them when fewer are enabled)
+                    return totalCount > 0 && triggeredCount >= Math.min(3, totalCount);
+
+                case '2_out_of_3':
+                default:
+                    // At least 2 indicators must trigger (the only one when just 1 is enabled)
+                    return totalCount > 0 && triggeredCount >= Math.min(2, totalCount);
+            }
+        },
+
+        /**
+         * Short requirement text for logs and the live panel (e.g. '2+', 'score >= 3')
+         */
+        describe(entryLogic, rule = {}) {
+            switch (entryLogic) {
+                case 'any_1': return '1+';
+                case 'all': return 'all';
+                case '3_out_of_4': return '3+';
+                case 'expression': return (rule || {}).expression || 'expression';
+                case 'weighted': return `score >= ${(rule || {}).threshold}`;
+                case '2_out_of_3':
+                default: return '2+';
+            }
+        },
+
+        /**
+         * Validate entry logic against the strategy's enabled indicators
+         * @param {string} entryLogic - Entry logic mode
+         * @param {Object} entryIndicators - entry_indicators (rule in entryIndicators.logic)
+         * @returns {Array<string>} Error messages (empty when valid)
+         */
+        validate(entryLogic, entryIndicators) {
+            if (!this.MODES.includes(entryLogic)) {
+                return [`entryLogic must be one of ${this.MODES.join(', ')}`];
+            }
+            if (this.COUNT_MODES.includes(entryLogic)) {
+                return [];
+            }
+
+            const errors = [];
+            const rule = (entryIndicators && entryIndicators.logic) || {};
+            const enabled = IndicatorRegistry.enabledKeys(entryIndicators);
+
+            // Every referenced name must be an enabled indicator
+            const checkNames = (names, field) => {
+                names.forEach(name => {
+                    const key = IndicatorRegistry.resolve(name);
+                    if (!key) {
+                        errors.push(`${field}: unknown indicator '${name}'`);
+                    } else if (!enabled.includes(key)) {
+                        errors.push(`${field}: indicator '${name}' is not enabled`);
+                    }
+                });
+            };
+
+            if (entryLogic === 'expression') {
+                try {
+                    checkNames(this.identifiers(this.parse(rule.expression)), 'logic.expression');
+                } catch (error) {
+                    errors.push(`logic.expression: ${error.message}`);
+                }
+                return errors;
+            }
+
+            // weighted
+            const weights = rule.weights === undefined ? {} : rule.weights;
+            if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+                return ['logic.weights must be an object of { indicator: weight }'];
+            }
+
+            checkNames(Object.keys(weights), 'logic.weights');
+            Object.entries(weights).forEach(([name, weight]) => {
+                if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                    errors.push(`logic.weights.${name} must be a number of 0 or more`);
+                }
+            });
+
+            const threshold = rule.threshold;
+            if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold <= 0) {
+                errors.push('logic.threshold must be a positive number');
+            } else if (errors.length === 0) {
+                const maxScore = this.score(Object.fromEntries(enabled.map(key => [key, true])), rule);
+                if (threshold > maxScore) {
+                    errors.push(`logic.threshold ${threshold} is above the highest possible score (${maxScore})`);
+                }
+            }
+
+            return errors;
+        },
+
+        /**
+         * Weights keyed by indicator key (aliases resolved)
+         * @private
+         */
+        _weights(rule) {
+            const weights = {};
+            Object.entries((rule && rule.weights) || {}).forEach(([name, weight]) => {
+                const key = IndicatorRegistry.resolve(name);
+                if (key) weights[key] = Number(weight);
+            });
+            return weights;
+        }
+    };
+
+    return EntryLogic;
+});
@@ -0,0 +1,981 @@
+// Indicator Registry
+// Pluggable indicator engine shared by the browser (window.IndicatorRegistry) and the server
+// (src/services/momentum/IndicatorRegistry.js requires this file) - one copy of the maths
+//
+// Every indicator declares:
+// - key          entry_indicators key (e.g. 'rsi') - stored in strategies, never rename
+// - name         short name used in triggered indicator lists (e.g. 'RSI')
+// - label/icon   strategy builder heading
+// - aliases      optional other names for the indicator in entry expressions (e.g. 'bb_lower')
+// - params       [{ key, label, type: 'number' | 'select', default, min, max, step, options }]
+// - outputs      [{ key, label, type }] - shape returned by calculate()
+// - minCandles   fewest candles calculate() needs for the given params
+// - calculate    (candles, params) => output
+// - signal       (output, params, candles) => null | { value, condition } when the buy condition holds
+// - summary      (output, params) => one-line display string
+// - trend        optional (output, params, candles) => null | { value, condition } while the market is
+//                in the indicator's bullish state - used for higher-timeframe confirmation, where a
+//                fresh trigger (crossover, spike) is too strict. Indicators without one use signal()
+//
+// The strategy builder renders indicators from list(), so a new indicator only needs register().
+
+(function (root, factory) {
+    const registry = factory();
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = registry;
+    } else {
+        root.IndicatorRegistry = registry;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const round = (value, decimals) => parseFloat(value.toFixed(decimals));
+
+    const requireCandles = (candles, count, name) => {
+        if (!candles || candles.length < count) {
+            throw new Error(`Need at least ${count} candles for ${name} calculation`);
+        }
+    };
+
+    /**
+     * EMA of the whole series (SMA seed)
+     */
+    const ema = (values, period) => {
+        if (values.length < period) {
+            throw new Error(`Need at least ${period} values for EMA calculation`);
+        }
+
+        let result = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+        const multiplier = 2 / (period + 1);
+
+        for (let i = period; i < values.length; i++) {
+            result = (values[i] - result) * multiplier + result;
+        }
+
+        return result;
+    };
+
+    /**
+     * SMA of the last `period` values
+     */
+    const sma = (values, period) => {
+        if (values.length < period) {
+            throw new Error(`Need at least ${period} values for SMA calculation`);
+        }
+
+        return values.slice(-period).reduce((a, b) => a + b, 0) / period;
+    };
+
+    const trueRange = (candles, i) => {
+        const { high, low } = candles[i];
+        if (i === 0) return high - low;
+
+        const prevClose = candles[i - 1].close;
+        return Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+    };
+
+    /**
+     * Wilder ATR per candle index (null until `period` true ranges exist)
+     */
+    const atrSeries = (candles, period) => {
+        const series = new Array(candles.length).fill(null);
+        if (candles.length < period + 1) return series;
+
+        let atr = 0;
+        for (let i = 1; i <= period; i++) {
+            atr += trueRange(candles, i);
+        }
+        atr /= period;
+        series[period] = atr;
+
+        for (let i = period + 1; i < candles.length; i++) {
+            atr = (atr * (period - 1) + trueRange(candles, i)) / period;
+            series[i] = atr;
+        }
+
+        return series;
+    };
+
+    /**
+     * (highest high + lowest low) / 2 over `period` candles ending at `end`
+     */
+    const midpoint = (candles, end, period) => {
+        let high = -Infinity;
+        let low = Infinity;
+        for (let i = end - period + 1; i <= end; i++) {
+            high = Math.max(high, candles[i].high);
+            low = Math.min(low, candles[i].low);
+        }
+        return (high + low) / 2;
+    };
+
+    const rollingVWAP = (candles, end, period) => {
+        let priceVolume = 0;
+        let volume = 0;
+        for (let i = end - period + 1; i <= end; i++) {
+            const typical = (candles[i].high + candles[i].low + candles[i].close) / 3;
+            priceVolume += typical * candles[i].volume;
+            volume += candles[i].volume;
+        }
+        if (volume === 0) {
+            throw new Error('No volume in VWAP window');
+        }
+        return priceVolume / volume;
+    };
+
+    const IndicatorRegistry = {
+        _definitions: {},
+
+        // entry_indicators keys that hold strategy settings rather than an indicator
+        reserved: ['confirmation', 'logic'],
+
+        /**
+         * Register an indicator definition (replaces an existing one with the same key)
+         * @param {Object} definition - See header
+         * @returns {Object} The registered definition
+         */
+        register(definition) {
+            if (!definition || !/^[a-z][a-z0-9_]*$/.test(definition.key || '')) {
+                throw new Error('Indicator key must be lowercase letters, digits or underscores');
+            }
+            if (this.reserved.includes(definition.key)) {
+                throw new Error(`Indicator key ${definition.key} is reserved`);
+            }
+            if (typeof definition.calculate !== 'function' || typeof definition.signal !== 'function') {
+                throw new Error(`Indicator ${definition.key} must implement calculate() and signal()`);
+            }
+
+            this._definitions[definition.key] = {
+                name: definition.key,
+                label: definition.name || definition.key,
+                icon: '📊',
+                description: '',
+                params: [],
+                outputs: [],
+                minCandles: () => 2,
+                summary: output => JSON.stringify(output),
+                trend: null,
+                trendDescription: null,
+                aliases: [],
+                ...definition
+            };
+
+            return this._definitions[definition.key];
+        },
+
+        get(key) {
+            return this._definitions[key] || null;
+        },
+
+        has(key) {
+            return Object.prototype.hasOwnProperty.call(this._definitions, key);
+        },
+
+        keys() {
+            return Object.keys(this._definitions);
+        },
+
+        /**
+         * Serializable metadata for the strategy builder (no functions)
+         * @returns {Array} [{ key, name, label, icon, description, trendDescription, aliases, params, outputs }]
+         */
+        list() {
+            return this.keys().map(key => {
+                const { name, label, icon, description, params, outputs, trendDescription, aliases } = this._definitions[key];
+                return {
+                    key,
+                    name,
+                    label,
+                    icon,
+                    description,
+                    // How the indicator confirms on a higher timeframe
+                    trendDescription: trendDescription || description,
+                    aliases,
+                    params,
+                    outputs
+                };
+            });
+        },
+
+        /**
+         * Indicator key for a key or alias (case-insensitive)
+         * @param {string} name - e.g. 'rsi' or 'bb_lower'
+         * @returns {string|null} Indicator key, or null when unknown
+         */
+        resolve(name) {
+            const lower = String(name).toLowerCase();
+            if (this.has(lower)) return lower;
+            return this.keys().find(key => this._definitions[key].aliases.includes(lower)) || null;
+        },
+
+        /**
+         * Default parameter values for an indicator
+         * @param {string} key - Indicator key
+         * @returns {Object} { paramKey: default }
+         */
+        defaults(key) {
+            const definition = this._require(key);
+            const defaults = {};
+            definition.params.forEach(param => { defaults[param.key] = param.default; });
+            return defaults;
+        },
+
+        /**
+         * Strategy config → params (missing or blank values fall back to defaults, numbers coerced)
+         * @param {string} key - Indicator key
+         * @param {Object} config - entry_indicators[key]
+         * @returns {Object} Resolved params
+         */
+        resolveParams(key, config = {}) {
+            const definition = this._require(key);
+            const params = {};
+
+            definition.params.forEach(param => {
+                const raw = config[param.key];
+                if (raw === undefined || raw === null || raw === '') {
+                    params[param.key] = param.default;
+                } else if (param.type === 'number') {
+                    params[param.key] = Number(raw);
+                } else {
+                    params[param.key] = raw;
+                }
+            });
+
+            return params;
+        },
+
+        /**
+         * Fewest candles the indicator needs with this config
+         */
+        minCandles(key, config = {}) {
+            return this._require(key).minCandles(this.resolveParams(key, config));
+        },
+
+        /**
+         * Calculate an indicator
+         * @param {string} key - Indicator key
+         * @param {Array} candles - Oldest first [{open, high, low, close, volume}]
+         * @param {Object} config - Params (defaults fill the gaps)
+         * @returns {*} Output described by the definition's outputs
+         */
+        calculate(key, candles, config = {}) {
+            const definition = this._require(key);
+            const params = this.resolveParams(key, config);
+            requireCandles(candles, definition.minCandles(params), definition.name);
+            return definition.calculate(candles, params);
+        },
+
+        /**
+         * Calculate an indicator and check its buy condition
+         * @param {string} key - Indicator key
+         * @param {Array} candles - Oldest first
+         * @param {Object} config - entry_indicators[key]
+         * @param {string} mode - 'signal' (entry trigger) or 'trend' (bullish state, falls back to signal)
+         * @returns {Object} { value, triggered, trigger: {name, value, condition} | null, summary }
+         */
+        evaluate(key, candles, config = {}, mode = 'signal') {
+            const definition = this._require(key);
+            const params = this.resolveParams(key, config);
+            const value = this.calculate(key, candles, params);
+            const check = mode === 'trend' && definition.trend ? definition.trend : definition.signal;
+            const signal = check(value, params, candles);
+
+            return {
+                value,
+                triggered: Boolean(signal),
+                trigger: signal ? { name: definition.name, value: signal.value, condition: signal.condition } : null,
+                summary: definition.summary(value, params)
+            };
+        },
+
+        /**
+         * Validate entry_indicators against the registry
+         * @param {Object} entryIndicators - { key: { enabled, ...params } }
+         * @returns {Array<string>} Error messages (empty when valid)
+         */
+        validate(entryIndicators) {
+            const errors = [];
+            if (!entryIndicators) return errors;
+
+            if (typeof entryIndicators !== 'object' || Array.isArray(entryIndicators)) {
+                return ['entryIndicators must be an object'];
+            }
+
+            Object.entries(entryIndicators).forEach(([key, config]) => {
+                if (!config || !config.enabled || this.reserved.includes(key)) return;
+
+                if (!this.has(key)) {
+                    errors.push(`Unknown indicator: ${key}`);
+                    return;
+                }
+
+                this._definitions[key].params.forEach(param => {
+                    const raw = config[param.key];
+                    if (raw === undefined || raw === null || raw === '') return;
+
+                    if (param.type === 'number') {
+                        const value = Number(raw);
+                        if (!Number.isFinite(value)) {
+                            errors.push(`${key}.${param.key} must be a number`);
+                        } else if ((param.min !== undefined && value < param.min) || (param.max !== undefined && value > param.max)) {
+                            errors.push(`${key}.${param.key} must be between ${param.min} and ${param.max}`);
+                        }
+                    } else if (param.type === 'select' && !param.options.some(option => option.value === raw)) {
+                        errors.push(`${key}.${param.key} must be one of ${param.options.map(option => option.value).join(', ')}`);
+                    }
+                });
+            });
+
+            return errors;
+        },
+
+        /**
+         * Enabled entry_indicators keys the registry knows, in registration order
+         */
+        enabledKeys(entryIndicators) {
+            if (!entryIndicators) return [];
+            return this.keys().filter(key => entryIndicators[key] && entryIndicators[key].enabled);
+        },
+
+        // Shared helpers for definitions registered elsewhere
+        math: { ema, sma, atrSeries, midpoint, trueRange },
+
+        _require(key) {
+            const definition = this.get(key);
+            if (!definition) {
+                throw new Error(`Unknown indicator: ${key}`);
+            }
+            return definition;
+        }
+    };
+
+    // ===== Built-in indicators =====
+    // The first six keep the keys, names and conditions strategies were created with
+
+    IndicatorRegistry.register({
+        key: 'rsi',
+        name: 'RSI',
+        label: 'RSI (Relative Strength Index)',
+        icon: '📊',
+        description: 'Triggers when RSI drops below oversold threshold (indicates buying opportunity)',
+        params: [
+            { key: 'period', label: 'Period', type: 'number', default: 14, min: 5, max: 30, step: 1 },
+            { key: 'oversold', label: 'Oversold Threshold', type: 'number', default: 30, min: 10, max: 40, step: 1 }
+        ],
+        outputs: [{ key: 'rsi', label: 'RSI (0-100)', type: 'number' }],
+        minCandles: ({ period }) => period + 1,
+        calculate(candles, { period }) {
+            const changes = [];
+            for (let i = 1; i < candles.length; i++) {
+                changes.push(candles[i].close - candles[i - 1].close);
+            }
+
+            // Initial average (SMA of first period), then Wilder smoothing
+            let avgGain = 0;
+            let avgLoss = 0;
+            for (let i = 0; i < period; i++) {
+                if (changes[i] > 0) {
+                    avgGain += changes[i];
+                } else {
+                    avgLoss += Math.abs(changes[i]);
+                }
+            }
+            avgGain /= period;
+            avgLoss /= period;
+
+            for (let i = period; i < changes.length; i++) {
+                if (changes[i] > 0) {
+                    avgGain = (avgGain * (period - 1) + changes[i]) / period;
+                    avgLoss = (avgLoss * (period - 1)) / period;
+                } else {
+                    avgGain = (avgGain * (period - 1)) / period;
+                    avgLoss = (avgLoss * (period - 1) + Math.abs(changes[i])) / period;
+                }
+            }
+
+            if (avgLoss === 0) {
+                return 100; // If no losses, RSI is 100
+            }
+
+            const rs = avgGain / avgLoss;
+            return round(100 - (100 / (1 + rs)), 2);
+        },
+        signal: (rsi, { oversold }) => (rsi < oversold
+            ? { value: rsi, condition: `< ${oversold} (Oversold)` }
+            : null),
+        summary: (rsi, { oversold }) => `RSI ${rsi} (need <${oversold})`,
+        trendDescription: 'RSI above 50 (bullish momentum)',
+        trend: rsi => (rsi > 50 ? { value: rsi, condition: '> 50 (Bullish momentum)' } : null)
+    });
+
+    IndicatorRegistry.register({
+        key: 'volume',
+        name: 'Volume Spike',
+        label: 'Volume Spike',
+        icon: '📈',
+        description: 'Triggers when volume exceeds average by multiplier (indicates strong interest)',
+        params: [
+            { key: 'period', label: 'Lookback Period', type: 'number', default: 20, min: 10, max: 50, step: 1 },
+            { key: 'multiplier', label: 'Spike Multiplier', type: 'number', default: 2, min: 1.5, max: 5, step: 0.1 }
+        ],
+        outputs: [
+            { key: 'currentVolume', label: 'Current volume', type: 'number' },
+            { key: 'avgVolume', label: 'Average volume', type: 'number' },
+            { key: 'volumeRatio', label: 'Current / average', type: 'number' },
+            { key: 'isSpike', label: 'Spike', type: 'boolean' }
+        ],
+        minCandles: ({ period }) => period + 1,
+        calculate(candles, { period, multiplier }) {
+            const currentVolume = candles[candles.length - 1].volume;
+
+            // Average over the period before the current candle
+            let sumVolume = 0;
+            for (let i = candles.length - period - 1; i < candles.length - 1; i++) {
+                sumVolume += candles[i].volume;
+            }
+            const avgVolume = sumVolume / period;
+            const volumeRatio = currentVolume / avgVolume;
+
+            return {
+                currentVolume: round(currentVolume, 2),
+                avgVolume: round(avgVolume, 2),
+                volumeRatio: round(volumeRatio, 2),
+                isSpike: volumeRatio >= multiplier
+            };
+        },
+        signal: (volume, { multiplier }) => (volume.isSpike
+            ? { value: volume.volumeRatio, condition: `${volume.volumeRatio}x average (>${multiplier}x)` }
+            : null),
+        summary: (volume, { multiplier }) => `Volume ${volume.volumeRatio}x avg (need >${multiplier}x)`
+    });
+
+    IndicatorRegistry.register({
+        key: 'macd',
+        name: 'MACD',
+        label: 'MACD (Moving Average Convergence Divergence)',
+        icon: '📉',
+        description: 'Triggers on bullish MACD crossover (MACD line crosses above signal line)',
+        params: [
+            { key: 'fast', label: 'Fast Period', type: 'number', default: 12, min: 5, max: 20, step: 1 },
+            { key: 'slow', label: 'Slow Period', type: 'number', default: 26, min: 20, max: 40, step: 1 },
+            { key: 'signal', label: 'Signal Period', type: 'number', default: 9, min: 5, max: 15, step: 1 }
+        ],
+        outputs: [
+            { key: 'macdLine', label: 'MACD line', type: 'number' },
+            { key: 'signalLine', label: 'Signal line', type: 'number' },
+            { key: 'histogram', label: 'Histogram', type: 'number' },
+            { key: 'crossover', label: 'Bullish crossover', type: 'boolean' }
+        ],
+        minCandles: ({ slow, signal }) => slow + signal,
+        calculate(candles, { fast, slow, signal }) {
+            const closes = candles.map(c => c.close);
+            const macdLine = ema(closes, fast) - ema(closes, slow);
+
+            // MACD history for the signal line EMA
+            const macdValues = [];
+            for (let i = slow - 1; i < candles.length; i++) {
+                const window = closes.slice(0, i + 1);
+                macdValues.push(ema(window, fast) - ema(window, slow));
+            }
+
+            const signalLine = ema(macdValues, signal);
+            const histogram = macdLine - signalLine;
+
+            // Bullish crossover: MACD crosses above signal
+            const prevMACD = macdValues[macdValues.length - 2];
+            const prevSignal = macdValues.length > signal ? ema(macdValues.slice(0, -1), signal) : signalLine;
+
+            return {
+                macdLine: round(macdLine, 6),
+                signalLine: round(signalLine, 6),
+                histogram: round(histogram, 6),
+                crossover: prevMACD <= prevSignal && macdLine > signalLine
+            };
+        },
+        signal: macd => (macd.crossover ? { value: macd.histogram, condition: 'Bullish Crossover' } : null),
+        summary: macd => `MACD histogram ${macd.histogram} (need fresh bullish crossover)`,
+        trendDescription: 'MACD line above signal line',
+        trend: macd => (macd.macdLine > macd.signalLine ? { value: macd.histogram, condition: 'MACD above signal' } : null)
+    });
+
+    IndicatorRegistry.register({
+        key: 'ema',
+        name: 'EMA Crossover',
+        label: 'EMA Crossover (Exponential Moving Average)',
+        icon: '🔄',
+        description: 'Triggers when fast EMA crosses above slow EMA (bullish momentum shift)',
+        params: [
+            { key: 'fast', label: 'Fast EMA Period', type: 'number', default: 9, min: 5, max: 20, step: 1 },
+            { key: 'slow', label: 'Slow EMA Period', type: 'number', default: 21, min: 15, max: 50, step: 1 }
+        ],
+        outputs: [
+            { key: 'fastEMA', label: 'Fast EMA', type: 'number' },
+            { key: 'slowEMA', label: 'Slow EMA', type: 'number' },
+            { key: 'crossover', label: 'Bullish crossover', type: 'boolean' }
+        ],
+        minCandles: ({ slow }) => slow + 1,
+        calculate(candles, { fast, slow }) {
+            const closes = candles.map(c => c.close);
+            const fastEMA = ema(closes, fast);
+            const slowEMA = ema(closes, slow);
+
+            const prevCloses = closes.slice(0, -1);
+            const crossover = ema(prevCloses, fast) <= ema(prevCloses, slow) && fastEMA > slowEMA;
+
+            return {
+                fastEMA: round(fastEMA, 6),
+                slowEMA: round(slowEMA, 6),
+                crossover
+            };
+        },
+        signal: emaResult => (emaResult.crossover
+            ? { value: `${emaResult.fastEMA} / ${emaResult.slowEMA}`, condition: 'Fast crossed above Slow' }
+            : null),
+        summary: emaResult => `EMA fast ${emaResult.fastEMA} / slow ${emaResult.slowEMA} (need fresh crossover)`,
+        trendDescription: 'Fast EMA above slow EMA (uptrend)',
+        trend: emaResult => (emaResult.fastEMA > emaResult.slowEMA
+            ? { value: `${emaResult.fastEMA} / ${emaResult.slowEMA}`, condition: 'Fast above Slow (Uptrend)' }
+            : null)
+    });
+
+    IndicatorRegistry.register({
+        key: 'bollinger',
+        name: 'Bollinger Bands',
+        label: 'Bollinger Bands',
+        icon: '📏',
+        description: 'Triggers when price is near lower band (potential bounce/reversal)',
+        aliases: ['bb', 'bb_lower'],
+        params: [
+            { key: 'period', label: 'Period', type: 'number', default: 20, min: 10, max: 50, step: 1 },
+            { key: 'stdDev', label: 'Standard Deviations', type: 'number', default: 2, min: 1, max: 3, step: 0.1 }
+        ],
+        outputs: [
+            { key: 'upper', label: 'Upper band', type: 'number' },
+            { key: 'middle', label: 'Middle band', type: 'number' },
+            { key: 'lower', label: 'Lower band', type: 'number' },
+            { key: 'percentB', label: '%B', type: 'number' },
+            { key: 'width', label: 'Band width', type: 'number' },
+            { key: 'nearLowerBand', label: 'Near lower band', type: 'boolean' }
+        ],
+        minCandles: ({ period }) => period,
+        calculate(candles, { period, stdDev }) {
+            const closes = candles.map(c => c.close);
+            const recentCloses = closes.slice(-period);
+
+            const middle = recentCloses.reduce((a, b) => a + b, 0) / period;
+            const variance = recentCloses.reduce((sum, close) => sum + Math.pow(close - middle, 2), 0) / period;
+            const deviation = Math.sqrt(variance);
+
+            const upper = middle + (deviation * stdDev);
+            const lower = middle - (deviation * stdDev);
+            const percentB = (closes[closes.length - 1] - lower) / (upper - lower);
+
+            return {
+                upper: round(upper, 6),
+                middle: round(middle, 6),
+                lower: round(lower, 6),
+                percentB: round(percentB, 4),
+                width: round((upper - lower) / middle, 4),
+                nearLowerBand: percentB < 0.2
+            };
+        },
+        signal: bb => (bb.nearLowerBand ? { value: bb.percentB, condition: 'Price near lower band' } : null),
+        summary: bb => `%B ${bb.percentB} (need <0.2 near lower band)`,
+        trendDescription: 'Price above the middle band',
+        trend: bb => (bb.percentB > 0.5 ? { value: bb.percentB, condition: 'Price above middle band' } : null)
+    });
+
+    IndicatorRegistry.register({
+        key: 'stochastic',
+        name: 'Stochastic',
+        label: 'Stochastic Oscillator',
+        icon: '⚡',
+        description: 'Triggers when %K is oversold (< 20) indicating potential upward reversal',
+        params: [
+            { key: 'period', label: '%K Period', type: 'number', default: 14, min: 5, max: 30, step: 1 },
+            { key: 'smoothK', label: '%K Smoothing', type: 'number', default: 3, min: 1, max: 5, step: 1 },
+            { key: 'smoothD', label: '%D Smoothing', type: 'number', default: 3, min: 1, max: 5, step: 1 }
+        ],
+        outputs: [
+            { key: 'k', label: '%K', type: 'number' },
+            { key: 'd', label: '%D', type: 'number' },
+            { key: 'oversold', label: 'Oversold', type: 'boolean' }
+        ],
+        minCandles: ({ period, smoothK, smoothD }) => period + smoothK + smoothD,
+        calculate(candles, { period }) {
+            const recentCandles = candles.slice(-period);
+            const highestHigh = Math.max(...recentCandles.map(c => c.high));
+            const lowestLow = Math.min(...recentCandles.map(c => c.low));
+            const currentClose = candles[candles.length - 1].close;
+
+            // Raw %K - smoothK/smoothD only widen the warm-up window for now
+            const k = ((currentClose - lowestLow) / (highestHigh - lowestLow)) * 100;
+
+            return {
+                k: round(k, 2),
+                d: round(k, 2),
+                oversold: k < 20
+            };
+        },
+        signal: stochastic => (stochastic.oversold ? { value: `%K: ${stochastic.k}`, condition: 'Oversold (< 20)' } : null),
+        summary: stochastic => `%K ${stochastic.k} (need <20 oversold)`,
+        trendDescription: '%K above 50',
+        trend: stochastic => (stochastic.k > 50 ? { value: `%K: ${stochastic.k}`, condition: '%K > 50' } : null)
+    });
+
+    IndicatorRegistry.register({
+        key: 'atr',
+        name: 'ATR',
+        label: 'ATR (Average True Range)',
+        icon: '📐',
+        description: 'Volatility filter - triggers when ATR is at least the given percentage of price (enough movement to reach targets)',
+        params: [
+            { key: 'period', label: 'Period', type: 'number', default: 14, min: 5, max: 50, step: 1 },
+            { key: 'minPercent', label: 'Min ATR % of Price', type: 'number', default: 0.5, min: 0.05, max: 10, step: 0.05 }
+        ],
+        outputs: [
+            { key: 'atr', label: 'ATR (price units)', type: 'number' },
+            { key: 'atrPercent', label: 'ATR % of close', type: 'number' }
+        ],
+        minCandles: ({ period }) => period + 1,
+        calculate(candles, { period }) {
+            const atr = atrSeries(candles, period)[candles.length - 1];
+            const close = candles[candles.length - 1].close;
+
+            return {
+                atr,
+                atrPercent: round((atr / close) * 100, 4)
+            };
+        },
+        signal: (atr, { minPercent }) => (atr.atrPercent >= minPercent
+            ? { value: `${atr.atrPercent}%`, condition: `ATR >= ${minPercent}% of price` }
+            : null),
+        summary: (atr, { minPercent }) => `ATR ${atr.atrPercent}% of price (need >=${minPercent}%)`
+    });
+
+    IndicatorRegistry.register({
+        key: 'adx',
+        name: 'ADX',
+        label: 'ADX (Average Directional Index)',
+        icon: '🧭',
+        description: 'Triggers when ADX shows a strong trend and +DI is above -DI (strong uptrend)',
+        params: [
+            { key: 'period', label: 'Period', type: 'number', default: 14, min: 5, max: 50, step: 1 },
+            { key: 'threshold', label: 'Min ADX', type: 'number', default: 25, min: 10, max: 60, step: 1 }
+        ],
+        outputs: [
+            { key: 'adx', label: 'ADX', type: 'number' },
+            { key: 'plusDI', label: '+DI', type: 'number' },
+            { key: 'minusDI', label: '-DI', type: 'number' }
+        ],
+        minCandles: ({ period }) => period * 2,
+        calculate(candles, { period }) {
+            let smoothedTR = 0;
+            let smoothedPlus = 0;
+            let smoothedMinus = 0;
+            let plusDI = 0;
+            let minusDI = 0;
+            const dxValues = [];
+
+            for (let i = 1; i < candles.length; i++) {
+                const upMove = candles[i].high - candles[i - 1].high;
+                const downMove = candles[i - 1].low - candles[i].low;
+                const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+                const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+                const tr = trueRange(candles, i);
+
+                // Wilder running sums: plain sum over the first period, then smoothed
+                if (i <= period) {
+                    smoothedTR += tr;
+                    smoothedPlus += plusDM;
+                    smoothedMinus += minusDM;
+                    if (i < period) continue;
+                } else {
+                    smoothedTR = smoothedTR - smoothedTR / period + tr;
+                    smoothedPlus = smoothedPlus - smoothedPlus / period + plusDM;
+                    smoothedMinus = smoothedMinus - smoothedMinus / period + minusDM;
+                }
+
+                plusDI = smoothedTR > 0 ? (smoothedPlus / smoothedTR) * 100 : 0;
+                minusDI = smoothedTR > 0 ? (smoothedMinus / smoothedTR) * 100 : 0;
+                const diSum = plusDI + minusDI;
+                dxValues.push(diSum > 0 ? (Math.abs(plusDI - minusDI) / diSum) * 100 : 0);
+            }
+
+            let adx = dxValues.slice(0, period).reduce((a, b) => a + b, 0) / period;
+            for (let i = period; i < dxValues.length; i++) {
+                adx = (adx * (period - 1) + dxValues[i]) / period;
+            }
+
+            return {
+                adx: round(adx, 2),
+                plusDI: round(plusDI, 2),
+                minusDI: round(minusDI, 2)
+            };
+        },
+        signal: (adx, { threshold }) => (adx.adx >= threshold && adx.plusDI > adx.minusDI
+            ? { value: adx.adx, condition: `ADX >= ${threshold} with +DI > -DI` }
+            : null),
+        summary: (adx, { threshold }) => `ADX ${adx.adx} (+DI ${adx.plusDI} / -DI ${adx.minusDI}, need >=${threshold} and +DI > -DI)`
+    });
+
+    IndicatorRegistry.register({
+        key: 'vwap',
+        name: 'VWAP',
+        label: 'VWAP (Volume Weighted Average Price)',
+        icon: '⚖️',
+        description: 'Rolling VWAP over the lookback - triggers when price crosses above (or trades above) VWAP',
+        params: [
+            { key: 'period', label: 'Lookback Candles', type: 'number', default: 20, min: 5, max: 500, step: 1 },
+            {
+                key: 'mode',
+                label: 'Trigger',
+                type: 'select',
+                default: 'cross_above',
+                options: [
+                    { value: 'cross_above', label: 'Price crosses above VWAP' },
+                    { value: 'above', label: 'Price above VWAP' }
+                ]
+            }
+        ],
+        outputs: [
+            { key: 'vwap', label: 'VWAP', type: 'number' },
+            { key: 'distancePercent', label: 'Close vs VWAP %', type: 'number' },
+            { key: 'crossAbove', label: 'Crossed above', type: 'boolean' }
+        ],
+        minCandles: ({ period }) => period + 1,
+        calculate(candles, { period }) {
+            const last = candles.length - 1;
+            const vwap = rollingVWAP(candles, last, period);
+            const prevVWAP = rollingVWAP(candles, last - 1, period);
+            const close = candles[last].close;
+
+            return {
+                vwap: round(vwap, 6),
+                distancePercent: round(((close - vwap) / vwap) * 100, 4),
+                crossAbove: candles[last - 1].close <= prevVWAP && close > vwap
+            };
+        },
+        signal(vwap, { mode }) {
+            if (mode === 'above') {
+                return vwap.distancePercent > 0 ? { value: vwap.vwap, condition: 'Price above VWAP' } : null;
+            }
+            return vwap.crossAbove ? { value: vwap.vwap, condition: 'Price crossed above VWAP' } : null;
+        },
+        summary: (vwap, { mode }) => `VWAP ${vwap.vwap} (close ${vwap.distancePercent}%, need ${mode === 'above' ? 'above' : 'fresh cross above'})`,
+        trendDescription: 'Price above VWAP',
+        trend: vwap => (vwap.distancePercent > 0 ? { value: vwap.vwap, condition: 'Price above VWAP' } : null)
+    });
+
+    IndicatorRegistry.register({
+        key: 'obv',
+        name: 'OBV',
+        label: 'OBV (On-Balance Volume)',
+        icon: '🌊',
+        description: 'Triggers when OBV is above its moving average and rising (volume confirming buyers)',
+        params: [
+            { key: 'period', label: 'OBV MA Period', type: 'number', default: 20, min: 5, max: 100, step: 1 }
+        ],
+        outputs: [
+            { key: 'obv', label: 'OBV', type: 'number' },
+            { key: 'obvMA', label: 'OBV moving average', type: 'number' },
+            { key: 'rising', label: 'Rising', type: 'boolean' }
+        ],
+        minCandles: ({ period }) => period + 1,
+        calculate(candles, { period }) {
+            const series = [0];
+            for (let i = 1; i < candles.length; i++) {
+                const change = candles[i].close - candles[i - 1].close;
+                const direction = change > 0 ? 1 : (change < 0 ? -1 : 0);
+                series.push(series[i - 1] + direction * candles[i].volume);
+            }
+
+            const obv = series[series.length - 1];
+            return {
+                obv: round(obv, 2),
+                obvMA: round(sma(series, period), 2),
+                rising: obv > series[series.length - 2]
+            };
+        },
+        signal: obv => (obv.obv > obv.obvMA && obv.rising
+            ? { value: obv.obv, condition: 'OBV above MA and rising' }
+            : null),
+        summary: obv => `OBV ${obv.obv} vs MA ${obv.obvMA}${obv.rising ? ' (rising)' : ''} (need above MA and rising)`,
+        trendDescription: 'OBV above its moving average',
+        trend: obv => (obv.obv > obv.obvMA ? { value: obv.obv, condition: 'OBV above MA' } : null)
+    });
+
+    IndicatorRegistry.register({
+        key: 'ichimoku',
+        name: 'Ichimoku',
+        label: 'Ichimoku Cloud',
+        icon: '☁️',
+        description: 'Triggers when price is above the cloud and Tenkan-sen is above Kijun-sen',
+        params: [
+            { key: 'tenkan', label: 'Tenkan Period', type: 'number', default: 9, min: 5, max: 30, step: 1 },
+            { key: 'kijun', label: 'Kijun Period', type: 'number', default: 26, min: 10, max: 60, step: 1 },
+            { key: 'senkouB', label: 'Senkou B Period', type: 'number', default: 52, min: 20, max: 120, step: 1 }
+        ],
+        outputs: [
+            { key: 'tenkan', label: 'Tenkan-sen', type: 'number' },
+            { key: 'kijun', label: 'Kijun-sen', type: 'number' },
+            { key: 'senkouA', label: 'Senkou Span A (current cloud)', type: 'number' },
+            { key: 'senkouB', label: 'Senkou Span B (current cloud)', type: 'number' },
+            { key: 'aboveCloud', label: 'Close above cloud', type: 'boolean' }
+        ],
+        // Current cloud was plotted `kijun` candles ago from a `senkouB` window
+        minCandles: ({ kijun, senkouB }) => Math.max(senkouB, kijun) + kijun,
+        calculate(candles, params) {
+            const last = candles.length - 1;
+            const displaced = last - params.kijun;
+            const tenkan = midpoint(candles, last, params.tenkan);
+            const kijun = midpoint(candles, last, params.kijun);
+            const senkouA = (midpoint(candles, displaced, params.tenkan) + midpoint(candles, displaced, params.kijun)) / 2;
+            const senkouB = midpoint(candles, displaced, params.senkouB);
+
+            return {
+                tenkan: round(tenkan, 6),
+                kijun: round(kijun, 6),
+                senkouA: round(senkouA, 6),
+                senkouB: round(senkouB, 6),
+                aboveCloud: candles[last].close > Math.max(senkouA, senkouB)
+            };
+        },
+        signal: ichimoku => (ichimoku.aboveCloud && ichimoku.tenkan > ichimoku.kijun
+            ? { value: `${ichimoku.tenkan} / ${ichimoku.kijun}`, condition: 'Above cloud, Tenkan > Kijun' }
+            : null),
+        summary: ichimoku => `Tenkan ${ichimoku.tenkan} / Kijun ${ichimoku.kijun}, ${ichimoku.aboveCloud ? 'above' : 'not above'} cloud (need above cloud, Tenkan > Kijun)`,
+        trendDescription: 'Price above the cloud',
+        trend: ichimoku => (ichimoku.aboveCloud ? { value: ichimoku.tenkan, condition: 'Price above cloud' } : null)
+    });
+
+    IndicatorRegistry.register({
+        key: 'supertrend',
+        name: 'Supertrend',
+        label: 'Supertrend',
+        icon: '🚀',
+        description: 'ATR trailing band - triggers when Supertrend flips to an uptrend (or while it is in one)',
+        params: [
+            { key: 'period', label: 'ATR Period', type: 'number', default: 10, min: 5, max: 50, step: 1 },
+            { key: 'multiplier', label: 'ATR Multiplier', type: 'number', default: 3, min: 1, max: 6, step: 0.1 },
+            {
+                key: 'mode',
+                label: 'Trigger',
+                type: 'select',
+                default: 'flip_up',
+                options: [
+                    { value: 'flip_up', label: 'Flips to uptrend' },
+                    { value: 'uptrend', label: 'In uptrend' }
+                ]
+            }
+        ],
+        outputs: [
+            { key: 'supertrend', label: 'Supertrend line', type: 'number' },
+            { key: 'direction', label: "Direction ('up' | 'down')", type: 'string' },
+            { key: 'flippedUp', label: 'Flipped up this candle', type: 'boolean' }
+        ],
+        minCandles: ({ period }) => period + 2,
+        calculate(candles, { period, multiplier }) {
+            const atr = atrSeries(candles, period);
+            let finalUpper = null;
+            let finalLower = null;
+            let direction = null;
+            let previousDirection = null;
+
+            for (let i = period; i < candles.length; i++) {
+                const { high, low, close } = candles[i];
+                const hl2 = (high + low) / 2;
+                const basicUpper = hl2 + multiplier * atr[i];
+                const basicLower = hl2 - multiplier * atr[i];
+
+                if (direction === null) {
+                    finalUpper = basicUpper;
+                    finalLower = basicLower;
+                    direction = close >= hl2 ? 'up' : 'down';
+                    continue;
+                }
+
+                // Bands only tighten unless the previous close broke through them
+                const prevClose = candles[i - 1].close;
+                finalUpper = basicUpper < finalUpper || prevClose > finalUpper ? basicUpper : finalUpper;
+                finalLower = basicLower > finalLower || prevClose < finalLower ? basicLower : finalLower;
+
+                previousDirection = direction;
+                if (direction === 'up' && close < finalLower) {
+                    direction = 'down';
+                } else if (direction === 'down' && close > finalUpper) {
+                    direction = 'up';
+                }
+            }
+
+            return {
+                supertrend: round(direction === 'up' ? finalLower : finalUpper, 6),
+                direction,
+                flippedUp: previousDirection === 'down' && direction === 'up'
+            };
+        },
+        signal(supertrend, { mode }) {
+            if (mode === 'uptrend') {
+                return supertrend.direction === 'up' ? { value: supertrend.supertrend, condition: 'Supertrend uptrend' } : null;
+            }
+            return supertrend.flippedUp ? { value: supertrend.supertrend, condition: 'Supertrend flipped up' } : null;
+        },
+        summary: (supertrend, { mode }) => `Supertrend ${supertrend.supertrend} (${supertrend.direction}, need ${mode === 'uptrend' ? 'uptrend' : 'fresh flip up'})`,
+        trendDescription: 'Supertrend in an uptrend',
+        trend: supertrend => (supertrend.direction === 'up' ? { value: supertrend.supertrend, condition: 'Supertrend uptrend' } : null)
+    });
+
+    IndicatorRegistry.register({
+        key: 'keltner',
+        name: 'Keltner Channels',
+        label: 'Keltner Channels',
+        icon: '🛤️',
+        description: 'EMA ± ATR channel - triggers near the lower channel (pullback) or on a close above the upper channel (breakout)',
+        params: [
+            { key: 'period', label: 'EMA Period', type: 'number', default: 20, min: 5, max: 100, step: 1 },
+            { key: 'atrPeriod', label: 'ATR Period', type: 'number', default: 10, min: 5, max: 50, step: 1 },
+            { key: 'multiplier', label: 'ATR Multiplier', type: 'number', default: 2, min: 0.5, max: 5, step: 0.1 },
+            {
+                key: 'mode',
+                label: 'Trigger',
+                type: 'select',
+                default: 'near_lower',
+                options: [
+                    { value: 'near_lower', label: 'Price near lower channel' },
+                    { value: 'breakout_upper', label: 'Close above upper channel' }
+                ]
+            }
+        ],
+        outputs: [
+            { key: 'upper', label: 'Upper channel', type: 'number' },
+            { key: 'middle', label: 'Middle (EMA)', type: 'number' },
+            { key: 'lower', label: 'Lower channel', type: 'number' },
+            { key: 'position', label: 'Close position in channel (0 = lower, 1 = upper)', type: 'number' }
+        ],
+        minCandles: ({ period, atrPeriod }) => Math.max(period, atrPeriod + 1),
+        calculate(candles, { period, atrPeriod, multiplier }) {
+            const middle = ema(candles.map(c => c.close), period);
+            const atr = atrSeries(candles, atrPeriod)[candles.length - 1];
+            const upper = middle + multiplier * atr;
+            const lower = middle - multiplier * atr;
+            const close = candles[candles.length - 1].close;
+
+            return {
+                upper: round(upper, 6),
+                middle: round(middle, 6),
+                lower: round(lower, 6),
+                position: upper > lower ? round((close - lower) / (upper - lower), 4) : 0.5
+            };
+        },
+        signal(keltner, { mode }) {
+            if (mode === 'breakout_upper') {
+                return keltner.position > 1 ? { value: keltner.position, condition: 'Close above upper channel' } : null;
+            }
+            return keltner.position < 0.2 ? { value: keltner.position, condition: 'Price near lower channel' } : null;
+        },
+        summary: (keltner, { mode }) => `Channel position ${keltner.position} (need ${mode === 'breakout_upper' ? '>1 breakout' : '<0.2 near lower channel'})`,
+        trendDescription: 'Price above the channel middle',
+        trend: keltner => (keltner.position > 0.5 ? { value: keltner.position, condition: 'Price above channel middle' } : null)
+    });
+
+    return IndicatorRegistry;
+});
@@ -104,8 +104,9 @@ const MomentumWorker = {
             console.log(`⏰ Time: ${new Date().toLocaleString()}`);
             console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
-            // Get all active strategies (across all users and exchanges) via API
-            const activeStrategies = await this._getAllActiveStrategies();
+            // Get all active strategies (across all users and exchanges) via API,
+            // minus those the server-side worker is already running
+            const activeStrategies = await this._withoutServerWorker(await this._getAllActiveStrategies());
 
             if (!activeStrategies || activeStrategies.length === 0) {
                 console.log('📭 No active strategies found');
@@ -202,6 +203,40 @@ const MomentumWorker = {
         }
     },
 
+    /**
+     * Drop strategies whose user/exchange has an active server-side worker session
+     * (the server then handles entries, exits and reconciliation)
+     * @private
+     * @param {Array} strategies - Active strategies
+     * @returns {Promise<Array>} Strategies this browser worker should run
+     */
+    async _withoutServerWorker(strategies) {
+        if (!strategies || strategies.length === 0) {
+            return strategies;
+        }
+
+        const serverSessions = new Set();
+        const userIds = [...new Set(strategies.map(s => s.user_id))];
+
+        for (const userId of userIds) {
+            try {
+                const response = await fetch(`/api/v1/momentum/worker/status?userId=${encodeURIComponent(userId)}`);
+                if (!response.ok) continue;
+
+                const { data } = await response.json();
+                (data || []).forEach(session => serverSessions.add(`${userId}:${session.exchange}`));
+            } catch (error) {
+                console.warn('Could not check server-side worker status', error.message);
+            }
+        }
+
+        if (serverSessions.size > 0) {
+            console.log(`🖥️  ${serverSessions.size} exchange(s) handled by the server-side worker - skipping here`);
+        }
+
+        return strategies.filter(s => !serverSessions.has(`${s.user_id}:${s.exchange.toLowerCase()}`));
+    },
+
     /**
      * Process a single strategy (check positions and signals)
      * @private
@@ -350,8 +385,9 @@ const MomentumWorker = {
             const pair = `${asset}USDT`;
 
             // Fetch candle data via API
-            // Use strategy's configured timeframe (1m/5m/15m)
-            // Binance allows up to 1000 candles - request maximum for best indicator accuracy
+            // Use strategy's configured timeframe (1m/5m/15m/30m/1h/4h/1d)
+            // Candles come from the strategy's exchange (local store, Binance fallback when its history is short)
+            // Request up to 1000 candles for best indicator accuracy
             // 1000 candles: 1m = ~16.7 hours, 5m = ~3.5 days, 15m = ~10.4 days of historical data
             const timeframe = strategy.timeframe || '5m'; // Default to 5m if not set
             const candleResponse = await fetch('/api/v1/momentum/market/candles', {
@@ -387,25 +423,15 @@ const MomentumWorker = {
 
             console.log(`   📊 Candles fetched: ${candles.length} (${candles[0].timestamp} to ${candles[candles.length - 1].timestamp})`);
 
-            // Check entry signals using SignalDetection
+            // Check entry signals using SignalDetection (higher-timeframe confirmation when configured)
             const signalResult = await SignalDetection.checkEntrySignals(
                 candles,
-                strategy
+                strategy,
+                { confirmationCandles: await this._fetchConfirmationCandles(pair, strategy, credentials) }
             );
 
-            // Get requirement text based on entry logic
-            const getRequirementText = (entryLogic) => {
-                switch(entryLogic) {
-                    case 'any_1': return '1+';
-                    case 'all': return 'all';
-                    case '3_out_of_4': return '3+';
-                    case '2_out_of_3':
-                    default: return '2+';
-                }
-            };
-
             // Debug: Show indicator values and which ones triggered
-            console.log(`   🔍 Indicators: ${signalResult.triggeredCount}/${signalResult.totalEnabled} triggered (need ${getRequirementText(strategy.entry_logic)})`);
+            console.log(`   🔍 Indicators: ${signalResult.triggeredCount}/${signalResult.totalEnabled} triggered (need ${EntryLogic.describe(strategy.entry_logic, strategy.entry_indicators?.logic)})`);
             if (signalResult.indicatorValues) {
                 console.log(`      📊 RSI: ${signalResult.indicatorValues.rsi?.toFixed(2) || 'N/A'}`);
                 console.log(`      📈 Volume: ${signalResult.indicatorValues.volume?.volumeRatio?.toFixed(2) || 'N/A'}x avg`);
@@ -419,6 +445,12 @@ const MomentumWorker = {
             } else {
                 console.log(`      ❌ No indicators triggered`);
             }
+            if (signalResult.confirmation) {
+                const { confirmation } = signalResult;
+                console.log(confirmation.confirmed
+                    ? `      🕐 ${confirmation.timeframe} confirmed: ${confirmation.triggeredIndicators.map(i => i.name).join(', ')}`
+                    : `      🕐 ${confirmation.reason}`);
+            }
 
             return {
                 asset,
@@ -438,6 +470,39 @@ const MomentumWorker = {
         }
     },
 
+    /**
+     * Higher-timeframe candles for the strategy's entry confirmation
+     * @private
+     * @returns {Promise<Array|null>} Candles, or null when the strategy has no confirmation
+     */
+    async _fetchConfirmationCandles(pair, strategy, credentials) {
+        const confirmation = SignalDetection.getConfirmation(strategy);
+        if (!confirmation) {
+            return null;
+        }
+
+        const response = await fetch('/api/v1/momentum/market/candles', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                exchange: strategy.exchange,
+                pair,
+                interval: confirmation.timeframe,
+                limit: confirmation.candleLimit,
+                credentials
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${confirmation.timeframe} confirmation candles: ${response.statusText}`);
+        }
+
+        const { data } = await response.json();
+        return data || [];
+    },
+
     /**
      * Check entry signals for all assets in a strategy
      * @private
@@ -763,9 +828,14 @@ const MomentumWorker = {
                             bollinger: signalResult.indicatorValues?.bollinger?.percentB || null,
                             stochastic: signalResult.indicatorValues?.stochastic?.k || null
                         },
+                        // Registry indicators without a dedicated display line
+                        summaries: signalResult.indicatorSummaries || {},
+                        results: signalResult.indicatorResults || {},
                         triggeredCount: signalResult.triggeredCount || 0,
                         totalEnabled: signalResult.totalEnabled || 0,
-                        triggeredIndicators: signalResult.triggeredIndicators || []
+                        score: signalResult.score || 0,
+                        triggeredIndicators: signalResult.triggeredIndicators || [],
+                        confirmation: signalResult.confirmation || null
                     };
                 }
             });
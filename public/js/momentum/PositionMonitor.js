@@ -3,6 +3,9 @@
 // Frontend version - converted from backend PositionMonitorService.js
 
 const PositionMonitor = {
+    // A close order filling less than this share below the requested quantity is a partial fill
+    PARTIAL_FILL_TOLERANCE: 0.02,
+
     /**
      * Monitor all open positions for a user
      * @param {string} userId - User ID
@@ -61,7 +64,16 @@ const PositionMonitor = {
 
                     console.log(`   Decision: shouldExit=${shouldClose.shouldExit}, reason=${shouldClose.reason || 'none'}`);
 
-                    if (shouldClose.shouldExit) {
+                    if (shouldClose.shouldExit && shouldClose.partial) {
+                        // Scaled take-profit target - sell part, keep the position open
+                        console.log(`   ➜ Taking target ${shouldClose.targetIndex + 1} on position ${position.id}`);
+                        await this._partialClosePosition(
+                            position,
+                            shouldClose,
+                            exchange,
+                            credentials
+                        );
+                    } else if (shouldClose.shouldExit) {
                         // Execute exit order
                         console.log(`   ➜ Closing position ${position.id} due to ${shouldClose.reason}`);
                         const closedPosition = await this._closePosition(
@@ -72,7 +84,10 @@ const PositionMonitor = {
                             credentials
                         );
 
-                        closedPositions.push(closedPosition);
+                        // A partially filled close order leaves the position OPEN
+                        if (closedPosition.status === 'CLOSED') {
+                            closedPositions.push(closedPosition);
+                        }
                     } else {
                         console.log(`   ➜ Position ${position.id} does not meet exit conditions yet`);
                     }
@@ -163,9 +178,23 @@ const PositionMonitor = {
             const exitSignal = SignalDetection.checkExitSignals(
                 position,
                 currentPrice,
-                strategy.exit_rules
+                strategy.exit_rules,
+                await this._exitContext(position, strategy)
             );
 
+            // Persist trailing / break-even stop movement (non-fatal - recomputed next cycle)
+            if (exitSignal.state?.changed) {
+                try {
+                    await fetch(`/api/v1/momentum/positions/${position.id}/exit-state`, {
+                        method: 'PUT',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ userId: position.user_id, ...exitSignal.state })
+                    });
+                } catch (error) {
+                    console.warn('Failed to save exit state', { positionId: position.id, error: error.message });
+                }
+            }
+
             console.log('📊 Exit signal result:', {
                 positionId: position.id,
                 shouldExit: exitSignal.shouldExit,
@@ -187,6 +216,186 @@ const PositionMonitor = {
         }
     },
 
+    /**
+     * ATR for ATR-based trailing stops (on the strategy's timeframe)
+     * @private
+     * @param {object} position - Position object
+     * @param {object} strategy - Strategy configuration
+     * @returns {Promise<object>} { atr } or {}
+     */
+    async _exitContext(position, strategy) {
+        const trailingStop = strategy.exit_rules?.trailingStop;
+        if (!trailingStop?.enabled || trailingStop.type !== 'atr') {
+            return {};
+        }
+
+        const period = trailingStop.atrPeriod || 14;
+        const response = await fetch('/api/v1/momentum/market/candles', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                exchange: position.exchange,
+                pair: position.pair,
+                interval: strategy.timeframe || '5m',
+                limit: Math.max(100, period * 4)
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch candles for ATR: ${response.statusText}`);
+        }
+
+        const { data: candles } = await response.json();
+        return { atr: Indicators.calculateATR(candles, period) };
+    },
+
+    /**
+     * Take a scaled take-profit target: claim it, sell its share, record the partial exit
+     * @private
+     * @param {object} position - Position object
+     * @param {object} exitSignal - Exit signal ({ quantity, targetIndex, reason, currentPrice })
+     * @param {string} exchange - Exchange name
+     * @param {object} credentials - Exchange credentials
+     * @returns {Promise<object>} { position, exit }
+     */
+    async _partialClosePosition(position, exitSignal, exchange, credentials) {
+        // STEP 1: Claim the target so it is never sold twice
+        const claimResponse = await this._fetchWithTimeout(
+            `/api/v1/momentum/positions/${position.id}/target-hit`,
+            {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ userId: position.user_id, targetIndex: exitSignal.targetIndex })
+            },
+            10000
+        );
+
+        if (!claimResponse.ok) {
+            console.warn(`Target ${exitSignal.targetIndex + 1} of position ${position.id} already taken - skipping`);
+            return null;
+        }
+
+        // STEP 2: Sell the target's share
+        const orderResponse = await this._fetchWithTimeout(
+            '/api/v1/momentum/order/sell',
+            {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    exchange,
+                    pair: position.pair,
+                    quantity: exitSignal.quantity,
+                    credentials
+                })
+            },
+            60000
+        );
+
+        if (!orderResponse.ok) {
+            const errorText = await orderResponse.text();
+            throw new Error(`Failed to execute partial sell order: ${orderResponse.status} - ${errorText}`);
+        }
+
+        const { data: sellOrder } = await orderResponse.json();
+        const exitPrice = sellOrder.executedPrice || exitSignal.currentPrice;
+        const exitQuantity = sellOrder.executedQuantity || exitSignal.quantity;
+
+        // STEP 3: Record the partial exit (with retry - the sell has already executed)
+        const result = await this._retryOperation(async () => {
+            const response = await this._fetchWithTimeout(
+                `/api/v1/momentum/positions/${position.id}/partial-close`,
+                {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        userId: position.user_id,
+                        exitPrice,
+                        exitQuantity,
+                        exitFee: sellOrder.fee || (exitPrice * exitQuantity * 0.001),
+                        exitReason: exitSignal.reason,
+                        exitOrderId: sellOrder.orderId,
+                        targetIndex: exitSignal.targetIndex
+                    })
+                },
+                30000
+            );
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Database update failed: ${response.status} - ${errorText}`);
+            }
+
+            return (await response.json()).data;
+        }, 3, 2000);
+
+        console.log('✅ Partial exit recorded', {
+            positionId: position.id,
+            target: exitSignal.targetIndex + 1,
+            exitPrice,
+            exitQuantity,
+            pnlUSDT: result.exit.pnl_usdt,
+            remainingQuantity: result.position.remaining_quantity
+        });
+
+        return result;
+    },
+
+    /**
+     * Record a partially filled close order as a partial exit and reopen the position
+     * @private
+     * @returns {Promise<object>} Reopened position (status OPEN)
+     */
+    async _recordPartialFill(position, reason, sellOrder, exitPrice, exitFee, filledQuantity) {
+        console.warn('⚠️ Close order partially filled - position stays open', {
+            positionId: position.id,
+            filledQuantity,
+            orderId: sellOrder.orderId
+        });
+
+        await this._retryOperation(async () => {
+            const response = await this._fetchWithTimeout(
+                `/api/v1/momentum/positions/${position.id}/partial-close`,
+                {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        userId: position.user_id,
+                        exitPrice,
+                        exitQuantity: filledQuantity,
+                        exitFee,
+                        exitReason: reason,
+                        exitOrderId: sellOrder.orderId
+                    })
+                },
+                30000
+            );
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Database update failed: ${response.status} - ${errorText}`);
+            }
+        }, 3, 2000);
+
+        return await this._retryOperation(async () => {
+            const response = await this._fetchWithTimeout(
+                `/api/v1/momentum/positions/${position.id}/reopen`,
+                {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ userId: position.user_id })
+                },
+                10000
+            );
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Failed to reopen position: ${response.status} - ${errorText}`);
+            }
+
+            return (await response.json()).data;
+        }, 3, 2000);
+    },
+
     /**
      * Close a position by executing sell order
      * @private
@@ -256,6 +465,9 @@ const PositionMonitor = {
         let exitPrice = null;
         let exitFee = null;
 
+        // After scaled take-profit exits only the remaining quantity is still held
+        const quantity = parseFloat(position.remaining_quantity ?? position.entry_quantity);
+
         try {
             console.log('🔐 Closing position', {
                 positionId: position.id,
@@ -263,7 +475,7 @@ const PositionMonitor = {
                 reason,
                 entryPrice: position.entry_price,
                 currentPrice,
-                quantity: position.entry_quantity
+                quantity
             });
 
             // STEP 1: Mark position as CLOSING to prevent duplicate sell attempts
@@ -299,7 +511,7 @@ const PositionMonitor = {
                     body: JSON.stringify({
                         exchange,
                         pair: position.pair,
-                        quantity: position.entry_quantity,
+                        quantity,
                         credentials
                     })
                 },
@@ -316,7 +528,7 @@ const PositionMonitor = {
 
             // Extract sell order data
             exitPrice = sellOrder.executedPrice || currentPrice;
-            const exitValue = sellOrder.executedValue || (exitPrice * position.entry_quantity);
+            const exitValue = sellOrder.executedValue || (exitPrice * quantity);
             exitFee = sellOrder.fee || (exitValue * 0.001); // 0.1% conservative estimate
 
             console.log('✅ SELL order executed successfully', {
@@ -327,6 +539,13 @@ const PositionMonitor = {
                 orderId: sellOrder.orderId
             });
 
+            // Close order filled only part of the position: book the fill as a partial exit and
+            // reopen the position so the next check sells the rest
+            const filledQuantity = sellOrder.executedQuantity || quantity;
+            if (filledQuantity < quantity * (1 - this.PARTIAL_FILL_TOLERANCE)) {
+                return await this._recordPartialFill(position, reason, sellOrder, exitPrice, exitFee, filledQuantity);
+            }
+
             // STEP 3: Update database with retry logic
             console.log('💾 STEP 3: Updating database (with retry)...');
             const closedPosition = await this._retryOperation(async () => {
@@ -337,7 +556,7 @@ const PositionMonitor = {
                         headers: { 'Content-Type': 'application/json' },
                         body: JSON.stringify({
                             exitPrice: exitPrice,
-                            exitQuantity: position.entry_quantity,
+                            exitQuantity: sellOrder.executedQuantity || quantity,
                             exitFee: exitFee,
                             exitReason: reason,
                             exitOrderId: sellOrder.orderId
@@ -380,7 +599,7 @@ const PositionMonitor = {
                         positionId: position.id,
                         strategyId: position.strategy_id,
                         pair: position.pair,
-                        quantity: position.entry_quantity,
+                        quantity,
                         action: 'position_close',
                         exitReason: reason,
                         holdTimeMinutes: ((Date.now() - new Date(position.entry_time).getTime()) / (1000 * 60)).toFixed(2),
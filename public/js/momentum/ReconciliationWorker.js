@@ -109,6 +109,14 @@ const ReconciliationWorker = {
                     .map(s => s.exchange)
             )];
 
+            // Exchanges with a server-side worker session are reconciled on the server
+            const statusResponse = await fetch(`/api/v1/momentum/worker/status?userId=${encodeURIComponent(userId)}`);
+            if (statusResponse.ok) {
+                const { data: sessions } = await statusResponse.json();
+                const serverExchanges = new Set((sessions || []).map(session => session.exchange));
+                return exchanges.filter(exchange => !serverExchanges.has(exchange.toLowerCase()));
+            }
+
             return exchanges;
 
         } catch (error) {
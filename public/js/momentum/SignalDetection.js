@@ -3,13 +3,31 @@
 // Frontend version - converted from backend SignalDetectionService.js
 
 const SignalDetection = {
+    // Strategy and confirmation timeframes
+    TIMEFRAME_MS: {
+        '1m': 60 * 1000,
+        '5m': 5 * 60 * 1000,
+        '15m': 15 * 60 * 1000,
+        '30m': 30 * 60 * 1000,
+        '1h': 60 * 60 * 1000,
+        '4h': 4 * 60 * 60 * 1000,
+        '1d': 24 * 60 * 60 * 1000
+    },
+
+    // Higher-timeframe candles requested for confirmation (more when an indicator needs a longer warm-up)
+    CONFIRMATION_CANDLES: 300,
+    MAX_CONFIRMATION_CANDLES: 1000,
+
     /**
      * Check for entry signals based on strategy configuration
+     * With higher-timeframe confirmation configured the entry also needs the confirmation
+     * indicators in their bullish state on context.confirmationCandles
      * @param {Array} candles - Array of candles with OHLCV data
      * @param {Object} strategy - Strategy configuration
-     * @returns {Object} {shouldEnter, triggeredIndicators, indicatorValues}
+     * @param {Object} context - { confirmationCandles, timeframe } (timeframe of candles, default strategy.timeframe)
+     * @returns {Object} {shouldEnter, triggeredIndicators, indicatorValues, indicatorResults, indicatorSummaries, triggeredCount, totalEnabled, score, confirmation}
      */
-    async checkEntrySignals(candles, strategy) {
+    async checkEntrySignals(candles, strategy, context = {}) {
         try {
             const { entry_indicators, entry_logic } = strategy;
 
@@ -17,178 +35,46 @@ const SignalDetection = {
             const indicatorResults = {};
             const triggeredIndicators = [];
             const indicatorValues = {};
+            const indicatorSummaries = {};
 
-            // RSI
-            if (entry_indicators.rsi && entry_indicators.rsi.enabled) {
+            // Every enabled indicator the registry knows (unknown keys are ignored)
+            for (const key of IndicatorRegistry.enabledKeys(entry_indicators)) {
+                const definition = IndicatorRegistry.get(key);
                 try {
-                    const rsi = Indicators.calculateRSI(
-                        candles,
-                        entry_indicators.rsi.period
-                    );
-                    indicatorValues.rsi = rsi;
-
-                    // Check if RSI is oversold (buy signal)
-                    if (rsi < entry_indicators.rsi.oversold) {
-                        indicatorResults.rsi = true;
-                        triggeredIndicators.push({
-                            name: 'RSI',
-                            value: rsi,
-                            condition: `< ${entry_indicators.rsi.oversold} (Oversold)`
-                        });
-                    } else {
-                        indicatorResults.rsi = false;
-                    }
-                } catch (error) {
-                    console.warn('RSI calculation failed for signal detection', error.message);
-                    indicatorResults.rsi = false;
-                }
-            }
+                    const result = IndicatorRegistry.evaluate(key, candles, entry_indicators[key]);
+                    indicatorValues[key] = result.value;
+                    indicatorResults[key] = result.triggered;
+                    indicatorSummaries[key] = result.summary;
 
-            // Volume Spike
-            if (entry_indicators.volume && entry_indicators.volume.enabled) {
-                try {
-                    const volumeSpike = Indicators.calculateVolumeSpike(
-                        candles,
-                        entry_indicators.volume.period,
-                        entry_indicators.volume.multiplier
-                    );
-                    indicatorValues.volume = volumeSpike;
-
-                    if (volumeSpike.isSpike) {
-                        indicatorResults.volume = true;
-                        triggeredIndicators.push({
-                            name: 'Volume Spike',
-                            value: volumeSpike.volumeRatio,
-                            condition: `${volumeSpike.volumeRatio}x average (>${entry_indicators.volume.multiplier}x)`
-                        });
-                    } else {
-                        indicatorResults.volume = false;
+                    if (result.triggered) {
+                        triggeredIndicators.push(result.trigger);
                     }
                 } catch (error) {
-                    console.warn('Volume calculation failed for signal detection', error.message);
-                    indicatorResults.volume = false;
-                }
-            }
-
-            // MACD
-            if (entry_indicators.macd && entry_indicators.macd.enabled) {
-                try {
-                    const macd = Indicators.calculateMACD(
-                        candles,
-                        entry_indicators.macd.fast,
-                        entry_indicators.macd.slow,
-                        entry_indicators.macd.signal
-                    );
-                    indicatorValues.macd = macd;
-
-                    // Check for bullish crossover
-                    if (macd.crossover) {
-                        indicatorResults.macd = true;
-                        triggeredIndicators.push({
-                            name: 'MACD',
-                            value: macd.histogram,
-                            condition: 'Bullish Crossover'
-                        });
-                    } else {
-                        indicatorResults.macd = false;
-                    }
-                } catch (error) {
-                    console.warn('MACD calculation failed for signal detection', error.message);
-                    indicatorResults.macd = false;
-                }
-            }
-
-            // EMA Crossover (if added in future)
-            if (entry_indicators.ema && entry_indicators.ema.enabled) {
-                try {
-                    const ema = Indicators.calculateEMACrossover(
-                        candles,
-                        entry_indicators.ema.fast,
-                        entry_indicators.ema.slow
-                    );
-                    indicatorValues.ema = ema;
-
-                    if (ema.crossover) {
-                        indicatorResults.ema = true;
-                        triggeredIndicators.push({
-                            name: 'EMA Crossover',
-                            value: `${ema.fastEMA} / ${ema.slowEMA}`,
-                            condition: 'Fast crossed above Slow'
-                        });
-                    } else {
-                        indicatorResults.ema = false;
-                    }
-                } catch (error) {
-                    console.warn('EMA calculation failed for signal detection', error.message);
-                    indicatorResults.ema = false;
-                }
-            }
-
-            // Bollinger Bands (if added in future)
-            if (entry_indicators.bollinger && entry_indicators.bollinger.enabled) {
-                try {
-                    const bb = Indicators.calculateBollingerBands(
-                        candles,
-                        entry_indicators.bollinger.period,
-                        entry_indicators.bollinger.stdDev
-                    );
-                    indicatorValues.bollinger = bb;
-
-                    if (bb.nearLowerBand) {
-                        indicatorResults.bollinger = true;
-                        triggeredIndicators.push({
-                            name: 'Bollinger Bands',
-                            value: bb.percentB,
-                            condition: 'Price near lower band'
-                        });
-                    } else {
-                        indicatorResults.bollinger = false;
-                    }
-                } catch (error) {
-                    console.warn('Bollinger Bands calculation failed for signal detection', error.message);
-                    indicatorResults.bollinger = false;
-                }
-            }
-
-            // Stochastic Oscillator
-            if (entry_indicators.stochastic && entry_indicators.stochastic.enabled) {
-                try {
-                    const stochastic = Indicators.calculateStochastic(
-                        candles,
-                        entry_indicators.stochastic.period,
-                        entry_indicators.stochastic.smoothK,
-                        entry_indicators.stochastic.smoothD
-                    );
-                    indicatorValues.stochastic = stochastic;
-
-                    if (stochastic.oversold) {
-                        indicatorResults.stochastic = true;
-                        triggeredIndicators.push({
-                            name: 'Stochastic',
-                            value: `%K: ${stochastic.k}`,
-                            condition: 'Oversold (< 20)'
-                        });
-                    } else {
-                        indicatorResults.stochastic = false;
-                    }
-                } catch (error) {
-                    console.warn('Stochastic calculation failed for signal detection', error.message);
-                    indicatorResults.stochastic = false;
+                    console.warn(`${definition.name} calculation failed for signal detection`, error.message);
+                    indicatorResults[key] = false;
                 }
             }
 
             // Determine if entry signal is triggered based on entry logic
             const shouldEnter = this._evaluateEntryLogic(
                 indicatorResults,
-                entry_logic
+                entry_logic,
+                entry_indicators && entry_indicators.logic
             );
 
+            // Higher-timeframe confirmation gates the entry
+            const confirmation = this._checkConfirmation(candles, strategy, context);
+
             return {
-                shouldEnter,
+                shouldEnter: shouldEnter && (!confirmation || confirmation.confirmed),
                 triggeredIndicators,
                 indicatorValues,
+                indicatorResults,
+                indicatorSummaries,
                 triggeredCount: triggeredIndicators.length,
-                totalEnabled: Object.keys(indicatorResults).length
+                totalEnabled: Object.keys(indicatorResults).length,
+                score: EntryLogic.score(indicatorResults, entry_indicators && entry_indicators.logic),
+                confirmation
             };
 
         } catch (error) {
@@ -200,31 +86,142 @@ const SignalDetection = {
         }
     },
 
+    /**
+     * Higher-timeframe confirmation settings of a strategy (entry_indicators.confirmation)
+     * See SignalDetectionService.getConfirmation for the format
+     * @param {Object} strategy - Strategy configuration
+     * @returns {Object|null} { timeframe, logic, indicators, keys, candleLimit } or null when not configured
+     */
+    getConfirmation(strategy) {
+        const confirmation = strategy.entry_indicators && strategy.entry_indicators.confirmation;
+        if (!confirmation || !confirmation.enabled || !this.TIMEFRAME_MS[confirmation.timeframe]) {
+            return null;
+        }
+
+        const keys = IndicatorRegistry.enabledKeys(confirmation.indicators);
+        if (keys.length === 0) {
+            return null;
+        }
+
+        const warmup = Math.max(...keys.map(key => IndicatorRegistry.minCandles(key, confirmation.indicators[key])));
+
+        return {
+            timeframe: confirmation.timeframe,
+            logic: confirmation.logic === 'any_1' ? 'any_1' : 'all',
+            indicators: confirmation.indicators,
+            keys,
+            candleLimit: Math.min(Math.max(this.CONFIRMATION_CANDLES, warmup * 2), this.MAX_CONFIRMATION_CANDLES)
+        };
+    },
+
+    /**
+     * Evaluate confirmation indicators in trend mode on the higher-timeframe candles that had
+     * closed by the end of the latest base candle
+     * @private
+     * @returns {Object|null} {timeframe, logic, confirmed, results, summaries, triggeredIndicators, reason}
+     */
+    _checkConfirmation(candles, strategy, context) {
+        const config = this.getConfirmation(strategy);
+        if (!config) {
+            return null;
+        }
+
+        const confirmation = {
+            timeframe: config.timeframe,
+            logic: config.logic,
+            confirmed: false,
+            results: {},
+            summaries: {},
+            triggeredIndicators: [],
+            reason: null
+        };
+
+        const baseMs = this.TIMEFRAME_MS[context.timeframe || strategy.timeframe] || 0;
+        const confirmationMs = this.TIMEFRAME_MS[config.timeframe];
+        const lastOpen = candles.length > 0 ? Number(candles[candles.length - 1].timestamp) : NaN;
+        const asOf = Math.min(Number.isFinite(lastOpen) ? lastOpen + baseMs : Infinity, Date.now());
+
+        const closed = (context.confirmationCandles || [])
+            .filter(candle => candle.timestamp + confirmationMs <= asOf)
+            .slice(-config.candleLimit);
+
+        if (closed.length === 0) {
+            confirmation.reason = `No closed ${config.timeframe} candles`;
+            return confirmation;
+        }
+
+        for (const key of config.keys) {
+            try {
+                const result = IndicatorRegistry.evaluate(key, closed, config.indicators[key], 'trend');
+                confirmation.results[key] = result.triggered;
+                confirmation.summaries[key] = result.summary;
+
+                if (result.triggered) {
+                    confirmation.triggeredIndicators.push({ ...result.trigger, timeframe: config.timeframe });
+                }
+            } catch (error) {
+                console.warn(`${IndicatorRegistry.get(key).name} ${config.timeframe} confirmation failed`, error.message);
+                confirmation.results[key] = false;
+            }
+        }
+
+        const passed = Object.values(confirmation.results).filter(Boolean).length;
+        confirmation.confirmed = config.logic === 'any_1' ? passed >= 1 : passed === config.keys.length;
+
+        if (!confirmation.confirmed) {
+            confirmation.reason = `${config.timeframe} confirmation ${passed}/${config.keys.length} (${config.logic})`;
+        }
+
+        return confirmation;
+    },
+
     /**
      * Check for exit signals based on exit rules
+     * Supports take profit (single or scaled targets), stop loss, trailing / break-even stops
+     * and max hold time - see SignalDetectionService.checkExitSignals for the rule format
      * @param {Object} position - Current position
      * @param {number} currentPrice - Current market price
      * @param {Object} exitRules - Exit rules configuration
-     * @returns {Object} {shouldExit, reason}
+     * @param {Object} context - { atr } for ATR-based trailing stops
+     * @returns {Object} {shouldExit, reason, details, quantity, partial, targetIndex, state}
      */
-    checkExitSignals(position, currentPrice, exitRules) {
+    checkExitSignals(position, currentPrice, exitRules, context = {}) {
         try {
-            const entryPrice = position.entry_price;
+            const entryPrice = parseFloat(position.entry_price);
+            const entryQuantity = parseFloat(position.entry_quantity);
+            const remainingQuantity = position.remaining_quantity !== null && position.remaining_quantity !== undefined
+                ? parseFloat(position.remaining_quantity)
+                : entryQuantity;
             const entryTime = new Date(position.entry_time);
             const hoursOpen = (Date.now() - entryTime.getTime()) / (1000 * 60 * 60);
 
             // Calculate current P&L percentage
             const pnlPercent = ((currentPrice - entryPrice) / entryPrice) * 100;
 
+            const state = this._updateStopState(position, currentPrice, exitRules, context);
+            const exit = (reason, details, extra = {}) => ({
+                shouldExit: true,
+                reason,
+                details,
+                quantity: remainingQuantity,
+                partial: false,
+                state,
+                ...extra
+            });
+
             console.log(`🔬 Exit Signal Analysis for Position ${position.id}:`, {
                 entryPrice,
                 currentPrice,
                 pnlPercent: pnlPercent.toFixed(2) + '%',
                 entryTime: position.entry_time,
                 hoursOpen: hoursOpen.toFixed(2) + 'h',
+                remainingQuantity,
+                stopPrice: state.stopPrice,
+                stopType: state.stopType,
                 exitRules: {
                     maxHoldTimeHours: exitRules?.maxHoldTimeHours,
                     takeProfitPercent: exitRules?.takeProfitPercent,
+                    takeProfitTargets: exitRules?.takeProfitTargets,
                     stopLossPercent: exitRules?.stopLossPercent,
                     takeProfitMode: exitRules?.takeProfitMode
                 }
@@ -232,22 +229,42 @@ const SignalDetection = {
 
             // Check Take Profit (only in Auto mode, skip if Manual mode)
             const takeProfitMode = exitRules.takeProfitMode || 'auto'; // Default to 'auto' for backward compatibility
-
-            if (takeProfitMode === 'auto' && exitRules.takeProfitPercent && pnlPercent >= exitRules.takeProfitPercent) {
-                return {
-                    shouldExit: true,
-                    reason: 'take_profit',
-                    details: `+${pnlPercent.toFixed(2)}% (Target: ${exitRules.takeProfitPercent}%)`
-                };
+            const targets = Array.isArray(exitRules.takeProfitTargets) ? exitRules.takeProfitTargets : [];
+
+            if (takeProfitMode === 'auto' && targets.length > 0) {
+                const targetIndex = parseInt(position.targets_hit || 0);
+                const target = targets[targetIndex];
+
+                if (target && pnlPercent >= target.percent) {
+                    const isLast = targetIndex === targets.length - 1;
+                    const quantity = isLast
+                        ? remainingQuantity
+                        : Math.min(remainingQuantity, entryQuantity * target.closePercent / 100);
+                    // A target that would leave (almost) nothing behind closes the position
+                    const partial = remainingQuantity - quantity > remainingQuantity * 0.001;
+
+                    return exit(
+                        partial ? 'take_profit_partial' : 'take_profit',
+                        `+${pnlPercent.toFixed(2)}% (Target ${targetIndex + 1}/${targets.length}: ${target.percent}%, closing ${partial ? target.closePercent + '% of entry' : 'remainder'})`,
+                        { quantity: partial ? quantity : remainingQuantity, partial, targetIndex }
+                    );
+                }
+            } else if (takeProfitMode === 'auto' && exitRules.takeProfitPercent && pnlPercent >= exitRules.takeProfitPercent) {
+                return exit('take_profit', `+${pnlPercent.toFixed(2)}% (Target: ${exitRules.takeProfitPercent}%)`);
             }
 
             // Check Stop Loss
             if (exitRules.stopLossPercent && pnlPercent <= -exitRules.stopLossPercent) {
-                return {
-                    shouldExit: true,
-                    reason: 'stop_loss',
-                    details: `${pnlPercent.toFixed(2)}% (Max Loss: ${exitRules.stopLossPercent}%)`
-                };
+                return exit('stop_loss', `${pnlPercent.toFixed(2)}% (Max Loss: ${exitRules.stopLossPercent}%)`);
+            }
+
+            // Check Trailing / Break-even Stop
+            if (state.stopPrice !== null && currentPrice <= state.stopPrice) {
+                console.log(`   ✅ ${state.stopType === 'break_even' ? 'BREAK-EVEN' : 'TRAILING'} STOP TRIGGERED! Closing position.`);
+                return exit(
+                    state.stopType === 'break_even' ? 'break_even_stop' : 'trailing_stop',
+                    `${currentPrice} <= stop ${state.stopPrice.toPrecision(8)} (high ${state.highestPrice}, ${pnlPercent.toFixed(2)}%)`
+                );
             }
 
             // Check Max Hold Time
@@ -265,11 +282,7 @@ const SignalDetection = {
 
             if (effectiveMaxHours && hoursOpen >= effectiveMaxHours) {
                 console.log(`   ✅ MAX HOLD TIME TRIGGERED! Closing position.`);
-                return {
-                    shouldExit: true,
-                    reason: 'max_hold_time',
-                    details: `${hoursOpen.toFixed(1)}h (Max: ${exitRules.maxHoldTimeHours}h)`
-                };
+                return exit('max_hold_time', `${hoursOpen.toFixed(1)}h (Max: ${exitRules.maxHoldTimeHours}h)`);
             }
 
             // Check indicator-based exit (if configured)
@@ -280,7 +293,8 @@ const SignalDetection = {
                 shouldExit: false,
                 reason: null,
                 currentPnL: pnlPercent,
-                hoursOpen: hoursOpen
+                hoursOpen: hoursOpen,
+                state
             };
 
         } catch (error) {
@@ -293,51 +307,61 @@ const SignalDetection = {
     },
 
     /**
-     * Evaluate entry logic based on triggered indicators
+     * Highest price seen and the resulting trailing / break-even stop (stops only move up)
+     * @private
+     * @returns {Object} {highestPrice, stopPrice, stopType, changed}
+     */
+    _updateStopState(position, currentPrice, exitRules, context) {
+        const entryPrice = parseFloat(position.entry_price);
+        const previousHigh = position.highest_price ? parseFloat(position.highest_price) : entryPrice;
+        const previousStop = position.stop_price ? parseFloat(position.stop_price) : null;
+
+        const highestPrice = Math.max(previousHigh, currentPrice);
+        const peakPercent = ((highestPrice - entryPrice) / entryPrice) * 100;
+
+        let stopPrice = previousStop;
+        let stopType = position.stop_type || null;
+        const raise = (price, type) => {
+            if (price > 0 && (stopPrice === null || price > stopPrice)) {
+                stopPrice = price;
+                stopType = type;
+            }
+        };
+
+        const { breakEven, trailingStop } = exitRules;
+
+        if (breakEven && breakEven.enabled && peakPercent >= breakEven.triggerPercent) {
+            raise(entryPrice * (1 + (breakEven.offsetPercent || 0) / 100), 'break_even');
+        }
+
+        if (trailingStop && trailingStop.enabled && peakPercent >= (trailingStop.activationPercent || 0)) {
+            const distance = trailingStop.type === 'atr'
+                ? (context.atr ? context.atr * (trailingStop.atrMultiplier || 2) : null)
+                : highestPrice * trailingStop.percent / 100;
+
+            if (distance) {
+                raise(highestPrice - distance, 'trailing');
+            }
+        }
+
+        return {
+            highestPrice,
+            stopPrice,
+            stopType,
+            changed: highestPrice !== previousHigh || stopPrice !== previousStop
+        };
+    },
+
+    /**
+     * Evaluate entry logic based on triggered indicators (shared EntryLogic, same in browser and server)
      * @private
      * @param {Object} indicatorResults - Object with indicator results {rsi: true/false, volume: true/false, ...}
-     * @param {string} entryLogic - Entry logic type ('2_out_of_3', '3_out_of_4', 'all', 'any_1')
+     * @param {string} entryLogic - Entry logic type ('2_out_of_3', '3_out_of_4', 'all', 'any_1', 'expression', 'weighted')
+     * @param {Object} rule - entry_indicators.logic ({ expression } or { weights, threshold })
      * @returns {boolean} Should enter position
      */
-    _evaluateEntryLogic(indicatorResults, entryLogic) {
-        const results = Object.values(indicatorResults);
-        const triggeredCount = results.filter(r => r === true).length;
-        const totalCount = results.length;
-
-        switch (entryLogic) {
-            case 'all':
-                // All indicators must be true
-                return triggeredCount === totalCount && totalCount > 0;
-
-            case 'any_1':
-                // Any one indicator triggers
-                return triggeredCount >= 1;
-
-            case '3_out_of_4':
-                // At least 3 indicators must trigger
-                if (totalCount >= 4) {
-                    return triggeredCount >= 3;
-                } else if (totalCount === 3) {
-                    return triggeredCount >= 3; // All 3 must trigger if only 3 enabled
-                } else if (totalCount === 2) {
-                    return triggeredCount >= 2; // Both must trigger if only 2 enabled
-                } else if (totalCount === 1) {
-                    return triggeredCount >= 1; // Must trigger if only 1 enabled
-                }
-                return false;
-
-            case '2_out_of_3':
-            default:
-                // At least 2 indicators must trigger (if 3+ indicators enabled)
-                if (totalCount >= 3) {
-                    return triggeredCount >= 2;
-                } else if (totalCount === 2) {
-                    return triggeredCount >= 2; // Both must trigger if only 2 enabled
-                } else if (totalCount === 1) {
-                    return triggeredCount >= 1; // Must trigger if only 1 enabled
-                }
-                return false;
-        }
+    _evaluateEntryLogic(indicatorResults, entryLogic, rule) {
+        return EntryLogic.evaluate(entryLogic, indicatorResults, rule);
     },
 
     /**
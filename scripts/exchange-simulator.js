@@ -0,0 +1,52 @@
+/**
+ * Exchange Simulator: local mock VALR / Binance / Kraken / OKX for end-to-end dry runs
+ *
+ * Start the simulator, then start the server pointed at it:
+ *   node scripts/exchange-simulator.js [scenario.json]
+ *   EXCHANGE_SIMULATOR_URL=http://127.0.0.1:4010 npm start
+ *
+ * scenario.json scripts each exchange up front (everything can also be changed at runtime
+ * through the /_sim control API - see src/services/exchange-simulator/ExchangeSimulator.js):
+ *   {
+ *     "valr": {
+ *       "markets": { "BTCZAR": { "base": "BTC", "quote": "ZAR", "bids": [[1200000, 0.5]], "asks": [[1201000, 0.5]] } },
+ *       "balances": { "ZAR": 100000 },
+ *       "settings": { "takerFee": 0.001, "fillRatio": 1 },
+ *       "failures": [{ "method": "POST", "path": "/v1/orders/market", "status": 429, "times": 1 }]
+ *     }
+ *   }
+ *
+ * Port: EXCHANGE_SIMULATOR_PORT (default 4010)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExchangeSimulator = require('../src/services/exchange-simulator/ExchangeSimulator');
+
+async function main() {
+    const simulator = new ExchangeSimulator();
+    const scenarioFile = process.argv[2];
+
+    if (scenarioFile) {
+        const scenario = JSON.parse(fs.readFileSync(path.resolve(scenarioFile), 'utf8'));
+        simulator.load(scenario);
+        console.log(`Loaded scenario ${scenarioFile} (${Object.keys(scenario).join(', ')})`);
+    }
+
+    const url = await simulator.start(parseInt(process.env.EXCHANGE_SIMULATOR_PORT) || 4010);
+    console.log(`Exchange simulator running at ${url}`);
+    console.log(`Simulated exchanges: ${simulator.supportedExchanges().join(', ')}`);
+    console.log(`Start the server with EXCHANGE_SIMULATOR_URL=${url}`);
+
+    const shutdown = async () => {
+        await simulator.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('Exchange simulator failed to start:', error.message);
+    process.exit(1);
+});
@@ -18,6 +18,11 @@ const { generalRateLimit } = require('./src/middleware/rateLimiter');
 const autoReminderService = require('./src/services/autoReminderService');
 const priceCacheService = require('./src/services/priceCacheService');
 
+// Dry-run mode: send VALR/Binance/Kraken/OKX REST calls to the local exchange simulator
+if (process.env.EXCHANGE_SIMULATOR_URL) {
+    require('./src/services/exchange-simulator/fetchRedirect').installFetchRedirect(process.env.EXCHANGE_SIMULATOR_URL);
+}
+
 // Import routes
 const authRoutes = require('./src/routes/auth.routes');
 const userRoutes = require('./src/routes/user.routes');
@@ -25,6 +30,7 @@ const messageRoutes = require('./src/routes/message.routes');
 const adminRoutes = require('./src/routes/admin.routes');
 const tradingRoutes = require('./src/routes/trading.routes');
 const triangularArbRoutes = require('./src/routes/triangular-arb.routes');
+const triangularExchangeRoutes = require('./src/routes/triangular-exchange.routes');
 const billingRoutes = require('./src/routes/billing.routes');
 const migrationRoutes = require('./src/routes/migration.routes');
 const tradingActivityRoutes = require('./src/routes/trading-activity.routes');
@@ -85,6 +91,7 @@ app.use(`${API_PREFIX}/admin`, adminRoutes);
 app.use(`${API_PREFIX}/admin/payments`, billingRoutes);
 app.use(`${API_PREFIX}/migration`, migrationRoutes);
 app.use(`${API_PREFIX}/trading`, tradingRoutes);
+app.use(`${API_PREFIX}/trading`, triangularExchangeRoutes);
 app.use(`${API_PREFIX}/trading`, triangularArbRoutes);
 app.use(`${API_PREFIX}/trading-activity`, tradingActivityRoutes);
 app.use(`${API_PREFIX}/analytics`, analyticsRoutes);
@@ -151,10 +158,12 @@ async function startServer() {
             try {
                 const MomentumStrategy = require('./src/models/MomentumStrategy');
                 const MomentumPosition = require('./src/models/MomentumPosition');
+                const MomentumCandle = require('./src/models/MomentumCandle');
                 // REMOVED: MomentumCredentials - credentials now client-side only
 
                 await MomentumStrategy.createTable();
                 await MomentumPosition.createTable();
+                await MomentumCandle.createTable();
                 // REMOVED: MomentumCredentials.createTable() - security migration
 
                 logger.info('Momentum Trading tables verified/created (credentials now client-side)');
@@ -163,6 +172,23 @@ async function startServer() {
                 // Don't crash if tables already exist
             }
 
+            // Auto-create Triangular Arbitrage tables if they don't exist
+            try {
+                const TriangularFeeOverride = require('./src/models/TriangularFeeOverride');
+                const TriangularRecoveryOrder = require('./src/models/TriangularRecoveryOrder');
+                const TriangularExecution = require('./src/models/TriangularExecution');
+                const TriangularOrderBookSnapshot = require('./src/models/TriangularOrderBookSnapshot');
+
+                await TriangularFeeOverride.createTable();
+                await TriangularRecoveryOrder.createTable();
+                await TriangularExecution.createTable();
+                await TriangularOrderBookSnapshot.createTable();
+
+                logger.info('Triangular Arbitrage tables verified/created');
+            } catch (error) {
+                logger.warn('Triangular Arbitrage table creation skipped', { error: error.message });
+            }
+
             // Initialize Auto-Reminder Service only if database is connected
             try {
                 autoReminderService.initialize();
@@ -218,6 +244,13 @@ process.on('unhandledRejection', (error) => {
 process.on('SIGTERM', async () => {
     logger.info('SIGTERM received, shutting down gracefully');
 
+    // Close exchange order book WebSockets, end auto-trader and momentum worker sessions and recorders so they don't hold the process open
+    require('./src/services/triangular-arb/OrderBookStreamService').stopAll();
+    require('./src/services/triangular-arb/TriangularAutoTraderService').stopAll();
+    require('./src/services/momentum/MomentumWorkerService').stopAll();
+    require('./src/services/triangular-arb/OrderBookRecorderService').stopAll();
+    await require('./src/database/redis').closeRedis();
+
     httpServer.close(() => {
         logger.info('HTTP server closed');
         process.exit(0);
@@ -3,6 +3,7 @@
 
 const MomentumStrategy = require('../../models/MomentumStrategy');
 const MomentumPosition = require('../../models/MomentumPosition');
+const MomentumCandle = require('../../models/MomentumCandle');
 const { logger } = require('../../utils/logger');
 
 async function up() {
@@ -17,6 +18,10 @@ async function up() {
         await MomentumPosition.createTable();
         logger.info('✓ momentum_positions table created');
 
+        // Create momentum_candles table
+        await MomentumCandle.createTable();
+        logger.info('✓ momentum_candles table created');
+
         logger.info('Momentum trading tables created successfully');
         return true;
     } catch (error) {
@@ -32,6 +37,9 @@ async function down() {
         const { query } = require('../connection');
 
         // Drop tables in reverse order (to handle foreign key constraints)
+        await query('DROP TABLE IF EXISTS momentum_candles CASCADE');
+        logger.info('✓ momentum_candles table dropped');
+
         await query('DROP TABLE IF EXISTS momentum_positions CASCADE');
         logger.info('✓ momentum_positions table dropped');
 
@@ -0,0 +1,65 @@
+// Redis Connection Module
+const { createClient } = require('redis');
+const { logger } = require('../utils/logger');
+
+// Shared client (created on first use)
+let client = null;
+let initialConnect = null;
+
+// How long the first caller waits for the initial connection before falling back
+const INITIAL_CONNECT_WAIT_MS = 5000;
+
+/**
+ * Get the shared Redis client
+ * Returns null when REDIS_URL is not set or Redis is not connected. The client keeps
+ * reconnecting in the background.
+ */
+async function getRedisClient() {
+    if (!process.env.REDIS_URL) {
+        return null;
+    }
+
+    if (!client) {
+        client = createClient({
+            url: process.env.REDIS_URL,
+            // Fail commands fast while disconnected instead of queueing them
+            disableOfflineQueue: true,
+            socket: {
+                connectTimeout: 5000,
+                reconnectStrategy: retries => Math.min(retries * 500, 10000)
+            }
+        });
+        client.on('error', (error) => logger.warn('Redis client error', { error: error.message }));
+        client.on('ready', () => logger.info('Redis connection established'));
+
+        const connecting = client.connect().catch(error => {
+            logger.error('Redis connection failed', { error: error.message });
+        });
+        initialConnect = Promise.race([connecting, new Promise(resolve => setTimeout(resolve, INITIAL_CONNECT_WAIT_MS).unref())]);
+    }
+
+    // Concurrent first callers all wait for the same initial attempt
+    await initialConnect;
+
+    return client?.isReady ? client : null;
+}
+
+// Close Redis connection
+async function closeRedis() {
+    if (client) {
+        const closing = client;
+        client = null;
+        initialConnect = null;
+        try {
+            await closing.quit();
+            logger.info('Redis connection closed');
+        } catch (error) {
+            closing.disconnect().catch(() => {});
+        }
+    }
+}
+
+module.exports = {
+    getRedisClient,
+    closeRedis
+};
@@ -0,0 +1,146 @@
+// Momentum Candle Model
+// Local OHLCV store for momentum signals (one row per exchange / pair / interval / candle open)
+
+const { query } = require('../database/connection');
+
+/**
+ * Database Schema:
+ *
+ * CREATE TABLE IF NOT EXISTS momentum_candles (
+ *   exchange VARCHAR(50) NOT NULL,              -- data source the candle came from
+ *   pair VARCHAR(30) NOT NULL,
+ *   interval VARCHAR(5) NOT NULL,               -- '1m', '5m', '15m', '30m', '1h', '4h', '1d'
+ *   open_time BIGINT NOT NULL,                  -- candle open, unix milliseconds
+ *   open NUMERIC NOT NULL,
+ *   high NUMERIC NOT NULL,
+ *   low NUMERIC NOT NULL,
+ *   close NUMERIC NOT NULL,
+ *   volume NUMERIC NOT NULL DEFAULT 0,
+ *   updated_at TIMESTAMP DEFAULT NOW(),
+ *   PRIMARY KEY (exchange, pair, interval, open_time)
+ * );
+ *
+ * Only candles received from an exchange are stored - gap-filled and aggregated candles are
+ * derived on read (see MomentumCandleService).
+ */
+
+// Rows per INSERT (9 parameters each)
+const UPSERT_BATCH_SIZE = 500;
+
+class MomentumCandle {
+    /**
+     * Create momentum_candles table
+     */
+    static async createTable() {
+        const createTableQuery = `
+            CREATE TABLE IF NOT EXISTS momentum_candles (
+                exchange VARCHAR(50) NOT NULL,
+                pair VARCHAR(30) NOT NULL,
+                interval VARCHAR(5) NOT NULL,
+                open_time BIGINT NOT NULL,
+                open NUMERIC NOT NULL,
+                high NUMERIC NOT NULL,
+                low NUMERIC NOT NULL,
+                close NUMERIC NOT NULL,
+                volume NUMERIC NOT NULL DEFAULT 0,
+                updated_at TIMESTAMP DEFAULT NOW(),
+                PRIMARY KEY (exchange, pair, interval, open_time)
+            );
+        `;
+
+        await query(createTableQuery);
+    }
+
+    /**
+     * Insert or refresh candles
+     * @param {string} exchange - Data source
+     * @param {string} pair - Trading pair (e.g. 'XRPUSDT')
+     * @param {string} interval - Candle interval
+     * @param {Array<object>} candles - [{timestamp, open, high, low, close, volume}]
+     * @returns {Promise<number>} Rows written
+     */
+    static async upsertMany(exchange, pair, interval, candles) {
+        let written = 0;
+
+        for (let start = 0; start < candles.length; start += UPSERT_BATCH_SIZE) {
+            const batch = candles.slice(start, start + UPSERT_BATCH_SIZE);
+            const values = [];
+            const rows = batch.map((candle, index) => {
+                const offset = index * 9;
+                values.push(
+                    exchange.toLowerCase(),
+                    pair,
+                    interval,
+                    candle.timestamp,
+                    candle.open,
+                    candle.high,
+                    candle.low,
+                    candle.close,
+                    candle.volume || 0
+                );
+                return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, $${offset + 8}, $${offset + 9})`;
+            });
+
+            const upsertQuery = `
+                INSERT INTO momentum_candles (exchange, pair, interval, open_time, open, high, low, close, volume)
+                VALUES ${rows.join(', ')}
+                ON CONFLICT (exchange, pair, interval, open_time) DO UPDATE SET
+                    open = EXCLUDED.open,
+                    high = EXCLUDED.high,
+                    low = EXCLUDED.low,
+                    close = EXCLUDED.close,
+                    volume = EXCLUDED.volume,
+                    updated_at = NOW()
+            `;
+
+            const result = await query(upsertQuery, values);
+            written += result.rowCount;
+        }
+
+        return written;
+    }
+
+    /**
+     * Stored candles from a start time, oldest first
+     * @param {string} exchange - Data source
+     * @param {string} pair - Trading pair
+     * @param {string} interval - Candle interval
+     * @param {number} from - Earliest open time (unix ms)
+     * @returns {Promise<Array>} [{timestamp, open, high, low, close, volume}]
+     */
+    static async getRange(exchange, pair, interval, from) {
+        const selectQuery = `
+            SELECT open_time, open, high, low, close, volume
+            FROM momentum_candles
+            WHERE exchange = $1 AND pair = $2 AND interval = $3 AND open_time >= $4
+            ORDER BY open_time ASC
+        `;
+
+        const result = await query(selectQuery, [exchange.toLowerCase(), pair, interval, from]);
+        return result.rows.map(row => ({
+            timestamp: parseInt(row.open_time),
+            open: parseFloat(row.open),
+            high: parseFloat(row.high),
+            low: parseFloat(row.low),
+            close: parseFloat(row.close),
+            volume: parseFloat(row.volume)
+        }));
+    }
+
+    /**
+     * Delete candles that opened before a time (optionally for one interval)
+     * @param {number} before - Unix ms
+     * @param {string} interval - Candle interval (default: all)
+     * @returns {Promise<number>} Rows deleted
+     */
+    static async deleteBefore(before, interval = null) {
+        const deleteQuery = interval
+            ? 'DELETE FROM momentum_candles WHERE open_time < $1 AND interval = $2'
+            : 'DELETE FROM momentum_candles WHERE open_time < $1';
+
+        const result = await query(deleteQuery, interval ? [before, interval] : [before]);
+        return result.rowCount;
+    }
+}
+
+module.exports = MomentumCandle;
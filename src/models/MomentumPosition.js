@@ -1,7 +1,7 @@
 // Momentum Position Model
 // Tracks open and closed positions for momentum trading
 
-const { query } = require('../database/connection');
+const { query, transaction } = require('../database/connection');
 
 /**
  * Database Schema:
@@ -29,6 +29,14 @@ const { query } = require('../database/connection');
  *   exit_pnl_usdt DECIMAL(12,2),
  *   exit_pnl_percent DECIMAL(10,4),
  *   exit_order_id VARCHAR(100),
+ *   remaining_quantity DECIMAL(18,8),        -- NULL until the first partial exit (= entry_quantity)
+ *   highest_price DECIMAL(18,8),             -- Highest price seen while open (trailing stop anchor)
+ *   stop_price DECIMAL(18,8),                -- Current trailing / break-even stop (only moves up)
+ *   stop_type VARCHAR(20),                   -- 'trailing' or 'break_even'
+ *   targets_hit INTEGER DEFAULT 0,           -- Scaled take-profit targets already taken
+ *   realized_pnl_usdt DECIMAL(12,2) DEFAULT 0, -- Net PnL of partial exits so far
+ *   cost_basis_usdt DECIMAL(14,4),           -- Entry cost (value + fees) of the quantity still held;
+ *                                            -- NULL = the remaining share of entry_value_usdt + entry_fee
  *   created_at TIMESTAMP DEFAULT NOW(),
  *   updated_at TIMESTAMP DEFAULT NOW()
  * );
@@ -37,8 +45,42 @@ const { query } = require('../database/connection');
  * CREATE INDEX IF NOT EXISTS idx_momentum_positions_strategy ON momentum_positions(strategy_id);
  * CREATE INDEX IF NOT EXISTS idx_momentum_positions_status ON momentum_positions(status);
  * CREATE INDEX IF NOT EXISTS idx_momentum_positions_entry_time ON momentum_positions(entry_time);
+ *
+ * CREATE TABLE IF NOT EXISTS momentum_position_exits (  -- Partial-close records
+ *   id SERIAL PRIMARY KEY,
+ *   position_id INTEGER REFERENCES momentum_positions(id) ON DELETE CASCADE,
+ *   target_index INTEGER,
+ *   exit_price DECIMAL(18,8) NOT NULL,
+ *   exit_quantity DECIMAL(18,8) NOT NULL,
+ *   exit_fee DECIMAL(12,4) DEFAULT 0,
+ *   exit_reason VARCHAR(50),
+ *   exit_order_id VARCHAR(100),
+ *   pnl_usdt DECIMAL(12,2),
+ *   exit_time TIMESTAMP DEFAULT NOW()
+ * );
+ *
+ * CREATE TABLE IF NOT EXISTS momentum_position_fills (  -- Every order fill of a position (entries and exits)
+ *   id SERIAL PRIMARY KEY,
+ *   position_id INTEGER REFERENCES momentum_positions(id) ON DELETE CASCADE,
+ *   side VARCHAR(4) NOT NULL CHECK (side IN ('BUY', 'SELL')),
+ *   price DECIMAL(18,8) NOT NULL,
+ *   quantity DECIMAL(18,8) NOT NULL,
+ *   value_usdt DECIMAL(12,2) NOT NULL,
+ *   fee DECIMAL(12,4) DEFAULT 0,
+ *   reason VARCHAR(50),                      -- 'entry', 'scale_in' or the exit reason
+ *   order_id VARCHAR(100),
+ *   pnl_usdt DECIMAL(12,2),                  -- SELL fills: net realised PnL of the fill
+ *   fill_time TIMESTAMP DEFAULT NOW()
+ * );
+ *
+ * Entries (BUY fills) add up: entry_quantity / entry_value_usdt / entry_fee are totals and
+ * entry_price is their volume-weighted average. Exits are costed at the average cost of what is
+ * still held (cost_basis_usdt), so scaling in after a partial exit keeps realised PnL exact.
  */
 
+// A close order filling less than this share below the requested quantity is a partial fill
+const PARTIAL_FILL_TOLERANCE = 0.02;
+
 class MomentumPosition {
     /**
      * Create momentum_positions table
@@ -108,6 +150,67 @@ class MomentumPosition {
                     -- Constraint might not exist yet, that's fine
                     NULL;
             END $$;
+
+            -- Exit-rule state: trailing/break-even stop, scaled take-profit progress, partial exits
+            ALTER TABLE momentum_positions ADD COLUMN IF NOT EXISTS remaining_quantity DECIMAL(18,8);
+            ALTER TABLE momentum_positions ADD COLUMN IF NOT EXISTS highest_price DECIMAL(18,8);
+            ALTER TABLE momentum_positions ADD COLUMN IF NOT EXISTS stop_price DECIMAL(18,8);
+            ALTER TABLE momentum_positions ADD COLUMN IF NOT EXISTS stop_type VARCHAR(20);
+            ALTER TABLE momentum_positions ADD COLUMN IF NOT EXISTS targets_hit INTEGER DEFAULT 0;
+            ALTER TABLE momentum_positions ADD COLUMN IF NOT EXISTS realized_pnl_usdt DECIMAL(12,2) DEFAULT 0;
+
+            CREATE TABLE IF NOT EXISTS momentum_position_exits (
+                id SERIAL PRIMARY KEY,
+                position_id INTEGER REFERENCES momentum_positions(id) ON DELETE CASCADE,
+                target_index INTEGER,
+                exit_price DECIMAL(18,8) NOT NULL,
+                exit_quantity DECIMAL(18,8) NOT NULL,
+                exit_fee DECIMAL(12,4) DEFAULT 0,
+                exit_reason VARCHAR(50),
+                exit_order_id VARCHAR(100),
+                pnl_usdt DECIMAL(12,2),
+                exit_time TIMESTAMP DEFAULT NOW()
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_momentum_position_exits_position ON momentum_position_exits(position_id);
+
+            -- Fills: scaled-in entries and the average cost of the remaining quantity
+            ALTER TABLE momentum_positions ADD COLUMN IF NOT EXISTS cost_basis_usdt DECIMAL(14,4);
+
+            CREATE TABLE IF NOT EXISTS momentum_position_fills (
+                id SERIAL PRIMARY KEY,
+                position_id INTEGER REFERENCES momentum_positions(id) ON DELETE CASCADE,
+                side VARCHAR(4) NOT NULL CHECK (side IN ('BUY', 'SELL')),
+                price DECIMAL(18,8) NOT NULL,
+                quantity DECIMAL(18,8) NOT NULL,
+                value_usdt DECIMAL(12,2) NOT NULL,
+                fee DECIMAL(12,4) DEFAULT 0,
+                reason VARCHAR(50),
+                order_id VARCHAR(100),
+                pnl_usdt DECIMAL(12,2),
+                fill_time TIMESTAMP DEFAULT NOW()
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_momentum_position_fills_position ON momentum_position_fills(position_id);
+
+            -- Backfill the fills of positions recorded before the fills table (safe to run multiple times):
+            -- the entry, partial exits and the final close
+            INSERT INTO momentum_position_fills (position_id, side, price, quantity, value_usdt, fee, reason, order_id, pnl_usdt, fill_time)
+            SELECT * FROM (
+                SELECT p.id, 'BUY', p.entry_price, p.entry_quantity, p.entry_value_usdt, COALESCE(p.entry_fee, 0),
+                       'entry', p.entry_order_id, NULL::DECIMAL, p.entry_time
+                FROM momentum_positions p
+                UNION ALL
+                SELECT e.position_id, 'SELL', e.exit_price, e.exit_quantity, e.exit_price * e.exit_quantity, COALESCE(e.exit_fee, 0),
+                       e.exit_reason, e.exit_order_id, e.pnl_usdt, e.exit_time
+                FROM momentum_position_exits e
+                UNION ALL
+                SELECT p.id, 'SELL', p.exit_price, p.exit_quantity, p.exit_price * p.exit_quantity, COALESCE(p.exit_fee, 0),
+                       p.exit_reason, p.exit_order_id, p.exit_pnl_usdt - COALESCE(p.realized_pnl_usdt, 0), COALESCE(p.exit_time, p.updated_at)
+                FROM momentum_positions p
+                WHERE p.status = 'CLOSED' AND p.exit_price IS NOT NULL AND p.exit_quantity IS NOT NULL
+            ) AS legacy (position_id, side, price, quantity, value_usdt, fee, reason, order_id, pnl_usdt, fill_time)
+            WHERE NOT EXISTS (SELECT 1 FROM momentum_position_fills f WHERE f.position_id = legacy.position_id);
         `;
 
         await query(createTableQuery);
@@ -131,31 +234,156 @@ class MomentumPosition {
             entryOrderId
         } = positionData;
 
-        const insertQuery = `
-            INSERT INTO momentum_positions (
-                user_id, strategy_id, exchange, asset, pair,
-                entry_price, entry_quantity, entry_value_usdt, entry_fee,
-                entry_time, entry_signals, entry_order_id, status
-            )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), $10, $11, 'OPEN')
-            RETURNING *
+        return await transaction(async (client) => {
+            const positionResult = await client.query(`
+                INSERT INTO momentum_positions (
+                    user_id, strategy_id, exchange, asset, pair,
+                    entry_price, entry_quantity, entry_value_usdt, entry_fee,
+                    entry_time, entry_signals, entry_order_id, status
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), $10, $11, 'OPEN')
+                RETURNING *
+            `, [
+                userId,
+                strategyId,
+                exchange,
+                asset,
+                pair,
+                entryPrice,
+                entryQuantity,
+                entryValueUsdt,
+                entryFee || 0, // Default to 0 if not provided
+                entrySignals ? JSON.stringify(entrySignals) : null,
+                entryOrderId
+            ]);
+            const position = positionResult.rows[0];
+
+            await this._insertFill(client, position.id, {
+                side: 'BUY',
+                price: entryPrice,
+                quantity: entryQuantity,
+                valueUsdt: entryValueUsdt,
+                fee: entryFee || 0,
+                reason: 'entry',
+                orderId: entryOrderId,
+                fillTime: position.entry_time
+            });
+
+            return position;
+        });
+    }
+
+    /**
+     * Add an entry fill to an OPEN position (scaling in / DCA)
+     * Totals grow, entry_price becomes the volume-weighted average of all entry fills
+     * @returns {Promise<object>} { position, fill }
+     */
+    static async addEntryFill(positionId, fillData) {
+        const { price, quantity, valueUsdt, fee, orderId, reason } = fillData;
+
+        return await transaction(async (client) => {
+            const positionResult = await client.query(
+                'SELECT * FROM momentum_positions WHERE id = $1 FOR UPDATE',
+                [positionId]
+            );
+            const position = positionResult.rows[0];
+            if (!position) {
+                throw new Error('Position not found');
+            }
+            if (position.status !== 'OPEN') {
+                throw new Error('Position is not open');
+            }
+
+            const fillQuantity = parseFloat(quantity);
+            const fillValue = valueUsdt !== undefined && valueUsdt !== null ? parseFloat(valueUsdt) : price * fillQuantity;
+            const fillFee = parseFloat(fee || 0);
+
+            const entryQuantity = parseFloat(position.entry_quantity);
+            const totalQuantity = entryQuantity + fillQuantity;
+            const averagePrice = (parseFloat(position.entry_price) * entryQuantity + price * fillQuantity) / totalQuantity;
+
+            const updateResult = await client.query(`
+                UPDATE momentum_positions
+                SET entry_price = $1,
+                    entry_quantity = $2,
+                    entry_value_usdt = entry_value_usdt + $3,
+                    entry_fee = COALESCE(entry_fee, 0) + $4,
+                    remaining_quantity = $5,
+                    cost_basis_usdt = $6,
+                    updated_at = NOW()
+                WHERE id = $7
+                RETURNING *
+            `, [
+                averagePrice,
+                totalQuantity,
+                fillValue,
+                fillFee,
+                this.remainingQuantity(position) + fillQuantity,
+                this.remainingCost(position) + fillValue + fillFee,
+                positionId
+            ]);
+
+            const fill = await this._insertFill(client, positionId, {
+                side: 'BUY',
+                price,
+                quantity: fillQuantity,
+                valueUsdt: fillValue,
+                fee: fillFee,
+                reason: reason || 'scale_in',
+                orderId
+            });
+
+            return { position: updateResult.rows[0], fill };
+        });
+    }
+
+    /**
+     * Get fills of a position (entries and exits), oldest first
+     */
+    static async getFills(positionId) {
+        const selectQuery = `
+            SELECT * FROM momentum_position_fills
+            WHERE position_id = $1
+            ORDER BY fill_time ASC, id ASC
         `;
 
-        const values = [
-            userId,
-            strategyId,
-            exchange,
-            asset,
-            pair,
-            entryPrice,
-            entryQuantity,
-            entryValueUsdt,
-            entryFee || 0, // Default to 0 if not provided
-            entrySignals ? JSON.stringify(entrySignals) : null,
-            entryOrderId
-        ];
+        const result = await query(selectQuery, [positionId]);
+        return result.rows;
+    }
+
+    /**
+     * Quantity still held (remaining_quantity is NULL until the first partial exit or scale-in)
+     */
+    static remainingQuantity(position) {
+        return position.remaining_quantity !== null && position.remaining_quantity !== undefined
+            ? parseFloat(position.remaining_quantity)
+            : parseFloat(position.entry_quantity);
+    }
+
+    /**
+     * Entry cost (value + fees) of the quantity still held
+     */
+    static remainingCost(position) {
+        if (position.cost_basis_usdt !== null && position.cost_basis_usdt !== undefined) {
+            return parseFloat(position.cost_basis_usdt);
+        }
+
+        const entryCost = parseFloat(position.entry_value_usdt) + parseFloat(position.entry_fee || 0);
+        return entryCost * (this.remainingQuantity(position) / parseFloat(position.entry_quantity));
+    }
+
+    /**
+     * @private
+     */
+    static async _insertFill(client, positionId, { side, price, quantity, valueUsdt, fee, reason, orderId, pnlUsdt, fillTime }) {
+        const result = await client.query(`
+            INSERT INTO momentum_position_fills (
+                position_id, side, price, quantity, value_usdt, fee, reason, order_id, pnl_usdt, fill_time
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, NOW()))
+            RETURNING *
+        `, [positionId, side, price, quantity, valueUsdt, fee || 0, reason || null, orderId || null, pnlUsdt ?? null, fillTime || null]);
 
-        const result = await query(insertQuery, values);
         return result.rows[0];
     }
 
@@ -243,52 +471,228 @@ class MomentumPosition {
             exitOrderId
         } = exitData;
 
-        // Calculate P&L with ACTUAL fees (from exchange responses)
-        const position = await this.getById(positionId);
-        if (!position) {
-            throw new Error('Position not found');
-        }
+        return await transaction(async (client) => {
+            // Calculate P&L with ACTUAL fees (from exchange responses)
+            const positionResult = await client.query(
+                'SELECT * FROM momentum_positions WHERE id = $1 FOR UPDATE',
+                [positionId]
+            );
+            const position = positionResult.rows[0];
+            if (!position) {
+                throw new Error('Position not found');
+            }
+
+            const exitValueUsdt = exitPrice * exitQuantity;
+
+            // TRUE P&L = (Exit Value - Exit Fee) - (Entry Value + Entry Fee)
+            // This gives the ACTUAL net profit after all exchange fees
+            // Parse all values to ensure they're numbers (DB returns decimals as strings)
+            const exitFeeAmount = parseFloat(exitFee || 0);
+            const entryValueUsdt = parseFloat(position.entry_value_usdt);
+
+            // After partial exits only the cost of the remaining quantity is left to cover;
+            // their realized PnL is added so exit_pnl_usdt stays the position's total
+            const realizedPnl = parseFloat(position.realized_pnl_usdt || 0);
+            const fillPnl = (exitValueUsdt - exitFeeAmount) - this.remainingCost(position);
+            const pnlUsdt = realizedPnl + fillPnl;
+            const pnlPercent = (pnlUsdt / entryValueUsdt) * 100;
+
+            const updateResult = await client.query(`
+                UPDATE momentum_positions
+                SET status = 'CLOSED',
+                    exit_price = $1,
+                    exit_quantity = $2,
+                    exit_fee = $3,
+                    exit_time = NOW(),
+                    exit_reason = $4,
+                    exit_pnl_usdt = $5,
+                    exit_pnl_percent = $6,
+                    exit_order_id = $7,
+                    updated_at = NOW()
+                WHERE id = $8
+                RETURNING *
+            `, [
+                exitPrice,
+                exitQuantity,
+                exitFeeAmount,
+                exitReason,
+                pnlUsdt,
+                pnlPercent,
+                exitOrderId,
+                positionId
+            ]);
+            const closed = updateResult.rows[0];
+
+            await this._insertFill(client, positionId, {
+                side: 'SELL',
+                price: exitPrice,
+                quantity: exitQuantity,
+                valueUsdt: exitValueUsdt,
+                fee: exitFeeAmount,
+                reason: exitReason,
+                orderId: exitOrderId,
+                pnlUsdt: fillPnl,
+                fillTime: closed.exit_time
+            });
+
+            return closed;
+        });
+    }
+
+    /**
+     * Back to OPEN after a close order filled only part of the position (the fill is recorded as
+     * a partial exit, the rest is sold on the next exit check)
+     */
+    static async reopen(positionId) {
+        const updateQuery = `
+            UPDATE momentum_positions
+            SET status = 'OPEN',
+                exit_order_id = NULL,
+                updated_at = NOW()
+            WHERE id = $1 AND status = 'CLOSING'
+            RETURNING *
+        `;
+
+        const result = await query(updateQuery, [positionId]);
+        return result.rows[0];
+    }
+
+    /**
+     * Persist trailing / break-even stop state (only while the position is OPEN)
+     */
+    static async updateExitState(positionId, { highestPrice, stopPrice, stopType }) {
+        const updateQuery = `
+            UPDATE momentum_positions
+            SET highest_price = $1,
+                stop_price = $2,
+                stop_type = $3,
+                updated_at = NOW()
+            WHERE id = $4 AND status = 'OPEN'
+            RETURNING *
+        `;
+
+        const result = await query(updateQuery, [highestPrice, stopPrice, stopType, positionId]);
+        return result.rows[0];
+    }
 
-        const exitValueUsdt = exitPrice * exitQuantity;
+    /**
+     * Claim a scaled take-profit target before selling, so it is never sold twice
+     * Returns undefined if the target was already taken (or the position is no longer OPEN)
+     */
+    static async markTargetHit(positionId, targetIndex) {
+        const updateQuery = `
+            UPDATE momentum_positions
+            SET targets_hit = $1 + 1,
+                updated_at = NOW()
+            WHERE id = $2 AND status = 'OPEN' AND COALESCE(targets_hit, 0) = $1
+            RETURNING *
+        `;
 
-        // TRUE P&L = (Exit Value - Exit Fee) - (Entry Value + Entry Fee)
-        // This gives the ACTUAL net profit after all exchange fees
-        // Parse all values to ensure they're numbers (DB returns decimals as strings)
-        const entryFee = parseFloat(position.entry_fee || 0);
-        const exitFeeAmount = parseFloat(exitFee || 0);
-        const entryValueUsdt = parseFloat(position.entry_value_usdt);
-        const pnlUsdt = (exitValueUsdt - exitFeeAmount) - (entryValueUsdt + entryFee);
-        const pnlPercent = (pnlUsdt / entryValueUsdt) * 100;
+        const result = await query(updateQuery, [targetIndex, positionId]);
+        return result.rows[0];
+    }
 
+    /**
+     * Give back a target claimed with markTargetHit (its sell failed or filled only partly),
+     * so the next exit check takes it again
+     * Returns undefined if the target is no longer the last one taken
+     */
+    static async releaseTarget(positionId, targetIndex) {
         const updateQuery = `
             UPDATE momentum_positions
-            SET status = 'CLOSED',
-                exit_price = $1,
-                exit_quantity = $2,
-                exit_fee = $3,
-                exit_time = NOW(),
-                exit_reason = $4,
-                exit_pnl_usdt = $5,
-                exit_pnl_percent = $6,
-                exit_order_id = $7,
+            SET targets_hit = $1,
                 updated_at = NOW()
-            WHERE id = $8
+            WHERE id = $2 AND targets_hit = $1 + 1
             RETURNING *
         `;
 
-        const values = [
+        const result = await query(updateQuery, [targetIndex, positionId]);
+        return result.rows[0];
+    }
+
+    /**
+     * Record a partial close: reduces remaining_quantity and books its net PnL
+     * (exit value - exit fee - the closed share of the remaining entry cost)
+     * Only OPEN positions (a take-profit target) and CLOSING ones (a partly filled close order) qualify
+     * @returns {Promise<object>} { position, exit }
+     */
+    static async recordPartialExit(positionId, exitData) {
+        const {
             exitPrice,
             exitQuantity,
-            exitFeeAmount,
+            exitFee,
             exitReason,
-            pnlUsdt,
-            pnlPercent,
             exitOrderId,
-            positionId
-        ];
+            targetIndex
+        } = exitData;
 
-        const result = await query(updateQuery, values);
-        return result.rows[0];
+        return await transaction(async (client) => {
+            const positionResult = await client.query(
+                'SELECT * FROM momentum_positions WHERE id = $1 FOR UPDATE',
+                [positionId]
+            );
+            const position = positionResult.rows[0];
+            if (!position) {
+                throw new Error('Position not found');
+            }
+            if (position.status !== 'OPEN' && position.status !== 'CLOSING') {
+                throw new Error('Position is not open');
+            }
+
+            const remaining = this.remainingQuantity(position);
+            const quantity = Math.min(parseFloat(exitQuantity), remaining);
+            const exitFeeAmount = parseFloat(exitFee || 0);
+            const remainingCost = this.remainingCost(position);
+            const closedCost = remaining > 0 ? remainingCost * (quantity / remaining) : 0;
+            const pnlUsdt = (exitPrice * quantity - exitFeeAmount) - closedCost;
+
+            const exitResult = await client.query(`
+                INSERT INTO momentum_position_exits (
+                    position_id, target_index, exit_price, exit_quantity, exit_fee,
+                    exit_reason, exit_order_id, pnl_usdt
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+            `, [positionId, targetIndex ?? null, exitPrice, quantity, exitFeeAmount, exitReason, exitOrderId, pnlUsdt]);
+
+            await this._insertFill(client, positionId, {
+                side: 'SELL',
+                price: exitPrice,
+                quantity,
+                valueUsdt: exitPrice * quantity,
+                fee: exitFeeAmount,
+                reason: exitReason,
+                orderId: exitOrderId,
+                pnlUsdt,
+                fillTime: exitResult.rows[0].exit_time
+            });
+
+            const updateResult = await client.query(`
+                UPDATE momentum_positions
+                SET remaining_quantity = $1,
+                    realized_pnl_usdt = COALESCE(realized_pnl_usdt, 0) + $2,
+                    cost_basis_usdt = $3,
+                    updated_at = NOW()
+                WHERE id = $4
+                RETURNING *
+            `, [remaining - quantity, pnlUsdt, remainingCost - closedCost, positionId]);
+
+            return { position: updateResult.rows[0], exit: exitResult.rows[0] };
+        });
+    }
+
+    /**
+     * Get partial-close records of a position
+     */
+    static async getPartialExits(positionId) {
+        const selectQuery = `
+            SELECT * FROM momentum_position_exits
+            WHERE position_id = $1
+            ORDER BY exit_time ASC
+        `;
+
+        const result = await query(selectQuery, [positionId]);
+        return result.rows;
     }
 
     /**
@@ -314,7 +718,8 @@ class MomentumPosition {
             SELECT
                 p.*,
                 s.exit_rules,
-                s.strategy_name
+                s.strategy_name,
+                s.timeframe
             FROM momentum_positions p
             JOIN momentum_strategies s ON p.strategy_id = s.id
             WHERE p.exchange = $1
@@ -327,6 +732,20 @@ class MomentumPosition {
         return result.rows;
     }
 
+    /**
+     * Get positions still holding the asset on the exchange (OPEN and CLOSING)
+     */
+    static async getUnsettledByUserAndExchange(userId, exchange) {
+        const selectQuery = `
+            SELECT * FROM momentum_positions
+            WHERE user_id = $1 AND exchange = $2 AND status IN ('OPEN', 'CLOSING')
+            ORDER BY entry_time ASC
+        `;
+
+        const result = await query(selectQuery, [userId, exchange]);
+        return result.rows;
+    }
+
     /**
      * Get daily statistics
      */
@@ -351,6 +770,57 @@ class MomentumPosition {
         return result.rows[0];
     }
 
+    /**
+     * Positions of a user that were open at any time in a date range (all exchanges unless filtered)
+     * @param {string} userId - User ID
+     * @param {object} options - { from, to (Date), exchange, strategyId }
+     * @returns {Promise<Array>} Positions with strategy_name, oldest entry first
+     */
+    static async getForAnalytics(userId, { from, to, exchange = null, strategyId = null }) {
+        const conditions = ['p.user_id = $1', 'p.entry_time <= $3', '(p.exit_time IS NULL OR p.exit_time >= $2)'];
+        const values = [userId, from, to];
+
+        if (exchange) {
+            values.push(exchange.toLowerCase());
+            conditions.push(`LOWER(p.exchange) = $${values.length}`);
+        }
+        if (strategyId) {
+            values.push(strategyId);
+            conditions.push(`p.strategy_id = $${values.length}`);
+        }
+
+        const selectQuery = `
+            SELECT p.*, s.strategy_name
+            FROM momentum_positions p
+            LEFT JOIN momentum_strategies s ON p.strategy_id = s.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY p.entry_time ASC
+        `;
+
+        const result = await query(selectQuery, values);
+        return result.rows;
+    }
+
+    /**
+     * Partial-close records of several positions, oldest first
+     * @param {Array<number>} positionIds - Position IDs
+     * @returns {Promise<Array>}
+     */
+    static async getPartialExitsForPositions(positionIds) {
+        if (positionIds.length === 0) {
+            return [];
+        }
+
+        const selectQuery = `
+            SELECT * FROM momentum_position_exits
+            WHERE position_id = ANY($1)
+            ORDER BY exit_time ASC
+        `;
+
+        const result = await query(selectQuery, [positionIds]);
+        return result.rows;
+    }
+
     /**
      * Delete position (for cleanup)
      */
@@ -366,4 +836,6 @@ class MomentumPosition {
     }
 }
 
+MomentumPosition.PARTIAL_FILL_TOLERANCE = PARTIAL_FILL_TOLERANCE;
+
 module.exports = MomentumPosition;
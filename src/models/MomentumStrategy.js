@@ -13,11 +13,11 @@ const { query } = require('../database/connection');
  *   strategy_name VARCHAR(100) NOT NULL,
  *   assets TEXT[] NOT NULL,
  *   entry_indicators JSONB NOT NULL,
- *   entry_logic VARCHAR(20) NOT NULL CHECK (entry_logic IN ('2_out_of_3', 'all', 'any_1')),
+ *   entry_logic VARCHAR(20) NOT NULL CHECK (entry_logic IN ('2_out_of_3', '3_out_of_4', 'all', 'any_1', 'expression', 'weighted')),
  *   exit_rules JSONB NOT NULL,
  *   max_trade_amount DECIMAL(12,2) NOT NULL,
  *   max_open_positions INTEGER NOT NULL,
- *   timeframe VARCHAR(5) DEFAULT '5m' CHECK (timeframe IN ('1m', '5m', '15m')),
+ *   timeframe VARCHAR(5) DEFAULT '5m' CHECK (timeframe IN ('1m', '5m', '15m', '30m', '1h', '4h', '1d')),
  *   is_active BOOLEAN DEFAULT false,
  *   created_at TIMESTAMP DEFAULT NOW(),
  *   updated_at TIMESTAMP DEFAULT NOW()
@@ -25,6 +25,10 @@ const { query } = require('../database/connection');
  *
  * CREATE INDEX IF NOT EXISTS idx_momentum_strategies_user_exchange ON momentum_strategies(user_id, exchange);
  * CREATE INDEX IF NOT EXISTS idx_momentum_strategies_active ON momentum_strategies(is_active);
+ *
+ * entry_indicators holds one entry per indicator plus two settings keys:
+ * - confirmation: higher-timeframe confirmation (see SignalDetectionService.getConfirmation)
+ * - logic: expression / weights for the 'expression' and 'weighted' entry logic (see EntryLogic)
  */
 
 class MomentumStrategy {
@@ -40,11 +44,11 @@ class MomentumStrategy {
                 strategy_name VARCHAR(100) NOT NULL,
                 assets TEXT[] NOT NULL,
                 entry_indicators JSONB NOT NULL,
-                entry_logic VARCHAR(20) NOT NULL CHECK (entry_logic IN ('2_out_of_3', 'all', 'any_1')),
+                entry_logic VARCHAR(20) NOT NULL CHECK (entry_logic IN ('2_out_of_3', '3_out_of_4', 'all', 'any_1', 'expression', 'weighted')),
                 exit_rules JSONB NOT NULL,
                 max_trade_amount DECIMAL(12,2) NOT NULL,
                 max_open_positions INTEGER NOT NULL,
-                timeframe VARCHAR(5) DEFAULT '5m' CHECK (timeframe IN ('1m', '5m', '15m')),
+                timeframe VARCHAR(5) DEFAULT '5m' CHECK (timeframe IN ('1m', '5m', '15m', '30m', '1h', '4h', '1d')),
                 is_active BOOLEAN DEFAULT false,
                 created_at TIMESTAMP DEFAULT NOW(),
                 updated_at TIMESTAMP DEFAULT NOW()
@@ -58,9 +62,19 @@ class MomentumStrategy {
             BEGIN
                 IF NOT EXISTS (SELECT 1 FROM information_schema.columns
                               WHERE table_name='momentum_strategies' AND column_name='timeframe') THEN
-                    ALTER TABLE momentum_strategies ADD COLUMN timeframe VARCHAR(5) DEFAULT '5m' CHECK (timeframe IN ('1m', '5m', '15m'));
+                    ALTER TABLE momentum_strategies ADD COLUMN timeframe VARCHAR(5) DEFAULT '5m' CHECK (timeframe IN ('1m', '5m', '15m', '30m', '1h', '4h', '1d'));
                 END IF;
             END $$;
+
+            -- Widen the timeframe CHECK of existing tables to the higher timeframes (safe to run multiple times)
+            ALTER TABLE momentum_strategies DROP CONSTRAINT IF EXISTS momentum_strategies_timeframe_check;
+            ALTER TABLE momentum_strategies ADD CONSTRAINT momentum_strategies_timeframe_check
+                CHECK (timeframe IN ('1m', '5m', '15m', '30m', '1h', '4h', '1d'));
+
+            -- Allow the 3-of-4, expression and weighted entry logic modes on existing tables
+            ALTER TABLE momentum_strategies DROP CONSTRAINT IF EXISTS momentum_strategies_entry_logic_check;
+            ALTER TABLE momentum_strategies ADD CONSTRAINT momentum_strategies_entry_logic_check
+                CHECK (entry_logic IN ('2_out_of_3', '3_out_of_4', 'all', 'any_1', 'expression', 'weighted'));
         `;
 
         await query(createTableQuery);
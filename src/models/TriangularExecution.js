@@ -0,0 +1,253 @@
+// Triangular Execution Model
+// Ledger of every atomic triangular execution (live and dry run) across all exchanges
+
+const { query } = require('../database/connection');
+
+/**
+ * Database Schema:
+ *
+ * CREATE TABLE IF NOT EXISTS triangular_executions (
+ *   id SERIAL PRIMARY KEY,
+ *   execution_id VARCHAR(100) UNIQUE NOT NULL,
+ *   user_id VARCHAR(255),
+ *   exchange VARCHAR(50) NOT NULL,
+ *   path_id VARCHAR(100),
+ *   sequence TEXT,
+ *   start_currency VARCHAR(20),
+ *   status VARCHAR(30) NOT NULL,              -- COMPLETED, FAILED, UNWOUND, COMPLETED_VIA_ALTERNATE
+ *   dry_run BOOLEAN DEFAULT false,
+ *   leg_count INTEGER NOT NULL,
+ *   start_amount DECIMAL(30,10) NOT NULL,
+ *   end_amount DECIMAL(30,10),
+ *   expected_profit_percent DECIMAL(12,4),
+ *   actual_profit DECIMAL(30,10),
+ *   actual_profit_percent DECIMAL(12,4),
+ *   max_slippage_percent DECIMAL(12,4),
+ *   order_ids TEXT[] DEFAULT '{}',
+ *   legs JSONB NOT NULL DEFAULT '[]',          -- per-leg pair, side, amounts, prices, slippage, order ID, status
+ *   recovery JSONB,                            -- recovery summary + recovery orders (if any)
+ *   error TEXT,
+ *   started_at TIMESTAMP,
+ *   completed_at TIMESTAMP,
+ *   execution_time_ms INTEGER,
+ *   hidden_at TIMESTAMP,                       -- cleared from the user's history (row kept for audit and risk limits)
+ *   created_at TIMESTAMP DEFAULT NOW()
+ * );
+ *
+ * CREATE INDEX IF NOT EXISTS idx_triangular_executions_user_created ON triangular_executions(user_id, created_at DESC);
+ * CREATE INDEX IF NOT EXISTS idx_triangular_executions_exchange ON triangular_executions(exchange, created_at DESC);
+ */
+
+class TriangularExecution {
+    /**
+     * Create triangular_executions table
+     */
+    static async createTable() {
+        const createTableQuery = `
+            CREATE TABLE IF NOT EXISTS triangular_executions (
+                id SERIAL PRIMARY KEY,
+                execution_id VARCHAR(100) UNIQUE NOT NULL,
+                user_id VARCHAR(255),
+                exchange VARCHAR(50) NOT NULL,
+                path_id VARCHAR(100),
+                sequence TEXT,
+                start_currency VARCHAR(20),
+                status VARCHAR(30) NOT NULL,
+                dry_run BOOLEAN DEFAULT false,
+                leg_count INTEGER NOT NULL,
+                start_amount DECIMAL(30,10) NOT NULL,
+                end_amount DECIMAL(30,10),
+                expected_profit_percent DECIMAL(12,4),
+                actual_profit DECIMAL(30,10),
+                actual_profit_percent DECIMAL(12,4),
+                max_slippage_percent DECIMAL(12,4),
+                order_ids TEXT[] DEFAULT '{}',
+                legs JSONB NOT NULL DEFAULT '[]',
+                recovery JSONB,
+                error TEXT,
+                started_at TIMESTAMP,
+                completed_at TIMESTAMP,
+                execution_time_ms INTEGER,
+                hidden_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT NOW()
+            );
+
+            ALTER TABLE triangular_executions ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP;
+
+            CREATE INDEX IF NOT EXISTS idx_triangular_executions_user_created ON triangular_executions(user_id, created_at DESC);
+            CREATE INDEX IF NOT EXISTS idx_triangular_executions_exchange ON triangular_executions(exchange, created_at DESC);
+        `;
+
+        await query(createTableQuery);
+    }
+
+    /**
+     * Record a finished execution (executeAtomic result)
+     */
+    static async create(executionData) {
+        const {
+            executionId,
+            userId,
+            exchange,
+            pathId,
+            sequence,
+            status,
+            dryRun,
+            startAmount,
+            endAmount,
+            expectedProfit,
+            actualProfit,
+            actualProfitPercentage,
+            legs = [],
+            recovery,
+            recoveryOrders = [],
+            error,
+            startTime,
+            endTime,
+            totalExecutionTime
+        } = executionData;
+
+        const slippages = legs.map(leg => leg.slippage).filter(slippage => typeof slippage === 'number');
+        const orderIds = legs.map(leg => leg.orderId).filter(Boolean).map(String);
+
+        const insertQuery = `
+            INSERT INTO triangular_executions (
+                execution_id, user_id, exchange, path_id, sequence, start_currency,
+                status, dry_run, leg_count, start_amount, end_amount,
+                expected_profit_percent, actual_profit, actual_profit_percent, max_slippage_percent,
+                order_ids, legs, recovery, error, started_at, completed_at, execution_time_ms
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+            ON CONFLICT (execution_id) DO NOTHING
+            RETURNING *
+        `;
+
+        const values = [
+            executionId,
+            userId || null,
+            exchange.toLowerCase(),
+            pathId || null,
+            sequence || null,
+            sequence ? sequence.split('→')[0].trim() : null,
+            status,
+            dryRun || false,
+            legs.length,
+            startAmount,
+            endAmount ?? null,
+            expectedProfit ?? null,
+            actualProfit ?? null,
+            actualProfitPercentage ?? null,
+            slippages.length ? Math.max(...slippages) : null,
+            orderIds,
+            JSON.stringify(legs),
+            (recovery || recoveryOrders.length) ? JSON.stringify({ ...(recovery || {}), orders: recoveryOrders }) : null,
+            error || null,
+            startTime || null,
+            endTime || null,
+            totalExecutionTime ?? null
+        ];
+
+        const result = await query(insertQuery, values);
+        return result.rows[0];
+    }
+
+    /**
+     * Get one execution (scoped to user)
+     */
+    static async getByExecutionId(executionId, userId) {
+        const selectQuery = `
+            SELECT * FROM triangular_executions
+            WHERE execution_id = $1 AND user_id = $2 AND hidden_at IS NULL
+        `;
+
+        const result = await query(selectQuery, [executionId, userId]);
+        return result.rows[0];
+    }
+
+    /**
+     * Filterable, paginated history (rows the user cleared are left out)
+     * @param {object} filters - { userId, exchange, status, dryRun, pathId, from, to }
+     * @param {object} pagination - { page, limit }
+     * @returns {Promise<object>} { executions, total }
+     */
+    static async list(filters = {}, pagination = {}) {
+        const conditions = ['hidden_at IS NULL'];
+        const values = [];
+
+        const addCondition = (sql, value) => {
+            values.push(value);
+            conditions.push(sql.replace('?', `$${values.length}`));
+        };
+
+        if (filters.userId) addCondition('user_id = ?', filters.userId);
+        if (filters.exchange) addCondition('exchange = ?', filters.exchange.toLowerCase());
+        if (filters.status) addCondition('status = ?', filters.status.toUpperCase());
+        if (filters.dryRun !== undefined) addCondition('dry_run = ?', filters.dryRun);
+        if (filters.pathId) addCondition('path_id = ?', filters.pathId);
+        if (filters.from) addCondition('created_at >= ?', filters.from);
+        if (filters.to) addCondition('created_at <= ?', filters.to);
+
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+        const limit = Math.min(Math.max(parseInt(pagination.limit) || 50, 1), 200);
+        const page = Math.max(parseInt(pagination.page) || 1, 1);
+
+        const countResult = await query(
+            `SELECT COUNT(*) AS total FROM triangular_executions ${whereClause}`,
+            values
+        );
+
+        const selectQuery = `
+            SELECT * FROM triangular_executions
+            ${whereClause}
+            ORDER BY created_at DESC
+            LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+        `;
+
+        const result = await query(selectQuery, [...values, limit, (page - 1) * limit]);
+
+        return {
+            executions: result.rows,
+            total: parseInt(countResult.rows[0].total),
+            page,
+            limit
+        };
+    }
+
+    /**
+     * Realized results since a point in time, per start currency (auto-trader risk limits)
+     * Counts rows the user cleared from history too - clearing history must not reset the limits
+     * @returns {Promise<Array>} [{ start_currency, trades, realized_profit, capital }]
+     */
+    static async getRealizedSince(userId, exchange, since, dryRun = false) {
+        const selectQuery = `
+            SELECT start_currency,
+                   COUNT(*) AS trades,
+                   COALESCE(SUM(actual_profit), 0) AS realized_profit,
+                   COALESCE(SUM(start_amount), 0) AS capital
+            FROM triangular_executions
+            WHERE user_id = $1 AND exchange = $2 AND created_at >= $3 AND dry_run = $4
+            GROUP BY start_currency
+        `;
+
+        const result = await query(selectQuery, [userId, exchange.toLowerCase(), since, dryRun]);
+        return result.rows;
+    }
+
+    /**
+     * Clear a user's history (optionally for one exchange)
+     * Rows are hidden, not deleted - the ledger stays the audit trail
+     * @returns {Promise<number>} Number of executions cleared
+     */
+    static async hideByUser(userId, exchange = null) {
+        const updateQuery = `
+            UPDATE triangular_executions
+            SET hidden_at = NOW()
+            WHERE user_id = $1 AND hidden_at IS NULL${exchange ? ' AND exchange = $2' : ''}
+        `;
+
+        const result = await query(updateQuery, exchange ? [userId, exchange.toLowerCase()] : [userId]);
+        return result.rowCount;
+    }
+}
+
+module.exports = TriangularExecution;
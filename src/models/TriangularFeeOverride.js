@@ -0,0 +1,115 @@
+// Triangular Fee Override Model
+// Stores user-specific maker/taker fee overrides (VIP tiers, token discounts, zero-fee promo pairs)
+
+const { query } = require('../database/connection');
+
+/**
+ * Database Schema:
+ *
+ * CREATE TABLE IF NOT EXISTS triangular_fee_overrides (
+ *   id SERIAL PRIMARY KEY,
+ *   user_id VARCHAR(255) NOT NULL,
+ *   exchange VARCHAR(50) NOT NULL,
+ *   pair VARCHAR(50) NOT NULL DEFAULT '*',   -- '*' = every pair on the exchange
+ *   maker_fee DECIMAL(10,6) NOT NULL CHECK (maker_fee >= -0.01 AND maker_fee <= 0.05),
+ *   taker_fee DECIMAL(10,6) NOT NULL CHECK (taker_fee >= -0.01 AND taker_fee <= 0.05),
+ *   note VARCHAR(255),
+ *   created_at TIMESTAMP DEFAULT NOW(),
+ *   updated_at TIMESTAMP DEFAULT NOW(),
+ *   UNIQUE (user_id, exchange, pair)
+ * );
+ *
+ * CREATE INDEX IF NOT EXISTS idx_triangular_fee_overrides_user_exchange ON triangular_fee_overrides(user_id, exchange);
+ */
+
+class TriangularFeeOverride {
+    /**
+     * Create triangular_fee_overrides table
+     */
+    static async createTable() {
+        const createTableQuery = `
+            CREATE TABLE IF NOT EXISTS triangular_fee_overrides (
+                id SERIAL PRIMARY KEY,
+                user_id VARCHAR(255) NOT NULL,
+                exchange VARCHAR(50) NOT NULL,
+                pair VARCHAR(50) NOT NULL DEFAULT '*',
+                maker_fee DECIMAL(10,6) NOT NULL CHECK (maker_fee >= -0.01 AND maker_fee <= 0.05),
+                taker_fee DECIMAL(10,6) NOT NULL CHECK (taker_fee >= -0.01 AND taker_fee <= 0.05),
+                note VARCHAR(255),
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE (user_id, exchange, pair)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_triangular_fee_overrides_user_exchange ON triangular_fee_overrides(user_id, exchange);
+        `;
+
+        await query(createTableQuery);
+    }
+
+    /**
+     * Create or replace an override
+     * pair '*' (or omitted) applies to every pair on the exchange
+     */
+    static async upsert(userId, overrideData) {
+        const {
+            exchange,
+            pair,
+            makerFee,
+            takerFee,
+            note
+        } = overrideData;
+
+        const upsertQuery = `
+            INSERT INTO triangular_fee_overrides (user_id, exchange, pair, maker_fee, taker_fee, note)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (user_id, exchange, pair)
+            DO UPDATE SET maker_fee = EXCLUDED.maker_fee,
+                          taker_fee = EXCLUDED.taker_fee,
+                          note = EXCLUDED.note,
+                          updated_at = NOW()
+            RETURNING *
+        `;
+
+        const values = [
+            userId,
+            exchange.toLowerCase(),
+            pair ? pair.toUpperCase() : '*',
+            makerFee,
+            takerFee,
+            note || null
+        ];
+
+        const result = await query(upsertQuery, values);
+        return result.rows[0];
+    }
+
+    /**
+     * Get all overrides for a user (optionally for one exchange)
+     */
+    static async getByUser(userId, exchange = null) {
+        const selectQuery = exchange
+            ? `SELECT * FROM triangular_fee_overrides WHERE user_id = $1 AND exchange = $2 ORDER BY exchange, pair`
+            : `SELECT * FROM triangular_fee_overrides WHERE user_id = $1 ORDER BY exchange, pair`;
+
+        const params = exchange ? [userId, exchange.toLowerCase()] : [userId];
+        const result = await query(selectQuery, params);
+        return result.rows;
+    }
+
+    /**
+     * Delete an override
+     */
+    static async delete(overrideId, userId) {
+        const deleteQuery = `
+            DELETE FROM triangular_fee_overrides
+            WHERE id = $1 AND user_id = $2
+            RETURNING *
+        `;
+
+        const result = await query(deleteQuery, [overrideId, userId]);
+        return result.rows[0];
+    }
+}
+
+module.exports = TriangularFeeOverride;
@@ -0,0 +1,153 @@
+// Triangular Order Book Snapshot Model
+// Recorded order books (one row per pair per recording round) for triangular backtesting
+
+const { query } = require('../database/connection');
+
+/**
+ * Database Schema:
+ *
+ * CREATE TABLE IF NOT EXISTS triangular_orderbook_snapshots (
+ *   id BIGSERIAL PRIMARY KEY,
+ *   exchange VARCHAR(50) NOT NULL,
+ *   pair VARCHAR(50) NOT NULL,
+ *   captured_at TIMESTAMP NOT NULL,             -- same for every pair of a recording round
+ *   source VARCHAR(20) DEFAULT 'rest',          -- rest | stream
+ *   bids JSONB NOT NULL,                        -- [[price, quantity], ...] best first
+ *   asks JSONB NOT NULL,
+ *   created_at TIMESTAMP DEFAULT NOW()
+ * );
+ *
+ * CREATE INDEX IF NOT EXISTS idx_triangular_snapshots_exchange_time ON triangular_orderbook_snapshots(exchange, captured_at);
+ */
+
+class TriangularOrderBookSnapshot {
+    /**
+     * Create triangular_orderbook_snapshots table
+     */
+    static async createTable() {
+        const createTableQuery = `
+            CREATE TABLE IF NOT EXISTS triangular_orderbook_snapshots (
+                id BIGSERIAL PRIMARY KEY,
+                exchange VARCHAR(50) NOT NULL,
+                pair VARCHAR(50) NOT NULL,
+                captured_at TIMESTAMP NOT NULL,
+                source VARCHAR(20) DEFAULT 'rest',
+                bids JSONB NOT NULL,
+                asks JSONB NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW()
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_triangular_snapshots_exchange_time ON triangular_orderbook_snapshots(exchange, captured_at);
+        `;
+
+        await query(createTableQuery);
+    }
+
+    /**
+     * Store one recording round
+     * @param {string} exchange - Exchange name
+     * @param {Date} capturedAt - Round timestamp
+     * @param {Array<object>} books - [{ pair, source, bids, asks }]
+     * @returns {Promise<number>} Rows inserted
+     */
+    static async createRound(exchange, capturedAt, books) {
+        if (books.length === 0) {
+            return 0;
+        }
+
+        const values = [];
+        const rows = books.map((book, index) => {
+            const offset = index * 6;
+            values.push(
+                exchange.toLowerCase(),
+                book.pair,
+                capturedAt,
+                book.source || 'rest',
+                JSON.stringify(book.bids),
+                JSON.stringify(book.asks)
+            );
+            return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6})`;
+        });
+
+        const insertQuery = `
+            INSERT INTO triangular_orderbook_snapshots (exchange, pair, captured_at, source, bids, asks)
+            VALUES ${rows.join(', ')}
+        `;
+
+        const result = await query(insertQuery, values);
+        return result.rowCount;
+    }
+
+    /**
+     * Snapshots in a time window, oldest first
+     * @param {string} exchange - Exchange name
+     * @param {object} filters - { pairs, from, to, maxRows }
+     * @returns {Promise<Array>} [{ pair, captured_at, source, bids, asks }]
+     */
+    static async getRange(exchange, filters = {}) {
+        const { pairs = null, from = null, to = null, maxRows = 200000 } = filters;
+        const conditions = ['exchange = $1'];
+        const values = [exchange.toLowerCase()];
+
+        if (pairs && pairs.length > 0) {
+            values.push(pairs);
+            conditions.push(`pair = ANY($${values.length})`);
+        }
+        if (from) {
+            values.push(from);
+            conditions.push(`captured_at >= $${values.length}`);
+        }
+        if (to) {
+            values.push(to);
+            conditions.push(`captured_at <= $${values.length}`);
+        }
+
+        values.push(maxRows);
+
+        const selectQuery = `
+            SELECT pair, captured_at, source, bids, asks
+            FROM triangular_orderbook_snapshots
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY captured_at ASC, pair ASC
+            LIMIT $${values.length}
+        `;
+
+        const result = await query(selectQuery, values);
+        return result.rows;
+    }
+
+    /**
+     * Recorded coverage per exchange (rounds, pairs, time span)
+     */
+    static async getCoverage(exchange = null) {
+        const selectQuery = `
+            SELECT exchange,
+                   COUNT(DISTINCT captured_at) AS rounds,
+                   COUNT(DISTINCT pair) AS pairs,
+                   COUNT(*) AS snapshots,
+                   MIN(captured_at) AS first_captured_at,
+                   MAX(captured_at) AS last_captured_at
+            FROM triangular_orderbook_snapshots
+            ${exchange ? 'WHERE exchange = $1' : ''}
+            GROUP BY exchange
+            ORDER BY exchange
+        `;
+
+        const result = await query(selectQuery, exchange ? [exchange.toLowerCase()] : []);
+        return result.rows;
+    }
+
+    /**
+     * Delete snapshots captured before a date (optionally for one exchange)
+     */
+    static async deleteBefore(before, exchange = null) {
+        const deleteQuery = exchange
+            ? 'DELETE FROM triangular_orderbook_snapshots WHERE captured_at < $1 AND exchange = $2'
+            : 'DELETE FROM triangular_orderbook_snapshots WHERE captured_at < $1';
+
+        const result = await query(deleteQuery, exchange ? [before, exchange.toLowerCase()] : [before]);
+        return result.rowCount;
+    }
+}
+
+module.exports = TriangularOrderBookSnapshot;
@@ -0,0 +1,158 @@
+// Triangular Recovery Order Model
+// Stores every order placed while recovering from a failed triangular leg (retry, alternate pair, unwind)
+
+const { query } = require('../database/connection');
+
+/**
+ * Database Schema:
+ *
+ * CREATE TABLE IF NOT EXISTS triangular_recovery_orders (
+ *   id SERIAL PRIMARY KEY,
+ *   execution_id VARCHAR(100) NOT NULL,
+ *   user_id VARCHAR(255),
+ *   exchange VARCHAR(50) NOT NULL,
+ *   path_id VARCHAR(100),
+ *   failed_leg INTEGER NOT NULL,
+ *   strategy VARCHAR(20) NOT NULL CHECK (strategy IN ('retry', 'alternate', 'unwind')),
+ *   pair VARCHAR(50) NOT NULL,
+ *   side VARCHAR(4) NOT NULL CHECK (side IN ('buy', 'sell')),
+ *   from_currency VARCHAR(20),
+ *   to_currency VARCHAR(20),
+ *   input_amount DECIMAL(30,10) NOT NULL,
+ *   output_amount DECIMAL(30,10),
+ *   executed_price DECIMAL(30,10),
+ *   order_id VARCHAR(100),
+ *   status VARCHAR(20) NOT NULL CHECK (status IN ('COMPLETED', 'FAILED')),
+ *   error TEXT,
+ *   dry_run BOOLEAN DEFAULT false,
+ *   created_at TIMESTAMP DEFAULT NOW()
+ * );
+ *
+ * CREATE INDEX IF NOT EXISTS idx_triangular_recovery_orders_execution ON triangular_recovery_orders(execution_id);
+ * CREATE INDEX IF NOT EXISTS idx_triangular_recovery_orders_user ON triangular_recovery_orders(user_id, created_at DESC);
+ */
+
+class TriangularRecoveryOrder {
+    /**
+     * Create triangular_recovery_orders table
+     */
+    static async createTable() {
+        const createTableQuery = `
+            CREATE TABLE IF NOT EXISTS triangular_recovery_orders (
+                id SERIAL PRIMARY KEY,
+                execution_id VARCHAR(100) NOT NULL,
+                user_id VARCHAR(255),
+                exchange VARCHAR(50) NOT NULL,
+                path_id VARCHAR(100),
+                failed_leg INTEGER NOT NULL,
+                strategy VARCHAR(20) NOT NULL CHECK (strategy IN ('retry', 'alternate', 'unwind')),
+                pair VARCHAR(50) NOT NULL,
+                side VARCHAR(4) NOT NULL CHECK (side IN ('buy', 'sell')),
+                from_currency VARCHAR(20),
+                to_currency VARCHAR(20),
+                input_amount DECIMAL(30,10) NOT NULL,
+                output_amount DECIMAL(30,10),
+                executed_price DECIMAL(30,10),
+                order_id VARCHAR(100),
+                status VARCHAR(20) NOT NULL CHECK (status IN ('COMPLETED', 'FAILED')),
+                error TEXT,
+                dry_run BOOLEAN DEFAULT false,
+                created_at TIMESTAMP DEFAULT NOW()
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_triangular_recovery_orders_execution ON triangular_recovery_orders(execution_id);
+            CREATE INDEX IF NOT EXISTS idx_triangular_recovery_orders_user ON triangular_recovery_orders(user_id, created_at DESC);
+        `;
+
+        await query(createTableQuery);
+    }
+
+    /**
+     * Record a recovery order
+     */
+    static async create(orderData) {
+        const {
+            executionId,
+            userId,
+            exchange,
+            pathId,
+            failedLeg,
+            strategy,
+            pair,
+            side,
+            fromCurrency,
+            toCurrency,
+            inputAmount,
+            outputAmount,
+            executedPrice,
+            orderId,
+            status,
+            error,
+            dryRun
+        } = orderData;
+
+        const insertQuery = `
+            INSERT INTO triangular_recovery_orders (
+                execution_id, user_id, exchange, path_id, failed_leg, strategy,
+                pair, side, from_currency, to_currency,
+                input_amount, output_amount, executed_price, order_id, status, error, dry_run
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+            RETURNING *
+        `;
+
+        const values = [
+            executionId,
+            userId || null,
+            exchange,
+            pathId || null,
+            failedLeg,
+            strategy,
+            pair,
+            side,
+            fromCurrency || null,
+            toCurrency || null,
+            inputAmount,
+            outputAmount ?? null,
+            executedPrice ?? null,
+            orderId || null,
+            status,
+            error || null,
+            dryRun || false
+        ];
+
+        const result = await query(insertQuery, values);
+        return result.rows[0];
+    }
+
+    /**
+     * Get recovery orders for an execution
+     */
+    static async getByExecution(executionId) {
+        const selectQuery = `
+            SELECT * FROM triangular_recovery_orders
+            WHERE execution_id = $1
+            ORDER BY created_at ASC, id ASC
+        `;
+
+        const result = await query(selectQuery, [executionId]);
+        return result.rows;
+    }
+
+    /**
+     * Get recent recovery orders for a user
+     */
+    static async getByUser(userId, limit = 50) {
+        const selectQuery = `
+            SELECT * FROM triangular_recovery_orders
+            WHERE user_id = $1
+            ORDER BY created_at DESC
+            LIMIT $2
+        `;
+
+        const result = await query(selectQuery, [userId, limit]);
+        return result.rows;
+    }
+}
+
+module.exports = TriangularRecoveryOrder;
@@ -10,8 +10,16 @@ const MomentumPosition = require('../models/MomentumPosition');
 const VALRMarketDataService = require('../services/momentum/VALRMarketDataService');
 const LunoMarketDataService = require('../services/momentum/LunoMarketDataService');
 const ChainEXMarketDataService = require('../services/momentum/ChainEXMarketDataService');
-const BinanceMarketDataService = require('../services/momentum/BinanceMarketDataService');
 const OrderExecutionService = require('../services/momentum/OrderExecutionService');
+const SignalDetectionService = require('../services/momentum/SignalDetectionService');
+const MomentumBacktestService = require('../services/momentum/MomentumBacktestService');
+const MomentumAnalyticsService = require('../services/momentum/MomentumAnalyticsService');
+const IndicatorRegistry = require('../services/momentum/IndicatorRegistry');
+const candleService = require('../services/momentum/MomentumCandleService');
+const MomentumCandle = require('../models/MomentumCandle');
+const momentumWorker = require('../services/momentum/MomentumWorkerService');
+const exchangeRegistry = require('../services/exchanges/ExchangeRegistry');
+const requestBudget = require('../services/exchanges/RequestBudgetManager');
 
 // Import database query function for manual table initialization
 const { query } = require('../database/connection');
@@ -20,8 +28,9 @@ const { query } = require('../database/connection');
 const valrService = new VALRMarketDataService();
 const lunoService = new LunoMarketDataService();
 const chainexService = new ChainEXMarketDataService();
-const binanceService = new BinanceMarketDataService();
 const orderExecutionService = new OrderExecutionService();
+const backtestService = new MomentumBacktestService();
+const analyticsService = new MomentumAnalyticsService();
 
 /**
  * GET /api/v1/momentum/initialize-tables
@@ -32,13 +41,15 @@ router.get('/initialize-tables', async (req, res) => {
     try {
         await MomentumStrategy.createTable();
         await MomentumPosition.createTable();
+        await MomentumCandle.createTable();
 
         res.json({
             success: true,
             message: 'Momentum Trading tables initialized successfully',
             tables: [
                 'momentum_strategies',
-                'momentum_positions'
+                'momentum_positions',
+                'momentum_candles'
             ]
         });
 
@@ -281,6 +292,27 @@ router.get('/supported-pairs/:exchange', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/v1/momentum/indicators
+ * Indicator registry metadata (parameters and output schema) for the strategy builder
+ */
+router.get('/indicators', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: IndicatorRegistry.list()
+        });
+
+    } catch (error) {
+        logger.error('Failed to list indicators', { error: error.message });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/v1/momentum/strategies
  * Get all strategies for user and exchange
@@ -450,6 +482,40 @@ router.post('/strategies', async (req, res) => {
             });
         }
 
+        if (timeframe && !SignalDetectionService.TIMEFRAME_MS[timeframe]) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid timeframe: ${timeframe}. Must be one of ${Object.keys(SignalDetectionService.TIMEFRAME_MS).join(', ')}`
+            });
+        }
+
+        // Registry indicators plus higher-timeframe confirmation
+        const indicatorErrors = SignalDetectionService.validateEntryIndicators(entryIndicators, timeframe || '5m');
+        if (indicatorErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid entry indicators: ${indicatorErrors.join('; ')}`
+            });
+        }
+
+        // Count modes, boolean expression or weighted score over the enabled indicators
+        const entryLogicErrors = SignalDetectionService.validateEntryLogic(entryLogic, entryIndicators);
+        if (entryLogicErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid entry logic: ${entryLogicErrors.join('; ')}`
+            });
+        }
+
+        // Validate trailing stop / break-even / scaled take-profit settings
+        const exitRuleErrors = SignalDetectionService.validateExitRules(exitRules);
+        if (exitRuleErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid exit rules: ${exitRuleErrors.join('; ')}`
+            });
+        }
+
         // Warning: We cannot validate if pair exists on VALR without API call
         // Worker will handle invalid pairs gracefully with error logging
 
@@ -635,6 +701,78 @@ router.get('/strategies/:id/can-open-position', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/v1/momentum/strategies/:id/backtest
+ * Replay a saved strategy over historical candles from its exchange
+ * Body: { userId, assets?, interval?, limit?, startingBalance?, feeRate?, slippagePercent?, lookback? }
+ * Returns trades, equity curve, win rate, max drawdown and Sharpe ratio
+ */
+router.post('/strategies/:id/backtest', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { userId, assets, interval, limit, startingBalance, feeRate, slippagePercent, lookback, credentials } = req.body;
+
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'userId is required'
+            });
+        }
+
+        const strategy = await MomentumStrategy.getById(id);
+
+        if (!strategy || strategy.user_id !== userId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Strategy not found'
+            });
+        }
+
+        if (assets !== undefined && (!Array.isArray(assets) || assets.length === 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'assets must be a non-empty array'
+            });
+        }
+
+        const numbers = { limit, startingBalance, feeRate, slippagePercent, lookback };
+        const invalid = Object.entries(numbers).find(([, value]) => value !== undefined && !(Number(value) >= 0));
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: `${invalid[0]} must be a non-negative number`
+            });
+        }
+
+        const report = await backtestService.run(strategy, {
+            ...(assets && { assets: assets.map(asset => String(asset).toUpperCase()) }),
+            ...(interval && { interval }),
+            ...(limit !== undefined && { limit: Math.min(parseInt(limit), 1000) }),
+            ...(startingBalance !== undefined && { startingBalance: Number(startingBalance) }),
+            ...(feeRate !== undefined && { feeRate: Number(feeRate) }),
+            ...(slippagePercent !== undefined && { slippagePercent: Number(slippagePercent) }),
+            ...(lookback !== undefined && { lookback: parseInt(lookback) }),
+            credentials
+        });
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        logger.error('Momentum backtest failed', {
+            strategyId: req.params.id,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * PUT /api/v1/momentum/strategies/:id
  * Update a strategy
@@ -665,6 +803,58 @@ router.put('/strategies/:id', async (req, res) => {
             });
         }
 
+        if (updates.timeframe && !SignalDetectionService.TIMEFRAME_MS[updates.timeframe]) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid timeframe: ${updates.timeframe}. Must be one of ${Object.keys(SignalDetectionService.TIMEFRAME_MS).join(', ')}`
+            });
+        }
+
+        if (updates.entryIndicators || updates.timeframe || updates.entryLogic) {
+            // Confirmation must stay above the (possibly unchanged) strategy timeframe and the entry
+            // logic may only reference enabled indicators, so check the merged configuration
+            const currentStrategy = await MomentumStrategy.getById(id);
+
+            if (!currentStrategy || currentStrategy.user_id !== userId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Strategy not found'
+                });
+            }
+
+            const indicatorErrors = SignalDetectionService.validateEntryIndicators(
+                updates.entryIndicators || currentStrategy.entry_indicators,
+                updates.timeframe || currentStrategy.timeframe
+            );
+            if (indicatorErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid entry indicators: ${indicatorErrors.join('; ')}`
+                });
+            }
+
+            const entryLogicErrors = SignalDetectionService.validateEntryLogic(
+                updates.entryLogic || currentStrategy.entry_logic,
+                updates.entryIndicators || currentStrategy.entry_indicators
+            );
+            if (entryLogicErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid entry logic: ${entryLogicErrors.join('; ')}`
+                });
+            }
+        }
+
+        if (updates.exitRules) {
+            const exitRuleErrors = SignalDetectionService.validateExitRules(updates.exitRules);
+            if (exitRuleErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid exit rules: ${exitRuleErrors.join('; ')}`
+                });
+            }
+        }
+
         // IMPORTANT: If updating assets, check for duplicate asset strategies
         if (updates.assets && Array.isArray(updates.assets)) {
             // Get current strategy to know its exchange
@@ -950,20 +1140,23 @@ router.post('/positions/:id/close', async (req, res) => {
             });
         }
 
+        // After scaled take-profit exits only the remaining quantity is still held
+        const quantity = parseFloat(position.remaining_quantity ?? position.entry_quantity);
+
         logger.info('Manually closing momentum position', {
             userId,
             positionId: id,
             asset: position.asset,
             pair: position.pair,
             exchange: position.exchange,
-            quantity: position.entry_quantity
+            quantity
         });
 
         // Execute sell order on exchange
         const sellResult = await orderExecutionService.executeSellOrder(
             position.exchange,
             position.pair,
-            parseFloat(position.entry_quantity),
+            quantity,
             credentials
         );
 
@@ -975,10 +1168,35 @@ router.post('/positions/:id/close', async (req, res) => {
             fee: sellResult.fee
         });
 
+        // Partially filled: book what sold, the position stays open with the rest
+        const filledQuantity = sellResult.executedQuantity || quantity;
+        if (filledQuantity < quantity * (1 - MomentumPosition.PARTIAL_FILL_TOLERANCE)) {
+            const result = await MomentumPosition.recordPartialExit(id, {
+                exitPrice: sellResult.executedPrice,
+                exitQuantity: filledQuantity,
+                exitFee: sellResult.fee || 0,
+                exitReason: reason || 'manual_close',
+                exitOrderId: sellResult.orderId
+            });
+
+            logger.warn('Manual close partially filled - position remains open', {
+                userId,
+                positionId: id,
+                requested: quantity,
+                filled: filledQuantity
+            });
+
+            return res.json({
+                success: true,
+                data: result.position,
+                message: 'Sell order partially filled - position remains open'
+            });
+        }
+
         // Close position in database with actual execution details
         const closedPosition = await MomentumPosition.close(id, {
             exitPrice: sellResult.executedPrice,
-            exitQuantity: sellResult.executedQuantity,
+            exitQuantity: filledQuantity,
             exitFee: sellResult.fee || 0,
             exitReason: reason || 'manual_close',
             exitOrderId: sellResult.orderId
@@ -1129,56 +1347,61 @@ router.put('/positions/:id/mark-closing', async (req, res) => {
 });
 
 /**
- * PUT /api/v1/momentum/positions/:id/close
- * Close a position (called by PositionMonitor after executing sell order)
+ * PUT /api/v1/momentum/positions/:id/reopen
+ * Back to OPEN after a close order filled only partly (the fill is recorded via partial-close first)
+ * Body: { userId }
  */
-router.put('/positions/:id/close', async (req, res) => {
+router.put('/positions/:id/reopen', async (req, res) => {
     try {
         const { id } = req.params;
-        const { exitPrice, exitQuantity, exitFee, exitReason, exitOrderId } = req.body;
+        const { userId } = req.body;
 
-        if (!exitPrice || !exitQuantity) {
+        if (!userId) {
             return res.status(400).json({
                 success: false,
-                error: 'exitPrice and exitQuantity are required'
+                error: 'userId is required'
             });
         }
 
-        // Close position in database with actual fees
-        const closedPosition = await MomentumPosition.close(id, {
-            exitPrice,
-            exitQuantity,
-            exitFee: exitFee || 0,
-            exitReason: exitReason || 'unknown',
-            exitOrderId
-        });
+        const existing = await MomentumPosition.getById(id);
 
-        if (!closedPosition) {
+        if (!existing) {
             return res.status(404).json({
                 success: false,
                 error: 'Position not found'
             });
         }
 
-        logger.info('Position closed in database with accurate P&L', {
+        if (String(existing.user_id) !== String(userId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized'
+            });
+        }
+
+        const position = await MomentumPosition.reopen(id);
+
+        if (!position) {
+            return res.status(404).json({
+                success: false,
+                error: 'Position not found or not closing'
+            });
+        }
+
+        logger.info('Position reopened after partial close fill', {
             positionId: id,
-            exitPrice,
-            exitFee: exitFee || 0,
-            netPnL: closedPosition.exit_pnl_usdt,
-            netPnLPercent: closedPosition.exit_pnl_percent
+            remainingQuantity: position.remaining_quantity
         });
 
         res.json({
             success: true,
-            data: closedPosition,
-            message: 'Position closed successfully'
+            data: position
         });
 
     } catch (error) {
-        logger.error('Failed to close position in database', {
+        logger.error('Failed to reopen position', {
             positionId: req.params.id,
-            error: error.message,
-            stack: error.stack
+            error: error.message
         });
 
         res.status(500).json({
@@ -1189,31 +1412,59 @@ router.put('/positions/:id/close', async (req, res) => {
 });
 
 /**
- * GET /api/v1/momentum/stats
- * Get daily statistics
+ * PUT /api/v1/momentum/positions/:id/exit-state
+ * Persist trailing / break-even stop state (called by PositionMonitor when it moves)
+ * Body: { userId, highestPrice, stopPrice, stopType }
  */
-router.get('/stats', async (req, res) => {
+router.put('/positions/:id/exit-state', async (req, res) => {
     try {
-        const { userId, exchange } = req.query;
+        const { id } = req.params;
+        const { userId, highestPrice, stopPrice, stopType } = req.body;
 
-        if (!userId || !exchange) {
+        if (!userId || !highestPrice) {
             return res.status(400).json({
                 success: false,
-                error: 'userId and exchange are required'
+                error: 'userId and highestPrice are required'
             });
         }
 
-        const stats = await MomentumPosition.getDailyStats(userId, exchange);
+        const existing = await MomentumPosition.getById(id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Position not found'
+            });
+        }
+
+        if (String(existing.user_id) !== String(userId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized'
+            });
+        }
+
+        const position = await MomentumPosition.updateExitState(id, {
+            highestPrice,
+            stopPrice: stopPrice ?? null,
+            stopType: stopType ?? null
+        });
+
+        if (!position) {
+            return res.status(404).json({
+                success: false,
+                error: 'Position not found or not open'
+            });
+        }
 
         res.json({
             success: true,
-            data: stats
+            data: position
         });
 
     } catch (error) {
-        logger.error('Failed to get momentum stats', {
-            userId: req.query.userId,
-            exchange: req.query.exchange,
+        logger.error('Failed to update position exit state', {
+            positionId: req.params.id,
             error: error.message
         });
 
@@ -1225,48 +1476,778 @@ router.get('/stats', async (req, res) => {
 });
 
 /**
- * POST /api/v1/momentum/market/candles
- * Fetch candle data for a trading pair (accepts credentials in body)
+ * PUT /api/v1/momentum/positions/:id/target-hit
+ * Claim a scaled take-profit target before selling (prevents selling the same target twice)
+ * Body: { userId, targetIndex }
  */
-router.post('/market/candles', async (req, res) => {
+router.put('/positions/:id/target-hit', async (req, res) => {
     try {
-        const { exchange, pair, interval, limit, credentials } = req.body;
-
-        logger.info('Candles request received', {
-            targetExchange: exchange,
-            pair,
-            interval,
-            limit
-        });
+        const { id } = req.params;
+        const { userId, targetIndex } = req.body;
 
-        if (!exchange || !pair) {
+        if (!userId || !Number.isInteger(targetIndex) || targetIndex < 0) {
             return res.status(400).json({
                 success: false,
-                error: 'exchange and pair are required'
+                error: 'userId is required and targetIndex must be a non-negative integer'
             });
         }
 
-        // Use Binance as universal data source for ALL exchanges
-        // XRP/USDT price is identical across all exchanges due to arbitrage
-        // This gives us unlimited historical data for analysis
-        // Actual trades will execute on the target exchange (VALR, Bybit, etc.)
-        logger.info('Fetching candles from Binance (universal data source)', {
-            targetExchange: exchange,
-            pair,
-            dataSource: 'Binance'
+        const existing = await MomentumPosition.getById(id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Position not found'
+            });
+        }
+
+        if (String(existing.user_id) !== String(userId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized'
+            });
+        }
+
+        const position = await MomentumPosition.markTargetHit(id, targetIndex);
+
+        if (!position) {
+            return res.status(409).json({
+                success: false,
+                error: 'Target already taken or position not open'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: position
         });
 
-        // Fetch candles from Binance (no credentials needed - public endpoint)
-        const candles = await binanceService.fetchCandles(
+    } catch (error) {
+        logger.error('Failed to mark take-profit target', {
+            positionId: req.params.id,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/momentum/positions/:id/partial-close
+ * Record a partial exit (called by PositionMonitor after selling a take-profit target)
+ * Body: { userId, exitPrice, exitQuantity, exitFee, exitReason, exitOrderId, targetIndex }
+ */
+router.put('/positions/:id/partial-close', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { userId, exitPrice, exitQuantity, exitFee, exitReason, exitOrderId, targetIndex } = req.body;
+
+        if (!userId || !exitPrice || !exitQuantity) {
+            return res.status(400).json({
+                success: false,
+                error: 'userId, exitPrice and exitQuantity are required'
+            });
+        }
+
+        const existing = await MomentumPosition.getById(id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Position not found'
+            });
+        }
+
+        if (String(existing.user_id) !== String(userId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized'
+            });
+        }
+
+        const result = await MomentumPosition.recordPartialExit(id, {
+            exitPrice,
+            exitQuantity,
+            exitFee: exitFee || 0,
+            exitReason: exitReason || 'take_profit_partial',
+            exitOrderId,
+            targetIndex
+        });
+
+        logger.info('Partial exit recorded', {
+            positionId: id,
+            exitPrice,
+            exitQuantity,
+            pnlUsdt: result.exit.pnl_usdt,
+            remainingQuantity: result.position.remaining_quantity
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Failed to record partial exit', {
+            positionId: req.params.id,
+            error: error.message
+        });
+
+        const status = error.message === 'Position not found' ? 404
+            : error.message === 'Position is not open' ? 400
+            : 500;
+
+        res.status(status).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/momentum/positions/:id/exits
+ * Partial-close records of a position
+ * Query: { userId }
+ */
+router.get('/positions/:id/exits', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { userId } = req.query;
+
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'userId is required'
+            });
+        }
+
+        const existing = await MomentumPosition.getById(id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Position not found'
+            });
+        }
+
+        if (String(existing.user_id) !== String(userId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized'
+            });
+        }
+
+        const exits = await MomentumPosition.getPartialExits(id);
+
+        res.json({
+            success: true,
+            data: exits
+        });
+
+    } catch (error) {
+        logger.error('Failed to get partial exits', {
+            positionId: req.params.id,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/momentum/positions/:id/fills
+ * Every order fill of a position (entries and exits), oldest first
+ * Query: { userId }
+ */
+router.get('/positions/:id/fills', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { userId } = req.query;
+
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'userId is required'
+            });
+        }
+
+        const existing = await MomentumPosition.getById(id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Position not found'
+            });
+        }
+
+        if (String(existing.user_id) !== String(userId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized'
+            });
+        }
+
+        const fills = await MomentumPosition.getFills(id);
+
+        res.json({
+            success: true,
+            data: fills
+        });
+
+    } catch (error) {
+        logger.error('Failed to get position fills', {
+            positionId: req.params.id,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/momentum/positions/:id/entry-fill
+ * Record an additional entry (scale-in / DCA) after a buy order executed elsewhere
+ * Body: { userId, price, quantity, valueUSDT, fee, orderId, reason }
+ */
+router.put('/positions/:id/entry-fill', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { userId, price, quantity, valueUSDT, fee, orderId, reason } = req.body;
+
+        if (!userId || !(parseFloat(price) > 0) || !(parseFloat(quantity) > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'userId is required and price and quantity must be positive numbers'
+            });
+        }
+
+        const existing = await MomentumPosition.getById(id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Position not found'
+            });
+        }
+
+        if (String(existing.user_id) !== String(userId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized'
+            });
+        }
+
+        const result = await MomentumPosition.addEntryFill(id, {
+            price: parseFloat(price),
+            quantity: parseFloat(quantity),
+            valueUsdt: valueUSDT,
+            fee: fee || 0,
+            orderId,
+            reason
+        });
+
+        logger.info('Entry fill recorded', {
+            positionId: id,
+            price,
+            quantity,
+            averageEntryPrice: result.position.entry_price
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Failed to record entry fill', {
+            positionId: req.params.id,
+            error: error.message
+        });
+
+        const status = error.message === 'Position not found' ? 404
+            : error.message === 'Position is not open' ? 400
+            : 500;
+
+        res.status(status).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/momentum/positions/:id/scale-in
+ * Buy more of an open position's asset and add it to the position (average entry price is recalculated)
+ * Body: { userId, amountUSDT, credentials }
+ */
+router.post('/positions/:id/scale-in', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { userId, amountUSDT, credentials } = req.body;
+        const amount = parseFloat(amountUSDT);
+
+        if (!userId || !(amount > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'userId and a positive amountUSDT are required'
+            });
+        }
+
+        if (!credentials || !credentials.apiKey || !credentials.apiSecret) {
+            return res.status(400).json({
+                success: false,
+                error: 'credentials are required (apiKey and apiSecret)'
+            });
+        }
+
+        const position = await MomentumPosition.getById(id);
+
+        if (!position) {
+            return res.status(404).json({
+                success: false,
+                error: 'Position not found'
+            });
+        }
+
+        if (String(position.user_id) !== String(userId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Unauthorized'
+            });
+        }
+
+        if (position.status !== 'OPEN') {
+            return res.status(400).json({
+                success: false,
+                error: 'Position is not open'
+            });
+        }
+
+        const buyResult = await orderExecutionService.executeBuyOrder(
+            position.exchange,
+            position.pair,
+            amount,
+            credentials
+        );
+
+        const price = buyResult.executedPrice;
+        const quantity = buyResult.executedQuantity || (price > 0 ? (buyResult.executedValue || amount) / price : 0);
+
+        if (!(price > 0) || !(quantity > 0)) {
+            throw new Error(`Buy order ${buyResult.orderId} reported no fill`);
+        }
+
+        const result = await MomentumPosition.addEntryFill(id, {
+            price,
+            quantity,
+            valueUsdt: buyResult.executedValue || price * quantity,
+            fee: buyResult.fee || 0,
+            orderId: buyResult.orderId,
+            reason: 'scale_in'
+        });
+
+        logger.info('Momentum position scaled in', {
+            userId,
+            positionId: id,
+            orderId: buyResult.orderId,
+            price,
+            quantity,
+            averageEntryPrice: result.position.entry_price
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Failed to scale in momentum position', {
+            positionId: req.params.id,
+            userId: req.body.userId,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/v1/momentum/positions/:id/close
+ * Close a position (called by PositionMonitor after executing sell order)
+ */
+router.put('/positions/:id/close', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { exitPrice, exitQuantity, exitFee, exitReason, exitOrderId } = req.body;
+
+        if (!exitPrice || !exitQuantity) {
+            return res.status(400).json({
+                success: false,
+                error: 'exitPrice and exitQuantity are required'
+            });
+        }
+
+        // Close position in database with actual fees
+        const closedPosition = await MomentumPosition.close(id, {
+            exitPrice,
+            exitQuantity,
+            exitFee: exitFee || 0,
+            exitReason: exitReason || 'unknown',
+            exitOrderId
+        });
+
+        if (!closedPosition) {
+            return res.status(404).json({
+                success: false,
+                error: 'Position not found'
+            });
+        }
+
+        logger.info('Position closed in database with accurate P&L', {
+            positionId: id,
+            exitPrice,
+            exitFee: exitFee || 0,
+            netPnL: closedPosition.exit_pnl_usdt,
+            netPnLPercent: closedPosition.exit_pnl_percent
+        });
+
+        res.json({
+            success: true,
+            data: closedPosition,
+            message: 'Position closed successfully'
+        });
+
+    } catch (error) {
+        logger.error('Failed to close position in database', {
+            positionId: req.params.id,
+            error: error.message,
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/momentum/stats
+ * Get daily statistics
+ */
+router.get('/stats', async (req, res) => {
+    try {
+        const { userId, exchange } = req.query;
+
+        if (!userId || !exchange) {
+            return res.status(400).json({
+                success: false,
+                error: 'userId and exchange are required'
+            });
+        }
+
+        const stats = await MomentumPosition.getDailyStats(userId, exchange);
+
+        res.json({
+            success: true,
+            data: stats
+        });
+
+    } catch (error) {
+        logger.error('Failed to get momentum stats', {
+            userId: req.query.userId,
+            exchange: req.query.exchange,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/momentum/analytics
+ * Portfolio analytics over a date range across all exchanges: equity curve, realised / unrealised
+ * PnL, win rate, profit factor, expectancy, average hold time, max drawdown and per-asset /
+ * per-strategy / per-exchange / per-exit-reason breakdown
+ * Query: userId (required), from, to (ISO date or unix ms, default last 30 days), exchange,
+ * strategyId, startingBalance (for equity and drawdown %)
+ */
+router.get('/analytics', async (req, res) => {
+    try {
+        const { userId, from, to, exchange, strategyId, startingBalance } = req.query;
+
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'userId is required'
+            });
+        }
+
+        const parseDate = value => (/^\d+$/.test(value) ? new Date(parseInt(value)) : new Date(value));
+        const range = {};
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value === undefined) continue;
+            range[name] = parseDate(value);
+            if (isNaN(range[name].getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${name} must be an ISO date or unix milliseconds`
+                });
+            }
+        }
+
+        if (range.from && range.to && range.from > range.to) {
+            return res.status(400).json({
+                success: false,
+                error: 'from must be before to'
+            });
+        }
+
+        if (strategyId !== undefined && !/^\d+$/.test(strategyId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'strategyId must be a number'
+            });
+        }
+
+        if (startingBalance !== undefined && !(Number(startingBalance) > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'startingBalance must be a positive number'
+            });
+        }
+
+        const analytics = await analyticsService.getAnalytics(userId, {
+            ...range,
+            exchange,
+            ...(strategyId !== undefined && { strategyId: parseInt(strategyId) }),
+            ...(startingBalance !== undefined && { startingBalance: Number(startingBalance) })
+        });
+
+        res.json({
+            success: true,
+            data: analytics
+        });
+
+    } catch (error) {
+        logger.error('Failed to get momentum analytics', {
+            userId: req.query.userId,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/momentum/request-budget
+ * Current API request budget usage per exchange (shared by every strategy in this process)
+ * Optional ?exchange= to return a single exchange
+ */
+router.get('/request-budget', async (req, res) => {
+    try {
+        const { exchange } = req.query;
+
+        res.json({
+            success: true,
+            data: requestBudget.getUsage(exchange || null)
+        });
+
+    } catch (error) {
+        logger.error('Failed to get request budget usage', {
+            exchange: req.query.exchange,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/momentum/worker/start
+ * Opt in to the server-side worker for an exchange (runs strategies, exits and reconciliation
+ * while the browser is closed). Credentials are kept in memory only; a restart ends the session.
+ * Body: { userId, exchange, credentials, tickIntervalMs?, reconcileIntervalMs? }
+ */
+router.post('/worker/start', async (req, res) => {
+    try {
+        const { userId, exchange, credentials, tickIntervalMs, reconcileIntervalMs } = req.body;
+
+        if (!userId || !exchange) {
+            return res.status(400).json({
+                success: false,
+                error: 'userId and exchange are required'
+            });
+        }
+
+        if (!credentials || !credentials.apiKey || !credentials.apiSecret) {
+            return res.status(400).json({
+                success: false,
+                error: 'credentials are required (apiKey and apiSecret)'
+            });
+        }
+
+        for (const [field, value] of Object.entries({ tickIntervalMs, reconcileIntervalMs })) {
+            if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be a positive number`
+                });
+            }
+        }
+
+        const status = momentumWorker.start(userId, exchange, credentials, { tickIntervalMs, reconcileIntervalMs });
+
+        res.json({
+            success: true,
+            data: status
+        });
+
+    } catch (error) {
+        logger.error('Failed to start momentum worker', {
+            userId: req.body.userId,
+            exchange: req.body.exchange,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/momentum/worker/stop
+ * Opt out of the server-side worker for an exchange
+ * Body: { userId, exchange }
+ */
+router.post('/worker/stop', async (req, res) => {
+    try {
+        const { userId, exchange } = req.body;
+
+        if (!userId || !exchange) {
+            return res.status(400).json({
+                success: false,
+                error: 'userId and exchange are required'
+            });
+        }
+
+        const stopped = momentumWorker.stop(userId, exchange);
+
+        res.json({
+            success: true,
+            data: { stopped },
+            message: stopped ? 'Momentum worker stopped' : 'No momentum worker running for this exchange'
+        });
+
+    } catch (error) {
+        logger.error('Failed to stop momentum worker', {
+            userId: req.body.userId,
+            exchange: req.body.exchange,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/momentum/worker/status?userId=&exchange=
+ * Server-side worker status: one exchange (or how its last session ended), or all running sessions of the user
+ */
+router.get('/worker/status', async (req, res) => {
+    try {
+        const { userId, exchange } = req.query;
+
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'userId is required'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: momentumWorker.getStatus(userId, exchange || null)
+        });
+
+    } catch (error) {
+        logger.error('Failed to get momentum worker status', {
+            userId: req.query.userId,
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/momentum/market/candles
+ * Fetch candle data for a trading pair from the exchange's own market (accepts credentials in body)
+ * Body: { exchange, pair, interval?, limit?, minCandles?, credentials? }
+ * Falls back to Binance when the exchange cannot provide at least minCandles (default 100, capped at limit)
+ */
+router.post('/market/candles', async (req, res) => {
+    try {
+        const { exchange, pair, interval, limit, minCandles, credentials } = req.body;
+
+        logger.info('Candles request received', {
+            targetExchange: exchange,
+            pair,
+            interval,
+            limit
+        });
+
+        if (!exchange || !pair) {
+            return res.status(400).json({
+                success: false,
+                error: 'exchange and pair are required'
+            });
+        }
+
+        // Candles from the strategy's own exchange (local store + Binance fallback)
+        const { candles, source, fallback } = await candleService.getCandles(
+            exchange,
             pair,
             interval || '1h',
-            limit || 100
+            limit || 100,
+            { credentials, minCandles }
         );
 
-        logger.info('Candles fetched successfully from Binance', {
+        logger.info('Candles fetched successfully', {
             targetExchange: exchange,
             pair,
-            candleCount: candles?.length,
+            dataSource: source,
+            fallback,
+            candleCount: candles.length,
             dataRange: candles.length > 0 ? {
                 from: new Date(candles[0].timestamp).toISOString(),
                 to: new Date(candles[candles.length - 1].timestamp).toISOString()
@@ -1275,7 +2256,9 @@ router.post('/market/candles', async (req, res) => {
 
         res.json({
             success: true,
-            data: candles
+            data: candles,
+            source,
+            fallback
         });
 
     } catch (error) {
@@ -1317,7 +2300,7 @@ router.post('/market/current-price', async (req, res) => {
         });
 
         // Fetch current price from Binance (no credentials needed)
-        const price = await binanceService.fetchCurrentPrice(pair);
+        const price = await exchangeRegistry.get('binance').fetchTicker(pair);
 
         logger.info('Current price fetched from Binance', {
             targetExchange: exchange,
@@ -0,0 +1,801 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const { authenticateUser, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { tradingRateLimit, authenticatedRateLimit } = require('../middleware/rateLimiter');
+const { systemLogger } = require('../utils/logger');
+
+const triangularArbService = require('../services/triangular-arb/TriangularArbService');
+const orderBookStreamService = require('../services/triangular-arb/OrderBookStreamService');
+const triangularAutoTrader = require('../services/triangular-arb/TriangularAutoTraderService');
+const orderBookRecorder = require('../services/triangular-arb/OrderBookRecorderService');
+const triangularBacktest = require('../services/triangular-arb/TriangularBacktestService');
+const triangularComparison = require('../services/triangular-arb/TriangularComparisonService');
+const executionRateLimiter = require('../services/triangular-arb/ExecutionRateLimiter');
+const TriangularOrderBookSnapshot = require('../models/TriangularOrderBookSnapshot');
+const TriangularExecution = require('../models/TriangularExecution');
+const exchangeRegistry = require('../services/exchanges/ExchangeRegistry');
+const portfolioCalculator = require('../utils/portfolio-calculator');
+
+const router = express.Router();
+
+// ============================================================================
+// TRIANGULAR ARBITRAGE - ONE ROUTE FAMILY FOR EVERY REGISTERED EXCHANGE
+// ============================================================================
+// /api/v1/trading/triangular/:exchange/{scan,execute,paths,test-connection,balance,stream}
+// /api/v1/trading/triangular/:exchange/auto/{start,stop,status} - server-side auto-trader
+// /api/v1/trading/triangular/:exchange/{recorder,backtest} - order book recording and replay
+// /api/v1/trading/triangular/compare - one cycle priced on every exchange
+// /api/v1/trading/triangular/rate-limits - execution locks across server instances (admin)
+//
+// The legacy per-exchange URLs (/api/v1/trading/<exchange>/triangular/<action>) are
+// registered as aliases of the same handlers, so every exchange gets identical
+// validation and response shapes. Exchange-specific behaviour lives in the adapters.
+// /api/v1/trading/:exchange/triangular/{history,recent-trades} - the user's trade log per exchange
+
+const alias = (action) => [`/triangular/:exchange/${action}`, `/:exchange/triangular/${action}`];
+
+/**
+ * Resolve :exchange through the registry (case-insensitive, 'huobi' → 'htx' etc.)
+ */
+router.param('exchange', (req, res, next, exchange) => {
+    if (!exchangeRegistry.has(exchange)) {
+        return next(new APIError(`Exchange not supported: ${exchange}`, 404, 'EXCHANGE_NOT_SUPPORTED'));
+    }
+
+    req.exchange = exchangeRegistry.get(exchange);
+    next();
+});
+
+/**
+ * Reject the request if the exchange's adapter lacks a capability the action needs
+ */
+const requireCapability = (...capabilities) => (req, res, next) => {
+    const missing = capabilities.filter(capability => !req.exchange.supports(capability));
+
+    if (missing.length > 0) {
+        return next(new APIError(
+            `${req.exchange.name} does not support ${missing.join(', ')} yet`,
+            501,
+            'CAPABILITY_NOT_SUPPORTED'
+        ));
+    }
+
+    next();
+};
+
+const checkValidation = (req) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        const errorMessages = errors.array().map(error => `${error.path}: ${error.msg}`).join(', ');
+        throw new APIError(`Validation failed: ${errorMessages}`, 400, 'VALIDATION_ERROR');
+    }
+};
+
+// Credentials are sent per request and never stored (passphrase: OKX, KuCoin, Bitget, Coincatch; memo: BitMart)
+const credentialsFromBody = ({ apiKey, apiSecret, passphrase, memo }) => ({
+    apiKey,
+    apiSecret,
+    ...(passphrase && { passphrase }),
+    ...(memo && { memo })
+});
+
+const credentialValidation = [
+    body('apiKey').trim().notEmpty().withMessage('API key is required'),
+    body('apiSecret').trim().notEmpty().withMessage('API secret is required'),
+    body('passphrase').optional().isString(),
+    body('memo').optional().isString()
+];
+
+const scanValidation = [
+    body('paths').optional().custom(value => typeof value === 'string' || Array.isArray(value))
+        .withMessage('paths must be "all", "discovered", a set name or an array of set names'),
+    body('maxTradeAmount').optional().isFloat({ gt: 0 }).withMessage('maxTradeAmount must be a positive number'),
+    body('profitThreshold').optional().isFloat({ min: -100, max: 100 }).withMessage('profitThreshold must be a percentage'),
+    body('stream').optional().custom(value => typeof value === 'boolean' || (value && typeof value === 'object'))
+        .withMessage('stream must be a boolean or { waitForSyncMs }'),
+    body('stream.waitForSyncMs').optional().isInt({ min: 0, max: 15000 }).withMessage('stream.waitForSyncMs must be 0-15000'),
+    body('portfolioPercent').optional().isFloat({ gt: 0, max: 100 }).withMessage('portfolioPercent must be between 0 and 100'),
+    body(['currentBalance', 'currentBalanceUSD', 'currentBalanceUSDT', 'currentBalanceUSDC', 'currentBalanceZAR'])
+        .optional().isFloat({ min: 0 }).withMessage('balances must be non-negative numbers'),
+    body('apiKey').optional().isString(),
+    body('apiSecret').optional().isString()
+];
+
+const executeValidation = [
+    body('pathId').trim().notEmpty().withMessage('Path ID is required'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+    body('confirmed').optional().isBoolean().withMessage('confirmed must be a boolean'),
+    body('minProfitThreshold').optional().isFloat().withMessage('minProfitThreshold must be a number'),
+    body('maxTradeAmount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('maxTradeAmount must be a positive number'),
+    body('portfolioPercent').optional({ nullable: true }).isFloat({ gt: 0, max: 100 }).withMessage('portfolioPercent must be between 0 and 100'),
+    ...credentialValidation
+];
+
+const autoStartValidation = [
+    body('paths').optional().custom(value => typeof value === 'string' || Array.isArray(value))
+        .withMessage('paths must be "all", "discovered", a set name or an array of set names'),
+    body('amount').isFloat({ gt: 0 }).withMessage('amount must be a positive number'),
+    body('profitThreshold').optional().isFloat({ min: -100, max: 100 }).withMessage('profitThreshold must be a percentage'),
+    body('scanIntervalMs').optional().isInt({ min: 2000, max: 3600000 }).withMessage('scanIntervalMs must be 2000-3600000'),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+    body('confirmed').optional().isBoolean().withMessage('confirmed must be a boolean'),
+    body('limits.maxDailyLoss').optional().isFloat({ gt: 0 }).withMessage('limits.maxDailyLoss must be a positive number'),
+    body('limits.maxTradesPerHour').optional().isInt({ min: 1, max: 3600 }).withMessage('limits.maxTradesPerHour must be 1-3600'),
+    body('limits.maxCapital').optional().isFloat({ gt: 0 }).withMessage('limits.maxCapital must be a positive number'),
+    body('limits.maxConsecutiveFailures').optional().isInt({ min: 1, max: 100 }).withMessage('limits.maxConsecutiveFailures must be 1-100'),
+    ...credentialValidation
+];
+
+const pathsValidation = body('paths').optional().custom(value => typeof value === 'string' || Array.isArray(value))
+    .withMessage('paths must be "all", "discovered", a set name or an array of set names');
+
+const recorderStartValidation = [
+    pathsValidation,
+    body('intervalMs').optional().isInt({ min: 1000, max: 3600000 }).withMessage('intervalMs must be 1000-3600000'),
+    body('depth').optional().isInt({ min: 1, max: 100 }).withMessage('depth must be 1-100')
+];
+
+const backtestValidation = [
+    pathsValidation,
+    body('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    body('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('amount must be a positive number'),
+    body('profitThreshold').optional().isFloat({ min: -100, max: 100 }).withMessage('profitThreshold must be a percentage'),
+    body('latencyMs').optional().isInt({ min: 0, max: 60000 }).withMessage('latencyMs must be 0-60000'),
+    body('maxBookAgeMs').optional().isInt({ min: 0, max: 3600000 }).withMessage('maxBookAgeMs must be 0-3600000')
+];
+
+const compareValidation = [
+    body('cycle').optional().custom(value => typeof value === 'string' || (Array.isArray(value) && value.every(currency => typeof currency === 'string')))
+        .withMessage('cycle must be a sequence like "USDT → ETH → BTC → USDT" or an array of currencies'),
+    body('startCurrency').optional().isString().isLength({ min: 2, max: 10 }).withMessage('startCurrency must be a currency code'),
+    body('exchanges').optional().isArray({ min: 1 }).withMessage('exchanges must be a non-empty array')
+        .custom(value => value.every(exchange => exchangeRegistry.has(exchange))).withMessage('exchanges contains an unsupported exchange'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('amount must be a positive number'),
+    body('maxAmount').optional().isFloat({ gt: 0 }).withMessage('maxAmount must be a positive number')
+];
+
+// POST /api/v1/trading/triangular/:exchange/scan
+// Scan for triangular arbitrage opportunities with live order books
+// NOTE: TEST SCAN MODE - Works without credentials (public order book data)
+// LIVE TRADING MODE - Credentials forwarded for authenticated order book endpoints and account fees
+router.post(alias('scan'), tradingRateLimit, optionalAuth, requireCapability('fetchOrderBook'), scanValidation, asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const exchange = req.exchange.id;
+    const {
+        paths = 'all',
+        apiKey,
+        apiSecret,
+        maxTradeAmount = 1000,
+        profitThreshold = 0.5,
+        portfolioPercent = 10,
+        currentBalance,       // Balance of the start currency (legacy single-currency routes)
+        currentBalanceUSD,
+        currentBalanceUSDT,
+        currentBalanceUSDC,
+        currentBalanceZAR,
+        discover = false,     // true or { startCurrencies, maxLegs, maxCycles } to scan live-discovered cycles
+        optimizeSize = false, // true or { minAmount, maxAmount, samples } for depth-aware size recommendation
+        stream = true         // false, or { waitForSyncMs } - live WebSocket books where the exchange supports them
+    } = req.body;
+
+    const scanMode = (apiKey && apiSecret) ? 'LIVE' : 'TEST';
+
+    systemLogger.trading(`Scanning ${req.exchange.name} triangular paths (${scanMode} mode)`, {
+        userId: req.user?.id || 'anonymous',
+        exchange,
+        scanMode,
+        pathsRequested: paths,
+        maxTradeAmount,
+        profitThreshold
+    });
+
+    // Size the scan from the balance: MIN(portfolioPercent × balance, maxTradeAmount), as the legacy routes did.
+    // ZAR-funded exchanges (VALR, Luno) send a ZAR and a USDT balance for paths starting in either, so their
+    // scans keep maxTradeAmount and only report the balances
+    const portfolioBalance = currentBalanceZAR === undefined ? (currentBalance ?? currentBalanceUSDT) : undefined;
+    const tradeAmountCalc = portfolioBalance !== undefined
+        ? portfolioCalculator.calculateTradeAmount({
+            balance: parseFloat(portfolioBalance) || 0,
+            portfolioPercent: parseFloat(portfolioPercent),
+            maxTradeAmount: parseFloat(maxTradeAmount),
+            currency: 'USDT',
+            exchange: req.exchange.name,
+            path: null
+        })
+        : null;
+    const startAmount = tradeAmountCalc?.canTrade ? tradeAmountCalc.amount : maxTradeAmount;
+    const warnings = [tradeAmountCalc?.warning, tradeAmountCalc?.reason].filter(Boolean);
+
+    const scanOptions = {
+        paths,
+        amount: startAmount,
+        profitThreshold,
+        discover,
+        optimizeSize,
+        stream,
+        userId: req.user?.id || null  // Per-user fee overrides (anonymous TEST scans use exchange/static fees)
+    };
+
+    // Add credentials only if provided (TEST scan uses public data, no credentials needed)
+    if (apiKey && apiSecret) {
+        scanOptions.credentials = credentialsFromBody(req.body);
+    }
+
+    // Below the minimum trade size: nothing to execute, so skip the scan (lost opportunity is logged by the calculator)
+    const scanResult = tradeAmountCalc && !tradeAmountCalc.canTrade
+        ? { opportunities: [] }
+        : await triangularArbService.scan(exchange, scanOptions);
+    const opportunities = scanResult.opportunities || [];
+
+    res.json({
+        success: true,
+        data: {
+            exchange,
+            scanMode,
+            opportunities,
+            opportunitiesFound: opportunities.length,
+            profitableCount: opportunities.filter(o => o.profitPercentage > 0).length,
+            scanTime: new Date().toISOString(),
+            startAmount,
+            profitThreshold,
+            portfolioCalculation: {
+                ...(currentBalance !== undefined && { balance: currentBalance }),
+                ...(currentBalanceUSD !== undefined && { balanceUSD: currentBalanceUSD }),
+                ...(currentBalanceUSDT !== undefined && { balanceUSDT: currentBalanceUSDT }),
+                ...(currentBalanceUSDC !== undefined && { balanceUSDC: currentBalanceUSDC }),
+                ...(currentBalanceZAR !== undefined && { balanceZAR: currentBalanceZAR }),
+                portfolioPercent,
+                ...(tradeAmountCalc && { portfolioAmount: tradeAmountCalc.details.portfolioAmount }),
+                maxTradeAmount,
+                ...(tradeAmountCalc && {
+                    appliedCap: tradeAmountCalc.details.appliedCap,
+                    canTrade: tradeAmountCalc.canTrade
+                })
+            },
+            warnings: warnings.length > 0 ? warnings : undefined,
+            debug: scanResult.debug || null  // Include debug info for frontend console logging
+        }
+    });
+}));
+
+// POST /api/v1/trading/triangular/:exchange/execute
+// Execute a triangular arbitrage trade (atomic N-leg transaction, dry run by default)
+router.post(alias('execute'), authenticatedRateLimit, authenticateUser, executeValidation, asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const exchange = req.exchange.id;
+    const {
+        pathId,
+        amount,
+        // Safety parameters
+        dryRun = true,              // Default to dry run for safety
+        confirmed = false,           // Explicit confirmation required for live trading
+        minProfitThreshold = 0.3,    // Minimum profit threshold
+        maxTradeAmount = null,       // Maximum trade amount
+        portfolioPercent = null,     // Portfolio percentage limit
+        recovery,                    // Optional leg-failure recovery policy
+        legOrders                    // Optional { type: 'limit', timeInForce: 'IOC' | 'FOK', tolerance }
+    } = req.body;
+
+    // Validation for live trading
+    if (!dryRun && !confirmed) {
+        throw new APIError(
+            'Live trading requires explicit confirmation. Set confirmed=true to proceed.',
+            400,
+            'CONFIRMATION_REQUIRED'
+        );
+    }
+
+    if (!dryRun && !req.exchange.supports('placeMarketOrder')) {
+        throw new APIError(`${req.exchange.name} does not support live order placement yet`, 501, 'CAPABILITY_NOT_SUPPORTED');
+    }
+
+    systemLogger.trading(`Triangular execution initiated ${dryRun ? '[DRY RUN]' : '[LIVE]'}`, {
+        userId: req.user.id,
+        exchange,
+        pathId,
+        amount,
+        dryRun,
+        confirmed,
+        timestamp: new Date().toISOString()
+    });
+
+    const executionResult = await triangularArbService.execute(
+        exchange,
+        pathId,
+        parseFloat(amount),
+        credentialsFromBody(req.body),
+        {
+            dryRun,
+            confirmed,
+            minProfitThreshold,
+            maxTradeAmount,
+            portfolioPercent,
+            userId: req.user.id,
+            recovery,
+            legOrders
+        }
+    );
+
+    res.json({
+        success: executionResult.success,
+        data: {
+            ...executionResult,
+            exchange,
+            dryRun,
+            confirmed,
+            safetyChecks: executionResult.validationResult?.checks
+        }
+    });
+}));
+
+// GET /api/v1/trading/triangular/:exchange/paths
+// Get configured (and discovered) path sets for an exchange
+router.get(alias('paths'), authenticatedRateLimit, authenticateUser, asyncHandler(async (req, res) => {
+    const exchange = req.exchange.id;
+    const pathSets = triangularArbService.getPathSets(exchange);
+
+    res.json({
+        success: true,
+        data: {
+            exchange,
+            pathSets,
+            totalSets: Object.keys(pathSets).length,
+            totalPaths: Object.values(pathSets).reduce((sum, set) => sum + set.pathCount, 0),
+            timestamp: new Date().toISOString()
+        }
+    });
+}));
+
+// POST /api/v1/trading/triangular/:exchange/test-connection
+// Validate exchange credentials and check that the exchange lists the pairs our paths use
+// NOTE: No platform authentication required - validates exchange credentials only
+router.post(alias('test-connection'), authenticatedRateLimit, credentialValidation, asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const exchange = req.exchange.id;
+
+    systemLogger.trading(`${req.exchange.name} triangular connection test initiated`, {
+        exchange,
+        timestamp: new Date().toISOString()
+    });
+
+    try {
+        const connection = await triangularArbService.testConnection(exchange, credentialsFromBody(req.body));
+
+        res.json({
+            success: true,
+            data: {
+                exchange,
+                ...connection,
+                timestamp: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        systemLogger.error(`${req.exchange.name} triangular connection test failed`, {
+            exchange,
+            error: error.message
+        });
+        throw new APIError(`${req.exchange.name} connection failed: ${error.message}`, 400, 'EXCHANGE_CONNECTION_FAILED');
+    }
+}));
+
+// POST /api/v1/trading/triangular/:exchange/balance
+// Get balances for the currencies triangular paths start from (or body.currencies)
+router.post(alias('balance'), authenticatedRateLimit, authenticateUser, [
+    ...credentialValidation,
+    body('currencies').optional().isArray({ max: 50 }).withMessage('currencies must be an array of currency codes')
+], asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const exchange = req.exchange.id;
+    const balances = await triangularArbService.getBalances(exchange, credentialsFromBody(req.body), req.body.currencies);
+
+    res.json({
+        success: true,
+        data: {
+            exchange,
+            balances,
+            timestamp: new Date().toISOString()
+        }
+    });
+}));
+
+// GET|POST /api/v1/trading/:exchange/triangular/history
+// The user's executions on this exchange from the execution ledger. POST and the top-level trades
+// field are kept for the per-exchange pages that send { limit } in the body and read result.trades
+// Ledger rows also carry the triangular_trades column names those pages render
+const toTradeLogRow = execution => ({
+    ...execution,
+    trade_id: execution.execution_id,
+    path_sequence: execution.sequence,
+    initial_amount: execution.start_amount,
+    currency_start: execution.start_currency,
+    execution_status: execution.status,
+    actual_profit_zar: execution.actual_profit,
+    error_message: execution.error,
+    execution_started_at: execution.started_at,
+    execution_completed_at: execution.completed_at,
+    total_execution_time_ms: execution.execution_time_ms
+});
+
+const tradeHistoryHandler = asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { executions } = await triangularArbService.getHistory(req.exchange.id, {
+        userId: req.user.id,
+        limit: parseInt(req.query.limit || req.body?.limit) || 50
+    });
+    const trades = executions.map(toTradeLogRow);
+
+    res.json({
+        success: true,
+        trades,
+        data: {
+            exchange: req.exchange.id,
+            trades,
+            count: trades.length,
+            timestamp: new Date().toISOString()
+        }
+    });
+});
+const historyValidation = [
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be 1-200'),
+    body('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be 1-200')
+];
+
+router.get(alias('history'), authenticatedRateLimit, authenticateUser, historyValidation, tradeHistoryHandler);
+router.post(alias('history'), authenticatedRateLimit, authenticateUser, historyValidation, tradeHistoryHandler);
+
+// DELETE /api/v1/trading/:exchange/triangular/history
+// Clear the user's execution history on this exchange (hidden, not deleted - see TriangularExecution.hideByUser)
+router.delete(alias('history'), authenticatedRateLimit, authenticateUser, asyncHandler(async (req, res) => {
+    const deletedCount = await TriangularExecution.hideByUser(req.user.id, req.exchange.id);
+
+    systemLogger.trading(`${req.exchange.name} triangular history cleared`, {
+        userId: req.user.id,
+        exchange: req.exchange.id,
+        deletedCount
+    });
+
+    res.json({
+        success: true,
+        message: `${req.exchange.name} triangular trade history cleared successfully`,
+        data: { deletedCount },
+        timestamp: new Date().toISOString()
+    });
+}));
+
+// GET /api/v1/trading/:exchange/triangular/recent-trades?limit=20
+// The user's latest executions on this exchange from the execution ledger
+router.get(alias('recent-trades'), authenticatedRateLimit, authenticateUser, [
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be 1-200')
+], asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { executions: trades } = await triangularArbService.getHistory(req.exchange.id, {
+        userId: req.user.id,
+        limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+        success: true,
+        data: {
+            trades,
+            count: trades.length,
+            timestamp: new Date().toISOString()
+        }
+    });
+}));
+
+// GET /api/v1/trading/triangular/:exchange/stream
+// Live order book stream health (connections, synced books, gaps/resyncs/reconnects)
+router.get(alias('stream'), authenticatedRateLimit, authenticateUser, asyncHandler(async (req, res) => {
+    const exchange = req.exchange.id;
+
+    res.json({
+        success: true,
+        data: {
+            supported: orderBookStreamService.supports(exchange),
+            ...orderBookStreamService.getStatus(exchange),
+            timestamp: new Date().toISOString()
+        }
+    });
+}));
+
+// DELETE /api/v1/trading/triangular/:exchange/stream
+// Close the exchange's order book stream (scans fall back to REST until the next scan reopens it)
+// Admin only: the stream is shared by every user scanning the exchange
+router.delete(alias('stream'), authenticatedRateLimit, authenticateUser, requireAdmin, asyncHandler(async (req, res) => {
+    const exchange = req.exchange.id;
+    const stopped = orderBookStreamService.stop(exchange);
+
+    systemLogger.trading(`${req.exchange.name} order book stream stop requested`, {
+        userId: req.user.id,
+        exchange,
+        stopped
+    });
+
+    res.json({
+        success: true,
+        data: {
+            exchange,
+            stopped,
+            timestamp: new Date().toISOString()
+        }
+    });
+}));
+
+// POST /api/v1/trading/triangular/:exchange/auto/start
+// Start (or restart with new settings) the server-side scan → execute loop for this user
+// NOTE: Credentials stay in server memory only while the session runs
+router.post('/triangular/:exchange/auto/start', authenticatedRateLimit, authenticateUser, requireCapability('fetchOrderBook'), autoStartValidation, asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const exchange = req.exchange.id;
+    const {
+        paths = 'all',
+        amount,
+        profitThreshold = 0.5,
+        scanIntervalMs = 10000,
+        dryRun = true,              // Default to dry run for safety
+        confirmed = false,           // Explicit confirmation required for live trading
+        limits = {},                 // { maxDailyLoss, maxTradesPerHour, maxCapital, maxConsecutiveFailures }
+        recovery,
+        legOrders
+    } = req.body;
+
+    if (!dryRun && !confirmed) {
+        throw new APIError(
+            'Live auto-trading requires explicit confirmation. Set confirmed=true to proceed.',
+            400,
+            'CONFIRMATION_REQUIRED'
+        );
+    }
+
+    if (!dryRun && !req.exchange.supports('placeMarketOrder')) {
+        throw new APIError(`${req.exchange.name} does not support live order placement yet`, 501, 'CAPABILITY_NOT_SUPPORTED');
+    }
+
+    const status = await triangularAutoTrader.start(req.user.id, exchange, credentialsFromBody(req.body), {
+        paths,
+        amount,
+        profitThreshold,
+        scanIntervalMs,
+        dryRun,
+        recovery,
+        legOrders,
+        limits
+    });
+
+    if (status.state === 'halted') {
+        throw new APIError(status.haltReason, 409, 'RISK_LIMIT_REACHED');
+    }
+
+    res.json({
+        success: true,
+        data: status
+    });
+}));
+
+// POST /api/v1/trading/triangular/:exchange/auto/stop
+// Stop the user's auto-trader on this exchange
+router.post('/triangular/:exchange/auto/stop', authenticatedRateLimit, authenticateUser, asyncHandler(async (req, res) => {
+    const exchange = req.exchange.id;
+    const stopped = triangularAutoTrader.stop(req.user.id, exchange);
+
+    res.json({
+        success: true,
+        data: {
+            exchange,
+            stopped,
+            timestamp: new Date().toISOString()
+        }
+    });
+}));
+
+// GET /api/v1/trading/triangular/auto/status
+// All of the user's running auto-trader sessions
+router.get('/triangular/auto/status', authenticatedRateLimit, authenticateUser, asyncHandler(async (req, res) => {
+    const sessions = triangularAutoTrader.getStatus(req.user.id);
+
+    res.json({
+        success: true,
+        data: {
+            sessions,
+            running: sessions.length,
+            timestamp: new Date().toISOString()
+        }
+    });
+}));
+
+// GET /api/v1/trading/triangular/:exchange/auto/status
+// Auto-trader state, counters and risk-limit usage for this user
+router.get('/triangular/:exchange/auto/status', authenticatedRateLimit, authenticateUser, asyncHandler(async (req, res) => {
+    const exchange = req.exchange.id;
+    const status = triangularAutoTrader.getStatus(req.user.id, exchange);
+
+    res.json({
+        success: true,
+        data: status || { exchange, state: 'stopped' }
+    });
+}));
+
+// POST /api/v1/trading/triangular/:exchange/recorder/start
+// Start snapshotting the order books of the exchange's path-set pairs (admin - shared market data)
+router.post('/triangular/:exchange/recorder/start', authenticatedRateLimit, authenticateUser, requireAdmin, requireCapability('fetchOrderBook'), recorderStartValidation, asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { paths = 'all', intervalMs = 10000, depth = 20 } = req.body;
+
+    try {
+        const status = orderBookRecorder.start(req.exchange.id, { paths, intervalMs, depth, startedBy: req.user.id });
+
+        res.json({
+            success: true,
+            data: status
+        });
+    } catch (error) {
+        throw new APIError(error.message, 400, 'RECORDER_START_FAILED');
+    }
+}));
+
+// POST /api/v1/trading/triangular/:exchange/recorder/stop
+router.post('/triangular/:exchange/recorder/stop', authenticatedRateLimit, authenticateUser, requireAdmin, asyncHandler(async (req, res) => {
+    const exchange = req.exchange.id;
+
+    res.json({
+        success: true,
+        data: {
+            exchange,
+            stopped: orderBookRecorder.stop(exchange),
+            timestamp: new Date().toISOString()
+        }
+    });
+}));
+
+// GET /api/v1/trading/triangular/:exchange/recorder
+// Recorder state plus what has been recorded so far (rounds, pairs, time span)
+router.get('/triangular/:exchange/recorder', authenticatedRateLimit, authenticateUser, asyncHandler(async (req, res) => {
+    const exchange = req.exchange.id;
+    const [coverage] = await TriangularOrderBookSnapshot.getCoverage(exchange);
+
+    res.json({
+        success: true,
+        data: {
+            exchange,
+            recording: orderBookRecorder.getStatus(exchange),
+            coverage: coverage || null,
+            timestamp: new Date().toISOString()
+        }
+    });
+}));
+
+// DELETE /api/v1/trading/triangular/:exchange/recorder/snapshots?before=ISO_DATE
+// Prune recorded order books
+router.delete('/triangular/:exchange/recorder/snapshots', authenticatedRateLimit, authenticateUser, requireAdmin, [
+    query('before').isISO8601().withMessage('before must be an ISO 8601 date')
+], asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const deleted = await TriangularOrderBookSnapshot.deleteBefore(req.query.before, req.exchange.id);
+
+    res.json({
+        success: true,
+        data: {
+            exchange: req.exchange.id,
+            deleted,
+            before: req.query.before
+        }
+    });
+}));
+
+// POST /api/v1/trading/triangular/:exchange/backtest
+// Replay recorded order books: how often each path set signalled and what it would really have paid
+router.post('/triangular/:exchange/backtest', tradingRateLimit, authenticateUser, backtestValidation, asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const {
+        paths = 'all',
+        from,
+        to,
+        amount = 1000,
+        profitThreshold = 0.3,
+        latencyMs = 500,        // Per leg, signal → fill
+        maxBookAgeMs = 60000
+    } = req.body;
+
+    let report;
+    try {
+        report = await triangularBacktest.run(req.exchange.id, {
+            paths,
+            from,
+            to,
+            amount,
+            profitThreshold,
+            latencyMs,
+            maxBookAgeMs,
+            userId: req.user.id  // Per-user fee overrides
+        });
+    } catch (error) {
+        throw new APIError(error.message, 400, 'BACKTEST_FAILED');
+    }
+
+    res.json({
+        success: true,
+        data: report
+    });
+}));
+
+// POST /api/v1/trading/triangular/compare
+// Price one cycle (or every cycle from startCurrency) on all exchanges and rank them by profit,
+// with fees, depth and execution availability - where is it worth keeping balances?
+// NOTE: Public order book data; signed-in users get their fee overrides and rate-limit state
+router.post('/triangular/compare', tradingRateLimit, optionalAuth, compareValidation, asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { cycle, startCurrency, exchanges, amount = 1000, maxAmount } = req.body;
+
+    if (!cycle && !startCurrency) {
+        throw new APIError('Either cycle or startCurrency is required', 400, 'VALIDATION_ERROR');
+    }
+
+    const report = await triangularComparison.compare({
+        cycle,
+        startCurrency,
+        exchanges: exchanges ? Array.from(new Set(exchanges.map(exchange => exchangeRegistry.get(exchange).id))) : null,
+        amount,
+        maxAmount,
+        userId: req.user?.id || null
+    });
+
+    res.json({
+        success: true,
+        data: report
+    });
+}));
+
+// GET /api/v1/trading/triangular/rate-limits
+// Current execution locks (every instance when Redis-backed) and per-exchange windows
+router.get('/triangular/rate-limits', authenticatedRateLimit, authenticateUser, requireAdmin, asyncHandler(async (req, res) => {
+    const { backend, locks } = await executionRateLimiter.listLocks();
+
+    res.json({
+        success: true,
+        data: {
+            backend,
+            locks,
+            exchanges: await executionRateLimiter.getAllExchangeStatus()
+        }
+    });
+}));
+
+// DELETE /api/v1/trading/triangular/rate-limits/locks
+// Clear a stuck execution lock (e.g. the holding instance died before its TTL ran out)
+router.delete('/triangular/rate-limits/locks', authenticatedRateLimit, authenticateUser, requireAdmin, [
+    body('exchange').isString().trim().notEmpty().withMessage('exchange is required'),
+    body('userId').notEmpty().withMessage('userId is required')
+], asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { exchange, userId } = req.body;
+    const removed = await executionRateLimiter.forceRelease(exchange, userId);
+
+    systemLogger.warn(`Execution lock cleared by admin`, {
+        adminId: req.user.id,
+        exchange,
+        userId,
+        removed
+    });
+
+    res.json({
+        success: true,
+        data: { exchange: exchange.toLowerCase(), userId: String(userId), removed }
+    });
+}));
+
+module.exports = router;
@@ -86,48 +86,32 @@ class CurrencySwapExecutionService {
             // RATE LIMITING: Check both source and destination exchanges
             logger.info('[RATE LIMIT] Checking rate limits for both exchanges...');
 
-            const sourceRateCheck = await executionRateLimiter.checkExecutionAllowed(
-                path.sourceExchange,
-                userId.toString()
-            );
-
-            if (!sourceRateCheck.allowed) {
-                logger.warn(`[RATE LIMIT] Source exchange ${path.sourceExchange} rate limit active`, {
-                    reason: sourceRateCheck.reason,
-                    waitTime: sourceRateCheck.waitTime,
-                    message: sourceRateCheck.message
-                });
-                throw new Error(
-                    `⏳ Rate Limit - Source Exchange\n\n` +
-                    `${sourceRateCheck.message}\n\n` +
-                    `Please wait ${Math.ceil(sourceRateCheck.waitTime / 1000)} seconds before executing another trade.`
-                );
-            }
-
-            const destRateCheck = await executionRateLimiter.checkExecutionAllowed(
-                path.destExchange,
+            // Check and lock both exchanges in one step (either both are locked or neither)
+            const swapExecutionId = `currency-swap-${Date.now()}-${userId}`;
+            const rateCheck = await executionRateLimiter.acquireExecution(
+                [path.sourceExchange, path.destExchange],
+                swapExecutionId,
                 userId.toString()
             );
 
-            if (!destRateCheck.allowed) {
-                logger.warn(`[RATE LIMIT] Destination exchange ${path.destExchange} rate limit active`, {
-                    reason: destRateCheck.reason,
-                    waitTime: destRateCheck.waitTime,
-                    message: destRateCheck.message
+            if (!rateCheck.allowed) {
+                const side = rateCheck.exchange === path.sourceExchange.toLowerCase() ? 'Source' : 'Destination';
+                logger.warn(`[RATE LIMIT] ${side} exchange ${rateCheck.exchange} rate limit active`, {
+                    reason: rateCheck.reason,
+                    waitTime: rateCheck.waitTime,
+                    message: rateCheck.message
                 });
                 throw new Error(
-                    `⏳ Rate Limit - Destination Exchange\n\n` +
-                    `${destRateCheck.message}\n\n` +
-                    `Please wait ${Math.ceil(destRateCheck.waitTime / 1000)} seconds before executing another trade.`
+                    `⏳ Rate Limit - ${side} Exchange\n\n` +
+                    `${rateCheck.message}\n\n` +
+                    `Please wait ${Math.ceil(rateCheck.waitTime / 1000)} seconds before executing another trade.`
                 );
             }
 
             logger.info('[RATE LIMIT] ✅ Both exchanges available for execution');
 
-            // Mark execution started for BOTH exchanges
-            executionId = `currency-swap-${Date.now()}-${userId}`;
-            executionRateLimiter.markExecutionStarted(path.sourceExchange, executionId, userId.toString());
-            executionRateLimiter.markExecutionStarted(path.destExchange, executionId, userId.toString());
+            // Locks held - release them in finally
+            executionId = swapExecutionId;
 
             logger.info('[RATE LIMIT] Execution marked as started for both exchanges', {
                 executionId,
@@ -328,8 +312,7 @@ class CurrencySwapExecutionService {
         } finally {
             // ALWAYS mark execution as completed for BOTH exchanges (success or failure)
             if (executionId) {
-                executionRateLimiter.markExecutionCompleted(path.sourceExchange, executionId, userId.toString());
-                executionRateLimiter.markExecutionCompleted(path.destExchange, executionId, userId.toString());
+                await executionRateLimiter.releaseExecution([path.sourceExchange, path.destExchange], executionId, userId.toString());
 
                 logger.info('[RATE LIMIT] Execution marked as completed for both exchanges', {
                     executionId,
@@ -0,0 +1,229 @@
+/**
+ * Exchange Simulator
+ * Local mock-exchange HTTP server for end-to-end dry runs of every strategy
+ *
+ * Each exchange dialect is mounted under its own prefix (/valr, /binance, /kraken, /okx)
+ * and backed by a SimulatedExchange holding scripted books, balances and failures.
+ * With fetchRedirect installed (EXCHANGE_SIMULATOR_URL), the unchanged adapters and
+ * execution services talk to these prefixes instead of the real hosts.
+ *
+ * Control API (scripting and assertions):
+ *   GET    /_sim/state                               - State of every exchange
+ *   POST   /_sim/reset                               - Reset all exchanges (?exchange= for one)
+ *   POST   /_sim/:exchange/scenario                  - Load { markets, balances, settings, failures, deposits }
+ *   PUT    /_sim/:exchange/markets/:symbol           - Set a market/order book
+ *   PUT    /_sim/:exchange/balances                  - Set balances
+ *   PUT    /_sim/:exchange/settings                  - Fees, fillRatio, consumeLiquidity, latencyMs
+ *   POST   /_sim/:exchange/failures                  - Script a failure
+ *   POST   /_sim/:exchange/deposits                  - Credit a deposit
+ *   POST   /_sim/:exchange/withdrawals/:id/complete  - Settle a withdrawal ({ status, txHash })
+ *   GET    /_sim/:exchange/requests                  - Request log
+ */
+
+const express = require('express');
+const { systemLogger } = require('../../utils/logger');
+const SimulatedExchange = require('./SimulatedExchange');
+
+const DIALECTS = [
+    require('./dialects/valr'),
+    require('./dialects/binance'),
+    require('./dialects/kraken'),
+    require('./dialects/okx')
+];
+
+class ExchangeSimulator {
+    constructor() {
+        this.dialects = new Map(DIALECTS.map(dialect => [dialect.id, dialect]));
+        this.exchanges = new Map(DIALECTS.map(dialect => [dialect.id, new SimulatedExchange(dialect.id)]));
+        this.server = null;
+        this.app = this._createApp();
+    }
+
+    /**
+     * Simulated exchange by id (for scripting in-process)
+     * @returns {SimulatedExchange}
+     */
+    get(exchangeId) {
+        const exchange = this.exchanges.get(String(exchangeId).toLowerCase());
+        if (!exchange) {
+            throw new Error(`Exchange ${exchangeId} is not simulated (supported: ${this.supportedExchanges().join(', ')})`);
+        }
+        return exchange;
+    }
+
+    supportedExchanges() {
+        return Array.from(this.exchanges.keys());
+    }
+
+    /**
+     * Load a scenario for several exchanges ({ valr: {...}, binance: {...} })
+     */
+    load(scenario = {}) {
+        for (const [exchangeId, exchangeScenario] of Object.entries(scenario)) {
+            this.get(exchangeId).load(exchangeScenario);
+        }
+    }
+
+    reset() {
+        this.exchanges.forEach(exchange => exchange.reset());
+    }
+
+    /**
+     * Start listening (port 0 picks a free port)
+     * @returns {Promise<string>} Base URL of the simulator
+     */
+    start(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, host, () => {
+                const url = `http://${host}:${this.server.address().port}`;
+                systemLogger.info(`Exchange simulator listening`, { url, exchanges: this.supportedExchanges() });
+                resolve(url);
+            });
+            this.server.once('error', reject);
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) {
+                return resolve();
+            }
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    /**
+     * @private
+     */
+    _createApp() {
+        const app = express();
+
+        // Exchanges disagree on body formats (JSON, form, JSON sent as form) - parse by content
+        app.use(express.text({ type: () => true, limit: '1mb' }));
+        app.use((req, res, next) => {
+            req.body = this._parseBody(req.body);
+            next();
+        });
+
+        app.use('/_sim', this._createControlRouter());
+
+        for (const [exchangeId, dialect] of this.dialects) {
+            const exchange = this.exchanges.get(exchangeId);
+
+            app.use(`/${exchangeId}`, async (req, res, next) => {
+                exchange.logRequest(req.method, req.originalUrl.slice(exchangeId.length + 1), req.body);
+
+                if (exchange.settings.latencyMs > 0) {
+                    await new Promise(resolve => setTimeout(resolve, exchange.settings.latencyMs));
+                }
+
+                const failure = exchange.takeFailure(req.method, req.path);
+                if (failure) {
+                    return res.status(failure.status).json(failure.body);
+                }
+                next();
+            }, dialect.createRouter(exchange));
+
+            app.use(`/${exchangeId}`, (req, res) => {
+                res.status(404).json(dialect.errorBody(404, `Simulator has no ${exchangeId} endpoint ${req.method} ${req.path}`));
+            });
+        }
+
+        app.use((error, req, res, next) => {
+            systemLogger.error(`Exchange simulator request failed`, { path: req.originalUrl, error: error.message });
+            res.status(500).json({ error: error.message });
+        });
+
+        return app;
+    }
+
+    /**
+     * @private
+     */
+    _createControlRouter() {
+        const router = express.Router();
+
+        router.get('/state', (req, res) => {
+            res.json(Object.fromEntries(Array.from(this.exchanges.entries()).map(([id, exchange]) => [id, exchange.getState()])));
+        });
+
+        router.post('/reset', (req, res) => {
+            if (req.query.exchange) {
+                this.get(req.query.exchange).reset();
+            } else {
+                this.reset();
+            }
+            res.json({ success: true });
+        });
+
+        router.param('exchange', (req, res, next, exchangeId) => {
+            if (!this.exchanges.has(exchangeId)) {
+                return res.status(404).json({ error: `Exchange ${exchangeId} is not simulated` });
+            }
+            req.simulated = this.exchanges.get(exchangeId);
+            next();
+        });
+
+        router.post('/:exchange/scenario', (req, res) => {
+            req.simulated.load(req.body);
+            res.json(req.simulated.getState());
+        });
+
+        router.put('/:exchange/markets/:symbol', (req, res) => {
+            req.simulated.setMarket(req.params.symbol, req.body);
+            res.json(req.simulated.getMarket(req.params.symbol));
+        });
+
+        router.put('/:exchange/balances', (req, res) => {
+            req.simulated.setBalances(req.body);
+            res.json(req.simulated.getBalances());
+        });
+
+        router.put('/:exchange/settings', (req, res) => {
+            req.simulated.configure(req.body);
+            res.json(req.simulated.settings);
+        });
+
+        router.post('/:exchange/failures', (req, res) => {
+            req.simulated.scriptFailure(req.body);
+            res.json(req.simulated.failures);
+        });
+
+        router.post('/:exchange/deposits', (req, res) => {
+            res.json(req.simulated.addDeposit(req.body));
+        });
+
+        router.post('/:exchange/withdrawals/:withdrawalId/complete', (req, res) => {
+            const withdrawal = req.simulated.completeWithdrawal(req.params.withdrawalId, req.body);
+            if (!withdrawal) {
+                return res.status(404).json({ error: 'Withdrawal not found' });
+            }
+            res.json(withdrawal);
+        });
+
+        router.get('/:exchange/requests', (req, res) => {
+            res.json(req.simulated.requests);
+        });
+
+        return router;
+    }
+
+    /**
+     * JSON or form-encoded body → object (empty body → {})
+     * @private
+     */
+    _parseBody(raw) {
+        if (typeof raw !== 'string' || raw.trim() === '') {
+            return {};
+        }
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return Object.fromEntries(new URLSearchParams(raw));
+        }
+    }
+}
+
+module.exports = ExchangeSimulator;
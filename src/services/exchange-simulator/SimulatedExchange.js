@@ -0,0 +1,426 @@
+/**
+ * Simulated Exchange
+ * In-memory account + market state behind one mock exchange (dialect-agnostic)
+ *
+ * Holds scripted order books, balances, orders, withdrawals and deposits, and fills
+ * orders against the scripted books:
+ * - Market orders walk the book (optionally consuming liquidity), pay the taker fee in
+ *   the currency received and move balances
+ * - fillRatio < 1 makes every order fill only partially (status PARTIALLY_FILLED)
+ * - Limit IOC/FOK orders only take levels at or better than the limit price
+ * - Scripted failures make the next matching request(s) fail with a given status/body
+ *
+ * Dialect routers (./dialects) translate each exchange's REST format to these calls.
+ */
+
+const crypto = require('crypto');
+
+const MAX_LOGGED_REQUESTS = 1000;
+
+const DEFAULT_RULES = {
+    tickSize: 0.01,
+    stepSize: 0.000001,
+    minQuantity: 0.000001,
+    minNotional: 1
+};
+
+class SimulatedExchange {
+    /**
+     * @param {string} id - Exchange id ('valr', 'binance', 'kraken', 'okx')
+     */
+    constructor(id) {
+        this.id = id;
+        this.reset();
+    }
+
+    /**
+     * Drop all scripted state
+     */
+    reset() {
+        this.nextId = 1000000;
+        this.markets = new Map();      // symbol → { symbol, base, quote, bids: [[p, q]], asks }
+        this.balances = new Map();     // currency → { available, reserved }
+        this.orders = new Map();       // orderId → order
+        this.withdrawals = [];
+        this.deposits = [];
+        this.failures = [];            // [{ method, path, status, body, times }]
+        this.requests = [];            // request log for assertions (last MAX_LOGGED_REQUESTS)
+        this.settings = {
+            takerFee: 0.001,
+            makerFee: 0.001,
+            fillRatio: 1,              // < 1 → every order fills only partially
+            consumeLiquidity: false,   // true → fills remove volume from the scripted book
+            latencyMs: 0               // added before every response
+        };
+    }
+
+    // ===== SCRIPTING =====
+
+    /**
+     * Apply a scenario ({ markets: { SYMBOL: market }, balances, settings, failures, deposits })
+     */
+    load(scenario = {}) {
+        Object.entries(scenario.markets || {}).forEach(([symbol, market]) => this.setMarket(symbol, market));
+        this.setBalances(scenario.balances || {});
+        this.configure(scenario.settings || {});
+        (scenario.failures || []).forEach(failure => this.scriptFailure(failure));
+        (scenario.deposits || []).forEach(deposit => this.addDeposit(deposit));
+    }
+
+    /**
+     * Add or replace a market and its order book
+     * @param {string} symbol - Pair in this exchange's format (e.g. 'BTCZAR', 'BTC-USDT', 'XBTUSDT')
+     * @param {object} market - { base, quote, bids: [[price, qty]], asks: [[price, qty]] (best first), rules }
+     * @param {object} market.rules - Trading rules reported by the instrument endpoints ({ tickSize, stepSize, minQuantity, minNotional })
+     */
+    setMarket(symbol, { base, quote, bids = [], asks = [], rules = {} }) {
+        this.markets.set(symbol, {
+            symbol,
+            base,
+            quote,
+            rules: { ...DEFAULT_RULES, ...rules },
+            bids: bids.map(([price, quantity]) => [parseFloat(price), parseFloat(quantity)]),
+            asks: asks.map(([price, quantity]) => [parseFloat(price), parseFloat(quantity)])
+        });
+    }
+
+    /**
+     * Set available balances ({ USDT: 1000, BTC: 0.5 })
+     */
+    setBalances(balances) {
+        for (const [currency, available] of Object.entries(balances)) {
+            const current = this.balances.get(currency) || { available: 0, reserved: 0 };
+            this.balances.set(currency, { ...current, available: parseFloat(available) });
+        }
+    }
+
+    /**
+     * Change fill/fee behaviour ({ takerFee, makerFee, fillRatio, consumeLiquidity, latencyMs })
+     */
+    configure(settings) {
+        Object.assign(this.settings, settings);
+    }
+
+    /**
+     * Make the next matching request(s) fail
+     * @param {object} failure - { method, path (substring or /regex/), status, body, times (default 1) }
+     */
+    scriptFailure({ method = null, path, status = 500, body = { message: 'Simulated failure' }, times = 1 }) {
+        this.failures.push({ method: method && method.toUpperCase(), path, status, body, times });
+    }
+
+    /**
+     * Credit a deposit (shows up in deposit history and balances)
+     */
+    addDeposit({ currency, amount, txHash = null, confirmations = 12, completed = true }) {
+        const deposit = {
+            id: this._id(),
+            currency,
+            amount: parseFloat(amount),
+            txHash: txHash || `0x${crypto.randomBytes(16).toString('hex')}`,
+            confirmations,
+            completed,
+            createdAt: new Date().toISOString()
+        };
+        this.deposits.unshift(deposit);
+
+        if (completed) {
+            this._credit(currency, deposit.amount);
+        }
+        return deposit;
+    }
+
+    /**
+     * Settle a pending withdrawal (as if it was broadcast on-chain)
+     */
+    completeWithdrawal(withdrawalId, { status = 'completed', txHash = null } = {}) {
+        const withdrawal = this.withdrawals.find(entry => entry.id === String(withdrawalId));
+        if (!withdrawal) {
+            return null;
+        }
+
+        withdrawal.status = status;
+        withdrawal.txHash = txHash || `0x${crypto.randomBytes(16).toString('hex')}`;
+
+        // Failed withdrawals are refunded
+        if (status === 'failed') {
+            this._credit(withdrawal.currency, withdrawal.amount);
+        }
+        return withdrawal;
+    }
+
+    /**
+     * Everything scripted and traded so far (control API / assertions)
+     */
+    getState() {
+        return {
+            id: this.id,
+            settings: this.settings,
+            markets: Array.from(this.markets.values()),
+            balances: this.getBalances(),
+            orders: Array.from(this.orders.values()),
+            withdrawals: this.withdrawals,
+            deposits: this.deposits,
+            failures: this.failures,
+            requests: this.requests.length
+        };
+    }
+
+    // ===== REQUEST HANDLING (used by dialects) =====
+
+    /**
+     * Scripted failure for this request, if any (consumes one use)
+     * @returns {object|null} { status, body }
+     */
+    takeFailure(method, path) {
+        const index = this.failures.findIndex(failure =>
+            (!failure.method || failure.method === method.toUpperCase()) && this._matchPath(failure.path, path)
+        );
+
+        if (index === -1) {
+            return null;
+        }
+
+        const failure = this.failures[index];
+        failure.times--;
+        if (failure.times <= 0) {
+            this.failures.splice(index, 1);
+        }
+        return { status: failure.status, body: failure.body };
+    }
+
+    logRequest(method, path, body) {
+        this.requests.push({ method, path, body, at: new Date().toISOString() });
+        if (this.requests.length > MAX_LOGGED_REQUESTS) {
+            this.requests.shift();
+        }
+    }
+
+    getMarket(symbol) {
+        return this.markets.get(symbol) || null;
+    }
+
+    getBalances() {
+        return Array.from(this.balances.entries()).map(([currency, balance]) => ({
+            currency,
+            available: balance.available,
+            reserved: balance.reserved,
+            total: balance.available + balance.reserved
+        }));
+    }
+
+    /**
+     * Fill a market order against the scripted book
+     * @param {object} order - { symbol, side: 'buy'|'sell', amount, amountIn: 'base'|'quote' }
+     * @returns {object} Order record (status FILLED / PARTIALLY_FILLED / REJECTED)
+     */
+    placeMarketOrder({ symbol, side, amount, amountIn = side === 'buy' ? 'quote' : 'base', clientOrderId = null }) {
+        return this._execute({ symbol, side, type: 'market', amount: parseFloat(amount), amountIn, clientOrderId });
+    }
+
+    /**
+     * Fill a limit order immediately (IOC/FOK; GTC remainder is cancelled too - no resting book)
+     * @param {object} order - { symbol, side, quantity, price, timeInForce }
+     */
+    placeLimitOrder({ symbol, side, quantity, price, timeInForce = 'GTC', clientOrderId = null }) {
+        return this._execute({
+            symbol,
+            side,
+            type: 'limit',
+            amount: parseFloat(quantity),
+            amountIn: 'base',
+            limitPrice: parseFloat(price),
+            timeInForce: timeInForce.toUpperCase(),
+            clientOrderId
+        });
+    }
+
+    getOrder(orderId) {
+        return this.orders.get(String(orderId)) || null;
+    }
+
+    /**
+     * Withdraw to an external address (debits immediately, status 'pending')
+     */
+    withdraw({ currency, amount, address, tag = null, network = null }) {
+        const value = parseFloat(amount);
+        const balance = this.balances.get(currency);
+
+        if (!balance || balance.available < value) {
+            return { error: `Insufficient ${currency} balance` };
+        }
+
+        balance.available -= value;
+        const withdrawal = {
+            id: this._id(),
+            currency,
+            amount: value,
+            address,
+            tag,
+            network,
+            status: 'pending',
+            txHash: null,
+            createdAt: new Date().toISOString()
+        };
+        this.withdrawals.unshift(withdrawal);
+        return withdrawal;
+    }
+
+    /**
+     * Amount as exchanges send it (decimal string, no float noise)
+     */
+    static format(value, decimals = 8) {
+        return parseFloat(Number(value || 0).toFixed(decimals)).toString();
+    }
+
+    // ===== FILL ENGINE =====
+
+    /**
+     * @private
+     */
+    _execute(request) {
+        const market = this.markets.get(request.symbol);
+        const order = {
+            id: this._id(),
+            clientOrderId: request.clientOrderId,
+            symbol: request.symbol,
+            side: request.side,
+            type: request.type,
+            timeInForce: request.timeInForce || null,
+            requestedAmount: request.amount,
+            amountIn: request.amountIn,
+            limitPrice: request.limitPrice || null,
+            executedQuantity: 0,
+            executedValue: 0,
+            averagePrice: 0,
+            fee: 0,
+            feeCurrency: null,
+            fills: [],
+            status: 'REJECTED',
+            reason: null,
+            createdAt: new Date().toISOString()
+        };
+        this.orders.set(order.id, order);
+
+        if (!market) {
+            order.reason = `Unknown market ${request.symbol}`;
+            return order;
+        }
+
+        const spendCurrency = request.side === 'buy' ? market.quote : market.base;
+        const balance = this.balances.get(spendCurrency);
+        const levels = request.side === 'buy' ? market.asks : market.bids;
+        const fills = this._walk(levels, request);
+
+        // FOK: all or nothing
+        const wanted = request.amount;
+        const got = request.amountIn === 'quote'
+            ? fills.reduce((sum, fill) => sum + fill.price * fill.quantity, 0)
+            : fills.reduce((sum, fill) => sum + fill.quantity, 0);
+        if (request.timeInForce === 'FOK' && got < wanted * (1 - 1e-9)) {
+            order.status = 'EXPIRED';
+            order.reason = 'FOK order could not be filled completely';
+            return order;
+        }
+
+        const quantity = fills.reduce((sum, fill) => sum + fill.quantity, 0);
+        const value = fills.reduce((sum, fill) => sum + fill.price * fill.quantity, 0);
+        const spend = request.side === 'buy' ? value : quantity;
+
+        if (!balance || balance.available < spend - 1e-12) {
+            order.reason = `Insufficient ${spendCurrency} balance`;
+            return order;
+        }
+
+        if (quantity <= 0) {
+            order.status = request.type === 'limit' ? 'EXPIRED' : 'REJECTED';
+            order.reason = 'No liquidity';
+            return order;
+        }
+
+        const receiveCurrency = request.side === 'buy' ? market.base : market.quote;
+        const received = request.side === 'buy' ? quantity : value;
+        const fee = received * this.settings.takerFee;
+
+        balance.available -= spend;
+        this._credit(receiveCurrency, received - fee);
+
+        if (this.settings.consumeLiquidity) {
+            this._consume(levels, fills);
+        }
+
+        const complete = got >= wanted * (1 - 1e-9);
+        Object.assign(order, {
+            executedQuantity: quantity,
+            executedValue: value,
+            averagePrice: value / quantity,
+            fee,
+            feeCurrency: receiveCurrency,
+            fills,
+            status: complete ? 'FILLED' : 'PARTIALLY_FILLED',
+            reason: complete ? null : 'Insufficient liquidity or scripted partial fill'
+        });
+        return order;
+    }
+
+    /**
+     * Take levels until the requested amount (× fillRatio) is filled
+     * @private
+     */
+    _walk(levels, request) {
+        const fills = [];
+        let remaining = request.amount * Math.min(Math.max(this.settings.fillRatio, 0), 1);
+
+        for (const [price, quantity] of levels) {
+            if (remaining <= 1e-12) break;
+            if (request.limitPrice && (request.side === 'buy' ? price > request.limitPrice : price < request.limitPrice)) break;
+
+            const take = request.amountIn === 'quote'
+                ? Math.min(quantity, remaining / price)
+                : Math.min(quantity, remaining);
+
+            fills.push({ price, quantity: take });
+            remaining -= request.amountIn === 'quote' ? take * price : take;
+        }
+
+        return fills;
+    }
+
+    /**
+     * @private
+     */
+    _consume(levels, fills) {
+        fills.forEach((fill, index) => { levels[index][1] -= fill.quantity; });
+        for (let i = levels.length - 1; i >= 0; i--) {
+            if (levels[i][1] <= 1e-12) levels.splice(i, 1);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _credit(currency, amount) {
+        const balance = this.balances.get(currency) || { available: 0, reserved: 0 };
+        balance.available += amount;
+        this.balances.set(currency, balance);
+    }
+
+    /**
+     * @private
+     */
+    _matchPath(pattern, path) {
+        if (typeof pattern === 'string' && pattern.startsWith('/') && pattern.endsWith('/') && pattern.length > 2) {
+            return new RegExp(pattern.slice(1, -1)).test(path);
+        }
+        return path.includes(pattern);
+    }
+
+    /**
+     * @private
+     */
+    _id() {
+        return String(this.nextId++);
+    }
+}
+
+module.exports = SimulatedExchange;
@@ -0,0 +1,224 @@
+/**
+ * Binance dialect
+ * Serves the /api/v3 and /sapi/v1 endpoints BinanceAdapter and OrderExecutionService call
+ *
+ * Signed requests carry their parameters in the query string; signatures are not checked,
+ * only the X-MBX-APIKEY header. Orders answer with the FULL response type (fills included).
+ */
+
+const express = require('express');
+const SimulatedExchange = require('../SimulatedExchange');
+
+const fmt = SimulatedExchange.format;
+
+function errorBody(status, message, code = -1000) {
+    return { code, msg: message };
+}
+
+function offIncrement(value, increment) {
+    const steps = parseFloat(value) / increment;
+    return Math.abs(steps - Math.round(steps)) > 1e-6;
+}
+
+function createRouter(exchange) {
+    const router = express.Router();
+
+    const requireKey = (req, res, next) => {
+        if (!req.get('X-MBX-APIKEY')) {
+            return res.status(401).json(errorBody(401, 'API-key format invalid.', -2014));
+        }
+        next();
+    };
+
+    const paramsOf = req => ({ ...req.query, ...(typeof req.body === 'object' ? req.body : {}) });
+
+    const orderResponse = order => ({
+        symbol: order.symbol,
+        orderId: Number(order.id),
+        orderListId: -1,
+        clientOrderId: order.clientOrderId || `sim${order.id}`,
+        transactTime: new Date(order.createdAt).getTime(),
+        time: new Date(order.createdAt).getTime(),
+        price: fmt(order.limitPrice || 0),
+        origQty: fmt(order.amountIn === 'base' ? order.requestedAmount : order.executedQuantity),
+        executedQty: fmt(order.executedQuantity),
+        cummulativeQuoteQty: fmt(order.executedValue),
+        status: order.status,
+        timeInForce: order.timeInForce || 'GTC',
+        type: order.type.toUpperCase(),
+        side: order.side.toUpperCase(),
+        fills: order.fills.map(fill => ({
+            price: fmt(fill.price),
+            qty: fmt(fill.quantity),
+            // Fee is charged on what was received, split across fills by size
+            commission: fmt(order.fee * (order.side === 'buy'
+                ? fill.quantity / order.executedQuantity
+                : (fill.price * fill.quantity) / order.executedValue)),
+            commissionAsset: order.feeCurrency
+        }))
+    });
+
+    // ===== PUBLIC =====
+
+    router.get('/api/v3/depth', (req, res) => {
+        const market = exchange.getMarket(req.query.symbol);
+        if (!market) {
+            return res.status(400).json(errorBody(400, 'Invalid symbol.', -1121));
+        }
+
+        const limit = parseInt(req.query.limit) || 100;
+        res.json({
+            lastUpdateId: Date.now(),
+            bids: market.bids.slice(0, limit).map(([price, quantity]) => [fmt(price), fmt(quantity)]),
+            asks: market.asks.slice(0, limit).map(([price, quantity]) => [fmt(price), fmt(quantity)])
+        });
+    });
+
+    router.get('/api/v3/exchangeInfo', (req, res) => {
+        // ?symbol=BTCUSDT or ?symbols=["BTCUSDT","ETHUSDT"]
+        const wanted = req.query.symbols ? JSON.parse(req.query.symbols) : (req.query.symbol ? [req.query.symbol] : null);
+        const markets = Array.from(exchange.markets.values())
+            .filter(market => !wanted || wanted.includes(market.symbol));
+
+        if (wanted && markets.length < wanted.length) {
+            return res.status(400).json(errorBody(400, 'Invalid symbol.', -1121));
+        }
+
+        res.json({
+            timezone: 'UTC',
+            serverTime: Date.now(),
+            symbols: markets.map(market => ({
+                symbol: market.symbol,
+                status: 'TRADING',
+                baseAsset: market.base,
+                quoteAsset: market.quote,
+                isSpotTradingAllowed: true,
+                orderTypes: ['LIMIT', 'MARKET'],
+                filters: [
+                    { filterType: 'PRICE_FILTER', minPrice: fmt(market.rules.tickSize), maxPrice: '1000000', tickSize: fmt(market.rules.tickSize) },
+                    { filterType: 'LOT_SIZE', minQty: fmt(market.rules.minQuantity), maxQty: '9000000', stepSize: fmt(market.rules.stepSize) },
+                    { filterType: 'NOTIONAL', minNotional: fmt(market.rules.minNotional), applyMinToMarket: true }
+                ]
+            }))
+        });
+    });
+
+    // ===== ACCOUNT =====
+
+    router.get('/api/v3/account', requireKey, (req, res) => {
+        res.json({
+            canTrade: true,
+            canWithdraw: true,
+            canDeposit: true,
+            accountType: 'SPOT',
+            balances: exchange.getBalances().map(balance => ({
+                asset: balance.currency,
+                free: fmt(balance.available),
+                locked: fmt(balance.reserved)
+            }))
+        });
+    });
+
+    router.get('/sapi/v1/asset/tradeFee', requireKey, (req, res) => {
+        const { symbol } = paramsOf(req);
+        res.json(Array.from(exchange.markets.values())
+            .filter(market => !symbol || market.symbol === symbol)
+            .map(market => ({
+                symbol: market.symbol,
+                makerCommission: fmt(exchange.settings.makerFee),
+                takerCommission: fmt(exchange.settings.takerFee)
+            })));
+    });
+
+    // ===== ORDERS =====
+
+    router.post('/api/v3/order', requireKey, (req, res) => {
+        const params = paramsOf(req);
+        if (!exchange.getMarket(params.symbol)) {
+            return res.status(400).json(errorBody(400, 'Invalid symbol.', -1121));
+        }
+
+        // Quantities off the lot step and prices off the tick fail the symbol filters
+        const { rules } = exchange.getMarket(params.symbol);
+        if (params.quantity !== undefined && offIncrement(params.quantity, rules.stepSize)) {
+            return res.status(400).json(errorBody(400, 'Filter failure: LOT_SIZE', -1013));
+        }
+        if (params.price !== undefined && offIncrement(params.price, rules.tickSize)) {
+            return res.status(400).json(errorBody(400, 'Filter failure: PRICE_FILTER', -1013));
+        }
+
+        const side = String(params.side).toLowerCase();
+        const order = String(params.type).toUpperCase() === 'LIMIT'
+            ? exchange.placeLimitOrder({
+                symbol: params.symbol,
+                side,
+                quantity: params.quantity,
+                price: params.price,
+                timeInForce: params.timeInForce,
+                clientOrderId: params.newClientOrderId || null
+            })
+            : exchange.placeMarketOrder({
+                symbol: params.symbol,
+                side,
+                amount: params.quoteOrderQty !== undefined ? params.quoteOrderQty : params.quantity,
+                amountIn: params.quoteOrderQty !== undefined ? 'quote' : 'base',
+                clientOrderId: params.newClientOrderId || null
+            });
+
+        if (order.status === 'REJECTED') {
+            return res.status(400).json(errorBody(400, order.reason && order.reason.startsWith('Insufficient')
+                ? 'Account has insufficient balance for requested action.'
+                : order.reason, -2010));
+        }
+        res.json(orderResponse(order));
+    });
+
+    router.get('/api/v3/order', requireKey, (req, res) => {
+        const { orderId } = paramsOf(req);
+        const order = exchange.getOrder(orderId);
+        if (!order) {
+            return res.status(400).json(errorBody(400, 'Order does not exist.', -2013));
+        }
+
+        const { fills, ...status } = orderResponse(order);
+        res.json(status);
+    });
+
+    // ===== WALLET =====
+
+    router.post('/sapi/v1/capital/withdraw/apply', requireKey, (req, res) => {
+        const params = paramsOf(req);
+        const withdrawal = exchange.withdraw({
+            currency: params.coin,
+            amount: params.amount,
+            address: params.address,
+            tag: params.addressTag || null,
+            network: params.network || null
+        });
+
+        if (withdrawal.error) {
+            return res.status(400).json(errorBody(400, withdrawal.error, -4026));
+        }
+        res.json({ id: withdrawal.id });
+    });
+
+    router.get('/sapi/v1/capital/deposit/hisrec', requireKey, (req, res) => {
+        const { coin, limit } = paramsOf(req);
+        res.json(exchange.deposits
+            .filter(deposit => !coin || deposit.currency === coin)
+            .slice(0, parseInt(limit) || 1000)
+            .map(deposit => ({
+                id: deposit.id,
+                coin: deposit.currency,
+                amount: fmt(deposit.amount),
+                txId: deposit.txHash,
+                status: deposit.completed ? 1 : 0,
+                confirmTimes: `${deposit.confirmations}/${deposit.completed ? deposit.confirmations : deposit.confirmations + 1}`,
+                insertTime: new Date(deposit.createdAt).getTime()
+            })));
+    });
+
+    return router;
+}
+
+module.exports = { id: 'binance', createRouter, errorBody };
@@ -0,0 +1,166 @@
+/**
+ * Kraken dialect
+ * Serves the /0/public and /0/private endpoints KrakenAdapter, OrderExecutionService and
+ * transferExecutionService call
+ *
+ * Kraken reports most failures as HTTP 200 with a non-empty error array. Private calls
+ * accept the form-encoded body Kraken expects and the JSON { pair, side, amount } body
+ * the generic adapter sends. Balances use Kraken asset codes (XXBT, ZUSD...) as scripted.
+ */
+
+const express = require('express');
+const SimulatedExchange = require('../SimulatedExchange');
+
+const fmt = SimulatedExchange.format;
+
+function errorBody(status, message) {
+    return { error: [message.startsWith('E') && message.includes(':') ? message : `EGeneral:${message}`], result: {} };
+}
+
+function createRouter(exchange) {
+    const router = express.Router();
+
+    const requireKey = (req, res, next) => {
+        if (!req.get('API-Key')) {
+            return res.json(errorBody(200, 'EAPI:Invalid key'));
+        }
+        next();
+    };
+
+    const ok = (res, result) => res.json({ error: [], result });
+
+    // ===== PUBLIC =====
+
+    router.get('/0/public/Depth', (req, res) => {
+        const market = exchange.getMarket(req.query.pair);
+        if (!market) {
+            return res.json(errorBody(200, 'EQuery:Unknown asset pair'));
+        }
+
+        const count = parseInt(req.query.count) || 100;
+        const timestamp = Math.floor(Date.now() / 1000);
+        ok(res, {
+            [market.symbol]: {
+                asks: market.asks.slice(0, count).map(([price, volume]) => [fmt(price), fmt(volume), timestamp]),
+                bids: market.bids.slice(0, count).map(([price, volume]) => [fmt(price), fmt(volume), timestamp])
+            }
+        });
+    });
+
+    router.get('/0/public/AssetPairs', (req, res) => {
+        const wanted = req.query.pair ? String(req.query.pair).split(',') : null;
+        const result = {};
+
+        for (const market of exchange.markets.values()) {
+            if (wanted && !wanted.includes(market.symbol)) continue;
+
+            result[market.symbol] = {
+                altname: market.symbol,
+                wsname: `${market.base}/${market.quote}`,
+                base: market.base,
+                quote: market.quote,
+                status: 'online',
+                pair_decimals: Math.max(0, -Math.floor(Math.log10(market.rules.tickSize))),
+                lot_decimals: Math.max(0, -Math.floor(Math.log10(market.rules.stepSize))),
+                tick_size: fmt(market.rules.tickSize),
+                ordermin: fmt(market.rules.minQuantity),
+                costmin: fmt(market.rules.minNotional)
+            };
+        }
+        ok(res, result);
+    });
+
+    // ===== PRIVATE =====
+
+    router.post('/0/private/Balance', requireKey, (req, res) => {
+        ok(res, Object.fromEntries(exchange.getBalances().map(balance => [balance.currency, fmt(balance.total)])));
+    });
+
+    router.post('/0/private/AddOrder', requireKey, (req, res) => {
+        const params = req.body || {};
+        const market = exchange.getMarket(params.pair);
+        if (!market) {
+            return res.json(errorBody(200, 'EQuery:Unknown asset pair'));
+        }
+
+        const side = String(params.type || params.side).toLowerCase();
+        const volume = params.volume !== undefined ? params.volume : params.amount;
+        // Form orders: volume is base unless oflags=viqc; adapter JSON orders spend quote on buys
+        const amountIn = params.volume !== undefined
+            ? (String(params.oflags || '').includes('viqc') ? 'quote' : 'base')
+            : (side === 'buy' ? 'quote' : 'base');
+
+        const order = params.ordertype === 'limit'
+            ? exchange.placeLimitOrder({ symbol: market.symbol, side, quantity: volume, price: params.price, timeInForce: params.timeinforce || 'GTC' })
+            : exchange.placeMarketOrder({ symbol: market.symbol, side, amount: volume, amountIn });
+
+        if (order.status === 'REJECTED') {
+            return res.json(errorBody(200, order.reason && order.reason.startsWith('Insufficient')
+                ? 'EOrder:Insufficient funds'
+                : `EOrder:${order.reason}`));
+        }
+
+        ok(res, {
+            descr: { order: `${side} ${volume} ${market.symbol} @ ${params.ordertype === 'limit' ? `limit ${params.price}` : 'market'}` },
+            txid: [order.id]
+        });
+    });
+
+    router.post('/0/private/QueryOrders', requireKey, (req, res) => {
+        const result = {};
+
+        for (const txid of String((req.body || {}).txid || '').split(',').filter(Boolean)) {
+            const order = exchange.getOrder(txid);
+            if (!order) continue;
+
+            const opened = new Date(order.createdAt).getTime() / 1000;
+            result[txid] = {
+                status: order.status === 'FILLED' ? 'closed' : 'canceled',
+                reason: order.status === 'FILLED' ? null : order.reason,
+                opentm: opened,
+                closetm: opened,
+                descr: { pair: order.symbol, type: order.side, ordertype: order.type, price: fmt(order.limitPrice || 0) },
+                vol: fmt(order.amountIn === 'base' ? order.requestedAmount : order.executedQuantity),
+                vol_exec: fmt(order.executedQuantity),
+                cost: fmt(order.executedValue),
+                fee: fmt(order.fee),
+                price: fmt(order.averagePrice)
+            };
+        }
+
+        if (Object.keys(result).length === 0) {
+            return res.json(errorBody(200, 'EOrder:Unknown order'));
+        }
+        ok(res, result);
+    });
+
+    router.post('/0/private/Withdraw', requireKey, (req, res) => {
+        const params = req.body || {};
+        const withdrawal = exchange.withdraw({ currency: params.asset, amount: params.amount, address: params.key });
+
+        if (withdrawal.error) {
+            return res.json(errorBody(200, 'EFunding:Insufficient funds'));
+        }
+        ok(res, { refid: withdrawal.id });
+    });
+
+    router.post('/0/private/DepositStatus', requireKey, (req, res) => {
+        const { asset } = req.body || {};
+        ok(res, exchange.deposits
+            .filter(deposit => !asset || deposit.currency === asset)
+            .map(deposit => ({
+                method: deposit.currency,
+                asset: deposit.currency,
+                refid: deposit.id,
+                txid: deposit.txHash,
+                amount: fmt(deposit.amount),
+                fee: '0',
+                time: Math.floor(new Date(deposit.createdAt).getTime() / 1000),
+                status: deposit.completed ? 'Success' : 'Pending'
+            })));
+    });
+
+    return router;
+}
+
+module.exports = { id: 'kraken', createRouter, errorBody };
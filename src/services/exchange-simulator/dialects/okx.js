@@ -0,0 +1,184 @@
+/**
+ * OKX dialect
+ * Serves the /api/v5 endpoints OKXAdapter, OrderExecutionService and transferExecutionService call
+ *
+ * Every response is HTTP 200 with { code, msg, data: [] }; code '0' is success. Spot market
+ * buys spend quote currency unless tgtCcy=base_ccy (OKX default), sells spend base.
+ */
+
+const express = require('express');
+const SimulatedExchange = require('../SimulatedExchange');
+
+const fmt = SimulatedExchange.format;
+
+const ORDER_STATE = {
+    FILLED: 'filled',
+    PARTIALLY_FILLED: 'canceled',  // No resting book - the unfilled remainder is cancelled
+    EXPIRED: 'canceled',
+    REJECTED: 'canceled'
+};
+
+function errorBody(status, message, code = '50000') {
+    return { code, msg: message, data: [] };
+}
+
+function createRouter(exchange) {
+    const router = express.Router();
+
+    const requireKey = (req, res, next) => {
+        if (!req.get('OK-ACCESS-KEY')) {
+            return res.status(401).json(errorBody(401, 'Invalid OK-ACCESS-KEY', '50111'));
+        }
+        next();
+    };
+
+    const ok = (res, data) => res.json({ code: '0', msg: '', data });
+
+    // ===== PUBLIC =====
+
+    router.get('/api/v5/market/books', (req, res) => {
+        const market = exchange.getMarket(req.query.instId);
+        if (!market) {
+            return res.json(errorBody(200, `Instrument ID doesn't exist.`, '51001'));
+        }
+
+        const size = parseInt(req.query.sz) || 1;
+        ok(res, [{
+            asks: market.asks.slice(0, size).map(([price, quantity]) => [fmt(price), fmt(quantity), '0', '1']),
+            bids: market.bids.slice(0, size).map(([price, quantity]) => [fmt(price), fmt(quantity), '0', '1']),
+            ts: String(Date.now())
+        }]);
+    });
+
+    router.get('/api/v5/public/instruments', (req, res) => {
+        ok(res, Array.from(exchange.markets.values())
+            .filter(market => !req.query.instId || market.symbol === req.query.instId)
+            .map(market => ({
+                instType: 'SPOT',
+                instId: market.symbol,
+                baseCcy: market.base,
+                quoteCcy: market.quote,
+                state: 'live',
+                tickSz: fmt(market.rules.tickSize),
+                lotSz: fmt(market.rules.stepSize),
+                minSz: fmt(market.rules.minQuantity)
+            })));
+    });
+
+    // ===== ACCOUNT =====
+
+    router.get('/api/v5/account/balance', requireKey, (req, res) => {
+        ok(res, [{
+            uTime: String(Date.now()),
+            details: exchange.getBalances().map(balance => ({
+                ccy: balance.currency,
+                availBal: fmt(balance.available),
+                cashBal: fmt(balance.total),
+                frozenBal: fmt(balance.reserved),
+                eq: fmt(balance.total)
+            }))
+        }]);
+    });
+
+    // ===== ORDERS =====
+
+    router.post('/api/v5/trade/order', requireKey, (req, res) => {
+        const params = req.body || {};
+        if (!exchange.getMarket(params.instId)) {
+            return res.json(errorBody(200, `Instrument ID doesn't exist.`, '51001'));
+        }
+
+        const side = String(params.side).toLowerCase();
+        const order = params.ordType === 'market'
+            ? exchange.placeMarketOrder({
+                symbol: params.instId,
+                side,
+                amount: params.sz,
+                amountIn: params.tgtCcy
+                    ? (params.tgtCcy === 'quote_ccy' ? 'quote' : 'base')
+                    : (side === 'buy' ? 'quote' : 'base'),
+                clientOrderId: params.clOrdId || null
+            })
+            : exchange.placeLimitOrder({
+                symbol: params.instId,
+                side,
+                quantity: params.sz,
+                price: params.px,
+                timeInForce: { ioc: 'IOC', fok: 'FOK' }[params.ordType] || 'GTC',
+                clientOrderId: params.clOrdId || null
+            });
+
+        if (order.status === 'REJECTED') {
+            return res.json({
+                code: '1',
+                msg: 'Operation failed.',
+                data: [{ ordId: '', clOrdId: params.clOrdId || '', sCode: '51008', sMsg: `Order failed. ${order.reason}` }]
+            });
+        }
+        ok(res, [{ ordId: order.id, clOrdId: params.clOrdId || '', tag: '', sCode: '0', sMsg: 'Order placed' }]);
+    });
+
+    router.get('/api/v5/trade/order', requireKey, (req, res) => {
+        const order = exchange.getOrder(req.query.ordId);
+        if (!order) {
+            return res.json(errorBody(200, 'Order does not exist', '51603'));
+        }
+
+        ok(res, [{
+            instType: 'SPOT',
+            instId: order.symbol,
+            ordId: order.id,
+            clOrdId: order.clientOrderId || '',
+            state: ORDER_STATE[order.status],
+            side: order.side,
+            ordType: order.type === 'limit' ? 'limit' : 'market',
+            px: order.limitPrice ? fmt(order.limitPrice) : '',
+            sz: fmt(order.requestedAmount),
+            tgtCcy: order.amountIn === 'quote' ? 'quote_ccy' : 'base_ccy',
+            accFillSz: fmt(order.executedQuantity),
+            fillSz: fmt(order.executedQuantity),
+            avgPx: fmt(order.averagePrice),
+            // OKX reports fees as negative amounts
+            fee: fmt(-order.fee),
+            feeCcy: order.feeCurrency || '',
+            cTime: String(new Date(order.createdAt).getTime()),
+            uTime: String(new Date(order.createdAt).getTime())
+        }]);
+    });
+
+    // ===== FUNDING =====
+
+    router.post('/api/v5/asset/withdrawal', requireKey, (req, res) => {
+        const params = req.body || {};
+        const withdrawal = exchange.withdraw({
+            currency: params.ccy,
+            amount: params.amt,
+            address: params.toAddr,
+            network: params.chain || null
+        });
+
+        if (withdrawal.error) {
+            return res.json(errorBody(200, withdrawal.error, '58350'));
+        }
+        ok(res, [{ wdId: withdrawal.id, ccy: params.ccy, amt: fmt(params.amt), chain: params.chain || '' }]);
+    });
+
+    router.get('/api/v5/asset/deposit-history', requireKey, (req, res) => {
+        ok(res, exchange.deposits
+            .filter(deposit => !req.query.ccy || deposit.currency === req.query.ccy)
+            .map(deposit => ({
+                ccy: deposit.currency,
+                amt: fmt(deposit.amount),
+                txId: deposit.txHash,
+                depId: deposit.id,
+                // 2 = deposit credited, 0 = waiting for confirmations
+                state: deposit.completed ? '2' : '0',
+                actualDepBlkConfirm: String(deposit.confirmations),
+                ts: String(new Date(deposit.createdAt).getTime())
+            })));
+    });
+
+    return router;
+}
+
+module.exports = { id: 'okx', createRouter, errorBody };
@@ -0,0 +1,207 @@
+/**
+ * VALR dialect
+ * Serves the /v1 endpoints VALRAdapter and OrderExecutionService call
+ *
+ * Orders are accepted with 202 { id } like VALR and their outcome is read back through
+ * /v1/orders/:orderId or /v1/orders/history/summary/orderid/:orderId.
+ */
+
+const express = require('express');
+const SimulatedExchange = require('../SimulatedExchange');
+
+const fmt = SimulatedExchange.format;
+
+const ORDER_STATUS = {
+    FILLED: 'Filled',
+    PARTIALLY_FILLED: 'Cancelled',  // No resting book - the unfilled remainder is cancelled
+    EXPIRED: 'Cancelled',
+    REJECTED: 'Failed'
+};
+
+function errorBody(status, message) {
+    return { code: -1, message };
+}
+
+function createRouter(exchange) {
+    const router = express.Router();
+
+    const requireKey = (req, res, next) => {
+        if (!req.get('X-VALR-API-KEY')) {
+            return res.status(401).json({ code: -11, message: 'Request has an invalid signature' });
+        }
+        next();
+    };
+
+    const orderSummary = order => {
+        const originalQuantity = order.amountIn === 'base'
+            ? order.requestedAmount
+            : (order.status === 'FILLED' || !order.averagePrice ? order.executedQuantity : order.requestedAmount / order.averagePrice);
+
+        return {
+            orderId: order.id,
+            id: order.id,
+            orderStatusType: ORDER_STATUS[order.status],
+            currencyPair: order.symbol,
+            side: order.side.toUpperCase(),
+            orderSide: order.side,
+            orderType: order.type,
+            timeInForce: order.timeInForce,
+            originalPrice: order.limitPrice ? fmt(order.limitPrice) : null,
+            averagePrice: fmt(order.averagePrice),
+            originalQuantity: fmt(originalQuantity),
+            remainingQuantity: fmt(Math.max(originalQuantity - order.executedQuantity, 0)),
+            totalExecutedQuantity: fmt(order.executedQuantity),
+            total: fmt(order.executedValue),
+            totalFee: fmt(order.fee),
+            feeCurrency: order.feeCurrency,
+            failedReason: order.status === 'FILLED' ? undefined : order.reason,
+            createdAt: order.createdAt,
+            updatedAt: order.createdAt
+        };
+    };
+
+    // ===== PUBLIC =====
+
+    router.get('/v1/public/pairs', (req, res) => {
+        res.json(Array.from(exchange.markets.values()).map(market => ({
+            symbol: market.symbol,
+            baseCurrency: market.base,
+            quoteCurrency: market.quote,
+            shortName: `${market.base}/${market.quote}`,
+            active: true,
+            minBaseAmount: fmt(market.rules.minQuantity),
+            minQuoteAmount: fmt(market.rules.minNotional),
+            tickSize: fmt(market.rules.tickSize),
+            baseDecimalPlaces: String(Math.max(0, -Math.floor(Math.log10(market.rules.stepSize)))),
+            currencyPairType: 'SPOT'
+        })));
+    });
+
+    router.get('/v1/public/:pair/orderbook', (req, res) => {
+        const market = exchange.getMarket(req.params.pair);
+        if (!market) {
+            return res.status(404).json(errorBody(404, 'Currency pair not found'));
+        }
+
+        const levels = (side, list) => list.map(([price, quantity]) => ({
+            side,
+            quantity: fmt(quantity),
+            price: fmt(price),
+            currencyPair: market.symbol,
+            orderCount: 1
+        }));
+
+        res.json({
+            Asks: levels('sell', market.asks),
+            Bids: levels('buy', market.bids),
+            LastChange: new Date().toISOString()
+        });
+    });
+
+    // ===== ACCOUNT =====
+
+    router.get('/v1/account/balances', requireKey, (req, res) => {
+        res.json(exchange.getBalances().map(balance => ({
+            currency: balance.currency,
+            available: fmt(balance.available),
+            reserved: fmt(balance.reserved),
+            total: fmt(balance.total),
+            updatedAt: new Date().toISOString()
+        })));
+    });
+
+    router.get('/v1/account/fees/trade', requireKey, (req, res) => {
+        res.json(Array.from(exchange.markets.values()).map(market => ({
+            currencyPair: market.symbol,
+            makerPercentage: exchange.settings.makerFee * 100,
+            takerPercentage: exchange.settings.takerFee * 100
+        })));
+    });
+
+    // ===== ORDERS =====
+
+    router.post('/v1/orders/market', requireKey, (req, res) => {
+        const { side, pair, baseAmount, quoteAmount } = req.body;
+        if (!exchange.getMarket(pair)) {
+            return res.status(400).json(errorBody(400, `Invalid currency pair: ${pair}`));
+        }
+
+        const order = exchange.placeMarketOrder({
+            symbol: pair,
+            side: String(side).toLowerCase(),
+            amount: quoteAmount !== undefined ? quoteAmount : baseAmount,
+            amountIn: quoteAmount !== undefined ? 'quote' : 'base',
+            clientOrderId: req.body.customerOrderId || null
+        });
+        res.status(202).json({ id: order.id });
+    });
+
+    router.post('/v1/orders/limit', requireKey, (req, res) => {
+        const { side, pair, quantity, price, timeInForce } = req.body;
+        if (!exchange.getMarket(pair)) {
+            return res.status(400).json(errorBody(400, `Invalid currency pair: ${pair}`));
+        }
+
+        const order = exchange.placeLimitOrder({
+            symbol: pair,
+            side: String(side).toLowerCase(),
+            quantity,
+            price,
+            timeInForce,
+            clientOrderId: req.body.customerOrderId || null
+        });
+        res.status(202).json({ id: order.id });
+    });
+
+    router.get('/v1/orders/history/summary/orderid/:orderId', requireKey, (req, res) => {
+        const order = exchange.getOrder(req.params.orderId);
+        if (!order) {
+            return res.status(404).json(errorBody(404, 'Order not found'));
+        }
+        res.json(orderSummary(order));
+    });
+
+    router.get('/v1/orders/:orderId', requireKey, (req, res) => {
+        const order = exchange.getOrder(req.params.orderId);
+        if (!order) {
+            return res.status(404).json(errorBody(404, 'Order not found'));
+        }
+        res.json(orderSummary(order));
+    });
+
+    // ===== WALLET =====
+
+    router.post('/v1/wallet/crypto/:currency/withdraw', requireKey, (req, res) => {
+        const [address, tag] = String(req.body.address || '').split('?dt=');
+        const withdrawal = exchange.withdraw({
+            currency: req.params.currency,
+            amount: req.body.amount,
+            address,
+            tag: tag || null,
+            network: req.body.networkType || null
+        });
+
+        if (withdrawal.error) {
+            return res.status(400).json(errorBody(400, withdrawal.error));
+        }
+        res.status(202).json({ id: withdrawal.id });
+    });
+
+    router.get('/v1/wallet/crypto/:currency/deposit/history', requireKey, (req, res) => {
+        res.json(exchange.deposits
+            .filter(deposit => deposit.currency === req.params.currency)
+            .map(deposit => ({
+                currencyCode: deposit.currency,
+                transactionHash: deposit.txHash,
+                amount: fmt(deposit.amount),
+                confirmations: deposit.confirmations,
+                confirmedThreshold: deposit.completed ? deposit.confirmations : deposit.confirmations + 1,
+                confirmed: deposit.completed,
+                createdAt: deposit.createdAt
+            })));
+    });
+
+    return router;
+}
+
+module.exports = { id: 'valr', createRouter, errorBody };
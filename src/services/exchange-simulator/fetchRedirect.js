@@ -0,0 +1,89 @@
+/**
+ * Fetch Redirect
+ * Points the global fetch for simulated exchange hosts at the exchange simulator
+ *
+ * https://api.valr.com/v1/orders/market → ${simulatorUrl}/valr/v1/orders/market
+ *
+ * Only the global fetch is patched: code using node-fetch (price cache, transfer-arb and
+ * currency-swap routes) and WebSocket streams keep talking to the real exchanges.
+ * OrderBookStreamService therefore skips streaming for redirected exchanges so scans
+ * read the scripted REST books.
+ */
+
+const { systemLogger } = require('../../utils/logger');
+
+// Real API host → simulated exchange id
+const SIMULATED_HOSTS = {
+    'api.valr.com': 'valr',
+    'api.binance.com': 'binance',
+    'api.kraken.com': 'kraken',
+    'www.okx.com': 'okx'
+};
+
+let originalFetch = null;
+let simulatorBaseUrl = null;
+
+/**
+ * Redirect simulated exchange hosts to the simulator (idempotent)
+ * @param {string} simulatorUrl - Simulator base URL (e.g. http://127.0.0.1:4010)
+ */
+function installFetchRedirect(simulatorUrl) {
+    simulatorBaseUrl = simulatorUrl.replace(/\/+$/, '');
+
+    if (originalFetch) {
+        return;
+    }
+
+    originalFetch = global.fetch;
+    global.fetch = (input, init) => originalFetch(rewriteUrl(input), init);
+
+    systemLogger.warn(`Exchange requests redirected to simulator`, {
+        simulatorUrl: simulatorBaseUrl,
+        exchanges: Object.values(SIMULATED_HOSTS)
+    });
+}
+
+function uninstallFetchRedirect() {
+    if (originalFetch) {
+        global.fetch = originalFetch;
+    }
+    originalFetch = null;
+    simulatorBaseUrl = null;
+}
+
+/**
+ * True while an exchange's REST traffic goes to the simulator
+ */
+function isRedirected(exchange) {
+    return !!originalFetch && Object.values(SIMULATED_HOSTS).includes(String(exchange).toLowerCase());
+}
+
+/**
+ * @private
+ */
+function rewriteUrl(input) {
+    const href = typeof input === 'string' ? input : (input instanceof URL ? input.href : null);
+    if (!href) {
+        return input;  // Request objects pass through unchanged
+    }
+
+    let url;
+    try {
+        url = new URL(href);
+    } catch (error) {
+        return input;
+    }
+
+    const exchange = SIMULATED_HOSTS[url.host];
+    if (!exchange) {
+        return input;
+    }
+    return `${simulatorBaseUrl}/${exchange}${url.pathname}${url.search}`;
+}
+
+module.exports = {
+    SIMULATED_HOSTS,
+    installFetchRedirect,
+    uninstallFetchRedirect,
+    isRedirected
+};
@@ -0,0 +1,492 @@
+/**
+ * Base Exchange Adapter
+ * Common interface every exchange adapter implements
+ *
+ * IMPORTANT: Stateless - credentials passed as parameters, never stored.
+ * Adapters are shared singletons (see ExchangeRegistry), so nothing request-specific
+ * may be kept on `this` between calls.
+ *
+ * Interface:
+ * - fetchOrderBook(pair, credentials)
+ * - fetchTicker(pair, credentials)
+ * - fetchCandles(pair, interval, limit, credentials)
+ * - fetchBalance(currency, credentials)
+ * - fetchBalances(credentials)
+ * - placeMarketOrder(pair, side, amount, credentials)
+ * - placeLimitOrder(pair, side, quantity, price, credentials, options)
+ * - getOrderStatus(orderId, pair, credentials)
+ * - withdraw(currency, amount, address, credentials, options)
+ * - getDeposits(currency, credentials)
+ * - fetchMarkets()
+ * - fetchTradingFees(credentials, pairs)
+ * - fetchTradingRules(pairs)
+ *
+ * Subclasses override the request-shaping hooks (createAuthHeaders, buildOrderBookUrl,
+ * parseOrderBook, buildMarketOrderPayload, parseBalance) and any interface method the exchange supports.
+ */
+
+const { systemLogger } = require('../../utils/logger');
+const requestBudget = require('./RequestBudgetManager');
+
+// Trading rules per `${exchange}:${pair}` (public exchange data, shared by all users)
+const SYMBOL_RULES = new Map();
+
+class BaseExchangeAdapter {
+    /**
+     * @param {object} config - Connection info (no credentials)
+     * @param {string} config.id - Registry key (lowercase, e.g. 'valr')
+     * @param {string} config.name - Display name
+     * @param {string} config.baseUrl - REST base URL
+     * @param {object} config.endpoints - { orderBook, marketOrder, balance, ... }
+     * @param {Array<string>} config.capabilities - Interface methods this adapter implements
+     * @param {object} config.marketData - Momentum *MarketDataService instance (ticker/candles)
+     */
+    constructor(config) {
+        this.id = config.id;
+        this.name = config.name;
+        this.baseUrl = config.baseUrl;
+        this.endpoints = config.endpoints || {};
+        this.marketData = config.marketData || null;
+
+        // Endpoint-driven capabilities come for free from the generic implementations below
+        const capabilities = [];
+        if (this.endpoints.orderBook) capabilities.push('fetchOrderBook');
+        if (this.endpoints.marketOrder) capabilities.push('placeMarketOrder');
+        if (this.endpoints.balance) capabilities.push('fetchBalance');
+        if (this.marketData) {
+            capabilities.push('fetchTicker', 'fetchCandles');
+        }
+        this.capabilities = [...new Set([...capabilities, ...(config.capabilities || [])])];
+    }
+
+    /**
+     * Check whether this adapter implements an interface method
+     * @param {string} capability - Interface method name (e.g. 'withdraw')
+     * @returns {boolean}
+     */
+    supports(capability) {
+        return this.capabilities.includes(capability);
+    }
+
+    // ===== INTERFACE =====
+
+    /**
+     * Fetch order book
+     * @param {string} pair - Trading pair in exchange format
+     * @param {object} credentials - { apiKey, apiSecret } (optional - public endpoint)
+     * @returns {Promise<object>} Order book ({ bids, asks } for every adapter except VALR's { Bids, Asks })
+     */
+    async fetchOrderBook(pair, credentials) {
+        if (!this.endpoints.orderBook) {
+            this._notSupported('fetchOrderBook');
+        }
+
+        try {
+            // For public orderbook endpoints, credentials are optional
+            const authHeaders = this._authHeaders('GET', this.endpoints.orderBook, null, credentials, true);
+            const url = this.buildOrderBookUrl(pair);
+
+            systemLogger.trading(`Fetching order book`, {
+                exchange: this.name,
+                pair,
+                url,
+                authenticated: !!credentials
+            });
+
+            const data = await this._send(url, { method: 'GET', headers: authHeaders }, 'API error');
+            return this.parseOrderBook(data, pair);
+
+        } catch (error) {
+            systemLogger.error(`Order book fetch failed`, {
+                exchange: this.name,
+                pair,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch last traded price
+     * @param {string} pair - Trading pair
+     * @param {object} credentials - Optional credentials
+     * @returns {Promise<number>} Current price
+     */
+    async fetchTicker(pair, credentials) {
+        if (!this.marketData) {
+            this._notSupported('fetchTicker');
+        }
+        return await this.marketData.fetchCurrentPrice(pair, credentials);
+    }
+
+    /**
+     * Fetch OHLCV candles
+     * @param {string} pair - Trading pair
+     * @param {string} interval - Candle interval (e.g. '1h')
+     * @param {number} limit - Number of candles
+     * @param {object} credentials - Optional credentials
+     * @returns {Promise<Array>} [{ timestamp, open, high, low, close, volume }]
+     */
+    async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
+        if (!this.marketData) {
+            this._notSupported('fetchCandles');
+        }
+        return await this.marketData.fetchCandles(pair, interval, limit, credentials);
+    }
+
+    /**
+     * Fetch available balance for a single currency
+     * @param {string} currency - Currency code (e.g. 'USDT')
+     * @param {object} credentials - { apiKey, apiSecret, passphrase }
+     * @returns {Promise<number>} Available balance
+     */
+    async fetchBalance(currency, credentials) {
+        if (!this.endpoints.balance) {
+            this._notSupported('fetchBalance');
+        }
+
+        try {
+            const balanceEndpoint = this.endpoints.balance;
+            await this._acquireBudget('GET', balanceEndpoint);
+            const authHeaders = this._authHeaders('GET', balanceEndpoint, null, credentials);
+
+            systemLogger.trading(`Fetching balance`, {
+                exchange: this.name,
+                currency
+            });
+
+            const data = await this._send(
+                `${this.baseUrl}${balanceEndpoint}`,
+                { method: 'GET', headers: authHeaders },
+                'balance fetch failed',
+                { acquired: true }
+            );
+
+            try {
+                return this.parseBalance(data, currency);
+            } catch (error) {
+                systemLogger.error(`Failed to parse balance`, {
+                    exchange: this.id,
+                    currency,
+                    error: error.message
+                });
+                return 0;
+            }
+
+        } catch (error) {
+            systemLogger.error(`Balance fetch failed`, {
+                exchange: this.name,
+                currency,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch all balances
+     * @param {object} credentials - { apiKey, apiSecret, passphrase }
+     * @returns {Promise<Array>} [{ currency, available, reserved, total }]
+     */
+    async fetchBalances(credentials) {
+        this._notSupported('fetchBalances');
+    }
+
+    /**
+     * Place market order
+     * @param {string} pair - Trading pair
+     * @param {string} side - 'buy' or 'sell'
+     * @param {number} amount - Amount to trade
+     * @param {object} credentials - { apiKey, apiSecret, passphrase }
+     * @returns {Promise<object>} Raw exchange order response
+     */
+    async placeMarketOrder(pair, side, amount, credentials) {
+        if (!this.endpoints.marketOrder) {
+            this._notSupported('placeMarketOrder');
+        }
+
+        try {
+            const payload = this.buildMarketOrderPayload(pair, side, amount, credentials);
+            await this._acquireBudget('POST', this.endpoints.marketOrder);
+            const authHeaders = this._authHeaders('POST', this.endpoints.marketOrder, payload, credentials);
+
+            systemLogger.trading(`Executing market order`, {
+                exchange: this.name,
+                pair,
+                side,
+                amount
+            });
+
+            return await this._send(
+                `${this.baseUrl}${this.endpoints.marketOrder}`,
+                { method: 'POST', headers: authHeaders, body: JSON.stringify(payload) },
+                'order failed',
+                { acquired: true }
+            );
+
+        } catch (error) {
+            systemLogger.error(`Market order execution failed`, {
+                exchange: this.name,
+                pair,
+                side,
+                amount,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Place limit order
+     * @param {string} pair - Trading pair
+     * @param {string} side - 'buy' or 'sell'
+     * @param {number} quantity - Base currency quantity
+     * @param {number} price - Limit price
+     * @param {object} credentials - { apiKey, apiSecret, passphrase }
+     * @param {object} options - { timeInForce: 'GTC' | 'IOC' | 'FOK' }
+     * @returns {Promise<object>} Raw exchange order response
+     */
+    async placeLimitOrder(pair, side, quantity, price, credentials, options = {}) {
+        this._notSupported('placeLimitOrder');
+    }
+
+    /**
+     * Get order status
+     * @param {string} orderId - Exchange order ID
+     * @param {string} pair - Trading pair (required by some exchanges)
+     * @param {object} credentials - { apiKey, apiSecret, passphrase }
+     * @returns {Promise<object>} { orderId, status, side, pair, executedQuantity, executedPrice, fee, timestamp, rawResponse }
+     */
+    async getOrderStatus(orderId, pair, credentials) {
+        this._notSupported('getOrderStatus');
+    }
+
+    /**
+     * Withdraw crypto to external address
+     * @param {string} currency - Currency code
+     * @param {number} amount - Amount to withdraw
+     * @param {string} address - Destination address
+     * @param {object} credentials - { apiKey, apiSecret, passphrase }
+     * @param {object} options - { tag, network }
+     * @returns {Promise<object>} { withdrawalId, txHash, amount, status }
+     */
+    async withdraw(currency, amount, address, credentials, options = {}) {
+        this._notSupported('withdraw');
+    }
+
+    /**
+     * Get recent deposits
+     * @param {string} currency - Currency code
+     * @param {object} credentials - { apiKey, apiSecret, passphrase }
+     * @returns {Promise<Array>} [{ txHash, amount, confirmations, completed, timestamp }]
+     */
+    async getDeposits(currency, credentials) {
+        this._notSupported('getDeposits');
+    }
+
+    /**
+     * Fetch live spot market list
+     * @returns {Promise<Array>} [{ symbol, base, quote }] - symbol in the format order book/order calls expect
+     */
+    async fetchMarkets() {
+        this._notSupported('fetchMarkets');
+    }
+
+    /**
+     * Fetch the account's actual trading fees (VIP tier, discounts, promo pairs)
+     * @param {object} credentials - { apiKey, apiSecret, passphrase }
+     * @param {Array<string>} pairs - Pairs of interest (required by exchanges that only report per pair)
+     * @returns {Promise<object>} { maker, taker, pairs: { [pair]: { maker, taker } } } as decimal rates (0.001 = 0.1%)
+     */
+    async fetchTradingFees(credentials, pairs = []) {
+        this._notSupported('fetchTradingFees');
+    }
+
+    /**
+     * Fetch order-size rules (lot step, price tick, minimums) for spot pairs
+     * @param {Array<string>} pairs - Pairs in exchange format
+     * @returns {Promise<object>} { [pair]: { tickSize, stepSize, minQuantity, maxQuantity, minNotional } } - null where the exchange sets no rule
+     */
+    async fetchTradingRules(pairs) {
+        this._notSupported('fetchTradingRules');
+    }
+
+    // ===== REQUEST-SHAPING HOOKS =====
+
+    /**
+     * Create authentication headers (credentials used immediately, not stored)
+     * Default: plain API key header
+     */
+    createAuthHeaders(method, path, body, credentials) {
+        return {
+            'X-API-KEY': credentials.apiKey,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    /**
+     * Build order book URL
+     */
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?pair=${pair}`;
+    }
+
+    /**
+     * Unwrap order book response to { bids, asks } (default: response already has that shape)
+     */
+    parseOrderBook(data, pair) {
+        return data;
+    }
+
+    /**
+     * Build market order payload
+     */
+    buildMarketOrderPayload(pair, side, amount, credentials) {
+        return {
+            pair,
+            side,
+            amount
+        };
+    }
+
+    /**
+     * Parse available balance from balance response (generic parser)
+     */
+    parseBalance(data, currency) {
+        if (Array.isArray(data)) {
+            const balance = data.find(b =>
+                b.currency === currency ||
+                b.asset === currency ||
+                b.coin === currency
+            );
+            return parseFloat(balance?.available || balance?.free || balance?.balance || 0);
+        }
+        return 0;
+    }
+
+    // ===== HELPERS =====
+
+    /**
+     * Resolve auth headers, allowing anonymous access to public endpoints
+     * @private
+     */
+    _authHeaders(method, path, body, credentials, isPublicEndpoint = false) {
+        // If no credentials provided and this is a public endpoint, return basic headers
+        if (!credentials && isPublicEndpoint) {
+            return {
+                'Content-Type': 'application/json'
+            };
+        }
+
+        // If no credentials provided for private endpoint, throw error
+        if (!credentials) {
+            throw new Error(`API credentials required for ${this.id} ${method} ${path}`);
+        }
+
+        return this.createAuthHeaders(method, path, body, credentials);
+    }
+
+    /**
+     * Authenticated JSON request against this exchange's base URL
+     * @private
+     */
+    async _signedRequest(method, path, body, credentials, failureLabel) {
+        await this._acquireBudget(method, path);
+        const headers = this._authHeaders(method, path, body, credentials);
+
+        return await this._send(
+            `${this.baseUrl}${path}`,
+            { method, headers, ...(body && { body: JSON.stringify(body) }) },
+            failureLabel,
+            { acquired: true }
+        );
+    }
+
+    /**
+     * Wait for the request budget before signing - a request that waited with its signature
+     * already computed would reach the exchange with a stale timestamp
+     * @private
+     */
+    async _acquireBudget(method, path) {
+        await requestBudget.acquire(this.id, requestBudget.weightOf(this.id, `${this.baseUrl}${path}`, method));
+    }
+
+    /**
+     * Perform HTTP request (within the exchange's request budget) and parse JSON, throwing on non-2xx
+     * @param {object} budget - { acquired: true } when _acquireBudget already ran
+     * @private
+     */
+    async _send(url, options, failureLabel, budget = {}) {
+        const response = await requestBudget.fetch(url, options, { exchange: this.id, ...budget });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`${this.name} ${failureLabel}: ${response.status} - ${errorText}`);
+        }
+
+        return await response.json();
+    }
+
+    /**
+     * Trading rules for one pair, fetched once per process (null when unknown or unavailable)
+     * @private
+     */
+    async _symbolRules(pair) {
+        const key = `${this.id}:${pair}`;
+
+        if (!SYMBOL_RULES.has(key)) {
+            try {
+                const rules = await this.fetchTradingRules([pair]);
+                SYMBOL_RULES.set(key, rules[pair] || null);
+            } catch (error) {
+                return null;  // Not cached - try again on the next order
+            }
+        }
+
+        return SYMBOL_RULES.get(key);
+    }
+
+    /**
+     * Order quantity rounded down to the pair's lot step (8 decimals when the step is unknown)
+     * @private
+     */
+    async _formatQuantity(pair, quantity) {
+        const stepSize = (await this._symbolRules(pair))?.stepSize || 1e-8;
+        const steps = Math.floor((Number(quantity) / stepSize) * (1 + 1e-10));
+        return (steps * stepSize).toFixed(this._decimals(stepSize));
+    }
+
+    /**
+     * Limit price rounded to the pair's tick without loosening it - down for buys, up for sells
+     * @private
+     */
+    async _formatPrice(pair, price, side) {
+        const tickSize = (await this._symbolRules(pair))?.tickSize;
+        if (!tickSize) {
+            return String(parseFloat(Number(price).toPrecision(10)));
+        }
+
+        const ticks = side === 'buy'
+            ? Math.floor((Number(price) / tickSize) * (1 + 1e-10))
+            : Math.ceil((Number(price) / tickSize) * (1 - 1e-10));
+        return (ticks * tickSize).toFixed(this._decimals(tickSize));
+    }
+
+    /**
+     * Decimal places of an increment (0.25 → 2, 1e-8 → 8, 10 → 0)
+     * @private
+     */
+    _decimals(increment) {
+        const [mantissa, exponent] = increment.toExponential().split('e');
+        return Math.max(0, (mantissa.split('.')[1] || '').length - parseInt(exponent));
+    }
+
+    /**
+     * @private
+     */
+    _notSupported(operation) {
+        throw new Error(`${operation} not supported for ${this.name}`);
+    }
+}
+
+module.exports = BaseExchangeAdapter;
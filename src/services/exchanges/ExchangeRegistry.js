@@ -0,0 +1,117 @@
+/**
+ * Exchange Registry
+ * Single lookup point for exchange adapters, shared by triangular, transfer and momentum services
+ *
+ * Adding or fixing an exchange: implement/modify its adapter in ./adapters and register it here.
+ */
+
+const VALRAdapter = require('./adapters/VALRAdapter');
+const LunoAdapter = require('./adapters/LunoAdapter');
+const ChainEXAdapter = require('./adapters/ChainEXAdapter');
+const BinanceAdapter = require('./adapters/BinanceAdapter');
+const KrakenAdapter = require('./adapters/KrakenAdapter');
+const BYBITAdapter = require('./adapters/BYBITAdapter');
+const OKXAdapter = require('./adapters/OKXAdapter');
+const KuCoinAdapter = require('./adapters/KuCoinAdapter');
+const CoinbaseAdapter = require('./adapters/CoinbaseAdapter');
+const HTXAdapter = require('./adapters/HTXAdapter');
+const GateioAdapter = require('./adapters/GateioAdapter');
+const CryptoComAdapter = require('./adapters/CryptoComAdapter');
+const MEXCAdapter = require('./adapters/MEXCAdapter');
+const XTAdapter = require('./adapters/XTAdapter');
+const AscendEXAdapter = require('./adapters/AscendEXAdapter');
+const BingXAdapter = require('./adapters/BingXAdapter');
+const BitgetAdapter = require('./adapters/BitgetAdapter');
+const BitMartAdapter = require('./adapters/BitMartAdapter');
+const BitrueAdapter = require('./adapters/BitrueAdapter');
+const GeminiAdapter = require('./adapters/GeminiAdapter');
+const CoincatchAdapter = require('./adapters/CoincatchAdapter');
+
+class ExchangeRegistry {
+    constructor() {
+        this.adapters = new Map();
+
+        // Alternate spellings used across the frontend and momentum routes
+        this.aliases = {
+            'gate.io': 'gateio',
+            'xt.com': 'xt',
+            'crypto.com': 'cryptocom',
+            'huobi': 'htx'
+        };
+    }
+
+    /**
+     * Register an adapter (replaces any existing adapter with the same id)
+     * @param {BaseExchangeAdapter} adapter - Adapter instance
+     */
+    register(adapter) {
+        this.adapters.set(adapter.id, adapter);
+    }
+
+    /**
+     * Get adapter for exchange
+     * @param {string} exchange - Exchange name (case-insensitive, aliases accepted)
+     * @returns {BaseExchangeAdapter}
+     */
+    get(exchange) {
+        const adapter = this.adapters.get(this._normalize(exchange));
+
+        if (!adapter) {
+            throw new Error(`Exchange not supported: ${exchange}`);
+        }
+
+        return adapter;
+    }
+
+    /**
+     * Check if an adapter is registered
+     * @param {string} exchange - Exchange name
+     * @returns {boolean}
+     */
+    has(exchange) {
+        return this.adapters.has(this._normalize(exchange));
+    }
+
+    /**
+     * Check if an exchange's adapter implements an interface method
+     * @param {string} exchange - Exchange name
+     * @param {string} capability - Interface method name
+     * @returns {boolean}
+     */
+    supports(exchange, capability) {
+        return this.has(exchange) && this.get(exchange).supports(capability);
+    }
+
+    /**
+     * List registered exchanges with their capabilities
+     * @returns {Array<object>} [{ id, name, capabilities }]
+     */
+    list() {
+        return Array.from(this.adapters.values()).map(adapter => ({
+            id: adapter.id,
+            name: adapter.name,
+            capabilities: adapter.capabilities
+        }));
+    }
+
+    /**
+     * @private
+     */
+    _normalize(exchange) {
+        const exchangeLower = String(exchange || '').toLowerCase();
+        return this.aliases[exchangeLower] || exchangeLower;
+    }
+}
+
+const exchangeRegistry = new ExchangeRegistry();
+
+[
+    VALRAdapter, LunoAdapter, ChainEXAdapter, BinanceAdapter, KrakenAdapter,
+    BYBITAdapter, OKXAdapter, KuCoinAdapter, CoinbaseAdapter, HTXAdapter,
+    GateioAdapter, CryptoComAdapter, MEXCAdapter, XTAdapter, AscendEXAdapter,
+    BingXAdapter, BitgetAdapter, BitMartAdapter, BitrueAdapter, GeminiAdapter,
+    CoincatchAdapter
+].forEach(Adapter => exchangeRegistry.register(new Adapter()));
+
+// Export singleton instance
+module.exports = exchangeRegistry;
@@ -0,0 +1,386 @@
+/**
+ * Request Budget Manager
+ * Process-wide REST request budget per exchange, shared by every strategy and service
+ *
+ * Each exchange has a weight limit per window (e.g. Binance 6000 weight per minute). A request
+ * reserves its weight before it goes out and waits while the window is spent, so callers are
+ * throttled before the exchange starts answering 429. Where the exchange reports its own count
+ * in response headers, that count is used as well - it includes weight spent by other processes
+ * on the same IP. A 429/418 pauses every request to that exchange until Retry-After.
+ *
+ * Per-endpoint counters (Bybit, Gate.io, KuCoin pools) are treated as exchange-wide, which
+ * errs on the side of waiting.
+ */
+
+const { systemLogger } = require('../../utils/logger');
+
+// Throttle at 90% of the limit - leaves room for requests made outside this process
+const BUDGET_HEADROOM = 0.9;
+
+// limit: weight per windowMs; minIntervalMs: spacing between consecutive requests
+// hosts: API domains (subdomains included) used to recognise the exchange from a URL
+const EXCHANGE_BUDGETS = {
+    binance: { limit: 6000, windowMs: 60000, minIntervalMs: 100, hosts: ['binance.com'] },
+    bitrue: { limit: 1200, windowMs: 60000, minIntervalMs: 100, hosts: ['bitrue.com'] },
+    bybit: { limit: 50, windowMs: 1000, minIntervalMs: 100, hosts: ['bybit.com'] },
+    okx: { limit: 20, windowMs: 2000, minIntervalMs: 100, hosts: ['okx.com'] },
+    kucoin: { limit: 100, windowMs: 10000, minIntervalMs: 100, hosts: ['kucoin.com'] },
+    kraken: { limit: 1, windowMs: 1000, minIntervalMs: 1000, hosts: ['kraken.com'] },
+    gateio: { limit: 200, windowMs: 10000, minIntervalMs: 100, hosts: ['gateio.ws', 'gate.io'] },
+    htx: { limit: 100, windowMs: 10000, minIntervalMs: 100, hosts: ['huobi.pro', 'htx.com'] },
+    mexc: { limit: 20, windowMs: 1000, minIntervalMs: 100, hosts: ['mexc.com'] },
+    bitget: { limit: 20, windowMs: 1000, minIntervalMs: 100, hosts: ['bitget.com'] },
+    bingx: { limit: 20, windowMs: 1000, minIntervalMs: 100, hosts: ['bingx.com'] },
+    bitmart: { limit: 10, windowMs: 1000, minIntervalMs: 100, hosts: ['bitmart.com'] },
+    cryptocom: { limit: 100, windowMs: 1000, minIntervalMs: 100, hosts: ['crypto.com'] },
+    gemini: { limit: 120, windowMs: 60000, minIntervalMs: 500, hosts: ['gemini.com'] },
+    ascendex: { limit: 100, windowMs: 60000, minIntervalMs: 100, hosts: ['ascendex.com'] },
+    coincatch: { limit: 20, windowMs: 2000, minIntervalMs: 100, hosts: ['coincatch.com'] },
+    xt: { limit: 20, windowMs: 1000, minIntervalMs: 100, hosts: ['xt.com'] },
+    valr: { limit: 5, windowMs: 1000, minIntervalMs: 200, hosts: ['valr.com'] },
+    luno: { limit: 300, windowMs: 60000, minIntervalMs: 200, hosts: ['luno.com'] },
+    chainex: { limit: 5, windowMs: 1000, minIntervalMs: 200, hosts: ['chainex.io'] },
+    coinbase: { limit: 10, windowMs: 1000, minIntervalMs: 100, hosts: ['coinbase.com'] }
+};
+
+// Exchanges we have no published limits for
+const DEFAULT_BUDGET = { limit: 10, windowMs: 1000, minIntervalMs: 100, hosts: [] };
+
+/**
+ * Header value as a number (null when missing)
+ */
+function headerNumber(headers, name) {
+    const value = parseFloat(headers.get(name));
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Reset timestamps arrive in seconds or milliseconds depending on the exchange
+ */
+function epochMs(value) {
+    return value < 1e12 ? value * 1000 : value;
+}
+
+// Response headers → { used, limit, resetAt } (null when the response carries none)
+const RATE_LIMIT_HEADERS = {
+    // Fixed one-minute window aligned to the clock
+    binance: (headers, now) => {
+        const used = headerNumber(headers, 'x-mbx-used-weight-1m');
+        return used === null ? null : { used, limit: EXCHANGE_BUDGETS.binance.limit, resetAt: Math.ceil((now + 1) / 60000) * 60000 };
+    },
+    bybit: (headers) => {
+        const limit = headerNumber(headers, 'x-bapi-limit');
+        const remaining = headerNumber(headers, 'x-bapi-limit-status');
+        const reset = headerNumber(headers, 'x-bapi-limit-reset-timestamp');
+        return limit === null || remaining === null || reset === null ? null : { used: limit - remaining, limit, resetAt: epochMs(reset) };
+    },
+    // gw-ratelimit-reset is milliseconds until the pool refills
+    kucoin: (headers, now) => {
+        const limit = headerNumber(headers, 'gw-ratelimit-limit');
+        const remaining = headerNumber(headers, 'gw-ratelimit-remaining');
+        const reset = headerNumber(headers, 'gw-ratelimit-reset');
+        return limit === null || remaining === null || reset === null ? null : { used: limit - remaining, limit, resetAt: now + reset };
+    },
+    gateio: (headers) => {
+        const limit = headerNumber(headers, 'x-gate-ratelimit-limit');
+        const remaining = headerNumber(headers, 'x-gate-ratelimit-requests-remain');
+        const reset = headerNumber(headers, 'x-gate-ratelimit-reset-timestamp');
+        return limit === null || remaining === null || reset === null ? null : { used: limit - remaining, limit, resetAt: epochMs(reset) };
+    },
+    // X-BM-RateLimit-Remaining is the count already used; X-BM-RateLimit-Reset is the window in seconds
+    bitmart: (headers, now) => {
+        const limit = headerNumber(headers, 'x-bm-ratelimit-limit');
+        const used = headerNumber(headers, 'x-bm-ratelimit-remaining');
+        const reset = headerNumber(headers, 'x-bm-ratelimit-reset');
+        return limit === null || used === null || reset === null ? null : { used, limit, resetAt: now + reset * 1000 };
+    }
+};
+
+// Binance request weights (https://developers.binance.com/docs/binance-spot-api-docs/rest-api)
+const BINANCE_WEIGHTS = {
+    '/api/v3/klines': 2,
+    '/api/v3/ticker/price': 2,
+    '/api/v3/ticker/24hr': 2,
+    '/api/v3/ticker/bookTicker': 2,
+    '/api/v3/avgPrice': 2,
+    '/api/v3/openOrders': 6,
+    '/api/v3/account': 20,
+    '/api/v3/myTrades': 20,
+    '/api/v3/exchangeInfo': 20
+};
+
+class RequestBudgetManager {
+    constructor() {
+        // exchange → { window, reported, pausedUntil, lastRequestAt, queue, waiting, stats }
+        this.states = new Map();
+    }
+
+    /**
+     * fetch() with the exchange's budget applied (URLs of unknown hosts pass straight through)
+     * @param {string} url - Request URL
+     * @param {object} options - fetch options
+     * @param {object} budget - { exchange, weight } (default: resolved from the URL);
+     *   acquired: true when the caller already waited in acquire() - signed requests do, so their
+     *   timestamp is taken after any throttling wait
+     * @returns {Promise<Response>}
+     */
+    async fetch(url, options = {}, { exchange = null, weight = null, acquired = false } = {}) {
+        const exchangeName = exchange || this.exchangeForUrl(url);
+        if (!exchangeName) {
+            return await fetch(url, options);
+        }
+
+        if (!acquired) {
+            await this.acquire(exchangeName, weight ?? this.weightOf(exchangeName, url, options.method));
+        }
+        const response = await fetch(url, options);
+        this.recordResponse(exchangeName, response);
+        return response;
+    }
+
+    /**
+     * Wait until the exchange has room for a request, then reserve its weight
+     * Requests to one exchange are granted in the order they asked
+     * @param {string} exchange - Exchange name
+     * @param {number} weight - Request weight (1 for exchanges without weighted endpoints)
+     */
+    async acquire(exchange, weight = 1) {
+        const exchangeLower = exchange.toLowerCase();
+        const state = this._state(exchangeLower);
+        const budget = this._budget(exchangeLower);
+
+        state.waiting++;
+        const turn = state.queue.then(() => this._waitForBudget(state, budget, weight));
+        state.queue = turn.catch(() => {});
+
+        try {
+            await turn;
+        } finally {
+            state.waiting--;
+        }
+    }
+
+    /**
+     * Read the exchange's own usage count and 429/418 responses
+     * @param {string} exchange - Exchange name
+     * @param {Response} response - fetch response
+     */
+    recordResponse(exchange, response) {
+        const exchangeLower = exchange.toLowerCase();
+        const state = this._state(exchangeLower);
+        const now = Date.now();
+
+        const reader = RATE_LIMIT_HEADERS[exchangeLower];
+        const reported = reader && response.headers ? reader(response.headers, now) : null;
+        if (reported && reported.limit > 0) {
+            state.reported = { ...reported, at: now };
+        }
+
+        if (response.status === 429 || response.status === 418) {
+            const retryAfter = response.headers ? headerNumber(response.headers, 'retry-after') : null;
+            const pauseMs = retryAfter > 0 ? retryAfter * 1000 : this._budget(exchangeLower).windowMs;
+
+            state.pausedUntil = Math.max(state.pausedUntil, now + pauseMs);
+            state.stats.rateLimited++;
+
+            systemLogger.warn(`Exchange rate limit hit - pausing requests`, {
+                exchange: exchangeLower,
+                status: response.status,
+                pauseMs
+            });
+        }
+    }
+
+    /**
+     * Exchange an API URL belongs to
+     * @param {string} url - Request URL
+     * @returns {string|null} Exchange name, or null for non-exchange hosts
+     */
+    exchangeForUrl(url) {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname;
+        } catch (error) {
+            return null;
+        }
+
+        for (const [exchange, budget] of Object.entries(EXCHANGE_BUDGETS)) {
+            if (budget.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))) {
+                return exchange;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Weight a request counts against the exchange's limit
+     * @param {string} exchange - Exchange name
+     * @param {string} url - Request URL
+     * @param {string} method - HTTP method (default GET)
+     * @returns {number}
+     */
+    weightOf(exchange, url, method = 'GET') {
+        if (exchange !== 'binance') {
+            return 1;
+        }
+
+        const { pathname, searchParams } = new URL(url);
+        if (pathname === '/api/v3/depth') {
+            const limit = parseInt(searchParams.get('limit')) || 100;
+            return limit <= 100 ? 5 : limit <= 500 ? 25 : limit <= 1000 ? 50 : 250;
+        }
+        if (pathname === '/api/v3/order') {
+            return (method || 'GET').toUpperCase() === 'GET' ? 4 : 1;
+        }
+        if (pathname.startsWith('/api/v3/ticker/') && !searchParams.has('symbol')) {
+            return 4;
+        }
+        return BINANCE_WEIGHTS[pathname] || 1;
+    }
+
+    /**
+     * Current usage per exchange
+     * @param {string} exchange - Exchange name (omit for every configured exchange)
+     * @returns {object|Array<object>} { exchange, limit, windowMs, used, reported, utilization, queued, pausedFor, ... }
+     */
+    getUsage(exchange = null) {
+        if (exchange) {
+            return this._usage(exchange.toLowerCase());
+        }
+        return Object.keys(EXCHANGE_BUDGETS).map(name => this._usage(name));
+    }
+
+    /**
+     * @private
+     */
+    async _waitForBudget(state, budget, weight) {
+        let waitTime = this._waitTime(state, budget, weight);
+
+        if (waitTime > 0) {
+            state.stats.throttled++;
+        }
+
+        while (waitTime > 0) {
+            state.stats.throttledMs += waitTime;
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+            waitTime = this._waitTime(state, budget, weight);
+        }
+
+        const now = Date.now();
+        state.window.push({ at: now, weight });
+        state.lastRequestAt = now;
+        state.stats.requests++;
+        state.stats.weight += weight;
+    }
+
+    /**
+     * Milliseconds until a request of this weight fits every limit (0 = go now)
+     * @private
+     */
+    _waitTime(state, budget, weight) {
+        const now = Date.now();
+        this._prune(state, budget, now);
+
+        const waits = [state.pausedUntil - now, state.lastRequestAt + budget.minIntervalMs - now];
+
+        // Local tally: wait until enough of the oldest requests leave the window
+        // (a request heavier than the whole allowance waits for an empty window)
+        const allowance = budget.limit * BUDGET_HEADROOM;
+        let used = this._windowWeight(state);
+        if (used + weight > allowance) {
+            for (const entry of state.window) {
+                used -= entry.weight;
+                if (used + weight <= allowance || used === 0) {
+                    waits.push(entry.at + budget.windowMs - now);
+                    break;
+                }
+            }
+        }
+
+        // Exchange-reported count plus what we sent since it was reported
+        if (state.reported) {
+            const sinceReport = this._windowWeight(state, state.reported.at);
+            if (state.reported.used + sinceReport + weight > state.reported.limit * BUDGET_HEADROOM) {
+                waits.push(state.reported.resetAt - now);
+            }
+        }
+
+        return Math.max(0, ...waits);
+    }
+
+    /**
+     * Drop requests that left the window and reports that have reset
+     * @private
+     */
+    _prune(state, budget, now) {
+        while (state.window.length > 0 && state.window[0].at + budget.windowMs <= now) {
+            state.window.shift();
+        }
+        if (state.reported && state.reported.resetAt <= now) {
+            state.reported = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _windowWeight(state, after = 0) {
+        return state.window.reduce((sum, entry) => entry.at > after ? sum + entry.weight : sum, 0);
+    }
+
+    /**
+     * @private
+     */
+    _usage(exchange) {
+        const budget = this._budget(exchange);
+        const state = this._state(exchange);
+        const now = Date.now();
+        this._prune(state, budget, now);
+
+        const used = this._windowWeight(state);
+        const reported = state.reported
+            ? { used: state.reported.used, limit: state.reported.limit, resetIn: state.reported.resetAt - now }
+            : null;
+        const utilization = Math.max(used / budget.limit, reported ? reported.used / reported.limit : 0);
+
+        return {
+            exchange,
+            limit: budget.limit,
+            windowMs: budget.windowMs,
+            used,
+            reported,
+            utilization: parseFloat((utilization * 100).toFixed(1)),
+            queued: state.waiting,
+            pausedFor: Math.max(0, state.pausedUntil - now),
+            ...state.stats
+        };
+    }
+
+    /**
+     * @private
+     */
+    _budget(exchange) {
+        return EXCHANGE_BUDGETS[exchange] || DEFAULT_BUDGET;
+    }
+
+    /**
+     * @private
+     */
+    _state(exchange) {
+        if (!this.states.has(exchange)) {
+            this.states.set(exchange, {
+                window: [],
+                reported: null,
+                pausedUntil: 0,
+                lastRequestAt: 0,
+                queue: Promise.resolve(),
+                waiting: 0,
+                stats: { requests: 0, weight: 0, throttled: 0, throttledMs: 0, rateLimited: 0 }
+            });
+        }
+        return this.states.get(exchange);
+    }
+}
+
+// Export singleton instance (one budget per exchange for the whole process)
+module.exports = new RequestBudgetManager();
@@ -0,0 +1,64 @@
+/**
+ * AscendEX Exchange Adapter
+ */
+
+const crypto = require('crypto');
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const AscendEXMarketDataService = require('../../momentum/AscendEXMarketDataService');
+
+class AscendEXAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'ascendex',
+            name: 'AscendEX',
+            baseUrl: 'https://ascendex.com',
+            endpoints: {
+                accountInfo: '/api/pro/v1/info',
+                orderBook: '/api/pro/v1/depth',
+                marketOrder: '/{accountGroup}/api/pro/v1/cash/order',
+                balance: '/api/pro/v1/cash/balance'
+            },
+            marketData: new AscendEXMarketDataService()
+        });
+    }
+
+    /**
+     * AscendEX authentication (HMAC SHA-256 with timestamp + path)
+     */
+    createAuthHeaders(method, path, body, credentials) {
+        const timestamp = Date.now().toString();
+
+        const signaturePayload = timestamp + path;
+        const signature = crypto
+            .createHmac('sha256', credentials.apiSecret)
+            .update(signaturePayload)
+            .digest('hex');
+
+        return {
+            'x-auth-key': credentials.apiKey,
+            'x-auth-timestamp': timestamp,
+            'x-auth-signature': signature,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?symbol=${pair}`;
+    }
+
+    buildMarketOrderPayload(pair, side, amount) {
+        return {
+            symbol: pair,
+            side: side.toLowerCase(),
+            orderType: 'market',
+            orderQty: amount.toString()
+        };
+    }
+
+    parseBalance(data, currency) {
+        const ascendexBalance = data.data?.find(b => b.asset === currency);
+        return parseFloat(ascendexBalance?.availableBalance || 0);
+    }
+}
+
+module.exports = AscendEXAdapter;
@@ -0,0 +1,35 @@
+/**
+ * ByBit Exchange Adapter
+ * Market order endpoint not wired yet - order book and balance endpoints only
+ * (BYBITMarketDataService does not parse yet, so ticker/candles are not wired either)
+ */
+
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+
+class BYBITAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'bybit',
+            name: 'ByBit',
+            baseUrl: 'https://api.bybit.com',
+            endpoints: {
+                orderBook: '/v5/market/orderbook',
+                balance: '/v5/account/wallet-balance'
+            }
+        });
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?category=spot&symbol=${pair}&limit=20`;
+    }
+
+    parseOrderBook(data, pair) {
+        // ByBit: { retCode: 0, result: { a: [[price, size]], b: [[price, size]] } }
+        if (data.retCode !== 0) {
+            throw new Error(`ByBit order book error: ${data.retMsg}`);
+        }
+        return { bids: data.result?.b || [], asks: data.result?.a || [] };
+    }
+}
+
+module.exports = BYBITAdapter;
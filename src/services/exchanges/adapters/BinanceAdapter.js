@@ -0,0 +1,235 @@
+/**
+ * Binance Exchange Adapter
+ * Full implementation: order book, ticker, candles, balances, market/limit orders,
+ * order status, withdrawals, deposits
+ */
+
+const crypto = require('crypto');
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const BinanceMarketDataService = require('../../momentum/BinanceMarketDataService');
+
+class BinanceAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'binance',
+            name: 'Binance',
+            baseUrl: 'https://api.binance.com',
+            endpoints: {
+                orderBook: '/api/v3/depth',
+                markets: '/api/v3/exchangeInfo',
+                marketOrder: '/api/v3/order',
+                limitOrder: '/api/v3/order',
+                orderStatus: '/api/v3/order',
+                tradeFees: '/sapi/v1/asset/tradeFee',
+                balance: '/api/v3/account',
+                withdraw: '/sapi/v1/capital/withdraw/apply',
+                depositHistory: '/sapi/v1/capital/deposit/hisrec'
+            },
+            capabilities: ['fetchMarkets', 'fetchTradingFees', 'fetchTradingRules', 'fetchBalances', 'placeLimitOrder', 'getOrderStatus', 'withdraw', 'getDeposits'],
+            marketData: new BinanceMarketDataService()
+        });
+    }
+
+    /**
+     * Binance signs the query string, so only the API key travels in headers
+     */
+    createAuthHeaders(method, path, body, credentials) {
+        return {
+            'X-MBX-APIKEY': credentials.apiKey,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?symbol=${pair}&limit=20`;
+    }
+
+    parseBalance(data, currency) {
+        const binanceBalance = data.balances?.find(b => b.asset === currency);
+        return parseFloat(binanceBalance?.free || 0);
+    }
+
+    async fetchBalance(currency, credentials) {
+        const data = await this._signedRequest('GET', this.endpoints.balance, {}, credentials, 'balance fetch failed');
+        return this.parseBalance(data, currency);
+    }
+
+    async fetchBalances(credentials) {
+        const data = await this._signedRequest('GET', this.endpoints.balance, {}, credentials, 'balances fetch failed');
+
+        return (data.balances || []).map(balance => {
+            const available = parseFloat(balance.free || 0);
+            const reserved = parseFloat(balance.locked || 0);
+            return {
+                currency: balance.asset,
+                available,
+                reserved,
+                total: available + reserved
+            };
+        });
+    }
+
+    async placeMarketOrder(pair, side, amount, credentials) {
+        // Buys spend quote currency (quoteOrderQty), sells spend base currency (quantity).
+        // Binance rejects over-precise values (-1111), so both are formatted to what the symbol allows:
+        // quote amounts to the 8-decimal quote asset precision (BTC-quoted legs spend fractions of a coin).
+        const params = {
+            symbol: pair,
+            side: side.toUpperCase(),
+            type: 'MARKET',
+            ...(side === 'buy'
+                ? { quoteOrderQty: (Math.floor(Number(amount) * 1e8 + 1e-6) / 1e8).toFixed(8) }
+                : { quantity: await this._formatQuantity(pair, amount) })
+        };
+
+        return await this._signedRequest('POST', this.endpoints.marketOrder, params, credentials, 'order failed');
+    }
+
+    async placeLimitOrder(pair, side, quantity, price, credentials, options = {}) {
+        // Off-step quantities and off-tick prices fail LOT_SIZE / PRICE_FILTER (-1013)
+        const params = {
+            symbol: pair,
+            side: side.toUpperCase(),
+            type: 'LIMIT',
+            timeInForce: (options.timeInForce || 'GTC').toUpperCase(),
+            quantity: await this._formatQuantity(pair, quantity),
+            price: await this._formatPrice(pair, price, side)
+        };
+
+        return await this._signedRequest('POST', this.endpoints.limitOrder, params, credentials, 'limit order failed');
+    }
+
+    async getOrderStatus(orderId, pair, credentials) {
+        const data = await this._signedRequest(
+            'GET',
+            this.endpoints.orderStatus,
+            { symbol: pair, orderId },
+            credentials,
+            'order status failed'
+        );
+
+        const executedQuantity = parseFloat(data.executedQty || 0);
+        const executedValue = parseFloat(data.cummulativeQuoteQty || 0);
+
+        return {
+            orderId: data.orderId,
+            status: data.status,
+            side: data.side,
+            pair: data.symbol,
+            executedQuantity,
+            executedPrice: executedQuantity > 0 ? executedValue / executedQuantity : 0,
+            fee: 0, // Fees are reported per fill (myTrades), not on the order
+            timestamp: data.time,
+            rawResponse: data
+        };
+    }
+
+    async withdraw(currency, amount, address, credentials, options = {}) {
+        const params = {
+            coin: currency,
+            address,
+            amount,
+            ...(options.tag && { addressTag: options.tag }),
+            ...(options.network && { network: options.network })
+        };
+
+        const data = await this._signedRequest('POST', this.endpoints.withdraw, params, credentials, 'withdrawal failed');
+
+        return {
+            withdrawalId: data.id,
+            txHash: null,
+            amount,
+            status: 'pending'
+        };
+    }
+
+    async getDeposits(currency, credentials) {
+        const deposits = await this._signedRequest(
+            'GET',
+            this.endpoints.depositHistory,
+            { coin: currency, limit: 10 },
+            credentials,
+            'deposit check failed'
+        );
+
+        // Binance deposit status: 0 = pending, 6 = credited (cannot withdraw), 1 = success
+        return (Array.isArray(deposits) ? deposits : []).map(d => ({
+            txHash: d.txId || null,
+            amount: parseFloat(d.amount || 0),
+            confirmations: parseInt(String(d.confirmTimes || '0').split('/')[0]) || 0,
+            completed: d.status === 1 || d.status === 6,
+            timestamp: d.insertTime
+        }));
+    }
+
+    /**
+     * Binance signed request: params + timestamp signed with HMAC-SHA256 and sent as query string
+     * @private
+     */
+    async _signedRequest(method, path, params, credentials, failureLabel) {
+        await this._acquireBudget(method, path);
+        const headers = this._authHeaders(method, path, params, credentials);
+        const queryString = new URLSearchParams({ ...params, timestamp: Date.now() }).toString();
+        const signature = crypto
+            .createHmac('sha256', credentials.apiSecret)
+            .update(queryString)
+            .digest('hex');
+
+        return await this._send(
+            `${this.baseUrl}${path}?${queryString}&signature=${signature}`,
+            { method, headers },
+            failureLabel,
+            { acquired: true }
+        );
+    }
+
+    async fetchMarkets() {
+        const data = await this._send(`${this.baseUrl}${this.endpoints.markets}`, { method: 'GET' }, 'markets fetch failed');
+
+        return (data.symbols || [])
+            .filter(s => s.status === 'TRADING' && s.isSpotTradingAllowed !== false)
+            .map(s => ({ symbol: s.symbol, base: s.baseAsset, quote: s.quoteAsset }));
+    }
+
+    async fetchTradingFees(credentials, pairs = []) {
+        const data = await this._signedRequest('GET', this.endpoints.tradeFees, {}, credentials, 'trade fees fetch failed');
+
+        // Commission rates already include BNB-discount / VIP tier adjustments
+        const feesByPair = {};
+        for (const entry of Array.isArray(data) ? data : []) {
+            if (pairs.length && !pairs.includes(entry.symbol)) continue;
+
+            feesByPair[entry.symbol] = {
+                maker: parseFloat(entry.makerCommission),
+                taker: parseFloat(entry.takerCommission)
+            };
+        }
+
+        return { maker: null, taker: null, pairs: feesByPair };
+    }
+
+    async fetchTradingRules(pairs) {
+        const query = pairs.length ? `?symbols=${encodeURIComponent(JSON.stringify(pairs))}` : '';
+        const data = await this._send(`${this.baseUrl}${this.endpoints.markets}${query}`, { method: 'GET' }, 'trading rules fetch failed');
+
+        const rules = {};
+        for (const s of data.symbols || []) {
+            const filter = type => (s.filters || []).find(f => f.filterType === type) || {};
+            const lotSize = filter('LOT_SIZE');
+            // Newer symbols carry NOTIONAL, older ones MIN_NOTIONAL
+            const notional = filter('NOTIONAL').minNotional !== undefined ? filter('NOTIONAL') : filter('MIN_NOTIONAL');
+
+            rules[s.symbol] = {
+                tickSize: parseFloat(filter('PRICE_FILTER').tickSize) || null,
+                stepSize: parseFloat(lotSize.stepSize) || null,
+                minQuantity: parseFloat(lotSize.minQty) || null,
+                maxQuantity: parseFloat(lotSize.maxQty) || null,
+                minNotional: parseFloat(notional.minNotional) || null
+            };
+        }
+
+        return rules;
+    }
+}
+
+module.exports = BinanceAdapter;
@@ -0,0 +1,84 @@
+/**
+ * BingX Exchange Adapter
+ */
+
+const crypto = require('crypto');
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const BingXMarketDataService = require('../../momentum/BingXMarketDataService');
+
+class BingXAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'bingx',
+            name: 'BingX',
+            baseUrl: 'https://open-api.bingx.com',
+            endpoints: {
+                orderBook: '/openApi/spot/v1/market/depth',
+                marketOrder: '/openApi/spot/v1/trade/order',
+                balance: '/openApi/spot/v1/account/balance'
+            },
+            marketData: new BingXMarketDataService()
+        });
+    }
+
+    /**
+     * BingX signs the query string, so only the API key travels in headers
+     */
+    createAuthHeaders(method, path, body, credentials) {
+        return {
+            'X-BX-APIKEY': credentials.apiKey,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?symbol=${pair}&limit=20`;
+    }
+
+    buildMarketOrderPayload(pair, side, amount) {
+        return {
+            symbol: pair,
+            side: side.toUpperCase(),
+            type: 'MARKET',
+            quoteOrderQty: amount
+        };
+    }
+
+    parseBalance(data, currency) {
+        const bingxBalance = data.data?.balances?.find(b => b.asset === currency);
+        return parseFloat(bingxBalance?.free || 0);
+    }
+
+    async fetchBalance(currency, credentials) {
+        const data = await this._signedRequest('GET', this.endpoints.balance, {}, credentials, 'balance fetch failed');
+        return this.parseBalance(data, currency);
+    }
+
+    async placeMarketOrder(pair, side, amount, credentials) {
+        const params = this.buildMarketOrderPayload(pair, side, amount, credentials);
+        return await this._signedRequest('POST', this.endpoints.marketOrder, params, credentials, 'order failed');
+    }
+
+    /**
+     * BingX signed request: params + timestamp signed with HMAC-SHA256 and sent as query string
+     * @private
+     */
+    async _signedRequest(method, path, params, credentials, failureLabel) {
+        await this._acquireBudget(method, path);
+        const headers = this._authHeaders(method, path, params, credentials);
+        const queryString = new URLSearchParams({ ...params, timestamp: Date.now() }).toString();
+        const signature = crypto
+            .createHmac('sha256', credentials.apiSecret)
+            .update(queryString)
+            .digest('hex');
+
+        return await this._send(
+            `${this.baseUrl}${path}?${queryString}&signature=${signature}`,
+            { method, headers },
+            failureLabel,
+            { acquired: true }
+        );
+    }
+}
+
+module.exports = BingXAdapter;
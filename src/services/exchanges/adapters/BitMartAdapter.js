@@ -0,0 +1,49 @@
+/**
+ * BitMart Exchange Adapter
+ */
+
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const BitMartMarketDataService = require('../../momentum/BitMartMarketDataService');
+
+class BitMartAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'bitmart',
+            name: 'BitMart',
+            baseUrl: 'https://api-cloud.bitmart.com',
+            endpoints: {
+                orderBook: '/spot/v1/symbols/book',
+                marketOrder: '/spot/v2/submit_order',
+                balance: '/spot/v1/wallet'
+            },
+            marketData: new BitMartMarketDataService()
+        });
+    }
+
+    createAuthHeaders(method, path, body, credentials) {
+        return {
+            'X-BM-KEY': credentials.apiKey,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?symbol=${pair}`;
+    }
+
+    buildMarketOrderPayload(pair, side, amount) {
+        return {
+            symbol: pair,
+            side: side.toLowerCase(),
+            type: 'market',
+            size: amount.toString()
+        };
+    }
+
+    parseBalance(data, currency) {
+        const bitmartBalance = data.data?.wallet?.find(b => b.currency === currency);
+        return parseFloat(bitmartBalance?.available || 0);
+    }
+}
+
+module.exports = BitMartAdapter;
@@ -0,0 +1,66 @@
+/**
+ * Bitget Exchange Adapter
+ */
+
+const crypto = require('crypto');
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const BitgetMarketDataService = require('../../momentum/BitgetMarketDataService');
+
+class BitgetAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'bitget',
+            name: 'Bitget',
+            baseUrl: 'https://api.bitget.com',
+            endpoints: {
+                orderBook: '/api/spot/v1/market/depth',
+                marketOrder: '/api/spot/v1/trade/orders',
+                balance: '/api/spot/v1/account/assets'
+            },
+            marketData: new BitgetMarketDataService()
+        });
+    }
+
+    /**
+     * Bitget authentication (HMAC SHA-256 + Base64 + Passphrase)
+     */
+    createAuthHeaders(method, path, body, credentials) {
+        const timestamp = Date.now().toString();
+        const bodyStr = body ? JSON.stringify(body) : '';
+
+        const message = timestamp + method.toUpperCase() + path + bodyStr;
+        const signature = crypto
+            .createHmac('sha256', credentials.apiSecret)
+            .update(message)
+            .digest('base64');  // Important: Bitget uses base64, not hex!
+
+        return {
+            'ACCESS-KEY': credentials.apiKey,
+            'ACCESS-SIGN': signature,
+            'ACCESS-TIMESTAMP': timestamp,
+            'ACCESS-PASSPHRASE': credentials.passphrase,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?symbol=${pair}&limit=20`;
+    }
+
+    buildMarketOrderPayload(pair, side, amount) {
+        return {
+            symbol: pair,
+            side: side.toLowerCase(),
+            orderType: 'market',
+            force: 'gtc',
+            size: amount.toString()
+        };
+    }
+
+    parseBalance(data, currency) {
+        const bitgetBalance = data.data?.find(b => b.coin === currency);
+        return parseFloat(bitgetBalance?.available || 0);
+    }
+}
+
+module.exports = BitgetAdapter;
@@ -0,0 +1,50 @@
+/**
+ * Bitrue Exchange Adapter (Binance-compatible API)
+ */
+
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const BitrueMarketDataService = require('../../momentum/BitrueMarketDataService');
+
+class BitrueAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'bitrue',
+            name: 'Bitrue',
+            baseUrl: 'https://api.bitrue.com',
+            endpoints: {
+                orderBook: '/api/v1/depth',
+                marketOrder: '/api/v1/order',
+                balance: '/api/v1/account'
+            },
+            marketData: new BitrueMarketDataService()
+        });
+    }
+
+    createAuthHeaders(method, path, body, credentials) {
+        return {
+            'X-MBX-APIKEY': credentials.apiKey,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?symbol=${pair}&limit=20`;
+    }
+
+    buildMarketOrderPayload(pair, side, amount) {
+        return {
+            symbol: pair,
+            side: side.toUpperCase(),
+            type: 'MARKET',
+            quantity: amount,
+            timestamp: Date.now()
+        };
+    }
+
+    parseBalance(data, currency) {
+        const bitrueBalance = data.balances?.find(b => b.asset === currency);
+        return parseFloat(bitrueBalance?.free || 0);
+    }
+}
+
+module.exports = BitrueAdapter;
@@ -0,0 +1,28 @@
+/**
+ * ChainEX Exchange Adapter
+ */
+
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const ChainEXMarketDataService = require('../../momentum/ChainEXMarketDataService');
+
+class ChainEXAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'chainex',
+            name: 'ChainEX',
+            baseUrl: 'https://api.chainex.io',
+            endpoints: {
+                orderBook: '/market/orderbook',
+                marketOrder: '/trading/order',
+                balance: '/account/balance'
+            },
+            marketData: new ChainEXMarketDataService()
+        });
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}/${pair}`;
+    }
+}
+
+module.exports = ChainEXAdapter;
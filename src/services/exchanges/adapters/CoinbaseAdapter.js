@@ -0,0 +1,32 @@
+/**
+ * Coinbase Exchange Adapter
+ * Market order endpoint not wired yet - order book and balance endpoints only
+ */
+
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+
+class CoinbaseAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'coinbase',
+            name: 'Coinbase',
+            baseUrl: 'https://api.coinbase.com',
+            endpoints: {
+                orderBook: '/api/v3/brokerage/market/product_book',
+                balance: '/api/v3/brokerage/accounts'
+            }
+        });
+    }
+
+    buildOrderBookUrl(pair) {
+        // Public Advanced Trade endpoint, product IDs like 'BTC-USD'
+        return `${this.baseUrl}${this.endpoints.orderBook}?product_id=${pair}&limit=20`;
+    }
+
+    parseOrderBook(data, pair) {
+        // Coinbase: { pricebook: { bids: [{ price, size }], asks: [...] } }
+        return { bids: data.pricebook?.bids || [], asks: data.pricebook?.asks || [] };
+    }
+}
+
+module.exports = CoinbaseAdapter;
@@ -0,0 +1,62 @@
+/**
+ * CoinCatch Exchange Adapter
+ */
+
+const crypto = require('crypto');
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const CoincatchMarketDataService = require('../../momentum/CoincatchMarketDataService');
+
+class CoincatchAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'coincatch',
+            name: 'CoinCatch',
+            baseUrl: 'https://api.coincatch.com',
+            endpoints: {
+                orderBook: '/api/v1/market/depth',
+                marketOrder: '/api/v1/trade/order',
+                balance: '/api/v1/account/balance'
+            },
+            marketData: new CoincatchMarketDataService()
+        });
+    }
+
+    /**
+     * Coincatch authentication (HMAC SHA-256 + Passphrase)
+     */
+    createAuthHeaders(method, path, body, credentials) {
+        const timestamp = Date.now().toString();
+        const bodyStr = body ? JSON.stringify(body) : '';
+
+        const signaturePayload = timestamp + method.toUpperCase() + path + bodyStr;
+        const signature = crypto
+            .createHmac('sha256', credentials.apiSecret)
+            .update(signaturePayload)
+            .digest('hex');
+
+        return {
+            'ACCESS-KEY': credentials.apiKey,
+            'ACCESS-SIGN': signature,
+            'ACCESS-TIMESTAMP': timestamp,
+            'ACCESS-PASSPHRASE': credentials.passphrase,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildMarketOrderPayload(pair, side, amount) {
+        return {
+            symbol: pair,
+            side: side.toUpperCase(),
+            orderType: 'MARKET',
+            size: amount.toString(),
+            marginCoin: 'USDT'
+        };
+    }
+
+    parseBalance(data, currency) {
+        const coincatchBalance = data.data?.find(b => b.coin === currency);
+        return parseFloat(coincatchBalance?.available || 0);
+    }
+}
+
+module.exports = CoincatchAdapter;
@@ -0,0 +1,78 @@
+/**
+ * Crypto.com Exchange Adapter
+ * UNIQUE: Crypto.com uses JSON-RPC 2.0 - auth goes in the request body, not headers
+ */
+
+const crypto = require('crypto');
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const CryptoComMarketDataService = require('../../momentum/CryptoComMarketDataService');
+
+class CryptoComAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'cryptocom',
+            name: 'Crypto.com',
+            baseUrl: 'https://api.crypto.com/v2',
+            endpoints: {
+                orderBook: '/public/get-book',
+                marketOrder: '/private/create-order',
+                balance: '/private/get-account-summary'
+            },
+            marketData: new CryptoComMarketDataService()
+        });
+    }
+
+    createAuthHeaders(method, path, body, credentials) {
+        return {
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?instrument_name=${pair}&depth=20`;
+    }
+
+    buildMarketOrderPayload(pair, side, amount, credentials) {
+        const params = {
+            instrument_name: pair,  // Crypto.com uses underscore format (e.g., BTC_USDT)
+            side: side.toUpperCase(),
+            type: 'MARKET',
+            quantity: amount.toString()
+        };
+
+        return this._buildRpcRequest('private/create-order', params, credentials);
+    }
+
+    parseBalance(data, currency) {
+        const cryptocomBalance = data.result?.accounts?.find(b => b.currency === currency);
+        return parseFloat(cryptocomBalance?.balance || 0);
+    }
+
+    /**
+     * Build signed JSON-RPC request body
+     * Signature: method + id + api_key + params (sorted key+value) + nonce
+     * @private
+     */
+    _buildRpcRequest(method, params, credentials) {
+        const nonce = Date.now();
+        const requestId = Math.floor(Math.random() * 1000000);
+
+        const paramString = Object.keys(params).sort().map(key => `${key}${params[key]}`).join('');
+        const signaturePayload = `${method}${requestId}${credentials.apiKey}${paramString}${nonce}`;
+        const signature = crypto
+            .createHmac('sha256', credentials.apiSecret)
+            .update(signaturePayload)
+            .digest('hex');
+
+        return {
+            id: requestId,
+            method,
+            api_key: credentials.apiKey,
+            sig: signature,
+            nonce,
+            params
+        };
+    }
+}
+
+module.exports = CryptoComAdapter;
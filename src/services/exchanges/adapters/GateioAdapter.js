@@ -0,0 +1,74 @@
+/**
+ * Gate.io Exchange Adapter
+ */
+
+const crypto = require('crypto');
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const GateioMarketDataService = require('../../momentum/GateioMarketDataService');
+
+class GateioAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'gateio',
+            name: 'Gate.io',
+            baseUrl: 'https://api.gateio.ws/api/v4',
+            endpoints: {
+                orderBook: '/spot/order_book',
+                marketOrder: '/spot/orders',
+                balance: '/spot/accounts'
+            },
+            marketData: new GateioMarketDataService()
+        });
+    }
+
+    /**
+     * Gate.io authentication (HMAC SHA-512 with body hash)
+     * UNIQUE: Gate.io hashes the request body with SHA512 before signing
+     */
+    createAuthHeaders(method, path, body, credentials) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const bodyStr = body ? JSON.stringify(body) : '';
+
+        const bodyHash = crypto
+            .createHash('sha512')
+            .update(bodyStr)
+            .digest('hex');
+
+        // Build signature string: METHOD\nPATH\nQUERY\nBODYHASH\nTIMESTAMP
+        const signatureString = `${method.toUpperCase()}\n/api/v4${path}\n\n${bodyHash}\n${timestamp}`;
+
+        const signature = crypto
+            .createHmac('sha512', credentials.apiSecret)
+            .update(signatureString)
+            .digest('hex');
+
+        return {
+            'KEY': credentials.apiKey,
+            'Timestamp': timestamp,
+            'SIGN': signature,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildOrderBookUrl(pair) {
+        // Gate.io uses underscore pairs and currency_pair parameter
+        return `${this.baseUrl}${this.endpoints.orderBook}?currency_pair=${pair}&limit=20`;
+    }
+
+    buildMarketOrderPayload(pair, side, amount) {
+        return {
+            currency_pair: pair,
+            side: side.toLowerCase(),
+            type: 'market',
+            amount: amount.toString(),
+            time_in_force: 'ioc'  // Immediate or cancel
+        };
+    }
+
+    parseBalance(data, currency) {
+        const gateioBalance = data.find(b => b.currency === currency);
+        return parseFloat(gateioBalance?.available || 0);
+    }
+}
+
+module.exports = GateioAdapter;
@@ -0,0 +1,69 @@
+/**
+ * Gemini Exchange Adapter
+ */
+
+const crypto = require('crypto');
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const GeminiMarketDataService = require('../../momentum/GeminiMarketDataService');
+
+class GeminiAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'gemini',
+            name: 'Gemini',
+            baseUrl: 'https://api.gemini.com',
+            endpoints: {
+                orderBook: '/v1/book/:pair',
+                marketOrder: '/v1/order/new',
+                balance: '/v1/balances'
+            },
+            marketData: new GeminiMarketDataService()
+        });
+    }
+
+    /**
+     * Gemini authentication (HMAC SHA-384 + Base64 Payload)
+     */
+    createAuthHeaders(method, path, body, credentials) {
+        const payload = {
+            request: path,
+            nonce: Date.now(),
+            ...body
+        };
+
+        const base64Payload = Buffer.from(JSON.stringify(payload)).toString('base64');
+        const signature = crypto
+            .createHmac('sha384', credentials.apiSecret)
+            .update(base64Payload)
+            .digest('hex');
+
+        return {
+            'Content-Type': 'text/plain',
+            'X-GEMINI-APIKEY': credentials.apiKey,
+            'X-GEMINI-PAYLOAD': base64Payload,
+            'X-GEMINI-SIGNATURE': signature,
+            'Cache-Control': 'no-cache'
+        };
+    }
+
+    buildOrderBookUrl(pair) {
+        // Gemini uses lowercase pairs in URL
+        return `${this.baseUrl}${this.endpoints.orderBook.replace(':pair', pair.toLowerCase())}`;
+    }
+
+    buildMarketOrderPayload(pair, side, amount) {
+        return {
+            symbol: pair.toLowerCase(),
+            side: side.toLowerCase(),
+            type: 'exchange market',  // Gemini market order type
+            amount: amount.toString()
+        };
+    }
+
+    parseBalance(data, currency) {
+        const geminiBalance = data.find(b => b.currency === currency);
+        return parseFloat(geminiBalance?.available || 0);
+    }
+}
+
+module.exports = GeminiAdapter;
@@ -0,0 +1,110 @@
+/**
+ * HTX (Huobi) Exchange Adapter
+ * UNIQUE: HTX signs a query string (not headers) and needs the spot account-id in order payloads
+ */
+
+const crypto = require('crypto');
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const HTXMarketDataService = require('../../momentum/HTXMarketDataService');
+
+class HTXAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'htx',
+            name: 'HTX',
+            baseUrl: 'https://api.huobi.pro',
+            endpoints: {
+                orderBook: '/market/depth',
+                marketOrder: '/v1/order/orders/place',
+                balance: '/v1/account/accounts'
+            },
+            marketData: new HTXMarketDataService()
+        });
+    }
+
+    /**
+     * HTX uses signature in query string - headers carry content type only
+     */
+    createAuthHeaders(method, path, body, credentials) {
+        return {
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildOrderBookUrl(pair) {
+        // HTX uses lowercase pairs without separator
+        const htxSymbol = pair.toLowerCase().replace(/[_-]/g, '');
+        return `${this.baseUrl}${this.endpoints.orderBook}?symbol=${htxSymbol}&depth=20&type=step0`;
+    }
+
+    buildMarketOrderPayload(pair, side, amount, credentials) {
+        if (!credentials?.accountId) {
+            throw new Error('HTX account-id not provided in credentials');
+        }
+
+        return {
+            'account-id': credentials.accountId,
+            symbol: pair.toLowerCase().replace(/[_-]/g, ''),
+            type: side === 'buy' ? 'buy-market' : 'sell-market',
+            amount: amount.toString()
+        };
+    }
+
+    parseBalance(data, currency) {
+        // HTX returns array of accounts, need to find spot account first
+        const htxSpot = data.data?.find(a => a.type === 'spot');
+        if (htxSpot && htxSpot.list) {
+            const htxBalance = htxSpot.list.find(b => b.currency === currency.toLowerCase());
+            return parseFloat(htxBalance?.balance || 0);
+        }
+        return 0;
+    }
+
+    async fetchBalance(currency, credentials) {
+        const data = await this._signedRequest('GET', this.endpoints.balance, null, credentials, 'balance fetch failed');
+        return this.parseBalance(data, currency);
+    }
+
+    async placeMarketOrder(pair, side, amount, credentials) {
+        const payload = this.buildMarketOrderPayload(pair, side, amount, credentials);
+        return await this._signedRequest('POST', this.endpoints.marketOrder, payload, credentials, 'order failed');
+    }
+
+    /**
+     * HTX signed request (HMAC SHA-256, signature appended to query string)
+     * @private
+     */
+    async _signedRequest(method, path, body, credentials, failureLabel) {
+        await this._acquireBudget(method, path);
+        const headers = this._authHeaders(method, path, body, credentials);
+        const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, '');
+
+        const signatureParams = {
+            AccessKeyId: credentials.apiKey,
+            SignatureMethod: 'HmacSHA256',
+            SignatureVersion: '2',
+            Timestamp: timestamp
+        };
+
+        // Sort parameters alphabetically
+        const sortedParams = Object.keys(signatureParams).sort().map(key => {
+            return `${key}=${encodeURIComponent(signatureParams[key])}`;
+        }).join('&');
+
+        // Create pre-signed text: METHOD\nHOST\nPATH\nPARAMS
+        const preSignedText = `${method.toUpperCase()}\napi.huobi.pro\n${path}\n${sortedParams}`;
+        const signature = crypto
+            .createHmac('sha256', credentials.apiSecret)
+            .update(preSignedText)
+            .digest('base64');
+
+        return await this._send(
+            `${this.baseUrl}${path}?${sortedParams}&Signature=${encodeURIComponent(signature)}`,
+            { method, headers, ...(body && { body: JSON.stringify(body) }) },
+            failureLabel,
+            { acquired: true }
+        );
+    }
+}
+
+module.exports = HTXAdapter;
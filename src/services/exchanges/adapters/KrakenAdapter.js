@@ -0,0 +1,93 @@
+/**
+ * Kraken Exchange Adapter
+ */
+
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const KrakenMarketDataService = require('../../momentum/KrakenMarketDataService');
+
+class KrakenAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'kraken',
+            name: 'Kraken',
+            baseUrl: 'https://api.kraken.com',
+            endpoints: {
+                orderBook: '/0/public/Depth',
+                markets: '/0/public/AssetPairs',
+                marketOrder: '/0/private/AddOrder',
+                balance: '/0/private/Balance'
+            },
+            capabilities: ['fetchMarkets', 'fetchTradingRules'],
+            marketData: new KrakenMarketDataService()
+        });
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?pair=${pair}&count=20`;
+    }
+
+    parseOrderBook(data, pair) {
+        // Kraken: { error: [], result: { "XBTUSDT": { asks: [[price, volume, timestamp]], bids: [...] } } }
+        if (data.error?.length) {
+            throw new Error(`Kraken order book error: ${data.error.join(', ')}`);
+        }
+        const book = Object.values(data.result || {})[0] || {};
+        return { bids: book.bids || [], asks: book.asks || [] };
+    }
+
+    /**
+     * Kraken authentication
+     * Kraken uses a more complex auth scheme - simplified version for now
+     */
+    createAuthHeaders(method, path, body, credentials) {
+        return {
+            'API-Key': credentials.apiKey,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        };
+    }
+
+    parseBalance(data, currency) {
+        // Kraken uses currency codes like ZUSD, ZEUR, XXBT
+        const krakenCurrency = currency === 'BTC' ? 'XXBT' :
+                              currency === 'USD' ? 'ZUSD' :
+                              currency === 'EUR' ? 'ZEUR' : currency;
+        return parseFloat(data.result?.[krakenCurrency] || 0);
+    }
+
+    async fetchMarkets() {
+        const data = await this._send(`${this.baseUrl}${this.endpoints.markets}`, { method: 'GET' }, 'markets fetch failed');
+
+        // wsname carries the readable base/quote ('XBT/USD'); altname is the REST pair ('XBTUSD')
+        return Object.values(data.result || {})
+            .filter(p => p.wsname && (!p.status || p.status === 'online'))
+            .map(p => {
+                const [base, quote] = p.wsname.split('/');
+                return { symbol: p.altname, base, quote };
+            });
+    }
+
+    async fetchTradingRules(pairs) {
+        const query = pairs.length ? `?pair=${pairs.join(',')}` : '';
+        const data = await this._send(`${this.baseUrl}${this.endpoints.markets}${query}`, { method: 'GET' }, 'trading rules fetch failed');
+
+        if (data.error?.length) {
+            throw new Error(`Kraken trading rules error: ${data.error.join(', ')}`);
+        }
+
+        // Keyed by altname - the REST pair order book and order calls use
+        const rules = {};
+        for (const p of Object.values(data.result || {})) {
+            rules[p.altname] = {
+                tickSize: parseFloat(p.tick_size) || (p.pair_decimals !== undefined ? Math.pow(10, -p.pair_decimals) : null),
+                stepSize: p.lot_decimals !== undefined ? Math.pow(10, -p.lot_decimals) : null,
+                minQuantity: parseFloat(p.ordermin) || null,
+                maxQuantity: null,
+                minNotional: parseFloat(p.costmin) || null
+            };
+        }
+
+        return rules;
+    }
+}
+
+module.exports = KrakenAdapter;
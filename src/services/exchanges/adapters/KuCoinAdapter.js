@@ -0,0 +1,36 @@
+/**
+ * KuCoin Exchange Adapter
+ * Market order endpoint not wired yet - order book, balance endpoint and market data only
+ */
+
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const KuCoinMarketDataService = require('../../momentum/KuCoinMarketDataService');
+
+class KuCoinAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'kucoin',
+            name: 'KuCoin',
+            baseUrl: 'https://api.kucoin.com',
+            endpoints: {
+                orderBook: '/api/v1/market/orderbook/level2_20',
+                balance: '/api/v1/accounts'
+            },
+            marketData: new KuCoinMarketDataService()
+        });
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?symbol=${pair}`;
+    }
+
+    parseOrderBook(data, pair) {
+        // KuCoin: { code: "200000", data: { time, bids: [["price", "size"]], asks: [...] } }
+        if (data.code !== '200000' || !data.data) {
+            throw new Error(`KuCoin order book error: ${data.msg || data.code}`);
+        }
+        return { bids: data.data.bids || [], asks: data.data.asks || [] };
+    }
+}
+
+module.exports = KuCoinAdapter;
@@ -0,0 +1,102 @@
+/**
+ * Luno Exchange Adapter
+ */
+
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const LunoMarketDataService = require('../../momentum/LunoMarketDataService');
+
+class LunoAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'luno',
+            name: 'Luno',
+            baseUrl: 'https://api.luno.com',
+            endpoints: {
+                orderBook: '/api/1/orderbook_top',
+                markets: '/api/exchange/1/markets',
+                marketOrder: '/api/1/marketorder',
+                feeInfo: '/api/1/fee_info',
+                balance: '/api/1/balance'
+            },
+            capabilities: ['fetchMarkets', 'fetchTradingFees', 'fetchTradingRules'],
+            marketData: new LunoMarketDataService()
+        });
+    }
+
+    /**
+     * Basic authentication
+     */
+    createAuthHeaders(method, path, body, credentials) {
+        const auth = Buffer.from(`${credentials.apiKey}:${credentials.apiSecret}`).toString('base64');
+
+        return {
+            'Authorization': `Basic ${auth}`,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?pair=${pair}`;
+    }
+
+    buildMarketOrderPayload(pair, side, amount) {
+        return {
+            pair: pair,
+            type: side.toUpperCase(),
+            counter_volume: side === 'buy' ? amount.toString() : undefined,
+            base_volume: side === 'sell' ? amount.toString() : undefined
+        };
+    }
+
+    parseBalance(data, currency) {
+        const lunoBalance = data.balance?.find(b => b.asset === currency);
+        return parseFloat(lunoBalance?.balance || 0);
+    }
+
+    async fetchMarkets() {
+        const data = await this._send(`${this.baseUrl}${this.endpoints.markets}`, { method: 'GET' }, 'markets fetch failed');
+
+        return (data.markets || [])
+            .filter(m => m.trading_status === 'ACTIVE')
+            .map(m => ({ symbol: m.market_id, base: m.base_currency, quote: m.counter_currency }));
+    }
+
+    async fetchTradingFees(credentials, pairs = []) {
+        // Luno only reports fees per pair
+        const feesByPair = {};
+
+        for (const pair of pairs) {
+            const path = `${this.endpoints.feeInfo}?pair=${pair}`;
+            const data = await this._signedRequest('GET', path, null, credentials, 'fee info fetch failed');
+
+            feesByPair[pair] = {
+                maker: parseFloat(data.maker_fee || 0),
+                taker: parseFloat(data.taker_fee || 0)
+            };
+        }
+
+        return { maker: null, taker: null, pairs: feesByPair };
+    }
+
+    async fetchTradingRules(pairs) {
+        const data = await this._send(`${this.baseUrl}${this.endpoints.markets}`, { method: 'GET' }, 'trading rules fetch failed');
+
+        // Luno publishes scales (decimal places) rather than increments, and no minimum order value
+        const rules = {};
+        for (const m of data.markets || []) {
+            if (pairs.length && !pairs.includes(m.market_id)) continue;
+
+            rules[m.market_id] = {
+                tickSize: m.price_scale !== undefined ? Math.pow(10, -m.price_scale) : null,
+                stepSize: m.volume_scale !== undefined ? Math.pow(10, -m.volume_scale) : null,
+                minQuantity: parseFloat(m.min_volume) || null,
+                maxQuantity: parseFloat(m.max_volume) || null,
+                minNotional: null
+            };
+        }
+
+        return rules;
+    }
+}
+
+module.exports = LunoAdapter;
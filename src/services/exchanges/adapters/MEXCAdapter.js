@@ -0,0 +1,52 @@
+/**
+ * MEXC Exchange Adapter
+ */
+
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const MEXCMarketDataService = require('../../momentum/MEXCMarketDataService');
+
+class MEXCAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'mexc',
+            name: 'MEXC',
+            baseUrl: 'https://api.mexc.com',
+            endpoints: {
+                orderBook: '/api/v3/depth',
+                marketOrder: '/api/v3/order',
+                balance: '/api/v3/account'
+            },
+            marketData: new MEXCMarketDataService()
+        });
+    }
+
+    /**
+     * MEXC API key header (query-string signature not wired up yet)
+     */
+    createAuthHeaders(method, path, body, credentials) {
+        return {
+            'X-MEXC-APIKEY': credentials.apiKey,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?symbol=${pair}&limit=20`;
+    }
+
+    buildMarketOrderPayload(pair, side, amount) {
+        return {
+            symbol: pair,
+            side: side.toUpperCase(),
+            type: 'MARKET',
+            quantity: amount
+        };
+    }
+
+    parseBalance(data, currency) {
+        const mexcBalance = data.balances?.find(b => b.asset === currency);
+        return parseFloat(mexcBalance?.free || 0);
+    }
+}
+
+module.exports = MEXCAdapter;
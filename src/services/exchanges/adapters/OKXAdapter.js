@@ -0,0 +1,62 @@
+/**
+ * OKX Exchange Adapter
+ * Market order endpoint not wired yet - order book, balance endpoint, trading rules and market data only
+ */
+
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const OKXMarketDataService = require('../../momentum/OKXMarketDataService');
+
+class OKXAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'okx',
+            name: 'OKX',
+            baseUrl: 'https://www.okx.com',
+            endpoints: {
+                orderBook: '/api/v5/market/books',
+                instruments: '/api/v5/public/instruments',
+                balance: '/api/v5/account/balance'
+            },
+            capabilities: ['fetchTradingRules'],
+            marketData: new OKXMarketDataService()
+        });
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?instId=${pair}&sz=20`;
+    }
+
+    parseOrderBook(data, pair) {
+        // OKX: { code: "0", data: [{ asks: [["price", "quantity", ...]], bids: [...] }] }
+        if (data.code !== '0' || !data.data?.[0]) {
+            throw new Error(`OKX order book error: ${data.msg || 'empty response'}`);
+        }
+        return { bids: data.data[0].bids || [], asks: data.data[0].asks || [] };
+    }
+
+    async fetchTradingRules(pairs) {
+        const data = await this._send(`${this.baseUrl}${this.endpoints.instruments}?instType=SPOT`, { method: 'GET' }, 'trading rules fetch failed');
+
+        if (data.code !== '0') {
+            throw new Error(`OKX trading rules error: ${data.msg || data.code}`);
+        }
+
+        // OKX has no minimum order value - minSz (base) is the only floor
+        const rules = {};
+        for (const inst of data.data || []) {
+            if (pairs.length && !pairs.includes(inst.instId)) continue;
+
+            rules[inst.instId] = {
+                tickSize: parseFloat(inst.tickSz) || null,
+                stepSize: parseFloat(inst.lotSz) || null,
+                minQuantity: parseFloat(inst.minSz) || null,
+                maxQuantity: parseFloat(inst.maxMktSz) || null,
+                minNotional: null
+            };
+        }
+
+        return rules;
+    }
+}
+
+module.exports = OKXAdapter;
@@ -0,0 +1,218 @@
+/**
+ * VALR Exchange Adapter
+ * Full implementation: order book, ticker, candles, balances, market/limit orders,
+ * order status, withdrawals, deposits
+ */
+
+const crypto = require('crypto');
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const VALRMarketDataService = require('../../momentum/VALRMarketDataService');
+
+// Withdrawal network names (as used across the app) → VALR networkType
+const VALR_NETWORK_TYPES = {
+    TRC20: 'Tron',
+    TRON: 'Tron',
+    ERC20: 'Ethereum',
+    ETH: 'Ethereum',
+    BEP20: 'BinanceSmartChain',
+    BSC: 'BinanceSmartChain',
+    SOL: 'Solana',
+    SOLANA: 'Solana',
+    POLYGON: 'Polygon'
+};
+
+class VALRAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'valr',
+            name: 'VALR',
+            baseUrl: 'https://api.valr.com',
+            endpoints: {
+                orderBook: '/v1/public/:pair/orderbook',
+                markets: '/v1/public/pairs',
+                marketOrder: '/v1/orders/market',
+                limitOrder: '/v1/orders/limit',
+                orderStatus: '/v1/orders/:orderId',
+                tradeFees: '/v1/account/fees/trade',
+                balance: '/v1/account/balances',
+                withdraw: '/v1/wallet/crypto/:currency/withdraw',
+                depositHistory: '/v1/wallet/crypto/:currency/deposit/history'
+            },
+            capabilities: ['fetchMarkets', 'fetchTradingFees', 'fetchTradingRules', 'fetchBalances', 'placeLimitOrder', 'getOrderStatus', 'withdraw', 'getDeposits'],
+            marketData: new VALRMarketDataService()
+        });
+    }
+
+    /**
+     * VALR authentication (SHA-512 HMAC signature)
+     */
+    createAuthHeaders(method, path, body, credentials) {
+        const timestamp = Date.now();
+        const payload = timestamp + method.toUpperCase() + path + (body ? JSON.stringify(body) : '');
+
+        const signature = crypto
+            .createHmac('sha512', credentials.apiSecret)
+            .update(payload)
+            .digest('hex');
+
+        return {
+            'X-VALR-API-KEY': credentials.apiKey,
+            'X-VALR-SIGNATURE': signature,
+            'X-VALR-TIMESTAMP': timestamp.toString(),
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook.replace(':pair', pair)}`;
+    }
+
+    buildMarketOrderPayload(pair, side, amount) {
+        return {
+            side: side.toUpperCase(),
+            pair: pair,
+            baseAmount: side === 'sell' ? amount.toString() : undefined,
+            quoteAmount: side === 'buy' ? amount.toString() : undefined
+        };
+    }
+
+    parseBalance(data, currency) {
+        const valrBalance = data.find(b => b.currency === currency);
+        return parseFloat(valrBalance?.available || 0);
+    }
+
+    async fetchBalances(credentials) {
+        const data = await this._signedRequest('GET', this.endpoints.balance, null, credentials, 'balances fetch failed');
+
+        return data.map(balance => ({
+            currency: balance.currency,
+            available: parseFloat(balance.available || 0),
+            reserved: parseFloat(balance.reserved || 0),
+            total: parseFloat(balance.total || 0)
+        }));
+    }
+
+    async placeLimitOrder(pair, side, quantity, price, credentials, options = {}) {
+        // VALR rejects quantities beyond the pair's base decimals and prices off the tick
+        const payload = {
+            side: side.toUpperCase(),
+            quantity: await this._formatQuantity(pair, quantity),
+            price: await this._formatPrice(pair, price, side),
+            pair: pair,
+            postOnly: false,
+            timeInForce: (options.timeInForce || 'GTC').toUpperCase()
+        };
+
+        return await this._signedRequest('POST', this.endpoints.limitOrder, payload, credentials, 'limit order failed');
+    }
+
+    async getOrderStatus(orderId, pair, credentials) {
+        const path = this.endpoints.orderStatus.replace(':orderId', orderId);
+        const data = await this._signedRequest('GET', path, null, credentials, 'order status failed');
+
+        return {
+            orderId: data.id || data.orderId,
+            status: data.orderStatus || data.orderStatusType || data.status,
+            side: data.side,
+            pair: data.currencyPair,
+            // IOC/FOK and cancelled orders can fill partially - remainingQuantity is what did not trade
+            executedQuantity: data.remainingQuantity !== undefined
+                ? parseFloat(data.originalQuantity || 0) - parseFloat(data.remainingQuantity || 0)
+                : parseFloat(data.originalQuantity || data.totalQuantity || 0),
+            executedPrice: parseFloat(data.averagePrice || 0),
+            fee: parseFloat(data.totalFee || 0),
+            timestamp: data.createdAt,
+            rawResponse: data
+        };
+    }
+
+    async withdraw(currency, amount, address, credentials, options = {}) {
+        const path = this.endpoints.withdraw.replace(':currency', currency);
+        const payload = {
+            amount: amount.toFixed(8),
+            address: options.tag ? `${address}?dt=${options.tag}` : address
+        };
+
+        // Never fall back to VALR's default network when the caller chose one
+        if (options.network) {
+            const networkType = VALR_NETWORK_TYPES[String(options.network).toUpperCase()];
+            if (!networkType) {
+                throw new Error(`VALR withdrawal failed: unsupported network ${options.network}`);
+            }
+            payload.networkType = networkType;
+        }
+
+        const data = await this._signedRequest('POST', path, payload, credentials, 'withdrawal failed');
+
+        return {
+            withdrawalId: data.id,
+            txHash: null, // Available later via deposit/withdrawal history
+            amount,
+            status: 'pending'
+        };
+    }
+
+    async getDeposits(currency, credentials) {
+        const path = this.endpoints.depositHistory.replace(':currency', currency);
+        const deposits = await this._signedRequest('GET', path, null, credentials, 'deposit check failed');
+
+        return (Array.isArray(deposits) ? deposits : []).map(d => ({
+            txHash: d.transactionHash || null,
+            amount: parseFloat(d.amount || 0),
+            confirmations: d.confirmations || 0,
+            completed: d.confirmations >= d.confirmedThreshold,
+            timestamp: d.createdAt ? new Date(d.createdAt).getTime() : null
+        }));
+    }
+
+    async fetchMarkets() {
+        const pairs = await this._send(`${this.baseUrl}${this.endpoints.markets}`, { method: 'GET' }, 'markets fetch failed');
+
+        return pairs
+            .filter(p => p.active !== false && (!p.currencyPairType || p.currencyPairType === 'SPOT'))
+            .map(p => ({ symbol: p.symbol, base: p.baseCurrency, quote: p.quoteCurrency }));
+    }
+
+    async fetchTradingFees(credentials, pairs = []) {
+        const data = await this._signedRequest('GET', this.endpoints.tradeFees, null, credentials, 'trade fees fetch failed');
+
+        // VALR reports fees per pair, either as factors (0.001) or percentages (0.1)
+        const toRate = (factor, percentage) => factor !== undefined
+            ? parseFloat(factor)
+            : parseFloat(percentage || 0) / 100;
+
+        const feesByPair = {};
+        for (const entry of Array.isArray(data) ? data : []) {
+            const pair = entry.currencyPair || entry.pair;
+            if (!pair || (pairs.length && !pairs.includes(pair))) continue;
+
+            feesByPair[pair] = {
+                maker: toRate(entry.makerFactor, entry.makerPercentage),
+                taker: toRate(entry.takerFactor, entry.takerPercentage)
+            };
+        }
+
+        return { maker: null, taker: null, pairs: feesByPair };
+    }
+
+    async fetchTradingRules(pairs) {
+        const data = await this._send(`${this.baseUrl}${this.endpoints.markets}`, { method: 'GET' }, 'trading rules fetch failed');
+
+        const rules = {};
+        for (const p of Array.isArray(data) ? data : []) {
+            if (pairs.length && !pairs.includes(p.symbol)) continue;
+
+            rules[p.symbol] = {
+                tickSize: parseFloat(p.tickSize) || null,
+                stepSize: p.baseDecimalPlaces !== undefined ? Math.pow(10, -parseInt(p.baseDecimalPlaces)) : null,
+                minQuantity: parseFloat(p.minBaseAmount) || null,
+                maxQuantity: parseFloat(p.maxBaseAmount) || null,
+                minNotional: parseFloat(p.minQuoteAmount) || null
+            };
+        }
+
+        return rules;
+    }
+}
+
+module.exports = VALRAdapter;
@@ -0,0 +1,65 @@
+/**
+ * XT Exchange Adapter
+ */
+
+const crypto = require('crypto');
+const BaseExchangeAdapter = require('../BaseExchangeAdapter');
+const XTMarketDataService = require('../../momentum/XTMarketDataService');
+
+class XTAdapter extends BaseExchangeAdapter {
+    constructor() {
+        super({
+            id: 'xt',
+            name: 'XT',
+            baseUrl: 'https://api.xt.com',
+            endpoints: {
+                orderBook: '/v4/public/depth',
+                marketOrder: '/v4/order',
+                balance: '/v4/balances'
+            },
+            marketData: new XTMarketDataService()
+        });
+    }
+
+    /**
+     * XT authentication (HMAC SHA-256 with timestamp + method + endpoint + body)
+     */
+    createAuthHeaders(method, path, body, credentials) {
+        const timestamp = Date.now().toString();
+        const bodyStr = body ? JSON.stringify(body) : '';
+
+        const signaturePayload = timestamp + method.toUpperCase() + path + bodyStr;
+        const signature = crypto
+            .createHmac('sha256', credentials.apiSecret)
+            .update(signaturePayload)
+            .digest('hex');
+
+        return {
+            'xt-validate-appkey': credentials.apiKey,
+            'xt-validate-timestamp': timestamp,
+            'xt-validate-signature': signature,
+            'xt-validate-algorithms': 'HmacSHA256',
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildOrderBookUrl(pair) {
+        return `${this.baseUrl}${this.endpoints.orderBook}?symbol=${pair}`;
+    }
+
+    buildMarketOrderPayload(pair, side, amount) {
+        return {
+            symbol: pair,
+            side: side.toUpperCase(),
+            type: 'MARKET',
+            quantity: amount.toString()
+        };
+    }
+
+    parseBalance(data, currency) {
+        const xtBalance = data.result?.assets?.find(b => b.currency === currency.toLowerCase());
+        return parseFloat(xtBalance?.available || 0);
+    }
+}
+
+module.exports = XTAdapter;
@@ -0,0 +1,491 @@
+/**
+ * Base Order Book Stream
+ * Maintains live local order books from an exchange WebSocket feed
+ *
+ * IMPORTANT: Credentials are used to open authenticated sockets only, never stored.
+ * Authenticated streams (VALR, Luno) therefore do not auto-reconnect - their books are
+ * marked unsynced on disconnect and the next subscribe() with credentials reconnects.
+ * Public streams (Binance, Kraken) reconnect with exponential backoff.
+ *
+ * Subclasses implement:
+ * - connectionUrl(key)                  - socket URL for a connection key
+ * - sendSubscribe(connection, pairs)    - subscribe message(s) for pairs on an open socket
+ * - handleMessage(connection, message)  - parse a message and update this.books
+ * - resync(pair)                        - rebuild a book after a sequence gap / checksum mismatch
+ *
+ * and may override connectionKey(pair) (one socket per pair, e.g. Luno), connectionOptions()
+ * (auth headers) and onOpen() (auth message).
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { systemLogger } = require('../../../utils/logger');
+
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+class BaseOrderBookStream extends EventEmitter {
+    /**
+     * @param {object} config
+     * @param {string} config.id - Exchange id (matches ExchangeRegistry)
+     * @param {string} config.name - Display name
+     * @param {number} config.depth - Levels returned by getBook (default 25)
+     * @param {boolean} config.requiresCredentials - Socket needs API credentials to connect
+     * @param {number} config.pingIntervalMs - Send application-level pings (null = none)
+     */
+    constructor(config) {
+        super();
+        this.id = config.id;
+        this.name = config.name;
+        this.depth = config.depth || 25;
+        this.requiresCredentials = config.requiresCredentials || false;
+        this.pingIntervalMs = config.pingIntervalMs || null;
+
+        // pair → { bids: Map<price, quantity>, asks: Map<price, quantity>, sequence, synced, updatedAt }
+        this.books = new Map();
+        // connection key → { key, ws, pairs: Set, open, lastMessageAt, reconnectAttempts, timers }
+        this.connections = new Map();
+        this.stopped = false;
+
+        this.stats = {
+            messages: 0,
+            gaps: 0,
+            resyncs: 0,
+            reconnects: 0,
+            errors: 0
+        };
+    }
+
+    // ===== PUBLIC API =====
+
+    /**
+     * Subscribe pairs (opens sockets as needed)
+     * @param {Array<string>} pairs - Pairs in exchange format
+     * @param {object} credentials - Required for authenticated streams, used for the handshake only
+     */
+    async subscribe(pairs, credentials = null) {
+        if (this.requiresCredentials && !credentials?.apiKey) {
+            throw new Error(`${this.name} order book stream requires API credentials`);
+        }
+
+        this.stopped = false;
+
+        // Group new pairs by connection
+        const byConnection = new Map();
+        for (const pair of pairs) {
+            const key = this.connectionKey(pair);
+            const connection = this.connections.get(key);
+            if (connection?.pairs.has(pair)) {
+                continue;
+            }
+            if (!byConnection.has(key)) {
+                byConnection.set(key, []);
+            }
+            byConnection.get(key).push(pair);
+        }
+
+        for (const [key, newPairs] of byConnection) {
+            newPairs.forEach(pair => {
+                if (!this.books.has(pair)) {
+                    this.books.set(pair, this._createBook());
+                }
+            });
+
+            const connection = this.connections.get(key);
+            if (connection) {
+                newPairs.forEach(pair => connection.pairs.add(pair));
+                if (connection.open) {
+                    this.sendSubscribe(connection, newPairs);
+                }
+            } else {
+                this._connect(key, new Set(newPairs), credentials);
+            }
+        }
+    }
+
+    /**
+     * Wait until every pair has a synced book (or timeout)
+     * @returns {Promise<boolean>} true if all pairs synced
+     */
+    async waitForSync(pairs, timeoutMs = 5000) {
+        const deadline = Date.now() + timeoutMs;
+
+        while (Date.now() < deadline) {
+            if (pairs.every(pair => this.books.get(pair)?.synced)) {
+                return true;
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        return pairs.every(pair => this.books.get(pair)?.synced);
+    }
+
+    /**
+     * Get a synced book in ProfitCalculatorService format
+     * @param {string} pair - Trading pair
+     * @param {number} maxSilenceMs - Reject if the pair's socket has been silent this long
+     * @returns {object|null} { bids: [{ price, quantity }], asks, sequence, updatedAt, source: 'stream' }
+     */
+    getBook(pair, maxSilenceMs = 30000) {
+        const book = this.books.get(pair);
+        const connection = this.connections.get(this.connectionKey(pair));
+
+        if (!book?.synced || !connection?.open || Date.now() - connection.lastMessageAt > maxSilenceMs) {
+            return null;
+        }
+
+        return {
+            bids: this._sortedLevels(book.bids, 'desc'),
+            asks: this._sortedLevels(book.asks, 'asc'),
+            sequence: book.sequence,
+            updatedAt: book.updatedAt,
+            source: 'stream'
+        };
+    }
+
+    /**
+     * Stream health for the status endpoint
+     */
+    status() {
+        return {
+            exchange: this.id,
+            connections: Array.from(this.connections.values()).map(connection => ({
+                key: connection.key,
+                open: connection.open,
+                pairs: Array.from(connection.pairs),
+                lastMessageAt: connection.lastMessageAt ? new Date(connection.lastMessageAt).toISOString() : null
+            })),
+            books: Object.fromEntries(Array.from(this.books.entries()).map(([pair, book]) => [pair, {
+                synced: book.synced,
+                sequence: book.sequence,
+                bidLevels: book.bids.size,
+                askLevels: book.asks.size,
+                updatedAt: book.updatedAt ? new Date(book.updatedAt).toISOString() : null
+            }])),
+            stats: { ...this.stats }
+        };
+    }
+
+    /**
+     * Close every socket and drop all books
+     */
+    stop() {
+        this.stopped = true;
+
+        for (const connection of this.connections.values()) {
+            this._clearTimers(connection);
+            connection.ws.removeAllListeners();
+            connection.ws.on('error', () => {});
+            connection.ws.terminate();
+        }
+
+        this.connections.clear();
+        this.books.clear();
+    }
+
+    // ===== HOOKS =====
+
+    /**
+     * Socket a pair is streamed on (default: one socket for all pairs)
+     */
+    connectionKey(pair) {
+        return 'default';
+    }
+
+    connectionUrl(key) {
+        throw new Error(`connectionUrl not implemented for ${this.name}`);
+    }
+
+    /**
+     * ws client options (e.g. auth headers) - credentials used immediately, not stored
+     */
+    connectionOptions(key, credentials) {
+        return {};
+    }
+
+    onOpen(connection, credentials) {}
+
+    sendSubscribe(connection, pairs) {
+        throw new Error(`sendSubscribe not implemented for ${this.name}`);
+    }
+
+    handleMessage(connection, message) {
+        throw new Error(`handleMessage not implemented for ${this.name}`);
+    }
+
+    async resync(pair) {
+        throw new Error(`resync not implemented for ${this.name}`);
+    }
+
+    /**
+     * Application-level ping payload (only used when pingIntervalMs is set)
+     */
+    pingMessage() {
+        return null;
+    }
+
+    // ===== HELPERS FOR SUBCLASSES =====
+
+    /**
+     * Replace a book's levels with a snapshot
+     * @param {string} pair - Trading pair
+     * @param {Array} bids - [[price, quantity]] (raw strings kept for checksums)
+     * @param {Array} asks - [[price, quantity]]
+     * @param {number|string} sequence - Exchange sequence / update id
+     */
+    applySnapshot(pair, bids, asks, sequence = null) {
+        const book = this.books.get(pair) || this._createBook();
+
+        book.bids = new Map();
+        book.asks = new Map();
+        bids.forEach(([price, quantity]) => this._setLevel(book.bids, price, quantity));
+        asks.forEach(([price, quantity]) => this._setLevel(book.asks, price, quantity));
+        book.sequence = sequence;
+        book.synced = true;
+        book.updatedAt = Date.now();
+
+        this.books.set(pair, book);
+        this.emit('book', pair);
+    }
+
+    /**
+     * Apply incremental level changes (quantity 0 removes the level)
+     */
+    applyLevels(pair, bids, asks, sequence = undefined) {
+        const book = this.books.get(pair);
+        if (!book) {
+            return;
+        }
+
+        bids.forEach(([price, quantity]) => this._setLevel(book.bids, price, quantity));
+        asks.forEach(([price, quantity]) => this._setLevel(book.asks, price, quantity));
+        if (sequence !== undefined) {
+            book.sequence = sequence;
+        }
+        book.updatedAt = Date.now();
+
+        this.emit('book', pair);
+    }
+
+    /**
+     * Record a sequence gap / checksum mismatch and rebuild the book
+     */
+    markGap(pair, details = {}) {
+        const book = this.books.get(pair);
+        if (book) {
+            book.synced = false;
+        }
+        this.stats.gaps++;
+
+        systemLogger.warn(`Order book stream gap detected, resyncing`, {
+            exchange: this.id,
+            pair,
+            ...details
+        });
+
+        this.stats.resyncs++;
+        Promise.resolve()
+            .then(() => this.resync(pair))
+            .catch(error => {
+                this.stats.errors++;
+                systemLogger.error(`Order book stream resync failed`, {
+                    exchange: this.id,
+                    pair,
+                    error: error.message
+                });
+            });
+    }
+
+    send(connection, payload) {
+        if (connection.open) {
+            connection.ws.send(typeof payload === 'string' ? payload : JSON.stringify(payload));
+        }
+    }
+
+    // ===== INTERNALS =====
+
+    /**
+     * @private
+     */
+    _connect(key, pairs, credentials) {
+        const ws = new WebSocket(this.connectionUrl(key), this.connectionOptions(key, credentials));
+        const previous = this.connections.get(key);
+
+        const connection = {
+            key,
+            ws,
+            pairs,
+            open: false,
+            lastMessageAt: null,
+            reconnectAttempts: previous?.reconnectAttempts || 0,
+            timers: {}
+        };
+        this.connections.set(key, connection);
+
+        ws.on('open', () => {
+            connection.open = true;
+            connection.lastMessageAt = Date.now();
+            connection.reconnectAttempts = 0;
+
+            systemLogger.trading(`Order book stream connected`, {
+                exchange: this.id,
+                connection: key,
+                pairs: Array.from(connection.pairs)
+            });
+
+            this.onOpen(connection, credentials);
+            this.sendSubscribe(connection, Array.from(connection.pairs));
+
+            if (this.pingIntervalMs) {
+                connection.timers.ping = setInterval(() => {
+                    const ping = this.pingMessage();
+                    if (ping) {
+                        this.send(connection, ping);
+                    }
+                }, this.pingIntervalMs);
+                connection.timers.ping.unref();
+            }
+        });
+
+        ws.on('message', (raw) => {
+            connection.lastMessageAt = Date.now();
+            this.stats.messages++;
+
+            const text = raw.toString();
+            if (!text) {
+                return;  // keep-alive
+            }
+
+            try {
+                this.handleMessage(connection, JSON.parse(text));
+            } catch (error) {
+                this.stats.errors++;
+                systemLogger.error(`Order book stream message failed`, {
+                    exchange: this.id,
+                    connection: key,
+                    error: error.message
+                });
+            }
+        });
+
+        ws.on('error', (error) => {
+            this.stats.errors++;
+            systemLogger.error(`Order book stream socket error`, {
+                exchange: this.id,
+                connection: key,
+                error: error.message
+            });
+        });
+
+        ws.on('close', () => this._onClose(connection));
+    }
+
+    /**
+     * @private
+     */
+    _onClose(connection) {
+        connection.open = false;
+        this._clearTimers(connection);
+
+        for (const pair of connection.pairs) {
+            const book = this.books.get(pair);
+            if (book) {
+                book.synced = false;
+            }
+        }
+
+        // Replaced or stopped - nothing to do
+        if (this.stopped || this.connections.get(connection.key) !== connection) {
+            return;
+        }
+
+        if (this.requiresCredentials) {
+            // Cannot reconnect without credentials; next subscribe() reopens
+            this.connections.delete(connection.key);
+            systemLogger.warn(`Authenticated order book stream closed`, {
+                exchange: this.id,
+                connection: connection.key
+            });
+            return;
+        }
+
+        const delay = Math.min(1000 * 2 ** connection.reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+        connection.reconnectAttempts++;
+        this.stats.reconnects++;
+
+        systemLogger.warn(`Order book stream closed, reconnecting`, {
+            exchange: this.id,
+            connection: connection.key,
+            delayMs: delay
+        });
+
+        const timer = setTimeout(() => {
+            if (!this.stopped && this.connections.get(connection.key) === connection) {
+                this._connect(connection.key, connection.pairs, null);
+            }
+        }, delay);
+        timer.unref();
+    }
+
+    /**
+     * Reopen a single socket (resync for exchanges that send a fresh snapshot on connect)
+     * Authenticated sockets are closed instead - the next subscribe() with credentials reopens them
+     * @protected
+     */
+    reconnect(key) {
+        const connection = this.connections.get(key);
+        if (!connection) {
+            return;
+        }
+
+        this._clearTimers(connection);
+        connection.ws.removeAllListeners();
+        connection.ws.on('error', () => {});
+        connection.ws.terminate();
+
+        if (this.requiresCredentials) {
+            this.connections.delete(key);
+            return;
+        }
+
+        this._connect(key, connection.pairs, null);
+    }
+
+    /**
+     * @private
+     */
+    _clearTimers(connection) {
+        Object.values(connection.timers).forEach(timer => clearInterval(timer));
+        connection.timers = {};
+    }
+
+    /**
+     * @private
+     */
+    _createBook() {
+        return { bids: new Map(), asks: new Map(), sequence: null, synced: false, updatedAt: null };
+    }
+
+    /**
+     * @private
+     */
+    _setLevel(levels, price, quantity) {
+        if (parseFloat(quantity) <= 0) {
+            levels.delete(price);
+        } else {
+            levels.set(price, quantity);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _sortedLevels(levels, direction) {
+        const sorted = Array.from(levels.entries())
+            .map(([price, quantity]) => ({ price: parseFloat(price), quantity: parseFloat(quantity) }))
+            .sort((a, b) => direction === 'asc' ? a.price - b.price : b.price - a.price);
+
+        return sorted.slice(0, this.depth);
+    }
+}
+
+module.exports = BaseOrderBookStream;
@@ -0,0 +1,139 @@
+/**
+ * Binance Order Book Stream
+ * wss://stream.binance.com:9443/stream - <symbol>@depth@100ms diff stream (public)
+ *
+ * Local book sync (per Binance docs):
+ * 1. Subscribe and buffer diff events
+ * 2. Fetch REST snapshot (lastUpdateId)
+ * 3. Drop buffered events with u <= lastUpdateId; first kept event must span lastUpdateId + 1
+ * 4. Every later event must start at previous u + 1, otherwise it is a gap → REST resync
+ */
+
+const BaseOrderBookStream = require('./BaseOrderBookStream');
+const { systemLogger } = require('../../../utils/logger');
+const requestBudget = require('../RequestBudgetManager');
+
+const SNAPSHOT_URL = 'https://api.binance.com/api/v3/depth';
+const SNAPSHOT_LIMIT = 1000;
+
+class BinanceOrderBookStream extends BaseOrderBookStream {
+    constructor() {
+        super({
+            id: 'binance',
+            name: 'Binance'
+        });
+
+        // pair → diff events received while the book is not synced
+        this.buffers = new Map();
+        this.requestId = 0;
+    }
+
+    connectionUrl() {
+        return 'wss://stream.binance.com:9443/stream';
+    }
+
+    sendSubscribe(connection, pairs) {
+        pairs.forEach(pair => this.buffers.set(pair, []));
+
+        this.send(connection, {
+            method: 'SUBSCRIBE',
+            params: pairs.map(pair => `${pair.toLowerCase()}@depth@100ms`),
+            id: ++this.requestId
+        });
+
+        // Snapshots after subscribing so no diff between snapshot and first event is lost
+        pairs.forEach(pair => this._initialSync(pair));
+    }
+
+    handleMessage(connection, message) {
+        const event = message.data;
+        if (!event || event.e !== 'depthUpdate') {
+            return;
+        }
+
+        const pair = event.s;
+        const book = this.books.get(pair);
+        if (!book) {
+            return;
+        }
+
+        if (!book.synced) {
+            this.buffers.get(pair)?.push(event);
+            return;
+        }
+
+        this._applyEvent(pair, book, event);
+    }
+
+    async resync(pair) {
+        this.buffers.set(pair, []);
+
+        const response = await requestBudget.fetch(`${SNAPSHOT_URL}?symbol=${pair}&limit=${SNAPSHOT_LIMIT}`);
+        if (!response.ok) {
+            throw new Error(`Binance depth snapshot failed: ${response.status}`);
+        }
+        const snapshot = await response.json();
+
+        const buffered = (this.buffers.get(pair) || []).filter(event => event.u > snapshot.lastUpdateId);
+        this.buffers.set(pair, []);
+
+        if (buffered.length > 0 && buffered[0].U > snapshot.lastUpdateId + 1) {
+            // Snapshot older than the buffered stream - take another one
+            this.markGap(pair, { snapshot: snapshot.lastUpdateId, firstEvent: buffered[0].U });
+            return;
+        }
+
+        this.applySnapshot(pair, snapshot.bids, snapshot.asks, snapshot.lastUpdateId);
+
+        const book = this.books.get(pair);
+        for (const event of buffered) {
+            if (!this._applyEvent(pair, book, event)) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Initial sync uses the same path as a gap resync
+     * @private
+     */
+    _initialSync(pair) {
+        const book = this.books.get(pair);
+        if (book) {
+            book.synced = false;
+        }
+
+        this.resync(pair).catch(error => {
+            this.stats.errors++;
+            systemLogger.error(`Binance depth snapshot failed`, {
+                pair,
+                error: error.message
+            });
+        });
+    }
+
+    /**
+     * @private
+     * @returns {boolean} false if a gap was detected
+     */
+    _applyEvent(pair, book, event) {
+        if (event.u <= book.sequence) {
+            return true;  // Already covered by snapshot / earlier event
+        }
+
+        if (event.U > book.sequence + 1) {
+            this.markGap(pair, { expected: book.sequence + 1, received: event.U });
+            return false;
+        }
+
+        this.applyLevels(pair, event.b, event.a, event.u);
+        return true;
+    }
+
+    stop() {
+        super.stop();
+        this.buffers.clear();
+    }
+}
+
+module.exports = BinanceOrderBookStream;
@@ -0,0 +1,163 @@
+/**
+ * Kraken Order Book Stream
+ * wss://ws.kraken.com - 'book' channel (public, depth 25)
+ *
+ * Kraken has no sequence numbers on book updates; instead every update carries a CRC32
+ * checksum of the top 10 levels. A mismatch means the local book diverged → unsubscribe and
+ * resubscribe, which delivers a fresh snapshot.
+ *
+ * Path pairs use REST altnames ('XBTUSD'); the socket uses wsnames ('XBT/USD'), resolved from
+ * the adapter's market list.
+ */
+
+const BaseOrderBookStream = require('./BaseOrderBookStream');
+const exchangeRegistry = require('../ExchangeRegistry');
+
+const BOOK_DEPTH = 25;
+const CHECKSUM_LEVELS = 10;
+
+// CRC32 (IEEE) lookup table for book checksums
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (text) => {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < text.length; i++) {
+        crc = CRC_TABLE[(crc ^ text.charCodeAt(i)) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+class KrakenOrderBookStream extends BaseOrderBookStream {
+    constructor() {
+        super({
+            id: 'kraken',
+            name: 'Kraken',
+            depth: BOOK_DEPTH
+        });
+
+        // 'XBTUSD' ↔ 'XBT/USD'
+        this.wsNames = new Map();
+        this.pairsByWsName = new Map();
+    }
+
+    async subscribe(pairs, credentials = null) {
+        const unresolved = pairs.filter(pair => !this.wsNames.has(pair));
+
+        if (unresolved.length > 0) {
+            const markets = await exchangeRegistry.get('kraken').fetchMarkets();
+            for (const market of markets) {
+                const wsName = `${market.base}/${market.quote}`;
+                this.wsNames.set(market.symbol, wsName);
+                this.pairsByWsName.set(wsName, market.symbol);
+            }
+        }
+
+        const known = pairs.filter(pair => this.wsNames.has(pair));
+        if (known.length < pairs.length) {
+            this.stats.errors++;
+        }
+
+        return await super.subscribe(known, credentials);
+    }
+
+    connectionUrl() {
+        return 'wss://ws.kraken.com';
+    }
+
+    sendSubscribe(connection, pairs) {
+        this.send(connection, {
+            event: 'subscribe',
+            pair: pairs.map(pair => this.wsNames.get(pair)),
+            subscription: { name: 'book', depth: BOOK_DEPTH }
+        });
+    }
+
+    handleMessage(connection, message) {
+        // Events (heartbeat, systemStatus, subscriptionStatus) are objects; book data is an array
+        if (!Array.isArray(message)) {
+            return;
+        }
+
+        const pair = this.pairsByWsName.get(message[message.length - 1]);
+        const book = pair && this.books.get(pair);
+        if (!book) {
+            return;
+        }
+
+        const payloads = message.slice(1, -2);
+
+        // Snapshot
+        if (payloads[0]?.as || payloads[0]?.bs) {
+            this.applySnapshot(pair, payloads[0].bs || [], payloads[0].as || []);
+            return;
+        }
+
+        if (!book.synced) {
+            return;
+        }
+
+        let checksum = null;
+        for (const payload of payloads) {
+            this.applyLevels(pair, payload.b || [], payload.a || []);
+            if (payload.c) {
+                checksum = payload.c;
+            }
+        }
+
+        this._truncate(book.bids, 'desc');
+        this._truncate(book.asks, 'asc');
+
+        if (checksum !== null && String(this._checksum(book)) !== checksum) {
+            this.markGap(pair, { reason: 'checksum mismatch' });
+        }
+    }
+
+    async resync(pair) {
+        const connection = this.connections.get(this.connectionKey(pair));
+        if (!connection?.open) {
+            return;  // Reconnect will resubscribe and receive a snapshot
+        }
+
+        const subscription = { name: 'book', depth: BOOK_DEPTH };
+        this.send(connection, { event: 'unsubscribe', pair: [this.wsNames.get(pair)], subscription });
+        this.send(connection, { event: 'subscribe', pair: [this.wsNames.get(pair)], subscription });
+    }
+
+    /**
+     * Drop levels beyond the subscribed depth (Kraken does not send deletes for them)
+     * @private
+     */
+    _truncate(levels, direction) {
+        if (levels.size <= BOOK_DEPTH) {
+            return;
+        }
+
+        const prices = Array.from(levels.keys())
+            .sort((a, b) => direction === 'asc' ? parseFloat(a) - parseFloat(b) : parseFloat(b) - parseFloat(a));
+
+        prices.slice(BOOK_DEPTH).forEach(price => levels.delete(price));
+    }
+
+    /**
+     * CRC32 of top 10 asks then top 10 bids, each "price+volume" with '.' and leading zeros removed
+     * @private
+     */
+    _checksum(book) {
+        const normalize = (value) => value.replace('.', '').replace(/^0+/, '');
+        const top = (levels, direction) => Array.from(levels.entries())
+            .sort((a, b) => direction === 'asc' ? parseFloat(a[0]) - parseFloat(b[0]) : parseFloat(b[0]) - parseFloat(a[0]))
+            .slice(0, CHECKSUM_LEVELS)
+            .map(([price, volume]) => normalize(price) + normalize(volume))
+            .join('');
+
+        return crc32(top(book.asks, 'asc') + top(book.bids, 'desc'));
+    }
+}
+
+module.exports = KrakenOrderBookStream;
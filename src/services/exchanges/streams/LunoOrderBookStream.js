@@ -0,0 +1,146 @@
+/**
+ * Luno Order Book Stream
+ * wss://ws.luno.com/api/1/stream/:pair - one authenticated socket per pair, order-level (L3) updates
+ *
+ * Protocol:
+ * - First message after credentials: full book { sequence, asks: [{ id, price, volume }], bids }
+ * - Then { sequence, trade_updates, create_update, delete_update } - sequence must increase by 1
+ * - Any gap invalidates the book; Luno only resends state on a new connection, so resync closes
+ *   the socket and the next scan (with credentials) reopens it. REST fills in meanwhile.
+ */
+
+const BaseOrderBookStream = require('./BaseOrderBookStream');
+
+class LunoOrderBookStream extends BaseOrderBookStream {
+    constructor() {
+        super({
+            id: 'luno',
+            name: 'Luno',
+            requiresCredentials: true
+        });
+
+        // pair → Map<orderId, { side, price, volume }>
+        this.orders = new Map();
+    }
+
+    connectionKey(pair) {
+        return pair;
+    }
+
+    connectionUrl(pair) {
+        return `wss://ws.luno.com/api/1/stream/${pair}`;
+    }
+
+    onOpen(connection, credentials) {
+        this.send(connection, {
+            api_key_id: credentials.apiKey,
+            api_key_secret: credentials.apiSecret
+        });
+    }
+
+    sendSubscribe() {
+        // Socket URL selects the pair - nothing to send
+    }
+
+    handleMessage(connection, message) {
+        const pair = connection.key;
+        const sequence = parseInt(message.sequence);
+
+        if (Number.isNaN(sequence)) {
+            return;
+        }
+
+        // Initial state
+        if (message.asks && message.bids) {
+            this._loadOrders(pair, message.bids, message.asks, sequence);
+            return;
+        }
+
+        const book = this.books.get(pair);
+        if (!book?.synced) {
+            return;
+        }
+
+        if (sequence !== book.sequence + 1) {
+            this.markGap(pair, { expected: book.sequence + 1, received: sequence });
+            return;
+        }
+
+        const orders = this.orders.get(pair);
+
+        for (const trade of message.trade_updates || []) {
+            const order = orders.get(trade.maker_order_id);
+            if (order) {
+                this._changeOrder(pair, order, -parseFloat(trade.base));
+                if (order.volume <= 1e-12) {
+                    orders.delete(trade.maker_order_id);
+                }
+            }
+        }
+
+        if (message.create_update) {
+            const { order_id: orderId, type, price, volume } = message.create_update;
+            const order = { side: type === 'BID' ? 'bids' : 'asks', price, volume: 0 };
+            orders.set(orderId, order);
+            this._changeOrder(pair, order, parseFloat(volume));
+        }
+
+        if (message.delete_update) {
+            const order = orders.get(message.delete_update.order_id);
+            if (order) {
+                this._changeOrder(pair, order, -order.volume);
+                orders.delete(message.delete_update.order_id);
+            }
+        }
+
+        book.sequence = sequence;
+        book.updatedAt = Date.now();
+        this.emit('book', pair);
+    }
+
+    async resync(pair) {
+        this.reconnect(pair);
+    }
+
+    stop() {
+        super.stop();
+        this.orders.clear();
+    }
+
+    /**
+     * @private
+     */
+    _loadOrders(pair, bids, asks, sequence) {
+        const orders = new Map();
+        const levels = { bids: new Map(), asks: new Map() };
+
+        for (const [side, list] of [['bids', bids], ['asks', asks]]) {
+            for (const { id, price, volume } of list) {
+                orders.set(id, { side, price, volume: parseFloat(volume) });
+                levels[side].set(price, (levels[side].get(price) || 0) + parseFloat(volume));
+            }
+        }
+
+        this.orders.set(pair, orders);
+        this.applySnapshot(
+            pair,
+            Array.from(levels.bids.entries()).map(([price, volume]) => [price, volume.toString()]),
+            Array.from(levels.asks.entries()).map(([price, volume]) => [price, volume.toString()]),
+            sequence
+        );
+    }
+
+    /**
+     * Adjust an order's volume and its aggregated price level
+     * @private
+     */
+    _changeOrder(pair, order, delta) {
+        const levels = this.books.get(pair)[order.side];
+        const levelVolume = parseFloat(levels.get(order.price) || 0) + delta;
+
+        order.volume += delta;
+        this._setLevel(levels, order.price, levelVolume > 1e-12 ? levelVolume.toString() : '0');
+    }
+}
+
+module.exports = LunoOrderBookStream;
@@ -0,0 +1,82 @@
+/**
+ * VALR Order Book Stream
+ * wss://api.valr.com/ws/trade - AGGREGATED_ORDERBOOK_UPDATE (top 40 levels, full book per message)
+ *
+ * Every message is a complete aggregated book, so a skipped SequenceNumber only means an
+ * intermediate snapshot was missed - it is counted as a gap but the next message resyncs.
+ * Out-of-order (older) messages are dropped.
+ */
+
+const BaseOrderBookStream = require('./BaseOrderBookStream');
+const exchangeRegistry = require('../ExchangeRegistry');
+
+const WS_PATH = '/ws/trade';
+
+class VALROrderBookStream extends BaseOrderBookStream {
+    constructor() {
+        super({
+            id: 'valr',
+            name: 'VALR',
+            depth: 40,
+            requiresCredentials: true,
+            pingIntervalMs: 30000
+        });
+    }
+
+    connectionUrl() {
+        return `wss://api.valr.com${WS_PATH}`;
+    }
+
+    connectionOptions(key, credentials) {
+        // Same HMAC-SHA512 signature as REST, signed over GET /ws/trade
+        return { headers: exchangeRegistry.get('valr').createAuthHeaders('GET', WS_PATH, null, credentials) };
+    }
+
+    pingMessage() {
+        return { type: 'PING' };
+    }
+
+    sendSubscribe(connection) {
+        // VALR replaces the subscription list, so always send every pair on the socket
+        this.send(connection, {
+            type: 'SUBSCRIBE',
+            subscriptions: [{ event: 'AGGREGATED_ORDERBOOK_UPDATE', pairs: Array.from(connection.pairs) }]
+        });
+    }
+
+    handleMessage(connection, message) {
+        if (message.type !== 'AGGREGATED_ORDERBOOK_UPDATE' || !message.data) {
+            return;
+        }
+
+        const pair = message.currencyPairSymbol;
+        const sequence = message.data.SequenceNumber;
+        const book = this.books.get(pair);
+
+        if (!book) {
+            return;
+        }
+
+        if (book.sequence !== null && sequence !== undefined) {
+            if (sequence <= book.sequence) {
+                return;
+            }
+            if (sequence !== book.sequence + 1) {
+                this.stats.gaps++;
+            }
+        }
+
+        this.applySnapshot(
+            pair,
+            (message.data.Bids || []).map(level => [level.price, level.quantity]),
+            (message.data.Asks || []).map(level => [level.price, level.quantity]),
+            sequence ?? null
+        );
+    }
+
+    async resync(pair) {
+        // Next aggregated message is a full book
+    }
+}
+
+module.exports = VALROrderBookStream;
@@ -1,8 +1,13 @@
 /**
  * Sequential Execution Queue
  * Manages rate limiting across all exchanges to prevent API bans
+ *
+ * Per-exchange spacing is reserved through ExecutionRateLimiter, so it holds across
+ * server instances when Redis is configured.
  */
 
+const executionRateLimiter = require('./triangular-arb/ExecutionRateLimiter');
+
 class ExecutionQueue {
     constructor() {
         this.queue = [];
@@ -93,14 +98,13 @@ class ExecutionQueue {
 
     /**
      * Wait for rate limit compliance
+     * Reserves this exchange's next request slot (shared with other instances via Redis)
      */
     async waitForRateLimit(exchange) {
         const limit = this.rateLimits.perExchange[exchange] || 200;
-        const lastTime = this.lastExecutionTime[exchange] || 0;
-        const elapsed = Date.now() - lastTime;
+        const waitTime = await executionRateLimiter.reserveRequestSlot(exchange, limit);
 
-        if (elapsed < limit) {
-            const waitTime = limit - elapsed;
+        if (waitTime > 0) {
             console.log(`⏱️  Rate limit: waiting ${waitTime}ms for ${exchange}`);
             await this.sleep(waitTime);
         }
@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class AscendEXMarketDataService {
     constructor() {
         this.baseUrl = 'https://ascendex.com';
 
-        // Rate limiting: AscendEX has standard rate limits
-        // Public: 100 requests per minute
-        // Private: 50 requests per minute
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // AscendEX-specific: Top 50 major USDT pairs by market cap and trading volume
         // Curated selection from AscendEX's pair list
         this.supportedPairs = [
@@ -41,22 +36,6 @@ class AscendEXMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -67,9 +46,6 @@ class AscendEXMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to AscendEX format (BTCUSDT → BTC/USDT)
             const ascendexPair = this._convertPairToAscendEX(pair);
 
@@ -83,7 +59,7 @@ class AscendEXMarketDataService {
             logger.info('Fetching AscendEX candles', { pair: ascendexPair, interval, limit });
 
             // Barhist endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -133,9 +109,6 @@ class AscendEXMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to AscendEX format (BTCUSDT → BTC/USDT)
             const ascendexPair = this._convertPairToAscendEX(pair);
 
@@ -146,7 +119,7 @@ class AscendEXMarketDataService {
             logger.debug('Fetching AscendEX current price', { pair: ascendexPair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -189,14 +162,11 @@ class AscendEXMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test info endpoint (public)
             const path = '/api/pro/v1/info';
             const url = `${this.baseUrl}${path}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
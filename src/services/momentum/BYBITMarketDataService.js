@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class BYBITMarketDataService {
     constructor() {
         this.baseUrl = 'https://api.bybit.com';
 
-        // Rate limiting: BYBIT has generous rate limits
-        // Public: 50 requests per second
-        // Private: 10 requests per second
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // BYBIT-specific: Supported USDT pairs (400+ pairs available)
         // Including major coins, DeFi, meme coins, and trending tokens
         this.supportedPairs = [
@@ -50,8 +45,7 @@ class BYBITMarketDataService {
             'USDCUSDT', 'DAIUSDT', 'TUSDUSDT', 'USDЕUSDT', 'PYUSDUSDT', 'XAUTUSDT',
 
             // Exchange tokens
-            'CAKEUS
-DT', 'WOOUSDT', 'KCSUSDT', 'HTXUSDT', 'MXUSDT', 'FTTUSDT',
+            'CAKEUSDT', 'WOOUSDT', 'KCSUSDT', 'HTXUSDT', 'MXUSDT', 'FTTUSDT',
 
             // Additional popular pairs (sample from the 400+ available)
             'XLMUSDT', 'ALGOUSDT', 'XTZUSDT', 'EOSUSDT', 'VETUSDT', 'HBARUSDT', 'ICPUSDT',
@@ -68,8 +62,7 @@ DT', 'WOOUSDT', 'KCSUSDT', 'HTXUSDT', 'MXUSDT', 'FTTUSDT',
             'ZKСUSDT', 'FUELUSDT', 'EPTUSDT', 'SYNDUSDT', 'ESUSDT', 'SUNDOGUSDT',
             'JTOUSDT', 'AVLUSDT', 'DEEPUSDT', 'WUSDT', 'HOLOUSDT', 'PLUMEUSDT',
             'HFTUSDT', 'WCTUSDT', 'ZKJUSDT', 'VELOUSDT', 'CAMPUSDT', 'ARUSDT',
-            'XTERUSDT', 'CORNUSDT', 'FLRUSDT', 'HMSTRUSDT', 'NOMUSDT', 'SOLV
-USDT',
+            'XTERUSDT', 'CORNUSDT', 'FLRUSDT', 'HMSTRUSDT', 'NOMUSDT', 'SOLVUSDT',
             'TURBOSUSDT', 'STXUSDT', 'XDCUSDT', 'TACUSDT', 'PYTHUSDT', 'CARVUSDT',
             'ZETAUSDT', 'AGLDUSDT', 'SIGNUSDT', 'FLUIDUSDT', 'SAFEUSDT', 'GAMEUSDT',
             'CMETHUSDT', 'PORT3USDT', 'CATIUSDT', 'OMUSDT', 'KAIAUSDT', 'TAIUSDT',
@@ -99,22 +92,6 @@ USDT',
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -125,9 +102,6 @@ USDT',
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // BYBIT uses different interval format
             const bybitInterval = this._convertIntervalToBYBIT(interval);
 
@@ -138,7 +112,7 @@ USDT',
             logger.info('Fetching BYBIT candles', { pair, interval, limit });
 
             // Kline endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json'
@@ -187,9 +161,6 @@ USDT',
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // BYBIT endpoint: GET /v5/market/tickers
             const path = `/v5/market/tickers?category=spot&symbol=${pair}`;
             const url = `${this.baseUrl}${path}`;
@@ -197,7 +168,7 @@ USDT',
             logger.debug('Fetching BYBIT current price', { pair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json'
@@ -239,25 +210,24 @@ USDT',
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test private balance endpoint
+            const path = '/v5/account/wallet-balance?accountType=UNIFIED';
+            const url = `${this.baseUrl}${path}`;
+
+            // Sign after the budget wait - a throttled request must not go out with a stale timestamp
+            await requestBudget.acquire('bybit');
             const timestamp = Date.now().toString();
             const params = '5000'; // recv_window parameter
             const authHeaders = this._createBYBITAuth(credentials.apiKey, credentials.apiSecret, timestamp, params);
 
-            const path = '/v5/account/wallet-balance?accountType=UNIFIED';
-            const url = `${this.baseUrl}${path}`;
-
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json',
                     ...authHeaders,
                     'X-BAPI-RECV-WINDOW': params
                 }
-            });
+            }, { exchange: 'bybit', acquired: true });
 
             if (!response.ok) {
                 const errorText = await response.text();
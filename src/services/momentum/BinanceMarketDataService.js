@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class BinanceMarketDataService {
     constructor() {
         this.baseUrl = 'https://api.binance.com';
 
-        // Rate limiting: Binance has weight-based rate limits
-        // 1200 weight per minute, most requests = 1 weight
-        // Conservative approach: ~10 requests per second max
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // Binance-specific: Supported USDT pairs (excluding leveraged UP/DOWN tokens)
         // Standard spot trading pairs only
         this.supportedPairs = [
@@ -55,23 +50,6 @@ class BinanceMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * Prevents hitting Binance's rate limits
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -82,9 +60,6 @@ class BinanceMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Binance uses standard interval format (1m, 5m, 15m, 30m, 1h, 4h, 1d)
             const binanceInterval = this._convertIntervalToBinance(interval);
 
@@ -95,7 +70,7 @@ class BinanceMarketDataService {
             logger.info('Fetching Binance candles', { pair, interval, limit });
 
             // Klines endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json'
@@ -139,9 +114,6 @@ class BinanceMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Binance endpoint: GET /api/v3/ticker/price
             const path = `/api/v3/ticker/price?symbol=${pair}`;
             const url = `${this.baseUrl}${path}`;
@@ -149,7 +121,7 @@ class BinanceMarketDataService {
             logger.debug('Fetching Binance current price', { pair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json'
@@ -186,9 +158,6 @@ class BinanceMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test private account endpoint
             const timestamp = Date.now();
             const queryString = `timestamp=${timestamp}`;
@@ -197,7 +166,7 @@ class BinanceMarketDataService {
             const path = `/api/v3/account?${queryString}&signature=${signature}`;
             const url = `${this.baseUrl}${path}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json',
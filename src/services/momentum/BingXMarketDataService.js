@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class BingXMarketDataService {
     constructor() {
         this.baseUrl = 'https://open-api.bingx.com';
 
-        // Rate limiting: BingX has standard rate limits
-        // Public: 20 requests per second
-        // Private: 10 requests per second
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // BingX-specific: Top 50 major USDT pairs by market cap and trading volume
         // Curated selection from BingX's pair list
         this.supportedPairs = [
@@ -41,22 +36,6 @@ class BingXMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -67,9 +46,6 @@ class BingXMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to BingX format (BTCUSDT → BTC-USDT)
             const bingxPair = this._convertPairToBingX(pair);
 
@@ -83,7 +59,7 @@ class BingXMarketDataService {
             logger.info('Fetching BingX candles', { pair: bingxPair, interval, limit });
 
             // Klines endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -133,9 +109,6 @@ class BingXMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to BingX format (BTCUSDT → BTC-USDT)
             const bingxPair = this._convertPairToBingX(pair);
 
@@ -146,7 +119,7 @@ class BingXMarketDataService {
             logger.debug('Fetching BingX current price', { pair: bingxPair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -189,9 +162,6 @@ class BingXMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test balance endpoint (requires authentication)
             const timestamp = Date.now();
             const queryString = `timestamp=${timestamp}`;
@@ -199,7 +169,7 @@ class BingXMarketDataService {
 
             const url = `${this.baseUrl}/openApi/spot/v1/account/balance?${queryString}&signature=${signature}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
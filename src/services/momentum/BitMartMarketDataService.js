@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class BitMartMarketDataService {
     constructor() {
         this.baseUrl = 'https://api-cloud.bitmart.com';
 
-        // Rate limiting: BitMart has standard rate limits
-        // Public: 10 requests per second
-        // Private: 5 requests per second
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // BitMart-specific: Top 50 major USDT pairs by market cap and trading volume
         // Stored in standard format (BTCUSDT), converted to underscore format for API calls
         this.supportedPairs = [
@@ -44,22 +39,6 @@ class BitMartMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -70,9 +49,6 @@ class BitMartMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to BitMart format (BTCUSDT → BTC_USDT)
             const bitmartPair = this._convertPairToBitMart(pair);
 
@@ -90,7 +66,7 @@ class BitMartMarketDataService {
             logger.info('Fetching BitMart candles', { pair: bitmartPair, interval, limit });
 
             // Kline endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -140,9 +116,6 @@ class BitMartMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to BitMart format (BTCUSDT → BTC_USDT)
             const bitmartPair = this._convertPairToBitMart(pair);
 
@@ -153,7 +126,7 @@ class BitMartMarketDataService {
             logger.debug('Fetching BitMart current price', { pair: bitmartPair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -196,9 +169,6 @@ class BitMartMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test balance endpoint (requires authentication)
             const timestamp = Date.now().toString();
             const requestPath = '/spot/v1/wallet';
@@ -207,7 +177,7 @@ class BitMartMarketDataService {
 
             const url = `${this.baseUrl}${requestPath}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
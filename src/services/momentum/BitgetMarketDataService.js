@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class BitgetMarketDataService {
     constructor() {
         this.baseUrl = 'https://api.bitget.com';
 
-        // Rate limiting: Bitget has standard rate limits
-        // Public: 20 requests per second
-        // Private: 10 requests per second
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // Bitget-specific: Top 50 major USDT pairs by market cap and trading volume
         // Stored in standard format (BTCUSDT), converted to _SPBL format for API calls
         this.supportedPairs = [
@@ -44,22 +39,6 @@ class BitgetMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -70,9 +49,6 @@ class BitgetMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to Bitget format (BTCUSDT → BTCUSDT_SPBL)
             const bitgetPair = this._convertPairToBitget(pair);
 
@@ -87,7 +63,7 @@ class BitgetMarketDataService {
             logger.info('Fetching Bitget candles', { pair: bitgetPair, interval, limit });
 
             // Candles endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -137,9 +113,6 @@ class BitgetMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to Bitget format (BTCUSDT → BTCUSDT_SPBL)
             const bitgetPair = this._convertPairToBitget(pair);
 
@@ -150,7 +123,7 @@ class BitgetMarketDataService {
             logger.debug('Fetching Bitget current price', { pair: bitgetPair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -193,9 +166,6 @@ class BitgetMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test balance endpoint (requires authentication)
             const timestamp = Date.now().toString();
             const method = 'GET';
@@ -204,7 +174,7 @@ class BitgetMarketDataService {
 
             const url = `${this.baseUrl}${requestPath}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
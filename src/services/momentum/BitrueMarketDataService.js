@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class BitrueMarketDataService {
     constructor() {
         this.baseUrl = 'https://openapi.bitrue.com';
 
-        // Rate limiting: Bitrue has standard rate limits (Binance-compatible)
-        // Public: 1200 requests per minute
-        // Private: 1200 requests per minute
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // Bitrue-specific: Top 50 major USDT pairs by market cap and trading volume
         // Uses standard format (BTCUSDT) like Binance
         this.supportedPairs = [
@@ -44,22 +39,6 @@ class BitrueMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -70,9 +49,6 @@ class BitrueMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Bitrue uses same format as Binance
             const bitrueInterval = this._convertIntervalToBitrue(interval);
 
@@ -83,7 +59,7 @@ class BitrueMarketDataService {
             logger.info('Fetching Bitrue candles', { pair, interval, limit });
 
             // Klines endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -128,9 +104,6 @@ class BitrueMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Bitrue endpoint: GET /api/v1/ticker/24hr (Binance-compatible)
             const path = `/api/v1/ticker/24hr?symbol=${pair}`;
             const url = `${this.baseUrl}${path}`;
@@ -138,7 +111,7 @@ class BitrueMarketDataService {
             logger.debug('Fetching Bitrue current price', { pair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -176,9 +149,6 @@ class BitrueMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test account endpoint (requires authentication)
             const timestamp = Date.now();
             const queryString = `timestamp=${timestamp}`;
@@ -186,7 +156,7 @@ class BitrueMarketDataService {
 
             const url = `${this.baseUrl}/api/v1/account?${queryString}&signature=${signature}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
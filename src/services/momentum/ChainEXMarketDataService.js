@@ -2,15 +2,12 @@
 // Fetches candle data and current prices from ChainEX API for momentum trading
 
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class ChainEXMarketDataService {
     constructor() {
         this.baseUrl = 'https://api.chainex.io';
 
-        // Rate limiting: Conservative approach (adjust based on ChainEX limits)
-        this.minRequestInterval = 200; // milliseconds
-        this.lastRequestTime = 0;
-
         // ChainEX-specific: Supported USDT pairs
         this.supportedPairs = [
             '1INCHUSDT',
@@ -27,23 +24,6 @@ class ChainEXMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * Prevents hitting ChainEX's rate limits
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -54,9 +34,6 @@ class ChainEXMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair format for ChainEX (e.g., BTCUSDT → BTC_USDT)
             const chainexPair = this._convertPairToChainEX(pair);
 
@@ -70,7 +47,7 @@ class ChainEXMarketDataService {
 
             logger.info('Fetching ChainEX candles', { pair: chainexPair, interval, limit });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: this._createChainEXAuth(credentials.apiKey)
             });
@@ -112,9 +89,6 @@ class ChainEXMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair format for ChainEX (e.g., BTCUSDT → BTC_USDT)
             const chainexPair = this._convertPairToChainEX(pair);
 
@@ -125,7 +99,7 @@ class ChainEXMarketDataService {
             logger.debug('Fetching ChainEX current price', { pair: chainexPair });
 
             // Ticker endpoint may not require authentication - try without first
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json'
@@ -162,14 +136,11 @@ class ChainEXMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test connection by fetching a known ticker (BTC_USDT)
             const path = '/v1/ticker/BTC_USDT';
             const url = `${this.baseUrl}${path}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: this._createChainEXAuth(credentials.apiKey)
             });
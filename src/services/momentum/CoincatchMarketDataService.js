@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class CoincatchMarketDataService {
     constructor() {
         this.baseUrl = 'https://api.coincatch.com';
 
-        // Rate limiting: Coincatch has standard rate limits
-        // Public: 20 requests per 2 seconds
-        // Private: 20 requests per 2 seconds
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // Coincatch-specific: Top 50 major USDT pairs by market cap and trading volume
         // Uses standard format (BTCUSDT) like Binance/OKX
         this.supportedPairs = [
@@ -44,22 +39,6 @@ class CoincatchMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -70,9 +49,6 @@ class CoincatchMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert interval to Coincatch format
             const coincatchInterval = this._convertIntervalToCoincatch(interval);
 
@@ -88,7 +64,7 @@ class CoincatchMarketDataService {
             logger.info('Fetching Coincatch candles', { pair, interval, limit });
 
             // Candles endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -138,9 +114,6 @@ class CoincatchMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Coincatch endpoint: GET /api/v1/market/ticker
             const path = `/api/v1/market/ticker`;
             const params = new URLSearchParams({
@@ -151,7 +124,7 @@ class CoincatchMarketDataService {
             logger.debug('Fetching Coincatch current price', { pair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -189,9 +162,6 @@ class CoincatchMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test balance endpoint (requires authentication)
             const timestamp = Date.now().toString();
             const method = 'GET';
@@ -200,7 +170,7 @@ class CoincatchMarketDataService {
 
             const url = `${this.baseUrl}${requestPath}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'ACCESS-KEY': credentials.apiKey,
@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class CryptoComMarketDataService {
     constructor() {
         this.baseUrl = 'https://api.crypto.com';
 
-        // Rate limiting: Crypto.com has standard rate limits
-        // Public: 100 requests per second
-        // Private: 15 requests per second
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // Crypto.com-specific: Top 50 major USDT pairs by market cap and trading volume
         // Stored in standard format (BTCUSDT), converted to underscore format for API calls
         this.supportedPairs = [
@@ -44,22 +39,6 @@ class CryptoComMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -70,9 +49,6 @@ class CryptoComMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to Crypto.com format (BTCUSDT → BTC_USDT)
             const cryptocomPair = this._convertPairToCryptoCom(pair);
 
@@ -90,7 +66,7 @@ class CryptoComMarketDataService {
             logger.info('Fetching Crypto.com candles', { pair: cryptocomPair, interval, limit });
 
             // Candlestick endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -140,9 +116,6 @@ class CryptoComMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to Crypto.com format (BTCUSDT → BTC_USDT)
             const cryptocomPair = this._convertPairToCryptoCom(pair);
 
@@ -156,7 +129,7 @@ class CryptoComMarketDataService {
             logger.debug('Fetching Crypto.com current price', { pair: cryptocomPair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -200,9 +173,6 @@ class CryptoComMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test account summary endpoint (requires authentication)
             const nonce = Date.now();
             const method = 'POST';
@@ -221,7 +191,7 @@ class CryptoComMarketDataService {
 
             const url = `${this.baseUrl}${requestPath}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -0,0 +1,5 @@
+// Entry Logic (server entry point)
+// Lives in public/js/momentum/EntryLogic.js so the browser and server workers combine indicator
+// results the same way - require it from here, never copy it
+
+module.exports = require('../../../public/js/momentum/EntryLogic');
@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class GateioMarketDataService {
     constructor() {
         this.baseUrl = 'https://api.gateio.ws';
 
-        // Rate limiting: Gate.io has generous rate limits
-        // Public: 900 requests per second
-        // Private: 300 requests per second
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // Gate.io-specific: Top 50 major USDT pairs by market cap and trading volume
         this.supportedPairs = [
             // Top Layer 1 blockchains (by market cap)
@@ -40,22 +35,6 @@ class GateioMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -66,9 +45,6 @@ class GateioMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to Gate.io format (BTCUSDT → BTC_USDT)
             const gateioPair = this._convertPairToGateio(pair);
 
@@ -82,7 +58,7 @@ class GateioMarketDataService {
             logger.info('Fetching Gate.io candles', { pair: gateioPair, interval, limit });
 
             // Candlesticks endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -127,9 +103,6 @@ class GateioMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to Gate.io format (BTCUSDT → BTC_USDT)
             const gateioPair = this._convertPairToGateio(pair);
 
@@ -140,7 +113,7 @@ class GateioMarketDataService {
             logger.debug('Fetching Gate.io current price', { pair: gateioPair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -178,9 +151,6 @@ class GateioMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test private balance endpoint
             const timestamp = Math.floor(Date.now() / 1000).toString();
             const method = 'GET';
@@ -191,7 +161,7 @@ class GateioMarketDataService {
 
             const fullUrl = `${this.baseUrl}${url}`;
 
-            const response = await fetch(fullUrl, {
+            const response = await requestBudget.fetch(fullUrl, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class GeminiMarketDataService {
     constructor() {
         this.baseUrl = 'https://api.gemini.com';
 
-        // Rate limiting: Gemini has standard rate limits
-        // Public: 120 requests per minute
-        // Private: 600 requests per minute
-        this.minRequestInterval = 500; // milliseconds (conservative)
-        this.lastRequestTime = 0;
-
         // Gemini-specific: Major USD pairs (Gemini primarily uses USD, not USDT)
         // Stored in standard format (BTCUSDT), converted to Gemini format (btcusd) for API calls
         // Note: Gemini has limited USDT pairs, mostly uses USD
@@ -34,22 +29,6 @@ class GeminiMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSD', 'ETHUSD', 'BTCUSDT')
@@ -60,9 +39,6 @@ class GeminiMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to Gemini format (BTCUSD → btcusd, BTCUSDT → btcusdt)
             const geminiPair = this._convertPairToGemini(pair);
 
@@ -76,7 +52,7 @@ class GeminiMarketDataService {
             logger.info('Fetching Gemini candles', { pair: geminiPair, interval, limit });
 
             // Candles endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -121,9 +97,6 @@ class GeminiMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to Gemini format (BTCUSD → btcusd)
             const geminiPair = this._convertPairToGemini(pair);
 
@@ -134,7 +107,7 @@ class GeminiMarketDataService {
             logger.debug('Fetching Gemini current price', { pair: geminiPair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -172,9 +145,6 @@ class GeminiMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test heartbeat endpoint (requires authentication)
             const nonce = Date.now();
             const payload = {
@@ -187,7 +157,7 @@ class GeminiMarketDataService {
 
             const url = `${this.baseUrl}/v1/heartbeat`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Accept': 'application/json',
@@ -3,18 +3,13 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class HTXMarketDataService {
     constructor() {
         this.baseUrl = 'https://api.huobi.pro';
         this.host = 'api.huobi.pro';
 
-        // Rate limiting: HTX has standard rate limits
-        // Public: 100 requests per 10 seconds
-        // Private: 100 requests per 10 seconds
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // HTX-specific: Top 50 major USDT pairs by market cap and trading volume
         // Curated selection from HTX's extensive pair list
         this.supportedPairs = [
@@ -42,22 +37,6 @@ class HTXMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -68,9 +47,6 @@ class HTXMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to HTX format (BTCUSDT → btcusdt)
             const htxPair = this._convertPairToHTX(pair);
 
@@ -84,7 +60,7 @@ class HTXMarketDataService {
             logger.info('Fetching HTX candles', { pair: htxPair, interval, limit });
 
             // Kline endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -134,9 +110,6 @@ class HTXMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to HTX format (BTCUSDT → btcusdt)
             const htxPair = this._convertPairToHTX(pair);
 
@@ -147,7 +120,7 @@ class HTXMarketDataService {
             logger.debug('Fetching HTX current price', { pair: htxPair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -190,9 +163,6 @@ class HTXMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test accounts endpoint (requires authentication)
             const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, '');
             const params = {
@@ -208,7 +178,7 @@ class HTXMarketDataService {
             const queryString = Object.keys(params).map(key => `${key}=${encodeURIComponent(params[key])}`).join('&');
             const url = `${this.baseUrl}/v1/account/accounts?${queryString}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
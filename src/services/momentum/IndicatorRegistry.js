@@ -0,0 +1,5 @@
+// Indicator Registry (server entry point)
+// The registry lives in public/js/momentum/IndicatorRegistry.js so the browser and the server
+// run the same indicator maths - require it from here, never copy it
+
+module.exports = require('../../../public/js/momentum/IndicatorRegistry');
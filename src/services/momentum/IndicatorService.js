@@ -0,0 +1,124 @@
+// Indicator Calculation Service
+// Calculates technical indicators (RSI, MACD, Volume, EMA, Bollinger Bands, Stochastic, ATR)
+// Backend version of public/js/momentum/Indicators.js - keep the two in step
+// The maths lives in IndicatorRegistry (shared with the browser); these are the named entry points
+
+const IndicatorRegistry = require('./IndicatorRegistry');
+const { logger } = require('../../utils/logger');
+
+class IndicatorService {
+    /**
+     * Calculate RSI (Relative Strength Index)
+     * @param {Array} candles - Array of candles [{close: number, ...}]
+     * @param {number} period - RSI period (default 14)
+     * @returns {number} RSI value (0-100)
+     */
+    static calculateRSI(candles, period) {
+        try {
+            return IndicatorRegistry.calculate('rsi', candles, { period });
+        } catch (error) {
+            logger.error('RSI calculation failed', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Calculate MACD (Moving Average Convergence Divergence)
+     * @param {Array} candles - Array of candles [{close: number, ...}]
+     * @param {number} fastPeriod - Fast EMA period (default 12)
+     * @param {number} slowPeriod - Slow EMA period (default 26)
+     * @param {number} signalPeriod - Signal EMA period (default 9)
+     * @returns {Object} {macdLine, signalLine, histogram, crossover}
+     */
+    static calculateMACD(candles, fastPeriod, slowPeriod, signalPeriod) {
+        try {
+            return IndicatorRegistry.calculate('macd', candles, { fast: fastPeriod, slow: slowPeriod, signal: signalPeriod });
+        } catch (error) {
+            logger.error('MACD calculation failed', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Calculate Volume Spike
+     * @param {Array} candles - Array of candles [{volume: number, ...}]
+     * @param {number} period - Lookback period for average (default 20)
+     * @param {number} multiplier - Spike multiplier (default 2.0)
+     * @returns {Object} {currentVolume, avgVolume, volumeRatio, isSpike}
+     */
+    static calculateVolumeSpike(candles, period, multiplier) {
+        try {
+            return IndicatorRegistry.calculate('volume', candles, { period, multiplier });
+        } catch (error) {
+            logger.error('Volume spike calculation failed', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Calculate EMA Crossover
+     * @param {Array} candles - Array of candles [{close: number, ...}]
+     * @param {number} fastPeriod - Fast EMA period (default 9)
+     * @param {number} slowPeriod - Slow EMA period (default 21)
+     * @returns {Object} {fastEMA, slowEMA, crossover}
+     */
+    static calculateEMACrossover(candles, fastPeriod, slowPeriod) {
+        try {
+            return IndicatorRegistry.calculate('ema', candles, { fast: fastPeriod, slow: slowPeriod });
+        } catch (error) {
+            logger.error('EMA crossover calculation failed', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Calculate Bollinger Bands
+     * @param {Array} candles - Array of candles [{close: number, ...}]
+     * @param {number} period - MA period (default 20)
+     * @param {number} stdDevMultiplier - Standard deviation multiplier (default 2)
+     * @returns {Object} {upper, middle, lower, percentB, width, nearLowerBand}
+     */
+    static calculateBollingerBands(candles, period, stdDevMultiplier) {
+        try {
+            return IndicatorRegistry.calculate('bollinger', candles, { period, stdDev: stdDevMultiplier });
+        } catch (error) {
+            logger.error('Bollinger Bands calculation failed', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Calculate Stochastic Oscillator
+     * @param {Array} candles - Array of candles [{high, low, close}]
+     * @param {number} period - %K period (default 14)
+     * @param {number} smoothK - %K smoothing (default 3)
+     * @param {number} smoothD - %D smoothing (default 3)
+     * @returns {Object} {k, d, oversold}
+     */
+    static calculateStochastic(candles, period, smoothK, smoothD) {
+        try {
+            return IndicatorRegistry.calculate('stochastic', candles, { period, smoothK, smoothD });
+        } catch (error) {
+            logger.error('Stochastic calculation failed', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Calculate ATR (Average True Range, Wilder smoothing)
+     * Used by ATR-based trailing stops
+     * @param {Array} candles - Array of candles [{high, low, close}]
+     * @param {number} period - ATR period (default 14)
+     * @returns {number} ATR value (price units)
+     */
+    static calculateATR(candles, period) {
+        try {
+            return IndicatorRegistry.calculate('atr', candles, { period }).atr;
+        } catch (error) {
+            logger.error('ATR calculation failed', { error: error.message });
+            throw error;
+        }
+    }
+}
+
+module.exports = IndicatorService;
@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class KrakenMarketDataService {
     constructor() {
         this.baseUrl = 'https://api.kraken.com';
 
-        // Rate limiting: Kraken has strict rate limits
-        // Public endpoints: 1 request per second (decrease counter by 1 every 3 seconds)
-        // Private endpoints: More restrictive
-        this.minRequestInterval = 1000; // milliseconds (1 second between requests)
-        this.lastRequestTime = 0;
-
         // Kraken-specific: Supported USDT pairs (43 pairs)
         this.supportedPairs = [
             'AI16ZUSDT',
@@ -61,23 +56,6 @@ class KrakenMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * Prevents hitting Kraken's strict rate limits
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -88,9 +66,6 @@ class KrakenMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to Kraken format (e.g., BTCUSDT → XBTUSDT)
             const krakenPair = this._convertPairToKraken(pair);
 
@@ -104,7 +79,7 @@ class KrakenMarketDataService {
             logger.info('Fetching Kraken candles', { pair: krakenPair, interval, limit });
 
             // OHLC endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json'
@@ -153,9 +128,6 @@ class KrakenMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to Kraken format (e.g., BTCUSDT → XBTUSDT)
             const krakenPair = this._convertPairToKraken(pair);
 
@@ -166,7 +138,7 @@ class KrakenMarketDataService {
             logger.debug('Fetching Kraken current price', { pair: krakenPair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json'
@@ -212,9 +184,6 @@ class KrakenMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test private balance endpoint
             const nonce = Date.now() * 1000;
             const postData = `nonce=${nonce}`;
@@ -229,7 +198,7 @@ class KrakenMarketDataService {
                 postData
             );
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded',
@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class KuCoinMarketDataService {
     constructor() {
         this.baseUrl = 'https://api.kucoin.com';
 
-        // Rate limiting: KuCoin has tiered rate limits
-        // Public: 100 requests per 10 seconds
-        // Private: 200 requests per 10 seconds
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // KuCoin-specific: Top 50 major USDT pairs by market cap and trading volume
         // Curated selection from KuCoin's extensive pair list
         this.supportedPairs = [
@@ -41,22 +36,6 @@ class KuCoinMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -67,9 +46,6 @@ class KuCoinMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to KuCoin format (BTCUSDT → BTC-USDT)
             const kucoinPair = this._convertPairToKuCoin(pair);
 
@@ -87,7 +63,7 @@ class KuCoinMarketDataService {
             logger.info('Fetching KuCoin candles', { pair: kucoinPair, interval, limit });
 
             // Candles endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -137,9 +113,6 @@ class KuCoinMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to KuCoin format (BTCUSDT → BTC-USDT)
             const kucoinPair = this._convertPairToKuCoin(pair);
 
@@ -150,7 +123,7 @@ class KuCoinMarketDataService {
             logger.debug('Fetching KuCoin current price', { pair: kucoinPair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -193,9 +166,6 @@ class KuCoinMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test private accounts endpoint
             const timestamp = Date.now().toString();
             const method = 'GET';
@@ -207,7 +177,7 @@ class KuCoinMarketDataService {
 
             const url = `${this.baseUrl}${endpoint}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: method,
                 headers: {
                     'Accept': 'application/json',
@@ -2,15 +2,12 @@
 // Fetches candle data and current prices from Luno API for momentum trading
 
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class LunoMarketDataService {
     constructor() {
         this.baseUrl = 'https://api.luno.com';
 
-        // Rate limiting: Max 5 requests per second (300/min)
-        this.minRequestInterval = 200; // milliseconds
-        this.lastRequestTime = 0;
-
         // Luno-specific: Supported USDT pairs
         this.supportedPairs = [
             'ETHUSDT',
@@ -22,23 +19,6 @@ class LunoMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * Prevents hitting Luno's rate limits (300 requests/min)
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'XBTUSDT', 'ETHUSDT')
@@ -49,9 +29,6 @@ class LunoMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert asset to Luno format (BTC → XBT)
             const lunoPair = this._convertPairToLuno(pair);
 
@@ -67,7 +44,7 @@ class LunoMarketDataService {
 
             logger.info('Fetching Luno candles', { pair: lunoPair, interval, limit, duration });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: this._createLunoAuth(credentials.apiKey, credentials.apiSecret)
             });
@@ -109,9 +86,6 @@ class LunoMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert asset to Luno format (BTC → XBT)
             const lunoPair = this._convertPairToLuno(pair);
 
@@ -122,7 +96,7 @@ class LunoMarketDataService {
             logger.debug('Fetching Luno current price', { pair: lunoPair });
 
             // Ticker endpoint doesn't require authentication
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json'
@@ -159,14 +133,11 @@ class LunoMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Luno endpoint: GET /api/1/balance (requires authentication)
             const path = '/api/1/balance';
             const url = `${this.baseUrl}${path}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: this._createLunoAuth(credentials.apiKey, credentials.apiSecret)
             });
@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class MEXCMarketDataService {
     constructor() {
         this.baseUrl = 'https://api.mexc.com';
 
-        // Rate limiting: MEXC has generous rate limits
-        // Public: 20 requests per second
-        // Private: 10 requests per second
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // MEXC-specific: Top 50 major USDT pairs by market cap and trading volume
         // Curated selection from MEXC's thousands of pairs
         this.supportedPairs = [
@@ -41,22 +36,6 @@ class MEXCMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -67,9 +46,6 @@ class MEXCMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // MEXC uses Binance-compatible interval format (1m, 5m, 15m, 30m, 1h, 4h, 1d)
             const mexcInterval = this._convertIntervalToMEXC(interval);
 
@@ -80,7 +56,7 @@ class MEXCMarketDataService {
             logger.info('Fetching MEXC candles', { pair, interval, limit });
 
             // Klines endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json'
@@ -124,9 +100,6 @@ class MEXCMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // MEXC endpoint: GET /api/v3/ticker/price
             const path = `/api/v3/ticker/price?symbol=${pair}`;
             const url = `${this.baseUrl}${path}`;
@@ -134,7 +107,7 @@ class MEXCMarketDataService {
             logger.debug('Fetching MEXC current price', { pair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json'
@@ -171,9 +144,6 @@ class MEXCMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test private account endpoint
             const timestamp = Date.now();
             const queryString = `timestamp=${timestamp}`;
@@ -182,7 +152,7 @@ class MEXCMarketDataService {
             const path = `/api/v3/account?${queryString}&signature=${signature}`;
             const url = `${this.baseUrl}${path}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json',
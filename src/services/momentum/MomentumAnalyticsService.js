@@ -0,0 +1,282 @@
+// Momentum Analytics Service
+// Portfolio performance of a user's momentum positions over a date range, across exchanges
+//
+// - Realised PnL is booked when it happens: partial exits (momentum_position_exits) at their exit
+//   time, the rest of a position's PnL when it closes. The equity curve steps at each of these.
+// - Trade statistics (win rate, profit factor, expectancy, hold time) count positions closed in the
+//   range, each with its total PnL (exit_pnl_usdt includes its partial exits).
+// - Unrealised PnL values the remaining quantity of positions still open at the current Binance
+//   price (the momentum worker's price source), net of the entry cost of that quantity.
+
+const { logger } = require('../../utils/logger');
+const MomentumPosition = require('../../models/MomentumPosition');
+const exchangeRegistry = require('../exchanges/ExchangeRegistry');
+
+const DEFAULT_RANGE_MS = 30 * 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const round = (value, decimals = 2) => (value === null ? null : parseFloat(value.toFixed(decimals)));
+
+class MomentumAnalyticsService {
+    /**
+     * Portfolio analytics
+     * @param {string} userId - User ID
+     * @param {object} options - Analytics options
+     * @param {Date} options.from - Range start (default: 30 days before `to`)
+     * @param {Date} options.to - Range end (default: now)
+     * @param {string} options.exchange - Only this exchange (default: all)
+     * @param {number} options.strategyId - Only this strategy (default: all)
+     * @param {number} options.startingBalance - Capital base for equity and drawdown % (optional)
+     * @returns {Promise<object>} { range, summary, equityCurve, breakdown: { byAsset, byStrategy, byExchange, byExitReason }, openPositions }
+     */
+    async getAnalytics(userId, options = {}) {
+        const now = Date.now();
+        const to = options.to || new Date(now);
+        const from = options.from || new Date(to.getTime() - DEFAULT_RANGE_MS);
+        const startingBalance = options.startingBalance || null;
+
+        const positions = await MomentumPosition.getForAnalytics(userId, {
+            from,
+            to,
+            exchange: options.exchange || null,
+            strategyId: options.strategyId || null
+        });
+        const partialExits = await MomentumPosition.getPartialExitsForPositions(positions.map(position => position.id));
+
+        const inRange = time => time !== null && time >= from.getTime() && time <= to.getTime();
+        const byId = new Map(positions.map(position => [position.id, position]));
+
+        // Realised PnL events: partial exits, then the remainder of each close
+        const events = partialExits
+            .map(exit => ({
+                position: byId.get(exit.position_id),
+                time: this._time(exit.exit_time),
+                pnl: parseFloat(exit.pnl_usdt || 0),
+                reason: exit.exit_reason || 'partial'
+            }))
+            .filter(event => inRange(event.time));
+
+        const trades = positions.filter(position => position.status === 'CLOSED' && inRange(this._time(position.exit_time)));
+        trades.forEach(position => {
+            events.push({
+                position,
+                time: this._time(position.exit_time),
+                pnl: parseFloat(position.exit_pnl_usdt || 0) - parseFloat(position.realized_pnl_usdt || 0),
+                reason: position.exit_reason || 'unknown'
+            });
+        });
+        events.sort((a, b) => a.time - b.time);
+
+        // Positions still holding the asset, valued now (only meaningful when the range reaches now)
+        const open = positions.filter(position => position.status !== 'CLOSED');
+        const openPositions = to.getTime() >= now ? await this._valueOpenPositions(open) : [];
+
+        const equityCurve = this._equityCurve(events, startingBalance);
+        const drawdown = this._maxDrawdown(equityCurve, startingBalance);
+
+        const summary = {
+            ...this._summarize(trades, events, openPositions),
+            maxDrawdownUsdt: drawdown.usdt,
+            maxDrawdownPercent: drawdown.percent
+        };
+
+        return {
+            range: { from: from.toISOString(), to: to.toISOString() },
+            summary,
+            equityCurve,
+            breakdown: {
+                byAsset: this._breakdown(trades, events, openPositions, position => ({ asset: position.asset })),
+                byStrategy: this._breakdown(trades, events, openPositions, position => ({
+                    strategyId: position.strategy_id,
+                    strategyName: position.strategy_name || null
+                })),
+                byExchange: this._breakdown(trades, events, openPositions, position => ({ exchange: String(position.exchange).toLowerCase() })),
+                byExitReason: this._breakdownByExitReason(trades, events)
+            },
+            openPositions: openPositions.map(({ position, price, unrealisedPnl }) => ({
+                id: position.id,
+                exchange: position.exchange,
+                asset: position.asset,
+                strategyId: position.strategy_id,
+                status: position.status,
+                entryPrice: parseFloat(position.entry_price),
+                remainingQuantity: MomentumPosition.remainingQuantity(position),
+                currentPrice: price,
+                unrealisedPnl: round(unrealisedPnl)
+            }))
+        };
+    }
+
+    /**
+     * Trade statistics, realised / unrealised PnL for a set of trades and events
+     * @private
+     */
+    _summarize(trades, events, openPositions) {
+        const pnls = trades.map(position => parseFloat(position.exit_pnl_usdt || 0));
+        const wins = pnls.filter(pnl => pnl > 0);
+        const losses = pnls.filter(pnl => pnl < 0);
+        const grossProfit = wins.reduce((sum, pnl) => sum + pnl, 0);
+        const grossLoss = Math.abs(losses.reduce((sum, pnl) => sum + pnl, 0));
+        const holdHours = trades.map(position => (this._time(position.exit_time) - this._time(position.entry_time)) / HOUR_MS);
+
+        const realisedPnl = events.reduce((sum, event) => sum + event.pnl, 0);
+        const priced = openPositions.filter(open => open.unrealisedPnl !== null);
+        const unrealisedPnl = priced.reduce((sum, open) => sum + open.unrealisedPnl, 0);
+
+        return {
+            trades: trades.length,
+            wins: wins.length,
+            losses: losses.length,
+            winRate: trades.length > 0 ? round(wins.length / trades.length * 100) : null,
+            grossProfit: round(grossProfit),
+            grossLoss: round(grossLoss),
+            // null without losing trades (infinite)
+            profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss, 4) : null,
+            expectancy: trades.length > 0 ? round(pnls.reduce((sum, pnl) => sum + pnl, 0) / trades.length) : null,
+            avgWin: wins.length > 0 ? round(grossProfit / wins.length) : null,
+            avgLoss: losses.length > 0 ? round(-grossLoss / losses.length) : null,
+            avgHoldHours: trades.length > 0 ? round(holdHours.reduce((sum, hours) => sum + hours, 0) / trades.length) : null,
+            realisedPnl: round(realisedPnl),
+            unrealisedPnl: round(unrealisedPnl),
+            totalPnl: round(realisedPnl + unrealisedPnl),
+            openPositions: openPositions.length,
+            unpricedPositions: openPositions.length - priced.length
+        };
+    }
+
+    /**
+     * Summaries grouped by position attributes
+     * @private
+     * @param {Function} labelOf - position => attributes identifying its group (e.g. { asset })
+     */
+    _breakdown(trades, events, openPositions, labelOf) {
+        const groups = new Map();
+        const group = position => {
+            const label = labelOf(position);
+            const key = JSON.stringify(Object.values(label)[0]);
+            if (!groups.has(key)) {
+                groups.set(key, { label, trades: [], events: [], open: [] });
+            }
+            return groups.get(key);
+        };
+
+        trades.forEach(position => group(position).trades.push(position));
+        events.forEach(event => group(event.position).events.push(event));
+        openPositions.forEach(open => group(open.position).open.push(open));
+
+        return Array.from(groups.values())
+            .map(({ label, trades: groupTrades, events: groupEvents, open }) => ({
+                ...label,
+                ...this._summarize(groupTrades, groupEvents, open)
+            }))
+            .sort((a, b) => b.totalPnl - a.totalPnl);
+    }
+
+    /**
+     * Trades grouped by final exit reason; realised PnL by the reason of each exit (partials included)
+     * @private
+     */
+    _breakdownByExitReason(trades, events) {
+        const reasons = new Set([
+            ...trades.map(position => position.exit_reason || 'unknown'),
+            ...events.map(event => event.reason)
+        ]);
+
+        return Array.from(reasons)
+            .map(reason => ({
+                reason,
+                ...this._summarize(
+                    trades.filter(position => (position.exit_reason || 'unknown') === reason),
+                    events.filter(event => event.reason === reason),
+                    []
+                )
+            }))
+            .sort((a, b) => b.realisedPnl - a.realisedPnl);
+    }
+
+    /**
+     * Cumulative realised PnL after each event (equity = startingBalance + PnL when given)
+     * @private
+     */
+    _equityCurve(events, startingBalance) {
+        let cumulative = 0;
+
+        return events.map(event => {
+            cumulative += event.pnl;
+            return {
+                timestamp: new Date(event.time).toISOString(),
+                positionId: event.position.id,
+                asset: event.position.asset,
+                reason: event.reason,
+                pnl: round(event.pnl),
+                cumulativePnl: round(cumulative),
+                equity: startingBalance !== null ? round(startingBalance + cumulative) : null
+            };
+        });
+    }
+
+    /**
+     * Largest peak-to-trough fall of cumulative realised PnL
+     * @private
+     * @returns {object} { usdt, percent } - percent of peak equity, only with a starting balance
+     */
+    _maxDrawdown(equityCurve, startingBalance) {
+        let peak = 0;
+        let maxDrawdown = 0;
+        let maxDrawdownPercent = 0;
+
+        for (const point of equityCurve) {
+            peak = Math.max(peak, point.cumulativePnl);
+            const drawdown = peak - point.cumulativePnl;
+            maxDrawdown = Math.max(maxDrawdown, drawdown);
+
+            if (startingBalance !== null && startingBalance + peak > 0) {
+                maxDrawdownPercent = Math.max(maxDrawdownPercent, drawdown / (startingBalance + peak) * 100);
+            }
+        }
+
+        return {
+            usdt: round(maxDrawdown),
+            percent: startingBalance !== null ? round(maxDrawdownPercent) : null
+        };
+    }
+
+    /**
+     * Current price and unrealised PnL of open positions (one ticker request per pair)
+     * @private
+     * @returns {Promise<Array>} [{ position, price, unrealisedPnl }] - null price / PnL when the ticker failed
+     */
+    async _valueOpenPositions(positions) {
+        const prices = new Map();
+
+        for (const pair of new Set(positions.map(position => position.pair))) {
+            try {
+                prices.set(pair, await exchangeRegistry.get('binance').fetchTicker(pair));
+            } catch (error) {
+                logger.warn('Price unavailable for momentum analytics', { pair, error: error.message });
+                prices.set(pair, null);
+            }
+        }
+
+        return positions.map(position => {
+            const price = prices.get(position.pair);
+
+            return {
+                position,
+                price,
+                unrealisedPnl: price
+                    ? price * MomentumPosition.remainingQuantity(position) - MomentumPosition.remainingCost(position)
+                    : null
+            };
+        });
+    }
+
+    /**
+     * @private
+     */
+    _time(value) {
+        return value ? new Date(value).getTime() : null;
+    }
+}
+
+module.exports = MomentumAnalyticsService;
@@ -0,0 +1,390 @@
+// Momentum Backtest Service
+// Replays a saved momentum strategy bar by bar over historical candles
+//
+// Entries use SignalDetectionService.checkEntrySignals on the candles up to each closed bar
+// (same indicators and entry logic as the live worker); the fill is the next bar's open.
+// Higher-timeframe confirmation only sees the confirmation candles closed by the end of each bar.
+// Exits apply the strategy's exit rules inside each bar:
+// - stop_loss / take_profit trigger on the bar's low / high (stop first when both are hit)
+// - max_hold_time closes at the close of the first bar past the limit
+// Every fill pays slippage against us plus the taker fee.
+
+const { logger } = require('../../utils/logger');
+const exchangeRegistry = require('../exchanges/ExchangeRegistry');
+const SignalDetectionService = require('./SignalDetectionService');
+const IndicatorRegistry = require('./IndicatorRegistry');
+
+const INTERVAL_MINUTES = {
+    '1m': 1,
+    '5m': 5,
+    '15m': 15,
+    '30m': 30,
+    '1h': 60,
+    '4h': 240,
+    '1d': 1440
+};
+
+class MomentumBacktestService {
+    /**
+     * Backtest a strategy
+     * @param {object} strategy - momentum_strategies row
+     * @param {object} options - Backtest options
+     * @param {Array<string>} options.assets - Assets to test (default: strategy assets)
+     * @param {string} options.interval - Candle interval (default: strategy timeframe)
+     * @param {number} options.limit - Candles to fetch per asset (default 1000, capped by the exchange)
+     * @param {number} options.startingBalance - USDT at the start (default: max_trade_amount × max_open_positions)
+     * @param {number} options.feeRate - Taker fee per fill as a fraction (default 0.001)
+     * @param {number} options.slippagePercent - Adverse slippage per fill in % (default 0.05)
+     * @param {number} options.lookback - Candles handed to the signal check per bar (default 250)
+     * @param {object} options.credentials - Exchange credentials (only for exchanges whose candles need them)
+     * @returns {Promise<object>} { summary, trades, equityCurve }
+     */
+    async run(strategy, options = {}) {
+        const {
+            assets = strategy.assets,
+            interval = strategy.timeframe || '5m',
+            limit = 1000,
+            feeRate = 0.001,
+            slippagePercent = 0.05,
+            lookback = 250,
+            credentials = null
+        } = options;
+        const maxTradeAmount = parseFloat(strategy.max_trade_amount);
+        const maxOpenPositions = parseInt(strategy.max_open_positions) || 1;
+        const startingBalance = options.startingBalance || maxTradeAmount * maxOpenPositions;
+        const exitRules = strategy.exit_rules || {};
+        const exchange = strategy.exchange.toLowerCase();
+
+        if (!INTERVAL_MINUTES[interval]) {
+            throw new Error(`Unsupported interval: ${interval}`);
+        }
+        if (!exchangeRegistry.supports(exchange, 'fetchCandles')) {
+            throw new Error(`No candle data for ${exchange}`);
+        }
+
+        logger.info('Momentum backtest started', {
+            strategyId: strategy.id,
+            exchange,
+            assets,
+            interval,
+            limit
+        });
+
+        // Confirmation candles cover the backtest window plus the confirmation indicators' warm-up
+        const confirmation = SignalDetectionService.getConfirmation(strategy);
+        const confirmationLimit = confirmation
+            ? Math.min(1000, Math.ceil(limit * INTERVAL_MINUTES[interval] / INTERVAL_MINUTES[confirmation.timeframe]) + confirmation.candleLimit)
+            : 0;
+
+        // Candles per asset through the exchange's MarketDataService
+        const series = {};
+        for (const asset of assets) {
+            const pair = `${asset}USDT`;
+            const candles = this._normalizeCandles(
+                await exchangeRegistry.get(exchange).fetchCandles(pair, interval, limit, credentials)
+            );
+            if (candles.length > 0) {
+                const confirmationCandles = confirmation
+                    ? this._normalizeCandles(
+                        await exchangeRegistry.get(exchange).fetchCandles(pair, confirmation.timeframe, confirmationLimit, credentials)
+                    )
+                    : null;
+                series[asset] = {
+                    pair,
+                    candles,
+                    confirmationCandles,
+                    indexByTime: new Map(candles.map((candle, index) => [candle.timestamp, index]))
+                };
+            }
+        }
+
+        if (Object.keys(series).length === 0) {
+            throw new Error(`No candles returned for ${assets.join(', ')} on ${exchange}`);
+        }
+
+        const warmup = this._warmupBars(strategy.entry_indicators || {});
+        const timeline = Array.from(new Set(Object.values(series).flatMap(s => s.candles.map(candle => candle.timestamp))))
+            .sort((a, b) => a - b);
+        const barMs = INTERVAL_MINUTES[interval] * 60 * 1000;
+        const slippage = slippagePercent / 100;
+
+        let cash = startingBalance;
+        const open = new Map();        // asset → position
+        const pendingEntries = new Map(); // asset → signal waiting for the next bar's open
+        const trades = [];
+        const equityCurve = [];
+
+        for (const time of timeline) {
+            for (const [asset, { pair, candles, confirmationCandles, indexByTime }] of Object.entries(series)) {
+                const index = indexByTime.get(time);
+                if (index === undefined) continue;
+                const bar = candles[index];
+
+                // Signal from the previous close fills at this bar's open
+                const pending = pendingEntries.get(asset);
+                if (pending) {
+                    pendingEntries.delete(asset);
+                    const amount = Math.min(maxTradeAmount, cash);
+                    if (open.size < maxOpenPositions && amount > 0) {
+                        const entryPrice = bar.open * (1 + slippage);
+                        const entryFee = amount * feeRate;
+                        cash -= amount;
+                        open.set(asset, {
+                            asset,
+                            pair,
+                            entryTime: bar.timestamp,
+                            entryPrice,
+                            quantity: (amount - entryFee) / entryPrice,
+                            cost: amount,
+                            entryFee,
+                            triggeredIndicators: pending.triggeredIndicators
+                        });
+                    }
+                }
+
+                const position = open.get(asset);
+                if (position) {
+                    const exit = this._checkExit(position, bar, barMs, exitRules);
+                    if (exit) {
+                        const trade = this._closePosition(position, exit, { slippage, feeRate });
+                        cash += trade.proceeds;
+                        trades.push(trade);
+                        open.delete(asset);
+                    }
+                } else if (index + 1 >= warmup && index < candles.length - 1 && open.size < maxOpenPositions) {
+                    const window = candles.slice(Math.max(0, index + 1 - Math.max(lookback, warmup)), index + 1);
+                    const signal = await SignalDetectionService.checkEntrySignals(window, strategy, {
+                        confirmationCandles,
+                        timeframe: interval
+                    });
+                    if (signal.shouldEnter) {
+                        pendingEntries.set(asset, signal);
+                    }
+                }
+            }
+
+            equityCurve.push({
+                timestamp: time,
+                equity: parseFloat((cash + this._openValue(open, series, time)).toFixed(2))
+            });
+        }
+
+        // Positions still open at the end are closed at the last close
+        for (const position of open.values()) {
+            const { candles } = series[position.asset];
+            const last = candles[candles.length - 1];
+            const trade = this._closePosition(position, { reason: 'end_of_data', price: last.close, time: last.timestamp }, { slippage, feeRate });
+            cash += trade.proceeds;
+            trades.push(trade);
+        }
+        if (equityCurve.length > 0) {
+            equityCurve[equityCurve.length - 1].equity = parseFloat(cash.toFixed(2));
+        }
+
+        const summary = {
+            strategyId: strategy.id,
+            strategyName: strategy.strategy_name,
+            exchange,
+            assets: Object.keys(series),
+            interval,
+            from: new Date(timeline[0]).toISOString(),
+            to: new Date(timeline[timeline.length - 1]).toISOString(),
+            bars: timeline.length,
+            warmupBars: warmup,
+            feeRate,
+            slippagePercent,
+            ...this._metrics(trades, equityCurve, startingBalance, cash, INTERVAL_MINUTES[interval])
+        };
+
+        logger.info('Momentum backtest completed', {
+            strategyId: strategy.id,
+            trades: summary.totalTrades,
+            totalReturnPercent: summary.totalReturnPercent
+        });
+
+        return {
+            summary,
+            trades: trades.map(trade => ({
+                ...trade,
+                entryTime: new Date(trade.entryTime).toISOString(),
+                exitTime: new Date(trade.exitTime).toISOString()
+            })),
+            equityCurve: equityCurve.map(point => ({ ...point, timestamp: new Date(point.timestamp).toISOString() }))
+        };
+    }
+
+    /**
+     * Exit rules against one bar (null = stay in)
+     * @private
+     */
+    _checkExit(position, bar, barMs, exitRules) {
+        const stopLoss = exitRules.stopLossPercent ? position.entryPrice * (1 - exitRules.stopLossPercent / 100) : null;
+        const takeProfitMode = exitRules.takeProfitMode || 'auto';
+        const takeProfit = takeProfitMode === 'auto' && exitRules.takeProfitPercent
+            ? position.entryPrice * (1 + exitRules.takeProfitPercent / 100)
+            : null;
+
+        // A gap through the level fills at the open
+        if (stopLoss !== null && bar.low <= stopLoss) {
+            return { reason: 'stop_loss', price: Math.min(bar.open, stopLoss), time: bar.timestamp };
+        }
+        if (takeProfit !== null && bar.high >= takeProfit) {
+            return { reason: 'take_profit', price: Math.max(bar.open, takeProfit), time: bar.timestamp };
+        }
+
+        const closeTime = bar.timestamp + barMs;
+        if (exitRules.maxHoldTimeHours && closeTime - position.entryTime >= exitRules.maxHoldTimeHours * 60 * 60 * 1000) {
+            return { reason: 'max_hold_time', price: bar.close, time: closeTime };
+        }
+
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _closePosition(position, exit, { slippage, feeRate }) {
+        const exitPrice = exit.price * (1 - slippage);
+        const grossProceeds = position.quantity * exitPrice;
+        const exitFee = grossProceeds * feeRate;
+        const proceeds = grossProceeds - exitFee;
+        const pnl = proceeds - position.cost;
+
+        return {
+            asset: position.asset,
+            pair: position.pair,
+            entryTime: position.entryTime,
+            entryPrice: parseFloat(position.entryPrice.toPrecision(10)),
+            exitTime: exit.time,
+            exitPrice: parseFloat(exitPrice.toPrecision(10)),
+            exitReason: exit.reason,
+            quantity: parseFloat(position.quantity.toPrecision(10)),
+            cost: parseFloat(position.cost.toFixed(2)),
+            proceeds: parseFloat(proceeds.toFixed(8)),
+            fees: parseFloat((position.entryFee + exitFee).toFixed(8)),
+            pnl: parseFloat(pnl.toFixed(8)),
+            pnlPercent: parseFloat((pnl / position.cost * 100).toFixed(4)),
+            holdHours: parseFloat(((exit.time - position.entryTime) / (60 * 60 * 1000)).toFixed(2)),
+            triggeredIndicators: position.triggeredIndicators.map(indicator => indicator.name)
+        };
+    }
+
+    /**
+     * Mark open positions to the latest close at or before a time
+     * @private
+     */
+    _openValue(open, series, time) {
+        let value = 0;
+        for (const position of open.values()) {
+            const { candles, indexByTime } = series[position.asset];
+            const index = indexByTime.get(time);
+            const close = index !== undefined
+                ? candles[index].close
+                : this._lastCloseBefore(candles, time) ?? position.entryPrice;
+            value += position.quantity * close;
+        }
+        return value;
+    }
+
+    /**
+     * @private
+     */
+    _lastCloseBefore(candles, time) {
+        for (let i = candles.length - 1; i >= 0; i--) {
+            if (candles[i].timestamp <= time) {
+                return candles[i].close;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Win rate, drawdown and Sharpe ratio
+     * @private
+     */
+    _metrics(trades, equityCurve, startingBalance, endingBalance, intervalMinutes) {
+        const wins = trades.filter(trade => trade.pnl > 0);
+        const losses = trades.filter(trade => trade.pnl <= 0);
+        const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+        const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.pnl, 0));
+
+        let peak = startingBalance;
+        let maxDrawdown = 0;
+        let maxDrawdownPercent = 0;
+        for (const point of equityCurve) {
+            peak = Math.max(peak, point.equity);
+            maxDrawdown = Math.max(maxDrawdown, peak - point.equity);
+            maxDrawdownPercent = Math.max(maxDrawdownPercent, peak > 0 ? (peak - point.equity) / peak * 100 : 0);
+        }
+
+        // Per-bar returns, annualised (risk-free rate 0)
+        const returns = [];
+        let previous = startingBalance;
+        for (const point of equityCurve) {
+            returns.push(previous > 0 ? point.equity / previous - 1 : 0);
+            previous = point.equity;
+        }
+        const mean = returns.reduce((sum, r) => sum + r, 0) / (returns.length || 1);
+        const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length > 1 ? returns.length - 1 : 1);
+        const stdDev = Math.sqrt(variance);
+        const barsPerYear = (365 * 24 * 60) / intervalMinutes;
+
+        const exitReasons = {};
+        trades.forEach(trade => { exitReasons[trade.exitReason] = (exitReasons[trade.exitReason] || 0) + 1; });
+
+        return {
+            startingBalance: parseFloat(startingBalance.toFixed(2)),
+            endingBalance: parseFloat(endingBalance.toFixed(2)),
+            totalReturn: parseFloat((endingBalance - startingBalance).toFixed(2)),
+            totalReturnPercent: parseFloat(((endingBalance - startingBalance) / startingBalance * 100).toFixed(2)),
+            totalTrades: trades.length,
+            wins: wins.length,
+            losses: losses.length,
+            winRate: trades.length > 0 ? parseFloat((wins.length / trades.length * 100).toFixed(2)) : null,
+            averageWin: wins.length > 0 ? parseFloat((grossProfit / wins.length).toFixed(4)) : null,
+            averageLoss: losses.length > 0 ? parseFloat((-grossLoss / losses.length).toFixed(4)) : null,
+            profitFactor: grossLoss > 0 ? parseFloat((grossProfit / grossLoss).toFixed(3)) : null,
+            totalFees: parseFloat(trades.reduce((sum, trade) => sum + trade.fees, 0).toFixed(4)),
+            maxDrawdown: parseFloat(maxDrawdown.toFixed(2)),
+            maxDrawdownPercent: parseFloat(maxDrawdownPercent.toFixed(2)),
+            sharpeRatio: stdDev > 0 ? parseFloat((mean / stdDev * Math.sqrt(barsPerYear)).toFixed(3)) : null,
+            exitReasons
+        };
+    }
+
+    /**
+     * Fewest candles every enabled indicator needs - earlier bars are not signalled
+     * @private
+     */
+    _warmupBars(entryIndicators) {
+        const needs = IndicatorRegistry.enabledKeys(entryIndicators)
+            .map(key => IndicatorRegistry.minCandles(key, entryIndicators[key]));
+
+        return Math.max(2, ...needs);
+    }
+
+    /**
+     * Oldest first, millisecond timestamps, numeric OHLCV
+     * @private
+     */
+    _normalizeCandles(candles) {
+        return (candles || [])
+            .map(candle => {
+                let timestamp = typeof candle.timestamp === 'number' ? candle.timestamp : new Date(candle.timestamp).getTime();
+                if (timestamp < 1e12) timestamp *= 1000;  // Seconds
+
+                return {
+                    timestamp,
+                    open: parseFloat(candle.open),
+                    high: parseFloat(candle.high),
+                    low: parseFloat(candle.low),
+                    close: parseFloat(candle.close),
+                    volume: parseFloat(candle.volume)
+                };
+            })
+            .filter(candle => Number.isFinite(candle.timestamp) && Number.isFinite(candle.close))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+}
+
+module.exports = MomentumBacktestService;
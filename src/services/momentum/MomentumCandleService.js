@@ -0,0 +1,334 @@
+// Momentum Candle Service
+// Candles for momentum signals from the strategy's own exchange, backed by the local OHLCV store
+//
+// getCandles(exchange, pair, interval, limit):
+// 1. Reads the stored window (MomentumCandle) and only downloads what is missing - normally the
+//    candles since the last stored one, so repeated worker cycles do not re-fetch history
+// 2. Fills short gaps with flat zero-volume candles (no trades in the interval); a longer gap
+//    (e.g. nobody polled the exchange) ends the usable window instead of inventing history
+// 3. When the exchange's own interval history is too short (VALR builds candles from recent
+//    trades only), aggregates stored/fetched 1m candles into the interval
+// 4. Falls back to Binance (the previous universal data source) when the exchange has no
+//    candles endpoint, errors, or still cannot cover minCandles
+//
+// Only candles received from an exchange are persisted. The store is best effort: without a
+// database every request simply downloads its full window.
+
+const { logger } = require('../../utils/logger');
+const MomentumCandle = require('../../models/MomentumCandle');
+const exchangeRegistry = require('../exchanges/ExchangeRegistry');
+
+const INTERVAL_MS = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '30m': 30 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+
+const FALLBACK_SOURCE = 'binance';
+// Largest single download (Binance klines max)
+const MAX_FETCH_LIMIT = 1000;
+// Missing candles filled flat; a longer gap cuts the window
+const MAX_GAP_FILL_BARS = 5;
+// Default usable candles required before falling back to Binance (capped at the request limit)
+const DEFAULT_MIN_CANDLES = 100;
+// Stored history kept per interval: the larger of this many bars and RETENTION_MIN_MS
+const RETENTION_BARS = 2000;
+const RETENTION_MIN_MS = 7 * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+class MomentumCandleService {
+    constructor() {
+        this.lastPruneAt = 0;
+        this.storeWarned = false;
+    }
+
+    /**
+     * Candles for a pair, oldest first (the last candle may still be forming)
+     * @param {string} exchange - Strategy's exchange
+     * @param {string} pair - Trading pair (e.g. 'XRPUSDT')
+     * @param {string} interval - '1m', '5m', '15m', '30m', '1h', '4h' or '1d'
+     * @param {number} limit - Candles wanted (max 1000)
+     * @param {object} options - { credentials, minCandles }
+     * @returns {Promise<object>} { candles, source, fallback }
+     */
+    async getCandles(exchange, pair, interval = '1h', limit = 100, options = {}) {
+        const { credentials = null } = options;
+
+        if (!INTERVAL_MS[interval]) {
+            throw new Error(`Unsupported candle interval: ${interval}`);
+        }
+
+        const source = String(exchange || FALLBACK_SOURCE).toLowerCase();
+        const wanted = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_FETCH_LIMIT);
+        const minCandles = Math.min(options.minCandles || DEFAULT_MIN_CANDLES, wanted);
+
+        this._pruneIfDue();
+
+        let native = [];
+        if (source !== FALLBACK_SOURCE && exchangeRegistry.supports(source, 'fetchCandles')) {
+            try {
+                native = await this._load(source, pair, interval, wanted, minCandles, credentials);
+                if (native.length >= minCandles) {
+                    return { candles: native, source, fallback: false };
+                }
+
+                logger.info('Exchange candle history too short - falling back to Binance', {
+                    exchange: source,
+                    pair,
+                    interval,
+                    candles: native.length,
+                    minCandles
+                });
+            } catch (error) {
+                logger.warn('Exchange candles unavailable - falling back to Binance', {
+                    exchange: source,
+                    pair,
+                    interval,
+                    error: error.message
+                });
+            }
+        }
+
+        try {
+            const candles = await this._load(FALLBACK_SOURCE, pair, interval, wanted, minCandles, null);
+            return { candles, source: FALLBACK_SOURCE, fallback: source !== FALLBACK_SOURCE };
+        } catch (error) {
+            // Short native history beats nothing
+            if (native.length > 0) {
+                return { candles: native, source, fallback: false };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Aggregate candles into a larger interval (e.g. 1m → 15m)
+     * A leading bucket that starts mid-interval is dropped; the last bucket may be partial (forming)
+     * @param {Array} candles - Oldest first
+     * @param {string} interval - Target interval
+     * @returns {Array} Aggregated candles
+     */
+    aggregate(candles, interval) {
+        const intervalMs = INTERVAL_MS[interval];
+        const buckets = [];
+
+        for (const candle of candles) {
+            const bucketStart = Math.floor(candle.timestamp / intervalMs) * intervalMs;
+            const bucket = buckets[buckets.length - 1];
+
+            if (!bucket || bucket.timestamp !== bucketStart) {
+                buckets.push({
+                    timestamp: bucketStart,
+                    open: candle.open,
+                    high: candle.high,
+                    low: candle.low,
+                    close: candle.close,
+                    volume: candle.volume,
+                    complete: candle.timestamp === bucketStart
+                });
+            } else {
+                bucket.high = Math.max(bucket.high, candle.high);
+                bucket.low = Math.min(bucket.low, candle.low);
+                bucket.close = candle.close;
+                bucket.volume += candle.volume;
+            }
+        }
+
+        if (buckets.length > 0 && !buckets[0].complete) {
+            buckets.shift();
+        }
+
+        return buckets.map(({ complete, ...candle }) => candle);
+    }
+
+    /**
+     * Latest contiguous run of candles with short gaps filled flat
+     * @param {Array} candles - Oldest first, one per open time
+     * @param {number} intervalMs - Candle interval
+     * @returns {Array}
+     */
+    gapFill(candles, intervalMs) {
+        const filled = [];
+
+        for (const candle of candles) {
+            const previous = filled[filled.length - 1];
+
+            if (previous) {
+                const missing = Math.round((candle.timestamp - previous.timestamp) / intervalMs) - 1;
+
+                if (missing > MAX_GAP_FILL_BARS) {
+                    // Unknown history - keep only what follows the gap
+                    filled.length = 0;
+                } else {
+                    for (let i = 1; i <= missing; i++) {
+                        filled.push({
+                            timestamp: previous.timestamp + i * intervalMs,
+                            open: previous.close,
+                            high: previous.close,
+                            low: previous.close,
+                            close: previous.close,
+                            volume: 0
+                        });
+                    }
+                }
+            }
+
+            filled.push(candle);
+        }
+
+        return filled;
+    }
+
+    /**
+     * Candles for one source: native interval first, then 1m aggregation when history is short
+     * @private
+     */
+    async _load(source, pair, interval, limit, minCandles, credentials) {
+        const native = await this._sync(source, pair, interval, limit, credentials);
+        if (native.length >= minCandles || interval === '1m') {
+            return native;
+        }
+
+        const ratio = INTERVAL_MS[interval] / INTERVAL_MS['1m'];
+        const baseLimit = Math.min(limit * ratio, MAX_FETCH_LIMIT);
+
+        try {
+            const base = await this._sync(source, pair, '1m', baseLimit, credentials);
+            const aggregated = this.aggregate(base, interval).slice(-limit);
+            return aggregated.length > native.length ? aggregated : native;
+        } catch (error) {
+            logger.warn('1m candles unavailable for aggregation', { exchange: source, pair, interval, error: error.message });
+            return native;
+        }
+    }
+
+    /**
+     * Stored window + download of what is missing, persisted and gap-filled
+     * @private
+     */
+    async _sync(source, pair, interval, limit, credentials) {
+        const intervalMs = INTERVAL_MS[interval];
+        const currentOpen = Math.floor(Date.now() / intervalMs) * intervalMs;
+        const windowStart = currentOpen - (limit - 1) * intervalMs;
+
+        const stored = await this._readStore(source, pair, interval, windowStart);
+        const storedRun = this.gapFill(stored, intervalMs);
+        const lastStored = stored.length > 0 ? stored[stored.length - 1].timestamp : null;
+
+        // Stored run reaches back to the window start: only the tail is missing (the last stored
+        // candle is re-fetched because it may have been forming)
+        const tailOnly = storedRun.length > 0 && storedRun[0].timestamp <= windowStart + intervalMs;
+        const fetchLimit = tailOnly
+            ? Math.min(Math.floor((currentOpen - lastStored) / intervalMs) + 1, limit)
+            : limit;
+
+        const fetched = this._normalize(
+            await exchangeRegistry.get(source).fetchCandles(pair, interval, fetchLimit, credentials)
+        );
+
+        // Fetched candles refresh the tail and fill holes, but never replace older stored candles
+        // (trade-built candles are partial at the start of the trade window)
+        const byTime = new Map(stored.map(candle => [candle.timestamp, candle]));
+        const fresh = fetched.filter(candle => lastStored === null || !byTime.has(candle.timestamp) || candle.timestamp >= lastStored);
+        fresh.forEach(candle => byTime.set(candle.timestamp, candle));
+
+        await this._writeStore(source, pair, interval, fresh);
+
+        const merged = Array.from(byTime.values())
+            .filter(candle => candle.timestamp >= windowStart)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        return this.gapFill(merged, intervalMs).slice(-limit);
+    }
+
+    /**
+     * Numeric candles aligned to millisecond open times, oldest first, one per open time
+     * @private
+     */
+    _normalize(candles) {
+        const byTime = new Map();
+
+        for (const candle of candles || []) {
+            let timestamp = Number(candle.timestamp);
+            if (!Number.isFinite(timestamp)) continue;
+            if (timestamp < 1e12) timestamp *= 1000; // seconds
+
+            const normalized = {
+                timestamp,
+                open: parseFloat(candle.open),
+                high: parseFloat(candle.high),
+                low: parseFloat(candle.low),
+                close: parseFloat(candle.close),
+                volume: parseFloat(candle.volume) || 0
+            };
+
+            if ([normalized.open, normalized.high, normalized.low, normalized.close].every(Number.isFinite)) {
+                byTime.set(timestamp, normalized);
+            }
+        }
+
+        return Array.from(byTime.values()).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * @private
+     */
+    async _readStore(source, pair, interval, from) {
+        try {
+            const candles = await MomentumCandle.getRange(source, pair, interval, from);
+            this.storeWarned = false;
+            return candles;
+        } catch (error) {
+            this._warnStore('read', error);
+            return [];
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _writeStore(source, pair, interval, candles) {
+        if (candles.length === 0) return;
+
+        try {
+            await MomentumCandle.upsertMany(source, pair, interval, candles);
+        } catch (error) {
+            this._warnStore('write', error);
+        }
+    }
+
+    /**
+     * Delete history older than the retention of each interval (at most hourly, in the background)
+     * @private
+     */
+    _pruneIfDue() {
+        const now = Date.now();
+        if (now - this.lastPruneAt < PRUNE_INTERVAL_MS) return;
+        this.lastPruneAt = now;
+
+        Promise.all(Object.entries(INTERVAL_MS).map(([interval, intervalMs]) =>
+            MomentumCandle.deleteBefore(now - Math.max(RETENTION_BARS * intervalMs, RETENTION_MIN_MS), interval)
+        )).catch(error => this._warnStore('prune', error));
+    }
+
+    /**
+     * One warning until the store works again, not one per request
+     * @private
+     */
+    _warnStore(operation, error) {
+        if (this.storeWarned) return;
+        this.storeWarned = true;
+
+        logger.warn('Momentum candle store unavailable - downloading full windows', {
+            operation,
+            error: error.message
+        });
+    }
+}
+
+// Export singleton instance
+module.exports = new MomentumCandleService();
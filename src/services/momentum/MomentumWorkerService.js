@@ -0,0 +1,812 @@
+// Momentum Worker Service
+// Server-side replacement for the browser MomentumWorker / PositionMonitor / ReconciliationWorker
+//
+// Users opt in per exchange (POST /api/v1/momentum/worker/start). Each session:
+// - Evaluates every active strategy of the user on the exchange once per closed candle of
+//   the strategy's timeframe and opens positions for the strongest signals
+// - Checks exits for the user's open positions every tick (MomentumPosition.getPositionsNeedingExitCheck)
+// - Reconciles open positions against exchange balances every reconcileIntervalMs
+// Signals use candles from the session's exchange (MomentumCandleService, Binance fallback);
+// exit checks use Binance prices as the universal data source (same as the browser worker);
+// orders execute on the session's exchange.
+//
+// IMPORTANT: Credentials are held in memory only while a session runs (never persisted);
+// a server restart ends all sessions and the browser worker takes over again.
+//
+// Socket events (to the user's socket): momentum_worker_started, momentum_worker_position_opened,
+// momentum_worker_position_partial_close, momentum_worker_position_closed,
+// momentum_worker_reconciliation, momentum_worker_stopped
+
+const { logger } = require('../../utils/logger');
+const { notifyUser } = require('../../websocket/socketManager');
+const MomentumStrategy = require('../../models/MomentumStrategy');
+const MomentumPosition = require('../../models/MomentumPosition');
+const exchangeRegistry = require('../exchanges/ExchangeRegistry');
+const SignalDetectionService = require('./SignalDetectionService');
+const IndicatorService = require('./IndicatorService');
+const candleService = require('./MomentumCandleService');
+const OrderExecutionService = require('./OrderExecutionService');
+
+const { TIMEFRAME_MS } = SignalDetectionService;
+
+const MIN_TICK_INTERVAL_MS = 5000;
+const CANDLE_LIMIT = 1000;
+const MIN_CANDLES = 8;
+// Give the data source a moment to publish the closed candle
+const CANDLE_SETTLE_MS = 2000;
+// Strategies with more assets than the threshold are checked in rotating batches
+const ASSET_ROTATION_THRESHOLD = 30;
+const ASSET_BATCH_SIZE = 25;
+// A position CLOSING for longer than this is stuck (sell executed but not recorded, or sell failed)
+const STUCK_CLOSING_MS = 5 * 60 * 1000;
+// Exchange balance may sit slightly below recorded quantity (fees taken in the base asset)
+const BALANCE_TOLERANCE = 0.02;
+const DEFAULT_FEE_RATE = 0.001;
+
+const DEFAULT_CONFIG = {
+    tickIntervalMs: 15000,
+    reconcileIntervalMs: 10 * 60 * 1000
+};
+
+class MomentumWorkerService {
+    constructor() {
+        this.orderService = new OrderExecutionService();
+        // `${userId}:${exchange}` → session
+        this.sessions = new Map();
+        // `${userId}:${exchange}` → final status of the last ended session
+        this.ended = new Map();
+    }
+
+    /**
+     * Start (or restart with new settings) a user's momentum worker on an exchange
+     * @param {string|number} userId - User ID (momentum_strategies.user_id)
+     * @param {string} exchange - Exchange name
+     * @param {object} credentials - User's API credentials (kept in memory for the session only)
+     * @param {object} config - { tickIntervalMs, reconcileIntervalMs }
+     * @returns {object} Session status
+     */
+    start(userId, exchange, credentials, config = {}) {
+        const exchangeLower = exchange.toLowerCase();
+        const key = this._key(userId, exchangeLower);
+
+        if (this.sessions.has(key)) {
+            this.stop(userId, exchangeLower, 'restarted');
+        }
+
+        const session = {
+            key,
+            userId: String(userId),
+            exchange: exchangeLower,
+            credentials,
+            config: {
+                tickIntervalMs: Math.max(config.tickIntervalMs || DEFAULT_CONFIG.tickIntervalMs, MIN_TICK_INTERVAL_MS),
+                reconcileIntervalMs: Math.max(config.reconcileIntervalMs || DEFAULT_CONFIG.reconcileIntervalMs, MIN_TICK_INTERVAL_MS)
+            },
+            state: 'running',
+            startedAt: new Date().toISOString(),
+            lastTickAt: null,
+            lastReconcileAt: null,
+            lastError: null,
+            ticks: 0,
+            evaluations: 0,
+            signalsDetected: 0,
+            positionsOpened: 0,
+            positionsClosed: 0,
+            partialExits: 0,
+            mismatches: [],
+            lastBar: new Map(),         // strategyId → last evaluated bar open time
+            rotation: new Map(),        // strategyId → next asset index
+            timer: null
+        };
+
+        this.sessions.set(key, session);
+
+        logger.info('Momentum worker started', {
+            userId: session.userId,
+            exchange: exchangeLower,
+            config: session.config
+        });
+
+        this._emit(session, 'momentum_worker_started', this._publicStatus(session));
+        this._schedule(session, 0);
+
+        return this._publicStatus(session);
+    }
+
+    /**
+     * Stop a session
+     * @returns {boolean} true if a session was running
+     */
+    stop(userId, exchange, reason = 'stopped by user') {
+        const key = this._key(userId, exchange.toLowerCase());
+        const session = this.sessions.get(key);
+
+        if (!session) {
+            return false;
+        }
+
+        clearTimeout(session.timer);
+        session.state = 'stopped';
+        session.credentials = null;
+        this.sessions.delete(key);
+        this.ended.set(key, { ...this._publicStatus(session), stoppedAt: new Date().toISOString(), stopReason: reason });
+
+        logger.info('Momentum worker stopped', {
+            userId: session.userId,
+            exchange: session.exchange,
+            reason,
+            positionsOpened: session.positionsOpened,
+            positionsClosed: session.positionsClosed
+        });
+
+        this._emit(session, 'momentum_worker_stopped', { ...this._publicStatus(session), reason });
+        return true;
+    }
+
+    /**
+     * Stop every session (server shutdown)
+     */
+    stopAll() {
+        for (const session of Array.from(this.sessions.values())) {
+            this.stop(session.userId, session.exchange, 'server shutdown');
+        }
+    }
+
+    /**
+     * Status of one session (or how the last one ended), or all of a user's running sessions
+     * @returns {object|null|Array<object>}
+     */
+    getStatus(userId, exchange = null) {
+        if (exchange) {
+            const key = this._key(userId, exchange.toLowerCase());
+            const session = this.sessions.get(key);
+            return session ? this._publicStatus(session) : (this.ended.get(key) || null);
+        }
+
+        return Array.from(this.sessions.values())
+            .filter(session => session.userId === String(userId))
+            .map(session => this._publicStatus(session));
+    }
+
+    /**
+     * @private
+     */
+    _schedule(session, delayMs) {
+        session.timer = setTimeout(() => this._tick(session), delayMs);
+        session.timer.unref();
+    }
+
+    /**
+     * @private
+     */
+    _isCurrent(session) {
+        return this.sessions.get(session.key) === session;
+    }
+
+    /**
+     * Exits first (they free position slots), then entries for strategies whose candle closed,
+     * then reconciliation when due
+     * @private
+     */
+    async _tick(session) {
+        if (!this._isCurrent(session)) {
+            return;  // Stopped or replaced meanwhile
+        }
+
+        session.ticks++;
+        session.lastTickAt = new Date().toISOString();
+
+        const steps = [
+            () => this._monitorPositions(session),
+            () => this._runStrategies(session),
+            () => this._reconcileIfDue(session)
+        ];
+
+        for (const step of steps) {
+            if (!this._isCurrent(session)) {
+                return;
+            }
+
+            try {
+                await step();
+            } catch (error) {
+                session.lastError = error.message;
+                logger.error('Momentum worker step failed', {
+                    userId: session.userId,
+                    exchange: session.exchange,
+                    error: error.message
+                });
+            }
+        }
+
+        if (this._isCurrent(session)) {
+            this._schedule(session, session.config.tickIntervalMs);
+        }
+    }
+
+    // ===== EXITS =====
+
+    /**
+     * Check exit rules for the user's open positions on the exchange and close those that hit one
+     * @private
+     */
+    async _monitorPositions(session) {
+        const positions = (await MomentumPosition.getPositionsNeedingExitCheck(session.exchange))
+            .filter(position => String(position.user_id) === session.userId);
+
+        for (const position of positions) {
+            if (!this._isCurrent(session)) {
+                return;
+            }
+
+            try {
+                const exitRules = position.exit_rules || {};
+                const currentPrice = await exchangeRegistry.get('binance').fetchTicker(position.pair);
+                const exitSignal = SignalDetectionService.checkExitSignals(
+                    position,
+                    currentPrice,
+                    exitRules,
+                    await this._exitContext(session, position, exitRules)
+                );
+
+                if (exitSignal.state.changed) {
+                    await MomentumPosition.updateExitState(position.id, exitSignal.state);
+                }
+
+                if (exitSignal.shouldExit && exitSignal.partial) {
+                    await this._partialClose(session, position, exitSignal, currentPrice);
+                } else if (exitSignal.shouldExit) {
+                    await this._closePosition(session, position, exitSignal, currentPrice);
+                }
+            } catch (error) {
+                logger.error('Momentum worker failed to monitor position', {
+                    positionId: position.id,
+                    pair: position.pair,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    /**
+     * Mark CLOSING → sell → record the exit
+     * A failed sell leaves the position CLOSING so it is never sold twice; reconciliation flags it.
+     * @private
+     */
+    async _closePosition(session, position, exitSignal, currentPrice) {
+        const marked = await MomentumPosition.markAsClosing(position.id);
+        if (!marked) {
+            return;  // Closed or being closed elsewhere
+        }
+
+        const quantity = exitSignal.quantity;
+
+        logger.info('Momentum worker closing position', {
+            userId: session.userId,
+            positionId: position.id,
+            pair: position.pair,
+            reason: exitSignal.reason,
+            details: exitSignal.details,
+            currentPrice
+        });
+
+        const sellOrder = await this.orderService.executeSellOrder(
+            session.exchange,
+            position.pair,
+            quantity,
+            session.credentials
+        );
+
+        const exitPrice = sellOrder.executedPrice || currentPrice;
+        const exitQuantity = sellOrder.executedQuantity || quantity;
+        const exitFee = sellOrder.fee || (exitPrice * exitQuantity * DEFAULT_FEE_RATE);
+
+        if (exitQuantity < quantity * (1 - MomentumPosition.PARTIAL_FILL_TOLERANCE)) {
+            await this._recordPartialFill(session, position, exitSignal, sellOrder, { exitPrice, exitQuantity, exitFee, quantity });
+            return;
+        }
+
+        const closedPosition = await this._retry(() => MomentumPosition.close(position.id, {
+            exitPrice,
+            exitQuantity,
+            exitFee,
+            exitReason: exitSignal.reason,
+            exitOrderId: sellOrder.orderId
+        }));
+
+        session.positionsClosed++;
+
+        logger.info('Momentum worker closed position', {
+            userId: session.userId,
+            positionId: position.id,
+            pnlUsdt: closedPosition.exit_pnl_usdt,
+            pnlPercent: closedPosition.exit_pnl_percent
+        });
+
+        this._emit(session, 'momentum_worker_position_closed', {
+            exchange: session.exchange,
+            position: closedPosition,
+            reason: exitSignal.reason,
+            details: exitSignal.details
+        });
+    }
+
+    /**
+     * The close order filled only part of the position: book the fill as a partial exit and
+     * reopen the position so the next exit check sells the rest
+     * @private
+     */
+    async _recordPartialFill(session, position, exitSignal, sellOrder, { exitPrice, exitQuantity, exitFee, quantity }) {
+        logger.warn('Momentum worker close order partially filled - position stays open', {
+            userId: session.userId,
+            positionId: position.id,
+            pair: position.pair,
+            requested: quantity,
+            filled: exitQuantity,
+            orderId: sellOrder.orderId
+        });
+
+        const { exit } = await this._retry(() => MomentumPosition.recordPartialExit(position.id, {
+            exitPrice,
+            exitQuantity,
+            exitFee,
+            exitReason: exitSignal.reason,
+            exitOrderId: sellOrder.orderId
+        }));
+        const reopened = await this._retry(() => MomentumPosition.reopen(position.id));
+
+        session.partialExits++;
+
+        this._emit(session, 'momentum_worker_position_partial_close', {
+            exchange: session.exchange,
+            position: reopened,
+            exit,
+            details: `${exitSignal.details} (close order partially filled)`
+        });
+    }
+
+    /**
+     * Take a scaled take-profit target: claim it, sell its share, record the partial exit
+     * A failed sell gives the claim back; a partly filled one books the fill and gives the claim
+     * back too, so the next check sells what the target still owes.
+     * @private
+     */
+    async _partialClose(session, position, exitSignal, currentPrice) {
+        const claimed = await MomentumPosition.markTargetHit(position.id, exitSignal.targetIndex);
+        if (!claimed) {
+            return;  // Target already taken elsewhere
+        }
+
+        // A retried target only sells what its earlier partial fills left
+        const quantity = exitSignal.quantity - await this._targetFilled(position.id, exitSignal.targetIndex);
+
+        logger.info('Momentum worker partially closing position', {
+            userId: session.userId,
+            positionId: position.id,
+            pair: position.pair,
+            targetIndex: exitSignal.targetIndex,
+            quantity,
+            details: exitSignal.details
+        });
+
+        let sellOrder;
+        try {
+            sellOrder = await this.orderService.executeSellOrder(
+                session.exchange,
+                position.pair,
+                quantity,
+                session.credentials
+            );
+        } catch (error) {
+            // Nothing booked - hand the target back so the next check takes it again
+            await MomentumPosition.releaseTarget(position.id, exitSignal.targetIndex);
+            throw error;
+        }
+
+        const exitPrice = sellOrder.executedPrice || currentPrice;
+        const exitQuantity = sellOrder.executedQuantity || quantity;
+        const partlyFilled = exitQuantity < quantity * (1 - MomentumPosition.PARTIAL_FILL_TOLERANCE);
+
+        const { position: recorded, exit } = await this._retry(() => MomentumPosition.recordPartialExit(position.id, {
+            exitPrice,
+            exitQuantity,
+            exitFee: sellOrder.fee || (exitPrice * exitQuantity * DEFAULT_FEE_RATE),
+            exitReason: exitSignal.reason,
+            exitOrderId: sellOrder.orderId,
+            targetIndex: exitSignal.targetIndex
+        }));
+
+        let updated = recorded;
+        if (partlyFilled) {
+            logger.warn('Momentum worker target order partially filled - target stays open', {
+                userId: session.userId,
+                positionId: position.id,
+                pair: position.pair,
+                targetIndex: exitSignal.targetIndex,
+                requested: quantity,
+                filled: exitQuantity,
+                orderId: sellOrder.orderId
+            });
+            updated = (await this._retry(() => MomentumPosition.releaseTarget(position.id, exitSignal.targetIndex))) || recorded;
+        }
+
+        session.partialExits++;
+
+        this._emit(session, 'momentum_worker_position_partial_close', {
+            exchange: session.exchange,
+            position: updated,
+            exit,
+            details: partlyFilled ? `${exitSignal.details} (target order partially filled)` : exitSignal.details
+        });
+    }
+
+    /**
+     * Quantity already sold toward a take-profit target (by earlier partly filled orders)
+     * @private
+     */
+    async _targetFilled(positionId, targetIndex) {
+        const exits = await MomentumPosition.getPartialExits(positionId);
+
+        return exits
+            .filter(exit => exit.target_index !== null && parseInt(exit.target_index) === targetIndex)
+            .reduce((sum, exit) => sum + parseFloat(exit.exit_quantity), 0);
+    }
+
+    /**
+     * ATR for ATR-based trailing stops (on the strategy's timeframe)
+     * @private
+     */
+    async _exitContext(session, position, exitRules) {
+        const { trailingStop } = exitRules;
+        if (!trailingStop || !trailingStop.enabled || trailingStop.type !== 'atr') {
+            return {};
+        }
+
+        const timeframe = TIMEFRAME_MS[position.timeframe] ? position.timeframe : '5m';
+        const period = trailingStop.atrPeriod || 14;
+        const { candles } = await candleService.getCandles(position.exchange, position.pair, timeframe, Math.max(100, period * 4), {
+            credentials: session.credentials,
+            minCandles: period + 1
+        });
+        const closeTime = Date.now() - TIMEFRAME_MS[timeframe];
+
+        return { atr: IndicatorService.calculateATR(candles.filter(candle => candle.timestamp <= closeTime), period) };
+    }
+
+    // ===== ENTRIES =====
+
+    /**
+     * Evaluate each active strategy once per closed candle of its timeframe
+     * @private
+     */
+    async _runStrategies(session) {
+        const strategies = await MomentumStrategy.getActiveByUserAndExchange(session.userId, session.exchange);
+        const now = Date.now();
+
+        for (const strategy of strategies) {
+            if (!this._isCurrent(session)) {
+                return;
+            }
+
+            const timeframe = TIMEFRAME_MS[strategy.timeframe] ? strategy.timeframe : '5m';
+            const barOpen = Math.floor(now / TIMEFRAME_MS[timeframe]) * TIMEFRAME_MS[timeframe];
+
+            if (session.lastBar.get(strategy.id) === barOpen || now - barOpen < CANDLE_SETTLE_MS) {
+                continue;
+            }
+            session.lastBar.set(strategy.id, barOpen);
+
+            try {
+                await this._evaluateStrategy(session, strategy, timeframe);
+            } catch (error) {
+                logger.error('Momentum worker failed to evaluate strategy', {
+                    strategyId: strategy.id,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _evaluateStrategy(session, strategy, timeframe) {
+        session.evaluations++;
+
+        if (!(await MomentumStrategy.canOpenPosition(strategy.id))) {
+            return;
+        }
+
+        const signals = [];
+        for (const asset of this._assetBatch(session, strategy)) {
+            const signal = await this._checkAssetSignal(session, strategy, asset, timeframe);
+            if (signal) {
+                signals.push(signal);
+            }
+        }
+
+        session.signalsDetected += signals.length;
+
+        // Strongest signals first (share of enabled indicators triggered), then by asset
+        signals.sort((a, b) => {
+            const strength = result => result.triggeredCount / result.totalEnabled;
+            return strength(b.result) - strength(a.result) || a.asset.localeCompare(b.asset);
+        });
+
+        for (const signal of signals) {
+            if (!this._isCurrent(session)) {
+                return;
+            }
+
+            const opened = await this._openPosition(session, strategy, signal);
+            if (opened && !(await MomentumStrategy.canOpenPosition(strategy.id))) {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Entry signal for one asset on closed candles, or null
+     * @private
+     */
+    async _checkAssetSignal(session, strategy, asset, timeframe) {
+        const pair = `${asset}USDT`;
+
+        try {
+            const { candles } = await candleService.getCandles(strategy.exchange, pair, timeframe, CANDLE_LIMIT, {
+                credentials: session.credentials
+            });
+            const closeTime = Date.now() - TIMEFRAME_MS[timeframe];
+            const closed = (candles || []).filter(candle => candle.timestamp <= closeTime);
+
+            if (closed.length < MIN_CANDLES) {
+                return null;
+            }
+
+            const result = await SignalDetectionService.checkEntrySignals(closed, strategy, {
+                confirmationCandles: await this._confirmationCandles(session, strategy, pair)
+            });
+            return result.shouldEnter ? { asset, pair, result, price: closed[closed.length - 1].close } : null;
+        } catch (error) {
+            logger.warn('Momentum worker signal check failed', {
+                strategyId: strategy.id,
+                pair,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Higher-timeframe candles for the strategy's entry confirmation (null when not configured)
+     * @private
+     */
+    async _confirmationCandles(session, strategy, pair) {
+        const confirmation = SignalDetectionService.getConfirmation(strategy);
+        if (!confirmation) {
+            return null;
+        }
+
+        const { candles } = await candleService.getCandles(strategy.exchange, pair, confirmation.timeframe, confirmation.candleLimit, {
+            credentials: session.credentials
+        });
+        return candles;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<boolean>} true if a position was opened
+     */
+    async _openPosition(session, strategy, signal) {
+        const amountUSDT = parseFloat(strategy.max_trade_amount);
+
+        try {
+            const buyOrder = await this.orderService.executeBuyOrder(
+                session.exchange,
+                signal.pair,
+                amountUSDT,
+                session.credentials
+            );
+
+            const entryValueUsdt = buyOrder.executedValue || amountUSDT;
+            const entryPrice = buyOrder.executedPrice || signal.price;
+
+            const position = await this._retry(() => MomentumPosition.create({
+                userId: session.userId,
+                strategyId: strategy.id,
+                exchange: session.exchange,
+                asset: signal.asset,
+                pair: signal.pair,
+                entryPrice,
+                entryQuantity: buyOrder.executedQuantity || (entryValueUsdt / entryPrice),
+                entryValueUsdt,
+                entryFee: buyOrder.fee || (entryValueUsdt * DEFAULT_FEE_RATE),
+                entrySignals: signal.result.triggeredIndicators,
+                entryOrderId: buyOrder.orderId
+            }));
+
+            session.positionsOpened++;
+
+            logger.info('Momentum worker opened position', {
+                userId: session.userId,
+                strategyId: strategy.id,
+                positionId: position.id,
+                pair: signal.pair,
+                entryPrice: position.entry_price
+            });
+
+            this._emit(session, 'momentum_worker_position_opened', {
+                exchange: session.exchange,
+                strategyId: strategy.id,
+                position,
+                triggeredIndicators: signal.result.triggeredIndicators
+            });
+            return true;
+
+        } catch (error) {
+            session.lastError = error.message;
+            logger.error('Momentum worker failed to open position', {
+                userId: session.userId,
+                strategyId: strategy.id,
+                pair: signal.pair,
+                error: error.message
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Assets to check this bar (rotates through large asset lists)
+     * @private
+     */
+    _assetBatch(session, strategy) {
+        const { assets } = strategy;
+
+        if (assets.length <= ASSET_ROTATION_THRESHOLD) {
+            return assets;
+        }
+
+        const start = (session.rotation.get(strategy.id) || 0) % assets.length;
+        const end = Math.min(start + ASSET_BATCH_SIZE, assets.length);
+        session.rotation.set(strategy.id, end >= assets.length ? 0 : end);
+
+        return assets.slice(start, end);
+    }
+
+    // ===== RECONCILIATION =====
+
+    /**
+     * @private
+     */
+    async _reconcileIfDue(session) {
+        const last = session.lastReconcileAt ? new Date(session.lastReconcileAt).getTime() : 0;
+        if (Date.now() - last >= session.config.reconcileIntervalMs) {
+            await this._reconcile(session);
+        }
+    }
+
+    /**
+     * Compare OPEN/CLOSING positions with exchange balances
+     * Mismatches are reported, never corrected automatically:
+     * - stuck_closing: CLOSING for longer than STUCK_CLOSING_MS
+     * - balance_short: exchange holds less of the asset than the recorded positions
+     * @private
+     */
+    async _reconcile(session) {
+        session.lastReconcileAt = new Date().toISOString();
+
+        const positions = await MomentumPosition.getUnsettledByUserAndExchange(session.userId, session.exchange);
+        const mismatches = [];
+
+        for (const position of positions) {
+            const closingFor = Date.now() - new Date(position.updated_at).getTime();
+            if (position.status === 'CLOSING' && closingFor > STUCK_CLOSING_MS) {
+                mismatches.push({
+                    type: 'stuck_closing',
+                    positionId: position.id,
+                    pair: position.pair,
+                    closingMinutes: Math.round(closingFor / 60000)
+                });
+            }
+        }
+
+        if (positions.length > 0) {
+            const balances = await this.orderService.getBalances(session.exchange, session.credentials);
+            const expected = {};
+
+            for (const position of positions) {
+                expected[position.asset] = expected[position.asset] || { quantity: 0, positionIds: [] };
+                expected[position.asset].quantity += parseFloat(position.remaining_quantity ?? position.entry_quantity);
+                expected[position.asset].positionIds.push(position.id);
+            }
+
+            for (const [asset, { quantity, positionIds }] of Object.entries(expected)) {
+                const balance = balances.find(b => (b.currency || '').toUpperCase() === asset.toUpperCase());
+                const held = balance ? (balance.total || (balance.available || 0) + (balance.reserved || 0)) : 0;
+
+                if (held < quantity * (1 - BALANCE_TOLERANCE)) {
+                    mismatches.push({ type: 'balance_short', asset, expected: quantity, held, positionIds });
+                }
+            }
+        }
+
+        session.mismatches = mismatches;
+
+        if (mismatches.length > 0) {
+            logger.warn('Momentum worker reconciliation found mismatches', {
+                userId: session.userId,
+                exchange: session.exchange,
+                mismatches
+            });
+        }
+
+        this._emit(session, 'momentum_worker_reconciliation', {
+            exchange: session.exchange,
+            positionsChecked: positions.length,
+            mismatches
+        });
+
+        return mismatches;
+    }
+
+    // ===== HELPERS =====
+
+    /**
+     * Retry a database write (the exchange order has already executed)
+     * @private
+     */
+    async _retry(operation, attempts = 3, baseDelayMs = 2000) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await operation();
+            } catch (error) {
+                if (attempt >= attempts) {
+                    logger.error('RECONCILIATION NEEDED: order executed but database not updated', {
+                        error: error.message
+                    });
+                    throw error;
+                }
+                await new Promise(resolve => setTimeout(resolve, baseDelayMs * Math.pow(2, attempt - 1)));
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _publicStatus(session) {
+        return {
+            exchange: session.exchange,
+            state: session.state,
+            config: session.config,
+            startedAt: session.startedAt,
+            lastTickAt: session.lastTickAt,
+            lastReconcileAt: session.lastReconcileAt,
+            lastError: session.lastError,
+            ticks: session.ticks,
+            evaluations: session.evaluations,
+            signalsDetected: session.signalsDetected,
+            positionsOpened: session.positionsOpened,
+            positionsClosed: session.positionsClosed,
+            partialExits: session.partialExits,
+            mismatches: session.mismatches
+        };
+    }
+
+    /**
+     * @private
+     */
+    _emit(session, event, data) {
+        notifyUser(session.userId, event, { ...data, timestamp: new Date().toISOString() });
+    }
+
+    /**
+     * @private
+     */
+    _key(userId, exchange) {
+        return `${userId}:${exchange}`;
+    }
+}
+
+// Export singleton instance (sessions are process-wide)
+module.exports = new MomentumWorkerService();
@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class OKXMarketDataService {
     constructor() {
         this.baseUrl = 'https://www.okx.com';
 
-        // Rate limiting: OKX has generous rate limits
-        // Public: 20 requests per 2 seconds per IP
-        // Private: 60 requests per 2 seconds
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // OKX-specific: Comprehensive USDT pairs list
         // Major cryptocurrencies, DeFi tokens, Layer 1/2, meme coins
         this.supportedPairs = [
@@ -94,22 +89,6 @@ class OKXMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -120,9 +99,6 @@ class OKXMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to OKX format (BTCUSDT → BTC-USDT)
             const okxPair = this._convertPairToOKX(pair);
 
@@ -136,7 +112,7 @@ class OKXMarketDataService {
             logger.info('Fetching OKX candles', { pair: okxPair, interval, limit });
 
             // Candles endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -186,9 +162,6 @@ class OKXMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to OKX format (BTCUSDT → BTC-USDT)
             const okxPair = this._convertPairToOKX(pair);
 
@@ -199,7 +172,7 @@ class OKXMarketDataService {
             logger.debug('Fetching OKX current price', { pair: okxPair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -242,9 +215,6 @@ class OKXMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test private balance endpoint
             const timestamp = new Date().toISOString();
             const method = 'GET';
@@ -263,7 +233,7 @@ class OKXMarketDataService {
 
             const url = `${this.baseUrl}${requestPath}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: method,
                 headers: {
                     'Accept': 'application/json',
@@ -3,7 +3,9 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 const ExchangeDebugger = require('../../utils/exchangeDebugger');
+const exchangeRegistry = require('../exchanges/ExchangeRegistry');
 
 class OrderExecutionService {
     constructor() {
@@ -18,33 +20,12 @@ class OrderExecutionService {
             }
         };
 
-        // Rate limiting: Max 5 requests per second (200ms between requests)
-        this.minRequestInterval = 200; // milliseconds
-        this.lastRequestTime = 0;
-
         // Trading rules cache: Stores LOT_SIZE filters and other trading pair rules
         // Prevents repeated API calls for same pair
         // Format: { 'binance:XRPUSDT': { stepSize: 0.1, minQty: 0.1, maxQty: 90000000 }, ... }
         this.tradingRulesCache = new Map();
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * Prevents hitting VALR's rate limits
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Execute fetch with retry logic and timeout
      * Handles network failures, timeouts, and transient errors
@@ -77,7 +58,7 @@ class OrderExecutionService {
                     maxRetries
                 });
 
-                const response = await fetch(url, fetchOptions);
+                const response = await requestBudget.fetch(url, fetchOptions);
                 clearTimeout(timeoutId);
 
                 // Handle rate limit (429) with exponential backoff
@@ -228,7 +209,7 @@ class OrderExecutionService {
 
         try {
             const url = `https://api.binance.com/api/v3/exchangeInfo?symbol=${pair}`;
-            const response = await fetch(url);
+            const response = await requestBudget.fetch(url);
             if (!response.ok) throw new Error(`Binance exchangeInfo failed: ${response.status}`);
 
             const data = await response.json();
@@ -263,7 +244,7 @@ class OrderExecutionService {
 
         try {
             const url = `https://api.bybit.com/v5/market/instruments-info?category=spot&symbol=${pair}`;
-            const response = await fetch(url);
+            const response = await requestBudget.fetch(url);
             if (!response.ok) throw new Error(`BYBIT instrumentsInfo failed: ${response.status}`);
 
             const data = await response.json();
@@ -298,7 +279,7 @@ class OrderExecutionService {
 
         try {
             const url = `https://www.okx.com/api/v5/public/instruments?instType=SPOT&instId=${pair}`;
-            const response = await fetch(url);
+            const response = await requestBudget.fetch(url);
             if (!response.ok) throw new Error(`OKX instruments failed: ${response.status}`);
 
             const data = await response.json();
@@ -332,7 +313,7 @@ class OrderExecutionService {
 
         try {
             const url = `https://api.mexc.com/api/v3/exchangeInfo?symbol=${pair}`;
-            const response = await fetch(url);
+            const response = await requestBudget.fetch(url);
             if (!response.ok) throw new Error(`MEXC exchangeInfo failed: ${response.status}`);
 
             const data = await response.json();
@@ -369,7 +350,7 @@ class OrderExecutionService {
             // KuCoin uses hyphen format (XRP-USDT)
             const kucoinPair = pair.replace('USDT', '-USDT');
             const url = `https://api.kucoin.com/api/v1/symbols/${kucoinPair}`;
-            const response = await fetch(url);
+            const response = await requestBudget.fetch(url);
             if (!response.ok) throw new Error(`KuCoin symbols failed: ${response.status}`);
 
             const data = await response.json();
@@ -405,7 +386,7 @@ class OrderExecutionService {
             // Gate.io uses underscore format (XRP_USDT)
             const gateioPair = pair.replace('USDT', '_USDT');
             const url = `https://api.gateio.ws/api/v4/spot/currency_pairs/${gateioPair}`;
-            const response = await fetch(url);
+            const response = await requestBudget.fetch(url);
             if (!response.ok) throw new Error(`Gate.io currency_pairs failed: ${response.status}`);
 
             const data = await response.json();
@@ -571,7 +552,7 @@ class OrderExecutionService {
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT')
      * @param {number} amountUSDT - Amount in USDT to spend
      * @param {object} credentials - { apiKey, apiSecret }
-     * @returns {Promise<object>} Order result { orderId, executedPrice, executedQuantity, fee }
+     * @returns {Promise<object>} Order result { orderId, executedPrice, executedQuantity, executedValue, fee, fillSource }
      */
     async executeBuyOrder(exchange, pair, amountUSDT, credentials) {
         // Validate order parameters
@@ -579,6 +560,16 @@ class OrderExecutionService {
 
         // Check USDT balance (best-effort, won't block if check fails)
         await this._checkBalance(exchange, 'USDT', amountUSDT, credentials);
+
+        const order = await this._placeBuyOrder(exchange, pair, amountUSDT, credentials);
+        return await this._confirmFill(exchange, pair, order, credentials);
+    }
+
+    /**
+     * Place a market BUY order on the exchange (execution details as the exchange's executor reports them)
+     * @private
+     */
+    async _placeBuyOrder(exchange, pair, amountUSDT, credentials) {
         try {
             const exchangeLower = exchange.toLowerCase();
 
@@ -643,9 +634,18 @@ class OrderExecutionService {
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT')
      * @param {number} quantity - Quantity of asset to sell
      * @param {object} credentials - { apiKey, apiSecret }
-     * @returns {Promise<object>} Order result { orderId, executedPrice, executedValue, fee }
+     * @returns {Promise<object>} Order result { orderId, executedPrice, executedQuantity, executedValue, fee, fillSource }
      */
     async executeSellOrder(exchange, pair, quantity, credentials) {
+        const order = await this._placeSellOrder(exchange, pair, quantity, credentials);
+        return await this._confirmFill(exchange, pair, order, credentials);
+    }
+
+    /**
+     * Place a market SELL order on the exchange (execution details as the exchange's executor reports them)
+     * @private
+     */
+    async _placeSellOrder(exchange, pair, quantity, credentials) {
         try {
             const exchangeLower = exchange.toLowerCase();
 
@@ -704,21 +704,108 @@ class OrderExecutionService {
         }
     }
 
+    /**
+     * Replace an order's executor-reported fill with what the exchange's order status says actually
+     * filled. Executors fall back to estimates (limit-order fallbacks, requested quantities), and a
+     * market order can fill partially, so positions are recorded from the order status whenever the
+     * exchange has one. The fee is kept from the executor (status fees come in mixed currencies).
+     * Best effort: without an order status, or when the lookup fails, the executor's values stand.
+     * @private
+     * @param {string} exchange - Exchange name
+     * @param {string} pair - Trading pair
+     * @param {object} order - Executor result { orderId, executedPrice, executedQuantity, executedValue, fee }
+     * @param {object} credentials - { apiKey, apiSecret }
+     * @returns {Promise<object>} Order result with fillSource 'order_status' or 'executor'
+     */
+    async _confirmFill(exchange, pair, order, credentials) {
+        const exchangeLower = exchange.toLowerCase();
+        const hasOrderStatus = exchangeLower === 'luno' || exchangeLower === 'chainex' ||
+            exchangeRegistry.supports(exchangeLower, 'getOrderStatus');
+
+        if (!order || !order.orderId || !hasOrderStatus) {
+            return { ...order, fillSource: 'executor' };
+        }
+
+        try {
+            const fill = this._parseFill(await this.getOrderStatus(exchange, order.orderId, credentials, pair));
+
+            if (!(fill.quantity > 0) || !(fill.price > 0)) {
+                // Not filled yet (or nothing reported) - keep the executor's values
+                return { ...order, fillSource: 'executor' };
+            }
+
+            const reportedQuantity = parseFloat(order.executedQuantity || 0);
+            if (reportedQuantity > 0 && Math.abs(fill.quantity - reportedQuantity) / reportedQuantity > 0.001) {
+                logger.info('Order fill differs from executor report - using order status', {
+                    exchange,
+                    pair,
+                    orderId: order.orderId,
+                    reportedQuantity,
+                    filledQuantity: fill.quantity,
+                    orderStatus: fill.status
+                });
+            }
+
+            return {
+                ...order,
+                executedPrice: fill.price,
+                executedQuantity: fill.quantity,
+                executedValue: fill.value,
+                orderStatus: fill.status,
+                fillSource: 'order_status'
+            };
+
+        } catch (error) {
+            logger.warn('Order fill confirmation failed - using executor values', {
+                exchange,
+                pair,
+                orderId: order.orderId,
+                error: error.message
+            });
+            return { ...order, fillSource: 'executor' };
+        }
+    }
+
+    /**
+     * Filled quantity / average price / quote value from any getOrderStatus shape
+     * (Luno and ChainEX report base / counter amounts, the exchange adapters executedQuantity / executedPrice)
+     * @private
+     * @returns {object} { quantity, price, value, status }
+     */
+    _parseFill(orderStatus) {
+        if (orderStatus.baseAmount !== undefined) {
+            const quantity = parseFloat(orderStatus.baseAmount || 0);
+            const value = parseFloat(orderStatus.counterAmount || 0);
+            return {
+                quantity,
+                price: quantity > 0 ? value / quantity : 0,
+                value,
+                status: orderStatus.status
+            };
+        }
+
+        const quantity = parseFloat(orderStatus.executedQuantity || 0);
+        const price = parseFloat(orderStatus.executedPrice || 0);
+        return {
+            quantity,
+            price,
+            value: quantity * price,
+            status: orderStatus.status
+        };
+    }
+
     /**
      * Get order status
      * @param {string} exchange - Exchange name
      * @param {string} orderId - Order ID
      * @param {object} credentials - { apiKey, apiSecret }
+     * @param {string} pair - Trading pair (required by some exchanges, e.g. Binance)
      * @returns {Promise<object>} Order status
      */
-    async getOrderStatus(exchange, orderId, credentials) {
+    async getOrderStatus(exchange, orderId, credentials, pair = null) {
         try {
             const exchangeLower = exchange.toLowerCase();
 
-            if (exchangeLower === 'valr') {
-                return await this._getValrOrderStatus(orderId, credentials);
-            }
-
             if (exchangeLower === 'luno') {
                 return await this._getLunoOrderStatus(orderId, credentials);
             }
@@ -727,6 +814,11 @@ class OrderExecutionService {
                 return await this._getChainEXOrderStatus(orderId, credentials);
             }
 
+            // Everything else goes through the shared exchange adapter
+            if (exchangeRegistry.supports(exchangeLower, 'getOrderStatus')) {
+                return await exchangeRegistry.get(exchangeLower).getOrderStatus(orderId, pair, credentials);
+            }
+
             throw new Error(`Exchange not supported: ${exchange}`);
 
         } catch (error) {
@@ -752,7 +844,7 @@ class OrderExecutionService {
             // Route to appropriate exchange balance method
             switch (exchangeLower) {
                 case 'valr':
-                    return await this._getValrBalances(credentials);
+                    return await exchangeRegistry.get('valr').fetchBalances(credentials);
                 case 'luno':
                     return await this._getLunoBalances(credentials);
                 case 'chainex':
@@ -798,6 +890,9 @@ class OrderExecutionService {
                 case 'altcointrader':
                     return await this._getAltCoinTraderBalances(credentials);
                 default:
+                    if (exchangeRegistry.supports(exchangeLower, 'fetchBalances')) {
+                        return await exchangeRegistry.get(exchangeLower).fetchBalances(credentials);
+                    }
                     throw new Error(`Exchange not supported: ${exchange}`);
             }
 
@@ -826,9 +921,6 @@ class OrderExecutionService {
                     await new Promise(resolve => setTimeout(resolve, 1000));
                 }
 
-                // Apply rate limiting
-                await this._rateLimitDelay();
-
                 // VALR uses specific endpoint format for order history
                 const path = `/v1/orders/history/summary/orderid/${orderId}`;
 
@@ -935,9 +1027,6 @@ class OrderExecutionService {
      */
     async _executeValrBuy(pair, amountUSDT, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const config = this.exchangeConfigs.valr;
             const path = config.endpoints.marketOrder;
 
@@ -1050,14 +1139,11 @@ class OrderExecutionService {
         let wasAdjusted = false;
 
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // ===== STEP 1: CHECK AVAILABLE BALANCE AND ADJUST QUANTITY =====
             logger.info('🔍 Checking VALR balance before SELL order', { pair, requestedQuantity: quantity });
 
             try {
-                const balances = await this._getValrBalances(credentials);
+                const balances = await exchangeRegistry.get('valr').fetchBalances(credentials);
                 const baseAsset = pair.replace('USDT', '').replace('ZAR', ''); // Extract XRP from XRPUSDT
                 const assetBalance = balances.find(b => b.currency === baseAsset);
 
@@ -1288,109 +1374,6 @@ class OrderExecutionService {
         }
     }
 
-    /**
-     * Get VALR order status
-     * @private
-     */
-    async _getValrOrderStatus(orderId, credentials) {
-        try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
-            const config = this.exchangeConfigs.valr;
-            const path = `/v1/orders/${orderId}`;
-            const url = `${config.baseUrl}${path}`;
-
-            const headers = this._createValrAuth(
-                credentials.apiKey,
-                credentials.apiSecret,
-                'GET',
-                path,
-                null
-            );
-
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: headers
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`VALR order status failed: ${response.status} - ${errorText}`);
-            }
-
-            const data = await response.json();
-
-            return {
-                orderId: data.id || data.orderId,
-                status: data.orderStatus || data.status,
-                side: data.side,
-                pair: data.currencyPair,
-                executedQuantity: parseFloat(data.originalQuantity || 0),
-                executedPrice: parseFloat(data.averagePrice || 0),
-                fee: parseFloat(data.totalFee || 0),
-                timestamp: data.createdAt,
-                rawResponse: data
-            };
-
-        } catch (error) {
-            logger.error('VALR order status check failed', {
-                orderId,
-                error: error.message
-            });
-            throw error;
-        }
-    }
-
-    /**
-     * Get VALR account balances
-     * @private
-     */
-    async _getValrBalances(credentials) {
-        try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
-            const config = this.exchangeConfigs.valr;
-            const path = config.endpoints.balances;
-            const url = `${config.baseUrl}${path}`;
-
-            const headers = this._createValrAuth(
-                credentials.apiKey,
-                credentials.apiSecret,
-                'GET',
-                path,
-                null
-            );
-
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: headers
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`VALR balances fetch failed: ${response.status} - ${errorText}`);
-            }
-
-            const data = await response.json();
-
-            // Transform VALR balances to standard format
-            return data.map(balance => ({
-                currency: balance.currency,
-                available: parseFloat(balance.available || 0),
-                reserved: parseFloat(balance.reserved || 0),
-                total: parseFloat(balance.total || 0)
-            }));
-
-        } catch (error) {
-            logger.error('VALR balances fetch failed', {
-                error: error.message
-            });
-            throw error;
-        }
-    }
-
     /**
      * Create VALR authentication headers
      * @private
@@ -1420,9 +1403,6 @@ class OrderExecutionService {
      */
     async _executeLunoBuy(pair, amountUSDT, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert BTC to XBT for Luno
             const lunoPair = pair.replace('BTC', 'XBT');
 
@@ -1446,7 +1426,7 @@ class OrderExecutionService {
                 payload
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: this._createLunoAuth(credentials.apiKey, credentials.apiSecret),
                 body: JSON.stringify(payload)
@@ -1515,9 +1495,6 @@ class OrderExecutionService {
         let wasAdjusted = false;
 
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // ===== UNIVERSAL FIX: Apply LOT_SIZE rounding =====
             const prepared = await this._prepareSellQuantity('luno', pair, quantity);
             adjustedQuantity = prepared.quantity;
@@ -1638,7 +1615,7 @@ class OrderExecutionService {
                 payload
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: this._createLunoAuth(credentials.apiKey, credentials.apiSecret),
                 body: JSON.stringify(payload)
@@ -1729,9 +1706,6 @@ class OrderExecutionService {
      */
     async _getLunoBalances(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const config = {
                 baseUrl: 'https://api.luno.com',
                 endpoint: '/api/1/balance'
@@ -1739,7 +1713,7 @@ class OrderExecutionService {
 
             const url = `${config.baseUrl}${config.endpoint}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: this._createLunoAuth(credentials.apiKey, credentials.apiSecret)
             });
@@ -1774,9 +1748,6 @@ class OrderExecutionService {
      */
     async _getLunoOrderStatus(orderId, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const config = {
                 baseUrl: 'https://api.luno.com',
                 endpoint: `/api/1/orders/${orderId}`
@@ -1784,7 +1755,7 @@ class OrderExecutionService {
 
             const url = `${config.baseUrl}${config.endpoint}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: this._createLunoAuth(credentials.apiKey, credentials.apiSecret)
             });
@@ -1826,15 +1797,12 @@ class OrderExecutionService {
      */
     async _getLunoTickerPrice(pair) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert BTC to XBT for Luno
             const lunoPair = pair.replace('BTC', 'XBT');
 
             const url = `https://api.luno.com/api/1/ticker?pair=${lunoPair}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET'
             });
 
@@ -1866,9 +1834,6 @@ class OrderExecutionService {
      */
     async _getChainEXBalances(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const url = 'https://api.chainex.io/wallet/balances';
 
             // ChainEX uses query string authentication
@@ -1894,7 +1859,7 @@ class OrderExecutionService {
 
             logger.info('Fetching ChainEX balances');
 
-            const response = await fetch(authenticatedUrl, {
+            const response = await requestBudget.fetch(authenticatedUrl, {
                 method: 'GET'
             });
 
@@ -1932,9 +1897,6 @@ class OrderExecutionService {
      */
     async _getChainEXOrderStatus(orderId, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const url = 'https://api.chainex.io/trading/order';
 
             // ChainEX uses query string authentication
@@ -1959,7 +1921,7 @@ class OrderExecutionService {
 
             const authenticatedUrl = `${url}?${params.toString()}`;
 
-            const response = await fetch(authenticatedUrl, {
+            const response = await requestBudget.fetch(authenticatedUrl, {
                 method: 'GET'
             });
 
@@ -2040,7 +2002,7 @@ class OrderExecutionService {
                 payload
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: this._createLunoAuth(credentials.apiKey, credentials.apiSecret),
                 body: JSON.stringify(payload)
@@ -2130,7 +2092,7 @@ class OrderExecutionService {
                 payload
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: this._createLunoAuth(credentials.apiKey, credentials.apiSecret),
                 body: JSON.stringify(payload)
@@ -2190,9 +2152,6 @@ class OrderExecutionService {
         const debug = new ExchangeDebugger('chainex');
 
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const config = {
                 baseUrl: 'https://api.chainex.io',
                 endpoint: '/trading/order'
@@ -2234,7 +2193,7 @@ class OrderExecutionService {
                 payload: payload
             });
 
-            const response = await fetch(`${config.baseUrl}${config.endpoint}`, {
+            const response = await requestBudget.fetch(`${config.baseUrl}${config.endpoint}`, {
                 method: 'POST',
                 headers: {
                     'X-API-KEY': credentials.apiKey,
@@ -2305,9 +2264,6 @@ class OrderExecutionService {
         let wasAdjusted = false;
 
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // ===== UNIVERSAL FIX: Apply LOT_SIZE rounding =====
             const prepared = await this._prepareSellQuantity('chainex', pair, quantity);
             adjustedQuantity = prepared.quantity;
@@ -2446,7 +2402,7 @@ class OrderExecutionService {
                 payload: payload
             });
 
-            const response = await fetch(`${config.baseUrl}${config.endpoint}`, {
+            const response = await requestBudget.fetch(`${config.baseUrl}${config.endpoint}`, {
                 method: 'POST',
                 headers: {
                     'X-API-KEY': credentials.apiKey,
@@ -2582,9 +2538,6 @@ class OrderExecutionService {
                     await new Promise(resolve => setTimeout(resolve, 1000));
                 }
 
-                // Apply rate limiting
-                await this._rateLimitDelay();
-
                 const nonce = Date.now() * 1000;
                 const orderParams = {
                     nonce: nonce,
@@ -2609,7 +2562,7 @@ class OrderExecutionService {
                     maxAttempts
                 });
 
-                const response = await fetch(url, {
+                const response = await requestBudget.fetch(url, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/x-www-form-urlencoded',
@@ -2687,9 +2640,6 @@ class OrderExecutionService {
         const debug = new ExchangeDebugger('kraken');
 
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const config = {
                 baseUrl: 'https://api.kraken.com',
                 endpoint: '/0/private/AddOrder'
@@ -2751,7 +2701,7 @@ class OrderExecutionService {
                 payload: orderParams
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded',
@@ -2848,9 +2798,6 @@ class OrderExecutionService {
         let wasAdjusted = false;
 
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // ===== UNIVERSAL FIX: Apply LOT_SIZE rounding =====
             const prepared = await this._prepareSellQuantity('kraken', pair, quantity);
             adjustedQuantity = prepared.quantity;
@@ -3001,7 +2948,7 @@ class OrderExecutionService {
                 payload: orderParams
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded',
@@ -3105,9 +3052,6 @@ class OrderExecutionService {
      */
     async _getKrakenBalances(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const config = {
                 baseUrl: 'https://api.kraken.com',
                 endpoint: '/0/private/Balance'
@@ -3128,7 +3072,7 @@ class OrderExecutionService {
 
             logger.info('Fetching Kraken balances');
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded',
@@ -3234,9 +3178,6 @@ class OrderExecutionService {
         const debug = new ExchangeDebugger('binance');
 
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const config = {
                 baseUrl: 'https://api.binance.com',
                 endpoint: '/api/v3/order'
@@ -3287,7 +3228,7 @@ class OrderExecutionService {
                 queryParams: orderParams
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -3349,9 +3290,6 @@ class OrderExecutionService {
      */
     async _getBinanceBalances(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const config = {
                 baseUrl: 'https://api.binance.com',
                 endpoint: '/api/v3/account'
@@ -3406,9 +3344,6 @@ class OrderExecutionService {
         let wasAdjusted = false;
 
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // ===== UNIVERSAL FIX: Apply LOT_SIZE rounding FIRST =====
             logger.info('⚙️ Applying LOT_SIZE compliance for Binance', { pair, originalQuantity: quantity });
             const prepared = await this._prepareSellQuantity('binance', pair, quantity);
@@ -3567,7 +3502,7 @@ class OrderExecutionService {
                 queryParams: orderParams
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -3646,9 +3581,6 @@ class OrderExecutionService {
      */
     async _executeBYBITBuy(pair, amountUSDT, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const config = {
                 baseUrl: 'https://api.bybit.com',
                 endpoint: '/v5/order/create'
@@ -3686,7 +3618,7 @@ class OrderExecutionService {
                 orderData
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -3743,9 +3675,6 @@ class OrderExecutionService {
      */
     async _getBYBITBalances(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const config = {
                 baseUrl: 'https://api.bybit.com',
                 endpoint: '/v5/account/wallet-balance'
@@ -3816,9 +3745,6 @@ class OrderExecutionService {
         let wasAdjusted = false;
 
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // ===== UNIVERSAL FIX: Apply LOT_SIZE rounding =====
             const prepared = await this._prepareSellQuantity('bybit', pair, quantity);
             adjustedQuantity = prepared.quantity;
@@ -3952,7 +3878,7 @@ class OrderExecutionService {
                 orderData
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -4049,9 +3975,6 @@ class OrderExecutionService {
      */
     async _executeGateioBuy(pair, amountUSDT, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const config = {
                 baseUrl: 'https://api.gateio.ws',
                 endpoint: '/api/v4/spot/orders'
@@ -4088,7 +4011,7 @@ class OrderExecutionService {
                 orderData
             });
 
-            const response = await fetch(fullUrl, {
+            const response = await requestBudget.fetch(fullUrl, {
                 method: 'POST',
                 headers: {
                     'Accept': 'application/json',
@@ -4147,9 +4070,6 @@ class OrderExecutionService {
      */
     async _getGateioBalances(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const config = {
                 baseUrl: 'https://api.gateio.ws',
                 endpoint: '/api/v4/spot/accounts'
@@ -4207,9 +4127,6 @@ class OrderExecutionService {
         let wasAdjusted = false;
 
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // ===== UNIVERSAL FIX: Apply LOT_SIZE rounding =====
             const prepared = await this._prepareSellQuantity('gateio', pair, quantity);
             adjustedQuantity = prepared.quantity;
@@ -4343,7 +4260,7 @@ class OrderExecutionService {
                 orderData
             });
 
-            const response = await fetch(fullUrl, {
+            const response = await requestBudget.fetch(fullUrl, {
                 method: 'POST',
                 headers: {
                     'Accept': 'application/json',
@@ -4472,7 +4389,7 @@ class OrderExecutionService {
 
             logger.info('Executing OKX buy order', { pair: okxPair, amountUSDT });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: method,
                 headers: {
                     'Accept': 'application/json',
@@ -4530,9 +4447,6 @@ class OrderExecutionService {
      */
     async _getOKXBalances(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const timestamp = new Date().toISOString();
             const method = 'GET';
             const requestPath = '/api/v5/account/balance';
@@ -4728,7 +4642,7 @@ class OrderExecutionService {
                 wasAdjusted: wasAdjusted
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: method,
                 headers: {
                     'Accept': 'application/json',
@@ -4857,7 +4771,7 @@ class OrderExecutionService {
 
             logger.info('Executing MEXC buy order', { pair, amountUSDT });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -4912,9 +4826,6 @@ class OrderExecutionService {
      */
     async _getMEXCBalances(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const timestamp = Date.now();
             const queryString = `timestamp=${timestamp}`;
             const signature = this._createMEXCSignature(queryString, credentials.apiSecret);
@@ -5080,7 +4991,7 @@ class OrderExecutionService {
                 wasAdjusted: wasAdjusted
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -5246,7 +5157,7 @@ class OrderExecutionService {
 
             logger.info('Executing KuCoin buy order', { pair: kucoinPair, amountUSDT });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: method,
                 headers: {
                     'Accept': 'application/json',
@@ -5397,7 +5308,7 @@ class OrderExecutionService {
                 wasAdjusted: wasAdjusted
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: method,
                 headers: {
                     'Accept': 'application/json',
@@ -5579,7 +5490,7 @@ class OrderExecutionService {
 
             logger.info('Executing XT.com buy order', { pair: xtPair, amountUSDT });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Accept': 'application/json',
@@ -5732,7 +5643,7 @@ class OrderExecutionService {
                 wasAdjusted: wasAdjusted
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Accept': 'application/json',
@@ -5903,7 +5814,7 @@ class OrderExecutionService {
 
             logger.info('Executing AscendEX buy order', { pair: ascendexPair, amountUSDT });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Accept': 'application/json',
@@ -6050,7 +5961,7 @@ class OrderExecutionService {
                 wasAdjusted: wasAdjusted
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Accept': 'application/json',
@@ -6114,7 +6025,7 @@ class OrderExecutionService {
 
             const url = `https://ascendex.com${path}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -6280,7 +6191,7 @@ class OrderExecutionService {
 
             logger.info('Executing HTX buy order', { pair: htxPair, amountUSDT });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Accept': 'application/json',
@@ -6431,7 +6342,7 @@ class OrderExecutionService {
                 wasAdjusted: wasAdjusted
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Accept': 'application/json',
@@ -6499,7 +6410,7 @@ class OrderExecutionService {
             const queryString = Object.keys(params).map(key => `${key}=${encodeURIComponent(params[key])}`).join('&');
             const url = `https://api.huobi.pro/v1/account/accounts?${queryString}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -6629,7 +6540,7 @@ class OrderExecutionService {
 
             logger.info('Executing BingX buy order', { pair: bingxPair, amountUSDT });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Accept': 'application/json',
@@ -6769,7 +6680,7 @@ class OrderExecutionService {
                 wasAdjusted: wasAdjusted
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Accept': 'application/json',
@@ -6939,7 +6850,7 @@ class OrderExecutionService {
                 currentPrice
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -7096,7 +7007,7 @@ class OrderExecutionService {
                 wasAdjusted: wasAdjusted
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -7162,7 +7073,7 @@ class OrderExecutionService {
      * @private
      */
     async _fetchBitgetPrice(bitgetPair) {
-        const response = await fetch(`https://api.bitget.com/api/spot/v1/market/ticker?symbol=${bitgetPair}`, {
+        const response = await requestBudget.fetch(`https://api.bitget.com/api/spot/v1/market/ticker?symbol=${bitgetPair}`, {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json'
@@ -7297,7 +7208,7 @@ class OrderExecutionService {
                 currentPrice
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -7451,7 +7362,7 @@ class OrderExecutionService {
                 wasAdjusted: wasAdjusted
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -7516,7 +7427,7 @@ class OrderExecutionService {
      * @private
      */
     async _fetchBitMartPrice(bitmartPair) {
-        const response = await fetch(`https://api-cloud.bitmart.com/spot/v1/ticker?symbol=${bitmartPair}`, {
+        const response = await requestBudget.fetch(`https://api-cloud.bitmart.com/spot/v1/ticker?symbol=${bitmartPair}`, {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json'
@@ -7651,7 +7562,7 @@ class OrderExecutionService {
                 currentPrice
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded',
@@ -7799,7 +7710,7 @@ class OrderExecutionService {
                 wasAdjusted: wasAdjusted
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded',
@@ -7861,7 +7772,7 @@ class OrderExecutionService {
      * @private
      */
     async _fetchBitruePrice(pair) {
-        const response = await fetch(`https://openapi.bitrue.com/api/v1/ticker/24hr?symbol=${pair}`, {
+        const response = await requestBudget.fetch(`https://openapi.bitrue.com/api/v1/ticker/24hr?symbol=${pair}`, {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json'
@@ -7991,7 +7902,7 @@ class OrderExecutionService {
                 currentPrice
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'text/plain',
@@ -8148,7 +8059,7 @@ class OrderExecutionService {
                 wasAdjusted: wasAdjusted
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'text/plain',
@@ -8209,7 +8120,7 @@ class OrderExecutionService {
      * @private
      */
     async _fetchGeminiPrice(geminiPair) {
-        const response = await fetch(`https://api.gemini.com/v1/pubticker/${geminiPair}`, {
+        const response = await requestBudget.fetch(`https://api.gemini.com/v1/pubticker/${geminiPair}`, {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json'
@@ -8267,7 +8178,7 @@ class OrderExecutionService {
 
             const url = `https://api.crypto.com${requestPath}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -8348,7 +8259,7 @@ class OrderExecutionService {
                 amountUSDT
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -8500,7 +8411,7 @@ class OrderExecutionService {
                 wasAdjusted: wasAdjusted
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -8564,7 +8475,7 @@ class OrderExecutionService {
         try {
             const url = `https://api.crypto.com/v2/public/get-ticker?instrument_name=${cryptocomPair}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -8639,7 +8550,7 @@ class OrderExecutionService {
 
             const url = `https://api.coincatch.com${requestPath}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json',
@@ -8720,7 +8631,7 @@ class OrderExecutionService {
                 amountUSDT
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -8871,7 +8782,7 @@ class OrderExecutionService {
                 wasAdjusted: wasAdjusted
             });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -8936,7 +8847,7 @@ class OrderExecutionService {
         try {
             const url = `https://api.coincatch.com/api/v1/market/ticker?symbol=${pair}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
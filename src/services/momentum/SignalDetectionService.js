@@ -0,0 +1,521 @@
+// Signal Detection Service
+// Determines entry/exit signals based on indicator combinations
+// Backend version of public/js/momentum/SignalDetection.js - keep the two in step
+
+const IndicatorService = require('./IndicatorService');
+const IndicatorRegistry = require('./IndicatorRegistry');
+const EntryLogic = require('./EntryLogic');
+const { logger } = require('../../utils/logger');
+
+// Strategy and confirmation timeframes
+const TIMEFRAME_MS = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '30m': 30 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+
+const CONFIRMATION_LOGIC = ['all', 'any_1'];
+// Higher-timeframe candles requested for confirmation (more when an indicator needs a longer warm-up)
+const CONFIRMATION_CANDLES = 300;
+const MAX_CONFIRMATION_CANDLES = 1000;
+
+class SignalDetectionService {
+    /**
+     * Check for entry signals based on strategy configuration
+     *
+     * With higher-timeframe confirmation configured (see getConfirmation) the entry also needs the
+     * confirmation indicators in their bullish state on context.confirmationCandles.
+     *
+     * @param {Array} candles - Array of candles with OHLCV data
+     * @param {Object} strategy - Strategy configuration
+     * @param {Object} context - { confirmationCandles, timeframe } (timeframe of candles, default strategy.timeframe)
+     * @returns {Object} {shouldEnter, triggeredIndicators, indicatorValues, indicatorResults, indicatorSummaries, triggeredCount, totalEnabled, score, confirmation}
+     */
+    static async checkEntrySignals(candles, strategy, context = {}) {
+        try {
+            const { entry_indicators, entry_logic } = strategy;
+
+            // Calculate all enabled indicators
+            const indicatorResults = {};
+            const triggeredIndicators = [];
+            const indicatorValues = {};
+            const indicatorSummaries = {};
+
+            // Every enabled indicator the registry knows (unknown keys are ignored)
+            for (const key of IndicatorRegistry.enabledKeys(entry_indicators)) {
+                const definition = IndicatorRegistry.get(key);
+                try {
+                    const result = IndicatorRegistry.evaluate(key, candles, entry_indicators[key]);
+                    indicatorValues[key] = result.value;
+                    indicatorResults[key] = result.triggered;
+                    indicatorSummaries[key] = result.summary;
+
+                    if (result.triggered) {
+                        triggeredIndicators.push(result.trigger);
+                    }
+                } catch (error) {
+                    logger.warn(`${definition.name} calculation failed for signal detection`, { error: error.message });
+                    indicatorResults[key] = false;
+                }
+            }
+
+            // Determine if entry signal is triggered based on entry logic
+            const shouldEnter = this._evaluateEntryLogic(
+                indicatorResults,
+                entry_logic,
+                entry_indicators && entry_indicators.logic
+            );
+
+            // Higher-timeframe confirmation gates the entry
+            const confirmation = this._checkConfirmation(candles, strategy, context);
+
+            return {
+                shouldEnter: shouldEnter && (!confirmation || confirmation.confirmed),
+                triggeredIndicators,
+                indicatorValues,
+                indicatorResults,
+                indicatorSummaries,
+                triggeredCount: triggeredIndicators.length,
+                totalEnabled: Object.keys(indicatorResults).length,
+                score: EntryLogic.score(indicatorResults, entry_indicators && entry_indicators.logic),
+                confirmation
+            };
+
+        } catch (error) {
+            logger.error('Entry signal check failed', {
+                strategyId: strategy.id,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Higher-timeframe confirmation settings of a strategy
+     *
+     * entry_indicators.confirmation = {
+     *   enabled, timeframe: '15m' | '30m' | '1h' | '4h' | '1d', logic: 'all' | 'any_1',
+     *   indicators: { key: { enabled, ...params } }
+     * }
+     *
+     * @param {Object} strategy - Strategy configuration
+     * @returns {Object|null} { timeframe, logic, indicators, keys, candleLimit } or null when not configured
+     */
+    static getConfirmation(strategy) {
+        const confirmation = strategy.entry_indicators && strategy.entry_indicators.confirmation;
+        if (!confirmation || !confirmation.enabled || !TIMEFRAME_MS[confirmation.timeframe]) {
+            return null;
+        }
+
+        const keys = IndicatorRegistry.enabledKeys(confirmation.indicators);
+        if (keys.length === 0) {
+            return null;
+        }
+
+        const warmup = Math.max(...keys.map(key => IndicatorRegistry.minCandles(key, confirmation.indicators[key])));
+
+        return {
+            timeframe: confirmation.timeframe,
+            logic: CONFIRMATION_LOGIC.includes(confirmation.logic) ? confirmation.logic : 'all',
+            indicators: confirmation.indicators,
+            keys,
+            candleLimit: Math.min(Math.max(CONFIRMATION_CANDLES, warmup * 2), MAX_CONFIRMATION_CANDLES)
+        };
+    }
+
+    /**
+     * Evaluate confirmation indicators in trend mode on the higher-timeframe candles that had
+     * closed by the end of the latest base candle (no forming candle, no look-ahead in backtests)
+     * @private
+     * @returns {Object|null} {timeframe, logic, confirmed, results, summaries, triggeredIndicators, reason}
+     */
+    static _checkConfirmation(candles, strategy, context) {
+        const config = this.getConfirmation(strategy);
+        if (!config) {
+            return null;
+        }
+
+        const confirmation = {
+            timeframe: config.timeframe,
+            logic: config.logic,
+            confirmed: false,
+            results: {},
+            summaries: {},
+            triggeredIndicators: [],
+            reason: null
+        };
+
+        const baseMs = TIMEFRAME_MS[context.timeframe || strategy.timeframe] || 0;
+        const confirmationMs = TIMEFRAME_MS[config.timeframe];
+        const lastOpen = candles.length > 0 ? Number(candles[candles.length - 1].timestamp) : NaN;
+        const asOf = Math.min(Number.isFinite(lastOpen) ? lastOpen + baseMs : Infinity, Date.now());
+
+        const closed = (context.confirmationCandles || [])
+            .filter(candle => candle.timestamp + confirmationMs <= asOf)
+            .slice(-config.candleLimit);
+
+        if (closed.length === 0) {
+            confirmation.reason = `No closed ${config.timeframe} candles`;
+            return confirmation;
+        }
+
+        for (const key of config.keys) {
+            try {
+                const result = IndicatorRegistry.evaluate(key, closed, config.indicators[key], 'trend');
+                confirmation.results[key] = result.triggered;
+                confirmation.summaries[key] = result.summary;
+
+                if (result.triggered) {
+                    confirmation.triggeredIndicators.push({ ...result.trigger, timeframe: config.timeframe });
+                }
+            } catch (error) {
+                logger.warn(`${IndicatorRegistry.get(key).name} ${config.timeframe} confirmation failed`, { error: error.message });
+                confirmation.results[key] = false;
+            }
+        }
+
+        const passed = Object.values(confirmation.results).filter(Boolean).length;
+        confirmation.confirmed = config.logic === 'any_1' ? passed >= 1 : passed === config.keys.length;
+
+        if (!confirmation.confirmed) {
+            confirmation.reason = `${config.timeframe} confirmation ${passed}/${config.keys.length} (${config.logic})`;
+        }
+
+        return confirmation;
+    }
+
+    /**
+     * Check for exit signals based on exit rules
+     *
+     * Exit rules (all optional):
+     * - takeProfitPercent / takeProfitMode ('auto' | 'manual')
+     * - takeProfitTargets: [{ percent, closePercent }] - scaled exits, closePercent of the entry
+     *   quantity (the last target closes whatever is left); replaces takeProfitPercent when set
+     * - stopLossPercent
+     * - trailingStop: { enabled, type: 'percent' | 'atr', percent, atrPeriod, atrMultiplier, activationPercent }
+     * - breakEven: { enabled, triggerPercent, offsetPercent } - stop moves to entry (+ offset) once
+     *   the position has been up triggerPercent
+     * - maxHoldTimeHours
+     *
+     * Trailing and break-even stops only ever move up. The caller persists `state` (highest price
+     * and current stop) on the position whenever it changes.
+     *
+     * @param {Object} position - Current position (remaining_quantity, highest_price, stop_price, stop_type, targets_hit)
+     * @param {number} currentPrice - Current market price
+     * @param {Object} exitRules - Exit rules configuration
+     * @param {Object} context - { atr } for ATR-based trailing stops
+     * @returns {Object} {shouldExit, reason, details, quantity, partial, targetIndex, state}
+     */
+    static checkExitSignals(position, currentPrice, exitRules, context = {}) {
+        try {
+            const entryPrice = parseFloat(position.entry_price);
+            const entryQuantity = parseFloat(position.entry_quantity);
+            const remainingQuantity = position.remaining_quantity !== null && position.remaining_quantity !== undefined
+                ? parseFloat(position.remaining_quantity)
+                : entryQuantity;
+            const entryTime = new Date(position.entry_time);
+            const hoursOpen = (Date.now() - entryTime.getTime()) / (1000 * 60 * 60);
+
+            // Calculate current P&L percentage
+            const pnlPercent = ((currentPrice - entryPrice) / entryPrice) * 100;
+
+            const state = this._updateStopState(position, currentPrice, exitRules, context);
+            const exit = (reason, details, extra = {}) => ({
+                shouldExit: true,
+                reason,
+                details,
+                quantity: remainingQuantity,
+                partial: false,
+                state,
+                ...extra
+            });
+
+            // Check Take Profit (only in Auto mode, skip if Manual mode)
+            const takeProfitMode = exitRules.takeProfitMode || 'auto'; // Default to 'auto' for backward compatibility
+            const targets = Array.isArray(exitRules.takeProfitTargets) ? exitRules.takeProfitTargets : [];
+
+            if (takeProfitMode === 'auto' && targets.length > 0) {
+                const targetIndex = parseInt(position.targets_hit || 0);
+                const target = targets[targetIndex];
+
+                if (target && pnlPercent >= target.percent) {
+                    const isLast = targetIndex === targets.length - 1;
+                    const quantity = isLast
+                        ? remainingQuantity
+                        : Math.min(remainingQuantity, entryQuantity * target.closePercent / 100);
+                    // A target that would leave (almost) nothing behind closes the position
+                    const partial = remainingQuantity - quantity > remainingQuantity * 0.001;
+
+                    return exit(
+                        partial ? 'take_profit_partial' : 'take_profit',
+                        `+${pnlPercent.toFixed(2)}% (Target ${targetIndex + 1}/${targets.length}: ${target.percent}%, closing ${partial ? target.closePercent + '% of entry' : 'remainder'})`,
+                        { quantity: partial ? quantity : remainingQuantity, partial, targetIndex }
+                    );
+                }
+            } else if (takeProfitMode === 'auto' && exitRules.takeProfitPercent && pnlPercent >= exitRules.takeProfitPercent) {
+                return exit('take_profit', `+${pnlPercent.toFixed(2)}% (Target: ${exitRules.takeProfitPercent}%)`);
+            }
+
+            // Check Stop Loss
+            if (exitRules.stopLossPercent && pnlPercent <= -exitRules.stopLossPercent) {
+                return exit('stop_loss', `${pnlPercent.toFixed(2)}% (Max Loss: ${exitRules.stopLossPercent}%)`);
+            }
+
+            // Check Trailing / Break-even Stop
+            if (state.stopPrice !== null && currentPrice <= state.stopPrice) {
+                return exit(
+                    state.stopType === 'break_even' ? 'break_even_stop' : 'trailing_stop',
+                    `${currentPrice} <= stop ${state.stopPrice.toPrecision(8)} (high ${state.highestPrice}, ${pnlPercent.toFixed(2)}%)`
+                );
+            }
+
+            // Check Max Hold Time
+            if (exitRules.maxHoldTimeHours && hoursOpen >= exitRules.maxHoldTimeHours) {
+                return exit('max_hold_time', `${hoursOpen.toFixed(1)}h (Max: ${exitRules.maxHoldTimeHours}h)`);
+            }
+
+            // Check indicator-based exit (if configured)
+            // TODO: Add indicator-based exit signals (e.g., RSI overbought, MACD bearish crossover)
+
+            return {
+                shouldExit: false,
+                reason: null,
+                currentPnL: pnlPercent,
+                hoursOpen: hoursOpen,
+                state
+            };
+
+        } catch (error) {
+            logger.error('Exit signal check failed', {
+                positionId: position.id,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Highest price seen and the resulting trailing / break-even stop
+     * @private
+     * @returns {Object} {highestPrice, stopPrice, stopType, changed}
+     */
+    static _updateStopState(position, currentPrice, exitRules, context) {
+        const entryPrice = parseFloat(position.entry_price);
+        const previousHigh = position.highest_price ? parseFloat(position.highest_price) : entryPrice;
+        const previousStop = position.stop_price ? parseFloat(position.stop_price) : null;
+
+        const highestPrice = Math.max(previousHigh, currentPrice);
+        const peakPercent = ((highestPrice - entryPrice) / entryPrice) * 100;
+
+        let stopPrice = previousStop;
+        let stopType = position.stop_type || null;
+        const raise = (price, type) => {
+            if (price > 0 && (stopPrice === null || price > stopPrice)) {
+                stopPrice = price;
+                stopType = type;
+            }
+        };
+
+        const { breakEven, trailingStop } = exitRules;
+
+        if (breakEven && breakEven.enabled && peakPercent >= breakEven.triggerPercent) {
+            raise(entryPrice * (1 + (breakEven.offsetPercent || 0) / 100), 'break_even');
+        }
+
+        if (trailingStop && trailingStop.enabled && peakPercent >= (trailingStop.activationPercent || 0)) {
+            const distance = trailingStop.type === 'atr'
+                ? (context.atr ? context.atr * (trailingStop.atrMultiplier || 2) : null)
+                : highestPrice * trailingStop.percent / 100;
+
+            if (distance) {
+                raise(highestPrice - distance, 'trailing');
+            }
+        }
+
+        return {
+            highestPrice,
+            stopPrice,
+            stopType,
+            changed: highestPrice !== previousHigh || stopPrice !== previousStop
+        };
+    }
+
+    /**
+     * Validate trailing stop, break-even and scaled take-profit settings of exit rules
+     * @param {Object} exitRules - Exit rules configuration
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    static validateExitRules(exitRules) {
+        const errors = [];
+        if (!exitRules || typeof exitRules !== 'object') {
+            return errors;
+        }
+
+        const positive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+        const { takeProfitTargets, trailingStop, breakEven } = exitRules;
+
+        if (takeProfitTargets !== undefined && takeProfitTargets !== null) {
+            if (!Array.isArray(takeProfitTargets)) {
+                errors.push('takeProfitTargets must be an array of { percent, closePercent }');
+            } else {
+                takeProfitTargets.forEach((target, index) => {
+                    if (!target || !positive(target.percent)) {
+                        errors.push(`takeProfitTargets[${index}].percent must be a positive number`);
+                    } else if (index > 0 && takeProfitTargets[index - 1] && target.percent <= takeProfitTargets[index - 1].percent) {
+                        errors.push('takeProfitTargets must be in ascending percent order');
+                    }
+                    if (!target || !positive(target.closePercent) || target.closePercent > 100) {
+                        errors.push(`takeProfitTargets[${index}].closePercent must be between 0 and 100`);
+                    }
+                });
+            }
+        }
+
+        if (trailingStop && trailingStop.enabled) {
+            if (!['percent', 'atr'].includes(trailingStop.type || 'percent')) {
+                errors.push("trailingStop.type must be 'percent' or 'atr'");
+            } else if ((trailingStop.type || 'percent') === 'percent') {
+                if (!positive(trailingStop.percent) || trailingStop.percent >= 100) {
+                    errors.push('trailingStop.percent must be between 0 and 100');
+                }
+            } else {
+                if (trailingStop.atrMultiplier !== undefined && !positive(trailingStop.atrMultiplier)) {
+                    errors.push('trailingStop.atrMultiplier must be a positive number');
+                }
+                if (trailingStop.atrPeriod !== undefined && !(Number.isInteger(trailingStop.atrPeriod) && trailingStop.atrPeriod >= 2)) {
+                    errors.push('trailingStop.atrPeriod must be an integer of at least 2');
+                }
+            }
+            if (trailingStop.activationPercent !== undefined && !(typeof trailingStop.activationPercent === 'number' && trailingStop.activationPercent >= 0)) {
+                errors.push('trailingStop.activationPercent must be 0 or more');
+            }
+        }
+
+        if (breakEven && breakEven.enabled) {
+            if (!positive(breakEven.triggerPercent)) {
+                errors.push('breakEven.triggerPercent must be a positive number');
+            } else if (breakEven.offsetPercent !== undefined
+                && !(typeof breakEven.offsetPercent === 'number' && breakEven.offsetPercent >= 0 && breakEven.offsetPercent < breakEven.triggerPercent)) {
+                errors.push('breakEven.offsetPercent must be 0 or more and below triggerPercent');
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate entry indicators and higher-timeframe confirmation
+     * @param {Object} entryIndicators - entry_indicators configuration
+     * @param {string} timeframe - Strategy timeframe the confirmation must be above
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    static validateEntryIndicators(entryIndicators, timeframe) {
+        const errors = IndicatorRegistry.validate(entryIndicators);
+        const confirmation = entryIndicators && entryIndicators.confirmation;
+
+        if (!confirmation || !confirmation.enabled) {
+            return errors;
+        }
+
+        if (!TIMEFRAME_MS[confirmation.timeframe]) {
+            errors.push(`confirmation.timeframe must be one of ${Object.keys(TIMEFRAME_MS).join(', ')}`);
+        } else if (TIMEFRAME_MS[timeframe] && TIMEFRAME_MS[confirmation.timeframe] <= TIMEFRAME_MS[timeframe]) {
+            errors.push(`confirmation.timeframe must be higher than the strategy timeframe (${timeframe})`);
+        }
+
+        if (confirmation.logic !== undefined && !CONFIRMATION_LOGIC.includes(confirmation.logic)) {
+            errors.push(`confirmation.logic must be one of ${CONFIRMATION_LOGIC.join(', ')}`);
+        }
+
+        if (IndicatorRegistry.enabledKeys(confirmation.indicators).length === 0) {
+            errors.push('confirmation needs at least one enabled indicator');
+        }
+
+        IndicatorRegistry.validate(confirmation.indicators).forEach(error => {
+            errors.push(`confirmation: ${error}`);
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate the entry logic mode and its expression / weights (entry_indicators.logic)
+     * @param {string} entryLogic - Entry logic mode
+     * @param {Object} entryIndicators - entry_indicators configuration
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    static validateEntryLogic(entryLogic, entryIndicators) {
+        return EntryLogic.validate(entryLogic, entryIndicators);
+    }
+
+    /**
+     * Evaluate entry logic based on triggered indicators (shared EntryLogic, same in browser and server)
+     * @private
+     * @param {Object} indicatorResults - Object with indicator results {rsi: true/false, volume: true/false, ...}
+     * @param {string} entryLogic - Entry logic type ('2_out_of_3', '3_out_of_4', 'all', 'any_1', 'expression', 'weighted')
+     * @param {Object} rule - entry_indicators.logic ({ expression } or { weights, threshold })
+     * @returns {boolean} Should enter position
+     */
+    static _evaluateEntryLogic(indicatorResults, entryLogic, rule) {
+        return EntryLogic.evaluate(entryLogic, indicatorResults, rule);
+    }
+
+    /**
+     * Get indicator summary for logging/display
+     * @param {Array} candles - Array of candles with OHLCV data
+     * @param {Object} indicators - Indicator configuration
+     * @returns {Object} Indicator values
+     */
+    static async getIndicatorSummary(candles, indicators) {
+        const summary = {};
+
+        if (indicators.rsi && indicators.rsi.enabled) {
+            try {
+                summary.rsi = IndicatorService.calculateRSI(candles, indicators.rsi.period);
+            } catch (error) {
+                summary.rsi = 'N/A';
+            }
+        }
+
+        if (indicators.volume && indicators.volume.enabled) {
+            try {
+                const volumeData = IndicatorService.calculateVolumeSpike(
+                    candles,
+                    indicators.volume.period,
+                    indicators.volume.multiplier
+                );
+                summary.volumeRatio = volumeData.volumeRatio;
+            } catch (error) {
+                summary.volumeRatio = 'N/A';
+            }
+        }
+
+        if (indicators.macd && indicators.macd.enabled) {
+            try {
+                const macdData = IndicatorService.calculateMACD(
+                    candles,
+                    indicators.macd.fast,
+                    indicators.macd.slow,
+                    indicators.macd.signal
+                );
+                summary.macd = {
+                    line: macdData.macdLine,
+                    signal: macdData.signalLine,
+                    histogram: macdData.histogram
+                };
+            } catch (error) {
+                summary.macd = 'N/A';
+            }
+        }
+
+        return summary;
+    }
+}
+
+SignalDetectionService.TIMEFRAME_MS = TIMEFRAME_MS;
+
+module.exports = SignalDetectionService;
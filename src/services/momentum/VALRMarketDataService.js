@@ -3,31 +3,11 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class VALRMarketDataService {
     constructor() {
         this.baseUrl = 'https://api.valr.com';
-
-        // Rate limiting: Max 5 requests per second (200ms between requests)
-        this.minRequestInterval = 200; // milliseconds
-        this.lastRequestTime = 0;
-    }
-
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * Prevents hitting VALR's rate limits
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
     }
 
     /**
@@ -41,9 +21,6 @@ class VALRMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // VALR doesn't have a candles endpoint - we need to build candles from recent trades
             // Use the public trades endpoint: /v1/public/:currencyPair/trades
             const path = `/v1/public/${pair}/trades`;
@@ -51,7 +28,7 @@ class VALRMarketDataService {
 
             logger.info('Fetching VALR trades to build candles', { pair, interval, limit });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json'
@@ -99,13 +76,12 @@ class VALRMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Use VALR ticker endpoint
             const path = `/v1/marketdata/${pair}/marketsummary`;
             const url = `${this.baseUrl}${path}`;
 
+            // Sign after the budget wait - a throttled request must not go out with a stale timestamp
+            await requestBudget.acquire('valr');
             const headers = this._createValrAuth(
                 credentials.apiKey,
                 credentials.apiSecret,
@@ -116,10 +92,10 @@ class VALRMarketDataService {
 
             logger.debug('Fetching VALR current price', { pair });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: headers
-            });
+            }, { exchange: 'valr', acquired: true });
 
             if (!response.ok) {
                 const errorText = await response.text();
@@ -152,12 +128,10 @@ class VALRMarketDataService {
      */
     async fetchOrderBook(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const path = `/v1/marketdata/${pair}/orderbook`;
             const url = `${this.baseUrl}${path}`;
 
+            await requestBudget.acquire('valr');
             const headers = this._createValrAuth(
                 credentials.apiKey,
                 credentials.apiSecret,
@@ -168,10 +142,10 @@ class VALRMarketDataService {
 
             logger.debug('Fetching VALR order book', { pair });
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: headers
-            });
+            }, { exchange: 'valr', acquired: true });
 
             if (!response.ok) {
                 const errorText = await response.text();
@@ -201,12 +175,10 @@ class VALRMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             const path = '/v1/account/balances';
             const url = `${this.baseUrl}${path}`;
 
+            await requestBudget.acquire('valr');
             const headers = this._createValrAuth(
                 credentials.apiKey,
                 credentials.apiSecret,
@@ -215,10 +187,10 @@ class VALRMarketDataService {
                 null
             );
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: headers
-            });
+            }, { exchange: 'valr', acquired: true });
 
             if (!response.ok) {
                 const errorText = await response.text();
@@ -406,7 +378,7 @@ class VALRMarketDataService {
                 'Content-Type': 'application/json'
             };
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: headers
             });
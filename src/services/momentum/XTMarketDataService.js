@@ -3,17 +3,12 @@
 
 const crypto = require('crypto');
 const { logger } = require('../../utils/logger');
+const requestBudget = require('../exchanges/RequestBudgetManager');
 
 class XTMarketDataService {
     constructor() {
         this.baseUrl = 'https://sapi.xt.com';
 
-        // Rate limiting: XT.com has standard rate limits
-        // Public: 20 requests per second
-        // Private: 10 requests per second
-        this.minRequestInterval = 100; // milliseconds
-        this.lastRequestTime = 0;
-
         // XT.com-specific: Top 50 major USDT pairs by market cap and trading volume
         // Curated selection from XT.com's extensive pair list
         this.supportedPairs = [
@@ -41,22 +36,6 @@ class XTMarketDataService {
         ];
     }
 
-    /**
-     * Rate limiter: Ensures minimum delay between API requests
-     * @private
-     */
-    async _rateLimitDelay() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delayNeeded = this.minRequestInterval - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
-
-        this.lastRequestTime = Date.now();
-    }
-
     /**
      * Fetch historical candles (OHLCV data) for indicator calculations
      * @param {string} pair - Trading pair (e.g., 'BTCUSDT', 'ETHUSDT')
@@ -67,9 +46,6 @@ class XTMarketDataService {
      */
     async fetchCandles(pair, interval = '1h', limit = 100, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to XT.com format (BTCUSDT → btc_usdt)
             const xtPair = this._convertPairToXT(pair);
 
@@ -83,7 +59,7 @@ class XTMarketDataService {
             logger.info('Fetching XT.com candles', { pair: xtPair, interval, limit });
 
             // Klines endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -133,9 +109,6 @@ class XTMarketDataService {
      */
     async fetchCurrentPrice(pair, credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Convert pair to XT.com format (BTCUSDT → btc_usdt)
             const xtPair = this._convertPairToXT(pair);
 
@@ -146,7 +119,7 @@ class XTMarketDataService {
             logger.debug('Fetching XT.com current price', { pair: xtPair });
 
             // Ticker endpoint is public, no authentication needed
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
@@ -189,9 +162,6 @@ class XTMarketDataService {
      */
     async testConnection(credentials) {
         try {
-            // Apply rate limiting
-            await this._rateLimitDelay();
-
             // Test private balance endpoint
             const timestamp = Date.now().toString();
             const signature = this._createXTSignature(credentials.apiKey, timestamp, credentials.apiSecret);
@@ -199,7 +169,7 @@ class XTMarketDataService {
             const path = '/v4/balances';
             const url = `${this.baseUrl}${path}`;
 
-            const response = await fetch(url, {
+            const response = await requestBudget.fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
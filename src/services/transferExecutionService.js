@@ -12,6 +12,7 @@ const { systemLogger } = require('../utils/logger');
 const crypto = require('crypto');
 const PreFlightValidationService = require('./transfer-arb/PreFlightValidationService');
 const executionRateLimiter = require('./triangular-arb/ExecutionRateLimiter');
+const exchangeRegistry = require('./exchanges/ExchangeRegistry');
 
 class TransferExecutionService {
     constructor() {
@@ -75,59 +76,34 @@ class TransferExecutionService {
                 toExchange: opportunity.toExchange
             });
 
-            // Check rate limit for FROM exchange
-            const fromRateLimitCheck = await executionRateLimiter.checkExecutionAllowed(
-                opportunity.fromExchange,
-                userId
-            );
-
-            if (!fromRateLimitCheck.allowed) {
-                systemLogger.warn(`[RATE LIMIT] Execution blocked on ${opportunity.fromExchange}`, {
-                    transferId,
-                    userId,
-                    exchange: opportunity.fromExchange,
-                    reason: fromRateLimitCheck.reason,
-                    waitTime: `${Math.ceil(fromRateLimitCheck.waitTime / 1000)}s`
-                });
-
-                transfer.status = 'RATE_LIMITED';
-                transfer.error = fromRateLimitCheck.message;
-                transfer.endTime = Date.now();
-                this.transferHistory.push(transfer);
-                this.activeTransfers.delete(transferId);
-                this.isExecuting = false;
-
-                throw new Error(fromRateLimitCheck.message);
-            }
-
-            // Check rate limit for TO exchange
-            const toRateLimitCheck = await executionRateLimiter.checkExecutionAllowed(
-                opportunity.toExchange,
-                userId
+            // Check and lock BOTH exchanges in one step (either both are locked or neither)
+            // Transfers wait for blockchain deposits - keep the lock for the full monitoring window
+            const rateLimitCheck = await executionRateLimiter.acquireExecution(
+                [opportunity.fromExchange, opportunity.toExchange],
+                transferId,
+                userId,
+                { lockTtlMs: 2 * 60 * 60 * 1000 }
             );
 
-            if (!toRateLimitCheck.allowed) {
-                systemLogger.warn(`[RATE LIMIT] Execution blocked on ${opportunity.toExchange}`, {
+            if (!rateLimitCheck.allowed) {
+                systemLogger.warn(`[RATE LIMIT] Execution blocked on ${rateLimitCheck.exchange}`, {
                     transferId,
                     userId,
-                    exchange: opportunity.toExchange,
-                    reason: toRateLimitCheck.reason,
-                    waitTime: `${Math.ceil(toRateLimitCheck.waitTime / 1000)}s`
+                    exchange: rateLimitCheck.exchange,
+                    reason: rateLimitCheck.reason,
+                    waitTime: `${Math.ceil(rateLimitCheck.waitTime / 1000)}s`
                 });
 
                 transfer.status = 'RATE_LIMITED';
-                transfer.error = toRateLimitCheck.message;
+                transfer.error = rateLimitCheck.message;
                 transfer.endTime = Date.now();
                 this.transferHistory.push(transfer);
                 this.activeTransfers.delete(transferId);
                 this.isExecuting = false;
 
-                throw new Error(toRateLimitCheck.message);
+                throw new Error(rateLimitCheck.message);
             }
 
-            // Mark executions as started for both exchanges
-            executionRateLimiter.markExecutionStarted(opportunity.fromExchange, transferId, userId);
-            executionRateLimiter.markExecutionStarted(opportunity.toExchange, transferId, userId);
             systemLogger.trading(`[RATE LIMIT] ✅ Rate limit checks passed - execution allowed`, {
                 transferId,
                 userId,
@@ -175,8 +151,7 @@ class TransferExecutionService {
                 this.activeTransfers.delete(transferId);
 
                 // Mark rate limit executions as completed (even though validation failed)
-                executionRateLimiter.markExecutionCompleted(opportunity.fromExchange, transferId, userId);
-                executionRateLimiter.markExecutionCompleted(opportunity.toExchange, transferId, userId);
+                await executionRateLimiter.releaseExecution([opportunity.fromExchange, opportunity.toExchange], transferId, userId);
 
                 this.isExecuting = false;
 
@@ -365,8 +340,7 @@ class TransferExecutionService {
             this.activeTransfers.delete(transferId);
 
             // Mark rate limit executions as completed (success)
-            executionRateLimiter.markExecutionCompleted(opportunity.fromExchange, transferId, userId);
-            executionRateLimiter.markExecutionCompleted(opportunity.toExchange, transferId, userId);
+            await executionRateLimiter.releaseExecution([opportunity.fromExchange, opportunity.toExchange], transferId, userId);
 
             this.isExecuting = false;
 
@@ -396,8 +370,7 @@ class TransferExecutionService {
             this.activeTransfers.delete(transferId);
 
             // Mark rate limit executions as completed (error case)
-            executionRateLimiter.markExecutionCompleted(opportunity.fromExchange, transferId, userId);
-            executionRateLimiter.markExecutionCompleted(opportunity.toExchange, transferId, userId);
+            await executionRateLimiter.releaseExecution([opportunity.fromExchange, opportunity.toExchange], transferId, userId);
 
             this.isExecuting = false;
 
@@ -556,6 +529,15 @@ class TransferExecutionService {
      * @returns {object} Withdrawal result with txHash, status
      */
     async executeWithdrawal(exchange, crypto, amount, credentials, destinationAddress, destinationTag) {
+        // Prefer the native exchange adapter where it implements withdrawals
+        if (exchangeRegistry.supports(exchange, 'withdraw')) {
+            try {
+                return await this._executeAdapterWithdrawal(exchange, crypto, amount, destinationAddress, credentials, destinationTag);
+            } catch (error) {
+                throw new Error(`Withdrawal failed on ${exchange}: ${error.message}`);
+            }
+        }
+
         systemLogger.trading('Executing withdrawal via CCXT', {
             exchange,
             crypto,
@@ -597,20 +579,8 @@ class TransferExecutionService {
                 withdrawing: amount.toFixed(8)
             });
 
-            // SAFETY CHECK: Validate destination address format
-            const addressValid = this.validateCryptoAddress(crypto, destinationAddress);
-            if (!addressValid) {
-                systemLogger.error('Invalid address format detected', {
-                    crypto,
-                    address: destinationAddress
-                });
-                throw new Error(`Invalid ${crypto} address format: ${destinationAddress}. Please verify the address is correct.`);
-            }
-
-            // CRITICAL: Validate XRP/XLM tag is provided
-            if (['XRP', 'XLM'].includes(crypto) && !destinationTag) {
-                throw new Error(`CRITICAL: ${crypto} requires a destination tag. Withdrawals without tags will result in PERMANENT FUND LOSS! Please configure the tag in Deposit Address Configuration.`);
-            }
+            // SAFETY CHECK: Validate destination address format and XRP/XLM tag
+            this._validateWithdrawalDestination(crypto, destinationAddress, destinationTag);
 
             // Build withdrawal parameters
             const params = {};
@@ -683,6 +653,26 @@ class TransferExecutionService {
         }
     }
 
+    /**
+     * SAFETY CHECK: Reject malformed addresses and missing XRP/XLM destination tags
+     * @private
+     */
+    _validateWithdrawalDestination(crypto, destinationAddress, destinationTag) {
+        const addressValid = this.validateCryptoAddress(crypto, destinationAddress);
+        if (!addressValid) {
+            systemLogger.error('Invalid address format detected', {
+                crypto,
+                address: destinationAddress
+            });
+            throw new Error(`Invalid ${crypto} address format: ${destinationAddress}. Please verify the address is correct.`);
+        }
+
+        // CRITICAL: Validate XRP/XLM tag is provided
+        if (['XRP', 'XLM'].includes(crypto) && !destinationTag) {
+            throw new Error(`CRITICAL: ${crypto} requires a destination tag. Withdrawals without tags will result in PERMANENT FUND LOSS! Please configure the tag in Deposit Address Configuration.`);
+        }
+    }
+
     /**
      * Validate cryptocurrency address format
      * Basic validation to prevent obvious typos
@@ -928,235 +918,179 @@ class TransferExecutionService {
     // ========================================
 
     async executeBinanceBuy(crypto, usdtAmount, credentials) {
-        const symbol = `${crypto}USDT`;
-        const timestamp = Date.now();
-
-        systemLogger.trading('Executing Binance buy order', {
-            symbol,
-            usdtAmount,
-            type: 'MARKET'
-        });
-
-        try {
-            // Create market buy order with quote quantity (USDT amount)
-            const params = {
-                symbol: symbol,
-                side: 'BUY',
-                type: 'MARKET',
-                quoteOrderQty: usdtAmount.toFixed(2), // Amount in USDT to spend
-                timestamp: timestamp
-            };
-
-            const queryString = Object.entries(params)
-                .map(([key, value]) => `${key}=${value}`)
-                .join('&');
-
-            const signature = crypto
-                .createHmac('sha256', credentials.apiSecret)
-                .update(queryString)
-                .digest('hex');
-
-            const response = await fetch(`https://api.binance.com/api/v3/order?${queryString}&signature=${signature}`, {
-                method: 'POST',
-                headers: {
-                    'X-MBX-APIKEY': credentials.apiKey,
-                    'Content-Type': 'application/json'
-                }
-            });
+        return await this._executeAdapterBuy('binance', crypto, usdtAmount, credentials);
+    }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Binance buy order failed: HTTP ${response.status} - ${errorText}`);
-            }
+    async executeBinanceSell(crypto, amount, credentials) {
+        return await this._executeAdapterSell('binance', crypto, amount, credentials);
+    }
 
-            const orderData = await response.json();
+    async executeBinanceWithdrawal(crypto, amount, address, credentials) {
+        return await this._executeAdapterWithdrawal('binance', crypto, amount, address, credentials);
+    }
 
-            // Check for Binance error
-            if (orderData.code && orderData.msg) {
-                throw new Error(`Binance error ${orderData.code}: ${orderData.msg}`);
-            }
+    /**
+     * Market buy through the exchange adapter (spends exact USDT amount)
+     * @private
+     */
+    async _executeAdapterBuy(exchange, crypto, usdtAmount, credentials) {
+        const adapter = exchangeRegistry.get(exchange);
+        const pair = `${crypto}USDT`;
 
-            // Calculate quantity received
-            const executedQty = parseFloat(orderData.executedQty || 0);
-            const cummulativeQuoteQty = parseFloat(orderData.cummulativeQuoteQty || 0);
-            const averagePrice = cummulativeQuoteQty / executedQty;
+        systemLogger.trading(`Executing ${adapter.name} buy order`, {
+            pair,
+            usdtAmount,
+            type: 'MARKET'
+        });
 
-            systemLogger.trading('Binance buy order executed', {
-                orderId: orderData.orderId,
-                symbol,
-                quantity: executedQty,
-                averagePrice,
-                totalCost: cummulativeQuoteQty
-            });
+        const order = await adapter.placeMarketOrder(pair, 'buy', usdtAmount, credentials);
+        const fill = await this._getAdapterOrderFill(adapter, order, pair, credentials);
 
-            return {
-                orderId: orderData.orderId,
-                symbol: symbol,
-                quantity: executedQty,
-                averagePrice: averagePrice,
-                totalCost: cummulativeQuoteQty,
-                status: orderData.status,
-                fills: orderData.fills
-            };
+        const reported = this._adapterReportedTotals(order, fill);
 
-        } catch (error) {
-            systemLogger.error('Binance buy order failed', {
-                symbol,
-                error: error.message
-            });
-            throw error;
-        }
+        return {
+            orderId: fill.orderId,
+            symbol: pair,
+            quantity: fill.executedQuantity,
+            averagePrice: fill.executedPrice,
+            totalCost: reported.quoteTotal ?? fill.executedQuantity * fill.executedPrice,
+            status: fill.status,
+            fills: reported.fills
+        };
     }
 
-    async executeBinanceSell(crypto, amount, credentials) {
-        const symbol = `${crypto}USDT`;
-        const timestamp = Date.now();
+    /**
+     * Market sell through the exchange adapter
+     * @private
+     */
+    async _executeAdapterSell(exchange, crypto, amount, credentials) {
+        const adapter = exchangeRegistry.get(exchange);
+        const pair = `${crypto}USDT`;
 
-        systemLogger.trading('Executing Binance sell order', {
-            symbol,
+        systemLogger.trading(`Executing ${adapter.name} sell order`, {
+            pair,
             amount,
             type: 'MARKET'
         });
 
-        try {
-            // Create market sell order with base quantity (crypto amount)
-            const params = {
-                symbol: symbol,
-                side: 'SELL',
-                type: 'MARKET',
-                quantity: amount.toFixed(8), // Amount of crypto to sell
-                timestamp: timestamp
-            };
-
-            const queryString = Object.entries(params)
-                .map(([key, value]) => `${key}=${value}`)
-                .join('&');
-
-            const signature = crypto
-                .createHmac('sha256', credentials.apiSecret)
-                .update(queryString)
-                .digest('hex');
-
-            const response = await fetch(`https://api.binance.com/api/v3/order?${queryString}&signature=${signature}`, {
-                method: 'POST',
-                headers: {
-                    'X-MBX-APIKEY': credentials.apiKey,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Binance sell order failed: HTTP ${response.status} - ${errorText}`);
-            }
-
-            const orderData = await response.json();
+        const order = await adapter.placeMarketOrder(pair, 'sell', amount, credentials);
+        const fill = await this._getAdapterOrderFill(adapter, order, pair, credentials);
+        const reported = this._adapterReportedTotals(order, fill);
+
+        return {
+            orderId: fill.orderId,
+            symbol: pair,
+            quantity: fill.executedQuantity,
+            averagePrice: fill.executedPrice,
+            usdtReceived: reported.quoteTotal ?? fill.executedQuantity * fill.executedPrice,
+            status: fill.status,
+            fills: reported.fills
+        };
+    }
 
-            // Check for Binance error
-            if (orderData.code && orderData.msg) {
-                throw new Error(`Binance error ${orderData.code}: ${orderData.msg}`);
-            }
+    /**
+     * Quote total and fills as the exchange reported them (Binance: cummulativeQuoteQty / fills on the
+     * order response; VALR: totalPrice on the order status) - null quote total when not reported
+     * @private
+     */
+    _adapterReportedTotals(order, fill) {
+        const raw = fill.rawResponse || {};
+        const quoteTotal = [order.cummulativeQuoteQty, raw.cummulativeQuoteQty, raw.totalPrice]
+            .map(value => parseFloat(value))
+            .find(value => Number.isFinite(value) && value > 0);
+
+        return {
+            quoteTotal: quoteTotal ?? null,
+            fills: order.fills || raw.fills || undefined
+        };
+    }
 
-            // Calculate USDT received
-            const executedQty = parseFloat(orderData.executedQty || 0);
-            const cummulativeQuoteQty = parseFloat(orderData.cummulativeQuoteQty || 0);
-            const averagePrice = cummulativeQuoteQty / executedQty;
+    /**
+     * Read back fills for a just-placed adapter order
+     * @private
+     */
+    async _getAdapterOrderFill(adapter, order, pair, credentials) {
+        await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2s for order to settle
+        return await adapter.getOrderStatus(order.id || order.orderId, pair, credentials);
+    }
 
-            systemLogger.trading('Binance sell order executed', {
-                orderId: orderData.orderId,
-                symbol,
-                quantity: executedQty,
-                averagePrice,
-                usdtReceived: cummulativeQuoteQty
-            });
+    /**
+     * Withdrawal through the exchange adapter
+     * @private
+     */
+    async _executeAdapterWithdrawal(exchange, crypto, amount, address, credentials, destinationTag) {
+        const adapter = exchangeRegistry.get(exchange);
 
-            return {
-                orderId: orderData.orderId,
-                symbol: symbol,
-                quantity: executedQty,
-                averagePrice: averagePrice,
-                usdtReceived: cummulativeQuoteQty,
-                status: orderData.status,
-                fills: orderData.fills
-            };
+        // SAFETY CHECK: Validate balance before withdrawal
+        systemLogger.trading('Checking crypto balance', { exchange, crypto });
+        const available = await adapter.fetchBalance(crypto, credentials);
 
-        } catch (error) {
-            systemLogger.error('Binance sell order failed', {
-                symbol,
-                error: error.message
-            });
-            throw error;
+        if (available < amount) {
+            throw new Error(`Insufficient ${crypto} balance on ${exchange}. Available: ${available.toFixed(8)}, Required: ${amount.toFixed(8)}`);
         }
-    }
 
-    async executeBinanceWithdrawal(crypto, amount, address, credentials) {
-        const timestamp = Date.now();
+        systemLogger.trading('Balance check passed', {
+            exchange,
+            crypto,
+            available: available.toFixed(8),
+            withdrawing: amount.toFixed(8)
+        });
+
+        // SAFETY CHECK: Validate destination address format and XRP/XLM tag
+        this._validateWithdrawalDestination(crypto, address, destinationTag);
 
-        systemLogger.trading('Executing Binance withdrawal', {
+        systemLogger.trading(`Executing ${adapter.name} withdrawal`, {
             crypto,
             amount,
             destination: address.substring(0, 10) + '...'
         });
 
-        try {
-            // Create withdrawal request
-            const params = {
-                coin: crypto,
-                address: address,
-                amount: amount.toFixed(8),
-                timestamp: timestamp
-            };
-
-            const queryString = Object.entries(params)
-                .map(([key, value]) => `${key}=${value}`)
-                .join('&');
-
-            const signature = crypto
-                .createHmac('sha256', credentials.apiSecret)
-                .update(queryString)
-                .digest('hex');
-
-            const response = await fetch(`https://api.binance.com/sapi/v1/capital/withdraw/apply?${queryString}&signature=${signature}`, {
-                method: 'POST',
-                headers: {
-                    'X-MBX-APIKEY': credentials.apiKey,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Binance withdrawal failed: HTTP ${response.status} - ${errorText}`);
-            }
+        const withdrawal = await adapter.withdraw(crypto, amount, address, credentials, {
+            tag: destinationTag,
+            network: crypto === 'USDT' ? 'TRC20' : undefined
+        });
 
-            const withdrawalData = await response.json();
+        return {
+            success: true,
+            withdrawalId: withdrawal.withdrawalId,
+            crypto,
+            amount,
+            address,
+            txHash: withdrawal.txHash, // May be null until the exchange broadcasts
+            status: withdrawal.status,
+            timestamp: Date.now()
+        };
+    }
 
-            // Check for Binance error
-            if (withdrawalData.code && withdrawalData.msg) {
-                throw new Error(`Binance error ${withdrawalData.code}: ${withdrawalData.msg}`);
-            }
+    /**
+     * Deposit check through the exchange adapter
+     * Matches txHash when known, otherwise accepts any deposit completed in the last hour
+     * @private
+     */
+    async _checkAdapterDeposit(exchange, crypto, txHash, credentials) {
+        const deposits = await exchangeRegistry.get(exchange).getDeposits(crypto, credentials);
 
-            systemLogger.trading('Binance withdrawal initiated', {
-                withdrawalId: withdrawalData.id,
-                crypto,
-                amount
-            });
+        const match = (txHash && deposits.find(d =>
+            d.txHash && d.txHash.toLowerCase() === txHash.toLowerCase()
+        )) || deposits.find(d =>
+            d.completed && (!d.timestamp || d.timestamp > Date.now() - 3600000)
+        );
 
+        if (match && match.completed) {
             return {
-                withdrawalId: withdrawalData.id,
-                crypto: crypto,
-                amount: amount,
-                address: address,
-                txHash: null // Will be available later via status check
+                arrived: true,
+                amount: match.amount,
+                confirmations: match.confirmations,
+                txHash: match.txHash
             };
-
-        } catch (error) {
-            systemLogger.error('Binance withdrawal failed', {
-                crypto,
-                error: error.message
-            });
-            throw error;
         }
+
+        return {
+            arrived: false,
+            amount: 0,
+            confirmations: match ? match.confirmations : 0,
+            txHash: null
+        };
     }
 
     /**
@@ -1169,6 +1103,22 @@ class TransferExecutionService {
      * @returns {Object} {arrived: boolean, amount: number, confirmations: number, txHash: string}
      */
     async checkDepositStatus(exchange, crypto, txHash, credentials) {
+        // Prefer the native exchange adapter where it implements deposit history
+        if (exchangeRegistry.supports(exchange, 'getDeposits')) {
+            try {
+                return await this._checkAdapterDeposit(exchange, crypto, txHash, credentials);
+            } catch (error) {
+                systemLogger.error('Deposit status check failed', {
+                    exchange,
+                    crypto,
+                    error: error.message
+                });
+
+                // Don't throw - just return not arrived (monitoring will retry)
+                return { arrived: false, amount: 0, confirmations: 0, txHash: null, error: error.message };
+            }
+        }
+
         systemLogger.trading('Checking deposit status via CCXT', {
             exchange,
             crypto,
@@ -1315,326 +1265,27 @@ class TransferExecutionService {
     }
 
     // ========================================
-    // VALR Exchange Implementation
+    // VALR Exchange Implementation (via VALRAdapter)
     // ========================================
 
     async executeVALRBuy(crypto, usdtAmount, credentials) {
-        systemLogger.trading('Executing VALR buy order', {
-            crypto,
-            usdtAmount,
-            type: 'MARKET'
-        });
-
-        try {
-            // VALR uses pair format like BTCUSDT
-            const pair = `${crypto}USDT`;
-
-            // VALR market buy order - specify quote currency amount (USDT)
-            const orderPayload = {
-                side: 'BUY',
-                quantity: usdtAmount.toFixed(2),
-                pair: pair,
-                postOnly: false,
-                customerOrderId: `BUY-${Date.now()}`
-            };
-
-            const timestamp = Date.now().toString();
-            const endpoint = '/v1/orders/market';
-            const bodyString = JSON.stringify(orderPayload);
-            const payload = timestamp + 'POST' + endpoint + bodyString;
-
-            const signature = crypto
-                .createHmac('sha512', credentials.apiSecret)
-                .update(payload)
-                .digest('hex');
-
-            const response = await fetch(`https://api.valr.com${endpoint}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-VALR-API-KEY': credentials.apiKey,
-                    'X-VALR-SIGNATURE': signature,
-                    'X-VALR-TIMESTAMP': timestamp
-                },
-                body: bodyString
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`VALR buy order failed: HTTP ${response.status} - ${errorText}`);
-            }
-
-            const orderData = await response.json();
-
-            // Get order status to confirm execution
-            const orderId = orderData.id;
-            await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2s for order to settle
-
-            const statusData = await this.getVALROrderStatus(orderId, credentials);
-
-            systemLogger.trading('VALR buy order executed', {
-                orderId,
-                pair,
-                status: statusData.orderStatusType
-            });
-
-            // Calculate average price and quantity from fills
-            const totalCost = parseFloat(statusData.totalPrice || usdtAmount);
-            const quantity = parseFloat(statusData.totalQuantity || 0);
-            const averagePrice = quantity > 0 ? totalCost / quantity : 0;
-
-            return {
-                orderId,
-                symbol: pair,
-                quantity,
-                averagePrice,
-                totalCost,
-                status: statusData.orderStatusType
-            };
-
-        } catch (error) {
-            systemLogger.error('VALR buy order failed', {
-                crypto,
-                error: error.message
-            });
-            throw error;
-        }
+        return await this._executeAdapterBuy('valr', crypto, usdtAmount, credentials);
     }
 
     async executeVALRSell(crypto, amount, credentials) {
-        systemLogger.trading('Executing VALR sell order', {
-            crypto,
-            amount,
-            type: 'MARKET'
-        });
-
-        try {
-            // VALR uses pair format like BTCUSDT
-            const pair = `${crypto}USDT`;
-
-            // VALR market sell order - specify base currency amount (crypto)
-            const orderPayload = {
-                side: 'SELL',
-                quantity: amount.toFixed(8),
-                pair: pair,
-                postOnly: false,
-                customerOrderId: `SELL-${Date.now()}`
-            };
-
-            const timestamp = Date.now().toString();
-            const endpoint = '/v1/orders/market';
-            const bodyString = JSON.stringify(orderPayload);
-            const payload = timestamp + 'POST' + endpoint + bodyString;
-
-            const signature = crypto
-                .createHmac('sha512', credentials.apiSecret)
-                .update(payload)
-                .digest('hex');
-
-            const response = await fetch(`https://api.valr.com${endpoint}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-VALR-API-KEY': credentials.apiKey,
-                    'X-VALR-SIGNATURE': signature,
-                    'X-VALR-TIMESTAMP': timestamp
-                },
-                body: bodyString
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`VALR sell order failed: HTTP ${response.status} - ${errorText}`);
-            }
-
-            const orderData = await response.json();
-
-            // Get order status to confirm execution
-            const orderId = orderData.id;
-            await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2s for order to settle
-
-            const statusData = await this.getVALROrderStatus(orderId, credentials);
-
-            systemLogger.trading('VALR sell order executed', {
-                orderId,
-                pair,
-                status: statusData.orderStatusType
-            });
-
-            // Calculate USDT received
-            const usdtReceived = parseFloat(statusData.totalPrice || 0);
-            const quantity = parseFloat(statusData.totalQuantity || 0);
-            const averagePrice = quantity > 0 ? usdtReceived / quantity : 0;
-
-            return {
-                orderId,
-                symbol: pair,
-                quantity,
-                averagePrice,
-                usdtReceived,
-                status: statusData.orderStatusType
-            };
-
-        } catch (error) {
-            systemLogger.error('VALR sell order failed', {
-                crypto,
-                error: error.message
-            });
-            throw error;
-        }
+        return await this._executeAdapterSell('valr', crypto, amount, credentials);
     }
 
     async executeVALRWithdrawal(crypto, amount, address, credentials) {
-        systemLogger.trading('Executing VALR withdrawal', {
-            crypto,
-            amount,
-            destination: address.substring(0, 10) + '...'
-        });
-
-        try {
-            // VALR withdrawal endpoint
-            const orderPayload = {
-                currency: crypto,
-                amount: amount.toFixed(8),
-                address: address
-            };
-
-            const timestamp = Date.now().toString();
-            const endpoint = '/v1/wallet/crypto/withdraw';
-            const bodyString = JSON.stringify(orderPayload);
-            const payload = timestamp + 'POST' + endpoint + bodyString;
-
-            const signature = crypto
-                .createHmac('sha512', credentials.apiSecret)
-                .update(payload)
-                .digest('hex');
-
-            const response = await fetch(`https://api.valr.com${endpoint}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-VALR-API-KEY': credentials.apiKey,
-                    'X-VALR-SIGNATURE': signature,
-                    'X-VALR-TIMESTAMP': timestamp
-                },
-                body: bodyString
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`VALR withdrawal failed: HTTP ${response.status} - ${errorText}`);
-            }
-
-            const withdrawalData = await response.json();
-
-            systemLogger.trading('VALR withdrawal initiated', {
-                withdrawalId: withdrawalData.id,
-                crypto,
-                amount
-            });
-
-            return {
-                withdrawalId: withdrawalData.id,
-                crypto: crypto,
-                amount: amount,
-                address: address,
-                txHash: null // Will be available later
-            };
-
-        } catch (error) {
-            systemLogger.error('VALR withdrawal failed', {
-                crypto,
-                error: error.message
-            });
-            throw error;
-        }
+        return await this._executeAdapterWithdrawal('valr', crypto, amount, address, credentials);
     }
 
     async getVALROrderStatus(orderId, credentials) {
-        const timestamp = Date.now().toString();
-        const endpoint = `/v1/orders/${orderId}`;
-        const payload = timestamp + 'GET' + endpoint;
-
-        const signature = crypto
-            .createHmac('sha512', credentials.apiSecret)
-            .update(payload)
-            .digest('hex');
-
-        const response = await fetch(`https://api.valr.com${endpoint}`, {
-            method: 'GET',
-            headers: {
-                'X-VALR-API-KEY': credentials.apiKey,
-                'X-VALR-SIGNATURE': signature,
-                'X-VALR-TIMESTAMP': timestamp
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error(`VALR order status check failed: ${response.status}`);
-        }
-
-        return await response.json();
+        return await exchangeRegistry.get('valr').getOrderStatus(orderId, null, credentials);
     }
 
     async checkVALRDeposit(crypto, credentials) {
-        try {
-            // Get deposit history
-            const timestamp = Date.now().toString();
-            const endpoint = `/v1/wallet/crypto/deposit/history?currency=${crypto}`;
-            const payload = timestamp + 'GET' + endpoint;
-
-            const signature = crypto
-                .createHmac('sha512', credentials.apiSecret)
-                .update(payload)
-                .digest('hex');
-
-            const response = await fetch(`https://api.valr.com${endpoint}`, {
-                method: 'GET',
-                headers: {
-                    'X-VALR-API-KEY': credentials.apiKey,
-                    'X-VALR-SIGNATURE': signature,
-                    'X-VALR-TIMESTAMP': timestamp
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`VALR deposit check failed: ${response.status}`);
-            }
-
-            const deposits = await response.json();
-
-            // Look for most recent completed deposit
-            if (Array.isArray(deposits) && deposits.length > 0) {
-                const recentDeposit = deposits.find(d =>
-                    d.currencyCode === crypto &&
-                    d.confirmations >= d.confirmedThreshold
-                );
-
-                if (recentDeposit) {
-                    return {
-                        arrived: true,
-                        amount: parseFloat(recentDeposit.amount),
-                        confirmations: recentDeposit.confirmations,
-                        txHash: recentDeposit.transactionHash
-                    };
-                }
-            }
-
-            // Not arrived yet
-            return {
-                arrived: false,
-                amount: 0,
-                confirmations: 0,
-                txHash: null
-            };
-
-        } catch (error) {
-            systemLogger.error('VALR deposit check failed', {
-                crypto,
-                error: error.message
-            });
-            throw error;
-        }
+        return await this._checkAdapterDeposit('valr', crypto, null, credentials);
     }
 
     // ========================================
@@ -0,0 +1,168 @@
+/**
+ * Cycle Finder Service
+ * Discovers N-leg arbitrage cycles (3, 4 and 5 hops) from an exchange's live market list
+ *
+ * Markets are treated as an undirected currency graph: each pair BASE/QUOTE links
+ * QUOTE → BASE (buy the pair) and BASE → QUOTE (sell the pair). Every simple cycle that
+ * starts and ends on a start currency becomes a path in the same shape as the
+ * hand-written definitions: { id, pairs, sequence, steps: [{ pair, side }] }
+ */
+
+const { systemLogger } = require('../../utils/logger');
+
+const DEFAULT_START_CURRENCIES = ['USDT', 'USDC', 'USD', 'ZAR', 'EUR'];
+
+class CycleFinderService {
+    constructor() {
+        this.defaults = {
+            minLegs: 3,
+            maxLegs: 5,
+            maxCycles: 1000
+        };
+    }
+
+    /**
+     * Find cycles in a market list
+     * @param {Array} markets - [{ symbol, base, quote }] from adapter.fetchMarkets()
+     * @param {object} options - Discovery options
+     * @param {Array<string>} options.startCurrencies - Currencies cycles start/end on (default: common quote currencies)
+     * @param {Array<string>} options.currencies - Optional whitelist of currencies allowed inside a cycle
+     * @param {number} options.minLegs - Minimum cycle length (default: 3)
+     * @param {number} options.maxLegs - Maximum cycle length (default: 5, capped at 5)
+     * @param {number} options.maxCycles - Stop after this many cycles (default: 1000)
+     * @param {string} options.idPrefix - Path ID prefix (default: 'AUTO')
+     * @returns {Array} Path definitions
+     */
+    findCycles(markets, options = {}) {
+        const minLegs = Math.max(3, options.minLegs || this.defaults.minLegs);
+        const maxLegs = Math.min(5, Math.max(minLegs, options.maxLegs || this.defaults.maxLegs));
+        const maxCycles = options.maxCycles || this.defaults.maxCycles;
+        const idPrefix = options.idPrefix || 'AUTO';
+        const whitelist = options.currencies?.length
+            ? new Set(options.currencies.map(c => c.toUpperCase()))
+            : null;
+
+        const graph = this._buildGraph(markets, whitelist);
+        const startCurrencies = (options.startCurrencies?.length ? options.startCurrencies : DEFAULT_START_CURRENCIES)
+            .map(c => c.toUpperCase())
+            .filter(c => graph.has(c));
+
+        const cycles = [];
+        const seen = new Set();
+
+        for (const start of startCurrencies) {
+            if (cycles.length >= maxCycles) break;
+
+            const stack = [{ currency: start, steps: [], visited: new Set([start]), usedPairs: new Set() }];
+
+            while (stack.length > 0 && cycles.length < maxCycles) {
+                const { currency, steps, visited, usedPairs } = stack.pop();
+
+                for (const edge of graph.get(currency) || []) {
+                    if (usedPairs.has(edge.pair)) continue;
+
+                    const legs = steps.length + 1;
+
+                    // Closing edge back to the start currency
+                    if (edge.to === start) {
+                        if (legs < minLegs) continue;
+
+                        const cycleSteps = [...steps, edge];
+                        const key = `${start}|${cycleSteps.map(s => `${s.pair}:${s.side}`).join('|')}`;
+                        if (seen.has(key)) continue;
+                        seen.add(key);
+
+                        cycles.push(this._toPath(start, cycleSteps, idPrefix));
+                        if (cycles.length >= maxCycles) break;
+                        continue;
+                    }
+
+                    if (visited.has(edge.to) || legs >= maxLegs) continue;
+
+                    stack.push({
+                        currency: edge.to,
+                        steps: [...steps, edge],
+                        visited: new Set([...visited, edge.to]),
+                        usedPairs: new Set([...usedPairs, edge.pair])
+                    });
+                }
+            }
+        }
+
+        if (cycles.length >= maxCycles) {
+            systemLogger.warn(`Cycle discovery hit maxCycles limit`, {
+                maxCycles,
+                startCurrencies
+            });
+        }
+
+        return cycles;
+    }
+
+    /**
+     * Group discovered paths into sets by leg count (AUTO_3_LEG, AUTO_4_LEG, AUTO_5_LEG)
+     * @param {Array} paths - Path definitions from findCycles()
+     * @returns {object} Path sets keyed by set name
+     */
+    groupByLegs(paths) {
+        const sets = {};
+
+        for (const path of paths) {
+            const setName = `AUTO_${path.steps.length}_LEG`;
+            if (!sets[setName]) {
+                sets[setName] = [];
+            }
+            sets[setName].push(path);
+        }
+
+        return sets;
+    }
+
+    /**
+     * Build adjacency list: currency → [{ to, pair, side }]
+     * @private
+     */
+    _buildGraph(markets, whitelist) {
+        const graph = new Map();
+
+        const addEdge = (from, edge) => {
+            if (!graph.has(from)) {
+                graph.set(from, []);
+            }
+            graph.get(from).push(edge);
+        };
+
+        for (const market of markets || []) {
+            if (!market?.symbol || !market.base || !market.quote) continue;
+
+            const base = market.base.toUpperCase();
+            const quote = market.quote.toUpperCase();
+
+            if (base === quote) continue;
+            if (whitelist && (!whitelist.has(base) || !whitelist.has(quote))) continue;
+
+            // Spend QUOTE to get BASE = buy; spend BASE to get QUOTE = sell
+            addEdge(quote, { from: quote, to: base, pair: market.symbol, side: 'buy' });
+            addEdge(base, { from: base, to: quote, pair: market.symbol, side: 'sell' });
+        }
+
+        return graph;
+    }
+
+    /**
+     * Convert edge list to path definition
+     * @private
+     */
+    _toPath(start, edges, idPrefix) {
+        const currencies = [start, ...edges.map(edge => edge.to)];
+
+        return {
+            id: `${idPrefix}_${currencies.join('_')}`,
+            pairs: edges.map(edge => edge.pair),
+            sequence: currencies.join(' → '),
+            steps: edges.map(edge => ({ pair: edge.pair, side: edge.side }))
+        };
+    }
+}
+
+module.exports = CycleFinderService;
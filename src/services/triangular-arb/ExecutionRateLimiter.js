@@ -3,24 +3,36 @@
  * Prevents overwhelming exchanges with rapid consecutive executions
  *
  * Purpose: Avoid 429 rate limit errors during live trading by:
- * - Tracking last execution time per exchange
- * - Enforcing minimum delays between executions
- * - Queuing executions if exchange is busy
+ * - Locking a user's exchange while one of their executions runs
+ * - Enforcing a minimum delay between a user's executions on an exchange (per-user window)
+ * - Enforcing a minimum delay between any executions on an exchange (per-exchange window)
+ * - Spacing queued requests per exchange (ExecutionQueue)
+ *
+ * State lives in Redis when REDIS_URL is set, so every server instance shares it and it
+ * survives restarts; checks and locks are taken atomically (see RedisExecutionLockStore).
+ * Without REDIS_URL process-local state is used. While a configured Redis is unreachable,
+ * executions are refused (LOCK_STORE_UNAVAILABLE) - a process-local lock would not stop
+ * another instance from running the same execution.
  *
  * IMPORTANT: Shared singleton across all users and requests
  */
 
+const os = require('os');
 const { systemLogger } = require('../../utils/logger');
+const { getRedisClient } = require('../../database/redis');
+const MemoryExecutionLockStore = require('./MemoryExecutionLockStore');
+const RedisExecutionLockStore = require('./RedisExecutionLockStore');
+
+// Locks expire on their own if an instance dies mid-execution
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
 
 class ExecutionRateLimiter {
     constructor() {
-        // Track last execution time per exchange
-        this.lastExecutionTime = new Map();
-
-        // Track active executions per exchange
-        this.activeExecutions = new Map();
+        this.memoryStore = new MemoryExecutionLockStore();
+        this.redisStore = null;
+        this.instanceId = `${os.hostname()}:${process.pid}`;
 
-        // Exchange-specific rate limits (in milliseconds)
+        // Per-user window: minimum delay between one user's executions on an exchange (ms)
         this.rateLimits = {
             // South African exchanges (stricter limits)
             valr: 30000,      // 30 seconds between executions
@@ -52,188 +64,279 @@ class ExecutionRateLimiter {
             // Default for unknown exchanges
             default: 20000    // 20 seconds
         };
+
+        // Per-exchange window: minimum delay between executions by any user on an exchange (ms)
+        // Executions share the platform's IPs, so back-to-back orders from different users still add up
+        this.exchangeRateLimits = {
+            valr: 5000,
+            luno: 5000,
+            chainex: 5000,
+
+            // Default for every other exchange
+            default: 2000
+        };
     }
 
     /**
-     * Check if execution is allowed for an exchange
+     * Check if execution is allowed for an exchange (read-only - use acquireExecution to start one)
      * @param {string} exchange - Exchange name
      * @param {string} userId - User ID (for per-user rate limiting)
      * @returns {Promise<object>} { allowed: boolean, waitTime: number, message: string }
      */
     async checkExecutionAllowed(exchange, userId = 'anonymous') {
-        const exchangeLower = exchange.toLowerCase();
-        const now = Date.now();
-        const rateLimit = this.rateLimits[exchangeLower] || this.rateLimits.default;
-
-        // Create per-user-per-exchange key for multi-user platform
-        const userExchangeKey = `${userId}_${exchangeLower}`;
-
-        // Check if there's an active execution for THIS USER on THIS EXCHANGE
-        const activeCount = this.activeExecutions.get(userExchangeKey) || 0;
-        if (activeCount > 0) {
-            systemLogger.warn(`[RATE LIMIT] User's exchange busy - execution already in progress`, {
-                exchange: exchangeLower,
-                userId,
-                activeExecutions: activeCount,
-                userExchangeKey
-            });
+        const status = await this.getExchangeStatus(exchange, String(userId));
 
-            return {
-                allowed: false,
-                waitTime: 5000, // Suggest 5 second retry
-                message: `You have a trade in progress on ${exchange}. Please wait for it to complete.`,
-                reason: 'USER_EXCHANGE_BUSY'
-            };
+        if (status.status === 'READY') {
+            return { allowed: true, waitTime: 0, message: 'Execution allowed' };
         }
 
-        // Check last execution time for THIS USER on THIS EXCHANGE
-        const lastExecution = this.lastExecutionTime.get(userExchangeKey);
-        if (lastExecution) {
-            const timeSinceLastExecution = now - lastExecution;
-            const remainingWait = rateLimit - timeSinceLastExecution;
-
-            if (remainingWait > 0) {
-                systemLogger.warn(`[RATE LIMIT] Too soon since last execution for this user`, {
-                    exchange: exchangeLower,
-                    userId,
-                    userExchangeKey,
-                    timeSinceLastExecution: `${Math.floor(timeSinceLastExecution / 1000)}s`,
-                    requiredWait: `${Math.floor(rateLimit / 1000)}s`,
-                    remainingWait: `${Math.floor(remainingWait / 1000)}s`
-                });
-
-                return {
-                    allowed: false,
-                    waitTime: remainingWait,
-                    message: `Please wait ${Math.ceil(remainingWait / 1000)} seconds before executing another trade on ${exchange} to avoid rate limits.`,
-                    reason: 'RATE_LIMIT_COOLDOWN'
-                };
-            }
+        const reason = status.activeExecutions > 0
+            ? 'USER_EXCHANGE_BUSY'
+            : (status.userCooldownMs > 0 ? 'RATE_LIMIT_COOLDOWN' : 'EXCHANGE_COOLDOWN');
+        return this._blocked(status.exchange, reason, status.nextAvailableIn);
+    }
+
+    /**
+     * Atomically check and lock exchanges for an execution
+     * Either every exchange is locked (and its windows started) or none is.
+     * @param {string|Array<string>} exchanges - Exchange name(s) the execution trades on
+     * @param {string} executionId - Execution ID (only this execution can release the locks)
+     * @param {string} userId - User ID (for per-user locks and windows)
+     * @param {object} options - { lockTtlMs } - lock expiry if the execution never releases
+     * @returns {Promise<object>} { allowed, waitTime, message, reason, exchange }
+     */
+    async acquireExecution(exchanges, executionId, userId = 'anonymous', options = {}) {
+        const { lockTtlMs = DEFAULT_LOCK_TTL_MS } = options;
+        const entries = this._entries(exchanges, userId);
+        const holder = { executionId, startedAt: Date.now(), instance: this.instanceId };
+
+        const result = await this._run('acquire', entries, holder, lockTtlMs);
+
+        if (!result.acquired) {
+            systemLogger.warn(`[RATE LIMIT] Execution blocked`, {
+                exchange: result.exchange,
+                userId: String(userId),
+                executionId,
+                reason: result.reason,
+                waitTime: `${Math.ceil(result.waitTime / 1000)}s`
+            });
+            return this._blocked(result.exchange, result.reason, result.waitTime);
         }
 
-        // Execution allowed
-        systemLogger.trading(`[RATE LIMIT] ✅ Execution allowed`, {
-            exchange: exchangeLower,
-            userId,
-            userExchangeKey,
-            lastExecution: lastExecution ? `${Math.floor((now - lastExecution) / 1000)}s ago` : 'never'
+        systemLogger.trading(`[RATE LIMIT] ✅ Execution lock acquired`, {
+            exchanges: entries.map(entry => entry.exchange),
+            userId: String(userId),
+            executionId
         });
 
-        return {
-            allowed: true,
-            waitTime: 0,
-            message: 'Execution allowed'
-        };
+        return { allowed: true, waitTime: 0, message: 'Execution allowed' };
     }
 
     /**
-     * Mark execution as started
-     * @param {string} exchange - Exchange name
-     * @param {string} executionId - Execution ID for tracking
-     * @param {string} userId - User ID (for per-user tracking)
+     * Release an execution's locks (no-op for locks it does not hold)
+     * @param {string|Array<string>} exchanges - Exchange name(s) passed to acquireExecution
+     * @param {string} executionId - Execution ID
+     * @param {string} userId - User ID
      */
-    markExecutionStarted(exchange, executionId, userId = 'anonymous') {
-        const exchangeLower = exchange.toLowerCase();
-        const now = Date.now();
-        const userExchangeKey = `${userId}_${exchangeLower}`;
-
-        // Increment active execution count for this user+exchange
-        const currentActive = this.activeExecutions.get(userExchangeKey) || 0;
-        this.activeExecutions.set(userExchangeKey, currentActive + 1);
+    async releaseExecution(exchanges, executionId, userId = 'anonymous') {
+        const entries = this._entries(exchanges, userId);
 
-        // Update last execution time for this user+exchange
-        this.lastExecutionTime.set(userExchangeKey, now);
+        try {
+            const released = await this._run('release', entries, executionId);
 
-        systemLogger.trading(`[RATE LIMIT] Execution started`, {
-            exchange: exchangeLower,
-            executionId,
-            userId,
-            userExchangeKey,
-            activeExecutions: currentActive + 1
-        });
+            systemLogger.trading(`[RATE LIMIT] Execution completed`, {
+                exchanges: entries.map(entry => entry.exchange),
+                userId: String(userId),
+                executionId,
+                released
+            });
+        } catch (error) {
+            // Locks expire on their own - never fail an execution over its release
+            systemLogger.error(`[RATE LIMIT] Failed to release execution lock`, {
+                executionId,
+                error: error.message
+            });
+        }
     }
 
     /**
-     * Mark execution as completed
+     * Reserve the next request slot for an exchange, shared across instances
      * @param {string} exchange - Exchange name
-     * @param {string} executionId - Execution ID for tracking
-     * @param {string} userId - User ID (for per-user tracking)
+     * @param {number} intervalMs - Minimum spacing between requests
+     * @returns {Promise<number>} Milliseconds to wait before sending
      */
-    markExecutionCompleted(exchange, executionId, userId = 'anonymous') {
-        const exchangeLower = exchange.toLowerCase();
-        const userExchangeKey = `${userId}_${exchangeLower}`;
-
-        // Decrement active execution count for this user+exchange
-        const currentActive = this.activeExecutions.get(userExchangeKey) || 0;
-        const newActive = Math.max(0, currentActive - 1);
-
-        if (newActive === 0) {
-            this.activeExecutions.delete(userExchangeKey);
-        } else {
-            this.activeExecutions.set(userExchangeKey, newActive);
-        }
-
-        systemLogger.trading(`[RATE LIMIT] Execution completed`, {
-            exchange: exchangeLower,
-            executionId,
-            userId,
-            userExchangeKey,
-            activeExecutions: newActive
-        });
+    async reserveRequestSlot(exchange, intervalMs) {
+        return await this._run('reserveSlot', `queue:${exchange.toLowerCase()}`, intervalMs);
     }
 
     /**
      * Get current status for an exchange
      * @param {string} exchange - Exchange name
-     * @returns {object} Status information
+     * @param {string} userId - User ID (optional - without it, across every user on the exchange)
+     * @returns {Promise<object>} Status information
      */
-    getExchangeStatus(exchange) {
+    async getExchangeStatus(exchange, userId = null) {
         const exchangeLower = exchange.toLowerCase();
         const now = Date.now();
-        const lastExecution = this.lastExecutionTime.get(exchangeLower);
-        const activeCount = this.activeExecutions.get(exchangeLower) || 0;
         const rateLimit = this.rateLimits[exchangeLower] || this.rateLimits.default;
+        const exchangeRateLimit = this.exchangeRateLimits[exchangeLower] || this.exchangeRateLimits.default;
 
-        let nextAvailable = 0;
-        if (lastExecution) {
-            const timeSinceLastExecution = now - lastExecution;
-            const remainingWait = rateLimit - timeSinceLastExecution;
-            nextAvailable = remainingWait > 0 ? remainingWait : 0;
-        }
+        const { lastExecution, lastExchangeExecution, activeExecutions } = await this._run('getStatus', exchangeLower, userId);
+
+        const userCooldownMs = lastExecution ? Math.max(0, rateLimit - (now - lastExecution)) : 0;
+        const exchangeCooldownMs = lastExchangeExecution ? Math.max(0, exchangeRateLimit - (now - lastExchangeExecution)) : 0;
+        // Without a user, only the exchange-wide window applies to the next execution
+        const nextAvailable = userId ? Math.max(userCooldownMs, exchangeCooldownMs) : exchangeCooldownMs;
 
         return {
             exchange: exchangeLower,
-            activeExecutions: activeCount,
+            ...(userId && { userId }),
+            activeExecutions,
             lastExecutionAgo: lastExecution ? now - lastExecution : null,
             nextAvailableIn: nextAvailable,
+            userCooldownMs,
+            exchangeCooldownMs,
             rateLimitMs: rateLimit,
-            status: activeCount > 0 ? 'BUSY' : (nextAvailable > 0 ? 'COOLDOWN' : 'READY')
+            exchangeRateLimitMs: exchangeRateLimit,
+            status: activeExecutions > 0 ? 'BUSY' : (nextAvailable > 0 ? 'COOLDOWN' : 'READY')
         };
     }
 
     /**
      * Get status for all exchanges
-     * @returns {object} Status for all exchanges
+     * @returns {Promise<object>} Status for all exchanges
      */
-    getAllExchangeStatus() {
+    async getAllExchangeStatus() {
         const status = {};
         const allExchanges = Object.keys(this.rateLimits).filter(ex => ex !== 'default');
 
         for (const exchange of allExchanges) {
-            status[exchange] = this.getExchangeStatus(exchange);
+            status[exchange] = await this.getExchangeStatus(exchange);
         }
 
         return status;
     }
 
+    /**
+     * Current execution locks across every instance (admin view)
+     * @returns {Promise<object>} { backend, locks: [{ exchange, userId, executionId, startedAt, expiresIn, instance }] }
+     */
+    async listLocks() {
+        const store = await this._getStore();
+        const locks = await this._run('listLocks');
+
+        return {
+            backend: store.backend,
+            locks: locks.sort((a, b) => a.startedAt - b.startedAt)
+        };
+    }
+
+    /**
+     * Remove a stuck lock regardless of which execution holds it (admin)
+     * @param {string} exchange - Exchange name
+     * @param {string} userId - User ID
+     * @returns {Promise<boolean>} true if a lock was removed
+     */
+    async forceRelease(exchange, userId) {
+        const removed = await this._run('forceRelease', exchange.toLowerCase(), String(userId));
+
+        systemLogger.warn(`[RATE LIMIT] Execution lock force-released`, {
+            exchange: exchange.toLowerCase(),
+            userId: String(userId),
+            removed
+        });
+        return removed;
+    }
+
     /**
      * Reset rate limiter (for testing or emergency use)
      */
-    reset() {
-        this.lastExecutionTime.clear();
-        this.activeExecutions.clear();
+    async reset() {
+        await this._run('reset');
         systemLogger.warn(`[RATE LIMIT] Rate limiter reset - all exchange cooldowns cleared`);
     }
+
+    /**
+     * Redis store when REDIS_URL is set, process-local store otherwise
+     * @private
+     */
+    async _getStore() {
+        if (!process.env.REDIS_URL) {
+            return this.memoryStore;
+        }
+
+        const client = await getRedisClient();
+        if (!client) {
+            throw new Error('Redis is not connected');
+        }
+        if (!this.redisStore || this.redisStore.client !== client) {
+            this.redisStore = new RedisExecutionLockStore(client);
+        }
+        return this.redisStore;
+    }
+
+    /**
+     * Run a store operation
+     * A failing Redis never falls back to process-local state: acquire fails closed (not acquired),
+     * every other operation throws
+     * @private
+     */
+    async _run(operation, ...args) {
+        if (!process.env.REDIS_URL) {
+            return await this.memoryStore[operation](...args);
+        }
+
+        try {
+            const store = await this._getStore();
+            return await store[operation](...args);
+        } catch (error) {
+            systemLogger.error(`[RATE LIMIT] Redis ${operation} failed`, {
+                error: error.message
+            });
+
+            if (operation === 'acquire') {
+                const [entries] = args;
+                return { acquired: false, reason: 'LOCK_STORE_UNAVAILABLE', exchange: entries[0].exchange, waitTime: 5000 };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _entries(exchanges, userId) {
+        const exchangeList = Array.from(new Set((Array.isArray(exchanges) ? exchanges : [exchanges])
+            .map(exchange => exchange.toLowerCase())));
+
+        return exchangeList.map(exchange => ({
+            exchange,
+            userId: String(userId),
+            userWindowMs: this.rateLimits[exchange] || this.rateLimits.default,
+            exchangeWindowMs: this.exchangeRateLimits[exchange] || this.exchangeRateLimits.default
+        }));
+    }
+
+    /**
+     * @private
+     */
+    _blocked(exchange, reason, waitTime) {
+        const messages = {
+            USER_EXCHANGE_BUSY: `You have a trade in progress on ${exchange}. Please wait for it to complete.`,
+            RATE_LIMIT_COOLDOWN: `Please wait ${Math.ceil(waitTime / 1000)} seconds before executing another trade on ${exchange} to avoid rate limits.`,
+            EXCHANGE_COOLDOWN: `${exchange} is handling another execution. Please retry in ${Math.ceil(waitTime / 1000)} seconds.`,
+            LOCK_STORE_UNAVAILABLE: `Execution locking is unavailable (Redis unreachable). Please retry in ${Math.ceil(waitTime / 1000)} seconds.`
+        };
+
+        return {
+            allowed: false,
+            // A running trade can take a while - suggest a short retry instead of the lock expiry
+            waitTime: reason === 'USER_EXCHANGE_BUSY' ? 5000 : waitTime,
+            message: messages[reason],
+            reason,
+            exchange
+        };
+    }
 }
 
 // Export singleton instance
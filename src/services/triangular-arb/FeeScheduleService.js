@@ -0,0 +1,162 @@
+/**
+ * Fee Schedule Service
+ * Resolves the maker/taker fees a specific user actually pays on an exchange
+ *
+ * Precedence (first match wins, per pair):
+ * 1. user_pair_override     - user's override for this exact pair
+ * 2. user_exchange_override - user's override for every pair on the exchange ('*')
+ * 3. exchange_api           - account fee endpoint (VIP tier, token discounts, promo pairs)
+ * 4. static_default         - ProfitCalculatorService.feeStructures (applied by the calculator)
+ *
+ * IMPORTANT: Stateless with respect to credentials - they are used for the fee request only.
+ * Fetched fee tables are cached per exchange + hashed API key.
+ */
+
+const crypto = require('crypto');
+const { systemLogger } = require('../../utils/logger');
+const exchangeRegistry = require('../exchanges/ExchangeRegistry');
+const TriangularFeeOverride = require('../../models/TriangularFeeOverride');
+
+// Account fee tiers change rarely - refetch at most once per hour
+const EXCHANGE_FEE_TTL_MS = 60 * 60 * 1000;
+
+class FeeScheduleService {
+    constructor() {
+        // cacheKey → { fees, fetchedAt }
+        this.exchangeFeeCache = new Map();
+    }
+
+    /**
+     * Resolve the fee schedule for a scan
+     * @param {string} exchange - Exchange name
+     * @param {Array<string>} pairs - Pairs the scan will price
+     * @param {object} context - { userId, credentials }
+     * @returns {Promise<object>} { default: { maker, taker, source } | null, pairs: { [pair]: { maker, taker, source } } }
+     */
+    async resolve(exchange, pairs, context = {}) {
+        const { userId, credentials } = context;
+        const exchangeLower = exchange.toLowerCase();
+        const schedule = { default: null, pairs: {} };
+
+        // Exchange-reported fees (lowest precedence of the resolved sources)
+        const exchangeFees = await this._getExchangeFees(exchangeLower, pairs, credentials);
+        if (exchangeFees) {
+            if (exchangeFees.maker !== null && exchangeFees.taker !== null) {
+                schedule.default = { maker: exchangeFees.maker, taker: exchangeFees.taker, source: 'exchange_api' };
+            }
+            for (const [pair, fee] of Object.entries(exchangeFees.pairs || {})) {
+                schedule.pairs[pair] = { maker: fee.maker, taker: fee.taker, source: 'exchange_api' };
+            }
+        }
+
+        // User overrides win over anything the exchange reports
+        const overrides = await this._getUserOverrides(userId, exchangeLower);
+        for (const override of overrides) {
+            const fee = {
+                maker: parseFloat(override.maker_fee),
+                taker: parseFloat(override.taker_fee)
+            };
+
+            if (override.pair === '*') {
+                schedule.default = { ...fee, source: 'user_exchange_override' };
+                // An exchange-wide override replaces exchange-reported pair fees, not pair overrides
+                for (const pair of Object.keys(schedule.pairs)) {
+                    if (schedule.pairs[pair].source === 'exchange_api') {
+                        delete schedule.pairs[pair];
+                    }
+                }
+            }
+        }
+        for (const override of overrides) {
+            if (override.pair !== '*') {
+                schedule.pairs[override.pair] = {
+                    maker: parseFloat(override.maker_fee),
+                    taker: parseFloat(override.taker_fee),
+                    source: 'user_pair_override'
+                };
+            }
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Drop cached exchange fees (e.g. after a user reports a tier change)
+     * @param {string} exchange - Exchange name (omit to clear everything)
+     */
+    clearCache(exchange = null) {
+        if (!exchange) {
+            this.exchangeFeeCache.clear();
+            return;
+        }
+
+        const prefix = `${exchange.toLowerCase()}:`;
+        for (const key of this.exchangeFeeCache.keys()) {
+            if (key.startsWith(prefix)) {
+                this.exchangeFeeCache.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Fetch (or reuse cached) account fees from the exchange
+     * @private
+     */
+    async _getExchangeFees(exchange, pairs, credentials) {
+        if (!credentials?.apiKey || !exchangeRegistry.supports(exchange, 'fetchTradingFees')) {
+            return null;
+        }
+
+        const keyHash = crypto.createHash('sha256').update(credentials.apiKey).digest('hex').slice(0, 16);
+        const cacheKey = `${exchange}:${keyHash}`;
+        const cached = this.exchangeFeeCache.get(cacheKey);
+
+        // Reuse cache only if it covers every requested pair
+        if (cached && Date.now() - cached.fetchedAt < EXCHANGE_FEE_TTL_MS &&
+            pairs.every(pair => cached.fees.pairs[pair] || cached.requestedPairs.has(pair))) {
+            return cached.fees;
+        }
+
+        try {
+            const fees = await exchangeRegistry.get(exchange).fetchTradingFees(credentials, pairs);
+
+            this.exchangeFeeCache.set(cacheKey, {
+                fees,
+                requestedPairs: new Set(pairs),
+                fetchedAt: Date.now()
+            });
+
+            return fees;
+
+        } catch (error) {
+            // Fall back to overrides/static defaults rather than failing the scan
+            systemLogger.warn(`Exchange fee fetch failed, using fallback fees`, {
+                exchange,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _getUserOverrides(userId, exchange) {
+        if (!userId) {
+            return [];
+        }
+
+        try {
+            return await TriangularFeeOverride.getByUser(userId, exchange);
+        } catch (error) {
+            systemLogger.warn(`Fee override lookup failed`, {
+                userId,
+                exchange,
+                error: error.message
+            });
+            return [];
+        }
+    }
+}
+
+module.exports = FeeScheduleService;
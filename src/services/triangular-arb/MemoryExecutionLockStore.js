@@ -0,0 +1,152 @@
+/**
+ * Memory Execution Lock Store
+ * Process-local execution locks and rate-limit windows for ExecutionRateLimiter
+ *
+ * Used when Redis is not configured (single instance, development). Same semantics as
+ * RedisExecutionLockStore, but state is lost on restart and not shared between instances.
+ */
+
+class MemoryExecutionLockStore {
+    constructor() {
+        this.backend = 'memory';
+
+        // `${userId}_${exchange}` → { executionId, userId, exchange, startedAt, expiresAt, instance }
+        this.locks = new Map();
+
+        // `${userId}_${exchange}` → last execution time (per-user window)
+        this.lastExecutionTime = new Map();
+
+        // exchange → last execution time by any user (per-exchange window)
+        this.lastExchangeExecutionTime = new Map();
+
+        // key → next free request slot (ExecutionQueue spacing)
+        this.requestSlots = new Map();
+    }
+
+    /**
+     * Atomically check every entry and, if all are free, lock them and open their windows
+     * @param {Array<object>} entries - [{ exchange, userId, userWindowMs, exchangeWindowMs }]
+     * @param {object} holder - { executionId, startedAt, instance }
+     * @param {number} lockTtlMs - Lock expiry (safety net for crashed executions)
+     * @returns {Promise<object>} { acquired: true } or { acquired: false, reason, exchange, waitTime }
+     */
+    async acquire(entries, holder, lockTtlMs) {
+        const now = Date.now();
+        this._expireLocks(now);
+
+        for (const entry of entries) {
+            const key = `${entry.userId}_${entry.exchange}`;
+            const lock = this.locks.get(key);
+            if (lock) {
+                return { acquired: false, reason: 'USER_EXCHANGE_BUSY', exchange: entry.exchange, waitTime: lock.expiresAt - now };
+            }
+
+            const lastExecution = this.lastExecutionTime.get(key);
+            if (lastExecution && now - lastExecution < entry.userWindowMs) {
+                return { acquired: false, reason: 'RATE_LIMIT_COOLDOWN', exchange: entry.exchange, waitTime: entry.userWindowMs - (now - lastExecution) };
+            }
+
+            const lastExchangeExecution = this.lastExchangeExecutionTime.get(entry.exchange);
+            if (lastExchangeExecution && now - lastExchangeExecution < entry.exchangeWindowMs) {
+                return { acquired: false, reason: 'EXCHANGE_COOLDOWN', exchange: entry.exchange, waitTime: entry.exchangeWindowMs - (now - lastExchangeExecution) };
+            }
+        }
+
+        for (const entry of entries) {
+            const key = `${entry.userId}_${entry.exchange}`;
+            this.locks.set(key, { ...holder, userId: entry.userId, exchange: entry.exchange, expiresAt: now + lockTtlMs });
+            this.lastExecutionTime.set(key, now);
+            this.lastExchangeExecutionTime.set(entry.exchange, now);
+        }
+
+        return { acquired: true };
+    }
+
+    /**
+     * Release locks held by an execution (locks taken over by another execution are left alone)
+     * @returns {Promise<number>} Locks released
+     */
+    async release(entries, executionId) {
+        let released = 0;
+
+        for (const entry of entries) {
+            const key = `${entry.userId}_${entry.exchange}`;
+            if (this.locks.get(key)?.executionId === executionId) {
+                this.locks.delete(key);
+                released++;
+            }
+        }
+
+        return released;
+    }
+
+    /**
+     * Remove a lock regardless of holder (admin)
+     * @returns {Promise<boolean>} true if a lock was removed
+     */
+    async forceRelease(exchange, userId) {
+        return this.locks.delete(`${userId}_${exchange}`);
+    }
+
+    /**
+     * Window and lock state for one user on an exchange, or every user when userId is null
+     * @returns {Promise<object>} { lastExecution, lastExchangeExecution, activeExecutions }
+     */
+    async getStatus(exchange, userId = null) {
+        this._expireLocks(Date.now());
+
+        const matches = key => userId ? key === `${userId}_${exchange}` : key.endsWith(`_${exchange}`);
+        const lastExecution = Array.from(this.lastExecutionTime.entries())
+            .filter(([key]) => matches(key))
+            .reduce((latest, [, time]) => Math.max(latest, time), 0) || null;
+        const activeExecutions = Array.from(this.locks.keys()).filter(matches).length;
+
+        return {
+            lastExecution,
+            lastExchangeExecution: this.lastExchangeExecutionTime.get(exchange) || null,
+            activeExecutions
+        };
+    }
+
+    /**
+     * Every current lock
+     * @returns {Promise<Array<object>>}
+     */
+    async listLocks() {
+        const now = Date.now();
+        this._expireLocks(now);
+
+        return Array.from(this.locks.values()).map(({ expiresAt, ...lock }) => ({ ...lock, expiresIn: expiresAt - now }));
+    }
+
+    /**
+     * Reserve the next request slot at least intervalMs after the previous one
+     * @returns {Promise<number>} Milliseconds to wait before the slot starts
+     */
+    async reserveSlot(key, intervalMs) {
+        const now = Date.now();
+        const slot = Math.max(now, this.requestSlots.get(key) || 0);
+        this.requestSlots.set(key, slot + intervalMs);
+        return slot - now;
+    }
+
+    async reset() {
+        this.locks.clear();
+        this.lastExecutionTime.clear();
+        this.lastExchangeExecutionTime.clear();
+        this.requestSlots.clear();
+    }
+
+    /**
+     * @private
+     */
+    _expireLocks(now) {
+        for (const [key, lock] of this.locks) {
+            if (lock.expiresAt <= now) {
+                this.locks.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = MemoryExecutionLockStore;
@@ -4,10 +4,14 @@
  *
  * IMPORTANT: Stateless - credentials passed as parameters
  * Acts as CORS proxy, formatting requests per exchange specification
+ *
+ * Pairs with a live WebSocket book (OrderBookStreamService) are served from the stream;
+ * only the remaining pairs are fetched over REST.
  */
 
 const { systemLogger } = require('../../utils/logger');
 const ExchangeConnectorService = require('./ExchangeConnectorService');
+const orderBookStreamService = require('./OrderBookStreamService');
 
 class OrderBookFetcherService {
     constructor() {
@@ -22,17 +26,21 @@ class OrderBookFetcherService {
      * @returns {Promise<object>} Order books mapped by pair
      */
     async fetchMultiple(exchange, pairs, credentials) {
-        systemLogger.trading(`Fetching ${pairs.length} order books from ${exchange} (sequential with rate limiting)`);
+        // Live streamed books first (sub-second), REST for whatever is not streamed/synced
+        const { books: streamedBooks, missing: restPairs } = orderBookStreamService.getOrderBooks(exchange, pairs);
+        const streamedCount = Object.keys(streamedBooks).length;
+
+        systemLogger.trading(`Fetching ${pairs.length} order books from ${exchange} (${streamedCount} streamed, ${restPairs.length} via REST sequential with rate limiting)`);
 
         try {
             // Fetch order books SEQUENTIALLY with delays to avoid rate limiting
             // VALR and other exchanges have rate limits, parallel fetching causes 429 errors
-            const orderBooks = {};
-            let successCount = 0;
+            const orderBooks = { ...streamedBooks };
+            let successCount = streamedCount;
             let errorCount = 0;
 
-            for (let i = 0; i < pairs.length; i++) {
-                const pair = pairs[i];
+            for (let i = 0; i < restPairs.length; i++) {
+                const pair = restPairs[i];
 
                 try {
                     const orderBook = await this._fetchSingle(exchange, pair, credentials);
@@ -48,7 +56,7 @@ class OrderBookFetcherService {
 
                 // Add delay between requests to avoid rate limiting (except for last request)
                 // VALR has strict rate limits - 5 second delay prevents 429 errors
-                if (i < pairs.length - 1) {
+                if (i < restPairs.length - 1) {
                     await new Promise(resolve => setTimeout(resolve, 5000)); // 5 second delay between requests
                 }
             }
@@ -56,6 +64,7 @@ class OrderBookFetcherService {
             systemLogger.trading(`Order book fetch complete`, {
                 exchange,
                 success: successCount,
+                streamed: streamedCount,
                 errors: errorCount,
                 total: pairs.length
             });
@@ -0,0 +1,229 @@
+/**
+ * Order Book Recorder Service
+ * Periodically snapshots the order books of every pair in an exchange's path sets
+ * into triangular_orderbook_snapshots for backtesting
+ *
+ * One recording round = all pairs fetched through OrderBookFetcherService (live stream
+ * books where available, REST otherwise) and stored under the same captured_at.
+ * The next round starts intervalMs after the previous one finished, so slow REST
+ * rounds never overlap.
+ *
+ * Records public market data only - no credentials are used or stored.
+ */
+
+const { systemLogger } = require('../../utils/logger');
+const TriangularOrderBookSnapshot = require('../../models/TriangularOrderBookSnapshot');
+const orderBookStreamService = require('./OrderBookStreamService');
+const triangularArbService = require('./TriangularArbService');
+
+const MIN_INTERVAL_MS = 1000;
+const DEFAULT_DEPTH = 20;
+
+class OrderBookRecorderService {
+    constructor() {
+        // exchange → recorder
+        this.recorders = new Map();
+    }
+
+    /**
+     * Start recording an exchange (restarts with new settings if already recording)
+     * @param {string} exchange - Exchange name
+     * @param {object} options - { paths, intervalMs, depth, startedBy }
+     * @returns {object} Recorder status
+     */
+    start(exchange, options = {}) {
+        const exchangeLower = exchange.toLowerCase();
+        const { paths = 'all', intervalMs = 10000, depth = DEFAULT_DEPTH, startedBy = null } = options;
+
+        const pairs = this._pairsForPaths(exchangeLower, paths);
+        if (pairs.length === 0) {
+            throw new Error(`No path pairs found for ${exchangeLower} (paths: ${paths})`);
+        }
+
+        this.stop(exchangeLower);
+
+        const recorder = {
+            exchange: exchangeLower,
+            paths,
+            pairs,
+            intervalMs: Math.max(intervalMs, MIN_INTERVAL_MS),
+            depth,
+            startedBy,
+            startedAt: new Date().toISOString(),
+            rounds: 0,
+            snapshots: 0,
+            errors: 0,
+            lastRoundAt: null,
+            lastError: null,
+            timer: null
+        };
+
+        this.recorders.set(exchangeLower, recorder);
+
+        systemLogger.trading(`Order book recorder started`, {
+            exchange: exchangeLower,
+            paths,
+            pairs: pairs.length,
+            intervalMs: recorder.intervalMs,
+            depth,
+            startedBy
+        });
+
+        this._schedule(recorder, 0);
+        return this._publicStatus(recorder);
+    }
+
+    /**
+     * Stop recording an exchange
+     * @returns {boolean} true if it was recording
+     */
+    stop(exchange) {
+        const exchangeLower = exchange.toLowerCase();
+        const recorder = this.recorders.get(exchangeLower);
+
+        if (!recorder) {
+            return false;
+        }
+
+        clearTimeout(recorder.timer);
+        this.recorders.delete(exchangeLower);
+
+        systemLogger.trading(`Order book recorder stopped`, {
+            exchange: exchangeLower,
+            rounds: recorder.rounds,
+            snapshots: recorder.snapshots
+        });
+        return true;
+    }
+
+    /**
+     * Stop every recorder (server shutdown)
+     */
+    stopAll() {
+        for (const exchange of Array.from(this.recorders.keys())) {
+            this.stop(exchange);
+        }
+    }
+
+    /**
+     * Recorder status (one exchange or all running)
+     */
+    getStatus(exchange = null) {
+        if (exchange) {
+            const recorder = this.recorders.get(exchange.toLowerCase());
+            return recorder ? this._publicStatus(recorder) : null;
+        }
+
+        return Array.from(this.recorders.values()).map(recorder => this._publicStatus(recorder));
+    }
+
+    /**
+     * Fetch and store one round
+     * @param {string} exchange - Exchange name
+     * @param {Array<string>} pairs - Pairs to snapshot
+     * @param {number} depth - Levels per side to keep
+     * @returns {Promise<object>} { capturedAt, stored, missing }
+     */
+    async recordRound(exchange, pairs, depth = DEFAULT_DEPTH) {
+        // Public streams give near-simultaneous books for the whole round
+        if (orderBookStreamService.supports(exchange)) {
+            try {
+                await orderBookStreamService.ensureStreaming(exchange, pairs, null, { waitForSyncMs: 0 });
+            } catch (error) {
+                systemLogger.warn(`Recorder could not start order book stream, using REST`, {
+                    exchange,
+                    error: error.message
+                });
+            }
+        }
+
+        const capturedAt = new Date();
+        const orderBooks = await triangularArbService.orderBookFetcher.fetchMultiple(exchange, pairs, null);
+
+        const books = Object.entries(orderBooks)
+            .map(([pair, orderBook]) => ({
+                pair,
+                source: orderBook.source === 'stream' ? 'stream' : 'rest',
+                bids: this._normalizeLevels(orderBook.Bids || orderBook.bids, depth),
+                asks: this._normalizeLevels(orderBook.Asks || orderBook.asks, depth)
+            }))
+            .filter(book => book.bids.length > 0 && book.asks.length > 0);
+
+        const stored = await TriangularOrderBookSnapshot.createRound(exchange, capturedAt, books);
+
+        return {
+            capturedAt: capturedAt.toISOString(),
+            stored,
+            missing: pairs.filter(pair => !books.some(book => book.pair === pair))
+        };
+    }
+
+    /**
+     * @private
+     */
+    _schedule(recorder, delayMs) {
+        recorder.timer = setTimeout(() => this._round(recorder), delayMs);
+        recorder.timer.unref();
+    }
+
+    /**
+     * @private
+     */
+    async _round(recorder) {
+        if (this.recorders.get(recorder.exchange) !== recorder) {
+            return;
+        }
+
+        try {
+            const result = await this.recordRound(recorder.exchange, recorder.pairs, recorder.depth);
+            recorder.rounds++;
+            recorder.snapshots += result.stored;
+            recorder.lastRoundAt = result.capturedAt;
+        } catch (error) {
+            recorder.errors++;
+            recorder.lastError = error.message;
+            systemLogger.error(`Order book recording round failed`, {
+                exchange: recorder.exchange,
+                error: error.message
+            });
+        }
+
+        if (this.recorders.get(recorder.exchange) === recorder) {
+            this._schedule(recorder, recorder.intervalMs);
+        }
+    }
+
+    /**
+     * Unique pairs of the selected path sets
+     * @private
+     */
+    _pairsForPaths(exchange, paths) {
+        const pathsToRecord = triangularArbService.pathDefinitions.getPathsForExchange(exchange, paths) || [];
+        return Array.from(new Set(pathsToRecord.flatMap(path => path.pairs || [])));
+    }
+
+    /**
+     * Exchange level formats → [[price, quantity]] (best first, numeric)
+     * @private
+     */
+    _normalizeLevels(levels, depth) {
+        return (levels || [])
+            .slice(0, depth)
+            .map(level => [
+                parseFloat(level.price ?? level[0]),
+                parseFloat(level.quantity ?? level.volume ?? level.amount ?? level.size ?? level[1])
+            ])
+            .filter(([price, quantity]) => price > 0 && quantity > 0);
+    }
+
+    /**
+     * @private
+     */
+    _publicStatus(recorder) {
+        const { timer, ...status } = recorder;
+        return { ...status, pairs: recorder.pairs.length };
+    }
+}
+
+// Export singleton instance (one recorder per exchange, process-wide)
+module.exports = new OrderBookRecorderService();
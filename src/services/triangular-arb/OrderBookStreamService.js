@@ -0,0 +1,193 @@
+/**
+ * Order Book Stream Service
+ * Live local order books from exchange WebSocket feeds for triangular scanning
+ *
+ * Scans ask for streams on the pairs they price; OrderBookFetcherService then serves synced
+ * streamed books instantly and only falls back to (slow, sequential) REST for the rest.
+ * Streams nobody has asked for within IDLE_TIMEOUT_MS are closed.
+ *
+ * IMPORTANT: Credentials are only used for the socket handshake (VALR, Luno), never stored.
+ */
+
+const { systemLogger } = require('../../utils/logger');
+const VALROrderBookStream = require('../exchanges/streams/VALROrderBookStream');
+const LunoOrderBookStream = require('../exchanges/streams/LunoOrderBookStream');
+const BinanceOrderBookStream = require('../exchanges/streams/BinanceOrderBookStream');
+const KrakenOrderBookStream = require('../exchanges/streams/KrakenOrderBookStream');
+const { isRedirected } = require('../exchange-simulator/fetchRedirect');
+
+const IDLE_TIMEOUT_MS = 10 * 60 * 1000;
+const IDLE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// A synced book is served as long as its socket has delivered anything (update or heartbeat) recently
+const DEFAULT_MAX_SILENCE_MS = 30000;
+
+class OrderBookStreamService {
+    constructor() {
+        this.streamClasses = {
+            valr: VALROrderBookStream,
+            luno: LunoOrderBookStream,
+            binance: BinanceOrderBookStream,
+            kraken: KrakenOrderBookStream
+        };
+
+        // exchange → { stream, lastRequestedAt }
+        this.streams = new Map();
+        this.idleSweep = null;
+    }
+
+    /**
+     * Check if an exchange has a WebSocket order book implementation
+     * @param {string} exchange - Exchange name
+     * @returns {boolean}
+     */
+    supports(exchange) {
+        // Simulator dry runs read scripted REST books - live sockets would bypass them
+        return !!this.streamClasses[exchange.toLowerCase()] && !isRedirected(exchange);
+    }
+
+    /**
+     * Start streaming pairs (no-op for pairs already streamed) and wait briefly for initial sync
+     * @param {string} exchange - Exchange name
+     * @param {Array<string>} pairs - Pairs in exchange format
+     * @param {object} credentials - Needed for VALR/Luno sockets (optional for public streams)
+     * @param {object} options - { waitForSyncMs }
+     * @returns {Promise<object>} { streaming, synced, syncedPairs }
+     */
+    async ensureStreaming(exchange, pairs, credentials = null, options = {}) {
+        const { waitForSyncMs = 5000 } = options;
+        const exchangeLower = exchange.toLowerCase();
+
+        if (!this.supports(exchangeLower)) {
+            return { streaming: false, synced: false, syncedPairs: [] };
+        }
+
+        let entry = this.streams.get(exchangeLower);
+        if (!entry) {
+            entry = { stream: new this.streamClasses[exchangeLower](), lastRequestedAt: Date.now() };
+            this.streams.set(exchangeLower, entry);
+            this._startIdleSweep();
+        }
+        entry.lastRequestedAt = Date.now();
+
+        if (entry.stream.requiresCredentials && !credentials?.apiKey) {
+            // Without credentials we can still use books from a socket someone else opened
+            return this._syncState(entry.stream, pairs, false);
+        }
+
+        await entry.stream.subscribe(pairs, credentials);
+        const synced = waitForSyncMs > 0 ? await entry.stream.waitForSync(pairs, waitForSyncMs) : false;
+
+        systemLogger.trading(`Order book streaming ensured`, {
+            exchange: exchangeLower,
+            pairs: pairs.length,
+            synced
+        });
+
+        return this._syncState(entry.stream, pairs, true);
+    }
+
+    /**
+     * Get synced streamed books
+     * @param {string} exchange - Exchange name
+     * @param {Array<string>} pairs - Pairs wanted
+     * @param {object} options - { maxSilenceMs }
+     * @returns {object} { books: { [pair]: orderBook }, missing: [pairs without a live book] }
+     */
+    getOrderBooks(exchange, pairs, options = {}) {
+        const { maxSilenceMs = DEFAULT_MAX_SILENCE_MS } = options;
+        const entry = this.streams.get(exchange.toLowerCase());
+        const books = {};
+        const missing = [];
+
+        for (const pair of pairs) {
+            const book = entry?.stream.getBook(pair, maxSilenceMs);
+            if (book) {
+                books[pair] = book;
+            } else {
+                missing.push(pair);
+            }
+        }
+
+        return { books, missing };
+    }
+
+    /**
+     * Stream health (one exchange or all)
+     * @param {string} exchange - Exchange name (optional)
+     * @returns {object|Array<object>}
+     */
+    getStatus(exchange = null) {
+        if (exchange) {
+            const entry = this.streams.get(exchange.toLowerCase());
+            return entry
+                ? { ...entry.stream.status(), lastRequestedAt: new Date(entry.lastRequestedAt).toISOString() }
+                : { exchange: exchange.toLowerCase(), connections: [], books: {}, stats: null };
+        }
+
+        return Array.from(this.streams.keys()).map(name => this.getStatus(name));
+    }
+
+    /**
+     * Close an exchange's stream
+     * @param {string} exchange - Exchange name
+     * @returns {boolean} true if a stream was running
+     */
+    stop(exchange) {
+        const exchangeLower = exchange.toLowerCase();
+        const entry = this.streams.get(exchangeLower);
+
+        if (!entry) {
+            return false;
+        }
+
+        entry.stream.stop();
+        this.streams.delete(exchangeLower);
+
+        systemLogger.trading(`Order book stream stopped`, { exchange: exchangeLower });
+        return true;
+    }
+
+    /**
+     * Close every stream (server shutdown)
+     */
+    stopAll() {
+        for (const exchange of Array.from(this.streams.keys())) {
+            this.stop(exchange);
+        }
+
+        if (this.idleSweep) {
+            clearInterval(this.idleSweep);
+            this.idleSweep = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _syncState(stream, pairs, streaming) {
+        const syncedPairs = pairs.filter(pair => stream.books.get(pair)?.synced);
+        return { streaming, synced: syncedPairs.length === pairs.length, syncedPairs };
+    }
+
+    /**
+     * @private
+     */
+    _startIdleSweep() {
+        if (this.idleSweep) {
+            return;
+        }
+
+        this.idleSweep = setInterval(() => {
+            for (const [exchange, entry] of this.streams) {
+                if (Date.now() - entry.lastRequestedAt > IDLE_TIMEOUT_MS) {
+                    this.stop(exchange);
+                }
+            }
+        }, IDLE_SWEEP_INTERVAL_MS);
+        this.idleSweep.unref();
+    }
+}
+
+// Export singleton instance (shared books across all scans)
+module.exports = new OrderBookStreamService();
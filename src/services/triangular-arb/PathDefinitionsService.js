@@ -7,9 +7,18 @@
  * - pairs: Trading pairs involved
  * - sequence: Human-readable description
  * - steps: Array of trading steps with pair and side (buy/sell)
+ *
+ * Hand-written sets below are the fallback. Exchanges whose adapter supports fetchMarkets
+ * can also have 3-5 leg cycles discovered from their live market list (discoverPaths),
+ * stored alongside the static sets as AUTO_3_LEG / AUTO_4_LEG / AUTO_5_LEG.
  */
 
 const { systemLogger } = require('../../utils/logger');
+const exchangeRegistry = require('../exchanges/ExchangeRegistry');
+const CycleFinderService = require('./CycleFinderService');
+
+// Discovered cycles are rebuilt from the market list at most once per hour
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
 
 class PathDefinitionsService {
     constructor() {
@@ -38,6 +47,62 @@ class PathDefinitionsService {
             gemini: this._initializeGeminiPaths(),
             coincatch: this._initializeCoincatchPaths()
         };
+
+        // Auto-discovered cycles per exchange: { sets, options, discoveredAt }
+        this.discoveredPaths = {};
+        this.cycleFinder = new CycleFinderService();
+    }
+
+    /**
+     * Discover 3-5 leg cycles from the exchange's live market list
+     * @param {string} exchange - Exchange name
+     * @param {object} options - { startCurrencies, currencies, minLegs, maxLegs, maxCycles, forceRefresh }
+     * @returns {Promise<object>} Discovered path sets ({ AUTO_3_LEG: [...], AUTO_4_LEG: [...], ... })
+     */
+    async discoverPaths(exchange, options = {}) {
+        const exchangeLower = exchange.toLowerCase();
+
+        if (!exchangeRegistry.supports(exchangeLower, 'fetchMarkets')) {
+            throw new Error(`Path discovery not supported for ${exchange}`);
+        }
+
+        const { forceRefresh = false, ...discoveryOptions } = options;
+        const optionsKey = JSON.stringify(discoveryOptions);
+        const cached = this.discoveredPaths[exchangeLower];
+
+        if (!forceRefresh && cached && cached.optionsKey === optionsKey &&
+            Date.now() - cached.discoveredAt < DISCOVERY_TTL_MS) {
+            return cached.sets;
+        }
+
+        const markets = await exchangeRegistry.get(exchangeLower).fetchMarkets();
+        const paths = this.cycleFinder.findCycles(markets, discoveryOptions);
+        const sets = this.cycleFinder.groupByLegs(paths);
+
+        this.discoveredPaths[exchangeLower] = {
+            sets,
+            optionsKey,
+            discoveredAt: Date.now()
+        };
+
+        systemLogger.trading(`Discovered cycles from live markets`, {
+            exchange: exchangeLower,
+            markets: markets.length,
+            cycles: paths.length,
+            sets: Object.fromEntries(Object.entries(sets).map(([name, list]) => [name, list.length]))
+        });
+
+        return sets;
+    }
+
+    /**
+     * Get discovered paths for an exchange (flattened, empty if discovery has not run)
+     * @param {string} exchange - Exchange name
+     * @returns {Array} Discovered paths
+     */
+    getDiscoveredPaths(exchange) {
+        const discovered = this.discoveredPaths[exchange.toLowerCase()];
+        return discovered ? this._flattenPathSets(discovered.sets) : [];
     }
 
     /**
@@ -48,13 +113,18 @@ class PathDefinitionsService {
      */
     getPathsForExchange(exchange, pathFilter = 'all') {
         const exchangeLower = exchange.toLowerCase();
-        const allPaths = this.paths[exchangeLower];
+        const allPaths = this._getPathSets(exchangeLower);
 
         if (!allPaths) {
             systemLogger.warn(`No path definitions for exchange: ${exchange}`);
             return [];
         }
 
+        // Only the auto-discovered cycles
+        if (pathFilter === 'discovered') {
+            return this.getDiscoveredPaths(exchangeLower);
+        }
+
         // If requesting all paths, flatten all sets
         if (pathFilter === 'all' || !pathFilter) {
             return this._flattenPathSets(allPaths);
@@ -92,7 +162,7 @@ class PathDefinitionsService {
      */
     getAvailablePathSets(exchange) {
         const exchangeLower = exchange.toLowerCase();
-        const allPaths = this.paths[exchangeLower];
+        const allPaths = this._getPathSets(exchangeLower);
 
         if (!allPaths || typeof allPaths !== 'object') {
             return [];
@@ -101,6 +171,21 @@ class PathDefinitionsService {
         return Object.keys(allPaths);
     }
 
+    /**
+     * Static path sets merged with any discovered sets
+     * @private
+     */
+    _getPathSets(exchangeLower) {
+        const staticSets = this.paths[exchangeLower];
+        const discovered = this.discoveredPaths[exchangeLower];
+
+        if (!discovered) {
+            return staticSets;
+        }
+
+        return { ...(staticSets || {}), ...discovered.sets };
+    }
+
     /**
      * Flatten path sets into single array
      * @private
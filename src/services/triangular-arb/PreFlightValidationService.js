@@ -6,6 +6,7 @@
  * - Sufficient balance
  * - Opportunity still profitable
  * - Trade amount within limits
+ * - Exchange trading rules per leg (lot step, price tick, min quantity, min notional)
  * - Slippage tolerance
  * - Risk management rules
  *
@@ -16,12 +17,14 @@ const { systemLogger } = require('../../utils/logger');
 const ExchangeConnectorService = require('./ExchangeConnectorService');
 const ProfitCalculatorService = require('./ProfitCalculatorService');
 const OrderBookFetcherService = require('./OrderBookFetcherService');
+const TradingRulesService = require('./TradingRulesService');
 
 class PreFlightValidationService {
     constructor() {
         this.exchangeConnector = new ExchangeConnectorService();
         this.profitCalculator = new ProfitCalculatorService();
         this.orderBookFetcher = new OrderBookFetcherService();
+        this.tradingRules = new TradingRulesService();
     }
 
     /**
@@ -39,7 +42,8 @@ class PreFlightValidationService {
             maxSlippage = 0.5,            // Maximum 0.5% slippage allowed
             maxTradeAmount = null,        // Maximum trade amount (if set)
             portfolioPercent = null,      // Max % of portfolio (if set)
-            requireConfirmation = true    // Require explicit confirmation for live trading
+            requireConfirmation = true,   // Require explicit confirmation for live trading
+            feeSchedule = null            // User/exchange fees from FeeScheduleService
         } = options;
 
         const validationResult = {
@@ -52,10 +56,12 @@ class PreFlightValidationService {
                 balanceCheck: { passed: false, message: '' },
                 profitCheck: { passed: false, message: '' },
                 amountCheck: { passed: false, message: '' },
+                tradingRulesCheck: { passed: false, message: '' },
                 confirmationCheck: { passed: false, message: '' }
             },
             warnings: [],
             currentOpportunity: null,
+            tradingRules: null,
             balance: null
         };
 
@@ -97,7 +103,8 @@ class PreFlightValidationService {
                 path,
                 amount,
                 minProfitThreshold,
-                credentials
+                credentials,
+                feeSchedule
             );
             validationResult.checks.profitCheck = profitCheck;
             validationResult.currentOpportunity = profitCheck.opportunity;
@@ -153,7 +160,33 @@ class PreFlightValidationService {
                 portfolioPercent: portfolioPercent || 'none'
             });
 
-            // CHECK 4: Confirmation Check (for live trading)
+            // CHECK 4: Exchange Trading Rules (every leg's rounded size)
+            systemLogger.trading(`[PRE-FLIGHT] Check 4: Verifying leg sizes against exchange trading rules...`);
+            const tradingRulesCheck = await this._checkTradingRules(exchange, path, profitCheck.opportunity);
+            validationResult.checks.tradingRulesCheck = {
+                passed: tradingRulesCheck.passed,
+                message: tradingRulesCheck.message,
+                ...(tradingRulesCheck.error && { error: tradingRulesCheck.error })
+            };
+            validationResult.tradingRules = tradingRulesCheck.report;
+            validationResult.warnings.push(...tradingRulesCheck.warnings);
+
+            if (!tradingRulesCheck.passed) {
+                systemLogger.warn(`[PRE-FLIGHT] ❌ Trading rules check FAILED`, {
+                    exchange,
+                    pathId: path.id,
+                    error: tradingRulesCheck.error
+                });
+                return validationResult;
+            }
+
+            systemLogger.trading(`[PRE-FLIGHT] ✅ Trading rules check PASSED`, {
+                verified: tradingRulesCheck.report.verified,
+                quantities: tradingRulesCheck.report.legs.map(leg => leg.quantity),
+                dust: tradingRulesCheck.report.dust
+            });
+
+            // CHECK 5: Confirmation Check (for live trading)
             if (requireConfirmation && !options.confirmed) {
                 validationResult.checks.confirmationCheck = {
                     passed: false,
@@ -212,7 +245,7 @@ class PreFlightValidationService {
             );
 
             // Calculate required amount (including estimated fees)
-            const estimatedFees = amount * 0.002 * 3; // 0.2% per leg * 3 legs
+            const estimatedFees = amount * 0.002 * (path.steps?.length || 3); // 0.2% per leg
             const requiredAmount = amount + estimatedFees;
 
             if (balance < requiredAmount) {
@@ -248,7 +281,7 @@ class PreFlightValidationService {
      * Re-validate profitability with fresh orderbooks
      * @private
      */
-    async _checkProfitability(exchange, path, amount, minProfitThreshold, credentials) {
+    async _checkProfitability(exchange, path, amount, minProfitThreshold, credentials, feeSchedule = null) {
         try {
             // Fetch fresh orderbooks
             const orderBooks = await this.orderBookFetcher.fetchMultiple(
@@ -262,7 +295,8 @@ class PreFlightValidationService {
                 exchange,
                 path,
                 orderBooks,
-                amount
+                amount,
+                { feeSchedule }
             );
 
             if (!currentOpportunity.success) {
@@ -340,6 +374,116 @@ class PreFlightValidationService {
         };
     }
 
+    /**
+     * Size every leg the way it will be ordered (quantity floored to the lot step, price to the tick)
+     * and check it against the pair's minimums
+     *
+     * Rounding carries forward: each leg trades what the previous rounded leg produced, and what
+     * rounding leaves behind on a leg is reported as dust in that leg's input currency.
+     * @private
+     */
+    async _checkTradingRules(exchange, path, opportunity) {
+        const { available, rules, error: rulesError } = await this.tradingRules.getRules(exchange, path.pairs);
+        const currencies = this._getCurrencies(path);
+        const warnings = [];
+        const legs = [];
+        const dust = {};
+        let carried = opportunity.startAmount;
+
+        for (const [index, step] of opportunity.steps.entries()) {
+            const pairRules = rules[step.pair] || null;
+            const fromCurrency = currencies[index] || null;
+            const price = this.tradingRules.roundPrice(step.price, pairRules?.tickSize, step.side);
+
+            // Buys are sized in base from the quote we hold; sells trade the held base directly
+            const rawQuantity = step.side === 'buy' ? carried / price : carried;
+            const quantity = this.tradingRules.roundQuantity(rawQuantity, pairRules?.stepSize);
+            const notional = quantity * price;
+            const legDust = step.side === 'buy' ? carried - notional : carried - quantity;
+
+            const issues = [];
+            if (pairRules) {
+                if (quantity <= 0) {
+                    issues.push(`quantity ${rawQuantity} rounds to 0 at step ${pairRules.stepSize}`);
+                }
+                if (pairRules.minQuantity && quantity < pairRules.minQuantity) {
+                    issues.push(`quantity ${quantity} below minimum ${pairRules.minQuantity}`);
+                }
+                if (pairRules.maxQuantity && quantity > pairRules.maxQuantity) {
+                    issues.push(`quantity ${quantity} above maximum ${pairRules.maxQuantity}`);
+                }
+                if (pairRules.minNotional && notional < pairRules.minNotional) {
+                    issues.push(`order value ${notional.toFixed(8)} below minimum ${pairRules.minNotional}`);
+                }
+            }
+
+            legs.push({
+                step: step.step,
+                pair: step.pair,
+                side: step.side,
+                price,
+                rawQuantity: parseFloat(rawQuantity.toFixed(8)),
+                quantity,
+                notional: parseFloat(notional.toFixed(8)),
+                dust: parseFloat(Math.max(0, legDust).toFixed(8)),
+                dustCurrency: fromCurrency,
+                rules: pairRules,
+                issues
+            });
+
+            if (fromCurrency && legDust > 0) {
+                dust[fromCurrency] = parseFloat(((dust[fromCurrency] || 0) + legDust).toFixed(8));
+            }
+
+            carried = (step.side === 'buy' ? quantity : notional) * (1 - step.feeRate);
+        }
+
+        const verified = available && legs.every(leg => leg.rules);
+        const report = {
+            verified,
+            legs,
+            dust,
+            endAmount: parseFloat(carried.toFixed(8))
+        };
+
+        if (!available) {
+            warnings.push(`⚠️ Trading rules unavailable for ${exchange} - leg sizes not verified (${rulesError})`);
+        } else if (!verified) {
+            const unknown = legs.filter(leg => !leg.rules).map(leg => leg.pair);
+            warnings.push(`⚠️ No trading rules for ${unknown.join(', ')} on ${exchange} - those legs not verified`);
+        }
+
+        const failing = legs.filter(leg => leg.issues.length > 0);
+        if (failing.length > 0) {
+            return {
+                passed: false,
+                report,
+                warnings,
+                message: 'Leg size violates exchange trading rules',
+                error: failing.map(leg => `Leg ${leg.step} ${leg.pair} ${leg.side}: ${leg.issues.join('; ')}`).join(' | ')
+            };
+        }
+
+        return {
+            passed: true,
+            report,
+            warnings,
+            message: verified ? 'All legs within exchange trading rules' : 'Trading rules partially verified'
+        };
+    }
+
+    /**
+     * Currencies along the path ('USDT → ETH → BTC → USDT' → ['USDT', 'ETH', 'BTC', 'USDT'])
+     * @private
+     */
+    _getCurrencies(path) {
+        return (path.sequence || '')
+            .replace(/\(.*?\)/g, '')
+            .split('→')
+            .map(currency => currency.trim())
+            .filter(Boolean);
+    }
+
     /**
      * Extract base currency from path
      * @private
@@ -7,6 +7,7 @@
  * - Order book depth analysis
  * - Slippage estimation
  * - Multi-step profit calculation
+ * - Depth-aware optimal trade sizing (profit-vs-size curve)
  */
 
 const { systemLogger } = require('../../utils/logger');
@@ -109,13 +110,16 @@ class ProfitCalculatorService {
      * @param {object} orderBooks - Order books for all pairs in path
      * @param {number} amount - Starting amount
      * @param {object} options - Additional options
+     * @param {boolean} options.depthAware - Walk order book levels instead of filling at top-of-book
+     * @param {object} options.feeSchedule - Resolved user/exchange fees from FeeScheduleService (falls back to feeStructures)
      * @returns {object} Calculation result
      */
     calculate(exchange, path, orderBooks, amount = 1000, options = {}) {
+        const { depthAware = false, feeSchedule = null } = options;
         const exchangeLower = exchange.toLowerCase();
         const fees = this.feeStructures[exchangeLower];
 
-        if (!fees) {
+        if (!fees && !feeSchedule?.default) {
             return {
                 success: false,
                 error: `Fee structure not defined for exchange: ${exchange}`,
@@ -124,9 +128,6 @@ class ProfitCalculatorService {
         }
 
         try {
-            // Use taker fee for immediate execution
-            const feeRate = fees.taker;
-
             let currentAmount = amount;
             const steps = [];
             let totalFees = 0;
@@ -144,7 +145,10 @@ class ProfitCalculatorService {
                     };
                 }
 
-                let price, outputAmount, fee;
+                let price, outputAmount, fee, fill;
+
+                // Use taker fee for immediate execution
+                const { rate: feeRate, source: feeSource } = this._resolveFee(fees, feeSchedule, step.pair);
 
                 if (step.side === 'buy') {
                     // Buying: use ask price (we pay the ask)
@@ -158,11 +162,19 @@ class ProfitCalculatorService {
                         };
                     }
 
-                    price = parseFloat(asks[0].price || asks[0][0]);
-                    // Deduct fee from input (quote currency), then convert to base
-                    const amountAfterFee = currentAmount * (1 - feeRate);
-                    outputAmount = amountAfterFee / price;
-                    fee = currentAmount * feeRate;
+                    if (depthAware) {
+                        fill = this._walkOrderBook(asks, 'buy', currentAmount, feeRate);
+                        if (!fill.filled) {
+                            return this._insufficientLiquidity(path, step, currentAmount);
+                        }
+                        ({ price, outputAmount, fee } = fill);
+                    } else {
+                        price = parseFloat(asks[0].price || asks[0][0]);
+                        // Deduct fee from input (quote currency), then convert to base
+                        const amountAfterFee = currentAmount * (1 - feeRate);
+                        outputAmount = amountAfterFee / price;
+                        fee = currentAmount * feeRate;
+                    }
 
                 } else {
                     // Selling: use bid price (we receive the bid)
@@ -176,9 +188,17 @@ class ProfitCalculatorService {
                         };
                     }
 
-                    price = parseFloat(bids[0].price || bids[0][0]);
-                    outputAmount = currentAmount * price * (1 - feeRate);
-                    fee = (currentAmount * price) * feeRate;
+                    if (depthAware) {
+                        fill = this._walkOrderBook(bids, 'sell', currentAmount, feeRate);
+                        if (!fill.filled) {
+                            return this._insufficientLiquidity(path, step, currentAmount);
+                        }
+                        ({ price, outputAmount, fee } = fill);
+                    } else {
+                        price = parseFloat(bids[0].price || bids[0][0]);
+                        outputAmount = currentAmount * price * (1 - feeRate);
+                        fee = (currentAmount * price) * feeRate;
+                    }
                 }
 
                 totalFees += fee;
@@ -190,7 +210,13 @@ class ProfitCalculatorService {
                     inputAmount: parseFloat(currentAmount.toFixed(8)),
                     outputAmount: parseFloat(outputAmount.toFixed(8)),
                     price: parseFloat(price.toFixed(8)),
-                    fee: parseFloat(fee.toFixed(6))
+                    fee: parseFloat(fee.toFixed(6)),
+                    feeRate,
+                    feeSource,
+                    ...(fill && {
+                        worstPrice: parseFloat(fill.worstPrice.toFixed(8)),
+                        levelsUsed: fill.levelsUsed
+                    })
                 });
 
                 currentAmount = outputAmount;
@@ -210,7 +236,9 @@ class ProfitCalculatorService {
                 profitPercentage: parseFloat(profitPercentage.toFixed(3)),
                 totalFees: parseFloat(totalFees.toFixed(2)),
                 steps: steps,
+                feeSources: [...new Set(steps.map(s => s.feeSource))],
                 exchange: exchange,
+                depthAware,
                 timestamp: new Date().toISOString()
             };
 
@@ -229,6 +257,247 @@ class ProfitCalculatorService {
         }
     }
 
+    /**
+     * Find the trade size that maximises absolute profit by walking order book depth
+     * @param {string} exchange - Exchange name
+     * @param {object} path - Path definition
+     * @param {object} orderBooks - Order books for all pairs in path
+     * @param {object} options - Sizing options
+     * @param {number} options.minAmount - Smallest size to consider (default: 10)
+     * @param {number} options.maxAmount - Largest size to consider (default: 100000)
+     * @param {number} options.samples - Points on the profit-vs-size curve (default: 20)
+     * @param {number} options.profitThreshold - Minimum profit % for maxSizeAboveThreshold (default: 0)
+     * @param {object} options.feeSchedule - Resolved fees from FeeScheduleService
+     * @returns {object} { optimalAmount, optimalProfit, maxSizeAboveThreshold, maxFillableAmount, curve, ... }
+     */
+    findOptimalSize(exchange, path, orderBooks, options = {}) {
+        const {
+            minAmount = 10,
+            maxAmount = 100000,
+            samples = 20,
+            profitThreshold = 0,
+            feeSchedule = null
+        } = options;
+
+        const evaluate = (size) => this.calculate(exchange, path, orderBooks, size, { depthAware: true, feeSchedule });
+
+        const smallest = evaluate(minAmount);
+        if (!smallest.success) {
+            return {
+                success: false,
+                error: smallest.error,
+                pathId: path.id
+            };
+        }
+
+        // Largest size every leg can absorb (fillability is monotonic in size)
+        const maxFillableAmount = evaluate(maxAmount).success
+            ? maxAmount
+            : this._bisect(minAmount, maxAmount, size => evaluate(size).success);
+
+        // Profit-vs-size curve on a geometric grid (small sizes matter most)
+        const curve = [];
+        const pointCount = Math.max(2, samples);
+        const ratio = Math.pow(maxFillableAmount / minAmount, 1 / (pointCount - 1));
+
+        for (let i = 0; i < pointCount; i++) {
+            const size = i === pointCount - 1 ? maxFillableAmount : minAmount * Math.pow(ratio, i);
+            const result = evaluate(size);
+            if (!result.success) continue;
+
+            curve.push({
+                amount: parseFloat(size.toFixed(2)),
+                endAmount: result.endAmount,
+                profit: result.profit,
+                profitPercentage: result.profitPercentage
+            });
+        }
+
+        // Refine the best grid point: profit is concave in size (each level is priced worse than the last)
+        let bestIndex = 0;
+        curve.forEach((point, i) => {
+            if (point.profit > curve[bestIndex].profit) bestIndex = i;
+        });
+
+        const lower = curve[Math.max(0, bestIndex - 1)].amount;
+        const upper = curve[Math.min(curve.length - 1, bestIndex + 1)].amount;
+        const optimalAmount = this._goldenSectionMax(lower, upper, size => {
+            const result = evaluate(size);
+            return result.success ? result.endAmount - size : -Infinity;
+        });
+        const optimal = evaluate(optimalAmount);
+
+        // Profit % only falls as size grows, so the threshold boundary can be bisected
+        let maxSizeAboveThreshold = null;
+        if (smallest.profitPercentage >= profitThreshold) {
+            const fillableResult = evaluate(maxFillableAmount);
+            maxSizeAboveThreshold = fillableResult.success && fillableResult.profitPercentage >= profitThreshold
+                ? maxFillableAmount
+                : this._bisect(minAmount, maxFillableAmount, size => {
+                    const result = evaluate(size);
+                    return result.success && result.profitPercentage >= profitThreshold;
+                });
+        }
+
+        return {
+            success: true,
+            pathId: path.id,
+            sequence: path.sequence,
+            exchange,
+            optimalAmount: parseFloat(optimalAmount.toFixed(2)),
+            optimalProfit: optimal.profit,
+            optimalProfitPercentage: optimal.profitPercentage,
+            maxSizeAboveThreshold: maxSizeAboveThreshold !== null ? parseFloat(maxSizeAboveThreshold.toFixed(2)) : null,
+            maxFillableAmount: parseFloat(maxFillableAmount.toFixed(2)),
+            profitThreshold,
+            curve,
+            optimal,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Taker fee that calculate() would charge on a pair
+     * @param {string} exchange - Exchange name
+     * @param {string} pair - Trading pair
+     * @param {object} feeSchedule - Resolved fees from FeeScheduleService (optional)
+     * @returns {object|null} { rate, source } or null if the exchange has no fee structure
+     */
+    getTakerFee(exchange, pair, feeSchedule = null) {
+        const fees = this.feeStructures[exchange.toLowerCase()];
+
+        if (!fees && !feeSchedule?.default && !feeSchedule?.pairs?.[pair]) {
+            return null;
+        }
+
+        return this._resolveFee(fees, feeSchedule, pair);
+    }
+
+    /**
+     * Taker fee for a pair: resolved schedule (pair, then exchange-wide) before the static table
+     * @private
+     */
+    _resolveFee(staticFees, feeSchedule, pair) {
+        const resolved = feeSchedule?.pairs?.[pair] || feeSchedule?.default;
+
+        if (resolved) {
+            return { rate: resolved.taker, source: resolved.source };
+        }
+
+        return { rate: staticFees.taker, source: 'static_default' };
+    }
+
+    /**
+     * Fill an amount against order book levels
+     * buy: amount is quote currency spent through asks; sell: amount is base currency sold into bids
+     * @private
+     */
+    _walkOrderBook(levels, side, amount, feeRate) {
+        let remaining = side === 'buy' ? amount * (1 - feeRate) : amount;
+        let output = 0;
+        let worstPrice = 0;
+        let levelsUsed = 0;
+
+        for (const level of levels) {
+            if (remaining <= 1e-12) break;
+
+            const price = parseFloat(level.price || level[0]);
+            const quantity = parseFloat(level.quantity || level.volume || level.amount || level.size || level[1]);
+            if (!price || !quantity) continue;
+
+            if (side === 'buy') {
+                const spend = Math.min(remaining, price * quantity);
+                output += spend / price;
+                remaining -= spend;
+            } else {
+                const sell = Math.min(remaining, quantity);
+                output += sell * price;
+                remaining -= sell;
+            }
+
+            worstPrice = price;
+            levelsUsed++;
+        }
+
+        const filled = remaining <= amount * 1e-9;
+        const grossOutput = output;
+        const fee = side === 'buy' ? amount * feeRate : grossOutput * feeRate;
+        const outputAmount = side === 'buy' ? grossOutput : grossOutput * (1 - feeRate);
+        const consumed = side === 'buy' ? amount * (1 - feeRate) : amount;
+
+        return {
+            filled,
+            outputAmount,
+            fee,
+            // Volume-weighted average price for the filled amount
+            price: side === 'buy'
+                ? (grossOutput > 0 ? consumed / grossOutput : 0)
+                : (consumed > 0 ? grossOutput / consumed : 0),
+            worstPrice,
+            levelsUsed
+        };
+    }
+
+    /**
+     * @private
+     */
+    _insufficientLiquidity(path, step, amount) {
+        return {
+            success: false,
+            error: `Insufficient order book depth for ${step.pair} (${step.side} ${amount.toFixed(8)})`,
+            insufficientLiquidity: true,
+            pathId: path.id
+        };
+    }
+
+    /**
+     * Largest value in [low, high] for which predicate holds (predicate true at low, false at high)
+     * @private
+     */
+    _bisect(low, high, predicate, iterations = 40) {
+        for (let i = 0; i < iterations; i++) {
+            const mid = (low + high) / 2;
+            if (predicate(mid)) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Maximise a unimodal function on [low, high]
+     * @private
+     */
+    _goldenSectionMax(low, high, fn, iterations = 40) {
+        const phi = (Math.sqrt(5) - 1) / 2;
+        let a = low;
+        let b = high;
+        let c = b - phi * (b - a);
+        let d = a + phi * (b - a);
+        let fc = fn(c);
+        let fd = fn(d);
+
+        for (let i = 0; i < iterations; i++) {
+            if (fc >= fd) {
+                b = d;
+                d = c;
+                fd = fc;
+                c = b - phi * (b - a);
+                fc = fn(c);
+            } else {
+                a = c;
+                c = d;
+                fc = fd;
+                d = a + phi * (b - a);
+                fd = fn(d);
+            }
+        }
+
+        return (a + b) / 2;
+    }
+
     /**
      * Get order book with exchange-specific field handling
      * @private
@@ -0,0 +1,193 @@
+/**
+ * Redis Execution Lock Store
+ * Execution locks and rate-limit windows shared by every server instance
+ *
+ * Keys (all expire on their own, so a crashed instance cannot block a user forever):
+ *   {prefix}lock:{exchange}:{userId}  - JSON holder of the running execution (PX lock TTL)
+ *   {prefix}last:{exchange}:{userId}  - last execution time for the per-user window
+ *   {prefix}last:{exchange}           - last execution time by any user (per-exchange window)
+ *   {prefix}slot:{key}                - next free request slot (ExecutionQueue spacing)
+ *
+ * Check-and-lock runs as one Lua script on the Redis clock, so two instances can never both
+ * pass the check for the same user and exchange.
+ */
+
+const KEY_PREFIX = 'arb4me:ratelimit:';
+
+// KEYS: [lock, userLast, exchangeLast] per entry
+// ARGV: lockTtlMs, holderJson, then [userWindowMs, exchangeWindowMs] per entry
+const ACQUIRE_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local count = #KEYS / 3
+
+for i = 0, count - 1 do
+    local userWindow = tonumber(ARGV[3 + i * 2])
+    local exchangeWindow = tonumber(ARGV[4 + i * 2])
+
+    if redis.call('EXISTS', KEYS[i * 3 + 1]) == 1 then
+        return { 0, 'USER_EXCHANGE_BUSY', i, redis.call('PTTL', KEYS[i * 3 + 1]) }
+    end
+
+    local last = tonumber(redis.call('GET', KEYS[i * 3 + 2]))
+    if last and now - last < userWindow then
+        return { 0, 'RATE_LIMIT_COOLDOWN', i, userWindow - (now - last) }
+    end
+
+    local exchangeLast = tonumber(redis.call('GET', KEYS[i * 3 + 3]))
+    if exchangeLast and now - exchangeLast < exchangeWindow then
+        return { 0, 'EXCHANGE_COOLDOWN', i, exchangeWindow - (now - exchangeLast) }
+    end
+end
+
+local holder = cjson.decode(ARGV[2])
+holder.startedAt = now
+for i = 0, count - 1 do
+    redis.call('SET', KEYS[i * 3 + 1], cjson.encode(holder), 'PX', ARGV[1])
+    redis.call('SET', KEYS[i * 3 + 2], now, 'PX', math.max(1, tonumber(ARGV[3 + i * 2])))
+    redis.call('SET', KEYS[i * 3 + 3], now, 'PX', math.max(1, tonumber(ARGV[4 + i * 2])))
+end
+
+return { 1 }
+`;
+
+// KEYS: locks to release; ARGV: executionId
+const RELEASE_SCRIPT = `
+local released = 0
+for _, key in ipairs(KEYS) do
+    local value = redis.call('GET', key)
+    if value and cjson.decode(value).executionId == ARGV[1] then
+        redis.call('DEL', key)
+        released = released + 1
+    end
+end
+return released
+`;
+
+// KEYS: [slot]; ARGV: intervalMs
+const RESERVE_SLOT_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local slot = math.max(now, tonumber(redis.call('GET', KEYS[1])) or 0)
+local nextSlot = slot + tonumber(ARGV[1])
+redis.call('SET', KEYS[1], nextSlot, 'PX', nextSlot - now + 1000)
+return slot - now
+`;
+
+class RedisExecutionLockStore {
+    /**
+     * @param {object} client - Connected node-redis client
+     */
+    constructor(client) {
+        this.backend = 'redis';
+        this.client = client;
+    }
+
+    async acquire(entries, holder, lockTtlMs) {
+        const result = await this.client.eval(ACQUIRE_SCRIPT, {
+            keys: entries.flatMap(entry => [
+                this._lockKey(entry.exchange, entry.userId),
+                this._lastKey(entry.exchange, entry.userId),
+                this._lastKey(entry.exchange)
+            ]),
+            arguments: [
+                String(lockTtlMs),
+                JSON.stringify({ executionId: holder.executionId, instance: holder.instance }),
+                ...entries.flatMap(entry => [String(entry.userWindowMs), String(entry.exchangeWindowMs)])
+            ]
+        });
+
+        if (result[0] === 1) {
+            return { acquired: true };
+        }
+        return { acquired: false, reason: result[1], exchange: entries[result[2]].exchange, waitTime: Math.max(0, result[3]) };
+    }
+
+    async release(entries, executionId) {
+        return await this.client.eval(RELEASE_SCRIPT, {
+            keys: entries.map(entry => this._lockKey(entry.exchange, entry.userId)),
+            arguments: [executionId]
+        });
+    }
+
+    async forceRelease(exchange, userId) {
+        return (await this.client.del(this._lockKey(exchange, userId))) > 0;
+    }
+
+    async getStatus(exchange, userId = null) {
+        const lastExchangeExecution = parseInt(await this.client.get(this._lastKey(exchange))) || null;
+
+        if (userId) {
+            const [lastExecution, locked] = await Promise.all([
+                this.client.get(this._lastKey(exchange, userId)),
+                this.client.exists(this._lockKey(exchange, userId))
+            ]);
+            return { lastExecution: parseInt(lastExecution) || null, lastExchangeExecution, activeExecutions: locked };
+        }
+
+        const lockKeys = await this._scan(`${KEY_PREFIX}lock:${exchange}:*`);
+        const lastKeys = await this._scan(`${KEY_PREFIX}last:${exchange}:*`);
+        const lastTimes = lastKeys.length > 0 ? await this.client.mGet(lastKeys) : [];
+
+        return {
+            lastExecution: lastTimes.reduce((latest, time) => Math.max(latest, parseInt(time) || 0), 0) || null,
+            lastExchangeExecution,
+            activeExecutions: lockKeys.length
+        };
+    }
+
+    async listLocks() {
+        const locks = [];
+
+        for (const key of await this._scan(`${KEY_PREFIX}lock:*`)) {
+            const [value, ttl] = await Promise.all([this.client.get(key), this.client.pTTL(key)]);
+            if (!value) continue;  // Expired between SCAN and GET
+
+            const [exchange, userId] = key.slice(`${KEY_PREFIX}lock:`.length).split(':');
+            locks.push({ ...JSON.parse(value), userId, exchange, expiresIn: ttl });
+        }
+
+        return locks;
+    }
+
+    async reserveSlot(key, intervalMs) {
+        return await this.client.eval(RESERVE_SLOT_SCRIPT, {
+            keys: [`${KEY_PREFIX}slot:${key}`],
+            arguments: [String(intervalMs)]
+        });
+    }
+
+    async reset() {
+        const keys = await this._scan(`${KEY_PREFIX}*`);
+        if (keys.length > 0) {
+            await this.client.del(keys);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _scan(pattern) {
+        const keys = [];
+        for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+            keys.push(key);
+        }
+        return keys;
+    }
+
+    /**
+     * @private
+     */
+    _lockKey(exchange, userId) {
+        return `${KEY_PREFIX}lock:${exchange}:${userId}`;
+    }
+
+    /**
+     * @private
+     */
+    _lastKey(exchange, userId = null) {
+        return userId ? `${KEY_PREFIX}last:${exchange}:${userId}` : `${KEY_PREFIX}last:${exchange}`;
+    }
+}
+
+module.exports = RedisExecutionLockStore;
@@ -0,0 +1,157 @@
+/**
+ * Simulated Trade Executor Service
+ * Replays an atomic triangular execution against recorded order books (backtesting)
+ *
+ * Models what TradeExecutorService.executeAtomic would really have got:
+ * - Latency: leg N fills against the book as it was latencyMs × N after the signal
+ * - Partial fills: a leg only fills what the recorded depth holds; the unfilled input is
+ *   left stranded and the following legs continue with what was filled
+ * - Fees: the same taker fees ProfitCalculatorService charges (per-user/exchange schedule)
+ *
+ * Results mirror executeAtomic's shape (status, legs, actualProfit...) so reports can
+ * treat simulated and live executions alike.
+ */
+
+const ProfitCalculatorService = require('./ProfitCalculatorService');
+
+class SimulatedTradeExecutorService {
+    constructor() {
+        this.profitCalculator = new ProfitCalculatorService();
+    }
+
+    /**
+     * Simulate executing a path
+     * @param {string} exchange - Exchange name
+     * @param {object} path - Path definition ({ id, sequence, steps })
+     * @param {number} amount - Start amount (start currency)
+     * @param {function} getOrderBook - (pair, legIndex) → { bids: [[price, qty]], asks, capturedAt } | null
+     * @param {object} options - { feeSchedule, expectedSteps (from the signal calculation, for slippage) }
+     * @returns {object} Simulated execution result
+     */
+    execute(exchange, path, amount, getOrderBook, options = {}) {
+        const { feeSchedule = null, expectedSteps = [] } = options;
+        const currencies = path.sequence.split('→').map(currency => currency.trim());
+
+        const legs = [];
+        const stranded = [];
+        let currentAmount = amount;
+        let status = 'COMPLETED';
+
+        for (let i = 0; i < path.steps.length; i++) {
+            const step = path.steps[i];
+            const orderBook = getOrderBook(step.pair, i);
+            const fee = this.profitCalculator.getTakerFee(exchange, step.pair, feeSchedule);
+
+            if (!orderBook || !fee) {
+                stranded.push({ currency: currencies[i], amount: currentAmount });
+                status = 'FAILED';
+                legs.push({ leg: i + 1, pair: step.pair, side: step.side, status: 'FAILED', error: orderBook ? 'No fee structure' : 'No recorded order book' });
+                break;
+            }
+
+            const levels = step.side === 'buy' ? orderBook.asks : orderBook.bids;
+            const fill = this._fill(levels, step.side, currentAmount, fee.rate);
+            const expectedPrice = expectedSteps[i]?.price || null;
+
+            legs.push({
+                leg: i + 1,
+                pair: step.pair,
+                side: step.side,
+                status: fill.fillRatio >= 1 - 1e-9 ? 'FILLED' : (fill.fillRatio > 0 ? 'PARTIALLY_FILLED' : 'FAILED'),
+                inputAmount: currentAmount,
+                filledInput: fill.filledInput,
+                outputAmount: fill.outputAmount,
+                fillRatio: parseFloat(fill.fillRatio.toFixed(6)),
+                expectedPrice,
+                executedPrice: fill.price,
+                slippage: expectedPrice && fill.price
+                    ? parseFloat((Math.abs(fill.price - expectedPrice) / expectedPrice * 100).toFixed(4))
+                    : null,
+                fee: fill.fee,
+                feeRate: fee.rate,
+                bookCapturedAt: orderBook.capturedAt || null
+            });
+
+            if (fill.filledInput < currentAmount) {
+                stranded.push({ currency: currencies[i], amount: currentAmount - fill.filledInput });
+            }
+
+            if (fill.outputAmount <= 0) {
+                status = 'FAILED';
+                break;
+            }
+
+            if (fill.fillRatio < 1 - 1e-9) {
+                status = 'PARTIAL';
+            }
+
+            currentAmount = fill.outputAmount;
+        }
+
+        const completedCycle = status !== 'FAILED';
+        const endAmount = completedCycle ? currentAmount : 0;
+        // Share of the start amount that made it round the whole cycle
+        const cycledAmount = completedCycle ? legs.reduce((share, leg) => share * leg.fillRatio, amount) : 0;
+        // Profit on what came back; stranded amounts are reported, not valued
+        const actualProfit = endAmount - cycledAmount;
+
+        return {
+            success: status === 'COMPLETED',
+            pathId: path.id,
+            sequence: path.sequence,
+            status,
+            startAmount: amount,
+            cycledAmount,
+            endAmount,
+            actualProfit,
+            actualProfitPercentage: cycledAmount > 0 ? (actualProfit / cycledAmount) * 100 : 0,
+            legs,
+            stranded
+        };
+    }
+
+    /**
+     * Fill as much of amount as the levels hold
+     * buy: amount is quote spent through asks; sell: amount is base sold into bids
+     * @private
+     */
+    _fill(levels, side, amount, feeRate) {
+        // Buys pay the fee out of the quote input, sells out of the quote output (as ProfitCalculatorService)
+        let remaining = side === 'buy' ? amount * (1 - feeRate) : amount;
+        let gross = 0;
+        let consumed = 0;
+
+        for (const [price, quantity] of levels || []) {
+            if (remaining <= 1e-12) break;
+            if (!price || !quantity) continue;
+
+            if (side === 'buy') {
+                const spend = Math.min(remaining, price * quantity);
+                gross += spend / price;
+                consumed += spend;
+                remaining -= spend;
+            } else {
+                const sell = Math.min(remaining, quantity);
+                gross += sell * price;
+                consumed += sell;
+                remaining -= sell;
+            }
+        }
+
+        const filledInput = side === 'buy' ? consumed / (1 - feeRate) : consumed;
+        const fee = side === 'buy' ? filledInput * feeRate : gross * feeRate;
+        const outputAmount = side === 'buy' ? gross : gross * (1 - feeRate);
+
+        return {
+            filledInput,
+            outputAmount,
+            fee,
+            fillRatio: amount > 0 ? filledInput / amount : 0,
+            price: side === 'buy'
+                ? (gross > 0 ? consumed / gross : 0)
+                : (consumed > 0 ? gross / consumed : 0)
+        };
+    }
+}
+
+module.exports = SimulatedTradeExecutorService;
@@ -1,11 +1,11 @@
 /**
  * Trade Executor Service
- * Executes atomic 3-leg triangular arbitrage trades
+ * Executes atomic triangular arbitrage trades (3 or more legs)
  *
  * Handles:
- * - Sequential 3-leg execution
- * - Error handling and rollback (where possible)
- * - Execution tracking
+ * - Sequential leg execution (market, or limit IOC/FOK at the quoted price + tolerance)
+ * - Leg-failure recovery: retry, close via alternate pair, or unwind to start currency
+ * - Execution tracking (every execution is written to the triangular_executions ledger)
  * - Slippage monitoring
  *
  * IMPORTANT: Stateless - credentials passed as parameters
@@ -13,29 +13,48 @@
 
 const { systemLogger } = require('../../utils/logger');
 const ExchangeConnectorService = require('./ExchangeConnectorService');
+const TradingRulesService = require('./TradingRulesService');
+const exchangeRegistry = require('../exchanges/ExchangeRegistry');
+const TriangularRecoveryOrder = require('../../models/TriangularRecoveryOrder');
+const TriangularExecution = require('../../models/TriangularExecution');
 
 class TradeExecutorService {
     constructor() {
         this.exchangeConnector = new ExchangeConnectorService();
+        this.tradingRules = new TradingRulesService();
     }
 
     /**
-     * Execute atomic 3-leg triangular arbitrage trade
+     * Execute atomic triangular arbitrage trade (3 or more legs)
      * @param {string} exchange - Exchange name
      * @param {object} opportunity - Calculated opportunity with steps
      * @param {object} credentials - User's API credentials { apiKey, apiSecret }
      * @param {object} options - Execution options
+     * @param {object} options.recovery - Leg-failure recovery policy
+     *   { strategies: ['retry', 'alternate', 'unwind'], maxRetries: 2, retryDelayMs: 1000 }
+     *   Opt-in: strategies are tried in order; none by default (stop mid-cycle).
+     *   Only legs the exchange definitely did not fill are retried (see _isRetryable)
+     * @param {object} options.legOrders - How each leg is placed
+     *   { type: 'market' | 'limit', timeInForce: 'IOC' | 'FOK', tolerance: % beyond quoted price (default: maxSlippage) }
+     *   Limit legs stop slippage at the exchange instead of detecting it after the fill
+     * @param {string} options.userId - User ID (recovery orders are persisted against it)
      * @returns {Promise<object>} Execution result
      */
     async executeAtomic(exchange, opportunity, credentials, options = {}) {
         const {
             maxSlippage = 0.5,      // 0.5% max slippage
             timeoutMs = 30000,       // 30 second timeout per leg
-            dryRun = false           // Dry run mode (simulate without real trades)
+            dryRun = false,          // Dry run mode (simulate without real trades)
+            recovery = {},           // Leg-failure recovery policy
+            legOrders = {},          // Market or limit IOC/FOK legs
+            userId = null
         } = options;
 
         const executionId = this._generateExecutionId();
         const startTime = Date.now();
+        const legCount = opportunity.steps.length;
+        const recoveryPolicy = this._normalizeRecoveryPolicy(recovery);
+        const legOrderPolicy = this._normalizeLegOrderPolicy(legOrders, maxSlippage);
 
         // Initialize execution tracking
         const executionResult = {
@@ -47,6 +66,8 @@ class TradeExecutorService {
             expectedProfit: opportunity.profitPercentage,
             actualProfit: null,
             legs: [],
+            recoveryOrders: [],
+            recovery: null,
             status: 'INITIATED',
             dryRun: dryRun,
             startTime: new Date().toISOString(),
@@ -60,66 +81,64 @@ class TradeExecutorService {
             exchange,
             pathId: opportunity.pathId,
             expectedProfit: opportunity.profitPercentage,
+            recoveryStrategies: recoveryPolicy.strategies,
+            legOrderType: legOrderPolicy.type,
             dryRun
         });
 
+        const recoveryContext = {
+            exchange,
+            opportunity,
+            credentials,
+            currencies: this._parseCurrencies(opportunity.sequence),
+            policy: recoveryPolicy,
+            legOrderPolicy,
+            dryRun,
+            timeoutMs,
+            userId,
+            executionResult
+        };
+
         try {
+            if (legOrderPolicy.type === 'limit' && !dryRun &&
+                !this.exchangeConnector.supports(exchange, 'placeLimitOrder')) {
+                throw new Error(`Limit order legs not supported for ${exchange}`);
+            }
+
             let currentAmount = opportunity.startAmount;
+            let closedByRecovery = null;
 
-            // Execute each of the 3 legs sequentially
-            for (let i = 0; i < opportunity.steps.length; i++) {
+            // Execute each leg sequentially
+            for (let i = 0; i < legCount; i++) {
                 const step = opportunity.steps[i];
                 const legStartTime = Date.now();
 
-                systemLogger.trading(`Executing leg ${i + 1}/3`, {
+                systemLogger.trading(`Executing leg ${i + 1}/${legCount}`, {
                     executionId,
                     pair: step.pair,
                     side: step.side,
                     amount: currentAmount
                 });
 
-                try {
-                    let orderResult, executedAmount, executedPrice;
-
-                    if (dryRun) {
-                        // DRY RUN: Simulate execution without placing real orders
-                        systemLogger.trading(`[DRY RUN] Simulating leg ${i + 1}/3`, {
-                            executionId,
-                            pair: step.pair,
-                            side: step.side,
-                            amount: currentAmount
-                        });
+                let legFailure = null;
 
-                        // Simulate order execution with expected prices
-                        await new Promise(resolve => setTimeout(resolve, 100)); // Simulate network delay
+                const legOrderOptions = this._legOrderOptions(step, legOrderPolicy);
 
-                        executedAmount = step.expectedAmount || currentAmount * 0.998; // Simulate 0.2% fee
-                        executedPrice = step.price;
-
-                        orderResult = {
-                            orderId: `DRY_RUN_${Date.now()}`,
-                            status: 'SIMULATED',
-                            executedQty: executedAmount,
-                            price: executedPrice
-                        };
-
-                    } else {
-                        // LIVE: Execute the trade (pass credentials through)
-                        orderResult = await Promise.race([
-                            this.exchangeConnector.executeMarketOrder(
-                                exchange,
-                                step.pair,
-                                step.side,
-                                currentAmount,
-                                credentials  // Forward user's credentials
-                            ),
-                            this._timeout(timeoutMs)
-                        ]);
-
-                        // Parse order result (exchange-specific)
-                        executedAmount = this._parseExecutedAmount(exchange, orderResult, step.side);
-                        executedPrice = this._parseExecutedPrice(exchange, orderResult);
-                    }
+                try {
+                    const { orderResult, executedAmount, executedPrice, fill } = await this._placeOrder(
+                        exchange,
+                        step.pair,
+                        step.side,
+                        currentAmount,
+                        credentials,
+                        {
+                            dryRun,
+                            timeoutMs,
+                            simulatedAmount: step.expectedAmount,
+                            simulatedPrice: step.price,
+                            ...legOrderOptions
+                        }
+                    );
 
                     const legEndTime = Date.now();
                     const legExecutionTime = legEndTime - legStartTime;
@@ -127,13 +146,13 @@ class TradeExecutorService {
                     // Calculate slippage
                     const expectedPrice = step.price;
                     const slippage = Math.abs((executedPrice - expectedPrice) / expectedPrice) * 100;
+                    // A limit leg's tolerance is its limit price (worst quoted level ± tolerance) -
+                    // judging it against the average quote would abort fills the limit allowed
+                    const slippageExceeded = fill
+                        ? this._beyondLimit(step.side, executedPrice, fill.limitPrice)
+                        : slippage > maxSlippage;
 
-                    // Check slippage tolerance
-                    if (slippage > maxSlippage) {
-                        throw new Error(`Slippage too high: ${slippage.toFixed(2)}% (max: ${maxSlippage}%)`);
-                    }
-
-                    // Track leg execution
+                    // Track leg execution (the order has filled even when slippage is out of tolerance)
                     executionResult.legs.push({
                         leg: i + 1,
                         pair: step.pair,
@@ -145,20 +164,37 @@ class TradeExecutorService {
                         slippage: parseFloat(slippage.toFixed(3)),
                         executionTime: legExecutionTime,
                         orderId: orderResult.orderId || orderResult.id || null,
-                        status: 'COMPLETED',
+                        orderType: legOrderPolicy.type,
+                        ...(legOrderOptions.limitPrice && {
+                            limitPrice: fill?.limitPrice || legOrderOptions.limitPrice,
+                            timeInForce: legOrderOptions.timeInForce,
+                            partialFill: fill?.partial || false,
+                            unfilledInput: fill?.unfilledInput || 0
+                        }),
+                        status: slippageExceeded ? 'SLIPPAGE_EXCEEDED' : 'COMPLETED',
                         timestamp: new Date().toISOString()
                     });
 
-                    systemLogger.trading(`Leg ${i + 1}/3 completed`, {
-                        executionId,
-                        executedAmount,
-                        slippage: slippage.toFixed(3) + '%',
-                        executionTime: legExecutionTime + 'ms'
-                    });
-
-                    // Update current amount for next leg
+                    // Update current amount for next leg (a partial IOC fill carries on with what traded)
                     currentAmount = executedAmount;
 
+                    if (slippageExceeded) {
+                        legFailure = {
+                            error: fill
+                                ? `Filled at ${executedPrice} beyond limit ${fill.limitPrice}`
+                                : `Slippage too high: ${slippage.toFixed(2)}% (max: ${maxSlippage}%)`,
+                            position: i + 1,   // Already holding this leg's output
+                            retryable: false
+                        };
+                    } else {
+                        systemLogger.trading(`Leg ${i + 1}/${legCount} completed`, {
+                            executionId,
+                            executedAmount,
+                            slippage: slippage.toFixed(3) + '%',
+                            executionTime: legExecutionTime + 'ms'
+                        });
+                    }
+
                 } catch (legError) {
                     // Log leg failure
                     executionResult.legs.push({
@@ -171,8 +207,37 @@ class TradeExecutorService {
                         timestamp: new Date().toISOString()
                     });
 
-                    throw new Error(`Leg ${i + 1} failed: ${legError.message}`);
+                    legFailure = { error: legError.message, position: i, retryable: this._isRetryable(legError) };
+                }
+
+                if (!legFailure) {
+                    continue;
                 }
+
+                const recoveryOutcome = await this._recover(recoveryContext, {
+                    failedLeg: i + 1,
+                    position: legFailure.position,
+                    amount: currentAmount,
+                    retryable: legFailure.retryable,
+                    error: legFailure.error
+                });
+
+                if (recoveryOutcome.action === 'resume') {
+                    // Retried leg filled - carry on with the original path
+                    currentAmount = recoveryOutcome.amount;
+                    continue;
+                }
+
+                if (recoveryOutcome.action === 'closed') {
+                    closedByRecovery = recoveryOutcome;
+                    currentAmount = recoveryOutcome.amount;
+                    break;
+                }
+
+                if (recoveryOutcome.strandedAsset) {
+                    executionResult.strandedAsset = recoveryOutcome.strandedAsset;
+                }
+                throw new Error(`Leg ${i + 1} failed: ${legFailure.error}`);
             }
 
             // Calculate actual profit
@@ -184,20 +249,29 @@ class TradeExecutorService {
             const totalExecutionTime = endTime - startTime;
 
             // Update execution result
-            executionResult.status = 'COMPLETED';
+            executionResult.status = closedByRecovery ? closedByRecovery.status : 'COMPLETED';
             executionResult.endAmount = parseFloat(endAmount.toFixed(2));
             executionResult.actualProfit = parseFloat(actualProfit.toFixed(2));
             executionResult.actualProfitPercentage = parseFloat(actualProfitPercentage.toFixed(3));
             executionResult.endTime = new Date().toISOString();
             executionResult.totalExecutionTime = totalExecutionTime;
-            executionResult.success = true;
+            // An unwind returns the funds but the arbitrage itself did not happen
+            executionResult.success = executionResult.status !== 'UNWOUND';
+
+            if (closedByRecovery) {
+                executionResult.error = closedByRecovery.error;
+            }
 
-            systemLogger.trading(`Atomic execution completed successfully`, {
+            systemLogger.trading(`Atomic execution ${closedByRecovery ? 'closed by recovery' : 'completed successfully'}`, {
                 executionId,
+                status: executionResult.status,
                 actualProfit: actualProfitPercentage.toFixed(3) + '%',
+                recoveryOrders: executionResult.recoveryOrders.length,
                 totalTime: totalExecutionTime + 'ms'
             });
 
+            await this._recordExecution(executionResult, userId);
+
             return executionResult;
 
         } catch (error) {
@@ -216,14 +290,492 @@ class TradeExecutorService {
                 exchange,
                 pathId: opportunity.pathId,
                 completedLegs: executionResult.legs.filter(l => l.status === 'COMPLETED').length,
+                recoveryOrders: executionResult.recoveryOrders.length,
+                strandedAsset: executionResult.strandedAsset,
                 error: error.message
             });
 
+            await this._recordExecution(executionResult, userId);
+
             // Return partial result (important for user to see what happened)
             return executionResult;
         }
     }
 
+    /**
+     * Write the execution to the ledger (never fails the execution itself)
+     * @private
+     */
+    async _recordExecution(executionResult, userId) {
+        try {
+            await TriangularExecution.create({ ...executionResult, userId });
+        } catch (error) {
+            systemLogger.warn(`Failed to record triangular execution`, {
+                executionId: executionResult.executionId,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Apply the recovery policy after a leg failure
+     * position = index of the next leg to run, i.e. we currently hold currencies[position]
+     * @private
+     * @returns {Promise<object>} { action: 'resume'|'closed'|'failed', amount, status, strandedAsset }
+     */
+    async _recover(ctx, failure) {
+        const { opportunity, currencies, policy, executionResult } = ctx;
+        const legCount = opportunity.steps.length;
+        const startCurrency = currencies[0];
+        const state = { position: failure.position, amount: failure.amount };
+
+        executionResult.recovery = {
+            failedLeg: failure.failedLeg,
+            error: failure.error,
+            heldCurrency: currencies[state.position] || null,
+            heldAmount: state.amount,
+            attempted: [],
+            outcome: null
+        };
+
+        // Back in the start currency already (leg 1 never filled, or last leg filled with slippage)
+        const holdingStartCurrency = state.position === 0 || state.position === legCount;
+
+        for (const strategy of policy.strategies) {
+            if (strategy === 'retry' && failure.retryable) {
+                executionResult.recovery.attempted.push('retry');
+                const step = opportunity.steps[state.position];
+
+                for (let attempt = 1; attempt <= policy.maxRetries; attempt++) {
+                    await new Promise(resolve => setTimeout(resolve, policy.retryDelayMs));
+
+                    // Retries keep the leg's order type so a limit leg is never retried at market
+                    const order = await this._placeRecoveryOrder(ctx, failure, 'retry', {
+                        pair: step.pair,
+                        side: step.side,
+                        amount: state.amount,
+                        fromCurrency: currencies[state.position],
+                        toCurrency: currencies[state.position + 1],
+                        attempt,
+                        orderOptions: this._legOrderOptions(step, ctx.legOrderPolicy)
+                    });
+
+                    if (order.status === 'COMPLETED') {
+                        executionResult.recovery.outcome = 'RETRIED';
+                        return { action: 'resume', amount: order.outputAmount };
+                    }
+
+                    // The retry itself may have filled - never place another one on top of it
+                    if (!order.retryable) break;
+                }
+            }
+
+            if (holdingStartCurrency) continue;
+
+            if (strategy === 'alternate') {
+                executionResult.recovery.attempted.push('alternate');
+                const heldCurrency = currencies[state.position];
+                const usedPairs = opportunity.steps.map(step => step.pair);
+                const market = await this._findAlternateMarket(ctx.exchange, heldCurrency, startCurrency, usedPairs);
+
+                if (market) {
+                    const order = await this._placeRecoveryOrder(ctx, failure, 'alternate', {
+                        pair: market.symbol,
+                        side: market.quote === heldCurrency ? 'buy' : 'sell',
+                        amount: state.amount,
+                        fromCurrency: heldCurrency,
+                        toCurrency: startCurrency
+                    });
+
+                    if (order.status === 'COMPLETED') {
+                        executionResult.recovery.outcome = 'COMPLETED_VIA_ALTERNATE';
+                        return {
+                            action: 'closed',
+                            status: 'COMPLETED_VIA_ALTERNATE',
+                            amount: order.outputAmount,
+                            error: failure.error
+                        };
+                    }
+                }
+            }
+
+            if (strategy === 'unwind') {
+                executionResult.recovery.attempted.push('unwind');
+
+                // Reverse completed legs back to the start currency at market
+                while (state.position > 0) {
+                    const step = opportunity.steps[state.position - 1];
+                    const order = await this._placeRecoveryOrder(ctx, failure, 'unwind', {
+                        pair: step.pair,
+                        side: step.side === 'buy' ? 'sell' : 'buy',
+                        amount: state.amount,
+                        fromCurrency: currencies[state.position],
+                        toCurrency: currencies[state.position - 1]
+                    });
+
+                    if (order.status !== 'COMPLETED') break;
+
+                    state.position--;
+                    state.amount = order.outputAmount;
+                }
+
+                if (state.position === 0) {
+                    executionResult.recovery.outcome = 'UNWOUND';
+                    return {
+                        action: 'closed',
+                        status: 'UNWOUND',
+                        amount: state.amount,
+                        error: failure.error
+                    };
+                }
+            }
+        }
+
+        executionResult.recovery.outcome = 'FAILED';
+
+        return {
+            action: 'failed',
+            strandedAsset: holdingStartCurrency ? null : {
+                currency: currencies[state.position] || null,
+                amount: state.amount
+            }
+        };
+    }
+
+    /**
+     * Place, record and persist a single recovery order
+     * @private
+     * @returns {Promise<object>} The recorded entry + retryable (a failed order that definitely did not fill)
+     */
+    async _placeRecoveryOrder(ctx, failure, strategy, order) {
+        const { exchange, credentials, dryRun, timeoutMs, executionResult } = ctx;
+
+        let orderError = null;
+        const entry = {
+            strategy,
+            failedLeg: failure.failedLeg,
+            pair: order.pair,
+            side: order.side,
+            fromCurrency: order.fromCurrency,
+            toCurrency: order.toCurrency,
+            inputAmount: order.amount,
+            outputAmount: null,
+            executedPrice: null,
+            orderId: null,
+            status: 'FAILED',
+            error: null,
+            attempt: order.attempt || 1,
+            timestamp: new Date().toISOString()
+        };
+
+        try {
+            const { orderResult, executedAmount, executedPrice } = await this._placeOrder(
+                exchange,
+                order.pair,
+                order.side,
+                order.amount,
+                credentials,
+                { dryRun, timeoutMs, ...(order.orderOptions || {}) }
+            );
+
+            entry.outputAmount = executedAmount;
+            entry.executedPrice = executedPrice;
+            entry.orderId = orderResult.orderId || orderResult.id || null;
+            entry.status = 'COMPLETED';
+
+        } catch (error) {
+            entry.error = error.message;
+            orderError = error;
+        }
+
+        executionResult.recoveryOrders.push(entry);
+
+        systemLogger.trading(`Recovery order ${entry.status === 'COMPLETED' ? 'filled' : 'failed'}`, {
+            executionId: executionResult.executionId,
+            exchange,
+            ...entry
+        });
+
+        try {
+            await TriangularRecoveryOrder.create({
+                ...entry,
+                executionId: executionResult.executionId,
+                userId: ctx.userId,
+                exchange,
+                pathId: executionResult.pathId,
+                dryRun
+            });
+        } catch (error) {
+            // Never let bookkeeping break a recovery in progress
+            systemLogger.warn(`Failed to persist recovery order`, {
+                executionId: executionResult.executionId,
+                error: error.message
+            });
+        }
+
+        return { ...entry, retryable: orderError !== null && this._isRetryable(orderError) };
+    }
+
+    /**
+     * Find a market directly linking two currencies, excluding pairs already in the path
+     * @private
+     */
+    async _findAlternateMarket(exchange, fromCurrency, toCurrency, excludePairs) {
+        if (!fromCurrency || !toCurrency || !exchangeRegistry.supports(exchange, 'fetchMarkets')) {
+            return null;
+        }
+
+        try {
+            const markets = await exchangeRegistry.get(exchange).fetchMarkets();
+
+            return markets.find(market =>
+                !excludePairs.includes(market.symbol) &&
+                ((market.base === fromCurrency && market.quote === toCurrency) ||
+                 (market.base === toCurrency && market.quote === fromCurrency))
+            ) || null;
+
+        } catch (error) {
+            systemLogger.warn(`Alternate market lookup failed`, {
+                exchange,
+                fromCurrency,
+                toCurrency,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Place a market order, or a limit order when limitPrice is given (or simulate it in dry run), and parse the fill
+     * @private
+     */
+    async _placeOrder(exchange, pair, side, amount, credentials, options = {}) {
+        const {
+            dryRun = false,
+            timeoutMs = 30000,
+            simulatedAmount,
+            simulatedPrice,
+            limitPrice = null,
+            timeInForce = 'IOC'
+        } = options;
+
+        if (dryRun) {
+            // DRY RUN: Simulate execution without placing real orders
+            systemLogger.trading(`[DRY RUN] Simulating order`, {
+                pair,
+                side,
+                amount
+            });
+
+            await new Promise(resolve => setTimeout(resolve, 100)); // Simulate network delay
+
+            const executedAmount = simulatedAmount || amount * 0.998; // Simulate 0.2% fee
+            const executedPrice = simulatedPrice ?? null;
+
+            return {
+                orderResult: {
+                    orderId: `DRY_RUN_${Date.now()}`,
+                    status: 'SIMULATED',
+                    executedQty: executedAmount,
+                    price: executedPrice
+                },
+                executedAmount,
+                executedPrice
+            };
+        }
+
+        if (limitPrice) {
+            return await this._placeLimitOrder(exchange, pair, side, amount, credentials, {
+                limitPrice,
+                timeInForce,
+                timeoutMs
+            });
+        }
+
+        // LIVE: Execute the trade (pass credentials through)
+        const orderResult = await Promise.race([
+            this.exchangeConnector.executeMarketOrder(
+                exchange,
+                pair,
+                side,
+                amount,
+                credentials  // Forward user's credentials
+            ),
+            this._timeout(timeoutMs)
+        ]);
+
+        // Parse order result (exchange-specific)
+        return {
+            orderResult,
+            executedAmount: this._parseExecutedAmount(exchange, orderResult, side),
+            executedPrice: this._parseExecutedPrice(exchange, orderResult)
+        };
+    }
+
+    /**
+     * Place a limit IOC/FOK leg and confirm what actually filled
+     * amount is what we spend: quote currency for buys, base currency for sells
+     * @private
+     */
+    async _placeLimitOrder(exchange, pair, side, amount, credentials, options) {
+        const { timeInForce, timeoutMs } = options;
+
+        // Exchanges reject off-tick prices and off-step quantities - round both on the safe side
+        // (8 decimals when the exchange publishes no rules)
+        const { rules } = await this.tradingRules.getRules(exchange, [pair]);
+        const pairRules = rules[pair] || {};
+        const limitPrice = this.tradingRules.roundLimitPrice(options.limitPrice, pairRules.tickSize, side);
+
+        // Buys size the base quantity so the worst-case cost stays within the quote we hold
+        const quantity = this.tradingRules.roundQuantity(side === 'buy' ? amount / limitPrice : amount, pairRules.stepSize || 1e-8);
+
+        const orderResult = await Promise.race([
+            this.exchangeConnector.executeLimitOrder(
+                exchange,
+                pair,
+                side,
+                quantity,
+                limitPrice,
+                credentials,
+                { timeInForce }
+            ),
+            this._timeout(timeoutMs)
+        ]);
+
+        const { executedQuantity, executedPrice } = await this._resolveLimitFill(
+            exchange, pair, orderResult, credentials, limitPrice
+        );
+
+        if (!executedQuantity || executedQuantity <= 0) {
+            const error = new Error(`Limit ${timeInForce} order not filled at ${limitPrice} - price moved beyond tolerance`);
+            error.code = 'ORDER_NOT_FILLED';
+            throw error;
+        }
+
+        // Buys filled below the limit also leave some quote behind - only a quantity shortfall is a partial fill
+        const spent = side === 'buy' ? executedQuantity * executedPrice : executedQuantity;
+        const unfilledInput = Math.max(0, amount - spent);
+
+        return {
+            orderResult,
+            executedAmount: side === 'buy' ? executedQuantity : executedQuantity * executedPrice,
+            executedPrice,
+            fill: {
+                limitPrice,
+                partial: executedQuantity < quantity * (1 - 1e-6),
+                unfilledInput: parseFloat(unfilledInput.toFixed(8))
+            }
+        };
+    }
+
+    /**
+     * Work out filled quantity/price of a limit order
+     * @private
+     */
+    async _resolveLimitFill(exchange, pair, orderResult, credentials, limitPrice) {
+        // Binance-style responses report the fill inline
+        if (orderResult.executedQty !== undefined) {
+            const executedQuantity = parseFloat(orderResult.executedQty || 0);
+            const executedValue = parseFloat(orderResult.cummulativeQuoteQty || 0);
+            return {
+                executedQuantity,
+                executedPrice: executedQuantity > 0 ? executedValue / executedQuantity : limitPrice
+            };
+        }
+
+        const orderId = orderResult.id || orderResult.orderId;
+        if (!orderId || !this.exchangeConnector.supports(exchange, 'getOrderStatus')) {
+            throw new Error(`Cannot confirm limit order fill on ${exchange}`);
+        }
+
+        // Order status is eventually consistent right after placement
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        const status = await this.exchangeConnector.getOrderStatus(exchange, orderId, pair, credentials);
+
+        return {
+            executedQuantity: status.executedQuantity,
+            executedPrice: status.executedPrice || limitPrice
+        };
+    }
+
+    /**
+     * Limit price/time-in-force for a leg ({} for market legs)
+     * Reference is the worst level the quote walked through (depth-aware) or the quoted price
+     * @private
+     */
+    _legOrderOptions(step, legOrderPolicy) {
+        if (legOrderPolicy.type !== 'limit') {
+            return {};
+        }
+
+        const referencePrice = step.worstPrice || step.price;
+        const toleranceFactor = legOrderPolicy.tolerance / 100;
+
+        const limitPrice = step.side === 'buy'
+            ? referencePrice * (1 + toleranceFactor)
+            : referencePrice * (1 - toleranceFactor);
+
+        return {
+            limitPrice: parseFloat(limitPrice.toPrecision(10)),
+            timeInForce: legOrderPolicy.timeInForce
+        };
+    }
+
+    /**
+     * Whether a limit leg filled at a worse price than its limit (float noise aside)
+     * @private
+     */
+    _beyondLimit(side, executedPrice, limitPrice) {
+        return side === 'buy'
+            ? executedPrice > limitPrice * (1 + 1e-9)
+            : executedPrice < limitPrice * (1 - 1e-9);
+    }
+
+    /**
+     * Fill in leg order defaults
+     * @private
+     */
+    _normalizeLegOrderPolicy(legOrders = {}, maxSlippage) {
+        const type = legOrders.type === 'limit' ? 'limit' : 'market';
+        const timeInForce = String(legOrders.timeInForce || 'IOC').toUpperCase() === 'FOK' ? 'FOK' : 'IOC';
+        const tolerance = legOrders.tolerance !== undefined ? parseFloat(legOrders.tolerance) : maxSlippage;
+
+        return {
+            type,
+            timeInForce,
+            tolerance: Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : maxSlippage
+        };
+    }
+
+    /**
+     * Fill in recovery policy defaults
+     * @private
+     */
+    _normalizeRecoveryPolicy(recovery = {}) {
+        const validStrategies = ['retry', 'alternate', 'unwind'];
+        const strategies = Array.isArray(recovery.strategies)
+            ? recovery.strategies.filter(strategy => validStrategies.includes(strategy))
+            : [];
+
+        return {
+            strategies,
+            maxRetries: Math.max(0, parseInt(recovery.maxRetries ?? 2)),
+            retryDelayMs: Math.max(0, parseInt(recovery.retryDelayMs ?? 1000))
+        };
+    }
+
+    /**
+     * Currencies along the cycle from the sequence string ("USDT → BTC → ETH → USDT")
+     * @private
+     */
+    _parseCurrencies(sequence) {
+        return String(sequence || '')
+            .split('→')
+            .map(currency => currency.trim())
+            .filter(Boolean);
+    }
+
     /**
      * Generate unique execution ID
      * @private
@@ -238,10 +790,32 @@ class TradeExecutorService {
      */
     _timeout(ms) {
         return new Promise((_, reject) =>
-            setTimeout(() => reject(new Error(`Timeout after ${ms}ms`)), ms)
+            setTimeout(() => {
+                const error = new Error(`Timeout after ${ms}ms`);
+                error.code = 'ORDER_TIMEOUT';
+                reject(error);
+            }, ms)
         );
     }
 
+    /**
+     * Can a failed order be placed again without risking a second fill?
+     * Only when the exchange definitely did not fill it: an IOC/FOK limit that did not trade, or an
+     * HTTP 4xx rejection. Timeouts, network errors, 5xx responses and unconfirmed fills are
+     * ambiguous - the order may have filled - so they are never retried.
+     * @private
+     */
+    _isRetryable(error) {
+        if (!error) return false;
+        if (error.code === 'ORDER_NOT_FILLED') return true;
+        if (error.code === 'ORDER_TIMEOUT') return false;
+
+        // Adapter errors: "<Exchange> <label>: <status> - <body>"
+        const match = /:\s(\d{3}) - /.exec(error.message || '');
+        const status = match ? parseInt(match[1]) : null;
+        return status !== null && status >= 400 && status < 500 && status !== 408;
+    }
+
     /**
      * Parse executed amount from order result (exchange-specific)
      * @private
@@ -257,6 +831,10 @@ class TradeExecutorService {
             case 'binance':
             case 'bitrue':
             case 'mexc':
+                // executedQty is base currency - a sell hands the quote it received to the next leg
+                if (side === 'sell' && orderResult.cummulativeQuoteQty !== undefined) {
+                    return parseFloat(orderResult.cummulativeQuoteQty || 0);
+                }
                 return parseFloat(orderResult.executedQty || 0);
 
             case 'bitmart':
@@ -311,8 +889,15 @@ class TradeExecutorService {
 
             case 'binance':
             case 'bitrue':
-            case 'mexc':
-                return parseFloat(orderResult.price || 0);
+            case 'mexc': {
+                // MARKET orders report price 0 - average from the cumulative quote instead
+                const price = parseFloat(orderResult.price || 0);
+                const executedQty = parseFloat(orderResult.executedQty || 0);
+                if (price > 0 || !(executedQty > 0)) {
+                    return price;
+                }
+                return parseFloat(orderResult.cummulativeQuoteQty || 0) / executedQty;
+            }
 
             case 'bitmart':
                 return parseFloat(orderResult.data?.price || orderResult.price || 0);
@@ -0,0 +1,133 @@
+/**
+ * Trading Rules Service
+ * Exchange order-size rules (lot step, price tick, min quantity, min notional) for triangular legs
+ *
+ * Rules come from the adapter's public market endpoint (fetchTradingRules) and are cached
+ * per exchange + pair. Exchanges whose adapter has no rules endpoint report as unavailable
+ * so callers can decide whether unverified leg sizes are acceptable.
+ */
+
+const { systemLogger } = require('../../utils/logger');
+const exchangeRegistry = require('../exchanges/ExchangeRegistry');
+
+// Lot/tick sizes change rarely - refetch at most once per hour
+const TRADING_RULES_TTL_MS = 60 * 60 * 1000;
+
+class TradingRulesService {
+    constructor() {
+        // `${exchange}:${pair}` → { rules, fetchedAt }
+        this.rulesCache = new Map();
+    }
+
+    /**
+     * Get trading rules for the pairs of a path
+     * @param {string} exchange - Exchange name
+     * @param {Array<string>} pairs - Pairs in exchange format
+     * @returns {Promise<object>} { available, rules: { [pair]: rules | null }, error }
+     */
+    async getRules(exchange, pairs) {
+        const exchangeLower = exchange.toLowerCase();
+
+        if (!exchangeRegistry.supports(exchangeLower, 'fetchTradingRules')) {
+            return { available: false, rules: {}, error: `No trading rules endpoint for ${exchangeLower}` };
+        }
+
+        const rules = {};
+        const missing = [];
+        for (const pair of pairs) {
+            const cached = this.rulesCache.get(`${exchangeLower}:${pair}`);
+            if (cached && Date.now() - cached.fetchedAt < TRADING_RULES_TTL_MS) {
+                rules[pair] = cached.rules;
+            } else {
+                missing.push(pair);
+            }
+        }
+
+        if (missing.length === 0) {
+            return { available: true, rules, error: null };
+        }
+
+        try {
+            const fetched = await exchangeRegistry.get(exchangeLower).fetchTradingRules(missing);
+
+            for (const pair of missing) {
+                rules[pair] = fetched[pair] || null;
+                if (fetched[pair]) {
+                    this.rulesCache.set(`${exchangeLower}:${pair}`, { rules: fetched[pair], fetchedAt: Date.now() });
+                }
+            }
+
+            return { available: true, rules, error: null };
+
+        } catch (error) {
+            systemLogger.warn(`Trading rules fetch failed`, {
+                exchange: exchangeLower,
+                pairs: missing,
+                error: error.message
+            });
+            return { available: false, rules, error: error.message };
+        }
+    }
+
+    /**
+     * Drop cached rules
+     * @param {string} exchange - Exchange name (omit to clear everything)
+     */
+    clearCache(exchange = null) {
+        if (!exchange) {
+            this.rulesCache.clear();
+            return;
+        }
+
+        const prefix = `${exchange.toLowerCase()}:`;
+        for (const key of this.rulesCache.keys()) {
+            if (key.startsWith(prefix)) {
+                this.rulesCache.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Floor a quantity to the lot step
+     * @example roundQuantity(4.567, 0.01) → 4.56
+     */
+    roundQuantity(quantity, stepSize) {
+        if (!stepSize) {
+            return quantity;
+        }
+        // Relative epsilon so 0.3 / 0.1 = 2.9999999999999996 still counts as 3 steps
+        const steps = Math.floor((quantity / stepSize) * (1 + 1e-10));
+        return parseFloat((steps * stepSize).toFixed(this._decimals(stepSize)));
+    }
+
+    /**
+     * Round a price to the tick (up for buys, down for sells - never a better price than quoted)
+     */
+    roundPrice(price, tickSize, side) {
+        if (!tickSize) {
+            return price;
+        }
+        const ticks = side === 'buy'
+            ? Math.ceil((price / tickSize) * (1 - 1e-10))
+            : Math.floor((price / tickSize) * (1 + 1e-10));
+        return parseFloat((ticks * tickSize).toFixed(this._decimals(tickSize)));
+    }
+
+    /**
+     * Round a limit price to the tick without loosening it (down for buys, up for sells)
+     */
+    roundLimitPrice(price, tickSize, side) {
+        return this.roundPrice(price, tickSize, side === 'buy' ? 'sell' : 'buy');
+    }
+
+    /**
+     * Decimal places of an increment (0.25 → 2, 1e-8 → 8, 10 → 0)
+     * @private
+     */
+    _decimals(increment) {
+        const [mantissa, exponent] = increment.toExponential().split('e');
+        return Math.max(0, (mantissa.split('.')[1] || '').length - parseInt(exponent));
+    }
+}
+
+module.exports = TradingRulesService;
@@ -13,7 +13,11 @@ const ProfitCalculatorService = require('./ProfitCalculatorService');
 const OrderBookFetcherService = require('./OrderBookFetcherService');
 const TradeExecutorService = require('./TradeExecutorService');
 const PreFlightValidationService = require('./PreFlightValidationService');
+const FeeScheduleService = require('./FeeScheduleService');
+const TriangularExecution = require('../../models/TriangularExecution');
+const exchangeRegistry = require('../exchanges/ExchangeRegistry');
 const executionRateLimiter = require('./ExecutionRateLimiter');
+const orderBookStreamService = require('./OrderBookStreamService');
 
 class TriangularArbService {
     constructor() {
@@ -23,6 +27,7 @@ class TriangularArbService {
         this.orderBookFetcher = new OrderBookFetcherService();
         this.tradeExecutor = new TradeExecutorService();
         this.preFlightValidator = new PreFlightValidationService();
+        this.feeSchedule = new FeeScheduleService();
     }
 
     /**
@@ -30,12 +35,20 @@ class TriangularArbService {
      * @param {string} exchange - Exchange name ('valr', 'luno', etc.)
      * @param {object} options - Configuration options
      * @param {object} options.credentials - User's API credentials { apiKey, apiSecret }
-     * @param {string|array} options.paths - Path sets to scan ('all' or specific sets)
+     * @param {string|array} options.paths - Path sets to scan ('all', 'discovered' or specific sets)
      * @param {number} options.amount - Amount to simulate (default: 1000)
+     * @param {boolean|object} options.discover - Discover 3-5 leg cycles from live markets before scanning
+     *                                            (true, or { startCurrencies, maxLegs, maxCycles })
+     * @param {boolean|object} options.optimizeSize - Attach depth-aware sizing (recommendedAmount + profit-vs-size curve)
+     *                                                (true, or { minAmount, maxAmount, samples })
+     * @param {string} options.userId - User ID for per-user fee overrides (optional)
+     * @param {boolean|object} options.stream - Price from live WebSocket books where the exchange supports it
+     *                                          (default true, or { waitForSyncMs }); REST fills any gaps
      * @returns {Promise<Array>} Array of profitable opportunities
      */
     async scan(exchange, options) {
-        const { credentials, paths = 'all', amount = 1000, profitThreshold = 0 } = options;
+        const { credentials, amount = 1000, profitThreshold = 0, discover = false, optimizeSize = false, userId = null, stream = true } = options;
+        let { paths = 'all' } = options;
 
         systemLogger.trading(`[DEBUG] Triangular arb scan initiated`, {
             exchange,
@@ -47,6 +60,14 @@ class TriangularArbService {
         });
 
         try {
+            // Step 0 (optional): Build cycles from the exchange's live market list
+            if (discover) {
+                await this.pathDefinitions.discoverPaths(exchange, discover === true ? {} : discover);
+                if (paths === 'all') {
+                    paths = 'discovered';
+                }
+            }
+
             // Step 1: Get path definitions for this exchange
             const pathsToScan = this.pathDefinitions.getPathsForExchange(exchange, paths);
 
@@ -71,7 +92,25 @@ class TriangularArbService {
                 pairs: uniquePairs
             });
 
-            // Step 3: Fetch order books for all required pairs (pass credentials through)
+            // Step 3a: Keep live streamed books for these pairs (first scan waits briefly for sync)
+            let streamState = null;
+            if (stream && orderBookStreamService.supports(exchange)) {
+                try {
+                    streamState = await orderBookStreamService.ensureStreaming(
+                        exchange,
+                        uniquePairs,
+                        credentials,
+                        stream === true ? {} : stream
+                    );
+                } catch (streamError) {
+                    systemLogger.warn(`Order book streaming unavailable, using REST`, {
+                        exchange,
+                        error: streamError.message
+                    });
+                }
+            }
+
+            // Step 3: Fetch order books for all required pairs (streamed where synced, REST otherwise)
             const orderBooks = await this.orderBookFetcher.fetchMultiple(
                 exchange,
                 uniquePairs,
@@ -90,6 +129,9 @@ class TriangularArbService {
                 } : 'No orderbooks'
             });
 
+            // Step 3b: Resolve the fees this user actually pays (overrides → exchange API → static table)
+            const feeSchedule = await this.feeSchedule.resolve(exchange, uniquePairs, { userId, credentials });
+
             // Step 4: Calculate profits for each path
             const opportunities = [];
             const calculationResults = { success: 0, failed: 0, belowThreshold: 0 };
@@ -101,13 +143,21 @@ class TriangularArbService {
                         exchange,
                         path,
                         orderBooks,
-                        amount
+                        amount,
+                        { feeSchedule }
                     );
 
                     if (result.success) {
                         calculationResults.success++;
                         // Include ALL opportunities (even negative profit) if profitThreshold allows
                         if (result.profitPercentage >= profitThreshold) {
+                            if (optimizeSize) {
+                                this._attachSizing(exchange, path, orderBooks, result, {
+                                    profitThreshold,
+                                    feeSchedule,
+                                    ...(optimizeSize === true ? {} : optimizeSize)
+                                });
+                            }
                             opportunities.push(result);
                         } else {
                             calculationResults.belowThreshold++;
@@ -158,6 +208,8 @@ class TriangularArbService {
                     step3_orderbooksFetched: Object.keys(orderBooks).length,
                     step3_orderbooksRequested: uniquePairs.length,
                     step3_orderbookPairs: Object.keys(orderBooks),
+                    step3_streaming: streamState?.streaming || false,
+                    step3_streamedPairs: Object.keys(orderBooks).filter(pair => orderBooks[pair]?.source === 'stream').length,
                     step3_sampleOrderbook: orderBooks[Object.keys(orderBooks)[0]] ? {
                         pair: Object.keys(orderBooks)[0],
                         bidsCount: (orderBooks[Object.keys(orderBooks)[0]]?.Bids || orderBooks[Object.keys(orderBooks)[0]]?.bids || []).length,
@@ -166,7 +218,11 @@ class TriangularArbService {
                     step4_calculationsSuccessful: calculationResults.success,
                     step4_calculationsFailed: calculationResults.failed,
                     step4_calculationsBelowThreshold: calculationResults.belowThreshold,
-                    step4_profitThreshold: profitThreshold
+                    step4_profitThreshold: profitThreshold,
+                    step4_feeSources: {
+                        default: feeSchedule.default?.source || 'static_default',
+                        pairs: Object.fromEntries(Object.entries(feeSchedule.pairs).map(([pair, fee]) => [pair, fee.source]))
+                    }
                 }
             };
 
@@ -196,7 +252,9 @@ class TriangularArbService {
             minProfitThreshold = 0.3,    // Minimum profit required
             maxTradeAmount = null,       // Maximum trade amount limit
             portfolioPercent = null,     // Max % of portfolio
-            userId = 'anonymous'         // User ID for rate limiting
+            userId = 'anonymous',        // User ID for rate limiting
+            recovery = undefined,        // Leg-failure recovery policy (see TradeExecutorService.executeAtomic)
+            legOrders = undefined        // Market or limit IOC/FOK legs (see TradeExecutorService.executeAtomic)
         } = options;
 
         systemLogger.trading(`Triangular arb execution initiated ${dryRun ? '[DRY RUN]' : '[LIVE]'}`, {
@@ -210,6 +268,7 @@ class TriangularArbService {
         });
 
         const executionId = `EXEC_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        let executionLocked = false;
 
         try {
             // STEP 0: RATE LIMIT CHECK (prevent overwhelming exchanges)
@@ -217,7 +276,8 @@ class TriangularArbService {
             if (!dryRun) {
                 systemLogger.trading(`[RATE LIMIT] Checking execution rate limit...`);
 
-                const rateLimitCheck = await executionRateLimiter.checkExecutionAllowed(exchange, userId);
+                // Check and lock in one step, so a second instance can't start a trade in between
+                const rateLimitCheck = await executionRateLimiter.acquireExecution(exchange, executionId, userId);
 
                 if (!rateLimitCheck.allowed) {
                     systemLogger.warn(`[RATE LIMIT] Execution blocked`, {
@@ -236,8 +296,7 @@ class TriangularArbService {
                     };
                 }
 
-                // Mark execution as started
-                executionRateLimiter.markExecutionStarted(exchange, executionId);
+                executionLocked = true;
                 systemLogger.trading(`[RATE LIMIT] ✅ Rate limit check passed - execution allowed`);
             }
 
@@ -251,6 +310,8 @@ class TriangularArbService {
             // Step 2: PRE-FLIGHT VALIDATION (Critical Safety Checks)
             systemLogger.trading(`[SAFETY] Running pre-flight validation...`);
 
+            const feeSchedule = await this.feeSchedule.resolve(exchange, path.pairs, { userId, credentials });
+
             const validationResult = await this.preFlightValidator.validateTrade(
                 exchange,
                 path,
@@ -261,7 +322,8 @@ class TriangularArbService {
                     maxTradeAmount,
                     portfolioPercent,
                     requireConfirmation: !dryRun,  // Only require confirmation for live trading
-                    confirmed
+                    confirmed,
+                    feeSchedule
                 }
             );
 
@@ -294,7 +356,7 @@ class TriangularArbService {
                 dryRun
             });
 
-            // Step 3: Execute the 3-leg trade (pass credentials and dry run flag)
+            // Step 3: Execute the legs (pass credentials and dry run flag)
             const executionResult = await this.tradeExecutor.executeAtomic(
                 exchange,
                 currentOpportunity,
@@ -302,7 +364,10 @@ class TriangularArbService {
                 {
                     dryRun,
                     maxSlippage: 0.5,
-                    timeoutMs: 30000
+                    timeoutMs: 30000,
+                    recovery,
+                    legOrders,
+                    userId
                 }
             );
 
@@ -318,19 +383,9 @@ class TriangularArbService {
             // Include validation result in response
             executionResult.validationResult = validationResult;
 
-            // Mark execution as completed (for live trading rate limiting)
-            if (!dryRun) {
-                executionRateLimiter.markExecutionCompleted(exchange, executionId);
-            }
-
             return executionResult;
 
         } catch (error) {
-            // Mark execution as completed even on error (for live trading rate limiting)
-            if (!dryRun) {
-                executionRateLimiter.markExecutionCompleted(exchange, executionId);
-            }
-
             systemLogger.error(`Triangular arb execution failed`, {
                 exchange,
                 pathId,
@@ -340,6 +395,12 @@ class TriangularArbService {
                 stack: error.stack
             });
             throw error;
+
+        } finally {
+            // Every exit after a successful acquire (blocked pre-flight, completion, error) frees the lock
+            if (executionLocked) {
+                await executionRateLimiter.releaseExecution(exchange, executionId, userId);
+            }
         }
     }
 
@@ -353,16 +414,160 @@ class TriangularArbService {
     }
 
     /**
-     * Get trading history (if implemented)
+     * Get path sets with their path definitions (static + discovered)
      * @param {string} exchange - Exchange name
-     * @param {object} filters - Filter criteria
-     * @returns {Array} Trade history
+     * @returns {object} { [setName]: { pathCount, paths } }
+     */
+    getPathSets(exchange) {
+        const pathSets = {};
+
+        for (const setName of this.pathDefinitions.getAvailablePathSets(exchange)) {
+            const paths = this.pathDefinitions.getPathsForExchange(exchange, setName);
+            pathSets[setName] = {
+                pathCount: paths.length,
+                paths: paths.map(path => ({
+                    id: path.id,
+                    sequence: path.sequence,
+                    pairs: path.pairs,
+                    legs: path.steps?.length || path.pairs.length
+                }))
+            };
+        }
+
+        return pathSets;
+    }
+
+    /**
+     * Verify credentials and check that the exchange lists every pair our paths need
+     * @param {string} exchange - Exchange name
+     * @param {object} credentials - User's API credentials { apiKey, apiSecret, passphrase }
+     * @returns {Promise<object>} { connected, balanceAccess, triangularPairsAvailable, requiredPairsFound, missingPairs }
+     */
+    async testConnection(exchange, credentials) {
+        const adapter = exchangeRegistry.get(exchange);
+
+        // Authenticated call proves the key/secret pair is valid
+        const balances = await this.getBalances(exchange, credentials);
+
+        const requiredPairs = this._extractUniquePairs(this.pathDefinitions.getPathsForExchange(exchange, 'all'));
+        let availablePairs = null;
+
+        if (adapter.supports('fetchMarkets')) {
+            const markets = await adapter.fetchMarkets();
+            availablePairs = new Set(markets.map(market => market.symbol));
+        }
+
+        return {
+            connected: true,
+            balanceAccess: true,
+            balanceCount: balances.length,
+            // null = exchange has no market list endpoint wired, pair availability unknown
+            triangularPairsAvailable: availablePairs ? requiredPairs.every(pair => availablePairs.has(pair)) : null,
+            totalPairs: availablePairs ? availablePairs.size : null,
+            requiredPairsFound: availablePairs ? requiredPairs.filter(pair => availablePairs.has(pair)) : [],
+            missingPairs: availablePairs ? requiredPairs.filter(pair => !availablePairs.has(pair)) : []
+        };
+    }
+
+    /**
+     * Get account balances for the currencies triangular paths start from
+     * @param {string} exchange - Exchange name
+     * @param {object} credentials - User's API credentials { apiKey, apiSecret, passphrase }
+     * @param {Array<string>} currencies - Currencies to report (default: every path start currency)
+     * @returns {Promise<Array>} [{ currency, available, reserved, total }]
+     */
+    async getBalances(exchange, credentials, currencies = null) {
+        const adapter = exchangeRegistry.get(exchange);
+        const wanted = currencies?.length ? currencies.map(c => c.toUpperCase()) : this._getFundingCurrencies(exchange);
+
+        // Prefer the full balance list (one request) when the adapter has it
+        if (adapter.supports('fetchBalances')) {
+            const balances = await adapter.fetchBalances(credentials);
+            return wanted.map(currency => balances.find(b => b.currency === currency) ||
+                { currency, available: 0, reserved: 0, total: 0 });
+        }
+
+        if (!adapter.supports('fetchBalance')) {
+            throw new Error(`fetchBalance not supported for ${adapter.name}`);
+        }
+
+        const balances = [];
+        for (const currency of wanted) {
+            const available = await adapter.fetchBalance(currency, credentials);
+            balances.push({ currency, available, reserved: null, total: null });
+        }
+
+        return balances;
+    }
+
+    /**
+     * Discover N-leg cycles from an exchange's live market list
+     * @param {string} exchange - Exchange name
+     * @param {object} options - { startCurrencies, currencies, minLegs, maxLegs, maxCycles, forceRefresh }
+     * @returns {Promise<object>} { sets: { AUTO_3_LEG: count, ... }, paths }
+     */
+    async discoverPaths(exchange, options = {}) {
+        const sets = await this.pathDefinitions.discoverPaths(exchange, options);
+
+        return {
+            sets: Object.fromEntries(Object.entries(sets).map(([name, list]) => [name, list.length])),
+            paths: this.pathDefinitions.getDiscoveredPaths(exchange)
+        };
+    }
+
+    /**
+     * Get execution history from the triangular_executions ledger
+     * @param {string|null} exchange - Exchange name, or null for all exchanges
+     * @param {object} filters - { userId, status, dryRun, pathId, from, to, page, limit }
+     * @returns {Promise<object>} { executions, total, page, limit }
      */
     async getHistory(exchange, filters = {}) {
-        // TODO: Implement trade history tracking
-        // For now, return empty array
-        systemLogger.warn(`Trade history not yet implemented for ${exchange}`);
-        return [];
+        const { page, limit, ...criteria } = filters;
+
+        return await TriangularExecution.list(
+            { ...criteria, exchange: exchange || undefined },
+            { page, limit }
+        );
+    }
+
+    /**
+     * Add depth-aware sizing to a scan result (recommendedAmount = size with highest absolute profit)
+     * @private
+     */
+    _attachSizing(exchange, path, orderBooks, result, sizingOptions) {
+        const sizing = this.profitCalculator.findOptimalSize(exchange, path, orderBooks, sizingOptions);
+
+        if (!sizing.success) {
+            result.sizing = { success: false, error: sizing.error };
+            return;
+        }
+
+        result.recommendedAmount = sizing.optimalAmount;
+        result.sizing = {
+            success: true,
+            optimalAmount: sizing.optimalAmount,
+            optimalProfit: sizing.optimalProfit,
+            optimalProfitPercentage: sizing.optimalProfitPercentage,
+            maxSizeAboveThreshold: sizing.maxSizeAboveThreshold,
+            maxFillableAmount: sizing.maxFillableAmount,
+            curve: sizing.curve
+        };
+    }
+
+    /**
+     * Currencies the exchange's paths start (and end) in, e.g. ['USDT', 'ZAR']
+     * @private
+     */
+    _getFundingCurrencies(exchange) {
+        const currencies = new Set();
+
+        for (const path of this.pathDefinitions.getPathsForExchange(exchange, 'all')) {
+            if (path.sequence) {
+                currencies.add(path.sequence.split('→')[0].trim());
+            }
+        }
+
+        return Array.from(currencies);
     }
 
     /**
@@ -0,0 +1,510 @@
+/**
+ * Triangular Auto-Trader Service
+ * Server-side scan → execute loop per user and exchange, replacing browser polling
+ *
+ * Each session scans the selected path sets every scanIntervalMs and executes the best
+ * opportunity above threshold through TriangularArbService.execute (same pre-flight checks,
+ * rate limiting, recovery and ledger as manual executions).
+ *
+ * Risk limits (per session, checked before every execution):
+ * - maxDailyLoss: realized loss today (UTC, per start currency) - session HALTS when reached, and a
+ *   live session does not start while today's loss is already at the limit
+ * - maxTradesPerHour: executions in the last rolling hour - execution skipped until the window frees up
+ * - maxCapital: capital committed at once across all of the user's sessions - trade size capped / skipped
+ * - maxConsecutiveFailures: failed executions in a row - session HALTS
+ * Live sessions seed today's loss and last hour's trades from the execution ledger, so a
+ * stop/start does not reset them.
+ *
+ * IMPORTANT: Credentials are held in memory only while a session runs (never persisted);
+ * a server restart ends all sessions.
+ *
+ * Socket events (to the user's socket): triangular_auto_started, triangular_auto_scan,
+ * triangular_auto_trade, triangular_auto_limit, triangular_auto_halted, triangular_auto_stopped
+ */
+
+const { systemLogger } = require('../../utils/logger');
+const { notifyUser } = require('../../websocket/socketManager');
+const TriangularExecution = require('../../models/TriangularExecution');
+const triangularArbService = require('./TriangularArbService');
+
+const MIN_SCAN_INTERVAL_MS = 2000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_CONFIG = {
+    paths: 'all',
+    amount: 100,
+    profitThreshold: 0.5,
+    scanIntervalMs: 10000,
+    dryRun: true,
+    recovery: undefined,
+    legOrders: undefined,
+    limits: {
+        maxDailyLoss: 50,
+        maxTradesPerHour: 10,
+        maxCapital: 1000,
+        maxConsecutiveFailures: 3
+    }
+};
+
+class TriangularAutoTraderService {
+    constructor() {
+        // `${userId}:${exchange}` → session
+        this.sessions = new Map();
+        // `${userId}:${exchange}` → final status of the last ended session (why it stopped/halted)
+        this.ended = new Map();
+    }
+
+    /**
+     * Start (or restart with new settings) a user's auto-trader on an exchange
+     * @param {string|number} userId - Platform user ID
+     * @param {string} exchange - Exchange name
+     * @param {object} credentials - User's API credentials (kept in memory for the session only)
+     * @param {object} config - { paths, amount, profitThreshold, scanIntervalMs, dryRun, recovery, legOrders, limits }
+     * @returns {Promise<object>} Session status
+     */
+    async start(userId, exchange, credentials, config = {}) {
+        const exchangeLower = exchange.toLowerCase();
+        const key = this._key(userId, exchangeLower);
+
+        const session = {
+            key,
+            userId,
+            exchange: exchangeLower,
+            credentials,
+            config: {
+                ...DEFAULT_CONFIG,
+                ...config,
+                scanIntervalMs: Math.max(config.scanIntervalMs || DEFAULT_CONFIG.scanIntervalMs, MIN_SCAN_INTERVAL_MS),
+                limits: { ...DEFAULT_CONFIG.limits, ...(config.limits || {}) }
+            },
+            state: 'running',
+            haltReason: null,
+            startedAt: new Date().toISOString(),
+            lastScanAt: null,
+            lastOpportunity: null,
+            scans: 0,
+            executions: 0,
+            consecutiveFailures: 0,
+            inFlightAmount: 0,
+            day: this._utcDay(),
+            realizedToday: {},      // start currency → realized profit (negative = loss)
+            tradeTimestamps: [],    // execution times within the last hour
+            limitNotified: null,
+            timer: null
+        };
+
+        if (!session.config.dryRun) {
+            await this._seedFromLedger(session);
+
+            // Otherwise every stop/start after a daily-loss halt would let another live trade through
+            const lossBreach = this._dailyLossBreach(session);
+            if (lossBreach) {
+                return this._refuseStart(session, lossBreach);
+            }
+        }
+
+        if (this.sessions.has(key)) {
+            this.stop(userId, exchangeLower, 'restarted');
+        }
+
+        this.sessions.set(key, session);
+
+        systemLogger.trading(`Triangular auto-trader started ${session.config.dryRun ? '[DRY RUN]' : '[LIVE]'}`, {
+            userId,
+            exchange: exchangeLower,
+            paths: session.config.paths,
+            amount: session.config.amount,
+            profitThreshold: session.config.profitThreshold,
+            limits: session.config.limits
+        });
+
+        this._emit(session, 'triangular_auto_started', this._publicStatus(session));
+        this._schedule(session, 0);
+
+        return this._publicStatus(session);
+    }
+
+    /**
+     * Stop a session
+     * @returns {boolean} true if a session was running
+     */
+    stop(userId, exchange, reason = 'stopped by user') {
+        const key = this._key(userId, exchange.toLowerCase());
+        const session = this.sessions.get(key);
+
+        if (!session) {
+            return false;
+        }
+
+        clearTimeout(session.timer);
+        if (session.state === 'running') {
+            session.state = 'stopped';
+        }
+        session.credentials = null;
+        this.sessions.delete(key);
+        this.ended.set(key, { ...this._publicStatus(session), stoppedAt: new Date().toISOString(), stopReason: reason });
+
+        systemLogger.trading(`Triangular auto-trader stopped`, {
+            userId,
+            exchange: session.exchange,
+            reason,
+            scans: session.scans,
+            executions: session.executions
+        });
+
+        this._emit(session, 'triangular_auto_stopped', { ...this._publicStatus(session), reason });
+        return true;
+    }
+
+    /**
+     * Stop every session (server shutdown)
+     */
+    stopAll() {
+        for (const session of Array.from(this.sessions.values())) {
+            this.stop(session.userId, session.exchange, 'server shutdown');
+        }
+    }
+
+    /**
+     * Status of one session (or how the last one ended), or all of a user's running sessions
+     * @returns {object|null|Array<object>}
+     */
+    getStatus(userId, exchange = null) {
+        if (exchange) {
+            const key = this._key(userId, exchange.toLowerCase());
+            const session = this.sessions.get(key);
+            return session ? this._publicStatus(session) : (this.ended.get(key) || null);
+        }
+
+        return Array.from(this.sessions.values())
+            .filter(session => String(session.userId) === String(userId))
+            .map(session => this._publicStatus(session));
+    }
+
+    /**
+     * @private
+     */
+    _schedule(session, delayMs) {
+        session.timer = setTimeout(() => this._tick(session), delayMs);
+        session.timer.unref();
+    }
+
+    /**
+     * One scan (and possibly one execution), then schedule the next
+     * @private
+     */
+    async _tick(session) {
+        if (this.sessions.get(session.key) !== session) {
+            return;  // Stopped or replaced meanwhile
+        }
+
+        try {
+            this._rollWindows(session);
+
+            const { config } = session;
+            const scanResult = await triangularArbService.scan(session.exchange, {
+                credentials: session.credentials,
+                paths: config.paths,
+                amount: config.amount,
+                profitThreshold: config.profitThreshold,
+                userId: session.userId
+            });
+
+            const opportunities = (scanResult.opportunities || [])
+                .filter(opportunity => opportunity.profitPercentage >= config.profitThreshold)
+                .sort((a, b) => b.profitPercentage - a.profitPercentage);
+
+            session.scans++;
+            session.lastScanAt = new Date().toISOString();
+            session.lastOpportunity = opportunities[0]
+                ? { pathId: opportunities[0].pathId, sequence: opportunities[0].sequence, profitPercentage: opportunities[0].profitPercentage }
+                : null;
+
+            this._emit(session, 'triangular_auto_scan', {
+                exchange: session.exchange,
+                opportunitiesFound: opportunities.length,
+                best: session.lastOpportunity,
+                scanTime: session.lastScanAt
+            });
+
+            if (opportunities.length > 0) {
+                await this._maybeExecute(session, opportunities[0]);
+            }
+        } catch (error) {
+            systemLogger.error(`Triangular auto-trader tick failed`, {
+                userId: session.userId,
+                exchange: session.exchange,
+                error: error.message
+            });
+            this._recordFailure(session, error.message);
+        }
+
+        if (this.sessions.get(session.key) === session && session.state === 'running') {
+            this._schedule(session, session.config.scanIntervalMs);
+        }
+    }
+
+    /**
+     * Apply risk limits, size the trade and execute
+     * @private
+     */
+    async _maybeExecute(session, opportunity) {
+        const { limits } = session.config;
+
+        const lossBreach = this._dailyLossBreach(session);
+        if (lossBreach) {
+            this._halt(session, lossBreach);
+            return;
+        }
+
+        if (session.tradeTimestamps.length >= limits.maxTradesPerHour) {
+            this._notifyLimit(session, 'maxTradesPerHour', {
+                tradesLastHour: session.tradeTimestamps.length,
+                nextSlotAt: new Date(session.tradeTimestamps[0] + HOUR_MS).toISOString()
+            });
+            return;
+        }
+
+        const amount = Math.min(session.config.amount, limits.maxCapital - this._userCapitalInFlight(session.userId));
+        if (amount <= 0) {
+            this._notifyLimit(session, 'maxCapital', { maxCapital: limits.maxCapital });
+            return;
+        }
+
+        session.limitNotified = null;
+        session.inFlightAmount = amount;
+        session.tradeTimestamps.push(Date.now());
+
+        let result;
+        try {
+            result = await triangularArbService.execute(session.exchange, opportunity.pathId, amount, session.credentials, {
+                dryRun: session.config.dryRun,
+                confirmed: !session.config.dryRun,  // Starting a live session is the user's confirmation
+                minProfitThreshold: session.config.profitThreshold,
+                maxTradeAmount: limits.maxCapital,
+                userId: session.userId,
+                recovery: session.config.recovery,
+                legOrders: session.config.legOrders
+            });
+        } finally {
+            session.inFlightAmount = 0;
+        }
+
+        // Blocked before any order (pre-flight / exchange rate limit) - not a trade
+        if (!result.executionId) {
+            session.tradeTimestamps.pop();
+            this._emit(session, 'triangular_auto_trade', {
+                exchange: session.exchange,
+                pathId: opportunity.pathId,
+                executed: false,
+                error: result.error,
+                message: result.message
+            });
+            return;
+        }
+
+        session.executions++;
+
+        const startCurrency = (result.sequence || '').split('→')[0].trim() || 'UNKNOWN';
+        if (typeof result.actualProfit === 'number') {
+            session.realizedToday[startCurrency] = (session.realizedToday[startCurrency] || 0) + result.actualProfit;
+        }
+
+        this._emit(session, 'triangular_auto_trade', {
+            exchange: session.exchange,
+            executed: true,
+            executionId: result.executionId,
+            pathId: result.pathId,
+            sequence: result.sequence,
+            status: result.status,
+            dryRun: result.dryRun,
+            amount,
+            expectedProfit: result.expectedProfit,
+            actualProfit: result.actualProfit,
+            actualProfitPercentage: result.actualProfitPercentage,
+            error: result.error
+        });
+
+        if (result.success) {
+            session.consecutiveFailures = 0;
+        } else {
+            this._recordFailure(session, result.error);
+        }
+
+        const lossAfterTrade = this._dailyLossBreach(session);
+        if (session.state === 'running' && lossAfterTrade) {
+            this._halt(session, lossAfterTrade);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _recordFailure(session, error) {
+        session.consecutiveFailures++;
+
+        if (session.consecutiveFailures >= session.config.limits.maxConsecutiveFailures) {
+            this._halt(session, `${session.consecutiveFailures} consecutive failures (last: ${error})`);
+        }
+    }
+
+    /**
+     * Stop the session because a risk limit was hit
+     * @private
+     */
+    _halt(session, reason) {
+        session.state = 'halted';
+        session.haltReason = reason;
+
+        systemLogger.warn(`Triangular auto-trader halted`, {
+            userId: session.userId,
+            exchange: session.exchange,
+            reason
+        });
+
+        this._emit(session, 'triangular_auto_halted', { ...this._publicStatus(session), reason });
+        this.stop(session.userId, session.exchange, reason);
+    }
+
+    /**
+     * End a session before it starts because a risk limit is already hit
+     * @private
+     */
+    _refuseStart(session, reason) {
+        session.state = 'halted';
+        session.haltReason = reason;
+        session.credentials = null;
+        this.ended.set(session.key, { ...this._publicStatus(session), stoppedAt: new Date().toISOString(), stopReason: reason });
+
+        systemLogger.warn(`Triangular auto-trader not started`, {
+            userId: session.userId,
+            exchange: session.exchange,
+            reason
+        });
+
+        this._emit(session, 'triangular_auto_halted', { ...this._publicStatus(session), reason });
+        return this._publicStatus(session);
+    }
+
+    /**
+     * Halt reason when today's realized loss in any start currency has reached maxDailyLoss, else null
+     * @private
+     */
+    _dailyLossBreach(session) {
+        const { maxDailyLoss } = session.config.limits;
+
+        for (const [currency, realized] of Object.entries(session.realizedToday)) {
+            if (realized < 0 && -realized >= maxDailyLoss) {
+                return `Daily loss limit reached (${(-realized).toFixed(2)} ${currency} ≥ ${maxDailyLoss})`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Emit a limit event once per limit until a trade goes through again
+     * @private
+     */
+    _notifyLimit(session, limit, details) {
+        if (session.limitNotified === limit) {
+            return;
+        }
+        session.limitNotified = limit;
+
+        this._emit(session, 'triangular_auto_limit', { exchange: session.exchange, limit, ...details });
+    }
+
+    /**
+     * Reset daily loss at UTC midnight, drop trades older than an hour
+     * @private
+     */
+    _rollWindows(session) {
+        const today = this._utcDay();
+        if (session.day !== today) {
+            session.day = today;
+            session.realizedToday = {};
+        }
+
+        const hourAgo = Date.now() - HOUR_MS;
+        session.tradeTimestamps = session.tradeTimestamps.filter(timestamp => timestamp > hourAgo);
+    }
+
+    /**
+     * Load today's realized PnL and last hour's trade count from the execution ledger
+     * @private
+     */
+    async _seedFromLedger(session) {
+        try {
+            const today = await TriangularExecution.getRealizedSince(session.userId, session.exchange, `${session.day}T00:00:00Z`);
+            for (const row of today) {
+                session.realizedToday[row.start_currency || 'UNKNOWN'] = parseFloat(row.realized_profit);
+            }
+
+            const lastHour = await TriangularExecution.getRealizedSince(session.userId, session.exchange, new Date(Date.now() - HOUR_MS));
+            const trades = lastHour.reduce((sum, row) => sum + parseInt(row.trades), 0);
+            // Exact times are not needed - treat them as starting now (conservative)
+            session.tradeTimestamps = Array(trades).fill(Date.now());
+        } catch (error) {
+            systemLogger.warn(`Auto-trader could not load ledger totals, limits start from zero`, {
+                userId: session.userId,
+                exchange: session.exchange,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _userCapitalInFlight(userId) {
+        return Array.from(this.sessions.values())
+            .filter(session => String(session.userId) === String(userId))
+            .reduce((sum, session) => sum + session.inFlightAmount, 0);
+    }
+
+    /**
+     * @private
+     */
+    _publicStatus(session) {
+        const { recovery, legOrders, ...config } = session.config;
+
+        return {
+            exchange: session.exchange,
+            state: session.state,
+            haltReason: session.haltReason,
+            config: { ...config, recovery: recovery || null, legOrders: legOrders || null },
+            startedAt: session.startedAt,
+            lastScanAt: session.lastScanAt,
+            lastOpportunity: session.lastOpportunity,
+            scans: session.scans,
+            executions: session.executions,
+            consecutiveFailures: session.consecutiveFailures,
+            realizedToday: session.realizedToday,
+            tradesLastHour: session.tradeTimestamps.length
+        };
+    }
+
+    /**
+     * @private
+     */
+    _emit(session, event, data) {
+        notifyUser(session.userId, event, { ...data, timestamp: new Date().toISOString() });
+    }
+
+    /**
+     * @private
+     */
+    _key(userId, exchange) {
+        return `${userId}:${exchange}`;
+    }
+
+    /**
+     * @private
+     */
+    _utcDay() {
+        return new Date().toISOString().slice(0, 10);
+    }
+}
+
+// Export singleton instance (sessions are process-wide)
+module.exports = new TriangularAutoTraderService();
@@ -0,0 +1,352 @@
+/**
+ * Triangular Backtest Service
+ * Replays recorded order book snapshots (OrderBookRecorderService) to measure how often
+ * each path set would really have paid
+ *
+ * For every recording round:
+ * 1. ProfitCalculatorService evaluates each path on that round's books (depth-aware)
+ * 2. A path at/above profitThreshold is a signal; consecutive signalling rounds form one
+ *    opportunity window and only the window's first round is traded (like a live trader)
+ * 3. SimulatedTradeExecutorService fills the legs against the books recorded latencyMs
+ *    per leg later (partial fills, fees)
+ *
+ * Pairs missing from a round carry their last book forward for up to maxBookAgeMs.
+ */
+
+const { systemLogger } = require('../../utils/logger');
+const TriangularOrderBookSnapshot = require('../../models/TriangularOrderBookSnapshot');
+const ProfitCalculatorService = require('./ProfitCalculatorService');
+const SimulatedTradeExecutorService = require('./SimulatedTradeExecutorService');
+const triangularArbService = require('./TriangularArbService');
+
+const MAX_SNAPSHOT_ROWS = 200000;
+
+class TriangularBacktestService {
+    constructor() {
+        this.profitCalculator = new ProfitCalculatorService();
+        this.simulator = new SimulatedTradeExecutorService();
+    }
+
+    /**
+     * Run a backtest over recorded snapshots
+     * @param {string} exchange - Exchange name
+     * @param {object} options - Backtest options
+     * @param {string|array} options.paths - Path sets to test ('all' or specific sets)
+     * @param {string} options.from - Window start (ISO date, optional)
+     * @param {string} options.to - Window end (ISO date, optional)
+     * @param {number} options.amount - Trade size in start currency (default: 1000)
+     * @param {number} options.profitThreshold - Minimum signalled profit % (default: 0.3)
+     * @param {number} options.latencyMs - Delay per leg between signal and fill (default: 500)
+     * @param {number} options.maxBookAgeMs - Longest a missing pair's last book is reused (default: 60000)
+     * @param {string} options.userId - User ID for per-user fee overrides (optional)
+     * @param {number} options.maxTrades - Simulated trades listed in the report (default: 500, stats cover all)
+     * @returns {Promise<object>} { summary, pathSets, paths, trades }
+     */
+    async run(exchange, options = {}) {
+        const {
+            paths = 'all',
+            from = null,
+            to = null,
+            amount = 1000,
+            profitThreshold = 0.3,
+            latencyMs = 500,
+            maxBookAgeMs = 60000,
+            userId = null,
+            maxTrades = 500
+        } = options;
+        const exchangeLower = exchange.toLowerCase();
+
+        const pathsToTest = triangularArbService.pathDefinitions.getPathsForExchange(exchangeLower, paths) || [];
+        if (pathsToTest.length === 0) {
+            throw new Error(`No paths found for ${exchangeLower} (paths: ${paths})`);
+        }
+
+        const pairs = Array.from(new Set(pathsToTest.flatMap(path => path.pairs || [])));
+        const rows = await TriangularOrderBookSnapshot.getRange(exchangeLower, { pairs, from, to, maxRows: MAX_SNAPSHOT_ROWS });
+
+        if (rows.length === 0) {
+            throw new Error(`No recorded order books for ${exchangeLower} in this window - start the recorder first`);
+        }
+
+        // Fees are resolved once for the whole run (no credentials: overrides → static table)
+        const feeSchedule = await triangularArbService.feeSchedule.resolve(exchangeLower, pairs, { userId });
+        const { rounds, history } = this._buildTimeline(rows);
+        const setByPathId = this._pathSetIndex(exchangeLower);
+
+        const pathStats = new Map(pathsToTest.map(path => [path.id, this._emptyStats({
+            pathId: path.id,
+            sequence: path.sequence,
+            pathSet: setByPathId[path.id] || null
+        })]));
+        const inWindow = new Set();
+        const trades = [];
+
+        systemLogger.trading(`Triangular backtest started`, {
+            exchange: exchangeLower,
+            paths: pathsToTest.length,
+            pairs: pairs.length,
+            rounds: rounds.length,
+            snapshots: rows.length,
+            truncated: rows.length >= MAX_SNAPSHOT_ROWS
+        });
+
+        for (const round of rounds) {
+            const books = this._booksAt(history, pairs, round.time, maxBookAgeMs);
+
+            for (const path of pathsToTest) {
+                const stats = pathStats.get(path.id);
+                const signal = this.profitCalculator.calculate(exchangeLower, path, books, amount, {
+                    depthAware: true,
+                    feeSchedule
+                });
+
+                if (!signal.success) {
+                    stats.roundsUnpriced++;
+                    inWindow.delete(path.id);
+                    continue;
+                }
+
+                stats.roundsPriced++;
+
+                if (signal.profitPercentage < profitThreshold) {
+                    inWindow.delete(path.id);
+                    continue;
+                }
+
+                stats.signalRounds++;
+                stats.bestSignalledProfitPercentage = Math.max(stats.bestSignalledProfitPercentage ?? -Infinity, signal.profitPercentage);
+
+                if (inWindow.has(path.id)) {
+                    continue;  // Same opportunity as the previous round - already traded
+                }
+                inWindow.add(path.id);
+                stats.windows++;
+
+                const execution = this.simulator.execute(
+                    exchangeLower,
+                    path,
+                    amount,
+                    (pair, legIndex) => this._bookAt(history, pair, round.time + latencyMs * (legIndex + 1), maxBookAgeMs),
+                    { feeSchedule, expectedSteps: signal.steps }
+                );
+
+                this._addTrade(stats, signal, execution);
+
+                if (trades.length < maxTrades) {
+                    trades.push({
+                        signalledAt: new Date(round.time).toISOString(),
+                        pathId: path.id,
+                        sequence: path.sequence,
+                        signalledProfitPercentage: signal.profitPercentage,
+                        ...execution
+                    });
+                }
+            }
+        }
+
+        const rawStats = Array.from(pathStats.values());
+        const pathResults = rawStats.map(stats => this._finalizeStats(stats));
+
+        return {
+            summary: {
+                exchange: exchangeLower,
+                from: new Date(rounds[0].time).toISOString(),
+                to: new Date(rounds[rounds.length - 1].time).toISOString(),
+                rounds: rounds.length,
+                snapshots: rows.length,
+                truncated: rows.length >= MAX_SNAPSHOT_ROWS,
+                amount,
+                profitThreshold,
+                latencyMs,
+                ...this._finalizeStats(this._sumStats(rawStats, {}))
+            },
+            pathSets: this._groupBySet(rawStats),
+            paths: pathResults,
+            trades,
+            tradesTruncated: pathResults.reduce((sum, stats) => sum + stats.trades, 0) > trades.length
+        };
+    }
+
+    /**
+     * Group snapshot rows into rounds and per-pair histories (oldest first)
+     * @private
+     */
+    _buildTimeline(rows) {
+        const roundTimes = new Set();
+        const history = new Map();
+
+        for (const row of rows) {
+            const time = new Date(row.captured_at).getTime();
+            roundTimes.add(time);
+
+            if (!history.has(row.pair)) {
+                history.set(row.pair, []);
+            }
+            history.get(row.pair).push({ time, bids: row.bids, asks: row.asks });
+        }
+
+        return {
+            rounds: Array.from(roundTimes).sort((a, b) => a - b).map(time => ({ time })),
+            history
+        };
+    }
+
+    /**
+     * Latest book of a pair at or before a time (null if none or older than maxAgeMs)
+     * @private
+     */
+    _bookAt(history, pair, time, maxAgeMs) {
+        const snapshots = history.get(pair);
+        if (!snapshots) {
+            return null;
+        }
+
+        // Binary search for the last snapshot with snapshot.time <= time
+        let low = 0;
+        let high = snapshots.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (snapshots[mid].time <= time) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        if (found === -1 || time - snapshots[found].time > maxAgeMs) {
+            return null;
+        }
+
+        const snapshot = snapshots[found];
+        return { bids: snapshot.bids, asks: snapshot.asks, capturedAt: new Date(snapshot.time).toISOString() };
+    }
+
+    /**
+     * @private
+     */
+    _booksAt(history, pairs, time, maxAgeMs) {
+        const books = {};
+        for (const pair of pairs) {
+            const book = this._bookAt(history, pair, time, maxAgeMs);
+            if (book) {
+                books[pair] = book;
+            }
+        }
+        return books;
+    }
+
+    /**
+     * pathId → path set name
+     * @private
+     */
+    _pathSetIndex(exchange) {
+        const index = {};
+        for (const [setName, set] of Object.entries(triangularArbService.getPathSets(exchange))) {
+            set.paths.forEach(path => { index[path.id] = setName; });
+        }
+        return index;
+    }
+
+    /**
+     * @private
+     */
+    _emptyStats(base) {
+        return {
+            ...base,
+            roundsPriced: 0,
+            roundsUnpriced: 0,
+            signalRounds: 0,
+            windows: 0,
+            trades: 0,
+            completed: 0,
+            partial: 0,
+            failed: 0,
+            profitable: 0,
+            totalProfit: 0,
+            totalSignalledProfit: 0,
+            bestSignalledProfitPercentage: null,
+            slippageSum: 0,
+            slippageCount: 0
+        };
+    }
+
+    /**
+     * @private
+     */
+    _addTrade(stats, signal, execution) {
+        stats.trades++;
+        stats[{ COMPLETED: 'completed', PARTIAL: 'partial' }[execution.status] || 'failed']++;
+        if (execution.actualProfit > 0) {
+            stats.profitable++;
+        }
+        stats.totalProfit += execution.actualProfit;
+        stats.totalSignalledProfit += signal.profit;
+
+        for (const leg of execution.legs) {
+            if (typeof leg.slippage === 'number') {
+                stats.slippageSum += leg.slippage;
+                stats.slippageCount++;
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _sumStats(statsList, base) {
+        const total = this._emptyStats(base);
+        for (const stats of statsList) {
+            for (const key of Object.keys(total)) {
+                if (typeof stats[key] === 'number' && key !== 'bestSignalledProfitPercentage') {
+                    total[key] += stats[key];
+                }
+            }
+            if (stats.bestSignalledProfitPercentage !== null) {
+                total.bestSignalledProfitPercentage = Math.max(total.bestSignalledProfitPercentage ?? -Infinity, stats.bestSignalledProfitPercentage);
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Derived rates: how often the signal existed and how often it really paid
+     * @private
+     */
+    _finalizeStats(stats) {
+        const { slippageSum, slippageCount, ...rest } = stats;
+
+        return {
+            ...rest,
+            totalProfit: parseFloat(stats.totalProfit.toFixed(8)),
+            totalSignalledProfit: parseFloat(stats.totalSignalledProfit.toFixed(8)),
+            signalRate: stats.roundsPriced > 0 ? parseFloat((stats.signalRounds / stats.roundsPriced * 100).toFixed(3)) : 0,
+            hitRate: stats.trades > 0 ? parseFloat((stats.profitable / stats.trades * 100).toFixed(2)) : null,
+            averageSlippage: slippageCount > 0 ? parseFloat((slippageSum / slippageCount).toFixed(4)) : null,
+            // Share of the signalled profit that survived latency, depth and fees
+            profitCapture: stats.totalSignalledProfit > 0
+                ? parseFloat((stats.totalProfit / stats.totalSignalledProfit * 100).toFixed(2))
+                : null
+        };
+    }
+
+    /**
+     * @private
+     */
+    _groupBySet(rawStats) {
+        const sets = {};
+        for (const stats of rawStats) {
+            const setName = stats.pathSet || 'UNKNOWN';
+            (sets[setName] = sets[setName] || []).push(stats);
+        }
+
+        return Object.fromEntries(Object.entries(sets).map(([setName, list]) => [
+            setName,
+            this._finalizeStats(this._sumStats(list, { pathSet: setName, pathCount: list.length }))
+        ]));
+    }
+}
+
+// Export singleton instance (stateless)
+module.exports = new TriangularBacktestService();
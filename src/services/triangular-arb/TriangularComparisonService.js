@@ -0,0 +1,331 @@
+/**
+ * Triangular Comparison Service
+ * Prices the same currency cycle (e.g. USDT → ETH → BTC → USDT) on every exchange at once
+ * and ranks where it trades best
+ *
+ * Paths are matched by their currency sequence, not by id or pair symbols, so VALR's
+ * ETHUSDC-style pairs, Kraken's XBTUSDT and OKX's BTC-USDT all line up under one cycle.
+ * Each row carries what decides where balances should sit:
+ * - Depth-aware profit at the requested size (and top-of-book profit for reference)
+ * - The taker fees this user pays on every leg (FeeScheduleService: overrides → static table)
+ * - Depth: largest fillable size and largest size still at/above breakeven
+ * - ExecutionRateLimiter availability for this user on the exchange
+ *
+ * Exchanges are priced in parallel; within an exchange OrderBookFetcherService keeps its
+ * sequential REST pacing (live streams are used where the exchange supports them).
+ */
+
+const { systemLogger } = require('../../utils/logger');
+const executionRateLimiter = require('./ExecutionRateLimiter');
+const orderBookStreamService = require('./OrderBookStreamService');
+const triangularArbService = require('./TriangularArbService');
+
+// Exchange-specific currency codes → common code
+const CURRENCY_ALIASES = {
+    XBT: 'BTC'
+};
+
+// startCurrency comparisons can pull in every path of an exchange - keep REST rounds bounded
+const MAX_PAIRS_PER_EXCHANGE = 30;
+
+class TriangularComparisonService {
+    /**
+     * Compare a cycle (or every cycle from a start currency) across exchanges
+     * @param {object} options - Comparison options
+     * @param {string|Array<string>} options.cycle - 'USDT → ETH → BTC → USDT', 'USDT-ETH-BTC' or ['USDT', 'ETH', 'BTC']
+     * @param {string} options.startCurrency - Compare every cycle starting here instead (when no cycle is given)
+     * @param {Array<string>} options.exchanges - Exchanges to include (default: all with path definitions)
+     * @param {number} options.amount - Trade size in the start currency (default: 1000)
+     * @param {number} options.maxAmount - Upper bound for the depth search (default: amount × 100)
+     * @param {string} options.userId - User ID for fee overrides and rate-limit availability
+     * @returns {Promise<object>} { cycles, ranked, exchanges, ... }
+     */
+    async compare(options = {}) {
+        const {
+            cycle = null,
+            startCurrency = null,
+            exchanges = null,
+            amount = 1000,
+            maxAmount = amount * 100,
+            userId = null
+        } = options;
+
+        const cycleKey = cycle ? this.cycleKey(cycle) : null;
+        const start = startCurrency ? this._normalizeCurrency(startCurrency) : null;
+
+        if (!cycleKey && !start) {
+            throw new Error('Either cycle or startCurrency is required');
+        }
+
+        const exchangesToCompare = (exchanges || Object.keys(triangularArbService.pathDefinitions.paths))
+            .map(exchange => exchange.toLowerCase());
+
+        systemLogger.trading(`Triangular cross-exchange comparison started`, {
+            cycle: cycleKey,
+            startCurrency: start,
+            exchanges: exchangesToCompare.length,
+            amount,
+            userId
+        });
+
+        const results = await Promise.all(exchangesToCompare.map(exchange =>
+            this._compareExchange(exchange, { cycleKey, start, amount, maxAmount, userId })
+        ));
+
+        const ranked = results
+            .flatMap(result => result.rows)
+            .sort((a, b) => this._rank(b) - this._rank(a) || this._availabilityOrder(a) - this._availabilityOrder(b));
+        ranked.forEach((row, index) => { row.rank = index + 1; });
+
+        return {
+            cycle: cycleKey,
+            startCurrency: cycleKey ? cycleKey.split(' → ')[0] : start,
+            amount,
+            cycles: this._bestPerCycle(ranked),
+            ranked,
+            exchanges: results.map(({ rows, ...summary }) => summary),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Canonical cycle key: 'USDT → ETH → BTC → USDT' (aliases resolved, closed back to the start)
+     * @param {string|Array<string>} cycle - Path sequence, separated currency list or array
+     * @returns {string}
+     */
+    cycleKey(cycle) {
+        const currencies = (Array.isArray(cycle) ? cycle : String(cycle).replace(/\(.*?\)/g, '').split(/→|->|-|,|\s+/))
+            .map(currency => this._normalizeCurrency(currency))
+            .filter(Boolean);
+
+        if (currencies.length > 1 && currencies[0] !== currencies[currencies.length - 1]) {
+            currencies.push(currencies[0]);
+        }
+        return currencies.join(' → ');
+    }
+
+    /**
+     * Price every matching path of one exchange (never throws - errors are reported per exchange)
+     * @private
+     */
+    async _compareExchange(exchange, { cycleKey, start, amount, maxAmount, userId }) {
+        // Lock state is unknown while a configured Redis is unreachable - report it, keep pricing
+        const availability = await executionRateLimiter.getExchangeStatus(exchange, String(userId || 'anonymous'))
+            .catch(() => ({ status: 'UNAVAILABLE', nextAvailableIn: null, activeExecutions: null, rateLimitMs: null }));
+        const summary = {
+            exchange,
+            status: 'ok',
+            pathsMatched: 0,
+            pathsPriced: 0,
+            bestProfitPercentage: null,
+            availability: this._availability(availability),
+            error: null,
+            rows: []
+        };
+
+        const paths = this._matchingPaths(exchange, cycleKey, start);
+        summary.pathsMatched = paths.length;
+        if (paths.length === 0) {
+            summary.status = 'no_paths';
+            return summary;
+        }
+
+        const pairs = Array.from(new Set(paths.flatMap(path => path.pairs || [])));
+        if (pairs.length > MAX_PAIRS_PER_EXCHANGE) {
+            summary.status = 'error';
+            summary.error = `${pairs.length} pairs to fetch (max ${MAX_PAIRS_PER_EXCHANGE}) - compare a specific cycle instead`;
+            return summary;
+        }
+
+        try {
+            if (orderBookStreamService.supports(exchange)) {
+                try {
+                    await orderBookStreamService.ensureStreaming(exchange, pairs, null);
+                } catch (streamError) {
+                    // REST below covers every pair
+                }
+            }
+
+            const orderBooks = await triangularArbService.orderBookFetcher.fetchMultiple(exchange, pairs, null);
+            const feeSchedule = await triangularArbService.feeSchedule.resolve(exchange, pairs, { userId });
+            const setByPathId = this._pathSetIndex(exchange);
+
+            summary.rows = paths.map(path => this._priceRow(exchange, path, orderBooks, {
+                amount,
+                maxAmount,
+                feeSchedule,
+                pathSet: setByPathId[path.id] || null,
+                availability: summary.availability
+            }));
+        } catch (error) {
+            systemLogger.warn(`Triangular comparison failed for exchange`, { exchange, error: error.message });
+            summary.status = 'error';
+            summary.error = error.message;
+            return summary;
+        }
+
+        const priced = summary.rows.filter(row => row.profitPercentage !== null);
+        summary.pathsPriced = priced.length;
+        summary.bestProfitPercentage = priced.length > 0 ? Math.max(...priced.map(row => row.profitPercentage)) : null;
+        return summary;
+    }
+
+    /**
+     * @private
+     */
+    _priceRow(exchange, path, orderBooks, { amount, maxAmount, feeSchedule, pathSet, availability }) {
+        const calculator = triangularArbService.profitCalculator;
+        const atSize = calculator.calculate(exchange, path, orderBooks, amount, { depthAware: true, feeSchedule });
+        const topOfBook = calculator.calculate(exchange, path, orderBooks, amount, { feeSchedule });
+
+        const feeLegs = path.steps.map(step => {
+            const fee = calculator.getTakerFee(exchange, step.pair, feeSchedule);
+            return { pair: step.pair, side: step.side, rate: fee ? fee.rate : null, source: fee ? fee.source : null };
+        });
+        const knownRates = feeLegs.every(leg => leg.rate !== null);
+
+        let depth = null;
+        if (topOfBook.success) {
+            const sizing = calculator.findOptimalSize(exchange, path, orderBooks, {
+                minAmount: Math.min(10, amount),
+                maxAmount: Math.max(maxAmount, amount),
+                samples: 10,
+                feeSchedule
+            });
+            depth = sizing.success
+                ? {
+                    maxFillableAmount: sizing.maxFillableAmount,
+                    maxBreakevenAmount: sizing.maxSizeAboveThreshold,
+                    optimalAmount: sizing.optimalAmount,
+                    optimalProfit: sizing.optimalProfit,
+                    optimalProfitPercentage: sizing.optimalProfitPercentage
+                }
+                : null;
+        }
+
+        return {
+            rank: null,
+            exchange,
+            cycle: this.cycleKey(path.sequence),
+            pathId: path.id,
+            pathSet,
+            sequence: path.sequence,
+            pairs: path.pairs,
+            amount,
+            profitPercentage: atSize.success ? atSize.profitPercentage : null,
+            profit: atSize.success ? atSize.profit : null,
+            topOfBookProfitPercentage: topOfBook.success ? topOfBook.profitPercentage : null,
+            fees: {
+                legs: feeLegs,
+                // Compounded taker fees over the whole cycle
+                totalPercentage: knownRates
+                    ? parseFloat(((1 - feeLegs.reduce((remaining, leg) => remaining * (1 - leg.rate), 1)) * 100).toFixed(4))
+                    : null,
+                paid: atSize.success ? atSize.totalFees : null
+            },
+            depth,
+            availability,
+            error: atSize.success ? null : (atSize.error || topOfBook.error || null)
+        };
+    }
+
+    /**
+     * Paths of an exchange whose currency sequence matches the cycle (or start currency)
+     * Identical cycles listed in several sets (e.g. *_2 duplicates) are priced once
+     * @private
+     */
+    _matchingPaths(exchange, cycleKey, start) {
+        const seen = new Set();
+
+        return triangularArbService.pathDefinitions.getPathsForExchange(exchange, 'all').filter(path => {
+            if (!path.sequence || !Array.isArray(path.steps)) return false;
+
+            const key = this.cycleKey(path.sequence);
+            const matches = cycleKey ? key === cycleKey : key.split(' → ')[0] === start;
+            const signature = path.steps.map(step => `${step.pair}:${step.side}`).join('|');
+
+            if (!matches || seen.has(signature)) return false;
+            seen.add(signature);
+            return true;
+        });
+    }
+
+    /**
+     * Best exchange per cycle (ranked rows are already sorted)
+     * @private
+     */
+    _bestPerCycle(ranked) {
+        const cycles = {};
+
+        for (const row of ranked) {
+            if (!cycles[row.cycle]) {
+                cycles[row.cycle] = { cycle: row.cycle, exchanges: 0, best: null };
+            }
+
+            const entry = cycles[row.cycle];
+            entry.exchanges++;
+            if (!entry.best && row.profitPercentage !== null) {
+                entry.best = {
+                    exchange: row.exchange,
+                    pathId: row.pathId,
+                    profitPercentage: row.profitPercentage,
+                    totalFeePercentage: row.fees.totalPercentage,
+                    maxBreakevenAmount: row.depth?.maxBreakevenAmount ?? null,
+                    availability: row.availability.status
+                };
+            }
+        }
+
+        return Object.values(cycles);
+    }
+
+    /**
+     * pathId → path set name
+     * @private
+     */
+    _pathSetIndex(exchange) {
+        const index = {};
+        for (const [setName, set] of Object.entries(triangularArbService.getPathSets(exchange))) {
+            set.paths.forEach(path => { index[path.id] = setName; });
+        }
+        return index;
+    }
+
+    /**
+     * @private
+     */
+    _availability(status) {
+        return {
+            status: status.status,
+            nextAvailableIn: status.nextAvailableIn,
+            activeExecutions: status.activeExecutions,
+            rateLimitMs: status.rateLimitMs
+        };
+    }
+
+    /**
+     * Sort key: unpriced rows last
+     * @private
+     */
+    _rank(row) {
+        return row.profitPercentage === null ? -Infinity : row.profitPercentage;
+    }
+
+    /**
+     * @private
+     */
+    _availabilityOrder(row) {
+        return { READY: 0, COOLDOWN: 1, BUSY: 2 }[row.availability.status] ?? 3;
+    }
+
+    /**
+     * @private
+     */
+    _normalizeCurrency(currency) {
+        const code = String(currency).trim().toUpperCase();
+        return CURRENCY_ALIASES[code] || code;
+    }
+}
+
+// Export singleton instance (stateless)
+module.exports = new TriangularComparisonService();
@@ -0,0 +1,87 @@
+jest.mock('../../src/database/connection', () => ({
+    query: jest.fn(),
+    transaction: jest.fn()
+}));
+
+const { transaction } = require('../../src/database/connection');
+const MomentumPosition = require('../../src/models/MomentumPosition');
+
+// Runs the transaction callback against a client that holds one position row
+function withPosition(row) {
+    const client = {
+        query: jest.fn(async (sql, params) => {
+            if (/SELECT \* FROM momentum_positions/.test(sql)) {
+                return { rows: [row] };
+            }
+            if (/INSERT INTO momentum_position_exits/.test(sql)) {
+                return { rows: [{ id: 1, exit_time: '2026-10-01T00:00:00Z', pnl_usdt: params[7] }] };
+            }
+            return { rows: [{ params }] };
+        })
+    };
+    transaction.mockImplementation(callback => callback(client));
+    return client;
+}
+
+const updateParams = client => client.query.mock.calls.find(([sql]) => /UPDATE momentum_positions/.test(sql))[1];
+
+const opened = {
+    id: 7,
+    status: 'OPEN',
+    entry_price: '100',
+    entry_quantity: '1',
+    entry_value_usdt: '100',
+    entry_fee: '0.1',
+    remaining_quantity: null,
+    cost_basis_usdt: null
+};
+
+describe('MomentumPosition fills ledger', () => {
+    test('a scale-in averages the entry price and adds to the cost basis', async () => {
+        const client = withPosition(opened);
+
+        await MomentumPosition.addEntryFill(7, { price: 130, quantity: 0.5, fee: 0.065, orderId: 'B2' });
+
+        const [averagePrice, totalQuantity, fillValue, fillFee, remaining, costBasis] = updateParams(client);
+        expect(averagePrice).toBeCloseTo(110, 8);
+        expect(totalQuantity).toBe(1.5);
+        expect(fillValue).toBe(65);
+        expect(fillFee).toBe(0.065);
+        expect(remaining).toBe(1.5);
+        expect(costBasis).toBeCloseTo(165.165, 8);
+        expect(client.query).toHaveBeenCalledWith(expect.stringMatching(/INSERT INTO momentum_position_fills/), expect.anything());
+    });
+
+    test('a partial exit after a scale-in is costed at the average cost', async () => {
+        const client = withPosition({ ...opened, entry_price: '110', entry_quantity: '1.5', remaining_quantity: '1.5', cost_basis_usdt: '165.165' });
+
+        await MomentumPosition.recordPartialExit(7, { exitPrice: 120, exitQuantity: 0.5, exitFee: 0.06, exitReason: 'take_profit' });
+
+        // 0.5 of 1.5 held closes a third of the cost basis: 60 - 0.06 - 55.055
+        const [remaining, pnl, costBasis] = updateParams(client);
+        expect(remaining).toBe(1);
+        expect(pnl).toBeCloseTo(4.885, 8);
+        expect(costBasis).toBeCloseTo(110.11, 8);
+    });
+
+    test('records a partial exit on a closing position (partly filled close order)', async () => {
+        const client = withPosition({ ...opened, status: 'CLOSING' });
+
+        await MomentumPosition.recordPartialExit(7, { exitPrice: 120, exitQuantity: 0.4, exitReason: 'stop_loss' });
+
+        expect(updateParams(client)[0]).toBeCloseTo(0.6, 8);
+    });
+
+    test('rejects a partial exit on a closed position', async () => {
+        const client = withPosition({ ...opened, status: 'CLOSED' });
+
+        await expect(MomentumPosition.recordPartialExit(7, { exitPrice: 120, exitQuantity: 0.5 })).rejects.toThrow('Position is not open');
+        expect(client.query).not.toHaveBeenCalledWith(expect.stringMatching(/INSERT INTO momentum_position_exits/), expect.anything());
+    });
+
+    test('rejects a scale-in on a position that is not open', async () => {
+        withPosition({ ...opened, status: 'CLOSING' });
+
+        await expect(MomentumPosition.addEntryFill(7, { price: 130, quantity: 0.5 })).rejects.toThrow('Position is not open');
+    });
+});
@@ -0,0 +1,38 @@
+jest.mock('../../src/database/connection', () => ({
+    query: jest.fn()
+}));
+
+const { query } = require('../../src/database/connection');
+const TriangularExecution = require('../../src/models/TriangularExecution');
+
+const lastSql = () => query.mock.calls[query.mock.calls.length - 1][0];
+
+describe('TriangularExecution history clearing', () => {
+    beforeEach(() => {
+        query.mockReset();
+        query.mockResolvedValue({ rows: [{ total: '0' }], rowCount: 2 });
+    });
+
+    test('clearing history hides the rows instead of deleting them', async () => {
+        const cleared = await TriangularExecution.hideByUser('user-1', 'VALR');
+
+        expect(cleared).toBe(2);
+        expect(lastSql()).toMatch(/UPDATE triangular_executions\s+SET hidden_at = NOW\(\)/);
+        expect(lastSql()).not.toMatch(/DELETE/);
+        expect(query).toHaveBeenCalledWith(expect.any(String), ['user-1', 'valr']);
+    });
+
+    test('history and lookups leave hidden rows out', async () => {
+        await TriangularExecution.list({ userId: 'user-1' });
+        expect(query.mock.calls.every(([sql]) => /hidden_at IS NULL/.test(sql))).toBe(true);
+
+        await TriangularExecution.getByExecutionId('EXEC_1', 'user-1');
+        expect(lastSql()).toMatch(/hidden_at IS NULL/);
+    });
+
+    test('risk-limit totals still count hidden rows', async () => {
+        await TriangularExecution.getRealizedSince('user-1', 'binance', '2026-10-19T00:00:00Z');
+
+        expect(lastSql()).not.toMatch(/hidden_at/);
+    });
+});
@@ -0,0 +1,136 @@
+jest.mock('../../src/utils/logger', () => {
+    const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), trading: jest.fn(), api: jest.fn() };
+    return { logger: log, systemLogger: log };
+});
+jest.mock('../../src/models/MomentumPosition', () => ({
+    PARTIAL_FILL_TOLERANCE: 0.02,
+    getById: jest.fn(),
+    reopen: jest.fn(),
+    addEntryFill: jest.fn(),
+    updateExitState: jest.fn(),
+    markTargetHit: jest.fn(),
+    recordPartialExit: jest.fn(),
+    getPartialExits: jest.fn(),
+    getFills: jest.fn()
+}));
+jest.mock('../../src/services/momentum/MomentumWorkerService', () => ({}));
+
+const express = require('express');
+const request = require('supertest');
+const MomentumPosition = require('../../src/models/MomentumPosition');
+const momentumRoutes = require('../../src/routes/momentum-trading.routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/momentum', momentumRoutes);
+
+const position = { id: 7, user_id: '42', status: 'OPEN', entry_price: 100 };
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    MomentumPosition.getById.mockResolvedValue(position);
+});
+
+describe('PUT /positions/:id/reopen', () => {
+    test('reopens the owner\'s position', async () => {
+        MomentumPosition.reopen.mockResolvedValue({ ...position, remaining_quantity: 0.5 });
+
+        await request(app).put('/api/v1/momentum/positions/7/reopen').send({ userId: 42 }).expect(200);
+
+        expect(MomentumPosition.reopen).toHaveBeenCalledWith('7');
+    });
+
+    test('refuses another user\'s position', async () => {
+        const res = await request(app).put('/api/v1/momentum/positions/7/reopen').send({ userId: '99' }).expect(403);
+
+        expect(res.body.error).toBe('Unauthorized');
+        expect(MomentumPosition.reopen).not.toHaveBeenCalled();
+    });
+
+    test('requires userId', async () => {
+        await request(app).put('/api/v1/momentum/positions/7/reopen').send({}).expect(400);
+
+        expect(MomentumPosition.reopen).not.toHaveBeenCalled();
+    });
+});
+
+describe('PUT /positions/:id/entry-fill', () => {
+    const fill = { price: 120, quantity: 0.5, fee: 0.06, orderId: 'B2' };
+
+    test('records an entry fill on the owner\'s position', async () => {
+        MomentumPosition.addEntryFill.mockResolvedValue({ position: { ...position, entry_price: 106.67 }, fill: { id: 1 } });
+
+        await request(app).put('/api/v1/momentum/positions/7/entry-fill').send({ userId: '42', ...fill }).expect(200);
+
+        expect(MomentumPosition.addEntryFill).toHaveBeenCalledWith('7', expect.objectContaining({ price: 120, quantity: 0.5, orderId: 'B2' }));
+    });
+
+    test('refuses another user\'s position', async () => {
+        await request(app).put('/api/v1/momentum/positions/7/entry-fill').send({ userId: '99', ...fill }).expect(403);
+
+        expect(MomentumPosition.addEntryFill).not.toHaveBeenCalled();
+    });
+
+    test('returns 404 for an unknown position', async () => {
+        MomentumPosition.getById.mockResolvedValue(null);
+
+        await request(app).put('/api/v1/momentum/positions/8/entry-fill').send({ userId: '42', ...fill }).expect(404);
+
+        expect(MomentumPosition.addEntryFill).not.toHaveBeenCalled();
+    });
+});
+
+describe('position exit routes check the owner', () => {
+    const writes = [
+        ['exit-state', 'updateExitState', { highestPrice: 120, stopPrice: 110, stopType: 'trailing' }],
+        ['target-hit', 'markTargetHit', { targetIndex: 0 }],
+        ['partial-close', 'recordPartialExit', { exitPrice: 120, exitQuantity: 0.5, exitFee: 0.06 }]
+    ];
+    const reads = [
+        ['exits', 'getPartialExits'],
+        ['fills', 'getFills']
+    ];
+
+    test.each(writes)('PUT %s updates the owner\'s position', async (route, method, body) => {
+        MomentumPosition[method].mockResolvedValue({ position, exit: { pnl_usdt: 1 } });
+
+        await request(app).put(`/api/v1/momentum/positions/7/${route}`).send({ userId: 42, ...body }).expect(200);
+
+        expect(MomentumPosition[method]).toHaveBeenCalledWith('7', expect.anything());
+    });
+
+    test.each(writes)('PUT %s refuses another user\'s position', async (route, method, body) => {
+        const res = await request(app).put(`/api/v1/momentum/positions/7/${route}`).send({ userId: '99', ...body }).expect(403);
+
+        expect(res.body.error).toBe('Unauthorized');
+        expect(MomentumPosition[method]).not.toHaveBeenCalled();
+    });
+
+    test.each(writes)('PUT %s requires userId', async (route, method, body) => {
+        await request(app).put(`/api/v1/momentum/positions/7/${route}`).send(body).expect(400);
+
+        expect(MomentumPosition[method]).not.toHaveBeenCalled();
+    });
+
+    test.each(reads)('GET %s returns the owner\'s records', async (route, method) => {
+        MomentumPosition[method].mockResolvedValue([{ id: 1 }]);
+
+        const res = await request(app).get(`/api/v1/momentum/positions/7/${route}?userId=42`).expect(200);
+
+        expect(res.body.data).toEqual([{ id: 1 }]);
+    });
+
+    test.each(reads)('GET %s refuses another user\'s position', async (route, method) => {
+        await request(app).get(`/api/v1/momentum/positions/7/${route}?userId=99`).expect(403);
+
+        expect(MomentumPosition[method]).not.toHaveBeenCalled();
+    });
+
+    test('PUT partial-close reports a closed position as a bad request', async () => {
+        MomentumPosition.recordPartialExit.mockRejectedValue(new Error('Position is not open'));
+
+        await request(app).put('/api/v1/momentum/positions/7/partial-close')
+            .send({ userId: '42', exitPrice: 120, exitQuantity: 0.5 })
+            .expect(400);
+    });
+});
@@ -0,0 +1,192 @@
+jest.mock('../../src/utils/logger', () => {
+    const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), trading: jest.fn(), api: jest.fn(), security: jest.fn() };
+    return { logger: log, systemLogger: log };
+});
+jest.mock('../../src/middleware/rateLimiter', () => {
+    const pass = (req, res, next) => next();
+    return { tradingRateLimit: pass, authenticatedRateLimit: pass };
+});
+jest.mock('../../src/middleware/auth', () => ({
+    // X-Test-Admin-Role stands in for the user's admin_role column
+    authenticateUser: (req, res, next) => {
+        req.user = { id: 'user-1', admin_role: req.get('X-Test-Admin-Role') || null };
+        next();
+    },
+    optionalAuth: (req, res, next) => next(),
+    requireAdmin: (req, res, next) => {
+        const { APIError } = require('../../src/middleware/errorHandler');
+        next(req.user.admin_role ? undefined : new APIError('Admin privileges required', 403, 'INSUFFICIENT_PRIVILEGES'));
+    }
+}));
+jest.mock('../../src/services/triangular-arb/TriangularArbService', () => ({
+    scan: jest.fn(),
+    getHistory: jest.fn()
+}));
+jest.mock('../../src/services/triangular-arb/OrderBookStreamService', () => ({
+    supports: jest.fn(),
+    getStatus: jest.fn(),
+    stop: jest.fn()
+}));
+jest.mock('../../src/models/TriangularExecution', () => ({
+    hideByUser: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const triangularArbService = require('../../src/services/triangular-arb/TriangularArbService');
+const orderBookStreamService = require('../../src/services/triangular-arb/OrderBookStreamService');
+const triangularAutoTrader = require('../../src/services/triangular-arb/TriangularAutoTraderService');
+const TriangularExecution = require('../../src/models/TriangularExecution');
+const triangularExchangeRoutes = require('../../src/routes/triangular-exchange.routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/trading', triangularExchangeRoutes);
+app.use(errorHandler);
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    triangularArbService.scan.mockResolvedValue({ opportunities: [{ pathId: 'P1', profitPercentage: 0.8 }] });
+});
+
+describe('POST /:exchange/triangular/scan', () => {
+    test('sizes the scan from the balance and reports the portfolio calculation', async () => {
+        const res = await request(app)
+            .post('/api/v1/trading/kraken/triangular/scan')
+            .send({ maxTradeAmount: 500, portfolioPercent: 10, currentBalanceUSD: 50, currentBalanceUSDT: 2000, currentBalanceUSDC: 0 })
+            .expect(200);
+
+        expect(triangularArbService.scan).toHaveBeenCalledWith('kraken', expect.objectContaining({ amount: 200 }));
+        expect(res.body.data.startAmount).toBe(200);
+        expect(res.body.data.portfolioCalculation).toEqual({
+            balanceUSD: 50,
+            balanceUSDT: 2000,
+            balanceUSDC: 0,
+            portfolioPercent: 10,
+            portfolioAmount: '200.00',
+            maxTradeAmount: 500,
+            appliedCap: 'portfolio',
+            canTrade: true
+        });
+    });
+
+    test('skips the scan when the balance is below the minimum trade', async () => {
+        const res = await request(app)
+            .post('/api/v1/trading/triangular/bybit/scan')
+            .send({ portfolioPercent: 10, currentBalance: 20 })
+            .expect(200);
+
+        expect(triangularArbService.scan).not.toHaveBeenCalled();
+        expect(res.body.data.opportunities).toEqual([]);
+        expect(res.body.data.portfolioCalculation).toEqual(expect.objectContaining({ balance: 20, canTrade: false }));
+        expect(res.body.data.warnings).toEqual([expect.stringMatching(/Insufficient USDT balance/)]);
+    });
+
+    test('ZAR-funded exchanges keep maxTradeAmount and echo both balances', async () => {
+        const res = await request(app)
+            .post('/api/v1/trading/valr/triangular/scan')
+            .send({ maxTradeAmount: 1000, portfolioPercent: 10, currentBalanceUSDT: 50, currentBalanceZAR: 5000 })
+            .expect(200);
+
+        expect(triangularArbService.scan).toHaveBeenCalledWith('valr', expect.objectContaining({ amount: 1000 }));
+        expect(res.body.data.portfolioCalculation).toEqual({
+            balanceUSDT: 50,
+            balanceZAR: 5000,
+            portfolioPercent: 10,
+            maxTradeAmount: 1000
+        });
+    });
+});
+
+describe('/:exchange/triangular/history', () => {
+    test('lists the user\'s executions on the exchange from the execution ledger', async () => {
+        triangularArbService.getHistory.mockResolvedValue({
+            executions: [{ execution_id: 'EXEC_1', sequence: 'USDT → BTC → ETH → USDT', status: 'COMPLETED', actual_profit: '0.5' }]
+        });
+
+        const res = await request(app)
+            .post('/api/v1/trading/huobi/triangular/history')
+            .send({ userId: 'someone-else', limit: 10 })
+            .expect(200);
+
+        expect(triangularArbService.getHistory).toHaveBeenCalledWith('htx', { userId: 'user-1', limit: 10 });
+        expect(res.body.trades).toEqual([expect.objectContaining({
+            execution_id: 'EXEC_1',
+            trade_id: 'EXEC_1',
+            path_sequence: 'USDT → BTC → ETH → USDT',
+            execution_status: 'COMPLETED',
+            actual_profit_zar: '0.5'
+        })]);
+        expect(res.body.data).toEqual(expect.objectContaining({ exchange: 'htx', count: 1 }));
+    });
+
+    test('clears the user\'s executions on one exchange from the ledger', async () => {
+        TriangularExecution.hideByUser.mockResolvedValue(3);
+
+        const res = await request(app).delete('/api/v1/trading/kraken/triangular/history').expect(200);
+
+        expect(TriangularExecution.hideByUser).toHaveBeenCalledWith('user-1', 'kraken');
+        expect(res.body.data.deletedCount).toBe(3);
+    });
+
+    test('recent trades come from the execution ledger', async () => {
+        triangularArbService.getHistory.mockResolvedValue({ executions: [{ execution_id: 'EXEC_1' }] });
+
+        const res = await request(app).get('/api/v1/trading/okx/triangular/recent-trades?limit=5').expect(200);
+
+        expect(triangularArbService.getHistory).toHaveBeenCalledWith('okx', { userId: 'user-1', limit: 5 });
+        expect(res.body.data.trades).toEqual([{ execution_id: 'EXEC_1' }]);
+    });
+
+    test('unknown exchanges are rejected', async () => {
+        await request(app).get('/api/v1/trading/nope/triangular/recent-trades').expect(404);
+    });
+});
+
+describe('/triangular/:exchange/stream', () => {
+    test('reports the shared stream\'s health', async () => {
+        orderBookStreamService.supports.mockReturnValue(true);
+        orderBookStreamService.getStatus.mockReturnValue({ connected: true, pairs: 12, resyncs: 1 });
+
+        const res = await request(app).get('/api/v1/trading/triangular/binance/stream').expect(200);
+
+        expect(orderBookStreamService.getStatus).toHaveBeenCalledWith('binance');
+        expect(res.body.data).toEqual(expect.objectContaining({ supported: true, connected: true, pairs: 12, resyncs: 1 }));
+    });
+
+    test('only admins can close the shared stream', async () => {
+        const res = await request(app).delete('/api/v1/trading/triangular/binance/stream').expect(403);
+
+        expect(res.body.error).toEqual(expect.objectContaining({ code: 'INSUFFICIENT_PRIVILEGES' }));
+        expect(orderBookStreamService.stop).not.toHaveBeenCalled();
+    });
+
+    test('an admin closes the stream', async () => {
+        orderBookStreamService.stop.mockReturnValue(true);
+
+        const res = await request(app)
+            .delete('/api/v1/trading/triangular/binance/stream')
+            .set('X-Test-Admin-Role', 'admin')
+            .expect(200);
+
+        expect(orderBookStreamService.stop).toHaveBeenCalledWith('binance');
+        expect(res.body.data).toEqual(expect.objectContaining({ exchange: 'binance', stopped: true }));
+    });
+});
+
+describe('POST /triangular/:exchange/auto/start', () => {
+    test('refuses a live start while today\'s loss is at the limit', async () => {
+        jest.spyOn(triangularAutoTrader, 'start').mockResolvedValue({
+            state: 'halted',
+            haltReason: 'Daily loss limit reached (60.00 USDT ≥ 50)'
+        });
+
+        const res = await request(app)
+            .post('/api/v1/trading/triangular/binance/auto/start')
+            .send({ apiKey: 'key', apiSecret: 'secret', amount: 100, dryRun: false, confirmed: true, limits: { maxDailyLoss: 50 } })
+            .expect(409);
+
+        expect(res.body.error).toEqual({ code: 'RISK_LIMIT_REACHED', message: 'Daily loss limit reached (60.00 USDT ≥ 50)' });
+    });
+});
@@ -0,0 +1,168 @@
+jest.mock('../../../src/utils/logger', () => {
+    const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), trading: jest.fn(), api: jest.fn() };
+    return { logger: log, systemLogger: log };
+});
+jest.mock('../../../src/models/TriangularRecoveryOrder', () => ({ create: jest.fn() }));
+jest.mock('../../../src/models/TriangularExecution', () => ({ create: jest.fn() }));
+
+const ExchangeSimulator = require('../../../src/services/exchange-simulator/ExchangeSimulator');
+const { installFetchRedirect, uninstallFetchRedirect } = require('../../../src/services/exchange-simulator/fetchRedirect');
+const TradeExecutorService = require('../../../src/services/triangular-arb/TradeExecutorService');
+const transferExecutionService = require('../../../src/services/transferExecutionService');
+
+const credentials = { apiKey: 'sim-key', apiSecret: 'sim-secret' };
+
+const opportunity = {
+    pathId: 'SIM_1',
+    sequence: 'USDT → BTC → ETH → USDT',
+    startAmount: 100,
+    profitPercentage: 0.5,
+    steps: [
+        { pair: 'BTCUSDT', side: 'buy', price: 50000, expectedAmount: 0.002 },
+        { pair: 'ETHBTC', side: 'buy', price: 0.05, expectedAmount: 0.04 },
+        { pair: 'ETHUSDT', side: 'sell', price: 2512.5, expectedAmount: 100.5 }
+    ]
+};
+
+const binanceScenario = (overrides = {}) => ({
+    markets: {
+        BTCUSDT: { base: 'BTC', quote: 'USDT', bids: [[49900, 1]], asks: [[50000, 1]] },
+        ETHBTC: { base: 'ETH', quote: 'BTC', bids: [[0.0499, 10]], asks: [[0.05, 10]] },
+        ETHUSDT: { base: 'ETH', quote: 'USDT', bids: [[2512.5, 10]], asks: [[2513, 10]] },
+        ...overrides.markets
+    },
+    balances: { USDT: 1000, ...overrides.balances },
+    settings: { takerFee: 0, ...overrides.settings },
+    failures: overrides.failures || []
+});
+
+// Short leg timeouts so no timer outlives the test run
+const options = extra => ({ timeoutMs: 500, ...extra });
+
+const balanceOf = (exchange, currency) =>
+    (exchange.getBalances().find(balance => balance.currency === currency) || { available: 0 }).available;
+
+const orderRequests = exchange => exchange.requests.filter(entry => entry.method === 'POST' && entry.path.startsWith('/api/v3/order'));
+
+const simulator = new ExchangeSimulator();
+
+beforeAll(async () => {
+    installFetchRedirect(await simulator.start());
+});
+
+afterAll(async () => {
+    uninstallFetchRedirect();
+    await simulator.stop();
+});
+
+beforeEach(() => {
+    simulator.reset();
+});
+
+describe('triangular execution against the simulator', () => {
+    test('completes all three legs and moves the simulated balances', async () => {
+        simulator.load({ binance: binanceScenario() });
+
+        const result = await new TradeExecutorService().executeAtomic('binance', opportunity, credentials, options());
+
+        expect(result.status).toBe('COMPLETED');
+        expect(result.endAmount).toBeCloseTo(100.5, 6);
+        expect(orderRequests(simulator.get('binance'))).toHaveLength(3);
+
+        expect(balanceOf(simulator.get('binance'), 'USDT')).toBeCloseTo(1000.5, 6);
+        expect(balanceOf(simulator.get('binance'), 'BTC')).toBeCloseTo(0, 8);
+        expect(balanceOf(simulator.get('binance'), 'ETH')).toBeCloseTo(0, 8);
+    });
+
+    test('unwinds leg 1 when the exchange rejects leg 2', async () => {
+        simulator.load({ binance: binanceScenario({
+            markets: { ETHBTC: { base: 'ETH', quote: 'BTC', bids: [], asks: [] } }
+        }) });
+
+        const result = await new TradeExecutorService().executeAtomic('binance', opportunity, credentials, options({
+            recovery: { strategies: ['unwind'] }
+        }));
+
+        expect(result.status).toBe('UNWOUND');
+        expect(result.legs[1].status).toBe('FAILED');
+        expect(result.recoveryOrders).toEqual([
+            expect.objectContaining({ strategy: 'unwind', pair: 'BTCUSDT', side: 'sell', status: 'COMPLETED' })
+        ]);
+
+        // Bought 0.002 BTC at 50000, sold it back at 49900
+        expect(balanceOf(simulator.get('binance'), 'USDT')).toBeCloseTo(999.8, 6);
+        expect(balanceOf(simulator.get('binance'), 'BTC')).toBeCloseTo(0, 8);
+    });
+
+    test('does not retry a leg that failed with a scripted 503', async () => {
+        simulator.load({ binance: binanceScenario({
+            failures: [{ method: 'POST', path: '/api/v3/order', status: 503, body: { code: -1001, msg: 'Internal error' } }]
+        }) });
+
+        const result = await new TradeExecutorService().executeAtomic('binance', opportunity, credentials, options({
+            recovery: { strategies: ['retry'], maxRetries: 3, retryDelayMs: 0 }
+        }));
+
+        expect(result.status).toBe('FAILED');
+        expect(result.recoveryOrders).toHaveLength(0);
+        expect(orderRequests(simulator.get('binance'))).toHaveLength(1);
+        expect(balanceOf(simulator.get('binance'), 'USDT')).toBe(1000);
+    });
+
+    test('an IOC leg priced below the book is not filled', async () => {
+        simulator.load({ binance: binanceScenario({
+            markets: { BTCUSDT: { base: 'BTC', quote: 'USDT', bids: [[50400, 1]], asks: [[50500, 1]] } }
+        }) });
+
+        const result = await new TradeExecutorService().executeAtomic('binance', opportunity, credentials, options({
+            legOrders: { type: 'limit', timeInForce: 'IOC', tolerance: 0 }
+        }));
+
+        expect(result.status).toBe('FAILED');
+        expect(result.legs[0]).toEqual(expect.objectContaining({ status: 'FAILED', error: expect.stringMatching(/not filled/) }));
+        expect(balanceOf(simulator.get('binance'), 'USDT')).toBe(1000);
+    });
+
+    test('limit legs go out on the pair\'s price tick and lot step', async () => {
+        simulator.load({ binance: binanceScenario({
+            markets: {
+                BTCUSDT: { base: 'BTC', quote: 'USDT', bids: [[49900, 1]], asks: [[50000, 1]], rules: { tickSize: 0.01, stepSize: 0.00001 } },
+                ETHBTC: { base: 'ETH', quote: 'BTC', bids: [[0.0499, 10]], asks: [[0.05, 10]], rules: { tickSize: 0.000001, stepSize: 0.0001 } },
+                ETHUSDT: { base: 'ETH', quote: 'USDT', bids: [[2512.5, 10]], asks: [[2513, 10]], rules: { tickSize: 0.01, stepSize: 0.0001 } }
+            }
+        }) });
+
+        // 0.1% tolerance puts every limit price between ticks
+        const result = await new TradeExecutorService().executeAtomic('binance', opportunity, credentials, options({
+            legOrders: { type: 'limit', timeInForce: 'IOC', tolerance: 0.1 }
+        }));
+
+        expect(result.status).toBe('COMPLETED');
+        expect(result.legs.map(leg => leg.limitPrice)).toEqual([50050, 0.05005, 2509.99]);
+        expect(orderRequests(simulator.get('binance'))).toHaveLength(3);
+        expect(balanceOf(simulator.get('binance'), 'USDT')).toBeCloseTo(1000 - 99.5 + 0.0397 * 2512.5, 6);
+    });
+});
+
+describe('adapter withdrawals against the simulator', () => {
+    test('an insufficient balance stops the withdrawal before it is sent', async () => {
+        simulator.load({ binance: { balances: { USDT: 5 } } });
+
+        await expect(transferExecutionService.executeWithdrawal('binance', 'USDT', 10, credentials, 'TXYZsimulatedTronAddress000000000'))
+            .rejects.toThrow(/Insufficient USDT balance/);
+
+        expect(simulator.get('binance').requests.some(entry => entry.path.includes('/withdraw'))).toBe(false);
+        expect(simulator.get('binance').withdrawals).toHaveLength(0);
+    });
+
+    test('USDT withdrawals from VALR go out on the Tron network', async () => {
+        simulator.load({ valr: { balances: { USDT: 50 } } });
+
+        await transferExecutionService.executeWithdrawal('valr', 'USDT', 10, credentials, 'TXYZsimulatedTronAddress000000000');
+
+        expect(simulator.get('valr').withdrawals).toEqual([
+            expect.objectContaining({ currency: 'USDT', amount: 10, network: 'Tron' })
+        ]);
+        expect(balanceOf(simulator.get('valr'), 'USDT')).toBe(40);
+    });
+});
@@ -0,0 +1,54 @@
+jest.mock('../../../src/utils/logger', () => {
+    const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), trading: jest.fn() };
+    return { logger: log, systemLogger: log };
+});
+
+const requestBudget = require('../../../src/services/exchanges/RequestBudgetManager');
+const BinanceAdapter = require('../../../src/services/exchanges/adapters/BinanceAdapter');
+const BYBITMarketDataService = require('../../../src/services/momentum/BYBITMarketDataService');
+
+const credentials = { apiKey: 'key', apiSecret: 'secret' };
+const PAUSE_MS = 150;
+
+const jsonResponse = body => ({ ok: true, status: 200, headers: new Map(), json: async () => body, text: async () => JSON.stringify(body) });
+
+describe('signed requests under a throttled budget', () => {
+    const originalFetch = global.fetch;
+
+    beforeEach(() => {
+        global.fetch = jest.fn();
+    });
+
+    afterAll(() => {
+        global.fetch = originalFetch;
+    });
+
+    // Pause the exchange as a 429 would, and return when the pause ends
+    const pause = exchange => {
+        const until = Date.now() + PAUSE_MS;
+        requestBudget._state(exchange).pausedUntil = until;
+        return until;
+    };
+
+    test('adapters sign after the budget wait and charge the request once', async () => {
+        global.fetch.mockResolvedValue(jsonResponse([]));
+        const requestsBefore = requestBudget.getUsage('binance').requests;
+        const resumeAt = pause('binance');
+
+        await new BinanceAdapter().fetchTradingFees(credentials);
+
+        const signedAt = Number(new URL(global.fetch.mock.calls[0][0]).searchParams.get('timestamp'));
+        expect(signedAt).toBeGreaterThanOrEqual(resumeAt);
+        expect(requestBudget.getUsage('binance').requests - requestsBefore).toBe(1);
+    });
+
+    test('BYBIT connection test signs after the budget wait', async () => {
+        global.fetch.mockResolvedValue(jsonResponse({ retCode: 0, result: {} }));
+        const resumeAt = pause('bybit');
+
+        await expect(new BYBITMarketDataService().testConnection(credentials)).resolves.toBe(true);
+
+        const { headers } = global.fetch.mock.calls[0][1];
+        expect(Number(headers['X-BAPI-TIMESTAMP'])).toBeGreaterThanOrEqual(resumeAt);
+    });
+});
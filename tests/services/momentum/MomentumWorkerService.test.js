@@ -0,0 +1,145 @@
+jest.mock('../../../src/utils/logger', () => {
+    const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), trading: jest.fn() };
+    return { logger: log, systemLogger: log };
+});
+jest.mock('../../../src/websocket/socketManager', () => ({ notifyUser: jest.fn() }));
+jest.mock('../../../src/models/MomentumStrategy', () => ({}));
+jest.mock('../../../src/models/MomentumPosition', () => ({
+    PARTIAL_FILL_TOLERANCE: 0.02,
+    getPositionsNeedingExitCheck: jest.fn(),
+    updateExitState: jest.fn(),
+    markAsClosing: jest.fn(),
+    close: jest.fn(),
+    reopen: jest.fn(),
+    markTargetHit: jest.fn(),
+    releaseTarget: jest.fn(),
+    recordPartialExit: jest.fn(),
+    getPartialExits: jest.fn()
+}));
+jest.mock('../../../src/services/exchanges/ExchangeRegistry', () => ({ get: jest.fn() }));
+jest.mock('../../../src/services/momentum/SignalDetectionService', () => ({
+    TIMEFRAME_MS: { '5m': 5 * 60 * 1000 },
+    checkExitSignals: jest.fn()
+}));
+jest.mock('../../../src/services/momentum/IndicatorService', () => ({}));
+jest.mock('../../../src/services/momentum/MomentumCandleService', () => ({}));
+jest.mock('../../../src/services/momentum/OrderExecutionService', () => jest.fn(() => ({ executeSellOrder: jest.fn() })));
+
+const { logger } = require('../../../src/utils/logger');
+const { notifyUser } = require('../../../src/websocket/socketManager');
+const MomentumPosition = require('../../../src/models/MomentumPosition');
+const exchangeRegistry = require('../../../src/services/exchanges/ExchangeRegistry');
+const SignalDetectionService = require('../../../src/services/momentum/SignalDetectionService');
+const momentumWorker = require('../../../src/services/momentum/MomentumWorkerService');
+
+const position = { id: 7, user_id: '42', pair: 'BTCUSDT', exit_rules: {}, targets_hit: 0 };
+const sell = (executedQuantity, executedPrice = 120) => ({ orderId: 'S1', executedQuantity, executedPrice, fee: 0.01 });
+
+// Signal the monitor acts on: a full close, or take-profit target 0 selling 0.5
+const closeSignal = { shouldExit: true, partial: false, reason: 'stop_loss', details: 'Stop hit', quantity: 1, state: {} };
+const targetSignal = { shouldExit: true, partial: true, reason: 'take_profit_partial', details: 'Target 1', quantity: 0.5, targetIndex: 0, state: {} };
+
+let session;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    session = { key: '42:binance', userId: '42', exchange: 'binance', credentials: {}, positionsClosed: 0, partialExits: 0 };
+    momentumWorker.sessions.set(session.key, session);
+
+    MomentumPosition.getPositionsNeedingExitCheck.mockResolvedValue([position]);
+    MomentumPosition.markAsClosing.mockResolvedValue({ ...position, status: 'CLOSING' });
+    MomentumPosition.markTargetHit.mockResolvedValue({ ...position, targets_hit: 1 });
+    MomentumPosition.releaseTarget.mockResolvedValue({ ...position, targets_hit: 0 });
+    MomentumPosition.recordPartialExit.mockResolvedValue({ position, exit: { pnl_usdt: 1 } });
+    MomentumPosition.getPartialExits.mockResolvedValue([]);
+    exchangeRegistry.get.mockReturnValue({ fetchTicker: jest.fn().mockResolvedValue(120) });
+});
+
+afterEach(() => {
+    momentumWorker.sessions.delete(session.key);
+});
+
+const monitorWith = signal => {
+    SignalDetectionService.checkExitSignals.mockReturnValue(signal);
+    return momentumWorker._monitorPositions(session);
+};
+
+describe('MomentumWorkerService exits', () => {
+    test('closes a position whose close order filled', async () => {
+        momentumWorker.orderService.executeSellOrder.mockResolvedValue(sell(1));
+        MomentumPosition.close.mockResolvedValue({ ...position, status: 'CLOSED' });
+
+        await monitorWith(closeSignal);
+
+        expect(MomentumPosition.close).toHaveBeenCalledWith(7, expect.objectContaining({ exitQuantity: 1, exitReason: 'stop_loss' }));
+        expect(session.positionsClosed).toBe(1);
+    });
+
+    test('books a partly filled close order as a partial exit and reopens the position', async () => {
+        momentumWorker.orderService.executeSellOrder.mockResolvedValue(sell(0.4));
+        MomentumPosition.reopen.mockResolvedValue({ ...position, status: 'OPEN' });
+
+        await monitorWith(closeSignal);
+
+        expect(MomentumPosition.recordPartialExit).toHaveBeenCalledWith(7, expect.objectContaining({ exitQuantity: 0.4 }));
+        expect(MomentumPosition.reopen).toHaveBeenCalledWith(7);
+        expect(MomentumPosition.close).not.toHaveBeenCalled();
+    });
+});
+
+describe('MomentumWorkerService take-profit targets', () => {
+    test('claims the target, sells its share and records it against the target', async () => {
+        momentumWorker.orderService.executeSellOrder.mockResolvedValue(sell(0.5));
+
+        await monitorWith(targetSignal);
+
+        expect(momentumWorker.orderService.executeSellOrder).toHaveBeenCalledWith('binance', 'BTCUSDT', 0.5, {});
+        expect(MomentumPosition.recordPartialExit).toHaveBeenCalledWith(7, expect.objectContaining({ exitQuantity: 0.5, targetIndex: 0 }));
+        expect(MomentumPosition.releaseTarget).not.toHaveBeenCalled();
+        expect(session.partialExits).toBe(1);
+    });
+
+    test('sells nothing when the target was already taken', async () => {
+        MomentumPosition.markTargetHit.mockResolvedValue(undefined);
+
+        await monitorWith(targetSignal);
+
+        expect(momentumWorker.orderService.executeSellOrder).not.toHaveBeenCalled();
+    });
+
+    test('gives the target back when the sell fails', async () => {
+        momentumWorker.orderService.executeSellOrder.mockRejectedValue(new Error('Insufficient balance'));
+
+        await monitorWith(targetSignal);
+
+        expect(MomentumPosition.releaseTarget).toHaveBeenCalledWith(7, 0);
+        expect(MomentumPosition.recordPartialExit).not.toHaveBeenCalled();
+        expect(logger.error).toHaveBeenCalledWith('Momentum worker failed to monitor position', expect.objectContaining({ error: 'Insufficient balance' }));
+    });
+
+    test('books a partly filled target order and gives the target back', async () => {
+        momentumWorker.orderService.executeSellOrder.mockResolvedValue(sell(0.2));
+
+        await monitorWith(targetSignal);
+
+        expect(MomentumPosition.recordPartialExit).toHaveBeenCalledWith(7, expect.objectContaining({ exitQuantity: 0.2, targetIndex: 0 }));
+        expect(MomentumPosition.releaseTarget).toHaveBeenCalledWith(7, 0);
+        expect(notifyUser).toHaveBeenCalledWith('42', 'momentum_worker_position_partial_close', expect.objectContaining({
+            position: expect.objectContaining({ targets_hit: 0 }),
+            details: 'Target 1 (target order partially filled)'
+        }));
+    });
+
+    test('a target retried after a partial fill only sells what it still owes', async () => {
+        MomentumPosition.getPartialExits.mockResolvedValue([
+            { target_index: null, exit_quantity: '0.3' },
+            { target_index: 0, exit_quantity: '0.2' }
+        ]);
+        momentumWorker.orderService.executeSellOrder.mockResolvedValue(sell(0.3));
+
+        await monitorWith(targetSignal);
+
+        expect(momentumWorker.orderService.executeSellOrder).toHaveBeenCalledWith('binance', 'BTCUSDT', 0.3, {});
+        expect(MomentumPosition.releaseTarget).not.toHaveBeenCalled();
+    });
+});
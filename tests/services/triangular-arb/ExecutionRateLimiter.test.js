@@ -0,0 +1,66 @@
+jest.mock('../../../src/utils/logger', () => {
+    const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), trading: jest.fn() };
+    return { logger: log, systemLogger: log };
+});
+jest.mock('../../../src/database/redis', () => ({ getRedisClient: jest.fn() }));
+
+const { getRedisClient } = require('../../../src/database/redis');
+const executionRateLimiter = require('../../../src/services/triangular-arb/ExecutionRateLimiter');
+
+describe('ExecutionRateLimiter lock store', () => {
+    const originalRedisUrl = process.env.REDIS_URL;
+
+    beforeEach(async () => {
+        delete process.env.REDIS_URL;
+        await executionRateLimiter.reset();
+        getRedisClient.mockReset();
+    });
+
+    afterAll(() => {
+        if (originalRedisUrl === undefined) {
+            delete process.env.REDIS_URL;
+        } else {
+            process.env.REDIS_URL = originalRedisUrl;
+        }
+    });
+
+    test('without REDIS_URL the process-local lock blocks a second execution', async () => {
+        await expect(executionRateLimiter.acquireExecution('binance', 'EXEC_1', 'user-1')).resolves.toEqual(
+            expect.objectContaining({ allowed: true })
+        );
+
+        const second = await executionRateLimiter.acquireExecution('binance', 'EXEC_2', 'user-1');
+
+        expect(second).toEqual(expect.objectContaining({ allowed: false, reason: 'USER_EXCHANGE_BUSY' }));
+        expect(getRedisClient).not.toHaveBeenCalled();
+    });
+
+    test('refuses an execution while the configured Redis is not connected', async () => {
+        process.env.REDIS_URL = 'redis://localhost:6379';
+        getRedisClient.mockResolvedValue(null);
+        const memoryAcquire = jest.spyOn(executionRateLimiter.memoryStore, 'acquire');
+
+        const result = await executionRateLimiter.acquireExecution('binance', 'EXEC_1', 'user-1');
+
+        expect(result).toEqual(expect.objectContaining({ allowed: false, reason: 'LOCK_STORE_UNAVAILABLE', exchange: 'binance' }));
+        expect(memoryAcquire).not.toHaveBeenCalled();
+        memoryAcquire.mockRestore();
+    });
+
+    test('refuses an execution when Redis fails mid-call', async () => {
+        process.env.REDIS_URL = 'redis://localhost:6379';
+        getRedisClient.mockResolvedValue({ eval: jest.fn().mockRejectedValue(new Error('Connection is closed')) });
+
+        const result = await executionRateLimiter.acquireExecution(['binance', 'valr'], 'EXEC_1', 'user-1');
+
+        expect(result).toEqual(expect.objectContaining({ allowed: false, reason: 'LOCK_STORE_UNAVAILABLE' }));
+        expect(result.message).toMatch(/unavailable/);
+    });
+
+    test('request slots fail instead of spacing requests per process', async () => {
+        process.env.REDIS_URL = 'redis://localhost:6379';
+        getRedisClient.mockResolvedValue(null);
+
+        await expect(executionRateLimiter.reserveRequestSlot('binance', 100)).rejects.toThrow('Redis is not connected');
+    });
+});
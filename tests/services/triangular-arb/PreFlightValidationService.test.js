@@ -0,0 +1,94 @@
+jest.mock('../../../src/utils/logger', () => {
+    const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), trading: jest.fn() };
+    return { logger: log, systemLogger: log };
+});
+
+const PreFlightValidationService = require('../../../src/services/triangular-arb/PreFlightValidationService');
+
+const path = {
+    id: 'BINANCE_1',
+    sequence: 'USDT → BTC → ETH → USDT',
+    pairs: ['BTCUSDT', 'ETHBTC', 'ETHUSDT']
+};
+
+const opportunity = {
+    success: true,
+    startAmount: 100,
+    profitPercentage: 0.8,
+    steps: [
+        { step: 1, pair: 'BTCUSDT', side: 'buy', price: 50000, feeRate: 0 },
+        { step: 2, pair: 'ETHBTC', side: 'buy', price: 0.05, feeRate: 0 },
+        { step: 3, pair: 'ETHUSDT', side: 'sell', price: 2512.5, feeRate: 0 }
+    ]
+};
+
+const rules = {
+    BTCUSDT: { tickSize: 0.01, stepSize: 0.00001, minQuantity: 0.00001, minNotional: 5 },
+    ETHBTC: { tickSize: 0.00001, stepSize: 0.0001, minQuantity: 0.0001, minNotional: 0.0001 },
+    ETHUSDT: { tickSize: 0.01, stepSize: 0.0001, minQuantity: 0.0001, minNotional: 5 }
+};
+
+function createValidator(rulesResult = { available: true, rules, error: null }) {
+    const validator = new PreFlightValidationService();
+    validator.tradingRules.getRules = jest.fn().mockResolvedValue(rulesResult);
+    return validator;
+}
+
+describe('PreFlightValidationService trading rules check', () => {
+    test('reports rounded leg quantities, carried amounts and dust', async () => {
+        const result = await createValidator()._checkTradingRules('binance', path, opportunity);
+
+        expect(result.passed).toBe(true);
+        expect(result.report.verified).toBe(true);
+        expect(result.report.legs.map(leg => leg.quantity)).toEqual([0.002, 0.04, 0.04]);
+        expect(result.report.endAmount).toBe(100.5);
+        expect(result.warnings).toEqual([]);
+    });
+
+    test('reports what the lot step leaves behind as dust in the leg\'s input currency', async () => {
+        const result = await createValidator()._checkTradingRules('binance', path, { ...opportunity, startAmount: 100.3 });
+
+        expect(result.report.legs[0]).toEqual(expect.objectContaining({ quantity: 0.002, dust: 0.3, dustCurrency: 'USDT' }));
+        expect(result.report.dust).toEqual({ USDT: 0.3 });
+    });
+
+    test('fails a leg below the pair\'s minimum notional', async () => {
+        const result = await createValidator()._checkTradingRules('binance', path, { ...opportunity, startAmount: 4 });
+
+        expect(result.passed).toBe(false);
+        expect(result.error).toMatch(/Leg 1 BTCUSDT buy: order value .* below minimum 5/);
+        expect(result.report.legs[0].issues).toHaveLength(1);
+    });
+
+    test('passes with a warning when the exchange has no rules', async () => {
+        const result = await createValidator({ available: false, rules: {}, error: 'No trading rules endpoint for luno' })
+            ._checkTradingRules('luno', path, opportunity);
+
+        expect(result.passed).toBe(true);
+        expect(result.report.verified).toBe(false);
+        expect(result.warnings).toEqual([expect.stringMatching(/Trading rules unavailable for luno/)]);
+    });
+
+    test('validateTrade stops before confirmation when a leg breaks the rules', async () => {
+        const validator = createValidator();
+        validator.exchangeConnector.fetchBalance = jest.fn().mockResolvedValue(1000);
+        validator.orderBookFetcher.fetchMultiple = jest.fn().mockResolvedValue({});
+        validator.profitCalculator.calculate = jest.fn().mockReturnValue({ ...opportunity, startAmount: 12 });
+        validator.tradingRules.getRules.mockResolvedValue({
+            available: true,
+            rules: { ...rules, ETHUSDT: { ...rules.ETHUSDT, minNotional: 20 } },
+            error: null
+        });
+
+        const result = await validator.validateTrade('binance', path, 12, {}, { confirmed: true });
+
+        expect(result.passed).toBe(false);
+        expect(result.checks.amountCheck.passed).toBe(true);
+        expect(result.checks.tradingRulesCheck).toEqual(expect.objectContaining({
+            passed: false,
+            error: expect.stringMatching(/Leg 3 ETHUSDT sell/)
+        }));
+        expect(result.tradingRules.legs).toHaveLength(3);
+        expect(result.checks.confirmationCheck.passed).toBe(false);
+    });
+});
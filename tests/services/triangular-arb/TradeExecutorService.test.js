@@ -0,0 +1,253 @@
+jest.mock('../../../src/utils/logger', () => {
+    const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), trading: jest.fn() };
+    return { logger: log, systemLogger: log };
+});
+jest.mock('../../../src/models/TriangularRecoveryOrder', () => ({ create: jest.fn() }));
+jest.mock('../../../src/models/TriangularExecution', () => ({ create: jest.fn() }));
+
+const TradeExecutorService = require('../../../src/services/triangular-arb/TradeExecutorService');
+
+const opportunity = {
+    pathId: 'TEST_1',
+    sequence: 'USDT → BTC → ETH → USDT',
+    startAmount: 100,
+    profitPercentage: 0.5,
+    steps: [
+        { pair: 'BTCUSDT', side: 'buy', price: 50000, expectedAmount: 0.002 },
+        { pair: 'ETHBTC', side: 'buy', price: 0.05, expectedAmount: 0.04 },
+        { pair: 'ETHUSDT', side: 'sell', price: 2512.5, expectedAmount: 100.5 }
+    ]
+};
+
+// Binance-style fill: executedQty is what the leg hands to the next one
+const fill = (executedQty, price) => ({ orderId: `ORDER_${executedQty}`, executedQty: String(executedQty), price: String(price) });
+
+// Short leg timeouts so no timer outlives the test run
+const options = extra => ({ timeoutMs: 100, ...extra });
+
+const adapterError = status => new Error(`Binance place order: ${status} - {"code":-2010,"msg":"rejected"}`);
+
+function createExecutor(marketOrders, rules = {}) {
+    const executor = new TradeExecutorService();
+    jest.spyOn(executor.tradingRules, 'getRules').mockResolvedValue({ available: true, rules, error: null });
+    executor.exchangeConnector = {
+        executeMarketOrder: jest.fn(),
+        executeLimitOrder: jest.fn(),
+        getOrderStatus: jest.fn(),
+        supports: jest.fn(() => true)
+    };
+    for (const result of marketOrders) {
+        if (result instanceof Error) {
+            executor.exchangeConnector.executeMarketOrder.mockRejectedValueOnce(result);
+        } else {
+            executor.exchangeConnector.executeMarketOrder.mockResolvedValueOnce(result);
+        }
+    }
+    return executor;
+}
+
+describe('TradeExecutorService leg-failure recovery', () => {
+    test('places no recovery orders unless a policy is given', async () => {
+        const executor = createExecutor([fill(0.002, 50000), adapterError(400)]);
+
+        const result = await executor.executeAtomic('binance', opportunity, {}, options());
+
+        expect(result.status).toBe('FAILED');
+        expect(result.recoveryOrders).toHaveLength(0);
+        expect(result.recovery.attempted).toEqual([]);
+        expect(result.strandedAsset).toEqual({ currency: 'BTC', amount: 0.002 });
+        expect(executor.exchangeConnector.executeMarketOrder).toHaveBeenCalledTimes(2);
+    });
+
+    test('retries a leg the exchange rejected when retry is opted in', async () => {
+        const executor = createExecutor([fill(0.002, 50000), adapterError(400), fill(0.04, 0.05), fill(100.5, 2512.5)]);
+
+        const result = await executor.executeAtomic('binance', opportunity, {}, options({
+            recovery: { strategies: ['retry'], maxRetries: 2, retryDelayMs: 0 }
+        }));
+
+        expect(result.status).toBe('COMPLETED');
+        expect(result.recovery.outcome).toBe('RETRIED');
+        expect(result.recoveryOrders).toHaveLength(1);
+        expect(result.endAmount).toBe(100.5);
+    });
+
+    test('never retries a leg that timed out - it may have filled', async () => {
+        const executor = createExecutor([fill(0.002, 50000)]);
+        executor.exchangeConnector.executeMarketOrder.mockImplementationOnce(() => new Promise(() => {}));
+
+        const result = await executor.executeAtomic('binance', opportunity, {}, options({
+            timeoutMs: 10,
+            recovery: { strategies: ['retry'], maxRetries: 2, retryDelayMs: 0 }
+        }));
+
+        expect(result.status).toBe('FAILED');
+        expect(result.legs[1].error).toMatch(/Timeout/);
+        expect(result.recoveryOrders).toHaveLength(0);
+        expect(executor.exchangeConnector.executeMarketOrder).toHaveBeenCalledTimes(2);
+    });
+
+    test('stops retrying when a retry fails ambiguously', async () => {
+        const executor = createExecutor([fill(0.002, 50000), adapterError(400), adapterError(502)]);
+
+        const result = await executor.executeAtomic('binance', opportunity, {}, options({
+            recovery: { strategies: ['retry'], maxRetries: 3, retryDelayMs: 0 }
+        }));
+
+        expect(result.status).toBe('FAILED');
+        expect(result.recoveryOrders).toHaveLength(1);
+        expect(executor.exchangeConnector.executeMarketOrder).toHaveBeenCalledTimes(3);
+    });
+
+    test('unwinds completed legs back to the start currency', async () => {
+        const executor = createExecutor([fill(0.002, 50000), adapterError(400)]);
+        executor.exchangeConnector.executeMarketOrder.mockImplementation((exchange, pair, side, amount) =>
+            Promise.resolve(fill(amount * 49900, 49900)));
+
+        const result = await executor.executeAtomic('binance', opportunity, {}, options({
+            recovery: { strategies: ['unwind'] }
+        }));
+
+        expect(result.status).toBe('UNWOUND');
+        expect(result.success).toBe(false);
+        expect(result.recoveryOrders).toEqual([
+            expect.objectContaining({ strategy: 'unwind', pair: 'BTCUSDT', side: 'sell', status: 'COMPLETED' })
+        ]);
+    });
+});
+
+describe('TradeExecutorService limit IOC/FOK legs', () => {
+    const limitFill = (executedQty, quoteQty) => ({ orderId: 'LIMIT_1', executedQty: String(executedQty), cummulativeQuoteQty: String(quoteQty) });
+
+    test('places each leg as a limit order at the quoted price plus tolerance', async () => {
+        const executor = createExecutor([]);
+        executor.exchangeConnector.executeLimitOrder
+            .mockResolvedValueOnce(limitFill(0.002, 100))
+            .mockResolvedValueOnce(limitFill(0.04, 0.002))
+            .mockResolvedValueOnce(limitFill(0.04, 100.5));
+
+        const result = await executor.executeAtomic('binance', opportunity, {}, options({
+            legOrders: { type: 'limit', timeInForce: 'FOK', tolerance: 1 }
+        }));
+
+        expect(result.status).toBe('COMPLETED');
+        expect(executor.exchangeConnector.executeMarketOrder).not.toHaveBeenCalled();
+        expect(executor.exchangeConnector.executeLimitOrder.mock.calls[0]).toEqual(
+            ['binance', 'BTCUSDT', 'buy', 0.00198019, 50500, {}, { timeInForce: 'FOK' }]
+        );
+        expect(executor.exchangeConnector.executeLimitOrder.mock.calls[2].slice(3, 5)).toEqual([0.04, 2487.375]);
+        expect(result.legs[0]).toEqual(expect.objectContaining({ orderType: 'limit', limitPrice: 50500, timeInForce: 'FOK' }));
+        expect(result.endAmount).toBe(100.5);
+    });
+
+    test('rounds the limit price to the tick on the safe side and the quantity down to the lot step', async () => {
+        const executor = createExecutor([], {
+            BTCUSDT: { tickSize: 0.01, stepSize: 0.00001 },
+            ETHBTC: { tickSize: 0.00001, stepSize: 0.0001 },
+            ETHUSDT: { tickSize: 0.01, stepSize: 0.0001 }
+        });
+        executor.exchangeConnector.executeLimitOrder
+            .mockResolvedValueOnce(limitFill(0.00198, 99.98))
+            .mockResolvedValueOnce(limitFill(0.0396, 0.00198))
+            .mockResolvedValueOnce(limitFill(0.0396, 99.5));
+
+        const result = await executor.executeAtomic('binance', {
+            ...opportunity,
+            steps: [
+                { ...opportunity.steps[0], price: 50499.997 },
+                { ...opportunity.steps[1], price: 0.0500004 },
+                { ...opportunity.steps[2], price: 2512.503 }
+            ]
+        }, {}, options({ legOrders: { type: 'limit', tolerance: 0 } }));
+
+        const placed = executor.exchangeConnector.executeLimitOrder.mock.calls.map(call => call.slice(2, 5));
+        expect(placed).toEqual([
+            ['buy', 0.00198, 50499.99],     // Buy limits round down - never pay more than allowed
+            ['buy', 0.0396, 0.05],
+            ['sell', 0.0396, 2512.51]       // Sell limits round up - never accept less
+        ]);
+        expect(result.legs[0].limitPrice).toBe(50499.99);
+        expect(result.status).toBe('COMPLETED');
+    });
+
+    test('a fill inside its limit completes even when it is beyond maxSlippage of the average quote', async () => {
+        const executor = createExecutor([]);
+        executor.exchangeConnector.executeLimitOrder
+            .mockResolvedValueOnce(limitFill(0.00197, 99.4))      // ≈ 50457, 0.9% above the quote
+            .mockResolvedValueOnce(limitFill(0.0394, 0.00197))
+            .mockResolvedValueOnce(limitFill(0.0394, 98.99));
+
+        const result = await executor.executeAtomic('binance', opportunity, {}, options({
+            maxSlippage: 0.5,
+            legOrders: { type: 'limit', tolerance: 1 }
+        }));
+
+        expect(result.legs[0]).toEqual(expect.objectContaining({ status: 'COMPLETED', limitPrice: 50500 }));
+        expect(result.legs[0].slippage).toBeGreaterThan(0.5);
+        expect(result.status).toBe('COMPLETED');
+    });
+
+    test('carries a partial IOC fill into the next leg', async () => {
+        const executor = createExecutor([]);
+        executor.exchangeConnector.executeLimitOrder
+            .mockResolvedValueOnce(limitFill(0.001, 50))
+            .mockResolvedValueOnce(limitFill(0.02, 0.001))
+            .mockResolvedValueOnce(limitFill(0.02, 50.25));
+
+        const result = await executor.executeAtomic('binance', opportunity, {}, options({
+            legOrders: { type: 'limit' }
+        }));
+
+        expect(result.legs[0]).toEqual(expect.objectContaining({ partialFill: true, outputAmount: 0.001, unfilledInput: 50 }));
+        expect(result.legs[1].inputAmount).toBe(0.001);
+        expect(result.endAmount).toBe(50.25);
+    });
+
+    test('an unfilled limit leg fails without a fill and can be retried as a limit order', async () => {
+        const executor = createExecutor([]);
+        executor.exchangeConnector.executeLimitOrder
+            .mockResolvedValueOnce(limitFill(0.002, 100))
+            .mockResolvedValueOnce(limitFill(0, 0))
+            .mockResolvedValueOnce(limitFill(0.04, 0.002))
+            .mockResolvedValueOnce(limitFill(0.04, 100.5));
+
+        const result = await executor.executeAtomic('binance', opportunity, {}, options({
+            legOrders: { type: 'limit' },
+            recovery: { strategies: ['retry'], retryDelayMs: 0 }
+        }));
+
+        expect(result.legs[1]).toEqual(expect.objectContaining({ status: 'FAILED', error: expect.stringMatching(/not filled/) }));
+        expect(result.recovery.outcome).toBe('RETRIED');
+        expect(executor.exchangeConnector.executeMarketOrder).not.toHaveBeenCalled();
+        expect(executor.exchangeConnector.executeLimitOrder).toHaveBeenCalledTimes(4);
+        expect(result.status).toBe('COMPLETED');
+    });
+
+    test('refuses limit legs on exchanges without limit orders', async () => {
+        const executor = createExecutor([]);
+        executor.exchangeConnector.supports.mockReturnValue(false);
+
+        const result = await executor.executeAtomic('binance', opportunity, {}, options({
+            legOrders: { type: 'limit' }
+        }));
+
+        expect(result.status).toBe('FAILED');
+        expect(result.error).toMatch(/not supported/);
+        expect(executor.exchangeConnector.executeLimitOrder).not.toHaveBeenCalled();
+    });
+});
+
+describe('TradeExecutorService._isRetryable', () => {
+    const executor = new TradeExecutorService();
+
+    test.each([
+        ['unfilled IOC/FOK limit', Object.assign(new Error('not filled'), { code: 'ORDER_NOT_FILLED' }), true],
+        ['4xx rejection', adapterError(400), true],
+        ['timeout', Object.assign(new Error('Timeout after 10ms'), { code: 'ORDER_TIMEOUT' }), false],
+        ['request timeout status', adapterError(408), false],
+        ['5xx response', adapterError(503), false],
+        ['network error', new Error('fetch failed'), false]
+    ])('%s', (name, error, expected) => {
+        expect(executor._isRetryable(error)).toBe(expected);
+    });
+});
@@ -0,0 +1,72 @@
+jest.mock('../../../src/utils/logger', () => {
+    const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), trading: jest.fn() };
+    return { logger: log, systemLogger: log };
+});
+jest.mock('../../../src/services/exchanges/ExchangeRegistry', () => ({
+    supports: jest.fn(),
+    get: jest.fn()
+}));
+
+const exchangeRegistry = require('../../../src/services/exchanges/ExchangeRegistry');
+const TradingRulesService = require('../../../src/services/triangular-arb/TradingRulesService');
+
+const btcRules = { tickSize: 0.01, stepSize: 0.00001, minQuantity: 0.00001, minNotional: 5 };
+
+describe('TradingRulesService.getRules', () => {
+    let adapter;
+
+    beforeEach(() => {
+        adapter = { fetchTradingRules: jest.fn().mockResolvedValue({ BTCUSDT: btcRules }) };
+        exchangeRegistry.supports.mockReturnValue(true);
+        exchangeRegistry.get.mockReturnValue(adapter);
+    });
+
+    test('fetches missing pairs once and serves them from cache afterwards', async () => {
+        const service = new TradingRulesService();
+
+        const first = await service.getRules('Binance', ['BTCUSDT', 'ETHBTC']);
+        const second = await service.getRules('binance', ['BTCUSDT']);
+
+        expect(first).toEqual({ available: true, rules: { BTCUSDT: btcRules, ETHBTC: null }, error: null });
+        expect(second.rules).toEqual({ BTCUSDT: btcRules });
+        expect(adapter.fetchTradingRules).toHaveBeenCalledTimes(1);
+        expect(adapter.fetchTradingRules).toHaveBeenCalledWith(['BTCUSDT', 'ETHBTC']);
+    });
+
+    test('reports rules as unavailable when the exchange has no rules endpoint', async () => {
+        exchangeRegistry.supports.mockReturnValue(false);
+
+        const result = await new TradingRulesService().getRules('luno', ['XBTZAR']);
+
+        expect(result.available).toBe(false);
+        expect(result.error).toMatch(/No trading rules endpoint/);
+    });
+
+    test('reports rules as unavailable when the fetch fails', async () => {
+        adapter.fetchTradingRules.mockRejectedValue(new Error('503'));
+
+        const result = await new TradingRulesService().getRules('binance', ['BTCUSDT']);
+
+        expect(result).toEqual({ available: false, rules: {}, error: '503' });
+    });
+});
+
+describe('TradingRulesService rounding', () => {
+    const service = new TradingRulesService();
+
+    test.each([
+        [4.567, 0.01, 4.56],
+        [0.3, 0.1, 0.3],
+        [0.00199999, 0.00001, 0.00199],
+        [12.7, 1, 12],
+        [0.5, null, 0.5]
+    ])('roundQuantity(%p, %p) → %p', (quantity, stepSize, expected) => {
+        expect(service.roundQuantity(quantity, stepSize)).toBe(expected);
+    });
+
+    test('rounds buy prices up and sell prices down to the tick', () => {
+        expect(service.roundPrice(50000.123, 0.01, 'buy')).toBe(50000.13);
+        expect(service.roundPrice(50000.123, 0.01, 'sell')).toBe(50000.12);
+        expect(service.roundPrice(2512.5, 0.5, 'buy')).toBe(2512.5);
+    });
+});
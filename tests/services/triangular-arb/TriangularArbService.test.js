@@ -0,0 +1,71 @@
+jest.mock('../../../src/utils/logger', () => {
+    const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), trading: jest.fn() };
+    return { logger: log, systemLogger: log };
+});
+jest.mock('../../../src/models/TriangularExecution', () => ({ create: jest.fn() }));
+
+const triangularArbService = require('../../../src/services/triangular-arb/TriangularArbService');
+const executionRateLimiter = require('../../../src/services/triangular-arb/ExecutionRateLimiter');
+
+const path = { id: 'BINANCE_1', sequence: 'USDT → BTC → ETH → USDT', pairs: ['BTCUSDT', 'ETHBTC', 'ETHUSDT'] };
+const live = { dryRun: false, confirmed: true, userId: 'user-1' };
+
+describe('TriangularArbService.execute execution lock', () => {
+    beforeAll(() => {
+        // No cooldown windows - only the lock decides whether the next execution may start
+        // (0 is falsy, so the per-exchange entry falls back to the default window)
+        executionRateLimiter.rateLimits.binance = 0;
+        executionRateLimiter.rateLimits.default = 0;
+        executionRateLimiter.exchangeRateLimits.default = 0;
+    });
+
+    beforeEach(async () => {
+        await executionRateLimiter.reset();
+        jest.spyOn(triangularArbService.pathDefinitions, 'getPathById').mockReturnValue(path);
+        jest.spyOn(triangularArbService.feeSchedule, 'resolve').mockResolvedValue(null);
+        jest.spyOn(triangularArbService.preFlightValidator, 'validateTrade');
+        jest.spyOn(triangularArbService.tradeExecutor, 'executeAtomic');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const activeExecutions = async () => (await executionRateLimiter.getExchangeStatus('binance', 'user-1')).activeExecutions;
+
+    test('a failed pre-flight releases the lock so the next execution can acquire it', async () => {
+        triangularArbService.preFlightValidator.validateTrade
+            .mockResolvedValueOnce({ passed: false, checks: {}, warnings: [] })
+            .mockResolvedValueOnce({ passed: true, currentOpportunity: { profitPercentage: 0.8 } });
+        triangularArbService.tradeExecutor.executeAtomic.mockResolvedValue({ success: true, executionId: 'EXEC_2' });
+
+        const blocked = await triangularArbService.execute('binance', 'BINANCE_1', 100, {}, live);
+
+        expect(blocked.error).toBe('PRE_FLIGHT_VALIDATION_FAILED');
+        expect(await activeExecutions()).toBe(0);
+
+        const result = await triangularArbService.execute('binance', 'BINANCE_1', 100, {}, live);
+
+        expect(result.success).toBe(true);
+        expect(triangularArbService.tradeExecutor.executeAtomic).toHaveBeenCalledTimes(1);
+        expect(await activeExecutions()).toBe(0);
+    });
+
+    test('an execution that throws releases the lock', async () => {
+        triangularArbService.preFlightValidator.validateTrade.mockRejectedValue(new Error('order book fetch failed'));
+
+        await expect(triangularArbService.execute('binance', 'BINANCE_1', 100, {}, live)).rejects.toThrow('order book fetch failed');
+
+        expect(await activeExecutions()).toBe(0);
+    });
+
+    test('a blocked execution leaves the running execution\'s lock alone', async () => {
+        await executionRateLimiter.acquireExecution('binance', 'EXEC_RUNNING', 'user-1');
+
+        const result = await triangularArbService.execute('binance', 'BINANCE_1', 100, {}, live);
+
+        expect(result).toEqual(expect.objectContaining({ success: false, error: 'USER_EXCHANGE_BUSY' }));
+        expect(triangularArbService.preFlightValidator.validateTrade).not.toHaveBeenCalled();
+        expect(await activeExecutions()).toBe(1);
+    });
+});
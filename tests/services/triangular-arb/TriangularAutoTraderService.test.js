@@ -0,0 +1,119 @@
+jest.mock('../../../src/utils/logger', () => {
+    const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), trading: jest.fn() };
+    return { logger: log, systemLogger: log };
+});
+jest.mock('../../../src/websocket/socketManager', () => ({ notifyUser: jest.fn() }));
+jest.mock('../../../src/models/TriangularExecution', () => ({ getRealizedSince: jest.fn() }));
+jest.mock('../../../src/services/triangular-arb/TriangularArbService', () => ({
+    scan: jest.fn(),
+    execute: jest.fn()
+}));
+
+const { notifyUser } = require('../../../src/websocket/socketManager');
+const TriangularExecution = require('../../../src/models/TriangularExecution');
+const triangularArbService = require('../../../src/services/triangular-arb/TriangularArbService');
+const autoTrader = require('../../../src/services/triangular-arb/TriangularAutoTraderService');
+
+const credentials = { apiKey: 'key', apiSecret: 'secret' };
+const sequence = 'USDT → BTC → ETH → USDT';
+const opportunity = { pathId: 'BINANCE_1', sequence, profitPercentage: 1 };
+
+const live = limits => ({ dryRun: false, amount: 100, profitThreshold: 0.5, limits });
+const losingTrade = loss => ({ executionId: `EXEC_${loss}`, success: false, sequence, actualProfit: -loss, error: 'leg 2 failed' });
+const emitted = event => notifyUser.mock.calls.filter(([, name]) => name === event).map(([, , data]) => data);
+
+// Runs the tick that is due now (the first one after start, or the next after a scan interval)
+const nextTick = ms => jest.advanceTimersByTimeAsync(ms);
+
+describe('TriangularAutoTraderService risk limits', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.clearAllMocks();
+        TriangularExecution.getRealizedSince.mockResolvedValue([]);
+        triangularArbService.scan.mockResolvedValue({ opportunities: [opportunity] });
+    });
+
+    afterEach(() => {
+        autoTrader.stopAll();
+        autoTrader.ended.clear();
+        jest.useRealTimers();
+    });
+
+    test('a restart after a daily-loss halt is refused before any order is placed', async () => {
+        triangularArbService.execute.mockResolvedValue(losingTrade(60));
+
+        await autoTrader.start('user-1', 'binance', credentials, live({ maxDailyLoss: 50 }));
+        await nextTick(0);
+
+        expect(autoTrader.getStatus('user-1', 'binance')).toEqual(expect.objectContaining({ state: 'halted' }));
+        expect(triangularArbService.execute).toHaveBeenCalledTimes(1);
+
+        // The losing execution is in today's ledger now
+        TriangularExecution.getRealizedSince.mockResolvedValue([{ start_currency: 'USDT', realized_profit: '-60', trades: '1' }]);
+
+        const restarted = await autoTrader.start('user-1', 'binance', credentials, live({ maxDailyLoss: 50 }));
+        await nextTick(10000);
+
+        expect(restarted).toEqual(expect.objectContaining({
+            state: 'halted',
+            haltReason: 'Daily loss limit reached (60.00 USDT ≥ 50)'
+        }));
+        expect(autoTrader.sessions.size).toBe(0);
+        expect(triangularArbService.scan).toHaveBeenCalledTimes(1);
+        expect(triangularArbService.execute).toHaveBeenCalledTimes(1);
+        expect(emitted('triangular_auto_halted')).toHaveLength(2);
+    });
+
+    test('a seeded loss below the limit starts, and the trade that reaches it halts the session', async () => {
+        TriangularExecution.getRealizedSince.mockResolvedValue([{ start_currency: 'USDT', realized_profit: '-45', trades: '1' }]);
+        triangularArbService.execute.mockResolvedValue(losingTrade(5));
+
+        const status = await autoTrader.start('user-1', 'binance', credentials, live({ maxDailyLoss: 50 }));
+        await nextTick(0);
+        await nextTick(10000);
+
+        expect(status.state).toBe('running');
+        expect(triangularArbService.execute).toHaveBeenCalledTimes(1);
+        expect(autoTrader.getStatus('user-1', 'binance')).toEqual(expect.objectContaining({
+            state: 'halted',
+            haltReason: 'Daily loss limit reached (50.00 USDT ≥ 50)'
+        }));
+    });
+
+    test('skips executions while the hourly trade limit (seeded from the ledger) is used up', async () => {
+        TriangularExecution.getRealizedSince.mockResolvedValue([{ start_currency: 'USDT', realized_profit: '1.5', trades: '2' }]);
+
+        await autoTrader.start('user-1', 'binance', credentials, live({ maxTradesPerHour: 2 }));
+        await nextTick(0);
+
+        expect(triangularArbService.scan).toHaveBeenCalledTimes(1);
+        expect(triangularArbService.execute).not.toHaveBeenCalled();
+        expect(emitted('triangular_auto_limit')).toEqual([expect.objectContaining({ limit: 'maxTradesPerHour', tradesLastHour: 2 })]);
+        expect(autoTrader.getStatus('user-1', 'binance').state).toBe('running');
+    });
+
+    test('caps the trade size at maxCapital', async () => {
+        triangularArbService.execute.mockResolvedValue({ executionId: 'EXEC_1', success: true, sequence, actualProfit: 1 });
+
+        await autoTrader.start('user-1', 'binance', credentials, { dryRun: true, amount: 500, limits: { maxCapital: 300 } });
+        await nextTick(0);
+
+        expect(triangularArbService.execute).toHaveBeenCalledWith('binance', 'BINANCE_1', 300, credentials, expect.objectContaining({ dryRun: true }));
+        expect(TriangularExecution.getRealizedSince).not.toHaveBeenCalled();
+    });
+
+    test('halts after maxConsecutiveFailures failed executions', async () => {
+        triangularArbService.execute.mockResolvedValue({ executionId: 'EXEC_1', success: false, sequence, error: 'leg 1 rejected' });
+
+        await autoTrader.start('user-1', 'binance', credentials, { dryRun: true, scanIntervalMs: 2000, limits: { maxConsecutiveFailures: 2 } });
+        await nextTick(0);
+        await nextTick(2000);
+        await nextTick(2000);
+
+        expect(triangularArbService.execute).toHaveBeenCalledTimes(2);
+        expect(autoTrader.getStatus('user-1', 'binance')).toEqual(expect.objectContaining({
+            state: 'halted',
+            haltReason: '2 consecutive failures (last: leg 1 rejected)'
+        }));
+    });
+});